@@ -18,6 +18,12 @@ import { ViewCategory } from "./pages/ViewCategory";
 import { Orders } from "./pages/Orders";
 import { Users } from "./pages/Users";
 import { Reports } from "./pages/Reports";
+import { Settings } from "./pages/Settings";
+import { DeliveryZones } from "./pages/DeliveryZones";
+import { Inventory } from "./pages/Inventory";
+import { StoreHours } from "./pages/StoreHours";
+import { Promotions } from "./pages/Promotions";
+import { GiftCards } from "./pages/GiftCards";
 import NotFound from "./pages/NotFound";
 
 const queryClient = new QueryClient();
@@ -131,6 +137,48 @@ const App = () => (
                 </AdminLayout>
               </ProtectedRoute>
             } />
+            <Route path="/settings" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <Settings />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
+            <Route path="/delivery-zones" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <DeliveryZones />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
+            <Route path="/store-hours" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <StoreHours />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
+            <Route path="/inventory" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <Inventory />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
+            <Route path="/promotions" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <Promotions />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
+            <Route path="/gift-cards" element={
+              <ProtectedRoute roles={['veg-admin', 'non-veg-admin', 'super-admin']}>
+                <AdminLayout>
+                  <GiftCards />
+                </AdminLayout>
+              </ProtectedRoute>
+            } />
         
             {/* ADD ALL CUSTOM ROUTES ABOVE THE CATCH-ALL "*" ROUTE */}
             <Route path="*" element={<NotFound />} />
@@ -0,0 +1,351 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useAppDispatch } from '@/store';
+import {
+  createDeliveryZone,
+  updateDeliveryZone,
+  type DeliveryZone,
+  type DeliveryZoneInput,
+  type GeoPoint
+} from '@/store/slices/deliveryZonesSlice';
+import { useAlert } from '@/hooks/useAlert';
+import { ZonePreview } from './ZonePreview';
+import { Plus, Trash2 } from 'lucide-react';
+
+interface DeliveryZoneDialogProps {
+  zone: DeliveryZone | null;
+  restaurantLocation: GeoPoint;
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface ZoneForm {
+  name: string;
+  type: DeliveryZone['type'];
+  polygon: Array<{ latitude: string; longitude: string }>;
+  minKm: string;
+  maxKm: string;
+  deliveryFee: string;
+  freeDeliveryOver: string;
+  minimumOrder: string;
+  estimatedMinutes: string;
+  priority: string;
+  isActive: boolean;
+}
+
+const emptyForm: ZoneForm = {
+  name: '',
+  type: 'radius',
+  polygon: [],
+  minKm: '0',
+  maxKm: '5',
+  deliveryFee: '3.99',
+  freeDeliveryOver: '',
+  minimumOrder: '0',
+  estimatedMinutes: '45',
+  priority: '0',
+  isActive: true
+};
+
+const toForm = (zone: DeliveryZone): ZoneForm => ({
+  name: zone.name,
+  type: zone.type,
+  polygon: (zone.polygon || []).map(point => ({
+    latitude: String(point.latitude),
+    longitude: String(point.longitude)
+  })),
+  minKm: String(zone.radius?.minKm ?? 0),
+  maxKm: String(zone.radius?.maxKm ?? ''),
+  deliveryFee: String(zone.deliveryFee),
+  freeDeliveryOver: zone.freeDeliveryOver != null ? String(zone.freeDeliveryOver) : '',
+  minimumOrder: String(zone.minimumOrder ?? 0),
+  estimatedMinutes: String(zone.estimatedMinutes),
+  priority: String(zone.priority ?? 0),
+  isActive: zone.isActive
+});
+
+const toInput = (form: ZoneForm): DeliveryZoneInput => ({
+  name: form.name.trim(),
+  type: form.type,
+  polygon: form.type === 'polygon'
+    ? form.polygon.map(point => ({
+      latitude: parseFloat(point.latitude),
+      longitude: parseFloat(point.longitude)
+    }))
+    : undefined,
+  radius: form.type === 'radius'
+    ? { minKm: parseFloat(form.minKm) || 0, maxKm: parseFloat(form.maxKm) }
+    : undefined,
+  deliveryFee: parseFloat(form.deliveryFee),
+  freeDeliveryOver: form.freeDeliveryOver === '' ? null : parseFloat(form.freeDeliveryOver),
+  minimumOrder: parseFloat(form.minimumOrder) || 0,
+  estimatedMinutes: parseInt(form.estimatedMinutes, 10),
+  priority: parseInt(form.priority, 10) || 0,
+  isActive: form.isActive
+});
+
+export const DeliveryZoneDialog: React.FC<DeliveryZoneDialogProps> = ({
+  zone,
+  restaurantLocation,
+  isOpen,
+  onClose
+}) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [form, setForm] = useState<ZoneForm>(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Reset the form whenever the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(zone ? toForm(zone) : emptyForm);
+    }
+  }, [isOpen, zone]);
+
+  const input = toInput(form);
+  const polygonValid = form.type !== 'polygon' || (
+    input.polygon !== undefined &&
+    input.polygon.length >= 3 &&
+    input.polygon.every(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude))
+  );
+  const radiusValid = form.type !== 'radius' || (
+    input.radius !== undefined &&
+    Number.isFinite(input.radius.maxKm) &&
+    input.radius.maxKm > input.radius.minKm
+  );
+  const canSubmit = input.name.length > 0 && polygonValid && radiusValid &&
+    Number.isFinite(input.deliveryFee) && input.deliveryFee >= 0 &&
+    Number.isFinite(input.estimatedMinutes) && input.estimatedMinutes > 0;
+
+  const updatePoint = (index: number, field: 'latitude' | 'longitude', value: string) => {
+    setForm({
+      ...form,
+      polygon: form.polygon.map((point, i) => (i === index ? { ...point, [field]: value } : point))
+    });
+  };
+
+  const addPoint = () => {
+    setForm({ ...form, polygon: [...form.polygon, { latitude: '', longitude: '' }] });
+  };
+
+  const removePoint = (index: number) => {
+    setForm({ ...form, polygon: form.polygon.filter((_, i) => i !== index) });
+  };
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+
+    try {
+      if (zone) {
+        await dispatch(updateDeliveryZone({ id: zone._id, zoneData: input })).unwrap();
+      } else {
+        await dispatch(createDeliveryZone(input)).unwrap();
+      }
+
+      showAlert(
+        `Delivery zone "${input.name}" has been saved`,
+        'success',
+        zone ? 'Zone Updated' : 'Zone Created'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to save delivery zone',
+        'error',
+        'Save Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{zone ? `Edit Zone - ${zone.name}` : 'New Delivery Zone'}</DialogTitle>
+          <DialogDescription>
+            Addresses are matched offline against the zone shape. Where zones overlap, the highest priority wins.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="zone-name">Name</Label>
+              <Input
+                id="zone-name"
+                value={form.name}
+                maxLength={50}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Downtown"
+              />
+            </div>
+
+            <ToggleGroup
+              type="single"
+              value={form.type}
+              onValueChange={(value) => value && setForm({ ...form, type: value as DeliveryZone['type'] })}
+              className="justify-start"
+            >
+              <ToggleGroupItem value="radius">Radius ring</ToggleGroupItem>
+              <ToggleGroupItem value="polygon">Polygon</ToggleGroupItem>
+            </ToggleGroup>
+
+            {form.type === 'radius' ? (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="zone-min-km">From (km)</Label>
+                  <Input
+                    id="zone-min-km"
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.minKm}
+                    onChange={(e) => setForm({ ...form, minKm: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="zone-max-km">To (km)</Label>
+                  <Input
+                    id="zone-max-km"
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={form.maxKm}
+                    onChange={(e) => setForm({ ...form, maxKm: e.target.value })}
+                  />
+                </div>
+                {!radiusValid && (
+                  <p className="col-span-2 text-sm text-destructive">The outer radius must be larger than the inner one</p>
+                )}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <Label>Vertices (latitude, longitude)</Label>
+                {form.polygon.map((point, index) => (
+                  <div key={index} className="flex gap-2 items-center">
+                    <span className="w-6 text-sm text-muted-foreground">{index + 1}</span>
+                    <Input
+                      type="number"
+                      step="0.000001"
+                      value={point.latitude}
+                      onChange={(e) => updatePoint(index, 'latitude', e.target.value)}
+                      placeholder="Latitude"
+                    />
+                    <Input
+                      type="number"
+                      step="0.000001"
+                      value={point.longitude}
+                      onChange={(e) => updatePoint(index, 'longitude', e.target.value)}
+                      placeholder="Longitude"
+                    />
+                    <Button variant="outline" size="icon" onClick={() => removePoint(index)} aria-label="Remove point">
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                ))}
+                <Button variant="outline" size="sm" onClick={addPoint}>
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Point
+                </Button>
+                {!polygonValid && (
+                  <p className="text-sm text-destructive">A polygon needs at least 3 complete points</p>
+                )}
+              </div>
+            )}
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="zone-fee">Delivery fee ($)</Label>
+                <Input
+                  id="zone-fee"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.deliveryFee}
+                  onChange={(e) => setForm({ ...form, deliveryFee: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zone-free-over">Free delivery from ($)</Label>
+                <Input
+                  id="zone-free-over"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.freeDeliveryOver}
+                  onChange={(e) => setForm({ ...form, freeDeliveryOver: e.target.value })}
+                  placeholder="Never"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zone-minimum">Minimum order ($)</Label>
+                <Input
+                  id="zone-minimum"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minimumOrder}
+                  onChange={(e) => setForm({ ...form, minimumOrder: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zone-eta">Delivery ETA (minutes)</Label>
+                <Input
+                  id="zone-eta"
+                  type="number"
+                  min="1"
+                  max="240"
+                  value={form.estimatedMinutes}
+                  onChange={(e) => setForm({ ...form, estimatedMinutes: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="zone-priority">Priority</Label>
+                <Input
+                  id="zone-priority"
+                  type="number"
+                  step="1"
+                  value={form.priority}
+                  onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                />
+              </div>
+              <div className="flex items-center gap-2 pt-6">
+                <Switch
+                  id="zone-active"
+                  checked={form.isActive}
+                  onCheckedChange={(checked) => setForm({ ...form, isActive: checked })}
+                />
+                <Label htmlFor="zone-active">Active</Label>
+              </div>
+            </div>
+          </div>
+
+          <ZonePreview zones={[input]} restaurantLocation={restaurantLocation} />
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Saving...' : zone ? 'Save Zone' : 'Create Zone'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
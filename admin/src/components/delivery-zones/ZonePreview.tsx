@@ -0,0 +1,111 @@
+import React from 'react';
+import type { DeliveryZoneInput, GeoPoint } from '@/store/slices/deliveryZonesSlice';
+
+interface ZonePreviewProps {
+  zones: Array<Pick<DeliveryZoneInput, 'name' | 'type' | 'polygon' | 'radius' | 'isActive'>>;
+  restaurantLocation: GeoPoint;
+  highlightIndex?: number;
+  size?: number;
+}
+
+const COLORS = ['#d4af37', '#3b82f6', '#10b981', '#ef4444', '#8b5cf6', '#f97316'];
+
+// Approximate kilometres per degree, good enough for a city-sized sketch
+const KM_PER_DEGREE_LAT = 110.574;
+const kmPerDegreeLng = (latitude: number) => 111.32 * Math.cos((latitude * Math.PI) / 180);
+
+/**
+ * Offline sketch of delivery zones around the restaurant (north is up)
+ */
+export const ZonePreview: React.FC<ZonePreviewProps> = ({
+  zones,
+  restaurantLocation,
+  highlightIndex,
+  size = 320
+}) => {
+  const toKm = (point: GeoPoint) => ({
+    x: (point.longitude - restaurantLocation.longitude) * kmPerDegreeLng(restaurantLocation.latitude),
+    y: (point.latitude - restaurantLocation.latitude) * KM_PER_DEGREE_LAT
+  });
+
+  // Fit every shape into the view with a little margin
+  let extent = 1;
+  zones.forEach(zone => {
+    if (zone.type === 'radius' && zone.radius) {
+      extent = Math.max(extent, zone.radius.maxKm || 0);
+    } else if (zone.polygon) {
+      zone.polygon.forEach(point => {
+        const { x, y } = toKm(point);
+        if (Number.isFinite(x) && Number.isFinite(y)) {
+          extent = Math.max(extent, Math.abs(x), Math.abs(y));
+        }
+      });
+    }
+  });
+  extent *= 1.1;
+
+  const scale = size / 2 / extent;
+  const project = (point: GeoPoint) => {
+    const { x, y } = toKm(point);
+    return { x: size / 2 + x * scale, y: size / 2 - y * scale };
+  };
+
+  return (
+    <div className="space-y-2">
+      <svg
+        viewBox={`0 0 ${size} ${size}`}
+        className="w-full max-w-sm border rounded bg-muted/30"
+        role="img"
+        aria-label="Delivery zone preview"
+      >
+        {zones.map((zone, index) => {
+          const color = COLORS[index % COLORS.length];
+          const isHighlighted = highlightIndex === undefined || highlightIndex === index;
+          const common = {
+            stroke: color,
+            strokeWidth: isHighlighted ? 2 : 1,
+            fill: color,
+            fillOpacity: zone.isActive === false ? 0.05 : isHighlighted ? 0.25 : 0.1,
+            strokeDasharray: zone.isActive === false ? '4 3' : undefined
+          };
+
+          if (zone.type === 'radius' && zone.radius) {
+            return (
+              <g key={index}>
+                <circle cx={size / 2} cy={size / 2} r={(zone.radius.maxKm || 0) * scale} {...common} />
+                {zone.radius.minKm > 0 && (
+                  <circle
+                    cx={size / 2}
+                    cy={size / 2}
+                    r={zone.radius.minKm * scale}
+                    fill="white"
+                    fillOpacity={0.6}
+                    stroke={color}
+                    strokeDasharray="2 2"
+                  />
+                )}
+              </g>
+            );
+          }
+
+          const points = (zone.polygon || [])
+            .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude))
+            .map(point => {
+              const { x, y } = project(point);
+              return `${x},${y}`;
+            })
+            .join(' ');
+
+          return <polygon key={index} points={points} {...common} />;
+        })}
+
+        {/* Restaurant */}
+        <circle cx={size / 2} cy={size / 2} r={4} fill="#111827" />
+      </svg>
+      <p className="text-xs text-muted-foreground">
+        Restaurant at {restaurantLocation.latitude.toFixed(4)}, {restaurantLocation.longitude.toFixed(4)} •
+        view is {(extent * 2).toFixed(1)} km across
+      </p>
+    </div>
+  );
+};
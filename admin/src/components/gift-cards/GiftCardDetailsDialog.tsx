@@ -0,0 +1,295 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { Mail, Power } from 'lucide-react';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchGiftCard,
+  adjustGiftCard,
+  updateGiftCardStatus,
+  resendGiftCard,
+  clearError,
+  clearSelectedGiftCard,
+  type GiftCard,
+  type GiftCardTransactionType
+} from '@/store/slices/giftCardsSlice';
+
+interface GiftCardDetailsDialogProps {
+  giftCard: GiftCard | null;
+  canManage: boolean;
+  onClose: () => void;
+}
+
+const TRANSACTION_LABELS: Record<GiftCardTransactionType, string> = {
+  issue: 'Issued',
+  redeem: 'Redeemed',
+  restore: 'Returned',
+  refund: 'Refunded',
+  adjust: 'Adjustment',
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+export const GiftCardDetailsDialog: React.FC<GiftCardDetailsDialogProps> = ({ giftCard, canManage, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const { selected, transactions, isLoadingDetails, isSaving, error } = useAppSelector((state) => state.giftCards);
+
+  const [mode, setMode] = useState<'add' | 'remove'>('add');
+  const [amount, setAmount] = useState('');
+  const [reason, setReason] = useState('');
+
+  // Keyed on the id so list refreshes after an adjustment don't reload the ledger
+  const giftCardId = giftCard?._id;
+
+  useEffect(() => {
+    if (giftCardId) {
+      setMode('add');
+      setAmount('');
+      setReason('');
+      dispatch(fetchGiftCard(giftCardId));
+    } else {
+      dispatch(clearSelectedGiftCard());
+    }
+  }, [giftCardId, dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  // Fall back to the list row until the full card has loaded
+  const card = selected && giftCard && selected._id === giftCard._id ? selected : giftCard;
+  const value = parseFloat(amount);
+  const canAdjust = Number.isFinite(value) && value > 0 && reason.trim().length >= 3 &&
+    (mode === 'add' || (card !== null && value <= card.balance));
+
+  const handleAdjust = async () => {
+    if (!card || !canAdjust) return;
+
+    try {
+      const result = await dispatch(adjustGiftCard({
+        id: card._id,
+        amount: Math.round((mode === 'add' ? value : -value) * 100) / 100,
+        reason: reason.trim()
+      })).unwrap();
+
+      showAlert(
+        `${result.giftCard.code} now has ${formatCurrency(result.giftCard.balance)}`,
+        'success',
+        'Balance Adjusted'
+      );
+      setAmount('');
+      setReason('');
+    } catch (adjustError) {
+      showAlert(
+        typeof adjustError === 'string' ? adjustError : 'Failed to adjust gift card',
+        'error',
+        'Adjustment Failed'
+      );
+    }
+  };
+
+  const handleToggleStatus = async () => {
+    if (!card) return;
+
+    try {
+      const updated = await dispatch(updateGiftCardStatus({
+        id: card._id,
+        status: card.status === 'disabled' ? 'active' : 'disabled'
+      })).unwrap();
+
+      showAlert(
+        `${updated.code} has been ${updated.status === 'active' ? 'enabled' : 'disabled'}`,
+        'success',
+        'Gift Card Updated'
+      );
+    } catch (statusError) {
+      showAlert(
+        typeof statusError === 'string' ? statusError : 'Failed to update gift card',
+        'error',
+        'Update Failed'
+      );
+    }
+  };
+
+  const handleResend = async () => {
+    if (!card) return;
+
+    try {
+      const message = await dispatch(resendGiftCard(card._id)).unwrap();
+      showAlert(message, 'success', 'Email Sent');
+    } catch (resendError) {
+      showAlert(
+        typeof resendError === 'string' ? resendError : 'Failed to resend gift card',
+        'error',
+        'Email Failed'
+      );
+    }
+  };
+
+  return (
+    <Dialog open={!!giftCard} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="font-mono">{card?.code}</DialogTitle>
+          <DialogDescription>
+            {card
+              ? `${formatCurrency(card.balance)} of ${formatCurrency(card.initialBalance)} left • ` +
+                `${card.recipientName ? `${card.recipientName} <${card.recipientEmail}>` : card.recipientEmail}` +
+                (card.expiresAt ? ` • expires ${new Date(card.expiresAt).toLocaleDateString()}` : '')
+              : 'Balance and history'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {card && (
+          <div className="space-y-1 text-sm">
+            {card.kind === 'store_credit' ? (
+              <div>
+                Store credit issued by {card.issuedBy?.name || 'staff'}
+                {card.reason && <span className="text-muted-foreground"> - {card.reason}</span>}
+              </div>
+            ) : (
+              <div>
+                Bought by {card.purchaser?.name || card.senderName || 'a customer'}
+                {card.paidAt && <span className="text-muted-foreground"> on {new Date(card.paidAt).toLocaleDateString()}</span>}
+              </div>
+            )}
+            {card.message && <div className="italic text-muted-foreground">"{card.message}"</div>}
+            <div className="text-muted-foreground">
+              {card.deliveredAt
+                ? `Emailed ${new Date(card.deliveredAt).toLocaleString()}`
+                : card.status === 'pending' ? 'Awaiting payment' : 'Not emailed yet'}
+            </div>
+          </div>
+        )}
+
+        {card && card.status !== 'pending' && (
+          <div className="flex flex-wrap gap-2">
+            <Button variant="outline" size="sm" onClick={handleResend} disabled={isSaving}>
+              <Mail className="h-4 w-4 mr-2" />
+              Resend Email
+            </Button>
+            {canManage && (
+              <Button variant="outline" size="sm" onClick={handleToggleStatus} disabled={isSaving}>
+                <Power className="h-4 w-4 mr-2" />
+                {card.status === 'disabled' ? 'Enable' : 'Disable'}
+              </Button>
+            )}
+          </div>
+        )}
+
+        {canManage && card && card.status !== 'pending' && (
+          <div className="space-y-3 rounded-md border p-4">
+            <ToggleGroup
+              type="single"
+              value={mode}
+              onValueChange={(next) => next && setMode(next as 'add' | 'remove')}
+              className="justify-start"
+            >
+              <ToggleGroupItem value="add">Add funds</ToggleGroupItem>
+              <ToggleGroupItem value="remove">Remove funds</ToggleGroupItem>
+            </ToggleGroup>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="gift-card-amount">Amount ($)</Label>
+                <Input
+                  id="gift-card-amount"
+                  type="number"
+                  min="0.01"
+                  step="0.01"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2 sm:col-span-2">
+                <Label htmlFor="gift-card-reason">Reason</Label>
+                <Input
+                  id="gift-card-reason"
+                  value={reason}
+                  maxLength={200}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. Balance correction"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={handleAdjust} disabled={!canAdjust || isSaving}>
+                {isSaving ? 'Saving...' : mode === 'add' ? 'Add Funds' : 'Remove Funds'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {isLoadingDetails ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : transactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No activity yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Details</TableHead>
+                <TableHead className="text-right">Amount</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {transactions.map((transaction) => (
+                <TableRow key={transaction._id}>
+                  <TableCell>{new Date(transaction.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Badge variant={transaction.type === 'adjust' ? 'outline' : 'secondary'}>
+                      {TRANSACTION_LABELS[transaction.type]}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    {transaction.order?.orderNumber && <div>Order {transaction.order.orderNumber}</div>}
+                    {transaction.reason && <div className="text-sm">{transaction.reason}</div>}
+                    {transaction.createdBy && (
+                      <div className="text-xs text-muted-foreground">by {transaction.createdBy.name}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className={`text-right font-medium ${transaction.amount > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {transaction.amount > 0 ? '+' : '-'}{formatCurrency(Math.abs(transaction.amount))}
+                  </TableCell>
+                  <TableCell className="text-right">{formatCurrency(transaction.balance)}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,189 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { useAppDispatch, useAppSelector } from '@/store';
+import { issueStoreCredit } from '@/store/slices/giftCardsSlice';
+import { useAlert } from '@/hooks/useAlert';
+
+interface StoreCreditDialogProps {
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface StoreCreditForm {
+  amount: string;
+  recipientName: string;
+  recipientEmail: string;
+  reason: string;
+  message: string;
+  expiresAt: string;
+}
+
+const emptyForm: StoreCreditForm = {
+  amount: '',
+  recipientName: '',
+  recipientEmail: '',
+  reason: '',
+  message: '',
+  expiresAt: ''
+};
+
+const MAX_STORE_CREDIT = 1000;
+
+export const StoreCreditDialog: React.FC<StoreCreditDialogProps> = ({ isOpen, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const { isSaving } = useAppSelector((state) => state.giftCards);
+  const [form, setForm] = useState<StoreCreditForm>(emptyForm);
+
+  // Reset the form whenever the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(emptyForm);
+    }
+  }, [isOpen]);
+
+  const amount = parseFloat(form.amount);
+  const amountValid = Number.isFinite(amount) && amount > 0 && amount <= MAX_STORE_CREDIT;
+  const emailValid = /^\S+@\S+\.\S+$/.test(form.recipientEmail.trim());
+  const expiryValid = !form.expiresAt || new Date(form.expiresAt) > new Date();
+  const canSubmit = amountValid && emailValid && expiryValid && form.reason.trim().length >= 3;
+
+  const handleSubmit = async () => {
+    try {
+      const result = await dispatch(issueStoreCredit({
+        amount: Math.round(amount * 100) / 100,
+        recipientName: form.recipientName.trim() || undefined,
+        recipientEmail: form.recipientEmail.trim(),
+        reason: form.reason.trim(),
+        message: form.message.trim() || undefined,
+        // End of the chosen day in the admin's time zone
+        expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`).toISOString() : null
+      })).unwrap();
+
+      showAlert(
+        result.message,
+        result.delivered ? 'success' : 'error',
+        'Store Credit Issued'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to issue store credit',
+        'error',
+        'Issue Failed'
+      );
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Issue Store Credit</DialogTitle>
+          <DialogDescription>
+            The customer is emailed a code they can use at checkout, just like a gift card.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="credit-amount">Amount ($)</Label>
+              <Input
+                id="credit-amount"
+                type="number"
+                min="0.01"
+                max={MAX_STORE_CREDIT}
+                step="0.01"
+                value={form.amount}
+                onChange={(e) => setForm({ ...form, amount: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="credit-expires">Expires</Label>
+              <Input
+                id="credit-expires"
+                type="date"
+                value={form.expiresAt}
+                onChange={(e) => setForm({ ...form, expiresAt: e.target.value })}
+              />
+            </div>
+            {form.amount !== '' && !amountValid && (
+              <p className="col-span-2 text-sm text-destructive">
+                Enter an amount above $0 and no more than ${MAX_STORE_CREDIT}
+              </p>
+            )}
+            {!expiryValid && (
+              <p className="col-span-2 text-sm text-destructive">The expiry must be in the future</p>
+            )}
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="credit-name">Customer name</Label>
+              <Input
+                id="credit-name"
+                value={form.recipientName}
+                maxLength={100}
+                onChange={(e) => setForm({ ...form, recipientName: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="credit-email">Customer email</Label>
+              <Input
+                id="credit-email"
+                type="email"
+                value={form.recipientEmail}
+                onChange={(e) => setForm({ ...form, recipientEmail: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="credit-reason">Reason</Label>
+            <Input
+              id="credit-reason"
+              value={form.reason}
+              maxLength={200}
+              onChange={(e) => setForm({ ...form, reason: e.target.value })}
+              placeholder="e.g. Order arrived cold"
+            />
+            <p className="text-xs text-muted-foreground">Only staff see the reason.</p>
+          </div>
+
+          <div className="space-y-2">
+            <Label htmlFor="credit-message">Message to the customer</Label>
+            <Textarea
+              id="credit-message"
+              value={form.message}
+              maxLength={500}
+              rows={3}
+              onChange={(e) => setForm({ ...form, message: e.target.value })}
+              placeholder="Sorry about your last order - dinner is on us next time."
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSaving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSaving}>
+            {isSaving ? 'Issuing...' : 'Issue Credit'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,137 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useAppDispatch } from '@/store';
+import { adjustIngredient, type Ingredient } from '@/store/slices/inventorySlice';
+import { useAlert } from '@/hooks/useAlert';
+import { formatQuantity } from '@/utils/inventoryUtils';
+
+interface AdjustStockDialogProps {
+  ingredient: Ingredient | null;
+  onClose: () => void;
+}
+
+type AdjustMode = 'add' | 'remove' | 'count';
+
+const MODE_LABELS: Record<AdjustMode, string> = {
+  add: 'Quantity received',
+  remove: 'Quantity used or wasted',
+  count: 'Counted stock',
+};
+
+export const AdjustStockDialog: React.FC<AdjustStockDialogProps> = ({ ingredient, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [mode, setMode] = useState<AdjustMode>('add');
+  const [quantity, setQuantity] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (ingredient) {
+      setMode('add');
+      setQuantity('');
+    }
+  }, [ingredient]);
+
+  const amount = parseFloat(quantity);
+  const resultingStock = !ingredient || !Number.isFinite(amount)
+    ? null
+    : mode === 'add' ? ingredient.onHand + amount
+      : mode === 'remove' ? ingredient.onHand - amount
+        : amount;
+  const canSubmit = resultingStock !== null && amount >= 0 && resultingStock >= 0;
+
+  const handleSubmit = async () => {
+    if (!ingredient) return;
+    setIsSubmitting(true);
+
+    try {
+      const change = mode === 'count'
+        ? { onHand: amount }
+        : { adjustment: mode === 'add' ? amount : -amount };
+      const updated = await dispatch(adjustIngredient({ id: ingredient._id, change })).unwrap();
+
+      showAlert(
+        `${updated.name} now has ${formatQuantity(updated.onHand, updated.unit)} in stock`,
+        'success',
+        'Stock Updated'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to update stock',
+        'error',
+        'Update Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={!!ingredient} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Update Stock - {ingredient?.name}</DialogTitle>
+          <DialogDescription>
+            {ingredient && `Currently ${formatQuantity(ingredient.onHand, ingredient.unit)} in stock.`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <ToggleGroup
+            type="single"
+            value={mode}
+            onValueChange={(value) => value && setMode(value as AdjustMode)}
+            className="justify-start"
+          >
+            <ToggleGroupItem value="add">Restock</ToggleGroupItem>
+            <ToggleGroupItem value="remove">Write off</ToggleGroupItem>
+            <ToggleGroupItem value="count">Stocktake</ToggleGroupItem>
+          </ToggleGroup>
+
+          <div className="space-y-2">
+            <Label htmlFor="adjust-quantity">
+              {MODE_LABELS[mode]}{ingredient && ` (${ingredient.unit})`}
+            </Label>
+            <Input
+              id="adjust-quantity"
+              type="number"
+              min="0"
+              step="any"
+              value={quantity}
+              onChange={(e) => setQuantity(e.target.value)}
+            />
+          </div>
+
+          {ingredient && resultingStock !== null && (
+            <p className={`text-sm ${resultingStock < 0 ? 'text-destructive' : 'text-muted-foreground'}`}>
+              {resultingStock < 0
+                ? `Only ${formatQuantity(ingredient.onHand, ingredient.unit)} in stock`
+                : `Stock after update: ${formatQuantity(resultingStock, ingredient.unit)}`}
+            </p>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Saving...' : 'Update Stock'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,193 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAppDispatch } from '@/store';
+import {
+  createIngredient,
+  updateIngredient,
+  type Ingredient,
+  type IngredientInput,
+  type IngredientUnit
+} from '@/store/slices/inventorySlice';
+import { useAlert } from '@/hooks/useAlert';
+import { INGREDIENT_UNITS } from '@/utils/inventoryUtils';
+
+interface IngredientDialogProps {
+  ingredient: Ingredient | null;
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface IngredientForm {
+  name: string;
+  unit: IngredientUnit;
+  onHand: string;
+  lowStockThreshold: string;
+  isActive: boolean;
+}
+
+const emptyForm: IngredientForm = {
+  name: '',
+  unit: 'g',
+  onHand: '0',
+  lowStockThreshold: '0',
+  isActive: true
+};
+
+const toForm = (ingredient: Ingredient): IngredientForm => ({
+  name: ingredient.name,
+  unit: ingredient.unit,
+  onHand: String(ingredient.onHand),
+  lowStockThreshold: String(ingredient.lowStockThreshold),
+  isActive: ingredient.isActive
+});
+
+export const IngredientDialog: React.FC<IngredientDialogProps> = ({ ingredient, isOpen, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [form, setForm] = useState<IngredientForm>(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Reset the form whenever the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(ingredient ? toForm(ingredient) : emptyForm);
+    }
+  }, [isOpen, ingredient]);
+
+  const input: IngredientInput = {
+    name: form.name.trim(),
+    unit: form.unit,
+    lowStockThreshold: parseFloat(form.lowStockThreshold),
+    isActive: form.isActive,
+    // Stock on an existing ingredient is changed through an adjustment
+    onHand: ingredient ? undefined : parseFloat(form.onHand)
+  };
+  const canSubmit = input.name.length > 0 &&
+    Number.isFinite(input.lowStockThreshold) && input.lowStockThreshold >= 0 &&
+    (input.onHand === undefined || (Number.isFinite(input.onHand) && input.onHand >= 0));
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+
+    try {
+      if (ingredient) {
+        await dispatch(updateIngredient({ id: ingredient._id, ingredientData: input })).unwrap();
+      } else {
+        await dispatch(createIngredient(input)).unwrap();
+      }
+
+      showAlert(
+        `Ingredient "${input.name}" has been saved`,
+        'success',
+        ingredient ? 'Ingredient Updated' : 'Ingredient Created'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to save ingredient',
+        'error',
+        'Save Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{ingredient ? `Edit Ingredient - ${ingredient.name}` : 'New Ingredient'}</DialogTitle>
+          <DialogDescription>
+            Menu items whose recipe needs more than is in stock are taken off the menu automatically.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="space-y-2">
+            <Label htmlFor="ingredient-name">Name</Label>
+            <Input
+              id="ingredient-name"
+              value={form.name}
+              maxLength={100}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              placeholder="Paneer"
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-3">
+            <div className="space-y-2">
+              <Label htmlFor="ingredient-unit">Unit</Label>
+              <Select
+                value={form.unit}
+                onValueChange={(value) => setForm({ ...form, unit: value as IngredientUnit })}
+              >
+                <SelectTrigger id="ingredient-unit">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {INGREDIENT_UNITS.map(unit => (
+                    <SelectItem key={unit.value} value={unit.value}>{unit.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {!ingredient && (
+              <div className="space-y-2">
+                <Label htmlFor="ingredient-on-hand">Opening stock</Label>
+                <Input
+                  id="ingredient-on-hand"
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={form.onHand}
+                  onChange={(e) => setForm({ ...form, onHand: e.target.value })}
+                />
+              </div>
+            )}
+            <div className="space-y-2">
+              <Label htmlFor="ingredient-threshold">Low stock at</Label>
+              <Input
+                id="ingredient-threshold"
+                type="number"
+                min="0"
+                step="any"
+                value={form.lowStockThreshold}
+                onChange={(e) => setForm({ ...form, lowStockThreshold: e.target.value })}
+              />
+            </div>
+            <div className="flex items-center gap-2 pt-6">
+              <Switch
+                id="ingredient-active"
+                checked={form.isActive}
+                onCheckedChange={(checked) => setForm({ ...form, isActive: checked })}
+              />
+              <Label htmlFor="ingredient-active">Active</Label>
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Saving...' : ingredient ? 'Save Ingredient' : 'Create Ingredient'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -13,12 +13,17 @@ import {
 import {
   LayoutDashboard,
   FolderOpen,
+  Package,
   ShoppingCart,
   Users,
   MapPin,
+  Clock,
   BarChart3,
+  Ticket,
+  Gift,
   Utensils,
   Menu as MenuIcon,
+  Settings as SettingsIcon,
 } from 'lucide-react';
 import { useAuth } from '@/hooks/useAuth';
 import logo from '../../assets/logo.png';
@@ -48,6 +53,12 @@ const navItems: NavItem[] = [
     icon: FolderOpen,
     roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
   },
+  {
+    title: 'Inventory',
+    url: '/inventory',
+    icon: Package,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
   {
     title: 'Orders',
     url: '/orders',
@@ -59,11 +70,41 @@ const navItems: NavItem[] = [
     icon: Users,
     roles: ['super-admin'],
   },
+  {
+    title: 'Promotions',
+    url: '/promotions',
+    icon: Ticket,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
+  {
+    title: 'Gift Cards',
+    url: '/gift-cards',
+    icon: Gift,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
   {
     title: 'Reports',
     url: '/reports',
     icon: BarChart3,
   },
+  {
+    title: 'Store Hours',
+    url: '/store-hours',
+    icon: Clock,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
+  {
+    title: 'Delivery Zones',
+    url: '/delivery-zones',
+    icon: MapPin,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
+  {
+    title: 'Settings',
+    url: '/settings',
+    icon: SettingsIcon,
+    roles: ['veg-admin', 'non-veg-admin', 'super-admin'],
+  },
 ];
 
 export const AdminSidebar: React.FC = () => {
@@ -0,0 +1,157 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Plus, Trash2 } from 'lucide-react';
+import type { AvailabilitySchedule, AvailabilityWindow } from '@/store/slices/menuSlice';
+
+interface AvailabilityEditorProps {
+  value: AvailabilitySchedule;
+  onChange: (value: AvailabilitySchedule) => void;
+  subject: string;
+  // Overrides "Only sell this {subject} at certain times"
+  toggleLabel?: string;
+}
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const emptyWindow = (): AvailabilityWindow => ({
+  label: '',
+  days: [1, 2, 3, 4, 5],
+  start: '11:30',
+  end: '14:30',
+});
+
+export const AvailabilityEditor: React.FC<AvailabilityEditorProps> = ({ value, onChange, subject, toggleLabel }) => {
+  const updateWindow = (index: number, changes: Partial<AvailabilityWindow>) => {
+    onChange({
+      ...value,
+      windows: value.windows.map((window, i) => (i === index ? { ...window, ...changes } : window)),
+    });
+  };
+
+  const toggleDay = (index: number, day: number) => {
+    const days = value.windows[index].days;
+    updateWindow(index, {
+      days: days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort((a, b) => a - b),
+    });
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center space-x-2">
+        <Switch
+          id="availability-scheduled"
+          checked={value.isScheduled}
+          onCheckedChange={(checked) => onChange({ ...value, isScheduled: checked })}
+        />
+        <Label htmlFor="availability-scheduled">{toggleLabel || `Only sell this ${subject} at certain times`}</Label>
+      </div>
+
+      {value.isScheduled && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="space-y-1">
+              <Label htmlFor="availability-start-date" className="text-sm">From date</Label>
+              <Input
+                id="availability-start-date"
+                type="date"
+                value={value.startDate || ''}
+                onChange={(e) => onChange({ ...value, startDate: e.target.value || undefined })}
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="availability-end-date" className="text-sm">Until date</Label>
+              <Input
+                id="availability-end-date"
+                type="date"
+                value={value.endDate || ''}
+                onChange={(e) => onChange({ ...value, endDate: e.target.value || undefined })}
+              />
+            </div>
+          </div>
+
+          {value.windows.length === 0 && (
+            <p className="text-sm text-muted-foreground">
+              No time windows, so it can be ordered any time the restaurant is open between these dates.
+            </p>
+          )}
+
+          {value.windows.map((window, index) => (
+            <div key={index} className="space-y-3 rounded border p-4">
+              <div className="flex items-end gap-2">
+                <div className="flex-1 space-y-1">
+                  <Label htmlFor={`availability-label-${index}`} className="text-sm">Label</Label>
+                  <Input
+                    id={`availability-label-${index}`}
+                    placeholder="e.g. Lunch buffet"
+                    value={window.label || ''}
+                    onChange={(e) => updateWindow(index, { label: e.target.value })}
+                  />
+                </div>
+                <Button
+                  type="button"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => onChange({ ...value, windows: value.windows.filter((_, i) => i !== index) })}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+
+              <div className="flex flex-wrap gap-1">
+                {DAY_LABELS.map((label, day) => (
+                  <Button
+                    key={label}
+                    type="button"
+                    size="sm"
+                    variant={window.days.includes(day) ? 'default' : 'outline'}
+                    onClick={() => toggleDay(index, day)}
+                  >
+                    {label}
+                  </Button>
+                ))}
+              </div>
+
+              <div className="flex flex-wrap items-end gap-4">
+                <div className="space-y-1">
+                  <Label htmlFor={`availability-start-${index}`} className="text-sm">Start</Label>
+                  <Input
+                    id={`availability-start-${index}`}
+                    type="time"
+                    value={window.start}
+                    onChange={(e) => updateWindow(index, { start: e.target.value })}
+                    className="w-32"
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor={`availability-end-${index}`} className="text-sm">End</Label>
+                  <Input
+                    id={`availability-end-${index}`}
+                    type="time"
+                    value={window.end}
+                    onChange={(e) => updateWindow(index, { end: e.target.value })}
+                    className="w-32"
+                  />
+                </div>
+                {window.days.length === 0 && (
+                  <p className="text-xs text-muted-foreground">No days selected means every day</p>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <Button
+            type="button"
+            variant="outline"
+            onClick={() => onChange({ ...value, windows: [...value.windows, emptyWindow()] })}
+          >
+            <Plus className="mr-2 h-4 w-4" />
+            Add time window
+          </Button>
+        </>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,126 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2, X } from 'lucide-react';
+import type { MenuBundleSlot } from '@/store/slices/menuSlice';
+
+interface BundleChoice {
+  _id: string;
+  name: string;
+}
+
+interface BundleSlotsEditorProps {
+  slots: MenuBundleSlot[];
+  onChange: (slots: MenuBundleSlot[]) => void;
+  items: BundleChoice[];
+  categories: BundleChoice[];
+}
+
+const getId = (ref: string | BundleChoice) => (typeof ref === 'string' ? ref : ref._id);
+
+export const BundleSlotsEditor: React.FC<BundleSlotsEditorProps> = ({ slots, onChange, items, categories }) => {
+  const updateSlot = (index: number, changes: Partial<MenuBundleSlot>) => {
+    onChange(slots.map((slot, i) => (i === index ? { ...slot, ...changes } : slot)));
+  };
+
+  const getName = (choices: BundleChoice[], ref: string | BundleChoice) => {
+    const match = choices.find(choice => choice._id === getId(ref));
+    return match ? match.name : (typeof ref === 'string' ? ref : ref.name);
+  };
+
+  const renderPicker = (
+    slotIndex: number,
+    field: 'eligibleCategories' | 'eligibleItems',
+    label: string,
+    choices: BundleChoice[]
+  ) => {
+    const selected = slots[slotIndex][field].map(getId);
+
+    return (
+      <div className="space-y-2">
+        <Label className="text-sm">{label}</Label>
+        <Select
+          value=""
+          onValueChange={(value) => updateSlot(slotIndex, { [field]: [...selected, value] })}
+        >
+          <SelectTrigger>
+            <SelectValue placeholder={`Add ${label.toLowerCase()}...`} />
+          </SelectTrigger>
+          <SelectContent>
+            {choices
+              .filter(choice => !selected.includes(choice._id))
+              .map(choice => (
+                <SelectItem key={choice._id} value={choice._id}>
+                  {choice.name}
+                </SelectItem>
+              ))}
+          </SelectContent>
+        </Select>
+        <div className="flex flex-wrap gap-2">
+          {slots[slotIndex][field].map(ref => (
+            <Badge key={getId(ref)} variant="secondary" className="flex items-center gap-1">
+              {getName(choices, ref)}
+              <button
+                type="button"
+                onClick={() => updateSlot(slotIndex, { [field]: selected.filter(id => id !== getId(ref)) })}
+              >
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      {slots.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No slots yet. Add one for each part of the combo, e.g. "Any dosa", "Any drink" and "Dessert".
+        </p>
+      )}
+
+      {slots.map((slot, slotIndex) => (
+        <div key={slot._id || slotIndex} className="space-y-3 rounded border p-4">
+          <div className="flex items-end gap-2">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor={`bundle-slot-${slotIndex}`}>Slot name</Label>
+              <Input
+                id={`bundle-slot-${slotIndex}`}
+                placeholder="e.g. Any dosa"
+                value={slot.name}
+                onChange={(e) => updateSlot(slotIndex, { name: e.target.value })}
+              />
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => onChange(slots.filter((_, i) => i !== slotIndex))}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {renderPicker(slotIndex, 'eligibleCategories', 'Categories', categories)}
+            {renderPicker(slotIndex, 'eligibleItems', 'Items', items)}
+          </div>
+        </div>
+      ))}
+
+      <Button
+        type="button"
+        variant="outline"
+        onClick={() => onChange([...slots, { name: '', eligibleItems: [], eligibleCategories: [] }])}
+      >
+        <Plus className="mr-2 h-4 w-4" />
+        Add slot
+      </Button>
+    </div>
+  );
+};
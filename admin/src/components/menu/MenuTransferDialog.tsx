@@ -0,0 +1,230 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { Download, Upload } from 'lucide-react';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  exportMenuFile,
+  checkMenuImport,
+  applyMenuImport,
+  clearImportReport,
+  type MenuTransferEntity,
+  type MenuTransferFormat,
+} from '@/store/slices/menuTransferSlice';
+import { useAlert } from '@/hooks/useAlert';
+
+interface MenuTransferDialogProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  canImport: boolean;
+  onImported: () => void;
+}
+
+const ENTITY_LABELS: Record<MenuTransferEntity, string> = {
+  categories: 'Categories',
+  'spicy-levels': 'Spicy levels',
+  preparations: 'Preparations',
+  'menu-items': 'Menu items (with sizes and add-ons)',
+};
+
+export const MenuTransferDialog: React.FC<MenuTransferDialogProps> = ({ open, onOpenChange, canImport, onImported }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const { report, isExporting, isChecking, isImporting, error } = useAppSelector((state) => state.menuTransfer);
+  const [format, setFormat] = useState<MenuTransferFormat>('xlsx');
+  const [exportEntity, setExportEntity] = useState<MenuTransferEntity>('menu-items');
+  const [file, setFile] = useState<File | null>(null);
+  const [importEntity, setImportEntity] = useState<MenuTransferEntity>('menu-items');
+
+  const isCsv = !!file && file.name.toLowerCase().endsWith('.csv');
+  const rowsWithErrors = report ? report.rows.filter(row => row.errors.length > 0) : [];
+
+  useEffect(() => {
+    if (open) {
+      setFile(null);
+      dispatch(clearImportReport());
+    }
+  }, [open, dispatch]);
+
+  const handleExport = async () => {
+    try {
+      await dispatch(exportMenuFile({ format, entity: format === 'csv' ? exportEntity : undefined })).unwrap();
+    } catch (exportError) {
+      showAlert(typeof exportError === 'string' ? exportError : 'Failed to export menu', 'error', 'Export Failed');
+    }
+  };
+
+  const handleFileChange = (event: React.ChangeEvent<HTMLInputElement>) => {
+    setFile(event.target.files?.[0] || null);
+    dispatch(clearImportReport());
+  };
+
+  const handleCheck = () => {
+    if (file) {
+      dispatch(checkMenuImport({ file, entity: importEntity }));
+    }
+  };
+
+  const handleImport = async () => {
+    if (!file) return;
+
+    try {
+      const applied = await dispatch(applyMenuImport({ file, entity: importEntity })).unwrap();
+      showAlert(
+        `Created ${applied.summary.create} and updated ${applied.summary.update} records`,
+        'success',
+        'Import Complete'
+      );
+      onImported();
+    } catch {
+      // The error and row report are shown in the dialog
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import / Export Menu</DialogTitle>
+          <DialogDescription>
+            Move categories, menu items, sizes, add-ons, spicy levels and preparations in and out as CSV or Excel.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-3">
+          <h3 className="font-medium">Export</h3>
+          <div className="flex flex-wrap items-end gap-3">
+            <div className="space-y-1">
+              <Label>Format</Label>
+              <Select value={format} onValueChange={(value) => setFormat(value as MenuTransferFormat)}>
+                <SelectTrigger className="w-[200px]">
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="xlsx">Excel (all sheets)</SelectItem>
+                  <SelectItem value="csv">CSV (one sheet)</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {format === 'csv' && (
+              <div className="space-y-1">
+                <Label>Sheet</Label>
+                <Select value={exportEntity} onValueChange={(value) => setExportEntity(value as MenuTransferEntity)}>
+                  <SelectTrigger className="w-[260px]">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <Button variant="outline" onClick={handleExport} disabled={isExporting}>
+              <Download className="mr-2 h-4 w-4" />
+              {isExporting ? 'Exporting...' : 'Download'}
+            </Button>
+          </div>
+        </div>
+
+        {canImport && (
+          <div className="space-y-3 border-t pt-4">
+            <h3 className="font-medium">Import</h3>
+            <p className="text-sm text-muted-foreground">
+              Start from an export. Categories are matched by slug and everything else by name within its category;
+              matches are updated and the rest created. Blank cells keep current values. Check the file first,
+              then import once every row is valid. If any row fails to save, nothing is imported.
+            </p>
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="space-y-1">
+                <Label htmlFor="menu-import-file">File</Label>
+                <Input id="menu-import-file" type="file" accept=".csv,.xlsx" onChange={handleFileChange} className="w-[260px]" />
+              </div>
+              {isCsv && (
+                <div className="space-y-1">
+                  <Label>Sheet</Label>
+                  <Select
+                    value={importEntity}
+                    onValueChange={(value) => {
+                      setImportEntity(value as MenuTransferEntity);
+                      dispatch(clearImportReport());
+                    }}
+                  >
+                    <SelectTrigger className="w-[260px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(ENTITY_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <Button variant="outline" onClick={handleCheck} disabled={!file || isChecking || isImporting}>
+                {isChecking ? 'Checking...' : 'Check file'}
+              </Button>
+              <Button
+                onClick={handleImport}
+                disabled={!file || !report || report.applied || report.summary.errors > 0 || isChecking || isImporting}
+              >
+                <Upload className="mr-2 h-4 w-4" />
+                {isImporting ? 'Importing...' : 'Import'}
+              </Button>
+            </div>
+
+            {error && <p className="text-sm text-destructive">{error}</p>}
+
+            {report && (
+              <div className="space-y-3">
+                <div className="flex flex-wrap gap-2">
+                  <Badge variant="secondary">{report.summary.create} to create</Badge>
+                  <Badge variant="secondary">{report.summary.update} to update</Badge>
+                  <Badge variant={report.summary.errors > 0 ? 'destructive' : 'secondary'}>
+                    {report.summary.errors} with errors
+                  </Badge>
+                  {report.applied && <Badge className="bg-green-600">Imported</Badge>}
+                </div>
+
+                {rowsWithErrors.length > 0 && (
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Sheet</TableHead>
+                        <TableHead>Row</TableHead>
+                        <TableHead>Name</TableHead>
+                        <TableHead>Problems</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {rowsWithErrors.map(row => (
+                        <TableRow key={`${row.sheet}-${row.row}`}>
+                          <TableCell>{row.sheet}</TableCell>
+                          <TableCell>{row.row}</TableCell>
+                          <TableCell>{row.name || '—'}</TableCell>
+                          <TableCell className="text-sm text-destructive">{row.errors.join('; ')}</TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
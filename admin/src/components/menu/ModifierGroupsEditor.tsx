@@ -0,0 +1,192 @@
+import React, { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Plus, Minus, Trash2 } from 'lucide-react';
+import type { MenuModifierGroup, MenuModifierOption } from '@/store/slices/menuSlice';
+import { NutritionFields } from './NutritionFields';
+import { hasNutrition } from '@/utils/nutritionUtils';
+
+interface ModifierGroupsEditorProps {
+  groups: MenuModifierGroup[];
+  onChange: (groups: MenuModifierGroup[]) => void;
+}
+
+const emptyOption = (): MenuModifierOption => ({ name: '', price: 0, isDefault: false });
+
+const emptyGroup = (): MenuModifierGroup => ({
+  name: '',
+  isRequired: false,
+  minSelections: 0,
+  maxSelections: 1,
+  options: [emptyOption()],
+});
+
+export const ModifierGroupsEditor: React.FC<ModifierGroupsEditorProps> = ({ groups, onChange }) => {
+  // Option whose nutrition fields are open, as "groupIndex-optionIndex"
+  const [nutritionOption, setNutritionOption] = useState<string | null>(null);
+
+  const updateGroup = (index: number, changes: Partial<MenuModifierGroup>) => {
+    onChange(groups.map((group, i) => (i === index ? { ...group, ...changes } : group)));
+  };
+
+  const updateOption = (groupIndex: number, optionIndex: number, changes: Partial<MenuModifierOption>) => {
+    const group = groups[groupIndex];
+    updateGroup(groupIndex, {
+      options: group.options.map((option, i) => (i === optionIndex ? { ...option, ...changes } : option)),
+    });
+  };
+
+  const removeOption = (groupIndex: number, optionIndex: number) => {
+    const group = groups[groupIndex];
+    updateGroup(groupIndex, { options: group.options.filter((_, i) => i !== optionIndex) });
+  };
+
+  return (
+    <div className="space-y-4">
+      {groups.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No modifier groups. Add one for choices like "Choose a chutney (pick 1–2)".
+        </p>
+      )}
+
+      {groups.map((group, groupIndex) => (
+        <div key={group._id || groupIndex} className="space-y-3 rounded border p-4">
+          <div className="flex items-end gap-2">
+            <div className="flex-1 space-y-1">
+              <Label htmlFor={`modifier-group-${groupIndex}`}>Group name</Label>
+              <Input
+                id={`modifier-group-${groupIndex}`}
+                placeholder="e.g. Choose a chutney"
+                value={group.name}
+                onChange={(e) => updateGroup(groupIndex, { name: e.target.value })}
+              />
+            </div>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => onChange(groups.filter((_, i) => i !== groupIndex))}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+
+          <div className="flex flex-wrap items-end gap-4">
+            <div className="flex items-center space-x-2">
+              <Checkbox
+                id={`modifier-required-${groupIndex}`}
+                checked={group.isRequired}
+                onCheckedChange={(checked) => updateGroup(groupIndex, {
+                  isRequired: checked === true,
+                  minSelections: checked === true ? Math.max(group.minSelections, 1) : group.minSelections,
+                })}
+              />
+              <Label htmlFor={`modifier-required-${groupIndex}`}>Required</Label>
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`modifier-min-${groupIndex}`} className="text-sm">Min</Label>
+              <Input
+                id={`modifier-min-${groupIndex}`}
+                type="number"
+                min={group.isRequired ? 1 : 0}
+                onWheel={(e) => e.currentTarget.blur()}
+                value={group.minSelections}
+                onChange={(e) => updateGroup(groupIndex, { minSelections: Math.max(0, Number(e.target.value) || 0) })}
+                className="w-20"
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor={`modifier-max-${groupIndex}`} className="text-sm">Max</Label>
+              <Input
+                id={`modifier-max-${groupIndex}`}
+                type="number"
+                min="1"
+                onWheel={(e) => e.currentTarget.blur()}
+                value={group.maxSelections}
+                onChange={(e) => updateGroup(groupIndex, { maxSelections: Math.max(1, Number(e.target.value) || 1) })}
+                className="w-20"
+              />
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label className="text-sm">Options</Label>
+            {group.options.map((option, optionIndex) => (
+              <div key={option._id || optionIndex} className="space-y-2">
+                <div className="flex items-center gap-2">
+                  <Input
+                    placeholder="Option name"
+                    value={option.name}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, { name: e.target.value })}
+                  />
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    onWheel={(e) => e.currentTarget.blur()}
+                    placeholder="Price"
+                    value={option.price === 0 ? '' : option.price}
+                    onChange={(e) => updateOption(groupIndex, optionIndex, {
+                      price: e.target.value === '' ? 0 : Number(e.target.value),
+                    })}
+                    className="w-24"
+                  />
+                  <div className="flex items-center space-x-1">
+                    <Checkbox
+                      id={`modifier-default-${groupIndex}-${optionIndex}`}
+                      checked={option.isDefault}
+                      onCheckedChange={(checked) => updateOption(groupIndex, optionIndex, { isDefault: checked === true })}
+                    />
+                    <Label htmlFor={`modifier-default-${groupIndex}-${optionIndex}`} className="text-sm">Default</Label>
+                  </div>
+                  <Button
+                    type="button"
+                    variant={hasNutrition(option.nutritionalInfo) ? 'secondary' : 'ghost'}
+                    size="sm"
+                    onClick={() => setNutritionOption(current =>
+                      current === `${groupIndex}-${optionIndex}` ? null : `${groupIndex}-${optionIndex}`
+                    )}
+                  >
+                    Nutrition
+                  </Button>
+                  <Button
+                    type="button"
+                    variant="outline"
+                    size="sm"
+                    disabled={group.options.length === 1}
+                    onClick={() => removeOption(groupIndex, optionIndex)}
+                  >
+                    <Minus className="h-3 w-3" />
+                  </Button>
+                </div>
+                {nutritionOption === `${groupIndex}-${optionIndex}` && (
+                  <NutritionFields
+                    idPrefix={`modifier-nutrition-${groupIndex}-${optionIndex}`}
+                    value={option.nutritionalInfo}
+                    onChange={(nutritionalInfo) => updateOption(groupIndex, optionIndex, { nutritionalInfo })}
+                  />
+                )}
+              </div>
+            ))}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => updateGroup(groupIndex, { options: [...group.options, emptyOption()] })}
+            >
+              <Plus className="mr-1 h-4 w-4" />
+              Add option
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      <Button type="button" variant="outline" onClick={() => onChange([...groups, emptyGroup()])}>
+        <Plus className="mr-2 h-4 w-4" />
+        Add modifier group
+      </Button>
+    </div>
+  );
+};
@@ -0,0 +1,42 @@
+import React from 'react';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import type { NutritionInfo } from '@/store/slices/menuSlice';
+import { NUTRIENTS } from '@/utils/nutritionUtils';
+
+interface NutritionFieldsProps {
+  idPrefix: string;
+  value?: NutritionInfo;
+  onChange: (value: NutritionInfo) => void;
+}
+
+export const NutritionFields: React.FC<NutritionFieldsProps> = ({ idPrefix, value = {}, onChange }) => {
+  return (
+    <div className="grid grid-cols-2 gap-3 sm:grid-cols-5">
+      {NUTRIENTS.map(nutrient => (
+        <div key={nutrient.key} className="space-y-1">
+          <Label htmlFor={`${idPrefix}-${nutrient.key}`} className="text-xs">
+            {nutrient.label} ({nutrient.unit})
+          </Label>
+          <Input
+            id={`${idPrefix}-${nutrient.key}`}
+            type="number"
+            min="0"
+            step="any"
+            onWheel={(e) => e.currentTarget.blur()}
+            value={value[nutrient.key] ?? ''}
+            onChange={(e) => {
+              const next = { ...value };
+              if (e.target.value === '') {
+                delete next[nutrient.key];
+              } else {
+                next[nutrient.key] = Number(e.target.value);
+              }
+              onChange(next);
+            }}
+          />
+        </div>
+      ))}
+    </div>
+  );
+};
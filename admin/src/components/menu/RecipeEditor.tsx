@@ -0,0 +1,99 @@
+import React from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Plus, Trash2 } from 'lucide-react';
+import type { RecipeLine } from '@/store/slices/menuSlice';
+import type { Ingredient } from '@/store/slices/inventorySlice';
+
+interface RecipeEditorProps {
+  lines: RecipeLine[];
+  ingredients: Ingredient[];
+  onChange: (lines: RecipeLine[]) => void;
+  missingIngredients?: string[];
+}
+
+export const RecipeEditor: React.FC<RecipeEditorProps> = ({ lines, ingredients, onChange, missingIngredients = [] }) => {
+  const updateLine = (index: number, changes: Partial<RecipeLine>) => {
+    onChange(lines.map((line, i) => (i === index ? { ...line, ...changes } : line)));
+  };
+
+  const findIngredient = (id: string) => ingredients.find(ingredient => ingredient._id === id);
+
+  // Each ingredient can only appear once in a recipe
+  const unusedIngredients = (current: string) => ingredients.filter(ingredient =>
+    ingredient._id === current || !lines.some(line => line.ingredient === ingredient._id)
+  );
+
+  if (ingredients.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        Add ingredients on the Inventory page to track stock for this item.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {lines.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No recipe, so this item isn't affected by ingredient stock.
+        </p>
+      )}
+
+      {lines.map((line, index) => {
+        const ingredient = findIngredient(line.ingredient);
+        return (
+          <div key={index} className="flex items-center gap-2">
+            <Select value={line.ingredient} onValueChange={(value) => updateLine(index, { ingredient: value })}>
+              <SelectTrigger className="flex-1">
+                <SelectValue placeholder="Choose ingredient" />
+              </SelectTrigger>
+              <SelectContent>
+                {unusedIngredients(line.ingredient).map(option => (
+                  <SelectItem key={option._id} value={option._id}>{option.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            <Input
+              type="number"
+              min="0"
+              step="any"
+              onWheel={(e) => e.currentTarget.blur()}
+              placeholder="Per serving"
+              value={line.quantity === 0 ? '' : line.quantity}
+              onChange={(e) => updateLine(index, { quantity: e.target.value === '' ? 0 : Number(e.target.value) })}
+              className="w-32"
+            />
+            <span className="w-8 text-sm text-muted-foreground">{ingredient?.unit}</span>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => onChange(lines.filter((_, i) => i !== index))}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        );
+      })}
+
+      {missingIngredients.length > 0 && (
+        <p className="text-sm text-destructive">
+          Not enough {missingIngredients.map(id => findIngredient(id)?.name).filter(Boolean).join(', ')} in stock
+          for a serving, so this item is unavailable until restocked.
+        </p>
+      )}
+
+      <Button
+        type="button"
+        variant="outline"
+        disabled={lines.length >= ingredients.length}
+        onClick={() => onChange([...lines, { ingredient: '', quantity: 0 }])}
+      >
+        <Plus className="mr-2 h-4 w-4" />
+        Add ingredient
+      </Button>
+    </div>
+  );
+};
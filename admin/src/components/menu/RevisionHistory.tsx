@@ -0,0 +1,204 @@
+import React, { useEffect, useState } from 'react';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import { History, Loader2, RotateCcw } from 'lucide-react';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchRevisions,
+  restoreRevision,
+  clearRevisions,
+  type Revision,
+  type RevisionResource,
+} from '@/store/slices/revisionsSlice';
+import { REVISION_ACTIONS, formatRevisionField, formatRevisionValue } from '@/utils/revisionUtils';
+import { useAlert } from '@/hooks/useAlert';
+
+interface RevisionHistoryProps {
+  resource: RevisionResource;
+  resourceId: string;
+  canRestore: boolean;
+}
+
+const ValueCell: React.FC<{ value: unknown }> = ({ value }) => {
+  const text = formatRevisionValue(value);
+  return text.includes('\n') ? (
+    <pre className="max-h-48 max-w-xs overflow-auto whitespace-pre-wrap text-xs">{text}</pre>
+  ) : (
+    <span className="break-words">{text}</span>
+  );
+};
+
+export const RevisionHistory: React.FC<RevisionHistoryProps> = ({ resource, resourceId, canRestore }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const { revisions, pagination, isLoading, restoringId, error } = useAppSelector((state) => state.revisions);
+  const [page, setPage] = useState(1);
+  const [revisionToRestore, setRevisionToRestore] = useState<Revision | null>(null);
+
+  useEffect(() => {
+    dispatch(fetchRevisions({ resource, id: resourceId, page }));
+  }, [dispatch, resource, resourceId, page]);
+
+  useEffect(() => {
+    return () => {
+      dispatch(clearRevisions());
+    };
+  }, [dispatch]);
+
+  const handleRestore = async () => {
+    if (!revisionToRestore) return;
+
+    try {
+      const result = await dispatch(restoreRevision({ resource, id: resourceId, revisionId: revisionToRestore._id })).unwrap();
+      showAlert(
+        result.revision ? 'The previous version has been restored' : 'Nothing to restore; it already matches that version',
+        'success',
+        'Version Restored'
+      );
+      // The restore is the newest revision now
+      if (page === 1) {
+        dispatch(fetchRevisions({ resource, id: resourceId, page: 1 }));
+      } else {
+        setPage(1);
+      }
+    } catch (restoreError) {
+      showAlert(typeof restoreError === 'string' ? restoreError : 'Failed to restore revision', 'error', 'Restore Failed');
+    } finally {
+      setRevisionToRestore(null);
+    }
+  };
+
+  if (isLoading && revisions.length === 0) {
+    return (
+      <div className="flex items-center justify-center py-8">
+        <Loader2 className="h-6 w-6 animate-spin" />
+      </div>
+    );
+  }
+
+  if (error && revisions.length === 0) {
+    return <p className="py-8 text-center text-destructive">{error}</p>;
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="py-8 text-center text-muted-foreground">
+        <History className="mx-auto mb-2 h-8 w-8" />
+        <p>No changes recorded yet</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {revisions.map((revision, index) => {
+        // The newest revision is the current version
+        const isCurrent = page === 1 && index === 0;
+
+        return (
+          <div key={revision._id} className="rounded-lg border p-4 space-y-3">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <Badge variant={revision.action === 'restore' ? 'default' : 'secondary'}>
+                  {REVISION_ACTIONS[revision.action]}
+                </Badge>
+                <span className="text-sm">
+                  {revision.changedBy?.name || 'Unknown user'}
+                </span>
+                <span className="text-sm text-muted-foreground">
+                  {new Date(revision.createdAt).toLocaleString()}
+                </span>
+                {isCurrent && <Badge variant="outline">Current</Badge>}
+              </div>
+              {canRestore && !isCurrent && revision.action !== 'delete' && (
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setRevisionToRestore(revision)}
+                  disabled={!!restoringId}
+                >
+                  {restoringId === revision._id ? (
+                    <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                  ) : (
+                    <RotateCcw className="mr-2 h-4 w-4" />
+                  )}
+                  Restore this version
+                </Button>
+              )}
+            </div>
+
+            {revision.changes.length > 0 && (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead className="w-[160px]">Field</TableHead>
+                    <TableHead>Before</TableHead>
+                    <TableHead>After</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {revision.changes.map(change => (
+                    <TableRow key={change.field}>
+                      <TableCell className="font-medium align-top">{formatRevisionField(change.field)}</TableCell>
+                      <TableCell className="align-top text-muted-foreground"><ValueCell value={change.before} /></TableCell>
+                      <TableCell className="align-top"><ValueCell value={change.after} /></TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </div>
+        );
+      })}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <span className="text-sm text-muted-foreground">
+            Page {pagination.currentPage} of {pagination.totalPages}
+          </span>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1 || isLoading}>
+              Previous
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages || isLoading}
+            >
+              Next
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <AlertDialog open={!!revisionToRestore} onOpenChange={(open) => !open && setRevisionToRestore(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Restore this version?</AlertDialogTitle>
+            <AlertDialogDescription>
+              Fields will be set back to how they were
+              {revisionToRestore && ` on ${new Date(revisionToRestore.createdAt).toLocaleString()}`}.
+              Images are kept as they are now. The restore is recorded, so it can be undone from this history.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleRestore}>Restore</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
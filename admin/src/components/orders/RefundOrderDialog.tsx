@@ -0,0 +1,237 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import { useAppDispatch } from '@/store';
+import { refundOrder, type Order, type OrderRefund } from '@/store/slices/ordersSlice';
+import { useAlert } from '@/hooks/useAlert';
+import { RotateCcw } from 'lucide-react';
+
+interface RefundOrderDialogProps {
+  order: Order | null;
+  isOpen: boolean;
+  onClose: () => void;
+  onSuccess?: () => void;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+const roundCurrency = (amount: number) => Math.round(amount * 100) / 100;
+
+export const RefundOrderDialog: React.FC<RefundOrderDialogProps> = ({
+  order,
+  isOpen,
+  onClose,
+  onSuccess
+}) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [refundType, setRefundType] = useState<OrderRefund['type']>('full');
+  const [amount, setAmount] = useState('');
+  const [itemQuantities, setItemQuantities] = useState<Record<string, number>>({});
+  const [reason, setReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Reset the form whenever the dialog is opened for an order
+  useEffect(() => {
+    if (isOpen) {
+      setRefundType('full');
+      setAmount('');
+      setItemQuantities({});
+      setReason('');
+    }
+  }, [isOpen, order?._id]);
+
+  const refundable = order ? roundCurrency(order.totalPrice - (order.refundAmount || 0)) : 0;
+
+  const itemsTotal = useMemo(() => {
+    if (!order) return 0;
+    return roundCurrency(order.items.reduce((sum, item) => {
+      const quantity = itemQuantities[item._id] || 0;
+      return sum + roundCurrency((item.itemTotal / item.quantity) * quantity);
+    }, 0));
+  }, [order, itemQuantities]);
+
+  if (!order) return null;
+
+  const refundTotal = refundType === 'full'
+    ? refundable
+    : refundType === 'partial'
+      ? roundCurrency(parseFloat(amount) || 0)
+      : itemsTotal;
+
+  const canSubmit = reason.trim().length > 0 && refundTotal > 0 && refundTotal <= refundable;
+
+  const handleQuantityChange = (itemId: string, value: string, max: number) => {
+    const quantity = Math.min(Math.max(parseInt(value, 10) || 0, 0), max);
+    setItemQuantities(prev => ({ ...prev, [itemId]: quantity }));
+  };
+
+  const handleRefund = async () => {
+    setIsSubmitting(true);
+
+    try {
+      await dispatch(refundOrder({
+        orderId: order._id,
+        type: refundType,
+        amount: refundType === 'partial' ? refundTotal : undefined,
+        items: refundType === 'items'
+          ? Object.entries(itemQuantities)
+            .filter(([, quantity]) => quantity > 0)
+            .map(([itemId, quantity]) => ({ itemId, quantity }))
+          : undefined,
+        reason: reason.trim()
+      })).unwrap();
+
+      showAlert(
+        `Refunded ${formatCurrency(refundTotal)} for order ${order.orderNumber}`,
+        'success',
+        'Refund Processed'
+      );
+
+      onClose();
+      if (onSuccess) {
+        onSuccess();
+      }
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to refund order',
+        'error',
+        'Refund Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <RotateCcw className="h-5 w-5" />
+            Refund Order - {order.orderNumber}
+          </DialogTitle>
+          <DialogDescription>
+            Paid {formatCurrency(order.totalPrice)} • Already refunded {formatCurrency(order.refundAmount || 0)} •
+            Refundable {formatCurrency(refundable)}
+            {(order.giftCardAmount ?? 0) > 0 && ' • Gift card amounts are refunded to the card first'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <ToggleGroup
+            type="single"
+            value={refundType}
+            onValueChange={(value) => value && setRefundType(value as OrderRefund['type'])}
+            className="justify-start"
+          >
+            <ToggleGroupItem value="full">Full</ToggleGroupItem>
+            <ToggleGroupItem value="partial">Amount</ToggleGroupItem>
+            <ToggleGroupItem value="items">Items</ToggleGroupItem>
+          </ToggleGroup>
+
+          {refundType === 'partial' && (
+            <div className="space-y-2">
+              <Label htmlFor="refund-amount">Refund amount</Label>
+              <Input
+                id="refund-amount"
+                type="number"
+                min="0.01"
+                step="0.01"
+                max={refundable}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder="0.00"
+              />
+            </div>
+          )}
+
+          {refundType === 'items' && (
+            <div className="space-y-2">
+              {order.items.map((item) => {
+                const available = item.quantity - (item.refundedQuantity || 0);
+                return (
+                  <div key={item._id} className="flex items-center justify-between p-3 border rounded">
+                    <div>
+                      <p className="font-medium">{item.menuName}</p>
+                      <p className="text-sm text-muted-foreground">
+                        {formatCurrency(item.itemTotal / item.quantity)} each • {available} of {item.quantity} refundable
+                      </p>
+                    </div>
+                    <Input
+                      type="number"
+                      min="0"
+                      max={available}
+                      className="w-20"
+                      disabled={available === 0}
+                      value={itemQuantities[item._id] || 0}
+                      onChange={(e) => handleQuantityChange(item._id, e.target.value, available)}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+          )}
+
+          <div className="space-y-2">
+            <Label htmlFor="refund-reason">Reason</Label>
+            <Textarea
+              id="refund-reason"
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              maxLength={500}
+              placeholder="Why is this order being refunded?"
+            />
+          </div>
+
+          <div className="flex justify-between font-bold border-t pt-2">
+            <span>Refund total:</span>
+            <span className={refundTotal > refundable ? 'text-destructive' : ''}>
+              {formatCurrency(refundTotal)}
+            </span>
+          </div>
+
+          {order.refunds && order.refunds.length > 0 && (
+            <div>
+              <h4 className="font-semibold mb-2">Previous Refunds</h4>
+              <div className="space-y-1 text-sm">
+                {order.refunds.map((refund) => (
+                  <p key={refund._id} className="text-muted-foreground">
+                    {new Date(refund.createdAt).toLocaleString()} • {formatCurrency(refund.amount)}
+                    {(refund.giftCardAmount ?? 0) > 0 && ` (${formatCurrency(refund.giftCardAmount ?? 0)} to gift card)`} •{' '}
+                    {typeof refund.refundedBy === 'object' ? refund.refundedBy.name : 'Admin'} • {refund.reason}
+                  </p>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button variant="destructive" onClick={handleRefund} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Refunding...' : `Refund ${formatCurrency(refundTotal)}`}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
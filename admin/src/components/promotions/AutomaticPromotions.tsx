@@ -0,0 +1,173 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchPromotions,
+  deletePromotion,
+  clearError,
+  type Promotion
+} from '@/store/slices/promotionsSlice';
+import { PROMOTION_TYPES } from '@/utils/promotionUtils';
+import { PromotionDialog } from './PromotionDialog';
+import { Edit, Plus, RefreshCw, Sparkles, Trash2 } from 'lucide-react';
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+export const AutomaticPromotions: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { promotions, isLoading, error } = useAppSelector((state) => state.promotions);
+
+  const [editingPromotion, setEditingPromotion] = useState<Promotion | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [promotionToDelete, setPromotionToDelete] = useState<Promotion | null>(null);
+
+  const canEdit = isSuperAdmin();
+
+  useEffect(() => {
+    dispatch(fetchPromotions());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  const openEditor = (promotion: Promotion | null) => {
+    setEditingPromotion(promotion);
+    setIsEditorOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!promotionToDelete) return;
+
+    try {
+      await dispatch(deletePromotion(promotionToDelete._id)).unwrap();
+      showAlert(`Promotion "${promotionToDelete.name}" has been deleted`, 'success', 'Promotion Deleted');
+    } catch (deleteError) {
+      showAlert(
+        typeof deleteError === 'string' ? deleteError : 'Failed to delete promotion',
+        'error',
+        'Delete Failed'
+      );
+    } finally {
+      setPromotionToDelete(null);
+    }
+  };
+
+  const describeScope = (promotion: Promotion) => {
+    const names = [...promotion.categories, ...promotion.menuItems].map(ref => ref.name);
+    return names.length > 0 ? names.join(', ') : 'Any item';
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <p className="text-sm text-muted-foreground">
+          Deals applied to carts without a code, such as BOGO offers, happy hours and spend thresholds.
+        </p>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={() => dispatch(fetchPromotions())}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canEdit && (
+            <Button onClick={() => openEditor(null)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Promotion
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {isLoading && promotions.length === 0 ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : promotions.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No automatic promotions yet.</p>
+      ) : (
+        <div className="space-y-3">
+          {promotions.map((promotion) => (
+            <Card key={promotion._id}>
+              <CardContent className="p-4 flex flex-col sm:flex-row justify-between gap-4">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <Sparkles className="h-4 w-4" />
+                    <span className="font-semibold">{promotion.name}</span>
+                    <Badge variant={promotion.isActive ? 'default' : 'secondary'}>
+                      {promotion.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                    <Badge variant="outline">{PROMOTION_TYPES[promotion.type]}</Badge>
+                    {promotion.priority !== 0 && <Badge variant="outline">Priority {promotion.priority}</Badge>}
+                  </div>
+                  <p className="text-sm">{promotion.summary}</p>
+                  <p className="text-sm text-muted-foreground">Applies to: {describeScope(promotion)}</p>
+                  {promotion.usage && (
+                    <p className="text-sm text-muted-foreground">
+                      Used on {promotion.usage.orders} orders • {formatCurrency(promotion.usage.discountGiven)} given
+                    </p>
+                  )}
+                </div>
+                {canEdit && (
+                  <div className="flex gap-2 items-start">
+                    <Button variant="outline" size="sm" onClick={() => openEditor(promotion)}>
+                      <Edit className="h-4 w-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setPromotionToDelete(promotion)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+
+      <PromotionDialog
+        promotion={editingPromotion}
+        isOpen={isEditorOpen}
+        onClose={() => setIsEditorOpen(false)}
+      />
+
+      <AlertDialog open={!!promotionToDelete} onOpenChange={(open) => !open && setPromotionToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete promotion?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{promotionToDelete?.name}" will stop applying to carts immediately. Past orders keep the discount they got.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
@@ -0,0 +1,352 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAppDispatch } from '@/store';
+import {
+  createCoupon,
+  updateCoupon,
+  type Coupon,
+  type CouponInput,
+  type CouponScopeRef,
+  type CouponType
+} from '@/store/slices/couponsSlice';
+import { useAlert } from '@/hooks/useAlert';
+import { COUPON_TYPES, describeCoupon } from '@/utils/couponUtils';
+import { ScopeFields } from './ScopeFields';
+
+interface CouponDialogProps {
+  coupon: Coupon | null;
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface CouponForm {
+  code: string;
+  description: string;
+  type: CouponType;
+  value: string;
+  minOrder: string;
+  maxDiscount: string;
+  startsAt: string;
+  endsAt: string;
+  usageLimit: string;
+  perUserLimit: string;
+  firstOrderOnly: boolean;
+  categories: CouponScopeRef[];
+  menuItems: CouponScopeRef[];
+  isActive: boolean;
+}
+
+const emptyForm: CouponForm = {
+  code: '',
+  description: '',
+  type: 'percentage',
+  value: '10',
+  minOrder: '0',
+  maxDiscount: '',
+  startsAt: '',
+  endsAt: '',
+  usageLimit: '',
+  perUserLimit: '1',
+  firstOrderOnly: false,
+  categories: [],
+  menuItems: [],
+  isActive: true
+};
+
+// <input type="datetime-local"> works in local time without a zone suffix
+const toLocalInput = (date?: string) => {
+  if (!date) return '';
+  const value = new Date(date);
+  value.setMinutes(value.getMinutes() - value.getTimezoneOffset());
+  return value.toISOString().slice(0, 16);
+};
+
+const fromLocalInput = (value: string) => (value ? new Date(value).toISOString() : null);
+
+const toNumber = (value: string) => (value === '' ? null : parseFloat(value));
+
+const toForm = (coupon: Coupon): CouponForm => ({
+  code: coupon.code,
+  description: coupon.description || '',
+  type: coupon.type,
+  value: coupon.value != null ? String(coupon.value) : '',
+  minOrder: String(coupon.minOrder ?? 0),
+  maxDiscount: coupon.maxDiscount != null ? String(coupon.maxDiscount) : '',
+  startsAt: toLocalInput(coupon.startsAt),
+  endsAt: toLocalInput(coupon.endsAt),
+  usageLimit: coupon.usageLimit != null ? String(coupon.usageLimit) : '',
+  perUserLimit: coupon.perUserLimit != null ? String(coupon.perUserLimit) : '',
+  firstOrderOnly: coupon.firstOrderOnly,
+  categories: coupon.categories,
+  menuItems: coupon.menuItems,
+  isActive: coupon.isActive
+});
+
+const toInput = (form: CouponForm): CouponInput => ({
+  code: form.code.trim().toUpperCase(),
+  description: form.description.trim(),
+  type: form.type,
+  value: form.type === 'free-delivery' ? null : toNumber(form.value),
+  minOrder: parseFloat(form.minOrder) || 0,
+  maxDiscount: form.type === 'percentage' ? toNumber(form.maxDiscount) : null,
+  startsAt: fromLocalInput(form.startsAt),
+  endsAt: fromLocalInput(form.endsAt),
+  usageLimit: form.usageLimit === '' ? null : parseInt(form.usageLimit, 10),
+  perUserLimit: form.perUserLimit === '' ? null : parseInt(form.perUserLimit, 10),
+  firstOrderOnly: form.firstOrderOnly,
+  categories: form.categories.map(category => category._id),
+  menuItems: form.menuItems.map(item => item._id),
+  isActive: form.isActive
+});
+
+export const CouponDialog: React.FC<CouponDialogProps> = ({ coupon, isOpen, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [form, setForm] = useState<CouponForm>(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Reset the form whenever the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(coupon ? toForm(coupon) : emptyForm);
+    }
+  }, [isOpen, coupon]);
+
+  const input = toInput(form);
+  const valueValid = input.type === 'free-delivery' || (
+    input.value !== null && Number.isFinite(input.value) && input.value > 0 &&
+    (input.type !== 'percentage' || input.value <= 100)
+  );
+  const windowValid = !input.startsAt || !input.endsAt || input.endsAt > input.startsAt;
+  const limitsValid = [input.usageLimit, input.perUserLimit].every(limit => limit === null || limit >= 1);
+  const canSubmit = /^[A-Z0-9_-]{3,30}$/.test(input.code) && valueValid && windowValid && limitsValid;
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+
+    try {
+      if (coupon) {
+        await dispatch(updateCoupon({ id: coupon._id, couponData: input })).unwrap();
+      } else {
+        await dispatch(createCoupon(input)).unwrap();
+      }
+
+      showAlert(
+        `Coupon ${input.code} has been saved`,
+        'success',
+        coupon ? 'Coupon Updated' : 'Coupon Created'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to save coupon',
+        'error',
+        'Save Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{coupon ? `Edit Coupon - ${coupon.code}` : 'New Coupon'}</DialogTitle>
+          <DialogDescription>
+            {valueValid ? describeCoupon(input) : 'Customers enter the code in their cart.'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="coupon-code">Code</Label>
+              <Input
+                id="coupon-code"
+                value={form.code}
+                maxLength={30}
+                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })}
+                placeholder="WELCOME10"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="coupon-description">Description</Label>
+              <Input
+                id="coupon-description"
+                value={form.description}
+                maxLength={200}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="10% off your first order"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Type</Label>
+              <Select value={form.type} onValueChange={(value) => setForm({ ...form, type: value as CouponType })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(COUPON_TYPES) as CouponType[]).map(type => (
+                    <SelectItem key={type} value={type}>{COUPON_TYPES[type]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              {form.type !== 'free-delivery' && (
+                <div className="space-y-2">
+                  <Label htmlFor="coupon-value">{form.type === 'percentage' ? 'Percent off' : 'Amount off ($)'}</Label>
+                  <Input
+                    id="coupon-value"
+                    type="number"
+                    min="0"
+                    max={form.type === 'percentage' ? '100' : undefined}
+                    step="0.01"
+                    value={form.value}
+                    onChange={(e) => setForm({ ...form, value: e.target.value })}
+                  />
+                </div>
+              )}
+              {form.type === 'percentage' && (
+                <div className="space-y-2">
+                  <Label htmlFor="coupon-max-discount">Max discount ($)</Label>
+                  <Input
+                    id="coupon-max-discount"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.maxDiscount}
+                    onChange={(e) => setForm({ ...form, maxDiscount: e.target.value })}
+                    placeholder="No cap"
+                  />
+                </div>
+              )}
+              <div className="space-y-2">
+                <Label htmlFor="coupon-min-order">Minimum order ($)</Label>
+                <Input
+                  id="coupon-min-order"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.minOrder}
+                  onChange={(e) => setForm({ ...form, minOrder: e.target.value })}
+                />
+              </div>
+              {!valueValid && (
+                <p className="col-span-2 text-sm text-destructive">
+                  Enter a value above 0{form.type === 'percentage' ? ' and no more than 100' : ''}
+                </p>
+              )}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="coupon-starts">Starts</Label>
+                <Input
+                  id="coupon-starts"
+                  type="datetime-local"
+                  value={form.startsAt}
+                  onChange={(e) => setForm({ ...form, startsAt: e.target.value })}
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="coupon-ends">Ends</Label>
+                <Input
+                  id="coupon-ends"
+                  type="datetime-local"
+                  value={form.endsAt}
+                  onChange={(e) => setForm({ ...form, endsAt: e.target.value })}
+                />
+              </div>
+              {!windowValid && (
+                <p className="col-span-2 text-sm text-destructive">The end must be after the start</p>
+              )}
+            </div>
+          </div>
+
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="coupon-usage-limit">Total uses</Label>
+                <Input
+                  id="coupon-usage-limit"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={form.usageLimit}
+                  onChange={(e) => setForm({ ...form, usageLimit: e.target.value })}
+                  placeholder="Unlimited"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label htmlFor="coupon-per-user">Uses per customer</Label>
+                <Input
+                  id="coupon-per-user"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={form.perUserLimit}
+                  onChange={(e) => setForm({ ...form, perUserLimit: e.target.value })}
+                  placeholder="Unlimited"
+                />
+              </div>
+              {!limitsValid && (
+                <p className="col-span-2 text-sm text-destructive">Limits must be at least 1, or left blank</p>
+              )}
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Switch
+                id="coupon-first-order"
+                checked={form.firstOrderOnly}
+                onCheckedChange={(checked) => setForm({ ...form, firstOrderOnly: checked })}
+              />
+              <Label htmlFor="coupon-first-order">First order only</Label>
+            </div>
+
+            <div className="flex items-center gap-2">
+              <Switch
+                id="coupon-active"
+                checked={form.isActive}
+                onCheckedChange={(checked) => setForm({ ...form, isActive: checked })}
+              />
+              <Label htmlFor="coupon-active">Active</Label>
+            </div>
+
+            <ScopeFields
+              categories={form.categories}
+              menuItems={form.menuItems}
+              onChange={(scope) => setForm({ ...form, ...scope })}
+              hint="Leave both lists empty to apply the coupon to the whole cart. Otherwise only matching items are discounted."
+            />
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Saving...' : coupon ? 'Save Coupon' : 'Create Coupon'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
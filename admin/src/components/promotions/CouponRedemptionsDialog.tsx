@@ -0,0 +1,104 @@
+import React, { useEffect } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useAppDispatch, useAppSelector } from '@/store';
+import { fetchCouponRedemptions, clearRedemptions, type Coupon } from '@/store/slices/couponsSlice';
+
+interface CouponRedemptionsDialogProps {
+  coupon: Coupon | null;
+  onClose: () => void;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+export const CouponRedemptionsDialog: React.FC<CouponRedemptionsDialogProps> = ({ coupon, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { redemptions, redemptionSummary, isLoadingRedemptions } = useAppSelector((state) => state.coupons);
+
+  useEffect(() => {
+    if (coupon) {
+      dispatch(fetchCouponRedemptions(coupon._id));
+    } else {
+      dispatch(clearRedemptions());
+    }
+  }, [coupon, dispatch]);
+
+  return (
+    <Dialog open={!!coupon} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Redemptions - {coupon?.code}</DialogTitle>
+          <DialogDescription>
+            {redemptionSummary
+              ? `${redemptionSummary.redemptions} redeemed, ${formatCurrency(redemptionSummary.discountGiven)} given in discounts. ` +
+                'Cancelled orders give their redemption back.'
+              : 'Orders this coupon was used on'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {isLoadingRedemptions ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : redemptions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">This coupon hasn't been used yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Order</TableHead>
+                <TableHead>Customer</TableHead>
+                <TableHead>Date</TableHead>
+                <TableHead className="text-right">Discount</TableHead>
+                <TableHead className="text-right">Order Total</TableHead>
+                <TableHead>Status</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {redemptions.map((redemption) => (
+                <TableRow key={redemption._id}>
+                  <TableCell className="font-medium">{redemption.orderNumber}</TableCell>
+                  <TableCell>
+                    {redemption.user ? (
+                      <div>
+                        <div>{redemption.user.name}</div>
+                        <div className="text-xs text-muted-foreground">{redemption.user.email}</div>
+                      </div>
+                    ) : '—'}
+                  </TableCell>
+                  <TableCell>{new Date(redemption.createdAt).toLocaleString()}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(redemption.coupon.discount)}</TableCell>
+                  <TableCell className="text-right">{formatCurrency(redemption.totalPrice)}</TableCell>
+                  <TableCell>
+                    <Badge variant={redemption.coupon.status === 'redeemed' ? 'default' : 'secondary'}>
+                      {redemption.coupon.status === 'redeemed' ? 'Redeemed' : 'Released'}
+                    </Badge>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
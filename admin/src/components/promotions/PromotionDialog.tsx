@@ -0,0 +1,382 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAppDispatch } from '@/store';
+import {
+  createPromotion,
+  updatePromotion,
+  type Promotion,
+  type PromotionInput,
+  type PromotionReward,
+  type PromotionType
+} from '@/store/slices/promotionsSlice';
+import type { AvailabilitySchedule } from '@/store/slices/menuSlice';
+import type { CouponScopeRef } from '@/store/slices/couponsSlice';
+import { useAlert } from '@/hooks/useAlert';
+import { AvailabilityEditor } from '@/components/menu/AvailabilityEditor';
+import { emptyAvailability, validateAvailability } from '@/utils/availabilityUtils';
+import { PROMOTION_REWARDS, PROMOTION_SCOPE_HINTS, PROMOTION_TYPES } from '@/utils/promotionUtils';
+import { ScopeFields } from './ScopeFields';
+
+interface PromotionDialogProps {
+  promotion: Promotion | null;
+  isOpen: boolean;
+  onClose: () => void;
+}
+
+interface PromotionForm {
+  name: string;
+  description: string;
+  type: PromotionType;
+  buyQuantity: string;
+  getQuantity: string;
+  getDiscountPercent: string;
+  percentOff: string;
+  minSubtotal: string;
+  reward: PromotionReward;
+  rewardValue: string;
+  schedule: AvailabilitySchedule;
+  priority: string;
+  isActive: boolean;
+  categories: CouponScopeRef[];
+  menuItems: CouponScopeRef[];
+}
+
+const emptyForm = (): PromotionForm => ({
+  name: '',
+  description: '',
+  type: 'bogo',
+  buyQuantity: '1',
+  getQuantity: '1',
+  getDiscountPercent: '50',
+  percentOff: '15',
+  minSubtotal: '40',
+  reward: 'free-item',
+  rewardValue: '',
+  schedule: emptyAvailability(),
+  priority: '0',
+  isActive: true,
+  categories: [],
+  menuItems: []
+});
+
+const toForm = (promotion: Promotion): PromotionForm => ({
+  name: promotion.name,
+  description: promotion.description || '',
+  type: promotion.type,
+  buyQuantity: String(promotion.buyQuantity ?? 1),
+  getQuantity: String(promotion.getQuantity ?? 1),
+  getDiscountPercent: String(promotion.getDiscountPercent ?? 100),
+  percentOff: promotion.percentOff != null ? String(promotion.percentOff) : '',
+  minSubtotal: promotion.minSubtotal != null ? String(promotion.minSubtotal) : '',
+  reward: promotion.reward || 'free-item',
+  rewardValue: promotion.rewardValue != null ? String(promotion.rewardValue) : '',
+  schedule: promotion.schedule
+    ? { ...promotion.schedule, windows: promotion.schedule.windows || [] }
+    : emptyAvailability(),
+  priority: String(promotion.priority ?? 0),
+  isActive: promotion.isActive,
+  categories: promotion.categories,
+  menuItems: promotion.menuItems
+});
+
+const toNumber = (value: string) => (value === '' ? null : parseFloat(value));
+
+const toInput = (form: PromotionForm): PromotionInput => ({
+  name: form.name.trim(),
+  description: form.description.trim(),
+  type: form.type,
+  categories: form.categories.map(category => category._id),
+  menuItems: form.menuItems.map(item => item._id),
+  buyQuantity: parseInt(form.buyQuantity, 10) || 1,
+  getQuantity: parseInt(form.getQuantity, 10) || 1,
+  getDiscountPercent: parseFloat(form.getDiscountPercent) || 100,
+  percentOff: form.type === 'happy-hour' ? toNumber(form.percentOff) : null,
+  minSubtotal: form.type === 'spend-threshold' ? toNumber(form.minSubtotal) : null,
+  reward: form.type === 'spend-threshold' ? form.reward : null,
+  rewardValue: form.type === 'spend-threshold' && form.reward !== 'free-item' ? toNumber(form.rewardValue) : null,
+  schedule: form.schedule,
+  priority: parseInt(form.priority, 10) || 0,
+  isActive: form.isActive
+});
+
+const isPercent = (value: number | null) => value !== null && Number.isFinite(value) && value >= 1 && value <= 100;
+
+export const PromotionDialog: React.FC<PromotionDialogProps> = ({ promotion, isOpen, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const [form, setForm] = useState<PromotionForm>(emptyForm);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Reset the form whenever the dialog is opened
+  useEffect(() => {
+    if (isOpen) {
+      setForm(promotion ? toForm(promotion) : emptyForm());
+    }
+  }, [isOpen, promotion]);
+
+  const input = toInput(form);
+  const scheduleError = validateAvailability(input.schedule);
+
+  let rulesError: string | null = null;
+  if (input.type === 'bogo' && !isPercent(input.getDiscountPercent)) {
+    rulesError = 'The discount on the free items must be between 1% and 100%';
+  } else if (input.type === 'happy-hour' && !isPercent(input.percentOff)) {
+    rulesError = 'Percent off must be between 1 and 100';
+  } else if (input.type === 'spend-threshold') {
+    if (input.minSubtotal === null || !Number.isFinite(input.minSubtotal) || input.minSubtotal < 0) {
+      rulesError = 'Enter the amount customers need to spend';
+    } else if (input.reward === 'percentage' && !isPercent(input.rewardValue)) {
+      rulesError = 'Percent off must be between 1 and 100';
+    } else if (input.reward === 'fixed' && (input.rewardValue === null || !(input.rewardValue > 0))) {
+      rulesError = 'Enter the amount off';
+    }
+  }
+
+  const canSubmit = input.name.length > 0 && !rulesError && !scheduleError;
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+
+    try {
+      if (promotion) {
+        await dispatch(updatePromotion({ id: promotion._id, promotionData: input })).unwrap();
+      } else {
+        await dispatch(createPromotion(input)).unwrap();
+      }
+
+      showAlert(
+        `Promotion "${input.name}" has been saved`,
+        'success',
+        promotion ? 'Promotion Updated' : 'Promotion Created'
+      );
+      onClose();
+    } catch (error) {
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to save promotion',
+        'error',
+        'Save Failed'
+      );
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <Dialog open={isOpen} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{promotion ? `Edit Promotion - ${promotion.name}` : 'New Promotion'}</DialogTitle>
+          <DialogDescription>
+            Applied automatically to every cart that qualifies. Higher priority promotions claim items first,
+            and an item is only ever discounted by one promotion.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid gap-6 md:grid-cols-2">
+          <div className="space-y-4">
+            <div className="space-y-2">
+              <Label htmlFor="promotion-name">Name</Label>
+              <Input
+                id="promotion-name"
+                value={form.name}
+                maxLength={60}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Dosa BOGO"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label htmlFor="promotion-description">Description shown in the cart</Label>
+              <Input
+                id="promotion-description"
+                value={form.description}
+                maxLength={200}
+                onChange={(e) => setForm({ ...form, description: e.target.value })}
+                placeholder="Written for you when left blank"
+              />
+            </div>
+
+            <div className="space-y-2">
+              <Label>Type</Label>
+              <Select value={form.type} onValueChange={(value) => setForm({ ...form, type: value as PromotionType })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {(Object.keys(PROMOTION_TYPES) as PromotionType[]).map(type => (
+                    <SelectItem key={type} value={type}>{PROMOTION_TYPES[type]}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            {form.type === 'bogo' && (
+              <div className="grid grid-cols-3 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-buy">Buy</Label>
+                  <Input
+                    id="promotion-buy"
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={form.buyQuantity}
+                    onChange={(e) => setForm({ ...form, buyQuantity: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-get">Get</Label>
+                  <Input
+                    id="promotion-get"
+                    type="number"
+                    min="1"
+                    step="1"
+                    value={form.getQuantity}
+                    onChange={(e) => setForm({ ...form, getQuantity: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-get-discount">% off</Label>
+                  <Input
+                    id="promotion-get-discount"
+                    type="number"
+                    min="1"
+                    max="100"
+                    value={form.getDiscountPercent}
+                    onChange={(e) => setForm({ ...form, getDiscountPercent: e.target.value })}
+                  />
+                </div>
+              </div>
+            )}
+
+            {form.type === 'happy-hour' && (
+              <div className="space-y-2">
+                <Label htmlFor="promotion-percent-off">Percent off</Label>
+                <Input
+                  id="promotion-percent-off"
+                  type="number"
+                  min="1"
+                  max="100"
+                  value={form.percentOff}
+                  onChange={(e) => setForm({ ...form, percentOff: e.target.value })}
+                />
+              </div>
+            )}
+
+            {form.type === 'spend-threshold' && (
+              <div className="grid grid-cols-2 gap-3">
+                <div className="space-y-2">
+                  <Label htmlFor="promotion-min-subtotal">When the subtotal reaches ($)</Label>
+                  <Input
+                    id="promotion-min-subtotal"
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={form.minSubtotal}
+                    onChange={(e) => setForm({ ...form, minSubtotal: e.target.value })}
+                  />
+                </div>
+                <div className="space-y-2">
+                  <Label>Reward</Label>
+                  <Select
+                    value={form.reward}
+                    onValueChange={(value) => setForm({ ...form, reward: value as PromotionReward })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {(Object.keys(PROMOTION_REWARDS) as PromotionReward[]).map(reward => (
+                        <SelectItem key={reward} value={reward}>{PROMOTION_REWARDS[reward]}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                {form.reward !== 'free-item' && (
+                  <div className="space-y-2">
+                    <Label htmlFor="promotion-reward-value">
+                      {form.reward === 'percentage' ? 'Percent off' : 'Amount off ($)'}
+                    </Label>
+                    <Input
+                      id="promotion-reward-value"
+                      type="number"
+                      min="0"
+                      step="0.01"
+                      value={form.rewardValue}
+                      onChange={(e) => setForm({ ...form, rewardValue: e.target.value })}
+                    />
+                  </div>
+                )}
+              </div>
+            )}
+
+            {rulesError && <p className="text-sm text-destructive">{rulesError}</p>}
+
+            <div className="grid grid-cols-2 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="promotion-priority">Priority</Label>
+                <Input
+                  id="promotion-priority"
+                  type="number"
+                  step="1"
+                  value={form.priority}
+                  onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                />
+              </div>
+              <div className="flex items-center gap-2 pt-6">
+                <Switch
+                  id="promotion-active"
+                  checked={form.isActive}
+                  onCheckedChange={(checked) => setForm({ ...form, isActive: checked })}
+                />
+                <Label htmlFor="promotion-active">Active</Label>
+              </div>
+            </div>
+          </div>
+
+          <div className="space-y-6">
+            <ScopeFields
+              categories={form.categories}
+              menuItems={form.menuItems}
+              onChange={(scope) => setForm({ ...form, ...scope })}
+              hint={PROMOTION_SCOPE_HINTS[form.type]}
+            />
+
+            <div className="space-y-2">
+              <AvailabilityEditor
+                value={form.schedule}
+                onChange={(schedule) => setForm({ ...form, schedule })}
+                subject="promotion"
+                toggleLabel="Only run this promotion at certain times"
+              />
+              {form.type === 'happy-hour' && !form.schedule.isScheduled && (
+                <p className="text-sm text-muted-foreground">Without a schedule, a happy hour runs all day.</p>
+              )}
+              {scheduleError && <p className="text-sm text-destructive">{scheduleError}</p>}
+            </div>
+          </div>
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose} disabled={isSubmitting}>
+            Cancel
+          </Button>
+          <Button onClick={handleSubmit} disabled={!canSubmit || isSubmitting}>
+            {isSubmitting ? 'Saving...' : promotion ? 'Save Promotion' : 'Create Promotion'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+};
@@ -0,0 +1,90 @@
+import React, { useEffect } from 'react';
+import { Badge } from '@/components/ui/badge';
+import { Label } from '@/components/ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAppDispatch, useAppSelector } from '@/store';
+import { fetchParentCategories, fetchMenuCategories } from '@/store/slices/categoriesSlice';
+import { fetchBundleCandidates } from '@/store/slices/menuSlice';
+import type { CouponScopeRef } from '@/store/slices/couponsSlice';
+import { X } from 'lucide-react';
+
+interface ScopeFieldsProps {
+  categories: CouponScopeRef[];
+  menuItems: CouponScopeRef[];
+  onChange: (scope: { categories: CouponScopeRef[]; menuItems: CouponScopeRef[] }) => void;
+  hint: string;
+}
+
+/**
+ * Category and menu item pickers for limiting a coupon or promotion to part of the menu
+ * Parent categories cover their subcategories.
+ */
+export const ScopeFields: React.FC<ScopeFieldsProps> = ({ categories, menuItems, onChange, hint }) => {
+  const dispatch = useAppDispatch();
+  const { categories: menuCategories, parentCategories } = useAppSelector((state) => state.categories);
+  const { bundleCandidates } = useAppSelector((state) => state.menu);
+
+  useEffect(() => {
+    dispatch(fetchParentCategories());
+    dispatch(fetchMenuCategories({}));
+    dispatch(fetchBundleCandidates());
+  }, [dispatch]);
+
+  const categoryChoices = [...parentCategories, ...menuCategories]
+    .filter((category, index, list) => list.findIndex(other => other._id === category._id) === index)
+    .map(category => ({ _id: category._id, name: category.name }));
+
+  const renderPicker = (
+    field: 'categories' | 'menuItems',
+    label: string,
+    selected: CouponScopeRef[],
+    choices: CouponScopeRef[]
+  ) => {
+    const selectedIds = selected.map(ref => ref._id);
+    const update = (next: CouponScopeRef[]) => onChange({ categories, menuItems, [field]: next });
+
+    return (
+      <div className="space-y-2">
+        <Label>{label}</Label>
+        <Select
+          value=""
+          onValueChange={(value) => {
+            const choice = choices.find(option => option._id === value);
+            if (choice) update([...selected, choice]);
+          }}
+        >
+          <SelectTrigger>
+            <SelectValue placeholder={`Add ${label.toLowerCase()}...`} />
+          </SelectTrigger>
+          <SelectContent>
+            {choices
+              .filter(choice => !selectedIds.includes(choice._id))
+              .map(choice => (
+                <SelectItem key={choice._id} value={choice._id}>
+                  {choice.name}
+                </SelectItem>
+              ))}
+          </SelectContent>
+        </Select>
+        <div className="flex flex-wrap gap-2">
+          {selected.map(ref => (
+            <Badge key={ref._id} variant="secondary" className="flex items-center gap-1">
+              {ref.name}
+              <button type="button" onClick={() => update(selected.filter(other => other._id !== ref._id))}>
+                <X className="h-3 w-3" />
+              </button>
+            </Badge>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-muted-foreground">{hint}</p>
+      {renderPicker('categories', 'Categories', categories, categoryChoices)}
+      {renderPicker('menuItems', 'Menu items', menuItems, bundleCandidates)}
+    </div>
+  );
+};
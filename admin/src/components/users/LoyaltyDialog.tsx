@@ -0,0 +1,210 @@
+import React, { useEffect, useState } from 'react';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from '@/components/ui/dialog';
+import { Badge } from '@/components/ui/badge';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchUserLoyalty,
+  adjustUserLoyalty,
+  clearError,
+  clearLoyalty,
+  type LoyaltyTransactionType
+} from '@/store/slices/loyaltySlice';
+
+interface LoyaltyDialogProps {
+  user: { _id: string; name: string } | null;
+  canAdjust: boolean;
+  onClose: () => void;
+}
+
+const TRANSACTION_LABELS: Record<LoyaltyTransactionType, string> = {
+  earn: 'Earned',
+  reverse: 'Refund reversal',
+  redeem: 'Redeemed',
+  restore: 'Returned',
+  adjust: 'Adjustment',
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+export const LoyaltyDialog: React.FC<LoyaltyDialogProps> = ({ user, canAdjust, onClose }) => {
+  const dispatch = useAppDispatch();
+  const { showAlert } = useAlert();
+  const { summary, transactions, isLoading, isSaving, error } = useAppSelector((state) => state.loyalty);
+
+  const [mode, setMode] = useState<'add' | 'remove'>('add');
+  const [points, setPoints] = useState('');
+  const [reason, setReason] = useState('');
+
+  useEffect(() => {
+    if (user) {
+      setMode('add');
+      setPoints('');
+      setReason('');
+      dispatch(fetchUserLoyalty(user._id));
+    } else {
+      dispatch(clearLoyalty());
+    }
+  }, [user, dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  const amount = parseInt(points, 10);
+  const canSubmit = Number.isInteger(amount) && amount > 0 && reason.trim().length >= 3;
+
+  const handleAdjust = async () => {
+    if (!user || !canSubmit) return;
+
+    try {
+      const result = await dispatch(adjustUserLoyalty({
+        userId: user._id,
+        points: mode === 'add' ? amount : -amount,
+        reason: reason.trim()
+      })).unwrap();
+
+      showAlert(
+        `${user.name} now has ${result.loyalty.balance} points`,
+        'success',
+        'Points Adjusted'
+      );
+      setPoints('');
+      setReason('');
+    } catch (adjustError) {
+      showAlert(
+        typeof adjustError === 'string' ? adjustError : 'Failed to adjust loyalty points',
+        'error',
+        'Adjustment Failed'
+      );
+    }
+  };
+
+  return (
+    <Dialog open={!!user} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Loyalty Points - {user?.name}</DialogTitle>
+          <DialogDescription>
+            {summary
+              ? `${summary.balance} points (${formatCurrency(summary.balanceValue)}) • ${summary.tier.name} tier, ` +
+                `${formatCurrency(summary.rollingSpend)} spent in the last 12 months` +
+                (summary.nextTier ? ` • ${formatCurrency(summary.nextTier.amountAway)} to ${summary.nextTier.name}` : '')
+              : 'Points balance, tier and history'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {canAdjust && (
+          <div className="space-y-3 rounded-md border p-4">
+            <ToggleGroup
+              type="single"
+              value={mode}
+              onValueChange={(value) => value && setMode(value as 'add' | 'remove')}
+              className="justify-start"
+            >
+              <ToggleGroupItem value="add">Add points</ToggleGroupItem>
+              <ToggleGroupItem value="remove">Remove points</ToggleGroupItem>
+            </ToggleGroup>
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+              <div className="space-y-2">
+                <Label htmlFor="loyalty-points">Points</Label>
+                <Input
+                  id="loyalty-points"
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={points}
+                  onChange={(e) => setPoints(e.target.value)}
+                />
+              </div>
+              <div className="space-y-2 sm:col-span-2">
+                <Label htmlFor="loyalty-reason">Reason</Label>
+                <Input
+                  id="loyalty-reason"
+                  value={reason}
+                  maxLength={200}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder="e.g. Goodwill for a late delivery"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end">
+              <Button onClick={handleAdjust} disabled={!canSubmit || isSaving}>
+                {isSaving ? 'Saving...' : mode === 'add' ? 'Add Points' : 'Remove Points'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+          </div>
+        ) : transactions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No points activity yet.</p>
+        ) : (
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Date</TableHead>
+                <TableHead>Type</TableHead>
+                <TableHead>Details</TableHead>
+                <TableHead className="text-right">Points</TableHead>
+                <TableHead className="text-right">Balance</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {transactions.map((transaction) => (
+                <TableRow key={transaction._id}>
+                  <TableCell>{new Date(transaction.createdAt).toLocaleString()}</TableCell>
+                  <TableCell>
+                    <Badge variant={transaction.type === 'adjust' ? 'outline' : 'secondary'}>
+                      {TRANSACTION_LABELS[transaction.type]}
+                    </Badge>
+                  </TableCell>
+                  <TableCell>
+                    {transaction.order?.orderNumber && <div>Order {transaction.order.orderNumber}</div>}
+                    {transaction.reason && <div className="text-sm">{transaction.reason}</div>}
+                    {transaction.createdBy && (
+                      <div className="text-xs text-muted-foreground">by {transaction.createdBy.name}</div>
+                    )}
+                  </TableCell>
+                  <TableCell className={`text-right font-medium ${transaction.points > 0 ? 'text-green-600' : 'text-red-600'}`}>
+                    {transaction.points > 0 ? '+' : ''}{transaction.points}
+                  </TableCell>
+                  <TableCell className="text-right">{transaction.balance}</TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
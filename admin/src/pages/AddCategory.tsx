@@ -13,6 +13,9 @@ import { Switch } from '@/components/ui/switch';
 import { useAuth } from '@/hooks/useAuth';
 import { useAppDispatch, useAppSelector } from '@/store';
 import { createCategory, updateCategory, fetchCategoryById, fetchParentCategories } from '@/store/slices/categoriesSlice';
+import type { AvailabilitySchedule } from '@/store/slices/menuSlice';
+import { AvailabilityEditor } from '@/components/menu/AvailabilityEditor';
+import { emptyAvailability, validateAvailability } from '@/utils/availabilityUtils';
 import {
   ArrowLeft,
   Upload,
@@ -59,6 +62,7 @@ export const AddCategory: React.FC = () => {
   const [imageToDelete, setImageToDelete] = useState<string | null>(null); // Track image to delete from Cloudinary
   const [hasExistingImage, setHasExistingImage] = useState(false); // Track if category has existing image
   const [isDragOver, setIsDragOver] = useState(false); // Track drag over state for file upload
+  const [availability, setAvailability] = useState<AvailabilitySchedule>(emptyAvailability());
 
   const isEditMode = !!id;
 
@@ -135,6 +139,7 @@ export const AddCategory: React.FC = () => {
       // Reset image deletion state
       setImageToDelete(null);
       setSelectedImage(null);
+      setAvailability(currentCategory.availability || emptyAvailability());
     }
   }, [currentCategory, id, isEditMode, reset, parentCategories]);
 
@@ -220,6 +225,12 @@ export const AddCategory: React.FC = () => {
   };
 
   const onSubmit = async (data: CategoryFormData) => {
+    const availabilityError = validateAvailability(availability);
+    if (availabilityError) {
+      showAlert(availabilityError, 'error', 'Availability');
+      return;
+    }
+
     setIsSubmitting(true);
 
     try {
@@ -272,6 +283,7 @@ export const AddCategory: React.FC = () => {
       formData.append('isVegetarian', isVegetarian.toString()); // Add isVegetarian field
       formData.append('sortOrder', data.sortOrder?.toString() || '0');
       formData.append('isActive', data.isActive.toString());
+      formData.append('availability', JSON.stringify(availability));
 
       // Handle image upload/deletion
       if (selectedImage) {
@@ -584,6 +596,19 @@ export const AddCategory: React.FC = () => {
           </CardContent>
         </Card>
 
+        {/* Availability */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Availability</CardTitle>
+            <CardDescription>
+              Limit when every item in this category can be ordered, e.g. a breakfast menu
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <AvailabilityEditor value={availability} onChange={setAvailability} subject="category" />
+          </CardContent>
+        </Card>
+
         {/* Submit Buttons */}
         <div className="flex justify-end gap-4">
           <Button
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { useForm } from 'react-hook-form';
 import { zodResolver } from '@hookform/resolvers/zod';
 import * as z from 'zod';
@@ -14,11 +14,21 @@ import { Badge } from '@/components/ui/badge';
 import { Alert, AlertDescription } from '@/components/ui/alert';
 import { useAuth } from '@/hooks/useAuth';
 import { useAppDispatch, useAppSelector } from '@/store';
-import { createMenuItem, updateMenuItem, fetchMenuItemById, clearCurrentMenuItem } from '@/store/slices/menuSlice';
+import { createMenuItem, updateMenuItem, fetchMenuItemById, clearCurrentMenuItem, fetchBundleCandidates } from '@/store/slices/menuSlice';
+import type { MenuModifierGroup, MenuBundleSlot, MenuBundlePricing, AvailabilitySchedule, RecipeLine, NutritionInfo } from '@/store/slices/menuSlice';
 import { fetchParentCategories, fetchMenuCategories } from '@/store/slices/categoriesSlice';
 import { fetchSpicyLevelsByCategory } from '@/store/slices/spicyLevelSlice';
 import { fetchPreparationsByCategory } from '@/store/slices/preparationSlice';
+import { fetchIngredients } from '@/store/slices/inventorySlice';
 import { InlineItemManager } from '@/components/menu/InlineItemManager';
+import { ModifierGroupsEditor } from '@/components/menu/ModifierGroupsEditor';
+import { BundleSlotsEditor } from '@/components/menu/BundleSlotsEditor';
+import { AvailabilityEditor } from '@/components/menu/AvailabilityEditor';
+import { RecipeEditor } from '@/components/menu/RecipeEditor';
+import { NutritionFields } from '@/components/menu/NutritionFields';
+import { emptyAvailability, validateAvailability } from '@/utils/availabilityUtils';
+import { ALLERGENS, DIETARY_FLAGS, validateDietary } from '@/utils/dietaryUtils';
+import { hasNutrition, formatCalories } from '@/utils/nutritionUtils';
 import {
   ArrowLeft,
   Upload,
@@ -43,8 +53,9 @@ const menuItemSchema = z.object({
   sizes: z.array(z.object({
     name: z.string().min(1, 'Size name is required'),
     price: z.coerce.number().min(0, 'Size price must be 0 or greater'),
-    isDefault: z.boolean().optional().default(false)
-  })).min(1, 'At least one size must be selected').refine(
+    isDefault: z.boolean().optional().default(false),
+    nutritionMultiplier: z.coerce.number().min(0, 'Nutrition multiplier cannot be negative').optional()
+  })).refine(
     (sizes) => sizes.every(size => size.name && size.price >= 0),
     { message: 'All sizes must have valid names and prices' }
   ),
@@ -61,17 +72,72 @@ type MenuItemFormData = z.infer<typeof menuItemSchema>;
 interface Addon {
   name: string;
   price: number;
+  nutritionalInfo?: NutritionInfo;
 }
 
+/**
+ * Check modifier groups before saving; mirrors the server's rules
+ * @returns An error message, or null when the groups are valid
+ */
+const validateModifierGroups = (groups: MenuModifierGroup[]): string | null => {
+  for (const group of groups) {
+    const label = group.name.trim() || 'Unnamed group';
+    const minimum = group.isRequired ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (!group.name.trim()) {
+      return 'Every modifier group needs a name';
+    }
+    if (group.options.length === 0 || group.options.some(option => !option.name.trim())) {
+      return `Every option in "${label}" needs a name`;
+    }
+    if (group.maxSelections < 1 || group.maxSelections < minimum) {
+      return `"${label}" must allow at least ${Math.max(minimum, 1)} selection(s)`;
+    }
+    if (group.options.length < minimum) {
+      return `"${label}" needs at least ${minimum} options`;
+    }
+    if (group.options.filter(option => option.isDefault).length > group.maxSelections) {
+      return `"${label}" has more default options than it allows`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Check bundle slots and pricing before saving; mirrors the server's rules
+ * @returns An error message, or null when the bundle is valid
+ */
+const validateBundle = (slots: MenuBundleSlot[], pricing: MenuBundlePricing): string | null => {
+  if (slots.length === 0) {
+    return 'A bundle needs at least one slot';
+  }
+  for (const slot of slots) {
+    if (!slot.name.trim()) {
+      return 'Every bundle slot needs a name';
+    }
+    if (slot.eligibleItems.length === 0 && slot.eligibleCategories.length === 0) {
+      return `"${slot.name}" needs at least one eligible item or category`;
+    }
+  }
+  if (pricing.mode === 'discount' && (pricing.discountPercentage < 0 || pricing.discountPercentage > 100)) {
+    return 'Bundle discount must be between 0 and 100%';
+  }
+  return null;
+};
+
+const toId = (ref: string | { _id: string }) => (typeof ref === 'string' ? ref : ref._id);
+
 export const AddMenuItem: React.FC = () => {
   const navigate = useNavigate();
   const { id } = useParams<{ id: string }>();
+  const [searchParams] = useSearchParams();
   const dispatch = useAppDispatch();
   const { showAlert } = useAlert();
   const { user, isSuperAdmin } = useAuth();
   const { categories, parentCategories } = useAppSelector((state) => state.categories);
-  const { isLoading: menuLoading, currentMenuItem } = useAppSelector((state) => state.menu);
+  const { isLoading: menuLoading, currentMenuItem, bundleCandidates } = useAppSelector((state) => state.menu);
   const { spicyLevels } = useAppSelector((state) => state.spicyLevels);
+  const { ingredients } = useAppSelector((state) => state.inventory);
 
   // Determine if this is edit mode
   const isEditMode = !!id;
@@ -80,8 +146,20 @@ export const AddMenuItem: React.FC = () => {
   const [imagePreviews, setImagePreviews] = useState<string[]>([]);
   const [addons, setAddons] = useState<Addon[]>([]);
   const [newAddon, setNewAddon] = useState<Addon>({ name: '', price: 0 });
+  const [modifierGroups, setModifierGroups] = useState<MenuModifierGroup[]>([]);
+  const [itemType, setItemType] = useState<'single' | 'bundle'>(searchParams.get('type') === 'bundle' ? 'bundle' : 'single');
+  const [bundleSlots, setBundleSlots] = useState<MenuBundleSlot[]>([]);
+  const [bundlePricing, setBundlePricing] = useState<MenuBundlePricing>({ mode: 'fixed', discountPercentage: 0 });
+  const isBundle = itemType === 'bundle';
+  const [availability, setAvailability] = useState<AvailabilitySchedule>(emptyAvailability());
+  const [recipe, setRecipe] = useState<RecipeLine[]>([]);
   const [tagInput, setTagInput] = useState('');
   const [selectedTags, setSelectedTags] = useState<string[]>([]);
+  const [allergens, setAllergens] = useState<string[]>([]);
+  const [allergensVerified, setAllergensVerified] = useState(false);
+  const [dietaryFlags, setDietaryFlags] = useState<string[]>([]);
+  const [nutritionalInfo, setNutritionalInfo] = useState<NutritionInfo>({});
+  const [nutritionAddon, setNutritionAddon] = useState<number | null>(null); // Add-on whose nutrition fields are open
   const [selectedParentCategory, setSelectedParentCategory] = useState<string>('');
   const [customErrors, setCustomErrors] = useState<{[key: string]: string}>({});
   const [draggedIndex, setDraggedIndex] = useState<number | null>(null);
@@ -122,6 +200,13 @@ export const AddMenuItem: React.FC = () => {
     }
   }, [dispatch, id, isEditMode, currentMenuItem]);
 
+  // Bundle slots pick from the single items on the menu
+  useEffect(() => {
+    if (isBundle) {
+      dispatch(fetchBundleCandidates());
+    }
+  }, [dispatch, isBundle]);
+
   // Populate form when currentMenuItem is loaded in edit mode
   useEffect(() => {
     if (isEditMode && currentMenuItem && currentMenuItem._id === id && categories.length > 0 && parentCategories.length > 0) {
@@ -203,6 +288,28 @@ export const AddMenuItem: React.FC = () => {
         setAddons(currentMenuItem.addons);
       }
 
+      // Set modifier groups (ids are kept so cart lines stay valid)
+      setModifierGroups(currentMenuItem.modifierGroups || []);
+
+      // Set bundle slots and pricing
+      setItemType(currentMenuItem.itemType || 'single');
+      setBundleSlots(currentMenuItem.bundleSlots || []);
+      setBundlePricing(currentMenuItem.bundlePricing || { mode: 'fixed', discountPercentage: 0 });
+
+      // Set day-part schedule
+      setAvailability(currentMenuItem.availability || emptyAvailability());
+
+      // Set recipe
+      setRecipe(currentMenuItem.recipe || []);
+
+      // Set allergens and dietary flags
+      setAllergens(currentMenuItem.allergens || []);
+      setAllergensVerified(currentMenuItem.allergensVerified || false);
+      setDietaryFlags(currentMenuItem.dietaryFlags || []);
+
+      // Set nutrition facts
+      setNutritionalInfo(currentMenuItem.nutritionalInfo || {});
+
       // Set tags
       if (currentMenuItem.tags && currentMenuItem.tags.length > 0) {
         setSelectedTags(currentMenuItem.tags);
@@ -215,7 +322,8 @@ export const AddMenuItem: React.FC = () => {
           const formatted = {
             name: String(size.name || ''),
             price: Number(size.price) || 0,
-            isDefault: Boolean(size.isDefault)
+            isDefault: Boolean(size.isDefault),
+            nutritionMultiplier: size.nutritionMultiplier ?? 1
           };
           return formatted;
         }).filter(size => {
@@ -272,6 +380,9 @@ export const AddMenuItem: React.FC = () => {
 
     // Fetch parent categories for all admin roles (needed for auto-selection)
     dispatch(fetchParentCategories());
+
+    // Ingredients for the recipe
+    dispatch(fetchIngredients());
   }, [dispatch, user?.role]);
 
   // Auto-set parent category for role-based admins
@@ -523,6 +634,35 @@ export const AddMenuItem: React.FC = () => {
       return;
     }
 
+    const modifierError = validateModifierGroups(modifierGroups);
+    if (modifierError) {
+      showAlert(modifierError, 'error', 'Modifier Groups');
+      return;
+    }
+
+    const bundleError = isBundle ? validateBundle(bundleSlots, bundlePricing) : null;
+    if (bundleError) {
+      showAlert(bundleError, 'error', 'Bundle');
+      return;
+    }
+
+    const availabilityError = validateAvailability(availability);
+    if (availabilityError) {
+      showAlert(availabilityError, 'error', 'Availability');
+      return;
+    }
+
+    const dietaryError = validateDietary(allergens, dietaryFlags, getIsVegetarian());
+    if (dietaryError) {
+      showAlert(dietaryError, 'error', 'Allergens & Dietary');
+      return;
+    }
+
+    if (recipe.some(line => !line.ingredient || !(line.quantity > 0))) {
+      showAlert('Choose an ingredient and a quantity for every recipe line', 'error', 'Recipe');
+      return;
+    }
+
     // Validate price relationship
     if (data.discountedPrice > data.mrp) {
       setError('discountedPrice', {
@@ -532,9 +672,9 @@ export const AddMenuItem: React.FC = () => {
       return;
     }
 
-    // Validate sizes data
+    // Validate sizes data (bundles are priced from their slots)
 
-    if (!data.sizes || data.sizes.length === 0) {
+    if (!isBundle && (!data.sizes || data.sizes.length === 0)) {
       setError('sizes', {
         type: 'manual',
         message: 'At least one size must be selected'
@@ -578,13 +718,14 @@ export const AddMenuItem: React.FC = () => {
           const processedSize = {
             name: String(size.name || '').trim(),
             price: Number(size.price) || 0,
-            isDefault: Boolean(size.isDefault)
+            isDefault: Boolean(size.isDefault),
+            nutritionMultiplier: size.nutritionMultiplier ?? 1
           };
           return processedSize;
         }).filter(size => size.name && size.price >= 0) || [];
 
 
-        if (sizesData.length === 0) {
+        if (sizesData.length === 0 && !isBundle) {
           throw new Error('At least one valid size is required');
         }
 
@@ -599,6 +740,9 @@ export const AddMenuItem: React.FC = () => {
 
     // Add role-based vegetarian status
     formData.append('isVegetarian', getIsVegetarian().toString());
+    formData.append('allergens', JSON.stringify(allergens));
+    formData.append('allergensVerified', (!isBundle && allergensVerified).toString());
+    formData.append('dietaryFlags', JSON.stringify(dietaryFlags));
 
     // Add spicy levels for all items (if selected and not "not-applicable")
 
@@ -678,6 +822,29 @@ export const AddMenuItem: React.FC = () => {
 
     // Add addons
     formData.append('addons', JSON.stringify(addons));
+    formData.append('modifierGroups', JSON.stringify(modifierGroups));
+
+    // Add bundle slots as plain ids
+    formData.append('itemType', itemType);
+    if (isBundle) {
+      formData.append('bundleSlots', JSON.stringify(bundleSlots.map(slot => ({
+        ...slot,
+        eligibleItems: slot.eligibleItems.map(toId),
+        eligibleCategories: slot.eligibleCategories.map(toId),
+      }))));
+      formData.append('bundlePricing', JSON.stringify(bundlePricing));
+    }
+
+    // Add day-part schedule
+    formData.append('availability', JSON.stringify(availability));
+
+    // Add recipe for ingredient stock tracking
+    formData.append('recipe', JSON.stringify(recipe));
+
+    // Add nutrition facts (bundles take theirs from the chosen items)
+    if (!isBundle) {
+      formData.append('nutritionalInfo', JSON.stringify(nutritionalInfo));
+    }
     
     // Add images (only new images for edit mode)
     selectedImages.forEach((image) => {
@@ -827,7 +994,11 @@ export const AddMenuItem: React.FC = () => {
           {/* Basic Information */}
           <Card>
             <CardHeader>
-              <CardTitle>{isEditMode ? 'Edit Menu Item' : 'Add New Menu Item'}</CardTitle>
+              <CardTitle>
+                {isBundle
+                  ? (isEditMode ? 'Edit Bundle' : 'Add New Bundle')
+                  : (isEditMode ? 'Edit Menu Item' : 'Add New Menu Item')}
+              </CardTitle>
               <CardDescription>{isEditMode ? 'Update the details of your menu item' : 'Enter the basic details of your menu item'}</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
@@ -1061,78 +1232,81 @@ export const AddMenuItem: React.FC = () => {
               <CardDescription>Configure sizes and spice level</CardDescription>
             </CardHeader>
             <CardContent className="space-y-4">
-              <div>
-                <Label>Available Sizes</Label>
-                <p className="text-sm text-muted-foreground mt-1">Select at least one size and set its price</p>
-                <div className="space-y-3 mt-2">
-                  {['Small', 'Medium', 'Large'].map((sizeName) => {
-                    const currentSizes = watch('sizes') || [];
-                    const existingSize = currentSizes.find(s => s.name === sizeName);
-                    const isChecked = !!existingSize;
-
-                    return (
-                      <div key={sizeName} className="flex items-center space-x-4 p-3 border rounded">
-                        <Checkbox
-                          id={sizeName}
-                          checked={isChecked}
-                          onCheckedChange={(checked) => {
-                            const currentSizes = watch('sizes') || [];
-                            if (checked) {
-                              const newSize = {
-                                name: sizeName,
-                                price: Number(watchedDiscountedPrice) || 0,
-                                isDefault: sizeName === 'Medium' && currentSizes.length === 0
-                              };
-                              setValue('sizes', [...currentSizes, newSize]);
-                              // Clear any previous size validation errors
-                              clearErrors('sizes');
-                            } else {
-                              setValue('sizes', currentSizes.filter(s => s.name !== sizeName));
-                            }
-                          }}
-                        />
-                        <Label htmlFor={sizeName} className="flex-1">{sizeName}</Label>
-                        {isChecked && (
-                          <div className="flex items-center space-x-2">
-                            <Label htmlFor={`${sizeName}-price`} className="text-sm">Price:</Label>
-                            <Input
-                              id={`${sizeName}-price`}
-                              type="number"
-                              min="0"
-                              step="0.01"
-                              onWheel={(e) => e.currentTarget.blur()}
-                              value={existingSize?.price === 0 ? '' : existingSize?.price || ''}
-                              onChange={(e) => {
-                                const currentSizes = watch('sizes') || [];
-                                const inputValue = e.target.value;
-                                const newPrice = inputValue === '' ? 0 : Number(inputValue);
-                                const updatedSizes = currentSizes.map(s =>
-                                  s.name === sizeName
-                                    ? { ...s, price: newPrice }
-                                    : s
-                                );
-                                setValue('sizes', updatedSizes);
-                                // Clear validation errors when user updates price
-                                if (newPrice >= 0) {
-                                  clearErrors('sizes');
-                                }
-                              }}
-                              className="w-20"
-                              placeholder="0"
-                            />
-                          </div>
-                        )}
-                      </div>
-                    );
-                  })}
+              {/* Bundles are priced from their slots, not sizes */}
+              {!isBundle && (
+                <div>
+                  <Label>Available Sizes</Label>
+                  <p className="text-sm text-muted-foreground mt-1">Select at least one size and set its price</p>
+                  <div className="space-y-3 mt-2">
+                    {['Small', 'Medium', 'Large'].map((sizeName) => {
+                      const currentSizes = watch('sizes') || [];
+                      const existingSize = currentSizes.find(s => s.name === sizeName);
+                      const isChecked = !!existingSize;
+
+                      return (
+                        <div key={sizeName} className="flex items-center space-x-4 p-3 border rounded">
+                          <Checkbox
+                            id={sizeName}
+                            checked={isChecked}
+                            onCheckedChange={(checked) => {
+                              const currentSizes = watch('sizes') || [];
+                              if (checked) {
+                                const newSize = {
+                                  name: sizeName,
+                                  price: Number(watchedDiscountedPrice) || 0,
+                                  isDefault: sizeName === 'Medium' && currentSizes.length === 0
+                                };
+                                setValue('sizes', [...currentSizes, newSize]);
+                                // Clear any previous size validation errors
+                                clearErrors('sizes');
+                              } else {
+                                setValue('sizes', currentSizes.filter(s => s.name !== sizeName));
+                              }
+                            }}
+                          />
+                          <Label htmlFor={sizeName} className="flex-1">{sizeName}</Label>
+                          {isChecked && (
+                            <div className="flex items-center space-x-2">
+                              <Label htmlFor={`${sizeName}-price`} className="text-sm">Price:</Label>
+                              <Input
+                                id={`${sizeName}-price`}
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                onWheel={(e) => e.currentTarget.blur()}
+                                value={existingSize?.price === 0 ? '' : existingSize?.price || ''}
+                                onChange={(e) => {
+                                  const currentSizes = watch('sizes') || [];
+                                  const inputValue = e.target.value;
+                                  const newPrice = inputValue === '' ? 0 : Number(inputValue);
+                                  const updatedSizes = currentSizes.map(s =>
+                                    s.name === sizeName
+                                      ? { ...s, price: newPrice }
+                                      : s
+                                  );
+                                  setValue('sizes', updatedSizes);
+                                  // Clear validation errors when user updates price
+                                  if (newPrice >= 0) {
+                                    clearErrors('sizes');
+                                  }
+                                }}
+                                className="w-20"
+                                placeholder="0"
+                              />
+                            </div>
+                          )}
+                        </div>
+                      );
+                    })}
+                  </div>
+                  {errors.sizes && (
+                    <p className="text-sm text-destructive mt-1">{errors.sizes.message}</p>
+                  )}
+                  {(!watch('sizes') || watch('sizes').length === 0) && (
+                    <p className="text-sm text-amber-600 mt-1">⚠️ Please select at least one size to continue</p>
+                  )}
                 </div>
-                {errors.sizes && (
-                  <p className="text-sm text-destructive mt-1">{errors.sizes.message}</p>
-                )}
-                {(!watch('sizes') || watch('sizes').length === 0) && (
-                  <p className="text-sm text-amber-600 mt-1">⚠️ Please select at least one size to continue</p>
-                )}
-              </div>
+              )}
 
               <InlineItemManager
                 type="spicy"
@@ -1318,19 +1492,41 @@ export const AddMenuItem: React.FC = () => {
               {addons.length > 0 && (
                 <div className="space-y-2">
                   {addons.map((addon, index) => (
-                    <div key={index} className="flex items-center justify-between p-2 border rounded">
-                      <span>{addon.name}</span>
-                      <div className="flex items-center gap-2">
-                        <span className="text-sm text-muted-foreground">₹{addon.price}</span>
-                        <Button
-                          type="button"
-                          variant="outline"
-                          size="sm"
-                          onClick={() => removeAddon(index)}
-                        >
-                          <Minus className="h-3 w-3" />
-                        </Button>
+                    <div key={index} className="p-2 border rounded space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span>{addon.name}</span>
+                        <div className="flex items-center gap-2">
+                          <span className="text-sm text-muted-foreground">₹{addon.price}</span>
+                          {hasNutrition(addon.nutritionalInfo) && (
+                            <span className="text-sm text-muted-foreground">{formatCalories(addon.nutritionalInfo)}</span>
+                          )}
+                          <Button
+                            type="button"
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => setNutritionAddon(nutritionAddon === index ? null : index)}
+                          >
+                            Nutrition
+                          </Button>
+                          <Button
+                            type="button"
+                            variant="outline"
+                            size="sm"
+                            onClick={() => removeAddon(index)}
+                          >
+                            <Minus className="h-3 w-3" />
+                          </Button>
+                        </div>
                       </div>
+                      {nutritionAddon === index && (
+                        <NutritionFields
+                          idPrefix={`addon-nutrition-${index}`}
+                          value={addon.nutritionalInfo}
+                          onChange={(info) => setAddons(prev => prev.map((entry, i) => (
+                            i === index ? { ...entry, nutritionalInfo: info } : entry
+                          )))}
+                        />
+                      )}
                     </div>
                   ))}
                 </div>
@@ -1379,6 +1575,219 @@ export const AddMenuItem: React.FC = () => {
           </Card>
         </div>
 
+        {/* Allergens & Dietary */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Allergens & Dietary</CardTitle>
+            <CardDescription>
+              Shown to customers on the menu and to the kitchen on every order that includes this item
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="space-y-3">
+              <Label>Contains</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(ALLERGENS).map(([key, label]) => (
+                  <div key={key} className="flex items-center space-x-2">
+                    <Checkbox
+                      id={`allergen-${key}`}
+                      checked={allergens.includes(key)}
+                      onCheckedChange={(checked) => setAllergens(checked === true
+                        ? [...allergens, key]
+                        : allergens.filter(allergen => allergen !== key))}
+                    />
+                    <Label htmlFor={`allergen-${key}`} className="text-sm font-normal">{label}</Label>
+                  </div>
+                ))}
+              </div>
+              {isBundle ? (
+                <p className="text-sm text-muted-foreground">
+                  Allergen filters check every item that can fill this bundle's slots
+                </p>
+              ) : (
+                <div className="flex items-start space-x-2 pt-2">
+                  <Checkbox
+                    id="allergensVerified"
+                    checked={allergensVerified}
+                    onCheckedChange={(checked) => setAllergensVerified(checked === true)}
+                  />
+                  <div className="space-y-1">
+                    <Label htmlFor="allergensVerified" className="text-sm font-medium">Allergen list verified</Label>
+                    <p className="text-sm text-muted-foreground">
+                      Customers filtering out allergens only see items whose list has been checked against the recipe
+                    </p>
+                  </div>
+                </div>
+              )}
+            </div>
+            <div className="space-y-3">
+              <Label>Suitable for</Label>
+              <div className="grid grid-cols-2 gap-2">
+                {Object.entries(DIETARY_FLAGS).map(([key, label]) => (
+                  <div key={key} className="flex items-center space-x-2">
+                    <Checkbox
+                      id={`dietary-${key}`}
+                      checked={dietaryFlags.includes(key)}
+                      onCheckedChange={(checked) => setDietaryFlags(checked === true
+                        ? [...dietaryFlags, key]
+                        : dietaryFlags.filter(flag => flag !== key))}
+                    />
+                    <Label htmlFor={`dietary-${key}`} className="text-sm font-normal">{label}</Label>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
+
+        {/* Nutrition */}
+        {!isBundle && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Nutrition</CardTitle>
+              <CardDescription>
+                Optional values for one serving of the default size. Modifier options and add-ons can add their own.
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <NutritionFields idPrefix="nutrition" value={nutritionalInfo} onChange={setNutritionalInfo} />
+              {(watch('sizes') || []).length > 1 && (
+                <div className="space-y-2">
+                  <Label>Size multipliers</Label>
+                  <p className="text-sm text-muted-foreground">
+                    How much of a serving each size is, e.g. 0.75 for a small or 1.5 for a large
+                  </p>
+                  <div className="flex flex-wrap gap-4">
+                    {(watch('sizes') || []).map(size => (
+                      <div key={size.name} className="flex items-center space-x-2">
+                        <Label htmlFor={`${size.name}-nutrition-multiplier`} className="text-sm">{size.name}:</Label>
+                        <Input
+                          id={`${size.name}-nutrition-multiplier`}
+                          type="number"
+                          min="0"
+                          step="0.05"
+                          onWheel={(e) => e.currentTarget.blur()}
+                          value={size.nutritionMultiplier ?? 1}
+                          onChange={(e) => {
+                            const multiplier = e.target.value === '' ? 1 : Number(e.target.value);
+                            setValue('sizes', (watch('sizes') || []).map(s =>
+                              s.name === size.name ? { ...s, nutritionMultiplier: multiplier } : s
+                            ));
+                          }}
+                          className="w-20"
+                        />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Bundle Slots */}
+        {isBundle && (
+          <Card>
+            <CardHeader>
+              <CardTitle>Bundle Slots</CardTitle>
+              <CardDescription>
+                Each slot is filled by one item the customer picks, e.g. "Any dosa" + "Any drink" + "Dessert"
+              </CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <div className="flex flex-wrap items-end gap-4">
+                <div className="space-y-1">
+                  <Label>Bundle pricing</Label>
+                  <Select
+                    value={bundlePricing.mode}
+                    onValueChange={(value) => setBundlePricing({ ...bundlePricing, mode: value as MenuBundlePricing['mode'] })}
+                  >
+                    <SelectTrigger className="w-[220px]">
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="fixed">Fixed price (discounted price)</SelectItem>
+                      <SelectItem value="discount">% off the chosen items</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+                {bundlePricing.mode === 'discount' && (
+                  <div className="space-y-1">
+                    <Label htmlFor="bundleDiscount">Discount (%)</Label>
+                    <Input
+                      id="bundleDiscount"
+                      type="number"
+                      min="0"
+                      max="100"
+                      onWheel={(e) => e.currentTarget.blur()}
+                      value={bundlePricing.discountPercentage}
+                      onChange={(e) => setBundlePricing({
+                        ...bundlePricing,
+                        discountPercentage: Math.min(100, Math.max(0, Number(e.target.value) || 0)),
+                      })}
+                      className="w-24"
+                    />
+                  </div>
+                )}
+              </div>
+              <BundleSlotsEditor
+                slots={bundleSlots}
+                onChange={setBundleSlots}
+                items={bundleCandidates.filter(candidate => candidate._id !== id)}
+                categories={filteredCategories}
+              />
+            </CardContent>
+          </Card>
+        )}
+
+        {/* Modifier Groups */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Modifier Groups</CardTitle>
+            <CardDescription>
+              Structured choices such as "Choose a chutney (pick 1–2)" or "Bread choice (required)"
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <ModifierGroupsEditor groups={modifierGroups} onChange={setModifierGroups} />
+          </CardContent>
+        </Card>
+
+        {/* Availability */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Availability</CardTitle>
+            <CardDescription>
+              Limit when customers can order this, e.g. breakfast only or the weekday lunch buffet
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <AvailabilityEditor
+              value={availability}
+              onChange={setAvailability}
+              subject={isBundle ? 'bundle' : 'item'}
+            />
+          </CardContent>
+        </Card>
+
+        {/* Recipe */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Recipe</CardTitle>
+            <CardDescription>
+              Ingredients used per serving. Stock is deducted with each order and the item is taken off the menu when it runs out.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <RecipeEditor
+              lines={recipe}
+              ingredients={ingredients}
+              onChange={setRecipe}
+              missingIngredients={isEditMode ? currentMenuItem?.missingIngredients : undefined}
+            />
+          </CardContent>
+        </Card>
+
         <div className="flex justify-end gap-4">
           <Button type="button" variant="outline" onClick={() => navigate('/menu')}>
             Cancel
@@ -1386,7 +1795,9 @@ export const AddMenuItem: React.FC = () => {
           <Button type="submit" disabled={menuLoading}>
             {menuLoading && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
             <Save className="h-4 w-4 mr-2" />
-            {isEditMode ? 'Update Menu Item' : 'Create Menu Item'}
+            {isBundle
+              ? (isEditMode ? 'Update Bundle' : 'Create Bundle')
+              : (isEditMode ? 'Update Menu Item' : 'Create Menu Item')}
           </Button>
         </div>
       </form>
@@ -0,0 +1,260 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchDeliveryZones,
+  deleteDeliveryZone,
+  checkDeliveryLocation,
+  clearError,
+  type DeliveryZone
+} from '@/store/slices/deliveryZonesSlice';
+import { DeliveryZoneDialog } from '@/components/delivery-zones/DeliveryZoneDialog';
+import { ZonePreview } from '@/components/delivery-zones/ZonePreview';
+import { Edit, MapPin, Plus, RefreshCw, Search, Trash2 } from 'lucide-react';
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+const describeShape = (zone: DeliveryZone) => {
+  if (zone.type === 'radius' && zone.radius) {
+    return `${zone.radius.minKm || 0}–${zone.radius.maxKm} km ring`;
+  }
+  return `Polygon, ${zone.polygon?.length || 0} points`;
+};
+
+export const DeliveryZones: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { zones, restaurantLocation, isLoading, error } = useAppSelector((state) => state.deliveryZones);
+
+  const [editingZone, setEditingZone] = useState<DeliveryZone | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [zoneToDelete, setZoneToDelete] = useState<DeliveryZone | null>(null);
+  const [checkLatitude, setCheckLatitude] = useState('');
+  const [checkLongitude, setCheckLongitude] = useState('');
+  const [checkResult, setCheckResult] = useState<string | null>(null);
+
+  const canEdit = isSuperAdmin();
+
+  useEffect(() => {
+    dispatch(fetchDeliveryZones());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  const openEditor = (zone: DeliveryZone | null) => {
+    setEditingZone(zone);
+    setIsEditorOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!zoneToDelete) return;
+
+    try {
+      await dispatch(deleteDeliveryZone(zoneToDelete._id)).unwrap();
+      showAlert(`Delivery zone "${zoneToDelete.name}" has been deleted`, 'success', 'Zone Deleted');
+    } catch (deleteError) {
+      showAlert(
+        typeof deleteError === 'string' ? deleteError : 'Failed to delete delivery zone',
+        'error',
+        'Delete Failed'
+      );
+    } finally {
+      setZoneToDelete(null);
+    }
+  };
+
+  const handleCheck = async () => {
+    try {
+      const result = await dispatch(checkDeliveryLocation({
+        latitude: parseFloat(checkLatitude),
+        longitude: parseFloat(checkLongitude)
+      })).unwrap();
+      setCheckResult(`${result.message} (${result.distanceKm} km from the restaurant)`);
+    } catch (checkError) {
+      setCheckResult(typeof checkError === 'string' ? checkError : 'Failed to check location');
+    }
+  };
+
+  if (isLoading && !restaurantLocation) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Delivery Zones</h1>
+          <p className="text-muted-foreground">
+            Where we deliver, and the fee, minimum order and ETA for each area
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={() => dispatch(fetchDeliveryZones())}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canEdit && (
+            <Button onClick={() => openEditor(null)} disabled={!restaurantLocation}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Zone
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {zones.length === 0 && (
+        <p className="text-sm text-muted-foreground">
+          No zones are configured, so delivery is offered everywhere using the fee tiers in Settings.
+        </p>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-3">
+        <div className="lg:col-span-2 space-y-3">
+          {zones.map((zone) => (
+            <Card key={zone._id}>
+              <CardContent className="p-4 flex flex-col sm:flex-row justify-between gap-4">
+                <div className="space-y-1">
+                  <div className="flex items-center gap-2">
+                    <MapPin className="h-4 w-4" />
+                    <span className="font-semibold">{zone.name}</span>
+                    <Badge variant={zone.isActive ? 'default' : 'secondary'}>
+                      {zone.isActive ? 'Active' : 'Inactive'}
+                    </Badge>
+                    {zone.priority !== 0 && <Badge variant="outline">Priority {zone.priority}</Badge>}
+                  </div>
+                  <p className="text-sm text-muted-foreground">{describeShape(zone)}</p>
+                  <p className="text-sm">
+                    Fee {formatCurrency(zone.deliveryFee)}
+                    {zone.freeDeliveryOver != null && ` • free from ${formatCurrency(zone.freeDeliveryOver)}`}
+                    {' '}• minimum {formatCurrency(zone.minimumOrder || 0)} • ETA {zone.estimatedMinutes} min
+                  </p>
+                </div>
+                {canEdit && (
+                  <div className="flex gap-2 items-start">
+                    <Button variant="outline" size="sm" onClick={() => openEditor(zone)}>
+                      <Edit className="h-4 w-4 mr-2" />
+                      Edit
+                    </Button>
+                    <Button variant="outline" size="sm" onClick={() => setZoneToDelete(zone)}>
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+
+        <div className="space-y-6">
+          {restaurantLocation && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Coverage</CardTitle>
+                <CardDescription>Dashed shapes are inactive</CardDescription>
+              </CardHeader>
+              <CardContent>
+                <ZonePreview zones={zones} restaurantLocation={restaurantLocation} />
+              </CardContent>
+            </Card>
+          )}
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Check a Location</CardTitle>
+              <CardDescription>See which zone an address's coordinates fall in</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <div className="space-y-1">
+                  <Label htmlFor="check-latitude">Latitude</Label>
+                  <Input
+                    id="check-latitude"
+                    type="number"
+                    step="0.000001"
+                    value={checkLatitude}
+                    onChange={(e) => setCheckLatitude(e.target.value)}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="check-longitude">Longitude</Label>
+                  <Input
+                    id="check-longitude"
+                    type="number"
+                    step="0.000001"
+                    value={checkLongitude}
+                    onChange={(e) => setCheckLongitude(e.target.value)}
+                  />
+                </div>
+              </div>
+              <Button
+                variant="outline"
+                onClick={handleCheck}
+                disabled={checkLatitude === '' || checkLongitude === ''}
+              >
+                <Search className="h-4 w-4 mr-2" />
+                Check
+              </Button>
+              {checkResult && <p className="text-sm">{checkResult}</p>}
+            </CardContent>
+          </Card>
+        </div>
+      </div>
+
+      {restaurantLocation && (
+        <DeliveryZoneDialog
+          zone={editingZone}
+          restaurantLocation={restaurantLocation}
+          isOpen={isEditorOpen}
+          onClose={() => setIsEditorOpen(false)}
+        />
+      )}
+
+      <AlertDialog open={!!zoneToDelete} onOpenChange={(open) => !open && setZoneToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete delivery zone?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{zoneToDelete?.name}" will be removed. Addresses only covered by this zone will no longer be deliverable.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
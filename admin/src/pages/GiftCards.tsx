@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchGiftCards,
+  clearError,
+  type GiftCard,
+  type GiftCardFilters,
+  type GiftCardKind,
+  type GiftCardStatusFilter
+} from '@/store/slices/giftCardsSlice';
+import { GiftCardDetailsDialog } from '@/components/gift-cards/GiftCardDetailsDialog';
+import { StoreCreditDialog } from '@/components/gift-cards/StoreCreditDialog';
+import { Eye, Gift, HeartHandshake, Plus, RefreshCw, Search } from 'lucide-react';
+
+const KIND_LABELS: Record<GiftCardKind, string> = {
+  gift_card: 'Gift card',
+  store_credit: 'Store credit',
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+const getCardState = (giftCard: GiftCard) => {
+  if (giftCard.status === 'pending') return 'Awaiting payment';
+  if (giftCard.status === 'disabled') return 'Disabled';
+  if (giftCard.isExpired) return 'Expired';
+  return giftCard.balance > 0 ? 'Active' : 'Used up';
+};
+
+export const GiftCards: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { giftCards, outstanding, pagination, isLoading, error } = useAppSelector((state) => state.giftCards);
+
+  const [kindFilter, setKindFilter] = useState<GiftCardKind | 'all'>('all');
+  const [statusFilter, setStatusFilter] = useState<GiftCardStatusFilter | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [selectedCard, setSelectedCard] = useState<GiftCard | null>(null);
+  const [isStoreCreditOpen, setIsStoreCreditOpen] = useState(false);
+
+  const canManage = isSuperAdmin();
+
+  const buildFilters = (): GiftCardFilters => ({
+    kind: kindFilter === 'all' ? undefined : kindFilter,
+    status: statusFilter === 'all' ? undefined : statusFilter,
+    search: search.trim() || undefined,
+    page
+  });
+
+  const loadGiftCards = () => {
+    dispatch(fetchGiftCards(buildFilters()));
+  };
+
+  useEffect(() => {
+    dispatch(fetchGiftCards({
+      kind: kindFilter === 'all' ? undefined : kindFilter,
+      status: statusFilter === 'all' ? undefined : statusFilter,
+      page
+    }));
+  }, [dispatch, kindFilter, statusFilter, page]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  // Keep the dialog showing the latest copy of the card after an adjustment
+  const openCard = selectedCard
+    ? giftCards.find(giftCard => giftCard._id === selectedCard._id) || selectedCard
+    : null;
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Gift Cards</h1>
+          <p className="text-muted-foreground">
+            Gift cards customers buy for each other, and store credit issued to make things right
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={loadGiftCards}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canManage && (
+            <Button onClick={() => setIsStoreCreditOpen(true)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Issue Store Credit
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Outstanding balances */}
+      <div className="grid gap-4 sm:grid-cols-2">
+        {(Object.keys(KIND_LABELS) as GiftCardKind[]).map((kind) => (
+          <Card key={kind}>
+            <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+              <CardTitle className="text-sm font-medium">Outstanding {KIND_LABELS[kind].toLowerCase()} balance</CardTitle>
+              {kind === 'gift_card'
+                ? <Gift className="h-4 w-4 text-muted-foreground" />
+                : <HeartHandshake className="h-4 w-4 text-muted-foreground" />}
+            </CardHeader>
+            <CardContent>
+              <div className="text-2xl font-bold">{formatCurrency(outstanding[kind]?.balance ?? 0)}</div>
+              <p className="text-xs text-muted-foreground">
+                Across {outstanding[kind]?.count ?? 0} active {outstanding[kind]?.count === 1 ? 'card' : 'cards'}
+              </p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-col sm:flex-row gap-2">
+        <Select
+          value={kindFilter}
+          onValueChange={(value) => {
+            setKindFilter(value as GiftCardKind | 'all');
+            setPage(1);
+          }}
+        >
+          <SelectTrigger className="sm:w-48">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All kinds</SelectItem>
+            <SelectItem value="gift_card">Gift cards</SelectItem>
+            <SelectItem value="store_credit">Store credit</SelectItem>
+          </SelectContent>
+        </Select>
+        <Select
+          value={statusFilter}
+          onValueChange={(value) => {
+            setStatusFilter(value as GiftCardStatusFilter | 'all');
+            setPage(1);
+          }}
+        >
+          <SelectTrigger className="sm:w-48">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All statuses</SelectItem>
+            <SelectItem value="active">Active</SelectItem>
+            <SelectItem value="pending">Awaiting payment</SelectItem>
+            <SelectItem value="expired">Expired</SelectItem>
+            <SelectItem value="disabled">Disabled</SelectItem>
+          </SelectContent>
+        </Select>
+        <div className="flex gap-2 flex-1">
+          <Input
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && loadGiftCards()}
+            placeholder="Search by code, recipient name or email"
+          />
+          <Button variant="outline" onClick={loadGiftCards}>
+            <Search className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      {isLoading && giftCards.length === 0 ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        </div>
+      ) : giftCards.length === 0 ? (
+        <p className="text-sm text-muted-foreground">No gift cards match.</p>
+      ) : (
+        <div className="space-y-3">
+          {giftCards.map((giftCard) => {
+            const state = getCardState(giftCard);
+
+            return (
+              <Card key={giftCard._id}>
+                <CardContent className="p-4 flex flex-col sm:flex-row justify-between gap-4">
+                  <div className="space-y-1">
+                    <div className="flex items-center gap-2 flex-wrap">
+                      {giftCard.kind === 'gift_card'
+                        ? <Gift className="h-4 w-4" />
+                        : <HeartHandshake className="h-4 w-4" />}
+                      <span className="font-semibold font-mono">{giftCard.code}</span>
+                      <Badge variant={state === 'Active' ? 'default' : 'secondary'}>{state}</Badge>
+                      <Badge variant="outline">{KIND_LABELS[giftCard.kind]}</Badge>
+                    </div>
+                    <p className="text-sm">
+                      {formatCurrency(giftCard.balance)} of {formatCurrency(giftCard.initialBalance)} left
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      For {giftCard.recipientName ? `${giftCard.recipientName} (${giftCard.recipientEmail})` : giftCard.recipientEmail}
+                      {giftCard.kind === 'store_credit'
+                        ? giftCard.issuedBy && ` • issued by ${giftCard.issuedBy.name}`
+                        : giftCard.purchaser && ` • bought by ${giftCard.purchaser.name}`}
+                    </p>
+                    <p className="text-sm text-muted-foreground">
+                      Created {new Date(giftCard.createdAt).toLocaleDateString()}
+                      {giftCard.expiresAt && ` • expires ${new Date(giftCard.expiresAt).toLocaleDateString()}`}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 items-start">
+                    <Button variant="outline" size="sm" onClick={() => setSelectedCard(giftCard)}>
+                      <Eye className="h-4 w-4 mr-2" />
+                      Details
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      {pagination && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            Page {pagination.currentPage} of {pagination.totalPages} • {pagination.totalItems} cards
+          </p>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>
+              Previous
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setPage(page + 1)}
+              disabled={page >= pagination.totalPages}
+            >
+              Next
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <GiftCardDetailsDialog
+        giftCard={openCard}
+        canManage={canManage}
+        onClose={() => setSelectedCard(null)}
+      />
+
+      <StoreCreditDialog
+        isOpen={isStoreCreditOpen}
+        onClose={() => setIsStoreCreditOpen(false)}
+      />
+    </div>
+  );
+};
@@ -0,0 +1,295 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Switch } from '@/components/ui/switch';
+import { Label } from '@/components/ui/label';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchIngredients,
+  deleteIngredient,
+  syncIngredientAvailability,
+  clearError,
+  type Ingredient,
+  type IngredientStockAlert
+} from '@/store/slices/inventorySlice';
+import { IngredientDialog } from '@/components/inventory/IngredientDialog';
+import { AdjustStockDialog } from '@/components/inventory/AdjustStockDialog';
+import { formatQuantity } from '@/utils/inventoryUtils';
+import { socket, connectSocket, disconnectSocket, joinAdminRoom } from '@/socket';
+import { Edit, PackagePlus, Plus, RefreshCw, Search, Trash2, UtensilsCrossed } from 'lucide-react';
+
+const stockBadge = (ingredient: Ingredient) => {
+  if (ingredient.onHand <= 0) {
+    return <Badge variant="destructive">Out of stock</Badge>;
+  }
+  if (ingredient.isLowStock) {
+    return <Badge className="bg-yellow-500 hover:bg-yellow-500">Low stock</Badge>;
+  }
+  return <Badge variant="secondary">In stock</Badge>;
+};
+
+export const Inventory: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { ingredients, isLoading, error } = useAppSelector((state) => state.inventory);
+
+  const [search, setSearch] = useState('');
+  const [lowStockOnly, setLowStockOnly] = useState(false);
+  const [editingIngredient, setEditingIngredient] = useState<Ingredient | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [adjustingIngredient, setAdjustingIngredient] = useState<Ingredient | null>(null);
+  const [ingredientToDelete, setIngredientToDelete] = useState<Ingredient | null>(null);
+
+  const canEdit = isSuperAdmin();
+
+  useEffect(() => {
+    dispatch(fetchIngredients());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  const onIngredientStockAlert = useCallback((data: IngredientStockAlert) => {
+    showAlert(
+      `${data.name} is down to ${formatQuantity(data.onHand, data.unit)}`,
+      'warning',
+      data.onHand <= 0 ? 'Out of Stock' : 'Low Stock'
+    );
+    dispatch(fetchIngredients());
+  }, [dispatch, showAlert]);
+
+  const onMenuItemAutoUnavailable = useCallback((data: { name: string }) => {
+    showAlert(`${data.name} has been taken off the menu until its ingredients are restocked`, 'warning', 'Item Unavailable');
+  }, [showAlert]);
+
+  // Live stock alerts while orders come in
+  useEffect(() => {
+    function onConnect() {
+      joinAdminRoom();
+    }
+
+    socket.on('connect', onConnect);
+    socket.on('ingredientLowStock', onIngredientStockAlert);
+    socket.on('ingredientOutOfStock', onIngredientStockAlert);
+    socket.on('menuItemAutoUnavailable', onMenuItemAutoUnavailable);
+
+    connectSocket();
+
+    return () => {
+      socket.off('connect', onConnect);
+      socket.off('ingredientLowStock', onIngredientStockAlert);
+      socket.off('ingredientOutOfStock', onIngredientStockAlert);
+      socket.off('menuItemAutoUnavailable', onMenuItemAutoUnavailable);
+    };
+  }, [onIngredientStockAlert, onMenuItemAutoUnavailable]);
+
+  useEffect(() => {
+    return () => {
+      disconnectSocket();
+    };
+  }, []);
+
+  const openEditor = (ingredient: Ingredient | null) => {
+    setEditingIngredient(ingredient);
+    setIsEditorOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!ingredientToDelete) return;
+
+    try {
+      await dispatch(deleteIngredient(ingredientToDelete._id)).unwrap();
+      showAlert(`Ingredient "${ingredientToDelete.name}" has been deleted`, 'success', 'Ingredient Deleted');
+    } catch (deleteError) {
+      showAlert(
+        typeof deleteError === 'string' ? deleteError : 'Failed to delete ingredient',
+        'error',
+        'Delete Failed'
+      );
+    } finally {
+      setIngredientToDelete(null);
+    }
+  };
+
+  const handleSync = async () => {
+    try {
+      const message = await dispatch(syncIngredientAvailability()).unwrap();
+      showAlert(message, 'info', 'Menu Checked');
+    } catch (syncError) {
+      showAlert(
+        typeof syncError === 'string' ? syncError : 'Failed to check menu availability',
+        'error',
+        'Check Failed'
+      );
+    }
+  };
+
+  const visibleIngredients = ingredients.filter(ingredient =>
+    ingredient.name.toLowerCase().includes(search.trim().toLowerCase()) &&
+    (!lowStockOnly || ingredient.isLowStock)
+  );
+  const lowStockCount = ingredients.filter(ingredient => ingredient.isActive && ingredient.isLowStock).length;
+
+  if (isLoading && ingredients.length === 0) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Inventory</h1>
+          <p className="text-muted-foreground">
+            Ingredient stock, deducted as orders are placed
+            {lowStockCount > 0 && ` • ${lowStockCount} running low`}
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={() => dispatch(fetchIngredients())}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          <Button variant="outline" onClick={handleSync}>
+            <UtensilsCrossed className="h-4 w-4 mr-2" />
+            Check Menu
+          </Button>
+          {canEdit && (
+            <Button onClick={() => openEditor(null)}>
+              <Plus className="h-4 w-4 mr-2" />
+              Add Ingredient
+            </Button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-4 sm:items-center">
+        <div className="relative flex-1 max-w-sm">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            placeholder="Search ingredients..."
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className="pl-9"
+          />
+        </div>
+        <div className="flex items-center gap-2">
+          <Switch id="low-stock-only" checked={lowStockOnly} onCheckedChange={setLowStockOnly} />
+          <Label htmlFor="low-stock-only">Low stock only</Label>
+        </div>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>Ingredient</TableHead>
+                <TableHead>On Hand</TableHead>
+                <TableHead>Low Stock At</TableHead>
+                <TableHead>Status</TableHead>
+                <TableHead>Used In</TableHead>
+                <TableHead>Last Restocked</TableHead>
+                <TableHead className="text-right">Actions</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {visibleIngredients.length === 0 && (
+                <TableRow>
+                  <TableCell colSpan={7} className="text-center text-muted-foreground py-8">
+                    {ingredients.length === 0 ? 'No ingredients yet' : 'No ingredients match your filters'}
+                  </TableCell>
+                </TableRow>
+              )}
+              {visibleIngredients.map((ingredient) => (
+                <TableRow key={ingredient._id} className={ingredient.isActive ? '' : 'opacity-60'}>
+                  <TableCell className="font-medium">
+                    {ingredient.name}
+                    {!ingredient.isActive && <Badge variant="outline" className="ml-2">Inactive</Badge>}
+                  </TableCell>
+                  <TableCell>{formatQuantity(ingredient.onHand, ingredient.unit)}</TableCell>
+                  <TableCell>{formatQuantity(ingredient.lowStockThreshold, ingredient.unit)}</TableCell>
+                  <TableCell>{stockBadge(ingredient)}</TableCell>
+                  <TableCell>
+                    {ingredient.menuItemCount || 0} item{ingredient.menuItemCount === 1 ? '' : 's'}
+                  </TableCell>
+                  <TableCell>
+                    {ingredient.lastRestockedAt ? new Date(ingredient.lastRestockedAt).toLocaleDateString() : '—'}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    <div className="flex gap-2 justify-end">
+                      <Button variant="outline" size="sm" onClick={() => setAdjustingIngredient(ingredient)}>
+                        <PackagePlus className="h-4 w-4 mr-2" />
+                        Stock
+                      </Button>
+                      {canEdit && (
+                        <>
+                          <Button variant="outline" size="sm" onClick={() => openEditor(ingredient)}>
+                            <Edit className="h-4 w-4" />
+                          </Button>
+                          <Button variant="outline" size="sm" onClick={() => setIngredientToDelete(ingredient)}>
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                    </div>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+
+      <IngredientDialog
+        ingredient={editingIngredient}
+        isOpen={isEditorOpen}
+        onClose={() => setIsEditorOpen(false)}
+      />
+
+      <AdjustStockDialog
+        ingredient={adjustingIngredient}
+        onClose={() => setAdjustingIngredient(null)}
+      />
+
+      <AlertDialog open={!!ingredientToDelete} onOpenChange={(open) => !open && setIngredientToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete ingredient?</AlertDialogTitle>
+            <AlertDialogDescription>
+              "{ingredientToDelete?.name}" will be removed. Ingredients still used in a recipe can't be deleted.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
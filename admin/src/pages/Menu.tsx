@@ -8,6 +8,7 @@ import { Dialog, DialogContent, DialogHeader, DialogTitle } from '@/components/u
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
 import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
 import { ExportDropdown } from '@/components/ui/export-dropdown';
+import { MenuTransferDialog } from '@/components/menu/MenuTransferDialog';
 import {
   Pagination,
   PaginationContent,
@@ -38,7 +39,9 @@ import {
   X,
   Grid3X3,
   Grid2X2,
-  LayoutGrid
+  LayoutGrid,
+  Layers,
+  FileSpreadsheet
 } from 'lucide-react';
 
 export const Menu: React.FC = () => {
@@ -53,6 +56,7 @@ export const Menu: React.FC = () => {
   const [selectedCategory, setSelectedCategory] = useState<string>('all');
   const [selectedType, setSelectedType] = useState<string>('all');
   const [selectedStatus, setSelectedStatus] = useState<string>('all');
+  const [selectedItemType, setSelectedItemType] = useState<string>('all');
   const [selectedPriceRange, setSelectedPriceRange] = useState<string>('all');
   const [sortBy, setSortBy] = useState<string>('name');
   const [showFilters, setShowFilters] = useState(false);
@@ -64,6 +68,10 @@ export const Menu: React.FC = () => {
   const [deleteConfirmOpen, setDeleteConfirmOpen] = useState(false);
   const [itemToDelete, setItemToDelete] = useState<{ id: string; name: string } | null>(null);
 
+  // Bulk import/export dialog; bumping refreshKey reloads the list after an import
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
   // Debounce search term
   useEffect(() => {
     const timer = setTimeout(() => {
@@ -85,11 +93,12 @@ export const Menu: React.FC = () => {
         category: selectedCategory !== 'all' ? selectedCategory : '',
         isVegetarian: selectedType !== 'all' ? selectedType === 'veg' : '',
         isActive: selectedStatus !== 'all' ? selectedStatus === 'active' : '',
+        itemType: selectedItemType !== 'all' ? selectedItemType : '',
         sortBy: sortBy === 'name' ? 'name' : sortBy === 'price' ? 'discountedPrice' : 'createdAt',
         sortOrder: 'desc'
       }));
     }
-  }, [dispatch, currentPage, itemsPerPage, debouncedSearchTerm, selectedCategory, selectedType, selectedStatus, sortBy]);
+  }, [dispatch, currentPage, itemsPerPage, debouncedSearchTerm, selectedCategory, selectedType, selectedStatus, selectedItemType, sortBy, refreshKey]);
 
   useEffect(() => {
     // Fetch only menu categories for the dropdown
@@ -160,6 +169,7 @@ export const Menu: React.FC = () => {
           category: selectedCategory !== 'all' ? selectedCategory : '',
           isVegetarian: selectedType !== 'all' ? selectedType === 'veg' : '',
           isActive: selectedStatus !== 'all' ? selectedStatus === 'active' : '',
+          itemType: selectedItemType !== 'all' ? selectedItemType : '',
           sortBy: sortBy === 'name' ? 'name' : sortBy === 'price' ? 'discountedPrice' : 'createdAt',
           sortOrder: 'desc'
         }));
@@ -202,6 +212,11 @@ export const Menu: React.FC = () => {
     setCurrentPage(1);
   };
 
+  const handleItemTypeChange = (value: string) => {
+    setSelectedItemType(value);
+    setCurrentPage(1);
+  };
+
   const handleSortChange = (value: string) => {
     setSortBy(value);
     setCurrentPage(1);
@@ -301,13 +316,25 @@ export const Menu: React.FC = () => {
             title="Menu Items Export"
             subtitle={`Total items: ${filteredMenuItems.length}`}
           />
+          <Button size="sm" variant="outline" onClick={() => setTransferOpen(true)}>
+            <FileSpreadsheet className="h-4 w-4 mr-2" />
+            Import / Export
+          </Button>
           {canAddMenuItem() && (
-            <Button size="sm" asChild>
-              <Link to="/menu/new">
-                <Plus className="h-4 w-4 mr-2" />
-                Add Menu Item
-              </Link>
-            </Button>
+            <>
+              <Button size="sm" variant="outline" asChild>
+                <Link to="/menu/new?type=bundle">
+                  <Layers className="h-4 w-4 mr-2" />
+                  Add Bundle
+                </Link>
+              </Button>
+              <Button size="sm" asChild>
+                <Link to="/menu/new">
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Menu Item
+                </Link>
+              </Button>
+            </>
           )}
         </div>
       </div>
@@ -395,7 +422,7 @@ export const Menu: React.FC = () => {
                 <Filter className="h-4 w-4 mr-2" />
                 {showFilters ? 'Hide Filters' : 'More Filters'}
               </Button>
-              {(searchTerm || selectedCategory !== 'all' || selectedType !== 'all' || selectedStatus !== 'all' || selectedPriceRange !== 'all' || sortBy !== 'name') && (
+              {(searchTerm || selectedCategory !== 'all' || selectedType !== 'all' || selectedStatus !== 'all' || selectedItemType !== 'all' || selectedPriceRange !== 'all' || sortBy !== 'name') && (
                 <Button
                   variant="ghost"
                   size="sm"
@@ -404,6 +431,7 @@ export const Menu: React.FC = () => {
                     setSelectedCategory('all');
                     setSelectedType('all');
                     setSelectedStatus('all');
+                    setSelectedItemType('all');
                     setSelectedPriceRange('all');
                     setSortBy('name');
                     setCurrentPage(1);
@@ -420,7 +448,20 @@ export const Menu: React.FC = () => {
           {/* Additional Filters Panel */}
           {showFilters && (
             <div className="mt-4 pt-4 border-t">
-              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+                <div>
+                  <label className="text-sm font-medium mb-2 block">Item Type</label>
+                  <Select value={selectedItemType} onValueChange={handleItemTypeChange}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="All Items" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="all">All Items</SelectItem>
+                      <SelectItem value="single">Single Items</SelectItem>
+                      <SelectItem value="bundle">Bundles</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
                 <div>
                   <label className="text-sm font-medium mb-2 block">Status</label>
                   <Select value={selectedStatus} onValueChange={handleStatusChange}>
@@ -555,6 +596,27 @@ export const Menu: React.FC = () => {
                   </Badge>
                 )}
 
+                {/* Bundle Badge */}
+                {menuItem.itemType === 'bundle' && (
+                  <Badge variant="secondary" className="text-xs bg-blue-100 text-blue-800 dark:bg-blue-900 dark:text-blue-200">
+                    Combo · {menuItem.bundleSlots?.length || 0} {menuItem.bundleSlots?.length === 1 ? 'slot' : 'slots'}
+                  </Badge>
+                )}
+
+                {/* Day-part Badge */}
+                {menuItem.availability?.isScheduled && (
+                  <Badge variant="secondary" className="text-xs bg-amber-100 text-amber-800 dark:bg-amber-900 dark:text-amber-200">
+                    Scheduled
+                  </Badge>
+                )}
+
+                {/* Auto 86'd Badge */}
+                {menuItem.autoUnavailable && (
+                  <Badge variant="destructive" className="text-xs">
+                    Out of ingredients
+                  </Badge>
+                )}
+
                 {/* Signature Dish Badge */}
                 {menuItem.isSignatureDish === true && (
                   <Badge variant="secondary" className="text-xs bg-purple-100 text-purple-800 dark:bg-purple-900 dark:text-purple-200">
@@ -611,7 +673,7 @@ export const Menu: React.FC = () => {
             <Package className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
             <h3 className="text-lg font-semibold mb-2">No menu items found</h3>
             <p className="text-muted-foreground">
-              {searchTerm || selectedCategory !== 'all' || selectedType !== 'all' || selectedStatus !== 'all' || selectedPriceRange !== 'all'
+              {searchTerm || selectedCategory !== 'all' || selectedType !== 'all' || selectedStatus !== 'all' || selectedItemType !== 'all' || selectedPriceRange !== 'all'
                 ? 'Try adjusting your search or filter criteria.'
                 : 'No menu items have been added yet.'}
             </p>
@@ -628,6 +690,16 @@ export const Menu: React.FC = () => {
         </Card>
       )}
 
+      <MenuTransferDialog
+        open={transferOpen}
+        onOpenChange={setTransferOpen}
+        canImport={canAddMenuItem()}
+        onImported={() => {
+          setRefreshKey(key => key + 1);
+          dispatch(fetchCategories({ type: 'menu' }));
+        }}
+      />
+
       {/* Delete Confirmation Dialog */}
       <Dialog open={deleteConfirmOpen} onOpenChange={setDeleteConfirmOpen}>
         <DialogContent className="sm:max-w-md">
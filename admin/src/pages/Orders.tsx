@@ -8,10 +8,13 @@ import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, Di
 import { ToggleGroup, ToggleGroupItem } from '@/components/ui/toggle-group';
 import { ExportDropdown } from '@/components/ui/export-dropdown';
 import { ConnectionStatus } from '@/components/ui/connection-status';
+import { RefundOrderDialog } from '@/components/orders/RefundOrderDialog';
 import { useAlert } from '@/hooks/useAlert';
 import { useAuth } from '@/hooks/useAuth';
 import { formatters } from '@/utils/exportUtils';
+import { collectAllergens, formatAllergens } from '@/utils/dietaryUtils';
 import { socket, connectSocket, disconnectSocket, joinAdminRoom } from '@/socket';
+import type { IngredientStockAlert } from '@/store/slices/inventorySlice';
 import {
   Search,
   Filter,
@@ -34,7 +37,8 @@ import {
   Leaf,
   Utensils,
   Wifi,
-  WifiOff
+  WifiOff,
+  RotateCcw
 } from 'lucide-react';
 import { useAppDispatch, useAppSelector } from '@/store';
 import {
@@ -45,7 +49,8 @@ import {
   updateFilters,
   resetFilters,
   clearError,
-  type Order
+  type Order,
+  type PaymentReviewAlert
 } from '@/store/slices/ordersSlice';
 
 
@@ -64,6 +69,7 @@ export const Orders: React.FC = () => {
   } = useAppSelector((state) => state.orders);
 
   const [selectedOrder, setSelectedOrder] = useState<Order | null>(null);
+  const [refundTarget, setRefundTarget] = useState<Order | null>(null);
   const [viewMode, setViewMode] = useState<'2' | '3' | '4'>('2');
   const [showFilters, setShowFilters] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState<string>('all');
@@ -171,6 +177,19 @@ export const Orders: React.FC = () => {
     dispatch(fetchOrderStats({}));
   }, [filters, pagination, dispatch, showAlert]);
 
+  const onOrderPaymentReview = useCallback((data: PaymentReviewAlert) => {
+    showAlert(`Order ${data.orderNumber} needs review: ${data.reason}`, 'warning', 'Payment Review');
+    onOrderUpdated(data);
+  }, [showAlert, onOrderUpdated]);
+
+  const onIngredientLowStock = useCallback((data: IngredientStockAlert) => {
+    showAlert(`${data.name} is running low (${data.onHand} ${data.unit} left)`, 'warning', 'Low Stock');
+  }, [showAlert]);
+
+  const onIngredientOutOfStock = useCallback((data: IngredientStockAlert) => {
+    showAlert(`${data.name} is out of stock. Menu items that need it are now unavailable.`, 'warning', 'Out of Stock');
+  }, [showAlert]);
+
   // Socket.IO integration for real-time updates
   useEffect(() => {
     const token = localStorage.getItem('accessToken') || localStorage.getItem('token');
@@ -204,6 +223,9 @@ export const Orders: React.FC = () => {
     socket.on('orderCreated', onOrderCreated);
     socket.on('orderUpdated', onOrderUpdated);
     socket.on('orderStatusChanged', onOrderStatusChanged);
+    socket.on('orderPaymentReview', onOrderPaymentReview);
+    socket.on('ingredientLowStock', onIngredientLowStock);
+    socket.on('ingredientOutOfStock', onIngredientOutOfStock);
     socket.on('adminRoomJoined', onAdminRoomJoined);
 
     // Set initial connection state
@@ -220,9 +242,12 @@ export const Orders: React.FC = () => {
       socket.off('orderCreated', onOrderCreated);
       socket.off('orderUpdated', onOrderUpdated);
       socket.off('orderStatusChanged', onOrderStatusChanged);
+    socket.off('orderPaymentReview', onOrderPaymentReview);
+      socket.off('ingredientLowStock', onIngredientLowStock);
+      socket.off('ingredientOutOfStock', onIngredientOutOfStock);
       socket.off('adminRoomJoined', onAdminRoomJoined);
     };
-  }, [onOrderCreated, onOrderUpdated, onOrderStatusChanged]); // Only depend on memoized handlers
+  }, [onOrderCreated, onOrderUpdated, onOrderStatusChanged, onOrderPaymentReview, onIngredientLowStock, onIngredientOutOfStock]); // Only depend on memoized handlers
 
   // Separate effect for component unmount cleanup (following React Socket.IO guide)
   useEffect(() => {
@@ -251,20 +276,40 @@ export const Orders: React.FC = () => {
     dispatch(updateFilters({ page }));
   };
 
-  const handleStatusUpdate = async (orderId: string, deliveryStatus?: string, paymentStatus?: string) => {
+  const handleStatusUpdate = async (orderId: string, deliveryStatus: string) => {
     try {
       await dispatch(updateOrderStatus({
         orderId,
-        deliveryStatus,
-        paymentStatus
+        deliveryStatus
       })).unwrap();
 
       showAlert('Order status updated successfully', 'success', 'Success');
     } catch (error) {
-      showAlert('Failed to update order status', 'error', 'Error');
+      showAlert(
+        typeof error === 'string' ? error : 'Failed to update order status',
+        'error',
+        'Error'
+      );
     }
   };
 
+  // Delivery status options for an order; pickup orders never go out for delivery
+  const getDeliveryStatusOptions = (order: Order): Array<{ value: Order['deliveryStatus']; label: string }> => {
+    const options: Array<{ value: Order['deliveryStatus']; label: string }> = [
+      { value: 'pending', label: 'Pending' },
+      { value: 'confirmed', label: 'Confirmed' },
+      { value: 'preparing', label: 'Preparing' },
+      { value: 'ready', label: 'Ready' },
+      { value: 'out-for-delivery', label: 'Out for Delivery' },
+      { value: 'delivered', label: order.orderType === 'pickup' ? 'Picked Up' : 'Delivered' },
+      { value: 'cancelled', label: 'Cancelled' },
+    ];
+
+    return order.orderType === 'pickup'
+      ? options.filter(option => option.value !== 'out-for-delivery')
+      : options;
+  };
+
   // Helper function to determine if an order contains veg/non-veg items
   const getOrderCategory = (order: Order) => {
     if (!order.items || order.items.length === 0) return 'unknown';
@@ -340,7 +385,7 @@ export const Orders: React.FC = () => {
       confirmed: { color: 'bg-blue-100 text-blue-800', icon: CheckCircle },
       preparing: { color: 'bg-orange-100 text-orange-800', icon: Package },
       ready: { color: 'bg-purple-100 text-purple-800', icon: CheckCircle },
-      out_for_delivery: { color: 'bg-indigo-100 text-indigo-800', icon: Truck },
+      'out-for-delivery': { color: 'bg-indigo-100 text-indigo-800', icon: Truck },
       delivered: { color: 'bg-green-100 text-green-800', icon: CheckCircle },
       cancelled: { color: 'bg-red-100 text-red-800', icon: XCircle },
     };
@@ -351,7 +396,7 @@ export const Orders: React.FC = () => {
     return (
       <Badge className={`${config.color} flex items-center gap-1`}>
         <Icon className="h-3 w-3" />
-        {status.replace('_', ' ').toUpperCase()}
+        {status.replace(/[-_]/g, ' ').toUpperCase()}
       </Badge>
     );
   };
@@ -663,7 +708,7 @@ export const Orders: React.FC = () => {
                   <SelectItem value="confirmed">Confirmed</SelectItem>
                   <SelectItem value="preparing">Preparing</SelectItem>
                   <SelectItem value="ready">Ready</SelectItem>
-                  <SelectItem value="out_for_delivery">Out for Delivery</SelectItem>
+                  <SelectItem value="out-for-delivery">Out for Delivery</SelectItem>
                   <SelectItem value="delivered">Delivered</SelectItem>
                   <SelectItem value="cancelled">Cancelled</SelectItem>
                 </SelectContent>
@@ -827,6 +872,11 @@ export const Orders: React.FC = () => {
                   <div className="flex items-center gap-2">
                     {getStatusBadge(order.deliveryStatus)}
                     {getPaymentStatusBadge(order.paymentStatus)}
+                    {order.paymentReview?.flaggedAt && (
+                      <Badge className="bg-orange-100 text-orange-800" title={order.paymentReview.reason}>
+                        NEEDS REVIEW
+                      </Badge>
+                    )}
                   </div>
                 </div>
 
@@ -869,162 +919,292 @@ export const Orders: React.FC = () => {
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent>
-                        <SelectItem value="pending">Pending</SelectItem>
-                        <SelectItem value="confirmed">Confirmed</SelectItem>
-                        <SelectItem value="preparing">Preparing</SelectItem>
-                        <SelectItem value="ready">Ready</SelectItem>
-                        <SelectItem value="out_for_delivery">Out for Delivery</SelectItem>
-                        <SelectItem value="delivered">Delivered</SelectItem>
-                        <SelectItem value="cancelled">Cancelled</SelectItem>
-                      </SelectContent>
-                    </Select>
-
-                    <Select
-                      value={order.paymentStatus}
-                      onValueChange={(value) => handleStatusUpdate(order._id, undefined, value)}
-                    >
-                      <SelectTrigger className="w-[120px]">
-                        <SelectValue />
-                      </SelectTrigger>
-                      <SelectContent>
-                        <SelectItem value="pending">Pending</SelectItem>
-                        <SelectItem value="paid">Paid</SelectItem>
-                        <SelectItem value="failed">Failed</SelectItem>
-                        <SelectItem value="refunded">Refunded</SelectItem>
+                        {getDeliveryStatusOptions(order).map((option) => (
+                          <SelectItem
+                            key={option.value}
+                            value={option.value}
+                            disabled={
+                              option.value !== order.deliveryStatus &&
+                              !(order.allowedTransitions || []).includes(option.value)
+                            }
+                          >
+                            {option.label}
+                          </SelectItem>
+                        ))}
                       </SelectContent>
                     </Select>
                   </div>
 
-                  <Dialog>
-                    <DialogTrigger asChild>
+                  <div className="flex items-center gap-2">
+                    {order.paymentStatus === 'paid' && (
                       <Button
                         variant="outline"
                         size="sm"
-                        onClick={() => setSelectedOrder(order)}
+                        onClick={() => setRefundTarget(order)}
                       >
-                        <Eye className="h-4 w-4 mr-2" />
-                        View Details
+                        <RotateCcw className="h-4 w-4 mr-2" />
+                        Refund
                       </Button>
-                    </DialogTrigger>
-                    <DialogContent className="max-w-4xl max-h-[80vh] overflow-y-auto">
-                      <DialogHeader>
-                        <DialogTitle>Order Details - {order.orderNumber}</DialogTitle>
-                        <DialogDescription>
-                          Complete order information and items
-                        </DialogDescription>
-                      </DialogHeader>
-
-                      {selectedOrder && (
-                        <div className="space-y-6">
-                          {/* Customer Info */}
-                          <div className="grid grid-cols-2 gap-4">
-                            <div>
-                              <h4 className="font-semibold mb-2">Customer Information</h4>
-                              <div className="space-y-1 text-sm">
-                                <p><span className="font-medium">Name:</span> {selectedOrder.user.name}</p>
-                                <p><span className="font-medium">Email:</span> {selectedOrder.user.email}</p>
-                                <p><span className="font-medium">Phone:</span> {selectedOrder.user.phoneNumber}</p>
-                                <p><span className="font-medium">Type:</span> {selectedOrder.isGuestOrder ? 'Guest' : 'Registered'}</p>
+                    )}
+
+                    <Dialog>
+                      <DialogTrigger asChild>
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => setSelectedOrder(order)}
+                        >
+                          <Eye className="h-4 w-4 mr-2" />
+                          View Details
+                        </Button>
+                      </DialogTrigger>
+                      <DialogContent className="max-w-4xl max-h-[80vh] overflow-y-auto">
+                        <DialogHeader>
+                          <DialogTitle>Order Details - {order.orderNumber}</DialogTitle>
+                          <DialogDescription>
+                            Complete order information and items
+                          </DialogDescription>
+                        </DialogHeader>
+
+                        {selectedOrder && (
+                          <div className="space-y-6">
+                            {/* Customer Info */}
+                            <div className="grid grid-cols-2 gap-4">
+                              <div>
+                                <h4 className="font-semibold mb-2">Customer Information</h4>
+                                <div className="space-y-1 text-sm">
+                                  <p><span className="font-medium">Name:</span> {selectedOrder.user.name}</p>
+                                  <p><span className="font-medium">Email:</span> {selectedOrder.user.email}</p>
+                                  <p><span className="font-medium">Phone:</span> {selectedOrder.user.phoneNumber}</p>
+                                  <p><span className="font-medium">Type:</span> {selectedOrder.isGuestOrder ? 'Guest' : 'Registered'}</p>
+                                </div>
                               </div>
-                            </div>
 
-                            <div>
-                              <h4 className="font-semibold mb-2">
-                                {selectedOrder.deliveryAddress ? 'Delivery Address' : 'Order Type'}
-                              </h4>
-                              <div className="text-sm">
-                                {selectedOrder.deliveryAddress ? (
-                                  <>
-                                    <p>{selectedOrder.deliveryAddress.street}</p>
-                                    <p>{selectedOrder.deliveryAddress.city}, {selectedOrder.deliveryAddress.state}</p>
-                                    <p>{selectedOrder.deliveryAddress.zipCode}, {selectedOrder.deliveryAddress.country}</p>
-                                    <p>Phone: {selectedOrder.deliveryAddress.phoneNumber}</p>
-                                  </>
-                                ) : (
-                                  <p>Pickup Order</p>
-                                )}
+                              <div>
+                                <h4 className="font-semibold mb-2">
+                                  {selectedOrder.deliveryAddress ? 'Delivery Address' : 'Order Type'}
+                                </h4>
+                                <div className="text-sm">
+                                  {selectedOrder.deliveryAddress ? (
+                                    <>
+                                      <p>{selectedOrder.deliveryAddress.street}</p>
+                                      <p>{selectedOrder.deliveryAddress.city}, {selectedOrder.deliveryAddress.state}</p>
+                                      <p>{selectedOrder.deliveryAddress.zipCode}, {selectedOrder.deliveryAddress.country}</p>
+                                      <p>Phone: {selectedOrder.deliveryAddress.phoneNumber}</p>
+                                    </>
+                                  ) : (
+                                    <p>Pickup Order</p>
+                                  )}
+                                </div>
                               </div>
                             </div>
-                          </div>
 
-                          {/* Special Instructions */}
-                          {selectedOrder.specialInstructions && (
-                            <div>
-                              <h4 className="font-semibold mb-2">Special Instructions</h4>
-                              <div className="p-3 bg-orange-50 border border-orange-200 rounded">
-                                <p className="text-sm text-orange-800">{selectedOrder.specialInstructions}</p>
+                            {/* Special Instructions */}
+                            {selectedOrder.specialInstructions && (
+                              <div>
+                                <h4 className="font-semibold mb-2">Special Instructions</h4>
+                                <div className="p-3 bg-orange-50 border border-orange-200 rounded">
+                                  <p className="text-sm text-orange-800">{selectedOrder.specialInstructions}</p>
+                                </div>
                               </div>
-                            </div>
-                          )}
-
-                          {/* Order Items */}
-                          <div>
-                            <h4 className="font-semibold mb-2">Order Items</h4>
-                            <div className="space-y-2">
-                              {selectedOrder.items.map((item, index) => (
-                                <div key={index} className="flex items-center justify-between p-3 border rounded">
-                                  <div className="flex items-center gap-3">
-                                    <img
-                                      src={item.menuImage}
-                                      alt={item.menuName}
-                                      className="w-12 h-12 object-cover rounded"
-                                    />
-                                    <div>
-                                      <p className="font-medium">{item.menuName}</p>
-                                      <p className="text-sm text-muted-foreground">
-                                        Size: {item.size} • Qty: {item.quantity}
-                                      </p>
-                                      {item.addons.length > 0 && (
+                            )}
+
+                            {/* Allergen Warning */}
+                            {collectAllergens(selectedOrder.items).length > 0 && (
+                              <div>
+                                <h4 className="font-semibold mb-2">Allergen Warning</h4>
+                                <div className="p-3 bg-red-50 border border-red-200 rounded">
+                                  <p className="text-sm text-red-800">
+                                    Contains {formatAllergens(collectAllergens(selectedOrder.items))}
+                                  </p>
+                                </div>
+                              </div>
+                            )}
+
+                            {/* Order Items */}
+                            <div>
+                              <h4 className="font-semibold mb-2">Order Items</h4>
+                              <div className="space-y-2">
+                                {selectedOrder.items.map((item, index) => (
+                                  <div key={index} className="flex items-center justify-between p-3 border rounded">
+                                    <div className="flex items-center gap-3">
+                                      <img
+                                        src={item.menuImage}
+                                        alt={item.menuName}
+                                        className="w-12 h-12 object-cover rounded"
+                                      />
+                                      <div>
+                                        <p className="font-medium">{item.menuName}</p>
                                         <p className="text-sm text-muted-foreground">
-                                          Addons: {item.addons.map(addon => addon.name).join(', ')}
+                                          Size: {item.size} • Qty: {item.quantity}
                                         </p>
-                                      )}
-                                      {item.specialInstructions && (
-                                        <p className="text-sm text-orange-600 font-medium">
-                                          Note: {item.specialInstructions}
-                                        </p>
-                                      )}
+                                        {item.bundleItems && item.bundleItems.length > 0 && (
+                                          <p className="text-sm text-muted-foreground">
+                                            Includes: {item.bundleItems.map(component => component.name).join(', ')}
+                                          </p>
+                                        )}
+                                        {item.addons.length > 0 && (
+                                          <p className="text-sm text-muted-foreground">
+                                            Addons: {item.addons.map(addon => addon.name).join(', ')}
+                                          </p>
+                                        )}
+                                        {item.spicyLevel?.name && (
+                                          <p className="text-sm text-muted-foreground">
+                                            Spicy Level: {item.spicyLevel.name}
+                                          </p>
+                                        )}
+                                        {item.preparations && item.preparations.length > 0 && (
+                                          <p className="text-sm text-muted-foreground">
+                                            Preparation: {item.preparations.map(preparation => preparation.name).join(', ')}
+                                          </p>
+                                        )}
+                                        {item.modifiers && item.modifiers.length > 0 && (
+                                          <p className="text-sm text-muted-foreground">
+                                            Options: {item.modifiers.map(modifier => (
+                                              modifier.price > 0 ? `${modifier.name} (+${formatCurrency(modifier.price)})` : modifier.name
+                                            )).join(', ')}
+                                          </p>
+                                        )}
+                                        {item.allergens && item.allergens.length > 0 && (
+                                          <p className="text-sm text-red-600 font-medium">
+                                            Contains: {formatAllergens(item.allergens)}
+                                          </p>
+                                        )}
+                                        {item.specialInstructions && (
+                                          <p className="text-sm text-orange-600 font-medium">
+                                            Note: {item.specialInstructions}
+                                          </p>
+                                        )}
+                                      </div>
+                                    </div>
+                                    <div className="text-right">
+                                      <p className="font-medium">{formatCurrency(item.itemTotal)}</p>
                                     </div>
                                   </div>
-                                  <div className="text-right">
-                                    <p className="font-medium">{formatCurrency(item.itemTotal)}</p>
+                                ))}
+                              </div>
+                            </div>
+
+                            {/* Order Summary */}
+                            <div className="border-t pt-4">
+                              <div className="space-y-2">
+                                <div className="flex justify-between">
+                                  <span>Subtotal:</span>
+                                  <span>{formatCurrency(selectedOrder.subtotal)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span>Delivery Fee:</span>
+                                  <span>{formatCurrency(selectedOrder.deliveryFee)}</span>
+                                </div>
+                                <div className="flex justify-between">
+                                  <span>Tax:</span>
+                                  <span>{formatCurrency(selectedOrder.tax)}</span>
+                                </div>
+                                {selectedOrder.discount > 0 && (
+                                  <div className="flex justify-between text-green-600">
+                                    <span>Discount:</span>
+                                    <span>-{formatCurrency(selectedOrder.discount)}</span>
+                                  </div>
+                                )}
+                                {selectedOrder.promotions?.map((promotion) => (
+                                  <div key={promotion.promotion} className="flex justify-between pl-4 text-sm text-muted-foreground">
+                                    <span>{promotion.name}</span>
+                                    <span>-{formatCurrency(promotion.discount)}</span>
+                                  </div>
+                                ))}
+                                {selectedOrder.coupon?.code && (
+                                  <div className="flex justify-between pl-4 text-sm text-muted-foreground">
+                                    <span>
+                                      Coupon {selectedOrder.coupon.code}
+                                      {selectedOrder.coupon.status === 'released' && ' (released)'}
+                                    </span>
+                                    <span>-{formatCurrency(selectedOrder.coupon.discount)}</span>
+                                  </div>
+                                )}
+                                {selectedOrder.loyalty && selectedOrder.loyalty.pointsRedeemed > 0 && (
+                                  <div className="flex justify-between pl-4 text-sm text-muted-foreground">
+                                    <span>
+                                      {selectedOrder.loyalty.pointsRedeemed} loyalty points
+                                      {selectedOrder.loyalty.redemptionStatus === 'restored' && ' (returned)'}
+                                    </span>
+                                    <span>-{formatCurrency(selectedOrder.loyalty.redemptionDiscount)}</span>
                                   </div>
+                                )}
+                                <div className="flex justify-between font-bold text-lg border-t pt-2">
+                                  <span>Total:</span>
+                                  <span>{formatCurrency(selectedOrder.totalPrice)}</span>
                                 </div>
-                              ))}
+                                {selectedOrder.giftCards?.map((tender) => (
+                                  <div key={tender.code} className="flex justify-between pl-4 text-sm text-muted-foreground">
+                                    <span>
+                                      Gift card {tender.code}
+                                      {tender.status === 'restored' && ' (returned)'}
+                                      {tender.refundedAmount > 0 && ` (${formatCurrency(tender.refundedAmount)} refunded)`}
+                                    </span>
+                                    <span>{formatCurrency(tender.amount)}</span>
+                                  </div>
+                                ))}
+                                {(selectedOrder.giftCardAmount ?? 0) > 0 && (
+                                  <div className="flex justify-between text-sm">
+                                    <span>Paid online:</span>
+                                    <span>{formatCurrency(selectedOrder.amountDue ?? selectedOrder.totalPrice)}</span>
+                                  </div>
+                                )}
+                                {selectedOrder.loyalty && selectedOrder.loyalty.pointsEarned > 0 && (
+                                  <div className="flex justify-between text-sm text-muted-foreground">
+                                    <span>Loyalty points earned:</span>
+                                    <span>
+                                      {selectedOrder.loyalty.pointsEarned - selectedOrder.loyalty.pointsReversed}
+                                      {selectedOrder.loyalty.pointsReversed > 0 && ` of ${selectedOrder.loyalty.pointsEarned}`}
+                                    </span>
+                                  </div>
+                                )}
+                                {selectedOrder.refundAmount > 0 && (
+                                  <div className="flex justify-between text-red-600">
+                                    <span>Refunded:</span>
+                                    <span>-{formatCurrency(selectedOrder.refundAmount)}</span>
+                                  </div>
+                                )}
+                              </div>
                             </div>
-                          </div>
 
-                          {/* Order Summary */}
-                          <div className="border-t pt-4">
-                            <div className="space-y-2">
-                              <div className="flex justify-between">
-                                <span>Subtotal:</span>
-                                <span>{formatCurrency(selectedOrder.subtotal)}</span>
-                              </div>
-                              <div className="flex justify-between">
-                                <span>Delivery Fee:</span>
-                                <span>{formatCurrency(selectedOrder.deliveryFee)}</span>
-                              </div>
-                              <div className="flex justify-between">
-                                <span>Tax:</span>
-                                <span>{formatCurrency(selectedOrder.tax)}</span>
-                              </div>
-                              {selectedOrder.discount > 0 && (
-                                <div className="flex justify-between text-green-600">
-                                  <span>Discount:</span>
-                                  <span>-{formatCurrency(selectedOrder.discount)}</span>
+                            {/* Status History */}
+                            {selectedOrder.statusHistory && selectedOrder.statusHistory.length > 0 && (
+                              <div>
+                                <h4 className="font-semibold mb-2">Status History</h4>
+                                <div className="space-y-2">
+                                  {selectedOrder.statusHistory.map((entry, index) => (
+                                    <div key={index} className="flex items-start justify-between p-3 border rounded text-sm">
+                                      <div>
+                                        <div className="flex items-center gap-2">
+                                          {entry.fromStatus && (
+                                            <>
+                                              {getStatusBadge(entry.fromStatus)}
+                                              <span className="text-muted-foreground">→</span>
+                                            </>
+                                          )}
+                                          {getStatusBadge(entry.status)}
+                                        </div>
+                                        {entry.note && (
+                                          <p className="text-muted-foreground mt-1">{entry.note}</p>
+                                        )}
+                                      </div>
+                                      <div className="text-right text-muted-foreground">
+                                        <p>{formatDate(entry.timestamp)}</p>
+                                        {entry.actor && typeof entry.actor === 'object' && (
+                                          <p>{entry.actor.name}</p>
+                                        )}
+                                      </div>
+                                    </div>
+                                  ))}
                                 </div>
-                              )}
-                              <div className="flex justify-between font-bold text-lg border-t pt-2">
-                                <span>Total:</span>
-                                <span>{formatCurrency(selectedOrder.totalPrice)}</span>
                               </div>
-                            </div>
+                            )}
                           </div>
-                        </div>
-                      )}
-                    </DialogContent>
-                  </Dialog>
+                        )}
+                      </DialogContent>
+                    </Dialog>
+                  </div>
                 </div>
               </CardContent>
             </Card>
@@ -1032,6 +1212,12 @@ export const Orders: React.FC = () => {
         </div>
       )}
 
+      <RefundOrderDialog
+        order={refundTarget}
+        isOpen={refundTarget !== null}
+        onClose={() => setRefundTarget(null)}
+      />
+
       {/* Pagination */}
       {pagination.totalPages > 1 && (
         <div className="flex items-center justify-between">
@@ -0,0 +1,252 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '@/components/ui/tabs';
+import {
+  AlertDialog,
+  AlertDialogAction,
+  AlertDialogCancel,
+  AlertDialogContent,
+  AlertDialogDescription,
+  AlertDialogFooter,
+  AlertDialogHeader,
+  AlertDialogTitle,
+} from '@/components/ui/alert-dialog';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchCoupons,
+  deleteCoupon,
+  clearError,
+  type Coupon,
+  type CouponStatusFilter
+} from '@/store/slices/couponsSlice';
+import { CouponDialog } from '@/components/promotions/CouponDialog';
+import { CouponRedemptionsDialog } from '@/components/promotions/CouponRedemptionsDialog';
+import { AutomaticPromotions } from '@/components/promotions/AutomaticPromotions';
+import {
+  COUPON_STATES,
+  COUPON_TYPES,
+  describeCoupon,
+  describeCouponWindow,
+  getCouponState
+} from '@/utils/couponUtils';
+import { Edit, History, Plus, RefreshCw, Search, Ticket, Trash2 } from 'lucide-react';
+
+export const Promotions: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { coupons, isLoading, error } = useAppSelector((state) => state.coupons);
+
+  const [statusFilter, setStatusFilter] = useState<CouponStatusFilter | 'all'>('all');
+  const [search, setSearch] = useState('');
+  const [editingCoupon, setEditingCoupon] = useState<Coupon | null>(null);
+  const [isEditorOpen, setIsEditorOpen] = useState(false);
+  const [couponToDelete, setCouponToDelete] = useState<Coupon | null>(null);
+  const [redemptionsCoupon, setRedemptionsCoupon] = useState<Coupon | null>(null);
+
+  const canEdit = isSuperAdmin();
+
+  const loadCoupons = () => {
+    dispatch(fetchCoupons({
+      status: statusFilter === 'all' ? undefined : statusFilter,
+      search: search.trim() || undefined
+    }));
+  };
+
+  useEffect(() => {
+    dispatch(fetchCoupons({ status: statusFilter === 'all' ? undefined : statusFilter }));
+  }, [dispatch, statusFilter]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  const openEditor = (coupon: Coupon | null) => {
+    setEditingCoupon(coupon);
+    setIsEditorOpen(true);
+  };
+
+  const handleDelete = async () => {
+    if (!couponToDelete) return;
+
+    try {
+      await dispatch(deleteCoupon(couponToDelete._id)).unwrap();
+      showAlert(`Coupon ${couponToDelete.code} has been deleted`, 'success', 'Coupon Deleted');
+    } catch (deleteError) {
+      showAlert(
+        typeof deleteError === 'string' ? deleteError : 'Failed to delete coupon',
+        'error',
+        'Delete Failed'
+      );
+    } finally {
+      setCouponToDelete(null);
+    }
+  };
+
+  const describeScope = (coupon: Coupon) => {
+    const names = [...coupon.categories, ...coupon.menuItems].map(ref => ref.name);
+    return names.length > 0 ? `Only on ${names.join(', ')}` : 'Whole cart';
+  };
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div>
+        <h1 className="text-2xl font-bold">Promotions</h1>
+        <p className="text-muted-foreground">
+          Coupon codes customers apply to their cart, and deals that apply automatically
+        </p>
+      </div>
+
+      <Tabs defaultValue="coupons" className="space-y-4">
+        <TabsList>
+          <TabsTrigger value="coupons">Coupons</TabsTrigger>
+          <TabsTrigger value="automatic">Automatic</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="coupons" className="space-y-4">
+          <div className="flex justify-end gap-2 items-center">
+            <Button variant="outline" onClick={loadCoupons}>
+              <RefreshCw className="h-4 w-4 mr-2" />
+              Refresh
+            </Button>
+            {canEdit && (
+              <Button onClick={() => openEditor(null)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Coupon
+              </Button>
+            )}
+          </div>
+
+          {/* Filters */}
+          <div className="flex flex-col sm:flex-row gap-2">
+            <Select
+              value={statusFilter}
+              onValueChange={(value) => setStatusFilter(value as CouponStatusFilter | 'all')}
+            >
+              <SelectTrigger className="sm:w-48">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All coupons</SelectItem>
+                <SelectItem value="active">Active</SelectItem>
+                <SelectItem value="scheduled">Scheduled</SelectItem>
+                <SelectItem value="expired">Expired</SelectItem>
+                <SelectItem value="inactive">Inactive</SelectItem>
+              </SelectContent>
+            </Select>
+            <div className="flex gap-2 flex-1">
+              <Input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && loadCoupons()}
+                placeholder="Search by code or description"
+              />
+              <Button variant="outline" onClick={loadCoupons}>
+                <Search className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          {isLoading && coupons.length === 0 ? (
+            <div className="flex items-center justify-center h-64">
+              <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+            </div>
+          ) : coupons.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No coupons match.</p>
+          ) : (
+            <div className="space-y-3">
+              {coupons.map((coupon) => {
+                const state = getCouponState(coupon);
+
+                return (
+                  <Card key={coupon._id}>
+                    <CardContent className="p-4 flex flex-col sm:flex-row justify-between gap-4">
+                      <div className="space-y-1">
+                        <div className="flex items-center gap-2 flex-wrap">
+                          <Ticket className="h-4 w-4" />
+                          <span className="font-semibold font-mono">{coupon.code}</span>
+                          <Badge variant={state === 'active' ? 'default' : 'secondary'}>
+                            {COUPON_STATES[state]}
+                          </Badge>
+                          <Badge variant="outline">{COUPON_TYPES[coupon.type]}</Badge>
+                          {coupon.firstOrderOnly && <Badge variant="outline">First order</Badge>}
+                        </div>
+                        {coupon.description && <p className="text-sm">{coupon.description}</p>}
+                        <p className="text-sm">{describeCoupon(coupon)}</p>
+                        <p className="text-sm text-muted-foreground">
+                          {describeCouponWindow(coupon)} • {describeScope(coupon)}
+                        </p>
+                        <p className="text-sm text-muted-foreground">
+                          Used {coupon.usageCount}{coupon.usageLimit != null ? ` of ${coupon.usageLimit}` : ''} times
+                          {' '}• {coupon.perUserLimit != null ? `${coupon.perUserLimit} per customer` : 'no per-customer limit'}
+                        </p>
+                      </div>
+                      <div className="flex gap-2 items-start">
+                        <Button variant="outline" size="sm" onClick={() => setRedemptionsCoupon(coupon)}>
+                          <History className="h-4 w-4 mr-2" />
+                          Redemptions
+                        </Button>
+                        {canEdit && (
+                          <>
+                            <Button variant="outline" size="sm" onClick={() => openEditor(coupon)}>
+                              <Edit className="h-4 w-4 mr-2" />
+                              Edit
+                            </Button>
+                            <Button variant="outline" size="sm" onClick={() => setCouponToDelete(coupon)}>
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </CardContent>
+                  </Card>
+                );
+              })}
+            </div>
+          )}
+        </TabsContent>
+
+        <TabsContent value="automatic">
+          <AutomaticPromotions />
+        </TabsContent>
+      </Tabs>
+
+      <CouponDialog
+        coupon={editingCoupon}
+        isOpen={isEditorOpen}
+        onClose={() => setIsEditorOpen(false)}
+      />
+
+      <CouponRedemptionsDialog
+        coupon={redemptionsCoupon}
+        onClose={() => setRedemptionsCoupon(null)}
+      />
+
+      <AlertDialog open={!!couponToDelete} onOpenChange={(open) => !open && setCouponToDelete(null)}>
+        <AlertDialogContent>
+          <AlertDialogHeader>
+            <AlertDialogTitle>Delete coupon?</AlertDialogTitle>
+            <AlertDialogDescription>
+              {couponToDelete?.code} will stop working immediately. Coupons that have been used on orders
+              can't be deleted; deactivate them instead.
+            </AlertDialogDescription>
+          </AlertDialogHeader>
+          <AlertDialogFooter>
+            <AlertDialogCancel>Cancel</AlertDialogCancel>
+            <AlertDialogAction onClick={handleDelete}>Delete</AlertDialogAction>
+          </AlertDialogFooter>
+        </AlertDialogContent>
+      </AlertDialog>
+    </div>
+  );
+};
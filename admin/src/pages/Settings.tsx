@@ -0,0 +1,298 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchPricingSettings,
+  updatePricingSettings,
+  clearError,
+  type PricingSettings
+} from '@/store/slices/settingsSlice';
+import { Plus, RefreshCw, Save, Trash2 } from 'lucide-react';
+
+interface TierForm {
+  minSubtotal: string;
+  fee: string;
+}
+
+interface PricingForm {
+  taxPercent: string;
+  tiers: TierForm[];
+  minimumDelivery: string;
+  minimumPickup: string;
+}
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+const toForm = (settings: PricingSettings): PricingForm => ({
+  taxPercent: String(+(settings.taxRate * 100).toFixed(3)),
+  tiers: settings.deliveryFeeTiers.map(tier => ({
+    minSubtotal: String(tier.minSubtotal),
+    fee: String(tier.fee)
+  })),
+  minimumDelivery: String(settings.minimumOrder?.delivery ?? 0),
+  minimumPickup: String(settings.minimumOrder?.pickup ?? 0)
+});
+
+export const Settings: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { pricing, isLoading, isSaving, error } = useAppSelector((state) => state.settings);
+  const [form, setForm] = useState<PricingForm | null>(null);
+
+  const canEdit = isSuperAdmin();
+
+  useEffect(() => {
+    dispatch(fetchPricingSettings());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (pricing) {
+      setForm(toForm(pricing));
+    }
+  }, [pricing]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  if (isLoading && !form) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (!form) {
+    return null;
+  }
+
+  const updateTier = (index: number, field: keyof TierForm, value: string) => {
+    setForm({
+      ...form,
+      tiers: form.tiers.map((tier, i) => (i === index ? { ...tier, [field]: value } : tier))
+    });
+  };
+
+  const addTier = () => {
+    setForm({ ...form, tiers: [...form.tiers, { minSubtotal: '', fee: '' }] });
+  };
+
+  const removeTier = (index: number) => {
+    setForm({ ...form, tiers: form.tiers.filter((_, i) => i !== index) });
+  };
+
+  const sortedTiers = [...form.tiers]
+    .map(tier => ({ minSubtotal: parseFloat(tier.minSubtotal), fee: parseFloat(tier.fee) }))
+    .sort((a, b) => a.minSubtotal - b.minSubtotal);
+
+  const hasInvalidTier = sortedTiers.some(tier => isNaN(tier.minSubtotal) || isNaN(tier.fee) ||
+    tier.minSubtotal < 0 || tier.fee < 0);
+  const hasBaseTier = sortedTiers.some(tier => tier.minSubtotal === 0);
+  const taxPercent = parseFloat(form.taxPercent);
+  const isTaxValid = !isNaN(taxPercent) && taxPercent >= 0 && taxPercent <= 100;
+  const canSave = canEdit && !isSaving && isTaxValid && !hasInvalidTier && hasBaseTier;
+
+  const handleSave = async () => {
+    try {
+      await dispatch(updatePricingSettings({
+        taxRate: +(taxPercent / 100).toFixed(5),
+        deliveryFeeTiers: sortedTiers,
+        minimumOrder: {
+          delivery: parseFloat(form.minimumDelivery) || 0,
+          pickup: parseFloat(form.minimumPickup) || 0
+        }
+      })).unwrap();
+
+      showAlert('Pricing settings saved', 'success', 'Settings Updated');
+    } catch (saveError) {
+      showAlert(
+        typeof saveError === 'string' ? saveError : 'Failed to save pricing settings',
+        'error',
+        'Update Failed'
+      );
+    }
+  };
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Settings</h1>
+          <p className="text-muted-foreground">
+            Tax, delivery fees and minimum order amounts used to price every cart and order
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={() => dispatch(fetchPricingSettings())}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canEdit && (
+            <Button onClick={handleSave} disabled={!canSave}>
+              <Save className="h-4 w-4 mr-2" />
+              {isSaving ? 'Saving...' : 'Save Changes'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {!canEdit && (
+        <p className="text-sm text-muted-foreground">Only super admins can change pricing settings.</p>
+      )}
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Tax</CardTitle>
+            <CardDescription>Charged on the order subtotal</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            <Label htmlFor="tax-rate">Tax rate (%)</Label>
+            <Input
+              id="tax-rate"
+              type="number"
+              min="0"
+              max="100"
+              step="0.001"
+              value={form.taxPercent}
+              disabled={!canEdit}
+              onChange={(e) => setForm({ ...form, taxPercent: e.target.value })}
+            />
+            {!isTaxValid && (
+              <p className="text-sm text-destructive">Enter a rate between 0 and 100</p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Minimum Order</CardTitle>
+            <CardDescription>Checkout is blocked until the subtotal reaches this amount</CardDescription>
+          </CardHeader>
+          <CardContent className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="minimum-delivery">Delivery</Label>
+              <Input
+                id="minimum-delivery"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.minimumDelivery}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, minimumDelivery: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="minimum-pickup">Pickup</Label>
+              <Input
+                id="minimum-pickup"
+                type="number"
+                min="0"
+                step="0.01"
+                value={form.minimumPickup}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, minimumPickup: e.target.value })}
+              />
+            </div>
+          </CardContent>
+        </Card>
+
+        <Card className="lg:col-span-2">
+          <CardHeader>
+            <CardTitle>Delivery Fee Tiers</CardTitle>
+            <CardDescription>
+              The highest tier the subtotal reaches applies. A $0 fee tier works as free delivery.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {form.tiers.map((tier, index) => (
+              <div key={index} className="flex items-end gap-3">
+                <div className="space-y-2 flex-1">
+                  <Label>Subtotal from ($)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={tier.minSubtotal}
+                    disabled={!canEdit}
+                    onChange={(e) => updateTier(index, 'minSubtotal', e.target.value)}
+                  />
+                </div>
+                <div className="space-y-2 flex-1">
+                  <Label>Delivery fee ($)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={tier.fee}
+                    disabled={!canEdit}
+                    onChange={(e) => updateTier(index, 'fee', e.target.value)}
+                  />
+                </div>
+                {canEdit && (
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => removeTier(index)}
+                    disabled={form.tiers.length === 1}
+                    aria-label="Remove tier"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+
+            {!hasBaseTier && (
+              <p className="text-sm text-destructive">Add a tier starting at $0 so every order has a fee</p>
+            )}
+
+            {canEdit && (
+              <Button variant="outline" onClick={addTier}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Tier
+              </Button>
+            )}
+
+            {!hasInvalidTier && hasBaseTier && (
+              <div className="text-sm text-muted-foreground border-t pt-3 space-y-1">
+                {sortedTiers.map((tier, index) => {
+                  const next = sortedTiers[index + 1];
+                  return (
+                    <p key={index}>
+                      {formatCurrency(tier.minSubtotal)}
+                      {next ? ` – ${formatCurrency(next.minSubtotal - 0.01)}` : ' and above'}:{' '}
+                      {tier.fee > 0 ? formatCurrency(tier.fee) : 'Free delivery'}
+                    </p>
+                  );
+                })}
+              </div>
+            )}
+
+            {pricing?.updatedBy && (
+              <p className="text-xs text-muted-foreground">
+                Last updated by {pricing.updatedBy.name} on {new Date(pricing.updatedAt).toLocaleString()}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,551 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Switch } from '@/components/ui/switch';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import { useAuth } from '@/hooks/useAuth';
+import { useAlert } from '@/hooks/useAlert';
+import { useAppDispatch, useAppSelector } from '@/store';
+import {
+  fetchStoreHours,
+  updateStoreHours,
+  pauseOrdering,
+  resumeOrdering,
+  clearError,
+  type DayHours,
+  type Holiday,
+  type StoreHours as StoreHoursSettings
+} from '@/store/slices/storeHoursSlice';
+import { Pause, Play, Plus, RefreshCw, Save, Trash2 } from 'lucide-react';
+
+const DAY_LABELS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const PAUSE_OPTIONS = [
+  { value: '15', label: '15 minutes' },
+  { value: '30', label: '30 minutes' },
+  { value: '60', label: '1 hour' },
+  { value: '120', label: '2 hours' },
+  { value: 'indefinite', label: 'Until resumed' },
+];
+
+interface HoursForm {
+  weeklyHours: DayHours[];
+  buffetHours: DayHours[];
+  holidays: Holiday[];
+  pickupMinutes: string;
+  deliveryMinutes: string;
+  lastOrderMinutes: string;
+  maxOrdersPerSlot: string;
+  maxPrepMinutesPerSlot: string;
+}
+
+const toForm = (hours: StoreHoursSettings): HoursForm => ({
+  weeklyHours: hours.weeklyHours.map(day => ({ ...day })),
+  buffetHours: hours.buffetHours.map(day => ({ ...day })),
+  holidays: hours.holidays.map(holiday => ({ ...holiday })),
+  pickupMinutes: String(hours.preparationMinutes.pickup),
+  deliveryMinutes: String(hours.preparationMinutes.delivery),
+  lastOrderMinutes: String(hours.lastOrderMinutes),
+  maxOrdersPerSlot: String(hours.kitchenCapacity?.maxOrdersPerSlot ?? 0),
+  maxPrepMinutesPerSlot: String(hours.kitchenCapacity?.maxPrepMinutesPerSlot ?? 0)
+});
+
+const isDayValid = (day: DayHours) => !day.isOpen || (day.open !== '' && day.close > day.open);
+
+interface WeekEditorProps {
+  days: DayHours[];
+  disabled: boolean;
+  onChange: (days: DayHours[]) => void;
+}
+
+const WeekEditor: React.FC<WeekEditorProps> = ({ days, disabled, onChange }) => {
+  const updateDay = (index: number, changes: Partial<DayHours>) => {
+    onChange(days.map((day, i) => (i === index ? { ...day, ...changes } : day)));
+  };
+
+  return (
+    <div className="space-y-2">
+      {days.map((day, index) => (
+        <div key={day.day} className="flex flex-wrap items-center gap-3">
+          <span className="w-24 text-sm font-medium">{DAY_LABELS[day.day]}</span>
+          <Switch
+            checked={day.isOpen}
+            disabled={disabled}
+            onCheckedChange={(checked) => updateDay(index, { isOpen: checked })}
+            aria-label={`${DAY_LABELS[day.day]} open`}
+          />
+          {day.isOpen ? (
+            <>
+              <Input
+                type="time"
+                className="w-32"
+                value={day.open}
+                disabled={disabled}
+                onChange={(e) => updateDay(index, { open: e.target.value })}
+              />
+              <span className="text-sm text-muted-foreground">to</span>
+              <Input
+                type="time"
+                className="w-32"
+                value={day.close}
+                disabled={disabled}
+                onChange={(e) => updateDay(index, { close: e.target.value })}
+              />
+              {!isDayValid(day) && (
+                <span className="text-sm text-destructive">Closing must be after opening</span>
+              )}
+            </>
+          ) : (
+            <span className="text-sm text-muted-foreground">Closed</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export const StoreHours: React.FC = () => {
+  const dispatch = useAppDispatch();
+  const { isSuperAdmin } = useAuth();
+  const { showAlert } = useAlert();
+  const { hours, status, isLoading, isSaving, error } = useAppSelector((state) => state.storeHours);
+  const [form, setForm] = useState<HoursForm | null>(null);
+  const [pauseReason, setPauseReason] = useState('');
+  const [pauseLength, setPauseLength] = useState('30');
+
+  const canEdit = isSuperAdmin();
+
+  useEffect(() => {
+    dispatch(fetchStoreHours());
+  }, [dispatch]);
+
+  useEffect(() => {
+    if (hours) {
+      setForm(toForm(hours));
+    }
+  }, [hours]);
+
+  useEffect(() => {
+    if (error) {
+      showAlert(error, 'error', 'Error');
+      dispatch(clearError());
+    }
+  }, [error, showAlert, dispatch]);
+
+  if (isLoading && !form) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+
+  if (!form || !hours) {
+    return null;
+  }
+
+  const updateHoliday = (index: number, changes: Partial<Holiday>) => {
+    setForm({
+      ...form,
+      holidays: form.holidays.map((holiday, i) => (i === index ? { ...holiday, ...changes } : holiday))
+    });
+  };
+
+  const addHoliday = () => {
+    setForm({ ...form, holidays: [...form.holidays, { date: '', isOpen: false, reason: '' }] });
+  };
+
+  const removeHoliday = (index: number) => {
+    setForm({ ...form, holidays: form.holidays.filter((_, i) => i !== index) });
+  };
+
+  const holidayDates = form.holidays.map(holiday => holiday.date);
+  const hasDuplicateHoliday = new Set(holidayDates).size !== holidayDates.length;
+  const hasInvalidHoliday = form.holidays.some(holiday => holiday.date === '' ||
+    (holiday.isOpen && (!holiday.open || !holiday.close || holiday.close <= holiday.open)));
+  const minutesValid = [form.pickupMinutes, form.deliveryMinutes, form.lastOrderMinutes]
+    .every(value => value !== '' && parseInt(value, 10) >= 0 && parseInt(value, 10) <= 240);
+  const capacityValid = [form.maxOrdersPerSlot, form.maxPrepMinutesPerSlot]
+    .every(value => value !== '' && parseInt(value, 10) >= 0);
+  const canSave = canEdit && !isSaving && minutesValid && capacityValid && !hasDuplicateHoliday && !hasInvalidHoliday &&
+    form.weeklyHours.every(isDayValid) && form.buffetHours.every(isDayValid);
+
+  const handleSave = async () => {
+    try {
+      await dispatch(updateStoreHours({
+        weeklyHours: form.weeklyHours,
+        buffetHours: form.buffetHours,
+        holidays: form.holidays.map(holiday => ({
+          date: holiday.date,
+          isOpen: holiday.isOpen,
+          open: holiday.isOpen ? holiday.open : undefined,
+          close: holiday.isOpen ? holiday.close : undefined,
+          reason: holiday.reason?.trim() || undefined
+        })),
+        preparationMinutes: {
+          pickup: parseInt(form.pickupMinutes, 10),
+          delivery: parseInt(form.deliveryMinutes, 10)
+        },
+        lastOrderMinutes: parseInt(form.lastOrderMinutes, 10),
+        kitchenCapacity: {
+          maxOrdersPerSlot: parseInt(form.maxOrdersPerSlot, 10),
+          maxPrepMinutesPerSlot: parseInt(form.maxPrepMinutesPerSlot, 10)
+        }
+      })).unwrap();
+
+      showAlert('Store hours saved', 'success', 'Hours Updated');
+    } catch (saveError) {
+      showAlert(
+        typeof saveError === 'string' ? saveError : 'Failed to save store hours',
+        'error',
+        'Update Failed'
+      );
+    }
+  };
+
+  const handlePause = async () => {
+    try {
+      await dispatch(pauseOrdering({
+        reason: pauseReason.trim() || undefined,
+        minutes: pauseLength === 'indefinite' ? null : parseInt(pauseLength, 10)
+      })).unwrap();
+
+      setPauseReason('');
+      showAlert('New orders are paused', 'success', 'Ordering Paused');
+    } catch (pauseError) {
+      showAlert(
+        typeof pauseError === 'string' ? pauseError : 'Failed to pause ordering',
+        'error',
+        'Pause Failed'
+      );
+    }
+  };
+
+  const handleResume = async () => {
+    try {
+      await dispatch(resumeOrdering()).unwrap();
+      showAlert('Orders are being accepted again', 'success', 'Ordering Resumed');
+    } catch (resumeError) {
+      showAlert(
+        typeof resumeError === 'string' ? resumeError : 'Failed to resume ordering',
+        'error',
+        'Resume Failed'
+      );
+    }
+  };
+
+  return (
+    <div className="space-y-6 flex-1 flex flex-col">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
+        <div>
+          <h1 className="text-2xl font-bold">Store Hours</h1>
+          <p className="text-muted-foreground">
+            Opening hours, holidays and closures enforced at checkout
+            {status && ` (restaurant time: ${status.localTime}, ${status.timeZone})`}
+          </p>
+        </div>
+        <div className="flex gap-2 items-center">
+          <Button variant="outline" onClick={() => dispatch(fetchStoreHours())}>
+            <RefreshCw className="h-4 w-4 mr-2" />
+            Refresh
+          </Button>
+          {canEdit && (
+            <Button onClick={handleSave} disabled={!canSave}>
+              <Save className="h-4 w-4 mr-2" />
+              {isSaving ? 'Saving...' : 'Save Changes'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {!canEdit && (
+        <p className="text-sm text-muted-foreground">
+          Only super admins can change the schedule. Any admin can pause and resume ordering.
+        </p>
+      )}
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            Ordering
+            {status && (
+              <Badge variant={status.acceptingOrders ? 'default' : 'secondary'}>
+                {status.message}
+              </Badge>
+            )}
+          </CardTitle>
+          <CardDescription>
+            Pause new orders when the kitchen is overwhelmed. Orders already placed are not affected.
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {hours.pause.isPaused && status?.isPaused ? (
+            <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <p className="text-sm">
+                Paused{hours.pause.pausedBy && ` by ${hours.pause.pausedBy.name}`}
+                {hours.pause.reason && `: ${hours.pause.reason}`}
+                {hours.pause.until
+                  ? ` until ${new Date(hours.pause.until).toLocaleTimeString()}`
+                  : ' until resumed'}
+              </p>
+              <Button onClick={handleResume}>
+                <Play className="h-4 w-4 mr-2" />
+                Resume Ordering
+              </Button>
+            </div>
+          ) : (
+            <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+              <div className="space-y-2 flex-1">
+                <Label htmlFor="pause-reason">Reason shown to customers</Label>
+                <Input
+                  id="pause-reason"
+                  value={pauseReason}
+                  maxLength={200}
+                  onChange={(e) => setPauseReason(e.target.value)}
+                  placeholder="Kitchen is at capacity"
+                />
+              </div>
+              <div className="space-y-2">
+                <Label>Pause for</Label>
+                <Select value={pauseLength} onValueChange={setPauseLength}>
+                  <SelectTrigger className="w-40">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {PAUSE_OPTIONS.map(option => (
+                      <SelectItem key={option.value} value={option.value}>{option.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <Button variant="outline" onClick={handlePause}>
+                <Pause className="h-4 w-4 mr-2" />
+                Pause Ordering
+              </Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid gap-6 lg:grid-cols-2">
+        <Card>
+          <CardHeader>
+            <CardTitle>Opening Hours</CardTitle>
+            <CardDescription>Restaurant-local time</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <WeekEditor
+              days={form.weeklyHours}
+              disabled={!canEdit}
+              onChange={(weeklyHours) => setForm({ ...form, weeklyHours })}
+            />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Lunch Buffet</CardTitle>
+            <CardDescription>Shown on the website; does not affect ordering</CardDescription>
+          </CardHeader>
+          <CardContent>
+            <WeekEditor
+              days={form.buffetHours}
+              disabled={!canEdit}
+              onChange={(buffetHours) => setForm({ ...form, buffetHours })}
+            />
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Holidays &amp; Special Hours</CardTitle>
+            <CardDescription>Dates listed here replace the weekly hours</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {form.holidays.map((holiday, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-3 border-b pb-3">
+                <Input
+                  type="date"
+                  className="w-40"
+                  value={holiday.date}
+                  disabled={!canEdit}
+                  onChange={(e) => updateHoliday(index, { date: e.target.value })}
+                />
+                <div className="flex items-center gap-2">
+                  <Switch
+                    checked={holiday.isOpen}
+                    disabled={!canEdit}
+                    onCheckedChange={(checked) => updateHoliday(index, {
+                      isOpen: checked,
+                      open: holiday.open || '11:30',
+                      close: holiday.close || '22:00'
+                    })}
+                    aria-label="Open with special hours"
+                  />
+                  <span className="text-sm">{holiday.isOpen ? 'Special hours' : 'Closed'}</span>
+                </div>
+                {holiday.isOpen && (
+                  <>
+                    <Input
+                      type="time"
+                      className="w-32"
+                      value={holiday.open || ''}
+                      disabled={!canEdit}
+                      onChange={(e) => updateHoliday(index, { open: e.target.value })}
+                    />
+                    <Input
+                      type="time"
+                      className="w-32"
+                      value={holiday.close || ''}
+                      disabled={!canEdit}
+                      onChange={(e) => updateHoliday(index, { close: e.target.value })}
+                    />
+                  </>
+                )}
+                <Input
+                  className="flex-1 min-w-40"
+                  value={holiday.reason || ''}
+                  maxLength={100}
+                  disabled={!canEdit}
+                  onChange={(e) => updateHoliday(index, { reason: e.target.value })}
+                  placeholder="Reason (e.g. Christmas Day)"
+                />
+                {canEdit && (
+                  <Button
+                    variant="outline"
+                    size="icon"
+                    onClick={() => removeHoliday(index)}
+                    aria-label="Remove date"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                )}
+              </div>
+            ))}
+
+            {form.holidays.length === 0 && (
+              <p className="text-sm text-muted-foreground">No holidays or special hours scheduled</p>
+            )}
+            {hasDuplicateHoliday && (
+              <p className="text-sm text-destructive">Each date can only be listed once</p>
+            )}
+            {hasInvalidHoliday && (
+              <p className="text-sm text-destructive">Every entry needs a date, and special hours must close after they open</p>
+            )}
+
+            {canEdit && (
+              <Button variant="outline" onClick={addHoliday}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Date
+              </Button>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Order Timing</CardTitle>
+            <CardDescription>How far ahead orders must be placed</CardDescription>
+          </CardHeader>
+          <CardContent className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="prep-pickup">Pickup lead time (min)</Label>
+              <Input
+                id="prep-pickup"
+                type="number"
+                min="0"
+                max="240"
+                value={form.pickupMinutes}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, pickupMinutes: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="prep-delivery">Delivery lead time (min)</Label>
+              <Input
+                id="prep-delivery"
+                type="number"
+                min="0"
+                max="240"
+                value={form.deliveryMinutes}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, deliveryMinutes: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="last-order">Last orders before close (min)</Label>
+              <Input
+                id="last-order"
+                type="number"
+                min="0"
+                max="240"
+                value={form.lastOrderMinutes}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, lastOrderMinutes: e.target.value })}
+              />
+            </div>
+            {!minutesValid && (
+              <p className="col-span-2 text-sm text-destructive">Enter minutes between 0 and 240</p>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Kitchen Capacity</CardTitle>
+            <CardDescription>
+              Limits per 15-minute slot. Full slots are hidden at checkout and ASAP orders move to the next free slot. Use 0 for no limit.
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="grid grid-cols-2 gap-4">
+            <div className="space-y-2">
+              <Label htmlFor="max-orders">Orders per slot</Label>
+              <Input
+                id="max-orders"
+                type="number"
+                min="0"
+                step="1"
+                value={form.maxOrdersPerSlot}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, maxOrdersPerSlot: e.target.value })}
+              />
+            </div>
+            <div className="space-y-2">
+              <Label htmlFor="max-prep">Prep minutes per slot</Label>
+              <Input
+                id="max-prep"
+                type="number"
+                min="0"
+                step="1"
+                value={form.maxPrepMinutesPerSlot}
+                disabled={!canEdit}
+                onChange={(e) => setForm({ ...form, maxPrepMinutesPerSlot: e.target.value })}
+              />
+            </div>
+            <p className="col-span-2 text-xs text-muted-foreground">
+              Prep minutes add up each item's preparation time times its quantity, so large orders use more of a slot.
+            </p>
+            {!capacityValid && (
+              <p className="col-span-2 text-sm text-destructive">Enter whole numbers of 0 or more</p>
+            )}
+            {hours.updatedBy && (
+              <p className="col-span-2 text-xs text-muted-foreground">
+                Last updated by {hours.updatedBy.name} on {new Date(hours.updatedAt).toLocaleString()}
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
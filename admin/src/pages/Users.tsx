@@ -33,6 +33,7 @@ import {
 } from '@/store/slices/usersSlice';
 import { useAlert } from '@/hooks/useAlert';
 import { formatters } from '@/utils/exportUtils';
+import { LoyaltyDialog } from '@/components/users/LoyaltyDialog';
 import {
   Search,
   Edit,
@@ -52,7 +53,8 @@ import {
   RefreshCw,
   Trash2,
   ShoppingCart,
-  TrendingUp
+  TrendingUp,
+  Award
 } from 'lucide-react';
 
 export const Users: React.FC = () => {
@@ -111,6 +113,7 @@ export const Users: React.FC = () => {
     user: null
   });
 
+  const [loyaltyUser, setLoyaltyUser] = useState<{ _id: string; name: string } | null>(null);
   const [deleteUserDialog, setDeleteUserDialog] = useState<{
     open: boolean;
     user: any;
@@ -644,6 +647,19 @@ export const Users: React.FC = () => {
                           </TooltipContent>
                         </Tooltip>
 
+                        {user.role === 'customer' && (
+                          <Tooltip>
+                            <TooltipTrigger asChild>
+                              <Button variant="ghost" size="sm" onClick={() => setLoyaltyUser(user)}>
+                                <Award className="h-4 w-4" />
+                              </Button>
+                            </TooltipTrigger>
+                            <TooltipContent>
+                              <p>Loyalty points</p>
+                            </TooltipContent>
+                          </Tooltip>
+                        )}
+
                         {isSuperAdmin() && (
                           <>
                             <Tooltip>
@@ -783,6 +799,19 @@ export const Users: React.FC = () => {
                   </TooltipContent>
                 </Tooltip>
 
+                {user.role === 'customer' && (
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button variant="outline" size="sm" onClick={() => setLoyaltyUser(user)}>
+                        <Award className="h-4 w-4" />
+                      </Button>
+                    </TooltipTrigger>
+                    <TooltipContent>
+                      <p>Loyalty points</p>
+                    </TooltipContent>
+                  </Tooltip>
+                )}
+
                 {isSuperAdmin() && (
                   <>
                     <Tooltip>
@@ -1118,6 +1147,13 @@ export const Users: React.FC = () => {
           )}
         </DialogContent>
       </Dialog>
+
+      {/* Loyalty Points Dialog */}
+      <LoyaltyDialog
+        user={loyaltyUser}
+        canAdjust={isSuperAdmin()}
+        onClose={() => setLoyaltyUser(null)}
+      />
     </div>
     </div>
   );
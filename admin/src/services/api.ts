@@ -76,6 +76,14 @@ export interface ApiResponse<T = any> {
   errors?: any[];
 }
 
+// Extract the server's error message from a failed request
+export const getErrorMessage = (error: unknown, fallback: string): string => {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.message || fallback;
+  }
+  return fallback;
+};
+
 // Generic API methods
 export const api = {
   get: <T = any>(url: string, config?: AxiosRequestConfig): Promise<ApiResponse<T>> =>
@@ -106,5 +114,20 @@ export const uploadFile = async (file: File, endpoint: string): Promise<ApiRespo
   }).then((res) => res.data);
 };
 
+// File download helper; saves the response body under the given file name
+export const downloadFile = async (endpoint: string, filename: string, config?: AxiosRequestConfig): Promise<void> => {
+  const response = await apiClient.get(endpoint, { ...config, responseType: 'blob' });
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.setAttribute('href', url);
+  link.setAttribute('download', filename);
+  link.style.visibility = 'hidden';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
 // Export the axios instance for direct use if needed
 export default apiClient;
@@ -14,6 +14,16 @@ import dashboardSlice from './slices/dashboardSlice';
 import reportsSlice from './slices/reportsSlice';
 import newsletterSlice from './slices/newsletterSlice';
 import contactsSlice from './slices/contactsSlice';
+import settingsSlice from './slices/settingsSlice';
+import deliveryZonesSlice from './slices/deliveryZonesSlice';
+import storeHoursSlice from './slices/storeHoursSlice';
+import inventorySlice from './slices/inventorySlice';
+import menuTransferSlice from './slices/menuTransferSlice';
+import revisionsSlice from './slices/revisionsSlice';
+import couponsSlice from './slices/couponsSlice';
+import promotionsSlice from './slices/promotionsSlice';
+import loyaltySlice from './slices/loyaltySlice';
+import giftCardsSlice from './slices/giftCardsSlice';
 import uiSlice from './slices/uiSlice';
 
 // Configure the store
@@ -31,6 +41,16 @@ export const store = configureStore({
     reports: reportsSlice,
     newsletter: newsletterSlice,
     contacts: contactsSlice,
+    settings: settingsSlice,
+    deliveryZones: deliveryZonesSlice,
+    storeHours: storeHoursSlice,
+    inventory: inventorySlice,
+    menuTransfer: menuTransferSlice,
+    revisions: revisionsSlice,
+    coupons: couponsSlice,
+    promotions: promotionsSlice,
+    loyalty: loyaltySlice,
+    giftCards: giftCardsSlice,
     ui: uiSlice,
   },
   middleware: (getDefaultMiddleware) =>
@@ -1,5 +1,6 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
 import { api } from '../../services/api';
+import type { AvailabilitySchedule } from './menuSlice';
 
 // Types
 export interface Category {
@@ -18,6 +19,7 @@ export interface Category {
     public_id: string;
   };
   isActive: boolean;
+  availability?: AvailabilitySchedule;
   sortOrder: number;
   slug: string;
   menuItemCount: number;
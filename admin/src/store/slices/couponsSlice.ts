@@ -0,0 +1,264 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export type CouponType = 'percentage' | 'fixed' | 'free-delivery';
+
+export type CouponStatusFilter = 'active' | 'scheduled' | 'expired' | 'inactive';
+
+export interface CouponScopeRef {
+  _id: string;
+  name: string;
+}
+
+export interface Coupon {
+  _id: string;
+  code: string;
+  description?: string;
+  type: CouponType;
+  value?: number;
+  minOrder: number;
+  maxDiscount?: number;
+  startsAt?: string;
+  endsAt?: string;
+  usageLimit?: number;
+  perUserLimit?: number;
+  firstOrderOnly: boolean;
+  categories: CouponScopeRef[];
+  menuItems: CouponScopeRef[];
+  isActive: boolean;
+  usageCount: number;
+  updatedBy?: {
+    _id: string;
+    name: string;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+// null clears an optional limit or date
+export interface CouponInput {
+  code: string;
+  description: string;
+  type: CouponType;
+  value: number | null;
+  minOrder: number;
+  maxDiscount: number | null;
+  startsAt: string | null;
+  endsAt: string | null;
+  usageLimit: number | null;
+  perUserLimit: number | null;
+  firstOrderOnly: boolean;
+  categories: string[];
+  menuItems: string[];
+  isActive: boolean;
+}
+
+export interface CouponRedemption {
+  _id: string;
+  orderNumber: string;
+  user?: {
+    _id: string;
+    name: string;
+    email: string;
+    role: string;
+  } | null;
+  coupon: {
+    code: string;
+    discount: number;
+    status: 'redeemed' | 'released';
+  };
+  totalPrice: number;
+  deliveryStatus: string;
+  createdAt: string;
+}
+
+export interface CouponRedemptionSummary {
+  redemptions: number;
+  discountGiven: number;
+}
+
+export interface CouponsState {
+  coupons: Coupon[];
+  redemptions: CouponRedemption[];
+  redemptionSummary: CouponRedemptionSummary | null;
+  isLoading: boolean;
+  isLoadingRedemptions: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: CouponsState = {
+  coupons: [],
+  redemptions: [],
+  redemptionSummary: null,
+  isLoading: false,
+  isLoadingRedemptions: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchCoupons = createAsyncThunk(
+  'coupons/fetchCoupons',
+  async (params: { status?: CouponStatusFilter; search?: string } = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/coupons', { params });
+
+      if (response.success) {
+        return response.data.coupons as Coupon[];
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch coupons');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch coupons'));
+    }
+  }
+);
+
+export const createCoupon = createAsyncThunk(
+  'coupons/createCoupon',
+  async (couponData: CouponInput, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/coupons', couponData);
+
+      if (response.success) {
+        return response.data.coupon as Coupon;
+      } else {
+        return rejectWithValue(response.message || 'Failed to create coupon');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to create coupon'));
+    }
+  }
+);
+
+export const updateCoupon = createAsyncThunk(
+  'coupons/updateCoupon',
+  async ({ id, couponData }: { id: string; couponData: CouponInput }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/api/admin/coupons/${id}`, couponData);
+
+      if (response.success) {
+        return response.data.coupon as Coupon;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update coupon');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update coupon'));
+    }
+  }
+);
+
+export const deleteCoupon = createAsyncThunk(
+  'coupons/deleteCoupon',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/admin/coupons/${id}`);
+
+      if (response.success) {
+        return id;
+      } else {
+        return rejectWithValue(response.message || 'Failed to delete coupon');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete coupon'));
+    }
+  }
+);
+
+export const fetchCouponRedemptions = createAsyncThunk(
+  'coupons/fetchCouponRedemptions',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/api/admin/coupons/${id}/redemptions`, { params: { limit: 100 } });
+
+      if (response.success) {
+        return response.data as { redemptions: CouponRedemption[]; summary: CouponRedemptionSummary };
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch coupon redemptions');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch coupon redemptions'));
+    }
+  }
+);
+
+// Slice
+const couponsSlice = createSlice({
+  name: 'coupons',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearRedemptions: (state) => {
+      state.redemptions = [];
+      state.redemptionSummary = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch coupons
+      .addCase(fetchCoupons.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchCoupons.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.coupons = action.payload;
+      })
+      .addCase(fetchCoupons.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Create coupon
+      .addCase(createCoupon.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(createCoupon.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.coupons.unshift(action.payload);
+      })
+      .addCase(createCoupon.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Update coupon
+      .addCase(updateCoupon.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updateCoupon.fulfilled, (state, action) => {
+        state.isSaving = false;
+        const index = state.coupons.findIndex(coupon => coupon._id === action.payload._id);
+        if (index !== -1) {
+          state.coupons[index] = action.payload;
+        }
+      })
+      .addCase(updateCoupon.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Delete coupon
+      .addCase(deleteCoupon.fulfilled, (state, action) => {
+        state.coupons = state.coupons.filter(coupon => coupon._id !== action.payload);
+      })
+      // Redemptions
+      .addCase(fetchCouponRedemptions.pending, (state) => {
+        state.isLoadingRedemptions = true;
+        state.redemptions = [];
+        state.redemptionSummary = null;
+      })
+      .addCase(fetchCouponRedemptions.fulfilled, (state, action) => {
+        state.isLoadingRedemptions = false;
+        state.redemptions = action.payload.redemptions;
+        state.redemptionSummary = action.payload.summary;
+      })
+      .addCase(fetchCouponRedemptions.rejected, (state, action) => {
+        state.isLoadingRedemptions = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearError, clearRedemptions } = couponsSlice.actions;
+export default couponsSlice.reducer;
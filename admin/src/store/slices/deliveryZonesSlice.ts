@@ -0,0 +1,200 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export interface DeliveryZone {
+  _id: string;
+  name: string;
+  type: 'polygon' | 'radius';
+  polygon?: GeoPoint[];
+  radius?: {
+    minKm: number;
+    maxKm: number;
+  };
+  deliveryFee: number;
+  freeDeliveryOver?: number | null;
+  minimumOrder: number;
+  estimatedMinutes: number;
+  priority: number;
+  isActive: boolean;
+  updatedBy?: {
+    _id: string;
+    name: string;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export type DeliveryZoneInput = Omit<DeliveryZone, '_id' | 'updatedBy' | 'createdAt' | 'updatedAt'>;
+
+export interface DeliveryZonesState {
+  zones: DeliveryZone[];
+  restaurantLocation: GeoPoint | null;
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: DeliveryZonesState = {
+  zones: [],
+  restaurantLocation: null,
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchDeliveryZones = createAsyncThunk(
+  'deliveryZones/fetchDeliveryZones',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/delivery-zones');
+
+      if (response.success) {
+        return response.data;
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch delivery zones');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch delivery zones'));
+    }
+  }
+);
+
+export const createDeliveryZone = createAsyncThunk(
+  'deliveryZones/createDeliveryZone',
+  async (zoneData: DeliveryZoneInput, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/delivery-zones', zoneData);
+
+      if (response.success) {
+        return response.data.zone;
+      } else {
+        return rejectWithValue(response.message || 'Failed to create delivery zone');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to create delivery zone'));
+    }
+  }
+);
+
+export const updateDeliveryZone = createAsyncThunk(
+  'deliveryZones/updateDeliveryZone',
+  async ({ id, zoneData }: { id: string; zoneData: DeliveryZoneInput }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/api/admin/delivery-zones/${id}`, zoneData);
+
+      if (response.success) {
+        return response.data.zone;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update delivery zone');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update delivery zone'));
+    }
+  }
+);
+
+export const deleteDeliveryZone = createAsyncThunk(
+  'deliveryZones/deleteDeliveryZone',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/admin/delivery-zones/${id}`);
+
+      if (response.success) {
+        return id;
+      } else {
+        return rejectWithValue(response.message || 'Failed to delete delivery zone');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete delivery zone'));
+    }
+  }
+);
+
+export const checkDeliveryLocation = createAsyncThunk(
+  'deliveryZones/checkDeliveryLocation',
+  async (point: GeoPoint, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/delivery-zones/check', { params: point });
+
+      if (response.success) {
+        return {
+          message: response.message,
+          zone: response.data.zone as DeliveryZone | null,
+          distanceKm: response.data.distanceKm as number
+        };
+      } else {
+        return rejectWithValue(response.message || 'Failed to check location');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to check location'));
+    }
+  }
+);
+
+// Slice
+const deliveryZonesSlice = createSlice({
+  name: 'deliveryZones',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch zones
+      .addCase(fetchDeliveryZones.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchDeliveryZones.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.zones = action.payload.zones;
+        state.restaurantLocation = action.payload.restaurantLocation;
+      })
+      .addCase(fetchDeliveryZones.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Create zone
+      .addCase(createDeliveryZone.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(createDeliveryZone.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.zones.push(action.payload);
+      })
+      .addCase(createDeliveryZone.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Update zone
+      .addCase(updateDeliveryZone.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updateDeliveryZone.fulfilled, (state, action) => {
+        state.isSaving = false;
+        const index = state.zones.findIndex(zone => zone._id === action.payload._id);
+        if (index !== -1) {
+          state.zones[index] = action.payload;
+        }
+      })
+      .addCase(updateDeliveryZone.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Delete zone
+      .addCase(deleteDeliveryZone.fulfilled, (state, action) => {
+        state.zones = state.zones.filter(zone => zone._id !== action.payload);
+      });
+  },
+});
+
+export const { clearError } = deliveryZonesSlice.actions;
+export default deliveryZonesSlice.reducer;
@@ -0,0 +1,316 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export type GiftCardKind = 'gift_card' | 'store_credit';
+export type GiftCardStatus = 'pending' | 'active' | 'disabled';
+export type GiftCardStatusFilter = GiftCardStatus | 'expired';
+export type GiftCardTransactionType = 'issue' | 'redeem' | 'restore' | 'refund' | 'adjust';
+
+interface PersonRef {
+  _id: string;
+  name: string;
+  email?: string;
+}
+
+export interface GiftCard {
+  _id: string;
+  code: string;
+  kind: GiftCardKind;
+  initialBalance: number;
+  balance: number;
+  status: GiftCardStatus;
+  isExpired: boolean;
+  expiresAt?: string;
+  purchaser?: PersonRef | null;
+  user?: PersonRef | null;
+  senderName?: string;
+  recipientName?: string;
+  recipientEmail: string;
+  message?: string;
+  reason?: string;
+  issuedBy?: PersonRef | null;
+  paidAt?: string;
+  deliveredAt?: string;
+  createdAt: string;
+}
+
+export interface GiftCardTransaction {
+  _id: string;
+  type: GiftCardTransactionType;
+  amount: number;
+  balance: number;
+  order?: {
+    _id: string;
+    orderNumber: string;
+  } | null;
+  reason?: string;
+  createdBy?: {
+    _id: string;
+    name: string;
+    role: string;
+  };
+  createdAt: string;
+}
+
+export type OutstandingBalances = Partial<Record<GiftCardKind, { balance: number; count: number }>>;
+
+export interface GiftCardFilters {
+  kind?: GiftCardKind;
+  status?: GiftCardStatusFilter;
+  search?: string;
+  page?: number;
+}
+
+export interface StoreCreditInput {
+  amount: number;
+  user?: string;
+  recipientName?: string;
+  recipientEmail?: string;
+  message?: string;
+  reason: string;
+  expiresAt?: string | null;
+}
+
+interface Pagination {
+  currentPage: number;
+  totalPages: number;
+  totalItems: number;
+  itemsPerPage: number;
+}
+
+export interface GiftCardsState {
+  giftCards: GiftCard[];
+  outstanding: OutstandingBalances;
+  pagination: Pagination | null;
+  selected: GiftCard | null;
+  transactions: GiftCardTransaction[];
+  isLoading: boolean;
+  isLoadingDetails: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: GiftCardsState = {
+  giftCards: [],
+  outstanding: {},
+  pagination: null,
+  selected: null,
+  transactions: [],
+  isLoading: false,
+  isLoadingDetails: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchGiftCards = createAsyncThunk(
+  'giftCards/fetchGiftCards',
+  async (params: GiftCardFilters = {}, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/gift-cards', { params });
+
+      if (response.success) {
+        return response.data as { giftCards: GiftCard[]; outstanding: OutstandingBalances; pagination: Pagination };
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch gift cards');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch gift cards'));
+    }
+  }
+);
+
+export const fetchGiftCard = createAsyncThunk(
+  'giftCards/fetchGiftCard',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/api/admin/gift-cards/${id}`, { params: { limit: 100 } });
+
+      if (response.success) {
+        return response.data as { giftCard: GiftCard; transactions: GiftCardTransaction[] };
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch gift card');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch gift card'));
+    }
+  }
+);
+
+export const issueStoreCredit = createAsyncThunk(
+  'giftCards/issueStoreCredit',
+  async (input: StoreCreditInput, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/gift-cards/store-credit', input);
+
+      if (response.success) {
+        return {
+          ...(response.data as { giftCard: GiftCard; delivered: boolean }),
+          message: response.message as string
+        };
+      } else {
+        return rejectWithValue(response.message || 'Failed to issue store credit');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to issue store credit'));
+    }
+  }
+);
+
+export const adjustGiftCard = createAsyncThunk(
+  'giftCards/adjustGiftCard',
+  async (
+    { id, amount, reason }: { id: string; amount: number; reason: string },
+    { rejectWithValue }
+  ) => {
+    try {
+      const response = await api.post(`/api/admin/gift-cards/${id}/adjustments`, { amount, reason });
+
+      if (response.success) {
+        return response.data as { giftCard: GiftCard; transaction: GiftCardTransaction };
+      } else {
+        return rejectWithValue(response.message || 'Failed to adjust gift card');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to adjust gift card'));
+    }
+  }
+);
+
+export const updateGiftCardStatus = createAsyncThunk(
+  'giftCards/updateGiftCardStatus',
+  async ({ id, status }: { id: string; status: 'active' | 'disabled' }, { rejectWithValue }) => {
+    try {
+      const response = await api.patch(`/api/admin/gift-cards/${id}/status`, { status });
+
+      if (response.success) {
+        return response.data.giftCard as GiftCard;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update gift card');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update gift card'));
+    }
+  }
+);
+
+export const resendGiftCard = createAsyncThunk(
+  'giftCards/resendGiftCard',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/api/admin/gift-cards/${id}/resend`);
+
+      if (response.success) {
+        return response.message as string;
+      } else {
+        return rejectWithValue(response.message || 'Failed to resend gift card');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to resend gift card'));
+    }
+  }
+);
+
+// Keep a card in the list in step with the one open in the details dialog
+const replaceGiftCard = (state: GiftCardsState, giftCard: GiftCard) => {
+  state.giftCards = state.giftCards.map(existing => existing._id === giftCard._id ? giftCard : existing);
+  if (state.selected && state.selected._id === giftCard._id) {
+    state.selected = giftCard;
+  }
+};
+
+// Slice
+const giftCardsSlice = createSlice({
+  name: 'giftCards',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearSelectedGiftCard: (state) => {
+      state.selected = null;
+      state.transactions = [];
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch gift cards
+      .addCase(fetchGiftCards.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchGiftCards.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.giftCards = action.payload.giftCards;
+        state.outstanding = action.payload.outstanding;
+        state.pagination = action.payload.pagination;
+      })
+      .addCase(fetchGiftCards.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Fetch one gift card with its ledger
+      .addCase(fetchGiftCard.pending, (state) => {
+        state.isLoadingDetails = true;
+        state.error = null;
+      })
+      .addCase(fetchGiftCard.fulfilled, (state, action) => {
+        state.isLoadingDetails = false;
+        state.selected = action.payload.giftCard;
+        state.transactions = action.payload.transactions;
+      })
+      .addCase(fetchGiftCard.rejected, (state, action) => {
+        state.isLoadingDetails = false;
+        state.error = action.payload as string;
+      })
+      // Issue store credit
+      .addCase(issueStoreCredit.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(issueStoreCredit.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.giftCards.unshift(action.payload.giftCard);
+      })
+      .addCase(issueStoreCredit.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Adjust balance
+      .addCase(adjustGiftCard.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(adjustGiftCard.fulfilled, (state, action) => {
+        state.isSaving = false;
+        replaceGiftCard(state, action.payload.giftCard);
+        state.transactions.unshift(action.payload.transaction);
+      })
+      .addCase(adjustGiftCard.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Enable / disable
+      .addCase(updateGiftCardStatus.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updateGiftCardStatus.fulfilled, (state, action) => {
+        state.isSaving = false;
+        replaceGiftCard(state, action.payload);
+      })
+      .addCase(updateGiftCardStatus.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Resend email
+      .addCase(resendGiftCard.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(resendGiftCard.fulfilled, (state) => {
+        state.isSaving = false;
+      })
+      .addCase(resendGiftCard.rejected, (state) => {
+        state.isSaving = false;
+      });
+  },
+});
+
+export const { clearError, clearSelectedGiftCard } = giftCardsSlice.actions;
+export default giftCardsSlice.reducer;
@@ -0,0 +1,238 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export type IngredientUnit = 'g' | 'kg' | 'ml' | 'l' | 'pcs';
+
+export interface Ingredient {
+  _id: string;
+  name: string;
+  unit: IngredientUnit;
+  onHand: number;
+  lowStockThreshold: number;
+  isActive: boolean;
+  isLowStock: boolean;
+  menuItemCount?: number;
+  lastRestockedAt?: string;
+  updatedBy?: {
+    _id: string;
+    name: string;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface IngredientInput {
+  name: string;
+  unit: IngredientUnit;
+  onHand?: number;
+  lowStockThreshold: number;
+  isActive: boolean;
+}
+
+// Payload of the ingredientLowStock / ingredientOutOfStock socket events
+export interface IngredientStockAlert {
+  ingredientId: string;
+  name: string;
+  unit: IngredientUnit;
+  onHand: number;
+  lowStockThreshold: number;
+  timestamp: string;
+}
+
+// Either add/remove an amount or set the counted stock
+export type IngredientAdjustment = { adjustment: number } | { onHand: number };
+
+export interface InventoryState {
+  ingredients: Ingredient[];
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: InventoryState = {
+  ingredients: [],
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchIngredients = createAsyncThunk(
+  'inventory/fetchIngredients',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/ingredients');
+
+      if (response.success) {
+        return response.data.ingredients as Ingredient[];
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch ingredients');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch ingredients'));
+    }
+  }
+);
+
+export const createIngredient = createAsyncThunk(
+  'inventory/createIngredient',
+  async (ingredientData: IngredientInput, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/ingredients', ingredientData);
+
+      if (response.success) {
+        return response.data.ingredient as Ingredient;
+      } else {
+        return rejectWithValue(response.message || 'Failed to create ingredient');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to create ingredient'));
+    }
+  }
+);
+
+export const updateIngredient = createAsyncThunk(
+  'inventory/updateIngredient',
+  async ({ id, ingredientData }: { id: string; ingredientData: IngredientInput }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/api/admin/ingredients/${id}`, ingredientData);
+
+      if (response.success) {
+        return response.data.ingredient as Ingredient;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update ingredient');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update ingredient'));
+    }
+  }
+);
+
+export const adjustIngredient = createAsyncThunk(
+  'inventory/adjustIngredient',
+  async ({ id, change }: { id: string; change: IngredientAdjustment }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/api/admin/ingredients/${id}/adjust`, change);
+
+      if (response.success) {
+        return response.data.ingredient as Ingredient;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update stock');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update stock'));
+    }
+  }
+);
+
+export const deleteIngredient = createAsyncThunk(
+  'inventory/deleteIngredient',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/admin/ingredients/${id}`);
+
+      if (response.success) {
+        return id;
+      } else {
+        return rejectWithValue(response.message || 'Failed to delete ingredient');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete ingredient'));
+    }
+  }
+);
+
+export const syncIngredientAvailability = createAsyncThunk(
+  'inventory/syncIngredientAvailability',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/ingredients/sync');
+
+      if (response.success) {
+        return response.message as string;
+      } else {
+        return rejectWithValue(response.message || 'Failed to check menu availability');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to check menu availability'));
+    }
+  }
+);
+
+// Replace an ingredient in the list, keeping its recipe usage count
+const replaceIngredient = (state: InventoryState, ingredient: Ingredient) => {
+  const index = state.ingredients.findIndex(entry => entry._id === ingredient._id);
+  if (index !== -1) {
+    state.ingredients[index] = { ...ingredient, menuItemCount: state.ingredients[index].menuItemCount };
+  }
+};
+
+// Slice
+const inventorySlice = createSlice({
+  name: 'inventory',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch ingredients
+      .addCase(fetchIngredients.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchIngredients.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.ingredients = action.payload;
+      })
+      .addCase(fetchIngredients.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Create ingredient
+      .addCase(createIngredient.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(createIngredient.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.ingredients.push({ ...action.payload, menuItemCount: 0 });
+        state.ingredients.sort((a, b) => a.name.localeCompare(b.name));
+      })
+      .addCase(createIngredient.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Update ingredient
+      .addCase(updateIngredient.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updateIngredient.fulfilled, (state, action) => {
+        state.isSaving = false;
+        replaceIngredient(state, action.payload);
+      })
+      .addCase(updateIngredient.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Adjust stock
+      .addCase(adjustIngredient.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(adjustIngredient.fulfilled, (state, action) => {
+        state.isSaving = false;
+        replaceIngredient(state, action.payload);
+      })
+      .addCase(adjustIngredient.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Delete ingredient
+      .addCase(deleteIngredient.fulfilled, (state, action) => {
+        state.ingredients = state.ingredients.filter(ingredient => ingredient._id !== action.payload);
+      });
+  },
+});
+
+export const { clearError } = inventorySlice.actions;
+export default inventorySlice.reducer;
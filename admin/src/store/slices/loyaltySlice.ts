@@ -0,0 +1,144 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export type LoyaltyTransactionType = 'earn' | 'reverse' | 'redeem' | 'restore' | 'adjust';
+
+export interface LoyaltyTier {
+  name: string;
+  minSpend: number;
+  multiplier: number;
+}
+
+export interface LoyaltySummary {
+  balance: number;
+  balanceValue: number;
+  tier: LoyaltyTier;
+  nextTier: (LoyaltyTier & { amountAway: number }) | null;
+  rollingSpend: number;
+  tierWindowDays: number;
+  pointsPerDollar: number;
+  pointValue: number;
+  minRedemption: number;
+  tiers: LoyaltyTier[];
+}
+
+export interface LoyaltyTransaction {
+  _id: string;
+  type: LoyaltyTransactionType;
+  points: number;
+  balance: number;
+  order?: {
+    _id: string;
+    orderNumber: string;
+  } | null;
+  reason?: string;
+  createdBy?: {
+    _id: string;
+    name: string;
+    role: string;
+  };
+  createdAt: string;
+}
+
+export interface LoyaltyState {
+  summary: LoyaltySummary | null;
+  transactions: LoyaltyTransaction[];
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: LoyaltyState = {
+  summary: null,
+  transactions: [],
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchUserLoyalty = createAsyncThunk(
+  'loyalty/fetchUserLoyalty',
+  async (userId: string, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/api/admin/users/${userId}/loyalty`, { params: { limit: 100 } });
+
+      if (response.success) {
+        return response.data as { loyalty: LoyaltySummary; transactions: LoyaltyTransaction[] };
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch loyalty points');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch loyalty points'));
+    }
+  }
+);
+
+export const adjustUserLoyalty = createAsyncThunk(
+  'loyalty/adjustUserLoyalty',
+  async (
+    { userId, points, reason }: { userId: string; points: number; reason: string },
+    { rejectWithValue }
+  ) => {
+    try {
+      const response = await api.post(`/api/admin/users/${userId}/loyalty/adjustments`, { points, reason });
+
+      if (response.success) {
+        return response.data as { loyalty: LoyaltySummary; transaction: LoyaltyTransaction };
+      } else {
+        return rejectWithValue(response.message || 'Failed to adjust loyalty points');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to adjust loyalty points'));
+    }
+  }
+);
+
+// Slice
+const loyaltySlice = createSlice({
+  name: 'loyalty',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+    clearLoyalty: (state) => {
+      state.summary = null;
+      state.transactions = [];
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch loyalty
+      .addCase(fetchUserLoyalty.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchUserLoyalty.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.summary = action.payload.loyalty;
+        state.transactions = action.payload.transactions;
+      })
+      .addCase(fetchUserLoyalty.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Adjust points
+      .addCase(adjustUserLoyalty.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(adjustUserLoyalty.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.summary = action.payload.loyalty;
+        state.transactions.unshift(action.payload.transaction);
+      })
+      .addCase(adjustUserLoyalty.rejected, (state) => {
+        state.isSaving = false;
+      });
+  },
+});
+
+export const { clearError, clearLoyalty } = loyaltySlice.actions;
+export default loyaltySlice.reducer;
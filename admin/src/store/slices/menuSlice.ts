@@ -1,7 +1,72 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
 import { api } from '../../services/api';
+import { restoreRevision } from './revisionsSlice';
 
 // Types
+// Ingredient used per serving; quantity is in the ingredient's unit
+export interface RecipeLine {
+  ingredient: string;
+  quantity: number;
+}
+
+// Nutrition facts per serving; protein, carbs and fat in grams, sodium in milligrams
+export interface NutritionInfo {
+  calories?: number;
+  protein?: number;
+  carbs?: number;
+  fat?: number;
+  sodium?: number;
+}
+
+export interface MenuModifierOption {
+  _id?: string;
+  name: string;
+  price: number;
+  isDefault: boolean;
+  recipe?: RecipeLine[];
+  // Set by the server when the option's ingredients run short
+  outOfStock?: boolean;
+  nutritionalInfo?: NutritionInfo;
+}
+
+export interface MenuModifierGroup {
+  _id?: string;
+  name: string;
+  isRequired: boolean;
+  minSelections: number;
+  maxSelections: number;
+  options: MenuModifierOption[];
+}
+
+export interface MenuBundleSlot {
+  _id?: string;
+  name: string;
+  // Ids when saving; populated with names when loaded for editing
+  eligibleItems: Array<string | { _id: string; name: string }>;
+  eligibleCategories: Array<string | { _id: string; name: string }>;
+  sortOrder?: number;
+}
+
+export interface MenuBundlePricing {
+  mode: 'fixed' | 'discount';
+  discountPercentage: number;
+}
+
+// Day-part schedule; days are 0 (Sunday) to 6, times "HH:MM" in restaurant-local time
+export interface AvailabilityWindow {
+  label?: string;
+  days: number[];
+  start: string;
+  end: string;
+}
+
+export interface AvailabilitySchedule {
+  isScheduled: boolean;
+  windows: AvailabilityWindow[];
+  startDate?: string;
+  endDate?: string;
+}
+
 export interface MenuItemImage {
   url: string;
   publicId: string;
@@ -9,6 +74,7 @@ export interface MenuItemImage {
 
 export interface MenuItem {
   _id: string;
+  itemType?: 'single' | 'bundle';
   name: string;
   description: string;
   category: {
@@ -30,8 +96,12 @@ export interface MenuItem {
     name: string;
     price: number;
     isDefault: boolean;
+    nutritionMultiplier?: number;
   }>;
   isVegetarian: boolean;
+  allergens?: string[];
+  allergensVerified?: boolean;
+  dietaryFlags?: string[];
   spicyLevel?: Array<{
     _id: string;
     name: string;
@@ -43,10 +113,19 @@ export interface MenuItem {
   addons?: Array<{
     name: string;
     price: number;
+    nutritionalInfo?: NutritionInfo;
   }>;
+  modifierGroups?: MenuModifierGroup[];
+  bundleSlots?: MenuBundleSlot[];
+  bundlePricing?: MenuBundlePricing;
+  availability?: AvailabilitySchedule;
+  recipe?: RecipeLine[];
+  missingIngredients?: string[];
+  nutritionalInfo?: NutritionInfo;
   tags: string[];
   isActive: boolean;
   isAvailable?: boolean;
+  autoUnavailable?: boolean;
   averageRating: number;
   totalReviews: number;
   totalSales?: number;
@@ -63,6 +142,8 @@ export interface MenuItem {
 export interface MenuState {
   menuItems: MenuItem[];
   currentMenuItem: MenuItem | null;
+  // Single items that can be offered in a bundle slot
+  bundleCandidates: Array<{ _id: string; name: string }>;
   isLoading: boolean;
   error: string | null;
   pagination: {
@@ -86,6 +167,7 @@ export interface MenuState {
 const initialState: MenuState = {
   menuItems: [],
   currentMenuItem: null,
+  bundleCandidates: [],
   isLoading: false,
   error: null,
   pagination: {
@@ -115,6 +197,7 @@ export const fetchMenuItems = createAsyncThunk(
     category?: string;
     isVegetarian?: boolean | string;
     isActive?: boolean | string;
+    itemType?: string;
     sortBy?: string;
     sortOrder?: string;
   } = {}) => {
@@ -139,6 +222,14 @@ export const fetchMenuItemById = createAsyncThunk(
   }
 );
 
+export const fetchBundleCandidates = createAsyncThunk(
+  'menu/fetchBundleCandidates',
+  async () => {
+    const response = await api.get('/api/admin/menu?itemType=single&limit=1000&sortBy=name&sortOrder=asc');
+    return response.data;
+  }
+);
+
 export const createMenuItem = createAsyncThunk(
   'menu/createMenuItem',
   async (menuItemData: FormData, { rejectWithValue }) => {
@@ -277,6 +368,23 @@ const menuSlice = createSlice({
         state.isLoading = false;
         state.error = action.error.message || 'Failed to fetch menu item';
       })
+
+      // Restoring a revision returns the menu item as restored
+      .addCase(restoreRevision.fulfilled, (state, action) => {
+        const restored = action.payload.menuItem;
+        if (restored && state.currentMenuItem?._id === restored._id) {
+          state.currentMenuItem = restored;
+        }
+      })
+      
+      // Fetch bundle candidates (kept apart from the paginated list)
+      .addCase(fetchBundleCandidates.fulfilled, (state, action) => {
+        const responseData = action.payload.data || action.payload;
+        state.bundleCandidates = (responseData.menuItems || []).map((item: MenuItem) => ({
+          _id: item._id,
+          name: item.name,
+        }));
+      })
       
       // Create menu item
       .addCase(createMenuItem.pending, (state) => {
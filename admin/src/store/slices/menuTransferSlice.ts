@@ -0,0 +1,181 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import axios from 'axios';
+import { downloadFile, uploadFile, getErrorMessage } from '../../services/api';
+
+// Types
+export type MenuTransferEntity = 'categories' | 'spicy-levels' | 'preparations' | 'menu-items';
+
+export type MenuTransferFormat = 'xlsx' | 'csv';
+
+export interface MenuImportRow {
+  sheet: string;
+  row: number;
+  name: string;
+  action: 'create' | 'update';
+  errors: string[];
+}
+
+export interface MenuImportReport {
+  applied: boolean;
+  summary: {
+    create: number;
+    update: number;
+    errors: number;
+  };
+  rows: MenuImportRow[];
+}
+
+export interface MenuImportRequest {
+  file: File;
+  // Which sheet a CSV file holds; XLSX files name their sheets
+  entity?: MenuTransferEntity;
+}
+
+export interface MenuTransferState {
+  report: MenuImportReport | null;
+  isExporting: boolean;
+  isChecking: boolean;
+  isImporting: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: MenuTransferState = {
+  report: null,
+  isExporting: false,
+  isChecking: false,
+  isImporting: false,
+  error: null,
+};
+
+const importEndpoint = ({ file, entity }: MenuImportRequest, dryRun: boolean) => {
+  const params = new URLSearchParams({ dryRun: String(dryRun) });
+  if (file.name.toLowerCase().endsWith('.csv') && entity) {
+    params.set('entity', entity);
+  }
+  return `/api/admin/menu-transfer/import?${params.toString()}`;
+};
+
+// The server sends the row report with a failed import
+const getErrorReport = (error: unknown): MenuImportReport | null => {
+  if (axios.isAxiosError(error)) {
+    return error.response?.data?.data?.report || null;
+  }
+  return null;
+};
+
+// Async thunks
+export const exportMenuFile = createAsyncThunk(
+  'menuTransfer/exportMenuFile',
+  async ({ format, entity }: { format: MenuTransferFormat; entity?: MenuTransferEntity }, { rejectWithValue }) => {
+    try {
+      const date = new Date().toISOString().split('T')[0];
+      await downloadFile(
+        '/api/admin/menu-transfer/export',
+        format === 'csv' ? `${entity}-${date}.csv` : `menu-${date}.xlsx`,
+        { params: { format, entity } }
+      );
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to export menu'));
+    }
+  }
+);
+
+export const checkMenuImport = createAsyncThunk(
+  'menuTransfer/checkMenuImport',
+  async (request: MenuImportRequest, { rejectWithValue }) => {
+    try {
+      const response = await uploadFile(request.file, importEndpoint(request, true));
+
+      if (response.success) {
+        return response.data.report as MenuImportReport;
+      } else {
+        return rejectWithValue({ message: response.message || 'Failed to check import', report: null });
+      }
+    } catch (error) {
+      return rejectWithValue({ message: getErrorMessage(error, 'Failed to check import'), report: getErrorReport(error) });
+    }
+  }
+);
+
+export const applyMenuImport = createAsyncThunk(
+  'menuTransfer/applyMenuImport',
+  async (request: MenuImportRequest, { rejectWithValue }) => {
+    try {
+      const response = await uploadFile(request.file, importEndpoint(request, false));
+
+      if (response.success) {
+        return response.data.report as MenuImportReport;
+      } else {
+        return rejectWithValue({ message: response.message || 'Failed to import menu', report: null });
+      }
+    } catch (error) {
+      return rejectWithValue({ message: getErrorMessage(error, 'Failed to import menu'), report: getErrorReport(error) });
+    }
+  }
+);
+
+type ImportRejection = { message: string; report: MenuImportReport | null };
+
+// Slice
+const menuTransferSlice = createSlice({
+  name: 'menuTransfer',
+  initialState,
+  reducers: {
+    clearImportReport: (state) => {
+      state.report = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Export
+      .addCase(exportMenuFile.pending, (state) => {
+        state.isExporting = true;
+        state.error = null;
+      })
+      .addCase(exportMenuFile.fulfilled, (state) => {
+        state.isExporting = false;
+      })
+      .addCase(exportMenuFile.rejected, (state, action) => {
+        state.isExporting = false;
+        state.error = action.payload as string;
+      })
+
+      // Check (dry run)
+      .addCase(checkMenuImport.pending, (state) => {
+        state.isChecking = true;
+        state.report = null;
+        state.error = null;
+      })
+      .addCase(checkMenuImport.fulfilled, (state, action) => {
+        state.isChecking = false;
+        state.report = action.payload;
+      })
+      .addCase(checkMenuImport.rejected, (state, action) => {
+        const rejection = action.payload as ImportRejection;
+        state.isChecking = false;
+        state.report = rejection.report;
+        state.error = rejection.message;
+      })
+
+      // Apply
+      .addCase(applyMenuImport.pending, (state) => {
+        state.isImporting = true;
+        state.error = null;
+      })
+      .addCase(applyMenuImport.fulfilled, (state, action) => {
+        state.isImporting = false;
+        state.report = action.payload;
+      })
+      .addCase(applyMenuImport.rejected, (state, action) => {
+        const rejection = action.payload as ImportRejection;
+        state.isImporting = false;
+        state.report = rejection.report || state.report;
+        state.error = rejection.message;
+      });
+  },
+});
+
+export const { clearImportReport } = menuTransferSlice.actions;
+export default menuTransferSlice.reducer;
@@ -1,5 +1,5 @@
 import { createSlice, createAsyncThunk, PayloadAction } from '@reduxjs/toolkit';
-import { api } from '../../services/api';
+import { api, getErrorMessage } from '../../services/api';
 
 // Types
 export interface OrderItem {
@@ -19,15 +19,104 @@ export interface OrderItem {
   menuName: string;
   menuImage: string;
   quantity: number;
+  sizeId?: string;
   size: string;
   price: number;
+  allergens?: string[];
   addons: Array<{
     name: string;
     price: number;
     _id: string;
   }>;
+  spicyLevel?: {
+    level: string;
+    name: string;
+  };
+  preparations?: Array<{
+    preparation: string;
+    name: string;
+    _id: string;
+  }>;
+  modifiers?: Array<{
+    group?: string;
+    groupName?: string;
+    option: string;
+    name: string;
+    price: number;
+    _id: string;
+  }>;
+  bundleItems?: Array<{
+    slot?: string;
+    slotName?: string;
+    menu: string;
+    name: string;
+    size?: string;
+    price: number;
+    _id: string;
+  }>;
   specialInstructions: string;
   itemTotal: number;
+  refundedQuantity?: number;
+}
+
+export type DeliveryStatus = 'pending' | 'confirmed' | 'preparing' | 'ready' | 'out-for-delivery' | 'delivered' | 'cancelled';
+
+export interface OrderStatusHistoryEntry {
+  status: DeliveryStatus;
+  fromStatus?: DeliveryStatus;
+  actor?: string | {
+    _id: string;
+    name: string;
+    role: string;
+  };
+  note?: string;
+  timestamp: string;
+}
+
+// Automatic promotion applied at checkout; included in the order's discount
+export interface OrderPromotion {
+  promotion: string;
+  name: string;
+  type: 'bogo' | 'happy-hour' | 'spend-threshold';
+  description?: string;
+  discount: number;
+}
+
+export interface PaymentReviewAlert {
+  orderId: string;
+  orderNumber: string;
+  reason: string;
+  timestamp: string;
+}
+
+export interface OrderRefund {
+  _id: string;
+  type: 'full' | 'partial' | 'items';
+  amount: number;
+  reason: string;
+  items: Array<{
+    orderItem: string;
+    menuName: string;
+    quantity: number;
+    amount: number;
+  }>;
+  refundedBy: string | {
+    _id: string;
+    name: string;
+    email: string;
+  };
+  giftCardAmount?: number;
+  provider?: string;
+  providerRefundId?: string;
+  createdAt: string;
+}
+
+export interface OrderGiftCardTender {
+  giftCard: string;
+  code: string;
+  amount: number;
+  refundedAmount: number;
+  status: 'redeemed' | 'restored';
 }
 
 export interface OrderUser {
@@ -55,18 +144,44 @@ export interface Order {
   items: OrderItem[];
   deliveryAddress: DeliveryAddress;
   paymentStatus: 'pending' | 'paid' | 'failed' | 'refunded';
-  deliveryStatus: 'pending' | 'confirmed' | 'preparing' | 'ready' | 'out_for_delivery' | 'delivered' | 'cancelled';
+  deliveryStatus: DeliveryStatus;
   subtotal: number;
   deliveryFee: number;
   tax: number;
   discount: number;
+  coupon?: {
+    code: string;
+    discount: number;
+    status?: 'redeemed' | 'released';
+  };
+  promotions?: OrderPromotion[];
+  loyalty?: {
+    pointsRedeemed: number;
+    redemptionDiscount: number;
+    redemptionStatus?: 'redeemed' | 'restored';
+    pointsEarned: number;
+    pointsReversed: number;
+  };
   totalPrice: number;
+  giftCards?: OrderGiftCardTender[];
+  giftCardAmount?: number;
+  amountDue?: number;
   orderType: 'delivery' | 'pickup';
   timing: 'asap' | 'scheduled';
   paymentMethod: string;
   estimatedDeliveryTime: string;
   specialInstructions: string;
   refundAmount: number;
+  refunds?: OrderRefund[];
+  statusHistory?: OrderStatusHistoryEntry[];
+  allowedTransitions?: DeliveryStatus[];
+  paymentProvider?: string;
+  paymentIntentId?: string;
+  paidAt?: string;
+  paymentReview?: {
+    reason: string;
+    flaggedAt: string;
+  };
   createdAt: string;
   updatedAt: string;
   customerType: 'guest' | 'registered';
@@ -207,7 +322,6 @@ export const updateOrderStatus = createAsyncThunk(
   'orders/updateOrderStatus',
   async (params: {
     orderId: string;
-    paymentStatus?: string;
     deliveryStatus?: string;
   }, { rejectWithValue }) => {
     try {
@@ -219,8 +333,32 @@ export const updateOrderStatus = createAsyncThunk(
       } else {
         return rejectWithValue(response.message || 'Failed to update order status');
       }
-    } catch (error: any) {
-      return rejectWithValue(error.response?.data?.message || 'Failed to update order status');
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update order status'));
+    }
+  }
+);
+
+export const refundOrder = createAsyncThunk(
+  'orders/refundOrder',
+  async (params: {
+    orderId: string;
+    type: OrderRefund['type'];
+    amount?: number;
+    items?: Array<{ itemId: string; quantity: number }>;
+    reason: string;
+  }, { rejectWithValue }) => {
+    try {
+      const { orderId, ...refundData } = params;
+      const response = await api.post(`/api/admin/orders/${orderId}/refund`, refundData);
+
+      if (response.success) {
+        return response.data.order;
+      } else {
+        return rejectWithValue(response.message || 'Failed to refund order');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to refund order'));
     }
   }
 );
@@ -357,6 +495,28 @@ const ordersSlice = createSlice({
         state.error = action.payload as string;
       });
 
+    // Refund Order
+    builder
+      .addCase(refundOrder.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(refundOrder.fulfilled, (state, action) => {
+        state.isLoading = false;
+        const index = state.orders.findIndex(o => o._id === action.payload._id);
+        if (index !== -1) {
+          state.orders[index] = action.payload;
+        }
+        if (state.currentOrder?._id === action.payload._id) {
+          state.currentOrder = action.payload;
+        }
+        state.error = null;
+      })
+      .addCase(refundOrder.rejected, (state) => {
+        // The refund dialog reports its own errors
+        state.isLoading = false;
+      });
+
     // Fetch Order Stats
     builder
       .addCase(fetchOrderStats.pending, (state) => {
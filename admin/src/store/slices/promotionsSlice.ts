@@ -0,0 +1,202 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+import type { AvailabilitySchedule } from './menuSlice';
+import type { CouponScopeRef } from './couponsSlice';
+
+// Types
+export type PromotionType = 'bogo' | 'happy-hour' | 'spend-threshold';
+
+export type PromotionReward = 'percentage' | 'fixed' | 'free-item';
+
+export interface Promotion {
+  _id: string;
+  name: string;
+  description?: string;
+  type: PromotionType;
+  categories: CouponScopeRef[];
+  menuItems: CouponScopeRef[];
+  buyQuantity: number;
+  getQuantity: number;
+  getDiscountPercent: number;
+  percentOff?: number;
+  minSubtotal?: number;
+  reward?: PromotionReward;
+  rewardValue?: number;
+  schedule?: AvailabilitySchedule;
+  priority: number;
+  isActive: boolean;
+  // Customer-facing summary, e.g. "Buy 1, get 1 50% off"
+  summary: string;
+  usage?: {
+    orders: number;
+    discountGiven: number;
+  };
+  updatedBy?: {
+    _id: string;
+    name: string;
+  };
+  createdAt: string;
+  updatedAt: string;
+}
+
+// null clears an optional field
+export interface PromotionInput {
+  name: string;
+  description: string;
+  type: PromotionType;
+  categories: string[];
+  menuItems: string[];
+  buyQuantity: number;
+  getQuantity: number;
+  getDiscountPercent: number;
+  percentOff: number | null;
+  minSubtotal: number | null;
+  reward: PromotionReward | null;
+  rewardValue: number | null;
+  schedule: AvailabilitySchedule;
+  priority: number;
+  isActive: boolean;
+}
+
+export interface PromotionsState {
+  promotions: Promotion[];
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: PromotionsState = {
+  promotions: [],
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchPromotions = createAsyncThunk(
+  'promotions/fetchPromotions',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/promotions');
+
+      if (response.success) {
+        return response.data.promotions as Promotion[];
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch promotions');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch promotions'));
+    }
+  }
+);
+
+export const createPromotion = createAsyncThunk(
+  'promotions/createPromotion',
+  async (promotionData: PromotionInput, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/promotions', promotionData);
+
+      if (response.success) {
+        return response.data.promotion as Promotion;
+      } else {
+        return rejectWithValue(response.message || 'Failed to create promotion');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to create promotion'));
+    }
+  }
+);
+
+export const updatePromotion = createAsyncThunk(
+  'promotions/updatePromotion',
+  async ({ id, promotionData }: { id: string; promotionData: PromotionInput }, { rejectWithValue }) => {
+    try {
+      const response = await api.put(`/api/admin/promotions/${id}`, promotionData);
+
+      if (response.success) {
+        return response.data.promotion as Promotion;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update promotion');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update promotion'));
+    }
+  }
+);
+
+export const deletePromotion = createAsyncThunk(
+  'promotions/deletePromotion',
+  async (id: string, { rejectWithValue }) => {
+    try {
+      const response = await api.delete(`/api/admin/promotions/${id}`);
+
+      if (response.success) {
+        return id;
+      } else {
+        return rejectWithValue(response.message || 'Failed to delete promotion');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to delete promotion'));
+    }
+  }
+);
+
+// Slice
+const promotionsSlice = createSlice({
+  name: 'promotions',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch promotions
+      .addCase(fetchPromotions.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchPromotions.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.promotions = action.payload;
+      })
+      .addCase(fetchPromotions.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Create promotion
+      .addCase(createPromotion.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(createPromotion.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.promotions.unshift(action.payload);
+      })
+      .addCase(createPromotion.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Update promotion; the response has no usage figures, so keep the ones we have
+      .addCase(updatePromotion.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updatePromotion.fulfilled, (state, action) => {
+        state.isSaving = false;
+        const index = state.promotions.findIndex(promotion => promotion._id === action.payload._id);
+        if (index !== -1) {
+          state.promotions[index] = { ...action.payload, usage: state.promotions[index].usage };
+        }
+      })
+      .addCase(updatePromotion.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Delete promotion
+      .addCase(deletePromotion.fulfilled, (state, action) => {
+        state.promotions = state.promotions.filter(promotion => promotion._id !== action.payload);
+      });
+  },
+});
+
+export const { clearError } = promotionsSlice.actions;
+export default promotionsSlice.reducer;
@@ -0,0 +1,140 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+import type { MenuItem } from './menuSlice';
+
+// Types
+export type RevisionResource = 'menu' | 'categories';
+
+export type RevisionAction = 'create' | 'update' | 'delete' | 'restore';
+
+// Values are stored as plain JSON, with ids as strings
+export interface RevisionChange {
+  field: string;
+  before?: unknown;
+  after?: unknown;
+}
+
+export interface Revision {
+  _id: string;
+  action: RevisionAction;
+  changes: RevisionChange[];
+  changedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  } | null;
+  restoredFrom?: string;
+  createdAt: string;
+}
+
+export interface RevisionsPagination {
+  currentPage: number;
+  totalPages: number;
+  totalRevisions: number;
+}
+
+export interface RevisionsState {
+  revisions: Revision[];
+  pagination: RevisionsPagination | null;
+  isLoading: boolean;
+  restoringId: string | null;
+  error: string | null;
+}
+
+interface RevisionTarget {
+  resource: RevisionResource;
+  id: string;
+}
+
+// Initial state
+const initialState: RevisionsState = {
+  revisions: [],
+  pagination: null,
+  isLoading: false,
+  restoringId: null,
+  error: null,
+};
+
+// Async thunks
+export const fetchRevisions = createAsyncThunk(
+  'revisions/fetchRevisions',
+  async ({ resource, id, page = 1 }: RevisionTarget & { page?: number }, { rejectWithValue }) => {
+    try {
+      const response = await api.get(`/api/admin/${resource}/${id}/revisions`, { params: { page } });
+
+      if (response.success) {
+        return response.data as { revisions: Revision[]; pagination: RevisionsPagination };
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch revisions');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch revisions'));
+    }
+  }
+);
+
+export const restoreRevision = createAsyncThunk(
+  'revisions/restoreRevision',
+  async ({ resource, id, revisionId }: RevisionTarget & { revisionId: string }, { rejectWithValue }) => {
+    try {
+      const response = await api.post(`/api/admin/${resource}/${id}/revisions/${revisionId}/restore`);
+
+      if (response.success) {
+        return {
+          menuItem: response.data.menuItem as MenuItem | undefined,
+          revision: response.data.revision as Revision | null,
+        };
+      } else {
+        return rejectWithValue(response.message || 'Failed to restore revision');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to restore revision'));
+    }
+  }
+);
+
+// Slice
+const revisionsSlice = createSlice({
+  name: 'revisions',
+  initialState,
+  reducers: {
+    clearRevisions: (state) => {
+      state.revisions = [];
+      state.pagination = null;
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch revisions
+      .addCase(fetchRevisions.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchRevisions.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.revisions = action.payload.revisions;
+        state.pagination = action.payload.pagination;
+      })
+      .addCase(fetchRevisions.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+
+      // Restore
+      .addCase(restoreRevision.pending, (state, action) => {
+        state.restoringId = action.meta.arg.revisionId;
+        state.error = null;
+      })
+      .addCase(restoreRevision.fulfilled, (state) => {
+        state.restoringId = null;
+      })
+      .addCase(restoreRevision.rejected, (state, action) => {
+        state.restoringId = null;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearRevisions } = revisionsSlice.actions;
+export default revisionsSlice.reducer;
@@ -0,0 +1,126 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export interface DeliveryFeeTier {
+  minSubtotal: number;
+  fee: number;
+}
+
+export interface PricingSettings {
+  _id: string;
+  taxRate: number;
+  deliveryFeeTiers: DeliveryFeeTier[];
+  minimumOrder: {
+    delivery: number;
+    pickup: number;
+  };
+  updatedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  };
+  updatedAt: string;
+}
+
+export interface PricingSettingsUpdate {
+  taxRate?: number;
+  deliveryFeeTiers?: DeliveryFeeTier[];
+  minimumOrder?: {
+    delivery?: number;
+    pickup?: number;
+  };
+}
+
+export interface SettingsState {
+  pricing: PricingSettings | null;
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: SettingsState = {
+  pricing: null,
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchPricingSettings = createAsyncThunk(
+  'settings/fetchPricingSettings',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/settings/pricing');
+
+      if (response.success) {
+        return response.data.settings;
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch pricing settings');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch pricing settings'));
+    }
+  }
+);
+
+export const updatePricingSettings = createAsyncThunk(
+  'settings/updatePricingSettings',
+  async (settings: PricingSettingsUpdate, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/api/admin/settings/pricing', settings);
+
+      if (response.success) {
+        return response.data.settings;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update pricing settings');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update pricing settings'));
+    }
+  }
+);
+
+// Slice
+const settingsSlice = createSlice({
+  name: 'settings',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch pricing settings
+      .addCase(fetchPricingSettings.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchPricingSettings.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.pricing = action.payload;
+      })
+      .addCase(fetchPricingSettings.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Update pricing settings
+      .addCase(updatePricingSettings.pending, (state) => {
+        state.isSaving = true;
+        state.error = null;
+      })
+      .addCase(updatePricingSettings.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.pricing = action.payload;
+      })
+      .addCase(updatePricingSettings.rejected, (state, action) => {
+        state.isSaving = false;
+        state.error = action.payload as string;
+      });
+  },
+});
+
+export const { clearError } = settingsSlice.actions;
+export default settingsSlice.reducer;
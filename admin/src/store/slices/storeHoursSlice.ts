@@ -0,0 +1,201 @@
+import { createSlice, createAsyncThunk } from '@reduxjs/toolkit';
+import { api, getErrorMessage } from '../../services/api';
+
+// Types
+export interface DayHours {
+  day: number;
+  isOpen: boolean;
+  open: string;
+  close: string;
+}
+
+export interface Holiday {
+  date: string;
+  isOpen: boolean;
+  open?: string;
+  close?: string;
+  reason?: string;
+}
+
+export interface StoreHours {
+  _id: string;
+  weeklyHours: DayHours[];
+  buffetHours: DayHours[];
+  holidays: Holiday[];
+  pause: {
+    isPaused: boolean;
+    reason?: string;
+    until?: string;
+    pausedAt?: string;
+    pausedBy?: {
+      _id: string;
+      name: string;
+    };
+  };
+  preparationMinutes: {
+    pickup: number;
+    delivery: number;
+  };
+  lastOrderMinutes: number;
+  kitchenCapacity: {
+    maxOrdersPerSlot: number;
+    maxPrepMinutesPerSlot: number;
+  };
+  updatedBy?: {
+    _id: string;
+    name: string;
+    email: string;
+  };
+  updatedAt: string;
+}
+
+export interface StoreStatus {
+  isOpen: boolean;
+  acceptingOrders: boolean;
+  isPaused: boolean;
+  message: string;
+  localDate: string;
+  localTime: string;
+  timeZone: string;
+}
+
+export type StoreHoursUpdate = Pick<StoreHours,
+  'weeklyHours' | 'buffetHours' | 'holidays' | 'preparationMinutes' | 'lastOrderMinutes' | 'kitchenCapacity'>;
+
+export interface StoreHoursState {
+  hours: StoreHours | null;
+  status: StoreStatus | null;
+  isLoading: boolean;
+  isSaving: boolean;
+  error: string | null;
+}
+
+// Initial state
+const initialState: StoreHoursState = {
+  hours: null,
+  status: null,
+  isLoading: false,
+  isSaving: false,
+  error: null,
+};
+
+// Async thunks
+export const fetchStoreHours = createAsyncThunk(
+  'storeHours/fetchStoreHours',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.get('/api/admin/settings/hours');
+
+      if (response.success) {
+        return response.data;
+      } else {
+        return rejectWithValue(response.message || 'Failed to fetch store hours');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to fetch store hours'));
+    }
+  }
+);
+
+export const updateStoreHours = createAsyncThunk(
+  'storeHours/updateStoreHours',
+  async (hours: StoreHoursUpdate, { rejectWithValue }) => {
+    try {
+      const response = await api.put('/api/admin/settings/hours', hours);
+
+      if (response.success) {
+        return response.data;
+      } else {
+        return rejectWithValue(response.message || 'Failed to update store hours');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to update store hours'));
+    }
+  }
+);
+
+export const pauseOrdering = createAsyncThunk(
+  'storeHours/pauseOrdering',
+  async (pause: { reason?: string; minutes?: number | null }, { rejectWithValue }) => {
+    try {
+      const response = await api.post('/api/admin/settings/hours/pause', pause);
+
+      if (response.success) {
+        return response.data;
+      } else {
+        return rejectWithValue(response.message || 'Failed to pause ordering');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to pause ordering'));
+    }
+  }
+);
+
+export const resumeOrdering = createAsyncThunk(
+  'storeHours/resumeOrdering',
+  async (_, { rejectWithValue }) => {
+    try {
+      const response = await api.delete('/api/admin/settings/hours/pause');
+
+      if (response.success) {
+        return response.data;
+      } else {
+        return rejectWithValue(response.message || 'Failed to resume ordering');
+      }
+    } catch (error) {
+      return rejectWithValue(getErrorMessage(error, 'Failed to resume ordering'));
+    }
+  }
+);
+
+// Slice
+const storeHoursSlice = createSlice({
+  name: 'storeHours',
+  initialState,
+  reducers: {
+    clearError: (state) => {
+      state.error = null;
+    },
+  },
+  extraReducers: (builder) => {
+    builder
+      // Fetch store hours
+      .addCase(fetchStoreHours.pending, (state) => {
+        state.isLoading = true;
+        state.error = null;
+      })
+      .addCase(fetchStoreHours.fulfilled, (state, action) => {
+        state.isLoading = false;
+        state.hours = action.payload.hours;
+        state.status = action.payload.status;
+      })
+      .addCase(fetchStoreHours.rejected, (state, action) => {
+        state.isLoading = false;
+        state.error = action.payload as string;
+      })
+      // Update store hours
+      .addCase(updateStoreHours.pending, (state) => {
+        state.isSaving = true;
+      })
+      .addCase(updateStoreHours.fulfilled, (state, action) => {
+        state.isSaving = false;
+        state.hours = action.payload.hours;
+        state.status = action.payload.status;
+      })
+      .addCase(updateStoreHours.rejected, (state) => {
+        state.isSaving = false;
+      })
+      // Pause and resume
+      .addCase(pauseOrdering.fulfilled, (state, action) => {
+        state.hours = action.payload.hours;
+        state.status = action.payload.status;
+      })
+      .addCase(resumeOrdering.fulfilled, (state, action) => {
+        state.hours = action.payload.hours;
+        state.status = action.payload.status;
+      });
+  },
+});
+
+export const { clearError } = storeHoursSlice.actions;
+export default storeHoursSlice.reducer;
@@ -0,0 +1,21 @@
+import type { AvailabilitySchedule } from '@/store/slices/menuSlice';
+
+export const emptyAvailability = (): AvailabilitySchedule => ({ isScheduled: false, windows: [] });
+
+/**
+ * Check a day-part schedule before saving; returns an error message or null
+ */
+export const validateAvailability = (availability: AvailabilitySchedule): string | null => {
+  if (!availability.isScheduled) {
+    return null;
+  }
+  if (availability.startDate && availability.endDate && availability.endDate < availability.startDate) {
+    return 'The until date cannot be before the from date';
+  }
+  for (const window of availability.windows) {
+    if (!window.start || !window.end || window.end <= window.start) {
+      return `${window.label || 'Each time window'} needs an end time after its start time`;
+    }
+  }
+  return null;
+};
@@ -0,0 +1,66 @@
+import type { Coupon, CouponType } from '@/store/slices/couponsSlice';
+
+export const COUPON_TYPES: Record<CouponType, string> = {
+  percentage: 'Percentage off',
+  fixed: 'Fixed amount off',
+  'free-delivery': 'Free delivery',
+};
+
+export type CouponState = 'active' | 'scheduled' | 'expired' | 'inactive' | 'used-up';
+
+export const COUPON_STATES: Record<CouponState, string> = {
+  active: 'Active',
+  scheduled: 'Scheduled',
+  expired: 'Expired',
+  inactive: 'Inactive',
+  'used-up': 'Used up',
+};
+
+const formatCurrency = (amount: number) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+  }).format(amount);
+};
+
+/**
+ * Whether a coupon can be used right now, and if not, why
+ */
+export const getCouponState = (coupon: Coupon, now: Date = new Date()): CouponState => {
+  if (!coupon.isActive) return 'inactive';
+  if (coupon.endsAt && new Date(coupon.endsAt) < now) return 'expired';
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return 'scheduled';
+  if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) return 'used-up';
+  return 'active';
+};
+
+/**
+ * One-line summary of what a coupon gives, e.g. "15% off (up to $10.00) • min. order $25.00"
+ */
+export const describeCoupon = (coupon: {
+  type: CouponType;
+  value?: number | null;
+  maxDiscount?: number | null;
+  minOrder: number;
+}): string => {
+  let offer = 'Free delivery';
+  if (coupon.type === 'percentage') {
+    offer = `${coupon.value}% off`;
+    if (coupon.maxDiscount != null) offer += ` (up to ${formatCurrency(coupon.maxDiscount)})`;
+  } else if (coupon.type === 'fixed') {
+    offer = `${formatCurrency(coupon.value || 0)} off`;
+  }
+
+  return coupon.minOrder > 0 ? `${offer} • min. order ${formatCurrency(coupon.minOrder)}` : offer;
+};
+
+/**
+ * Validity window as text, e.g. "From 1 Mar 2025 until 31 Mar 2025"
+ */
+export const describeCouponWindow = (coupon: Pick<Coupon, 'startsAt' | 'endsAt'>): string => {
+  const format = (date: string) => new Date(date).toLocaleDateString(undefined, { dateStyle: 'medium' });
+  if (coupon.startsAt && coupon.endsAt) return `From ${format(coupon.startsAt)} until ${format(coupon.endsAt)}`;
+  if (coupon.startsAt) return `From ${format(coupon.startsAt)}`;
+  if (coupon.endsAt) return `Until ${format(coupon.endsAt)}`;
+  return 'No end date';
+};
@@ -0,0 +1,55 @@
+// Keep in step with server/utils/dietaryUtils.js
+export const ALLERGENS: Record<string, string> = {
+  milk: 'Milk',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  'tree-nuts': 'Tree nuts',
+  peanuts: 'Peanuts',
+  wheat: 'Wheat',
+  soy: 'Soy',
+  sesame: 'Sesame',
+};
+
+export const DIETARY_FLAGS: Record<string, string> = {
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  jain: 'Jain',
+  halal: 'Halal',
+};
+
+/**
+ * Display names for allergen keys, e.g. ['milk', 'tree-nuts'] -> "Milk, Tree nuts"
+ */
+export const formatAllergens = (allergens: string[] = []): string => {
+  return allergens.map(key => ALLERGENS[key] || key).join(', ');
+};
+
+/**
+ * Every allergen across a set of order lines, in the standard order
+ */
+export const collectAllergens = (items: Array<{ allergens?: string[] }>): string[] => {
+  return Object.keys(ALLERGENS).filter(key => items.some(item => (item.allergens || []).includes(key)));
+};
+
+// Allergens that can't appear in a vegan dish
+export const ANIMAL_ALLERGENS = ['milk', 'eggs', 'fish', 'shellfish'];
+
+/**
+ * Check allergens and dietary flags agree before saving; returns an error message or null
+ */
+export const validateDietary = (allergens: string[], dietaryFlags: string[], isVegetarian: boolean): string | null => {
+  if ((dietaryFlags.includes('vegan') || dietaryFlags.includes('jain')) && !isVegetarian) {
+    return 'Only vegetarian items can be marked vegan or Jain';
+  }
+  if (dietaryFlags.includes('vegan')) {
+    const animal = allergens.filter(allergen => ANIMAL_ALLERGENS.includes(allergen));
+    if (animal.length > 0) {
+      return `A vegan item can't contain ${formatAllergens(animal)}`;
+    }
+  }
+  if (dietaryFlags.includes('gluten-free') && allergens.includes('wheat')) {
+    return "A gluten-free item can't contain wheat";
+  }
+  return null;
+};
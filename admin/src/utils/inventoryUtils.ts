@@ -0,0 +1,16 @@
+import type { IngredientUnit } from '@/store/slices/inventorySlice';
+
+export const INGREDIENT_UNITS: Array<{ value: IngredientUnit; label: string }> = [
+  { value: 'g', label: 'Grams (g)' },
+  { value: 'kg', label: 'Kilograms (kg)' },
+  { value: 'ml', label: 'Millilitres (ml)' },
+  { value: 'l', label: 'Litres (l)' },
+  { value: 'pcs', label: 'Pieces (pcs)' },
+];
+
+/**
+ * Format a stock quantity with its unit, e.g. "1.5 kg"
+ */
+export const formatQuantity = (quantity: number, unit: IngredientUnit): string => {
+  return `${Number(quantity.toFixed(3))} ${unit}`;
+};
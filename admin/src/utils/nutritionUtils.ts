@@ -0,0 +1,24 @@
+import type { NutritionInfo } from '@/store/slices/menuSlice';
+
+// Keep in step with server/services/nutrition-service.js
+export const NUTRIENTS: Array<{ key: keyof NutritionInfo; label: string; unit: string }> = [
+  { key: 'calories', label: 'Calories', unit: 'kcal' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'carbs', label: 'Carbs', unit: 'g' },
+  { key: 'fat', label: 'Fat', unit: 'g' },
+  { key: 'sodium', label: 'Sodium', unit: 'mg' },
+];
+
+/**
+ * Whether any nutrition value has been entered
+ */
+export const hasNutrition = (info?: NutritionInfo): boolean => {
+  return !!info && NUTRIENTS.some(nutrient => typeof info[nutrient.key] === 'number');
+};
+
+/**
+ * Short label for a nutrition block, e.g. "250 kcal"
+ */
+export const formatCalories = (info?: NutritionInfo): string => {
+  return typeof info?.calories === 'number' ? `${info.calories} kcal` : '';
+};
@@ -0,0 +1,20 @@
+import type { PromotionReward, PromotionType } from '@/store/slices/promotionsSlice';
+
+export const PROMOTION_TYPES: Record<PromotionType, string> = {
+  bogo: 'Buy X, get Y',
+  'happy-hour': 'Happy hour',
+  'spend-threshold': 'Spend threshold',
+};
+
+export const PROMOTION_REWARDS: Record<PromotionReward, string> = {
+  percentage: 'Percentage off',
+  fixed: 'Amount off',
+  'free-item': 'Free item',
+};
+
+// What the category/item scope means for each kind of promotion
+export const PROMOTION_SCOPE_HINTS: Record<PromotionType, string> = {
+  bogo: 'Items that count towards the deal. Leave both lists empty to include the whole menu.',
+  'happy-hour': 'Items discounted during happy hour. Leave both lists empty to discount the whole cart.',
+  'spend-threshold': 'Items the reward applies to (for a free item, the items that can be free). Leave both lists empty for any item.',
+};
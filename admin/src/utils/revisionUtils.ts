@@ -0,0 +1,44 @@
+import type { RevisionAction } from '@/store/slices/revisionsSlice';
+
+export const REVISION_ACTIONS: Record<RevisionAction, string> = {
+  create: 'Created',
+  update: 'Updated',
+  delete: 'Deleted',
+  restore: 'Restored',
+};
+
+// Friendlier labels for fields whose names don't read well on their own
+const FIELD_LABELS: Record<string, string> = {
+  mrp: 'MRP',
+  discountedPrice: 'Discounted price',
+  isAvailable: 'Available',
+  isActive: 'Active',
+  isVegetarian: 'Vegetarian',
+  isSignatureDish: 'Signature dish',
+  parentCategory: 'Parent category',
+  spicyLevel: 'Spicy levels',
+  nutritionalInfo: 'Nutrition',
+  availability: 'Availability schedule',
+  modifierGroups: 'Modifier groups',
+  bundleSlots: 'Bundle slots',
+};
+
+/**
+ * Readable name for a changed field, e.g. "preparationTime" -> "Preparation time"
+ */
+export const formatRevisionField = (field: string): string => {
+  if (FIELD_LABELS[field]) return FIELD_LABELS[field];
+  const words = field.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Display text for a stored field value; objects and lists are shown as JSON
+ */
+export const formatRevisionValue = (value: unknown): string => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (typeof value === 'string' || typeof value === 'number') return String(value);
+  if (Array.isArray(value) && value.length === 0) return '—';
+  return JSON.stringify(value, null, 2);
+};
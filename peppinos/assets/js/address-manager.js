@@ -11,8 +11,10 @@ export class AddressManager {
   constructor() {
     this.addresses = [];
     this.selectedAddressId = null;
+    this.onSelectionChange = null; // Optional callback(addressId) for checkout integration
     this.isEditMode = false;
     this.currentEditId = null;
+    this.coordinates = null; // Map location captured for the address being edited
 
     this.initializeElements();
     this.bindEvents();
@@ -44,6 +46,8 @@ export class AddressManager {
     this.addressCityField = document.getElementById('addressCity');
     this.addressPincodeField = document.getElementById('addressPincode');
     this.isDefaultAddressField = document.getElementById('isDefaultAddress');
+    this.useLocationBtn = document.getElementById('useLocationBtn');
+    this.locationStatus = document.getElementById('addressLocationStatus');
     
     // Display elements
     this.editAddressBtn = document.getElementById('editAddressBtn');
@@ -68,6 +72,9 @@ export class AddressManager {
     this.editAddressBtn.addEventListener('click', () => this.editSelectedAddress());
     this.deleteAddressBtn.addEventListener('click', () => this.deleteSelectedAddress());
 
+    // Map location for delivery zone checks
+    this.useLocationBtn.addEventListener('click', () => this.captureLocation());
+
     // State change for city loading
     this.addressStateField.addEventListener('change', (e) => {
       const stateCode = e.target.value;
@@ -161,6 +168,10 @@ export class AddressManager {
     } else {
       this.selectedAddressDisplay.style.display = 'none';
     }
+
+    if (this.onSelectionChange) {
+      this.onSelectionChange(addressId);
+    }
   }
 
   displaySelectedAddress(address) {
@@ -188,6 +199,7 @@ export class AddressManager {
     } else {
       this.addressForm.reset();
       this.addressIdField.value = '';
+      this.setCoordinates(null);
     }
 
     this.clearFormErrors();
@@ -214,6 +226,7 @@ export class AddressManager {
     this.addressStateField.value = address.state;
     this.addressPincodeField.value = address.pincode;
     this.isDefaultAddressField.checked = address.isDefault;
+    this.setCoordinates(address.coordinates);
 
     // Load cities for the state and then set the city value
     this.loadCitiesForState(address.state).then(() => {
@@ -221,6 +234,28 @@ export class AddressManager {
     });
   }
 
+  setCoordinates(coordinates) {
+    const isPinned = coordinates && coordinates.latitude != null && coordinates.longitude != null;
+    this.coordinates = isPinned ? { latitude: coordinates.latitude, longitude: coordinates.longitude } : null;
+    this.locationStatus.textContent = isPinned
+      ? `📍 Location pinned (${this.coordinates.latitude.toFixed(4)}, ${this.coordinates.longitude.toFixed(4)})`
+      : 'Share your location while at this address so we can check it is in our delivery area.';
+  }
+
+  async captureLocation() {
+    try {
+      this.useLocationBtn.disabled = true;
+      this.locationStatus.textContent = '🔄 Finding your location...';
+      this.setCoordinates(await locationService.getCurrentCoordinates());
+    } catch (error) {
+      console.error('Error getting location:', error);
+      this.setCoordinates(this.coordinates);
+      showToast(error.message, 'error');
+    } finally {
+      this.useLocationBtn.disabled = false;
+    }
+  }
+
   async loadCitiesForState(stateCode) {
     if (!stateCode) {
       this.addressCityField.innerHTML = '<option value="">Select city...</option>';
@@ -301,7 +336,8 @@ export class AddressManager {
         city: formData.get('city'),
         state: formData.get('state'),
         pincode: formData.get('pincode'),
-        isDefault: formData.get('isDefault') === 'on'
+        isDefault: formData.get('isDefault') === 'on',
+        coordinates: this.coordinates || undefined
       };
 
       // Get user data from auth (assuming it's available globally)
@@ -116,8 +116,8 @@ class HttpClient {
 
     const config = {
       method: 'GET',
-      headers: this.getHeaders(options.headers, isFormData),
-      ...options
+      ...options,
+      headers: this.getHeaders(options.headers, isFormData)
     };
 
     if (config.body && typeof config.body === 'object' && !isFormData) {
@@ -6,6 +6,8 @@ class CartPage {
     this.cartContent = document.getElementById('cart-content');
     this.cartSummary = document.getElementById('cart-summary');
     this.cartItemsCount = document.getElementById('cart-items-count');
+    this.cartNutrition = document.getElementById('cart-nutrition');
+    this.cartNutritionContent = document.getElementById('cart-nutrition-content');
     this.init();
   }
 
@@ -89,6 +91,8 @@ class CartPage {
     `;
     // Update cart summary content
     if (this.cartSummary) {
+      // The quote's discount covers automatic promotions and the coupon together
+      const couponDiscount = Math.max(0, (cart.discount || 0) - (cart.promotionDiscount || 0));
       this.cartSummary.innerHTML = `
         <div class="order-summary-row">
           <span class="cart-summary-label">Subtotal:</span>
@@ -102,11 +106,25 @@ class CartPage {
           <span class="cart-summary-label">Delivery Fee:</span>
           <span class="cart-summary-value">₹${(cart.deliveryFee || 0).toFixed(2)}</span>
         </div>
+        ${(cart.promotions || []).map(line => `
+          <div class="order-summary-row cart-summary-discount">
+            <span class="cart-summary-label">${line.name}:</span>
+            <span class="cart-summary-value">-₹${line.discount.toFixed(2)}</span>
+          </div>
+        `).join('')}
+        ${couponDiscount > 0 ? `
+          <div class="order-summary-row cart-summary-discount">
+            <span class="cart-summary-label">Discount${cartService.quote?.coupon ? ` (${cartService.quote.coupon.code})` : ''}:</span>
+            <span class="cart-summary-value">-₹${couponDiscount.toFixed(2)}</span>
+          </div>
+        ` : ''}
         <div class="order-summary-row cart-summary-total">
           <span class="cart-summary-label">Total:</span>
           <span class="cart-summary-value">₹${(cart.total || cart.subtotal || 0).toFixed(2)}</span>
         </div>
    
+        ${this.renderCouponSection(cartService.quote)}
+
         <div class="cart-actions" style="display: flex; flex-direction: column; align-items: center; gap: 1rem; margin-top: 1rem;">
           <button class="cart-checkout-btn" onclick="cartPage.proceedToCheckout()" style="width: 100%; max-width: 300px;">
             Proceed to Checkout
@@ -125,6 +143,54 @@ class CartPage {
     if (this.cartItemsCount) {
       this.cartItemsCount.textContent = `${cart.items.length} item${cart.items.length !== 1 ? 's' : ''}`;
     }
+
+    this.loadNutrition();
+  }
+
+  async loadNutrition() {
+    if (!this.cartNutrition) {
+      return;
+    }
+
+    const nutrition = await cartService.fetchNutrition();
+    // Hide the panel when none of the cart's items have nutrition data
+    if (!nutrition || nutrition.items.every(item => !item.total)) {
+      this.cartNutrition.hidden = true;
+      return;
+    }
+
+    this.cartNutrition.hidden = false;
+    this.cartNutritionContent.innerHTML = `
+      ${this.renderNutritionRows(nutrition.totals)}
+      <ul class="cart-nutrition-items">
+        ${nutrition.items.map(item => `
+          <li class="cart-nutrition-item">
+            <span>${item.quantity}x ${item.menuName}${item.size ? ` (${item.size})` : ''}</span>
+            <span>${item.total ? `${item.total.calories} kcal` : 'No data'}</span>
+          </li>
+        `).join('')}
+      </ul>
+      ${nutrition.isComplete ? '' : `
+        <p class="cart-nutrition-note">Some items or extras don't have nutrition information, so these totals are incomplete.</p>
+      `}
+    `;
+  }
+
+  renderNutritionRows(totals) {
+    const rows = [
+      ['Calories', `${totals.calories} kcal`],
+      ['Protein', `${totals.protein} g`],
+      ['Carbs', `${totals.carbs} g`],
+      ['Fat', `${totals.fat} g`],
+      ['Sodium', `${totals.sodium} mg`]
+    ];
+
+    return rows.map(([label, value]) => `
+      <div class="order-summary-row">
+        <span class="cart-summary-label">${label}:</span>
+        <span class="cart-summary-value">${value}</span>
+      </div>
+    `).join('');
   }
 
   renderCartItem(item) {
@@ -138,9 +204,15 @@ class CartPage {
     // Build options display
     const options = [];
     if (item.size && item.size !== 'Medium') options.push(`Size: ${item.size}`);
-    if (item.spicyLevel) options.push(`Spicy: ${item.spicyLevel}`);
+    if (item.spicyLevel?.name) options.push(`Spicy: ${item.spicyLevel.name}`);
     if (item.preparations && item.preparations.length > 0) {
-      options.push(`Prep: ${item.preparations.join(', ')}`);
+      options.push(`Prep: ${item.preparations.map(preparation => preparation.name).join(', ')}`);
+    }
+    if (item.bundleItems && item.bundleItems.length > 0) {
+      options.push(`Includes: ${item.bundleItems.map(component => component.name).join(', ')}`);
+    }
+    if (item.modifiers && item.modifiers.length > 0) {
+      options.push(`Options: ${item.modifiers.map(modifier => modifier.name).join(', ')}`);
     }
     if (item.addons && item.addons.length > 0) {
       options.push(`Add-ons: ${item.addons.map(addon => addon.name).join(', ')}`);
@@ -210,6 +282,10 @@ class CartPage {
       this.cartSummary.innerHTML = '';
     }
 
+    if (this.cartNutrition) {
+      this.cartNutrition.hidden = true;
+    }
+
     // Update cart items count
     if (this.cartItemsCount) {
       this.cartItemsCount.textContent = '0 items';
@@ -266,29 +342,57 @@ class CartPage {
     }
   }
 
-  applyPromoCode() {
+  renderCouponSection(quote) {
+    const coupon = quote?.coupon;
+    const couponError = quote?.couponError;
+
+    if (coupon || couponError) {
+      const code = coupon ? coupon.code : '';
+      return `
+        <div class="promo-code ${couponError ? 'promo-code-invalid' : 'promo-code-applied'}">
+          <span class="promo-code-status">
+            ${couponError
+              ? couponError
+              : `Coupon <strong>${code}</strong> applied${coupon.type === 'free-delivery' ? ': free delivery' : ''}`}
+          </span>
+          <button class="promo-code-remove" onclick="cartPage.removePromoCode()">Remove</button>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="promo-code">
+        <div class="promo-code-form">
+          <input type="text" id="promoCode" class="promo-code-input" placeholder="Coupon code" autocomplete="off"
+            onkeydown="if (event.key === 'Enter') cartPage.applyPromoCode()">
+          <button class="btn btn-outline promo-code-btn" onclick="cartPage.applyPromoCode()">Apply</button>
+        </div>
+      </div>
+    `;
+  }
+
+  async applyPromoCode() {
     const promoInput = document.getElementById('promoCode');
-    const promoCode = promoInput.value.trim().toUpperCase();
+    const promoCode = promoInput ? promoInput.value.trim().toUpperCase() : '';
 
     if (!promoCode) {
-      showError('Please enter a promo code');
+      showError('Please enter a coupon code');
       return;
     }
 
-    // Basic promo code validation (you can expand this)
-    const validPromoCodes = {
-      'WELCOME10': { discount: 0.10, description: '10% off your order' },
-      'SAVE5': { discount: 5, description: '$5 off your order' },
-      'FREESHIP': { discount: 0, description: 'Free delivery' }
-    };
-
-    if (validPromoCodes[promoCode]) {
-      showSuccess(`Promo code applied: ${validPromoCodes[promoCode].description}`);
-      promoInput.value = '';
-      // Here you would typically send the promo code to the backend
-      // For now, just show success message
-    } else {
-      showError('Invalid promo code');
+    try {
+      await cartService.applyCoupon(promoCode);
+      // The summary re-renders with the discount via the cart listener
+    } catch (error) {
+      // Error toast is already shown by cart service
+    }
+  }
+
+  async removePromoCode() {
+    try {
+      await cartService.removeCoupon();
+    } catch (error) {
+      // Error toast is already shown by cart service
     }
   }
 
@@ -87,10 +87,12 @@ class CartUI {
             </div>
             
             <div class="cart-summary">
+              <div id="cart-promotion-hint" class="cart-promotion-hint" style="display: none;"></div>
               <div class="cart-summary-row">
                 <span>Subtotal</span>
                 <span id="cart-subtotal">$0.00</span>
               </div>
+              <div id="cart-promotions"></div>
               <div class="cart-summary-row">
                 <span>Tax</span>
                 <span id="cart-tax">$0.00</span>
@@ -373,6 +375,20 @@ class CartUI {
         <div class="cart-item-details">
           <h4 class="cart-item-name">${menu.name || 'Menu Item'}</h4>
           <p class="cart-item-size">Size: ${item.size || 'Medium'}</p>
+          ${item.bundleItems && item.bundleItems.length > 0 ? `
+            <p class="cart-item-options">
+              Includes: ${item.bundleItems.map(component => component.name).join(', ')}
+            </p>
+          ` : ''}
+          ${item.spicyLevel?.name || item.preparations?.length > 0 || item.modifiers?.length > 0 ? `
+            <p class="cart-item-options">
+              ${[
+                item.spicyLevel?.name,
+                ...(item.preparations || []).map(preparation => preparation.name),
+                ...(item.modifiers || []).map(modifier => modifier.name)
+              ].filter(Boolean).join(', ')}
+            </p>
+          ` : ''}
           ${item.addons && item.addons.length > 0 ? `
             <p class="cart-item-addons">
               Add-ons: ${item.addons.map(addon => addon.name).join(', ')}
@@ -406,9 +422,10 @@ class CartUI {
    * Update cart totals
    */
   updateCartTotals(cart) {
+    // Tax and total are priced by the server (see cartService.fetchQuote)
     const subtotal = cart.subtotal || 0;
-    const tax = cartService.calculateTax(subtotal);
-    const total = subtotal + tax;
+    const tax = cart.tax || 0;
+    const total = cart.total || subtotal;
 
     // Safely update elements if they exist
     const subtotalEl = document.getElementById('cart-subtotal');
@@ -418,6 +435,43 @@ class CartUI {
     if (subtotalEl) subtotalEl.textContent = formatCurrency(subtotal);
     if (taxEl) taxEl.textContent = formatCurrency(tax);
     if (totalEl) totalEl.textContent = formatCurrency(total);
+
+    this.updatePromotions(cart);
+  }
+
+  /**
+   * Show the automatic promotions applied to the cart and the next one within reach
+   */
+  updatePromotions(cart) {
+    const promotionsEl = document.getElementById('cart-promotions');
+    const hintEl = document.getElementById('cart-promotion-hint');
+
+    if (promotionsEl) {
+      promotionsEl.innerHTML = (cart.promotions || []).map(line => `
+        <div class="cart-summary-row cart-promotion-line" title="${line.description || ''}">
+          <span>${line.name}</span>
+          <span>-${formatCurrency(line.discount)}</span>
+        </div>
+      `).join('');
+    }
+
+    if (!hintEl) return;
+
+    // An unclaimed free item beats a threshold still to reach
+    const unlocked = (cart.unlockedPromotions || [])[0];
+    const next = cart.nextPromotion;
+    if (unlocked) {
+      hintEl.innerHTML = `
+        <ion-icon name="gift-outline"></ion-icon>
+        <span>You've unlocked <strong>${unlocked.name}</strong>: ${unlocked.description}. Add an eligible item to claim it.</span>
+      `;
+    } else if (next) {
+      hintEl.innerHTML = `
+        <ion-icon name="pricetag-outline"></ion-icon>
+        <span>Spend ${formatCurrency(next.amountAway)} more for <strong>${next.name}</strong>: ${next.description}</span>
+      `;
+    }
+    hintEl.style.display = unlocked || next ? 'flex' : 'none';
   }
 
   /**
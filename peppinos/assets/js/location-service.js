@@ -231,3 +231,29 @@ export const clearLocationCache = () => {
   statesCache = null;
   citiesCache.clear();
 };
+
+/**
+ * Get the device's current position so delivery zones can be checked
+ * @returns {Promise<Object>} { latitude, longitude } rounded to about a metre
+ */
+export const getCurrentCoordinates = () => new Promise((resolve, reject) => {
+  if (!navigator.geolocation) {
+    reject(new Error('Your browser does not support location sharing'));
+    return;
+  }
+
+  navigator.geolocation.getCurrentPosition(
+    (position) => {
+      resolve({
+        latitude: Number(position.coords.latitude.toFixed(6)),
+        longitude: Number(position.coords.longitude.toFixed(6))
+      });
+    },
+    (error) => {
+      reject(new Error(error.code === error.PERMISSION_DENIED
+        ? 'Location access was denied'
+        : 'Could not get your location, please try again'));
+    },
+    { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 }
+  );
+});
@@ -3,7 +3,7 @@
  * Handles dynamic menu loading and display for menu.html and index.html
  */
 
-import { menuService } from './services/menu-service.js';
+import { menuService, ALLERGENS, DIETARY_FLAGS } from './services/menu-service.js';
 import { menuRenderer } from './services/menu-renderer.js';
 import { cartOptionsService } from './services/cart-options-service.js'; // Auto-initializes
 import { showToast } from './ui.js';
@@ -16,6 +16,8 @@ class MenuController {
     this.isLoading = false;
     this.currentFilters = {};
     this.menuContainer = null;
+    this.dietaryFlags = new Set();
+    this.avoidAllergens = new Set();
   }
 
   /**
@@ -34,6 +36,9 @@ class MenuController {
         return;
       }
 
+      // Render dietary and allergen filter chips
+      this.renderDietaryFilters();
+
       // Load and display menu
       await this.loadMenu();
 
@@ -229,13 +234,75 @@ class MenuController {
    * @param {boolean} isVegetarian - Vegetarian filter
    */
   async filterByVegetarian(isVegetarian) {
-    await this.loadMenu({ isVegetarian: isVegetarian.toString() });
+    await this.loadMenu({ ...this.getDietaryQuery(), isVegetarian: isVegetarian.toString() });
+  }
+
+  /**
+   * Dietary and allergen filters as menu query parameters
+   * @returns {Object} e.g. { dietary: 'vegan', excludeAllergens: 'peanuts,tree-nuts' }
+   */
+  getDietaryQuery() {
+    const query = {};
+    if (this.dietaryFlags.size > 0) {
+      query.dietary = Array.from(this.dietaryFlags).join(',');
+    }
+    if (this.avoidAllergens.size > 0) {
+      query.excludeAllergens = Array.from(this.avoidAllergens).join(',');
+    }
+    return query;
+  }
+
+  /**
+   * Render the dietary ("Vegan", "Gluten-free") and allergen ("No peanuts") filter chips
+   */
+  renderDietaryFilters() {
+    const container = document.querySelector('#dietary-filters');
+    if (!container) return;
+
+    container.innerHTML = `
+      <div class="dietary-filter-group">
+        <span class="label-2">Suitable for:</span>
+        ${Object.entries(DIETARY_FLAGS).map(([key, label]) => `
+          <button type="button" class="filter-chip ${this.dietaryFlags.has(key) ? 'active' : ''}" data-dietary="${key}">${label}</button>
+        `).join('')}
+      </div>
+      <div class="dietary-filter-group">
+        <span class="label-2">Avoid:</span>
+        ${Object.entries(ALLERGENS).map(([key, label]) => `
+          <button type="button" class="filter-chip ${this.avoidAllergens.has(key) ? 'active' : ''}" data-avoid-allergen="${key}">${label}</button>
+        `).join('')}
+      </div>
+      ${this.avoidAllergens.size > 0 ? `
+        <p class="dietary-filter-note">Only dishes with confirmed allergen information are shown. Please tell us about severe allergies when you order.</p>
+      ` : ''}
+    `;
+  }
+
+  /**
+   * Toggle a dietary or allergen filter chip and reload the menu
+   * @param {Set} selection - this.dietaryFlags or this.avoidAllergens
+   * @param {string} key - Flag or allergen key
+   */
+  async toggleDietaryFilter(selection, key) {
+    if (selection.has(key)) {
+      selection.delete(key);
+    } else {
+      selection.add(key);
+    }
+    this.renderDietaryFilters();
+
+    // Keep any vegetarian filter that's applied
+    const { isVegetarian } = this.currentFilters;
+    await this.loadMenu({ ...this.getDietaryQuery(), ...(isVegetarian ? { isVegetarian } : {}) });
   }
 
   /**
    * Clear all filters
    */
   async clearFilters() {
+    this.dietaryFlags.clear();
+    this.avoidAllergens.clear();
+    this.renderDietaryFilters();
     await this.loadMenu();
   }
 
@@ -280,6 +347,20 @@ class MenuController {
     if (clearFilterBtn) {
       clearFilterBtn.addEventListener('click', () => this.clearFilters());
     }
+
+    const dietaryFilters = document.querySelector('#dietary-filters');
+    if (dietaryFilters) {
+      dietaryFilters.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+
+        if (chip.dataset.dietary) {
+          this.toggleDietaryFilter(this.dietaryFlags, chip.dataset.dietary);
+        } else if (chip.dataset.avoidAllergen) {
+          this.toggleDietaryFilter(this.avoidAllergens, chip.dataset.avoidAllergen);
+        }
+      });
+    }
   }
 
   /**
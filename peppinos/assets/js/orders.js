@@ -173,6 +173,22 @@ class OrdersPage {
           <div class="item-name">${item.menuName}</div>
           <div class="item-details-text">
             Qty: ${item.quantity} | Size: ${item.size || 'Medium'}
+            ${item.spicyLevel?.name ?
+              `<br>Spicy: ${item.spicyLevel.name}` :
+              ''
+            }
+            ${item.preparations && item.preparations.length > 0 ?
+              `<br>Preparation: ${item.preparations.map(preparation => preparation.name).join(', ')}` :
+              ''
+            }
+            ${item.bundleItems && item.bundleItems.length > 0 ?
+              `<br>Includes: ${item.bundleItems.map(component => component.name).join(', ')}` :
+              ''
+            }
+            ${item.modifiers && item.modifiers.length > 0 ?
+              `<br>Options: ${item.modifiers.map(modifier => modifier.name).join(', ')}` :
+              ''
+            }
             ${item.addons && item.addons.length > 0 ? 
               `<br>Add-ons: ${item.addons.map(addon => addon.name).join(', ')}` : 
               ''
@@ -202,7 +218,12 @@ class OrdersPage {
     }
 
     // Reorder
-  
+    actions.push(`
+      <button class="btn-small btn-secondary-small" onclick="ordersPage.reorder('${order._id}')">
+        <ion-icon name="repeat-outline"></ion-icon>
+        Reorder
+      </button>
+    `);
 
     // // Cancel order (only for pending orders)
     // if (order.deliveryStatus === 'pending') {
@@ -252,33 +273,23 @@ class OrdersPage {
 
   async reorder(orderId) {
     try {
-      const order = this.orders.find(o => o._id === orderId);
-      if (!order) {
-        throw new Error('Order not found');
-      }
-
-      // Add all items from the order to cart
+      // The server re-checks every item against today's menu and prices
       const { cartService } = await import('./services/cart-service.js');
-      
-      for (const item of order.items) {
-        await cartService.addToCart(
-          item.menu,
-          item.quantity,
-          item.size,
-          item.addons || [],
-          item.specialInstructions || ''
-        );
-      }
+      const { issues } = await cartService.reorder(orderId);
 
-      this.showSuccess('Items added to cart successfully');
-      
-      // Optionally redirect to cart
-      if (confirm('Items have been added to your cart. Would you like to view your cart?')) {
+      const changes = issues.length > 0
+        ? `\n\nSome items have changed:\n${issues.map(issue => `- ${issue.message}`).join('\n')}`
+        : '';
+
+      if (confirm(`Items have been added to your cart.${changes}\n\nWould you like to view your cart?`)) {
         window.location.href = './cart.html';
       }
     } catch (error) {
       console.error('Error reordering:', error);
-      this.showError('Failed to reorder items');
+      const issues = error.data?.data?.issues || [];
+      alert(issues.length > 0
+        ? `${error.message}:\n${issues.map(issue => `- ${issue.message}`).join('\n')}`
+        : 'Failed to reorder items');
     }
   }
 
@@ -79,6 +79,7 @@ class ProfilePage {
         const user = response.data.user;
         this.populateProfile(user);
         await this.loadUserStats();
+        await this.loadLoyalty();
       } else {
         throw new Error(response.message || 'Failed to load profile');
       }
@@ -143,6 +144,80 @@ class ProfilePage {
     }
   }
 
+  async loadLoyalty() {
+    try {
+      const response = await httpClient.get('/api/user/loyalty');
+
+      if (response.success) {
+        this.populateLoyalty(response.data.loyalty, response.data.recentTransactions || []);
+      }
+    } catch (error) {
+      console.error('Error loading loyalty points:', error);
+    }
+  }
+
+  populateLoyalty(loyalty, transactions) {
+    const { tier, nextTier } = loyalty;
+
+    document.getElementById('loyaltyBalance').textContent = loyalty.balance;
+    document.getElementById('loyaltyBalanceLabel').textContent = `Loyalty Points (${tier.name})`;
+    document.getElementById('loyaltyTier').textContent = `${tier.name} member`;
+    document.getElementById('loyaltyPoints').textContent = loyalty.balance;
+    document.getElementById('loyaltyValue').textContent = `$${loyalty.balanceValue.toFixed(2)}`;
+
+    // Progress from the current tier's threshold towards the next one
+    const progressBar = document.getElementById('loyaltyProgressBar');
+    const nextTierText = document.getElementById('loyaltyNextTier');
+    if (nextTier) {
+      const span = nextTier.minSpend - tier.minSpend;
+      const progress = span > 0 ? (loyalty.rollingSpend - tier.minSpend) / span : 1;
+      progressBar.style.width = `${Math.min(100, Math.max(0, progress * 100))}%`;
+      nextTierText.textContent = `Spend $${nextTier.amountAway.toFixed(2)} more in the next 12 months to reach ${nextTier.name} ` +
+        `and earn ${nextTier.multiplier}x points.`;
+    } else {
+      progressBar.style.width = '100%';
+      nextTierText.textContent = `You're in our top tier, earning ${tier.multiplier}x points.`;
+    }
+
+    document.getElementById('loyaltyRules').textContent =
+      `You've spent $${loyalty.rollingSpend.toFixed(2)} with us in the last 12 months. ` +
+      `Delivered orders earn ${loyalty.pointsPerDollar * tier.multiplier} points per $1 of food at your tier, ` +
+      `and every ${loyalty.minRedemption} points take $${(loyalty.minRedemption * loyalty.pointValue).toFixed(2)} off at checkout.`;
+
+    const labels = {
+      earn: 'Earned',
+      reverse: 'Refund adjustment',
+      redeem: 'Redeemed',
+      restore: 'Returned',
+      adjust: 'Adjustment'
+    };
+
+    const activityList = document.getElementById('loyaltyActivity');
+    if (transactions.length === 0) {
+      activityList.innerHTML = '<li class="loyalty-activity-item">No points activity yet.</li>';
+      return;
+    }
+
+    activityList.innerHTML = transactions.map(transaction => {
+      const details = [
+        transaction.order?.orderNumber ? `Order #${transaction.order.orderNumber}` : '',
+        transaction.type === 'adjust' ? transaction.reason : ''
+      ].filter(Boolean).join(' • ');
+
+      return `
+        <li class="loyalty-activity-item">
+          <div>
+            ${labels[transaction.type] || transaction.type}
+            <small>${new Date(transaction.createdAt).toLocaleDateString()}${details ? ` • ${details}` : ''}</small>
+          </div>
+          <span class="loyalty-activity-points ${transaction.points > 0 ? 'positive' : 'negative'}">
+            ${transaction.points > 0 ? '+' : ''}${transaction.points}
+          </span>
+        </li>
+      `;
+    }).join('');
+  }
+
   showSection(sectionName) {
     // Hide all sections
     document.querySelectorAll('.profile-section').forEach(section => {
@@ -109,27 +109,37 @@ class CartOptionsService {
   getDefaultOptions(item, quantity = 1) {
     const options = {
       quantity: quantity,
-      size: 'Medium',
+      size: '',
+      sizeId: '',
       spicyLevel: '',
       preparations: [],
+      modifiers: [],
       addons: [],
       specialInstructions: ''
     };
 
     // Set default size if available
     if (item.sizes && item.sizes.length > 0) {
-      const defaultSize = item.sizes.find(size => size.isDefault);
-      options.size = defaultSize ? defaultSize.name : item.sizes[0].name;
+      const defaultSize = item.sizes.find(size => size.isDefault) || item.sizes[0];
+      options.size = defaultSize.name;
+      options.sizeId = defaultSize._id;
     }
 
     // Set default spicy level if available
     if (item.spicyLevel && item.spicyLevel.length > 0) {
       // For non-veg items, spicy level might be required
       if (!item.isVegetarian) {
-        options.spicyLevel = item.spicyLevel[0].name || item.spicyLevel[0];
+        options.spicyLevel = item.spicyLevel[0]._id || item.spicyLevel[0];
       }
     }
 
+    // Pre-select each modifier group's default options that are in stock
+    (item.modifierGroups || []).forEach(group => {
+      group.options
+        .filter(option => option.isDefault && !option.outOfStock)
+        .forEach(option => options.modifiers.push(option._id));
+    });
+
     return options;
   }
 
@@ -182,6 +192,14 @@ class CartOptionsService {
       return true;
     }
 
+    if (item.modifierGroups && item.modifierGroups.length > 0) {
+      return true;
+    }
+
+    if (item.bundleSlots && item.bundleSlots.length > 0) {
+      return true;
+    }
+
     return false;
   }
 
@@ -324,7 +342,14 @@ class CartOptionsService {
         formData.quantity,
         formData.size,
         formData.addons,
-        formData.specialInstructions
+        formData.specialInstructions,
+        {
+          sizeId: formData.sizeId,
+          spicyLevel: formData.spicyLevel,
+          preparations: formData.preparations,
+          modifiers: formData.modifiers,
+          bundleSelections: formData.bundleSelections
+        }
       );
 
       // Close modal
@@ -354,21 +379,34 @@ class CartOptionsService {
     const quantity = parseInt(modal.querySelector('.quantity-input')?.value) || 1;
     
     const sizeInput = modal.querySelector('input[name="size"]:checked');
-    const size = sizeInput ? sizeInput.value : 'Medium';
+    const size = sizeInput ? sizeInput.value : '';
+    const sizeId = sizeInput ? sizeInput.dataset.sizeId : '';
     
     const spicyLevelInput = modal.querySelector('input[name="spicyLevel"]:checked');
     const spicyLevel = spicyLevelInput ? spicyLevelInput.value : '';
     
     const preparationInputs = modal.querySelectorAll('input[name="preparations"]:checked');
     const preparations = Array.from(preparationInputs).map(input => input.value);
+
+    const modifierInputs = modal.querySelectorAll('[data-modifier-group] input:checked');
+    const modifiers = Array.from(modifierInputs).map(input => input.value);
+
+    const bundleInputs = modal.querySelectorAll('[data-bundle-slot] input:checked');
+    const bundleSelections = Array.from(bundleInputs).map(input => ({
+      slot: input.closest('[data-bundle-slot]').dataset.bundleSlot,
+      menuItemId: input.value
+    }));
     
     const specialInstructions = modal.querySelector('.special-instructions-input')?.value || '';
 
     return {
       quantity,
       size,
+      sizeId,
       spicyLevel,
       preparations,
+      modifiers,
+      bundleSelections,
       specialInstructions,
       addons: [] // For now, we'll handle addons separately
     };
@@ -397,6 +435,42 @@ class CartOptionsService {
       };
     }
 
+    // Each modifier group carries its own selection limits
+    for (const group of modal.querySelectorAll('[data-modifier-group]')) {
+      const min = parseInt(group.dataset.min) || 0;
+      const max = parseInt(group.dataset.max) || 1;
+      const selected = group.querySelectorAll('input:checked').length;
+      const name = group.dataset.name;
+
+      if (selected < min) {
+        return {
+          isValid: false,
+          message: min === 1
+            ? `Please choose an option for "${name}"`
+            : `Please choose at least ${min} options for "${name}"`
+        };
+      }
+
+      if (selected > max) {
+        return {
+          isValid: false,
+          message: max === 1
+            ? `Please choose only one option for "${name}"`
+            : `Please choose up to ${max} options for "${name}"`
+        };
+      }
+    }
+
+    // Every combo slot needs a pick
+    for (const slot of modal.querySelectorAll('[data-bundle-slot]')) {
+      if (!slot.querySelector('input:checked')) {
+        return {
+          isValid: false,
+          message: `Please choose an item for "${slot.dataset.name}"`
+        };
+      }
+    }
+
     if (formData.quantity < 1 || formData.quantity > 10) {
       return {
         isValid: false,
@@ -423,7 +497,14 @@ class CartOptionsService {
         opts.quantity,
         opts.size,
         opts.addons,
-        opts.specialInstructions
+        opts.specialInstructions,
+        {
+          sizeId: opts.sizeId,
+          spicyLevel: opts.spicyLevel,
+          preparations: opts.preparations,
+          modifiers: opts.modifiers,
+          bundleSelections: opts.bundleSelections
+        }
       );
     } catch (error) {
       console.error('Error adding to cart directly:', error);
@@ -457,6 +538,8 @@ class CartOptionsService {
             ${this.renderSizeOptions(item.sizes)}
             ${this.renderSpicyLevelOptions(item.spicyLevel)}
             ${this.renderPreparationOptions(item.preparations)}
+            ${this.renderBundleSlots(item.bundleSlots)}
+            ${this.renderModifierGroups(item.modifierGroups)}
             ${this.renderSpecialInstructions()}
           </div>
 
@@ -478,13 +561,17 @@ class CartOptionsService {
     console.log('Checking cart options for item:', item.name, {
       sizes: item.sizes?.length || 0,
       spicyLevel: item.spicyLevel?.length || 0,
-      preparations: item.preparations?.length || 0
+      preparations: item.preparations?.length || 0,
+      modifierGroups: item.modifierGroups?.length || 0,
+      bundleSlots: item.bundleSlots?.length || 0
     });
 
     return (
       (item.sizes && item.sizes.length > 0) ||
       (item.spicyLevel && item.spicyLevel.length > 0) ||
-      (item.preparations && item.preparations.length > 0)
+      (item.preparations && item.preparations.length > 0) ||
+      (item.modifierGroups && item.modifierGroups.length > 0) ||
+      (item.bundleSlots && item.bundleSlots.length > 0)
     );
   }
 
@@ -512,7 +599,7 @@ class CartOptionsService {
 
     const sizeOptions = sizes.map(size => `
       <label class="radio-option">
-        <input type="radio" name="size" value="${size.name}" data-price="${size.price}" ${size.isDefault ? 'checked' : ''}>
+        <input type="radio" name="size" value="${size.name}" data-size-id="${size._id}" data-price="${size.price}" ${size.isDefault ? 'checked' : ''}>
         <span class="radio-label">
           <div class="option-content">
             <span class="size-name">${size.name}</span>
@@ -540,12 +627,13 @@ class CartOptionsService {
 
     const spicyOptions = spicyLevels.map(level => {
       // Handle both string values and object values
+      const levelId = typeof level === 'string' ? level : level._id;
       const levelName = typeof level === 'string' ? level : (level.name || level);
       const levelDesc = typeof level === 'object' ? level.description : '';
 
       return `
         <label class="radio-option">
-          <input type="radio" name="spicyLevel" value="${levelName}">
+          <input type="radio" name="spicyLevel" value="${levelId}">
           <span class="radio-label">
             <div class="option-content">
               <span class="spicy-name">${levelName}</span>
@@ -574,12 +662,13 @@ class CartOptionsService {
 
     const prepOptions = preparations.map(prep => {
       // Handle both string values and object values
+      const prepId = typeof prep === 'string' ? prep : prep._id;
       const prepName = typeof prep === 'string' ? prep : (prep.name || prep);
       const prepDesc = typeof prep === 'object' ? prep.description : '';
 
       return `
         <label class="checkbox-option">
-          <input type="checkbox" name="preparations" value="${prepName}">
+          <input type="checkbox" name="preparations" value="${prepId}">
           <span class="checkbox-label">
             <div class="option-content">
               <span class="prep-name">${prepName}</span>
@@ -600,6 +689,91 @@ class CartOptionsService {
     `;
   }
 
+  /**
+   * Render combo slots
+   * Each slot takes exactly one of the items the server offers for it.
+   */
+  renderBundleSlots(slots) {
+    if (!slots || slots.length === 0) return '';
+
+    return slots.map(slot => {
+      const choices = slot.choices.length > 0
+        ? slot.choices.map(choice => `
+          <label class="radio-option">
+            <input type="radio" name="bundle-slot-${slot._id}" value="${choice._id}" ${slot.choices.length === 1 ? 'checked' : ''}>
+            <span class="radio-label">
+              <div class="option-content">
+                <span class="modifier-name">${choice.name}</span>
+                <span class="modifier-price">$${Number(choice.price).toFixed(2)}</span>
+              </div>
+            </span>
+          </label>
+        `).join('')
+        : '<p class="modifier-hint">Nothing available right now</p>';
+
+      return `
+        <div class="option-group bundle-slot" data-bundle-slot="${slot._id}" data-name="${slot.name}">
+          <label class="option-label">
+            ${slot.name} <span class="required">*</span>
+            <span class="modifier-hint">Choose 1</span>
+          </label>
+          <div class="radio-group">
+            ${choices}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render modifier groups
+   * Single-choice groups use radios; the rest use checkboxes limited on submit.
+   */
+  renderModifierGroups(groups) {
+    if (!groups || groups.length === 0) return '';
+
+    return [...groups]
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+      .map(group => {
+        const min = group.isRequired ? Math.max(group.minSelections || 0, 1) : (group.minSelections || 0);
+        const max = group.maxSelections || 1;
+        const inputType = min === 1 && max === 1 ? 'radio' : 'checkbox';
+
+        let hint = 'Optional';
+        if (min === max) {
+          hint = `Choose ${min}`;
+        } else if (min > 0) {
+          hint = `Choose ${min}–${max}`;
+        } else if (max > 1) {
+          hint = `Choose up to ${max}`;
+        }
+
+        const options = group.options.map(option => `
+          <label class="${inputType}-option${option.outOfStock ? ' disabled-option' : ''}">
+            <input type="${inputType}" name="modifier-${group._id}" value="${option._id}" ${option.outOfStock ? 'disabled' : option.isDefault ? 'checked' : ''}>
+            <span class="${inputType}-label">
+              <div class="option-content">
+                <span class="modifier-name">${option.name}${option.outOfStock ? ' (sold out)' : ''}</span>
+                ${option.price > 0 ? `<span class="modifier-price">+$${Number(option.price).toFixed(2)}</span>` : ''}
+              </div>
+            </span>
+          </label>
+        `).join('');
+
+        return `
+          <div class="option-group modifier-group" data-modifier-group="${group._id}" data-min="${min}" data-max="${max}" data-name="${group.name}">
+            <label class="option-label">
+              ${group.name} ${min > 0 ? '<span class="required">*</span>' : ''}
+              <span class="modifier-hint">${hint}</span>
+            </label>
+            <div class="${inputType}-group">
+              ${options}
+            </div>
+          </div>
+        `;
+      }).join('');
+  }
+
   /**
    * Render special instructions
    */
@@ -26,6 +26,9 @@ class CartService {
     this._refreshTimeout = null; // Debounce cart refreshes
     this._pendingRequests = new Map(); // Track pending requests to prevent duplicates
     this._lastCartUpdate = null; // Track when cart was last updated
+    this._checkoutKey = null; // Idempotency key for the checkout currently being placed
+    this.quote = null; // Latest server-priced totals for the cart
+    this.orderType = 'pickup'; // Order type the cart is quoted for
     this.setupSessionListeners();
     this.setupAuthListeners();
   }
@@ -368,8 +371,8 @@ class CartService {
         // Handle different response structures
         this.cart = response.data.cart || response.data;
 
-        // Ensure cart has proper calculated fields
-        this.calculateCartTotals();
+        // Ensure cart has proper calculated fields and server-priced totals
+        await this.refreshTotals();
 
         // Ensure totalItems is consistent (backend sends it, but make sure it's calculated correctly)
         if (this.cart.items) {
@@ -384,6 +387,7 @@ class CartService {
     } catch (error) {
       console.error('Error getting cart:', error);
       // Return empty cart on error
+      this.quote = null;
       this.cart = {
         items: [],
         subtotal: 0,
@@ -398,11 +402,16 @@ class CartService {
 
   /**
    * Add item to cart
+   * @param {Object} options - { sizeId, spicyLevel, preparations, modifiers } as ids from the menu item
+   *   (leave modifiers out to get the item's default modifier options), plus
+   *   bundleSelections [{ slot, menuItemId }] for combos
    */
-  async addToCart(menuItemId, quantity = 1, size = 'Medium', addons = [], specialInstructions = '') {
+  async addToCart(menuItemId, quantity = 1, size = '', addons = [], specialInstructions = '', options = {}) {
     try {
+      const { sizeId, spicyLevel, preparations = [], modifiers, bundleSelections = [] } = options;
+
       // Create a unique key for this request to prevent duplicates
-      const requestKey = `addToCart-${menuItemId}-${quantity}-${size}-${JSON.stringify(addons)}-${specialInstructions}`;
+      const requestKey = `addToCart-${menuItemId}-${quantity}-${sizeId || size}-${JSON.stringify(addons)}-${specialInstructions}-${spicyLevel}-${preparations.join(',')}-${(modifiers || []).join(',')}-${bundleSelections.map(pick => pick.menuItemId).join(',')}`;
 
       // Check if this exact request is already pending
       if (this._pendingRequests.has(requestKey)) {
@@ -413,8 +422,13 @@ class CartService {
       const cartData = {
         menuItemId,
         quantity,
-        size,
+        sizeId: sizeId || undefined,
+        size: size || undefined,
         addons,
+        spicyLevel: spicyLevel || undefined,
+        preparations,
+        modifiers,
+        bundleSelections,
         specialInstructions
       };
 
@@ -452,7 +466,7 @@ class CartService {
       // Update cart from response data instead of making another API call
       if (response.data && response.data.cart) {
         this.cart = response.data.cart;
-        this.calculateCartTotals();
+        await this.refreshTotals();
         this.notifyListeners();
       } else {
         // Only refresh if response doesn't contain cart data
@@ -486,7 +500,7 @@ class CartService {
         // Update cart from response data instead of making another API call
         if (response.data && response.data.cart) {
           this.cart = response.data.cart;
-          this.calculateCartTotals();
+          await this.refreshTotals();
           this.notifyListeners();
         } else {
           // Only refresh if response doesn't contain cart data
@@ -524,7 +538,7 @@ class CartService {
         // Update cart from response data instead of making another API call
         if (response.data && response.data.cart) {
           this.cart = response.data.cart;
-          this.calculateCartTotals();
+          await this.refreshTotals();
           this.notifyListeners();
         } else {
           // Only refresh if response doesn't contain cart data
@@ -541,6 +555,80 @@ class CartService {
     }
   }
 
+  /**
+   * Apply a coupon code to the cart
+   * The discount itself comes from the next quote.
+   */
+  async applyCoupon(couponCode) {
+    try {
+      const response = this.isAuthenticated
+        ? await httpClient.post('/api/shop/cart/coupon', { couponCode })
+        : await httpClient.post(`/api/shop/guest/cart/${this.sessionId}/coupon`, { couponCode });
+
+      if (response.success) {
+        await this.refreshTotals();
+        this.notifyListeners();
+        showSuccess(response.message || 'Coupon applied');
+        return response;
+      } else {
+        throw new Error(response.message || 'Failed to apply coupon');
+      }
+    } catch (error) {
+      console.error('Error applying coupon:', error);
+      showError(error.message || 'Failed to apply coupon');
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the coupon from the cart
+   */
+  async removeCoupon() {
+    try {
+      const response = this.isAuthenticated
+        ? await httpClient.delete('/api/shop/cart/coupon')
+        : await httpClient.delete(`/api/shop/guest/cart/${this.sessionId}/coupon`);
+
+      if (response.success) {
+        await this.refreshTotals();
+        this.notifyListeners();
+        return response;
+      } else {
+        throw new Error(response.message || 'Failed to remove coupon');
+      }
+    } catch (error) {
+      console.error('Error removing coupon:', error);
+      showError(error.message || 'Failed to remove coupon');
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a past order's items into the cart
+   * Resolves to { cart, added, issues }; `issues` lists items that were left out
+   * or changed (price, quantity, add-ons) since the order was placed.
+   */
+  async reorder(orderId) {
+    try {
+      await this.init();
+
+      const response = await httpClient.post(`/api/shop/orders/${orderId}/reorder`,
+        this.isAuthenticated ? {} : { sessionId: this.sessionId });
+
+      if (response.success) {
+        this.cart = response.data.cart;
+        await this.refreshTotals();
+        this.notifyListeners();
+        return response.data;
+      } else {
+        throw new Error(response.message || 'Failed to reorder');
+      }
+    } catch (error) {
+      console.error('Error reordering:', error);
+      throw error;
+    }
+  }
+
   /**
    * Clear entire cart
    */
@@ -590,6 +678,7 @@ class CartService {
       if (response && response.success) {
         this.clearLocalStorage(); // Clear localStorage
         // Set empty cart instead of making another API call
+        this.quote = null;
         this.cart = {
           items: [],
           subtotal: 0,
@@ -604,6 +693,7 @@ class CartService {
         // If API call failed but we have a response, clear locally anyway
         console.warn('⚠️ API cart clear failed, clearing locally');
         this.clearLocalStorage();
+        this.quote = null;
         this.cart = {
           items: [],
           subtotal: 0,
@@ -620,6 +710,7 @@ class CartService {
       // Always clear locally as a last resort
       console.log('🔄 Clearing cart locally as fallback');
       this.clearLocalStorage();
+      this.quote = null;
       this.cart = {
         items: [],
         subtotal: 0,
@@ -637,6 +728,8 @@ class CartService {
 
   /**
    * Calculate cart totals
+   * Subtotal and counts come from the cart items; tax, delivery fee, total and
+   * automatic promotions come from the latest server quote.
    */
   calculateCartTotals() {
     if (!this.cart || !this.cart.items) {
@@ -648,25 +741,85 @@ class CartService {
       return sum + (item.itemTotal || (item.priceAtTime || item.price || 0) * item.quantity);
     }, 0);
 
-    // Calculate tax (8% for example)
-    const taxRate = 0.08;
-    const tax = subtotal * taxRate;
-
-    // Calculate delivery fee (fixed $5 for orders under $50, free for orders over $50)
-    const deliveryFee = subtotal < 50 ? 5 : 0;
-
-    // Calculate total
-    const total = subtotal + tax + deliveryFee;
-
     // Update cart object
     this.cart.subtotal = subtotal;
-    this.cart.tax = tax;
-    this.cart.deliveryFee = deliveryFee;
-    this.cart.total = total;
+    this.cart.tax = this.quote ? this.quote.tax : 0;
+    this.cart.deliveryFee = this.quote ? this.quote.deliveryFee : 0;
+    this.cart.discount = this.quote ? this.quote.discount : 0;
+    this.cart.total = this.quote ? this.quote.total : subtotal;
+    this.cart.promotions = this.quote ? this.quote.promotions || [] : [];
+    this.cart.promotionDiscount = this.quote ? this.quote.promotionDiscount || 0 : 0;
+    this.cart.nextPromotion = this.quote ? this.quote.nextPromotion : null;
+    this.cart.unlockedPromotions = this.quote ? this.quote.unlockedPromotions || [] : [];
     this.cart.totalItems = this.cart.items.reduce((sum, item) => sum + item.quantity, 0); // Total quantity (matches backend)
     this.cart.totalQuantity = this.cart.items.reduce((sum, item) => sum + item.quantity, 0); // Total quantity
   }
 
+  /**
+   * Fetch a priced quote for the cart from the server
+   * @param {string} orderType - 'pickup' or 'delivery' (defaults to the last one used)
+   * @param {Object} location - Delivery location: { addressId } or { latitude, longitude }
+   * @param {Object} options - { loyaltyPoints } to preview redeeming points (signed-in customers);
+   *   { giftCards } codes to preview paying with
+   */
+  async fetchQuote(orderType = this.orderType, location = {}, { loyaltyPoints, giftCards } = {}) {
+    this.orderType = orderType;
+
+    if (!this.cart || !this.cart.items || this.cart.items.length === 0) {
+      this.quote = null;
+      return null;
+    }
+
+    try {
+      const response = await httpClient.get('/api/shop/cart/quote', {
+        orderType,
+        sessionId: this.isAuthenticated ? undefined : this.sessionId,
+        loyaltyPoints: this.isAuthenticated ? loyaltyPoints : undefined,
+        giftCards: giftCards && giftCards.length > 0 ? giftCards.join(',') : undefined,
+        ...(orderType === 'delivery' ? location : {})
+      });
+
+      if (response.success) {
+        this.quote = response.data.quote;
+      }
+    } catch (error) {
+      console.error('Error fetching cart quote:', error);
+      this.quote = null;
+    }
+
+    return this.quote;
+  }
+
+  /**
+   * Fetch nutrition totals for the cart from the server
+   * @returns {Promise<Object|null>} - { items, totals, isComplete }
+   */
+  async fetchNutrition() {
+    if (!this.cart || !this.cart.items || this.cart.items.length === 0) {
+      return null;
+    }
+
+    try {
+      const response = await httpClient.get('/api/shop/cart/nutrition', {
+        sessionId: this.isAuthenticated ? undefined : this.sessionId
+      });
+
+      return response.success ? response.data.nutrition : null;
+    } catch (error) {
+      console.error('Error fetching cart nutrition:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Recalculate cart totals with a fresh server quote
+   */
+  async refreshTotals() {
+    this.calculateCartTotals();
+    await this.fetchQuote();
+    this.calculateCartTotals();
+  }
+
   /**
    * Get cart item count (total quantity to match backend calculation)
    */
@@ -690,19 +843,10 @@ class CartService {
   }
 
   /**
-   * Calculate tax (7% for MA)
-   */
-  calculateTax(subtotal) {
-    return subtotal * 0.07;
-  }
-
-  /**
-   * Get cart total with tax
+   * Get cart total from the latest quote
    */
   getTotal() {
-    const subtotal = this.getSubtotal();
-    const tax = this.calculateTax(subtotal);
-    return subtotal + tax;
+    return this.quote ? this.quote.total : this.getSubtotal();
   }
 
   /**
@@ -745,6 +889,47 @@ class CartService {
     return { authenticated: true };
   }
 
+  /**
+   * Generate a unique idempotency key for a checkout attempt
+   */
+  generateIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `checkout_${Date.now()}_${Math.random().toString(36).slice(2, 12)}`;
+  }
+
+  /**
+   * Place an order
+   * The same Idempotency-Key is reused until the server gives a definite answer, so
+   * a double click or a retry after a network error never creates a second order.
+   * @param {Object} orderData - Order payload
+   * @param {Object} options - { guest: boolean }
+   */
+  async placeOrder(orderData, { guest = false } = {}) {
+    const endpoint = guest ? '/api/shop/guest/checkout' : '/api/shop/orders';
+
+    if (!this._checkoutKey) {
+      this._checkoutKey = this.generateIdempotencyKey();
+    }
+
+    try {
+      const result = await httpClient.post(endpoint, orderData, {
+        headers: { 'Idempotency-Key': this._checkoutKey }
+      });
+      this._checkoutKey = null;
+      return result;
+    } catch (error) {
+      // Keep the key for network errors, server errors and the same checkout still in progress,
+      // so the retry is safe; any other answer is final and the next attempt gets a new key
+      const inProgress = error.status === 409 && error.data?.code === 'IDEMPOTENCY_KEY_IN_PROGRESS';
+      if (error.status && error.status < 500 && !inProgress) {
+        this._checkoutKey = null;
+      }
+      throw error;
+    }
+  }
+
 
 }
 
@@ -4,6 +4,7 @@
  */
 
 import { showToast } from '../ui.js';
+import { ALLERGENS, DIETARY_FLAGS } from './menu-service.js';
 
 /**
  * Menu Renderer Class
@@ -213,7 +214,9 @@ export class MenuRenderer {
 
     // Handle badges - match original structure
     let badgeHTML = '';
-    if (item.featured) {
+    if (item.itemType === 'bundle') {
+      badgeHTML = '<span class="badge label-1">Combo</span>';
+    } else if (item.featured) {
       badgeHTML = '<span class="badge label-1">Featured</span>';
     } else if (item.totalSales > 50) {
       badgeHTML = '<span class="badge label-1">Popular</span>';
@@ -244,6 +247,12 @@ export class MenuRenderer {
               ${item.description || 'Delicious menu item prepared with authentic spices and fresh ingredients.'}
             </p>
 
+            ${item.availabilitySchedule ? `
+              <p class="card-text label-2 availability-note">Served ${item.availabilitySchedule}</p>
+            ` : ''}
+
+            ${this.renderDietaryInfo(item)}
+
             <div class="card-actions">
               <button class="btn btn-primary add-to-cart-btn"
                       data-item-id="${item._id}"
@@ -288,6 +297,8 @@ export class MenuRenderer {
             ${this.renderSizeOptions(item.sizes)}
             ${this.renderSpicyLevelOptions(item.spicyLevel)}
             ${this.renderPreparationOptions(item.preparations)}
+            ${this.renderBundleSlots(item.bundleSlots)}
+            ${this.renderModifierGroups(item.modifierGroups)}
             ${this.renderSpecialInstructions(item.specialInstructions)}
           </div>
 
@@ -312,6 +323,8 @@ export class MenuRenderer {
       (item.sizes && item.sizes.length > 0) ||
       (item.spicyLevel && item.spicyLevel.length > 0) ||
       (item.preparations && item.preparations.length > 0) ||
+      (item.modifierGroups && item.modifierGroups.length > 0) ||
+      (item.bundleSlots && item.bundleSlots.length > 0) ||
       item.specialInstructions
     );
   }
@@ -343,7 +356,7 @@ export class MenuRenderer {
 
     const sizeOptions = sizes.map(size => `
       <label class="radio-option">
-        <input type="radio" name="size" value="${size.name}" data-price="${size.price}" ${size.isDefault ? 'checked' : ''}>
+        <input type="radio" name="size" value="${size.name}" data-size-id="${size._id}" data-price="${size.price}" ${size.isDefault ? 'checked' : ''}>
         <span class="radio-label">
           <span class="size-name">${size.name}</span>
           <span class="size-price">$${size.price}</span>
@@ -373,10 +386,11 @@ export class MenuRenderer {
     const defaultSpicyLevels = ['Mild', 'Medium', 'Spicy', 'Extra Spicy'];
     const levelsToUse = spicyLevels.length > 0 ? spicyLevels : defaultSpicyLevels;
 
+    // Populated levels submit their id; the server checks it against the item
     const spicyOptions = levelsToUse.map(level => `
       <label class="radio-option">
-        <input type="radio" name="spicyLevel" value="${level}">
-        <span class="radio-label">${level}</span>
+        <input type="radio" name="spicyLevel" value="${level._id || level}">
+        <span class="radio-label">${level.name || level}</span>
       </label>
     `).join('');
 
@@ -444,6 +458,91 @@ export class MenuRenderer {
     `;
   }
 
+  /**
+   * Render combo slots
+   * @param {Array} slots - Bundle slots with the choices available for each
+   * @returns {string} HTML string
+   */
+  renderBundleSlots(slots) {
+    if (!slots || slots.length === 0) return '';
+
+    return slots.map(slot => {
+      const choices = slot.choices.length > 0
+        ? slot.choices.map(choice => `
+          <label class="radio-option">
+            <input type="radio" name="bundle-slot-${slot._id}" value="${choice._id}" ${slot.choices.length === 1 ? 'checked' : ''}>
+            <span class="radio-label">
+              <div class="option-content">
+                <span class="modifier-name">${choice.name}</span>
+                <span class="modifier-price">$${Number(choice.price).toFixed(2)}</span>
+              </div>
+            </span>
+          </label>
+        `).join('')
+        : '<p class="modifier-hint">Nothing available right now</p>';
+
+      return `
+        <div class="option-group bundle-slot" data-bundle-slot="${slot._id}" data-name="${slot.name}">
+          <label class="option-label">
+            ${slot.name} <span class="required">*</span>
+            <span class="modifier-hint">Choose 1</span>
+          </label>
+          <div class="radio-group">
+            ${choices}
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  /**
+   * Render modifier groups
+   * @param {Array} groups - Modifier groups with their selection limits
+   * @returns {string} HTML string
+   */
+  renderModifierGroups(groups) {
+    if (!groups || groups.length === 0) return '';
+
+    return [...groups]
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0))
+      .map(group => {
+        const min = group.isRequired ? Math.max(group.minSelections || 0, 1) : (group.minSelections || 0);
+        const max = group.maxSelections || 1;
+        const inputType = min === 1 && max === 1 ? 'radio' : 'checkbox';
+
+        let hint = 'Optional';
+        if (min === max) {
+          hint = `Choose ${min}`;
+        } else if (min > 0) {
+          hint = `Choose ${min}–${max}`;
+        } else if (max > 1) {
+          hint = `Choose up to ${max}`;
+        }
+
+        const options = group.options.map(option => `
+          <label class="${inputType}-option${option.outOfStock ? ' disabled-option' : ''}">
+            <input type="${inputType}" name="modifier-${group._id}" value="${option._id}" ${option.outOfStock ? 'disabled' : option.isDefault ? 'checked' : ''}>
+            <span class="${inputType}-label">
+              ${option.name}${option.outOfStock ? ' (sold out)' : ''}
+              ${option.price > 0 ? `<span class="modifier-price">+$${Number(option.price).toFixed(2)}</span>` : ''}
+            </span>
+          </label>
+        `).join('');
+
+        return `
+          <div class="option-group modifier-group" data-modifier-group="${group._id}" data-min="${min}" data-max="${max}" data-name="${group.name}">
+            <label class="option-label">
+              ${group.name} ${min > 0 ? '<span class="required">*</span>' : ''}
+              <span class="modifier-hint">${hint}</span>
+            </label>
+            <div class="${inputType}-group">
+              ${options}
+            </div>
+          </div>
+        `;
+      }).join('');
+  }
+
   /**
    * Render special instructions field
    * @param {string} defaultInstructions - Default special instructions
@@ -461,6 +560,31 @@ export class MenuRenderer {
     `;
   }
 
+  /**
+   * Render dietary badges (vegan, gluten-free, etc.), calories and the allergen line
+   * @param {Object} item - Menu item data
+   * @returns {string} HTML string
+   */
+  renderDietaryInfo(item) {
+    const flags = (item.dietaryFlags || []).filter(flag => DIETARY_FLAGS[flag]);
+    const allergens = (item.allergens || []).filter(allergen => ALLERGENS[allergen]);
+    const calories = item.nutritionalInfo?.calories;
+
+    if (flags.length === 0 && allergens.length === 0 && typeof calories !== 'number') {
+      return '';
+    }
+
+    return `
+      <div class="dietary-info">
+        ${flags.map(flag => `<span class="dietary-badge label-2">${DIETARY_FLAGS[flag]}</span>`).join('')}
+        ${typeof calories === 'number' ? `<span class="dietary-badge calorie-badge label-2">${calories} kcal</span>` : ''}
+        ${allergens.length > 0 ? `
+          <p class="card-text label-2 allergen-note">Contains: ${allergens.map(allergen => ALLERGENS[allergen]).join(', ')}</p>
+        ` : ''}
+      </div>
+    `;
+  }
+
   /**
    * Render item badges (featured, popular, etc.)
    * @param {Object} item - Menu item data
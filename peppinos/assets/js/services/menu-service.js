@@ -6,6 +6,26 @@
 import { menuAPI, categoriesAPI } from '../api.js';
 import { showToast } from '../ui.js';
 
+// Keep in step with server/utils/dietaryUtils.js
+export const ALLERGENS = {
+  milk: 'Milk',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  'tree-nuts': 'Tree nuts',
+  peanuts: 'Peanuts',
+  wheat: 'Wheat',
+  soy: 'Soy',
+  sesame: 'Sesame'
+};
+
+export const DIETARY_FLAGS = {
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  jain: 'Jain',
+  halal: 'Halal'
+};
+
 /**
  * Menu Service Class
  */
@@ -192,6 +212,9 @@ export class MenuService {
       image: item.images && item.images.length > 0 ? item.images[0].url : null,
       imageAlt: item.name,
       isVegetarian: item.isVegetarian,
+      allergens: item.allergens || [],
+      dietaryFlags: item.dietaryFlags || [],
+      nutritionalInfo: item.nutritionalInfo || null,
       category: item.category,
       featured: item.featured,
       averageRating: item.averageRating || 0,
@@ -202,6 +225,10 @@ export class MenuService {
       preparations: item.preparations,
       sizes: item.sizes,
       addons: item.addons,
+      modifierGroups: item.modifierGroups || [],
+      itemType: item.itemType || 'single',
+      bundleSlots: item.bundleSlots || [],
+      availabilitySchedule: item.availabilitySchedule || null,
       tags: item.tags || []
     };
   }
@@ -1,163 +1,219 @@
 /**
  * Restaurant Hours Service
- * Handles business hours validation and scheduling functionality
+ * Handles business hours validation and scheduling functionality.
+ * The schedule comes from the server (/api/shop/store-hours), which also
+ * enforces it at checkout; times are compared in the restaurant's timezone.
  */
 
+import { httpClient } from '../api.js';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
 class RestaurantHoursService {
   constructor() {
-    // Restaurant hours configuration
-    this.businessHours = {
-      monday: { open: '11:30', close: '22:00', isOpen: true },
-      tuesday: { open: '11:30', close: '22:00', isOpen: true },
-      wednesday: { open: '11:30', close: '22:00', isOpen: true },
-      thursday: { open: '11:30', close: '22:00', isOpen: true },
-      friday: { open: '11:30', close: '22:30', isOpen: true },
-      saturday: { open: '11:30', close: '22:30', isOpen: true },
-      sunday: { open: '11:30', close: '22:00', isOpen: true }
-    };
+    // Restaurant hours configuration (loaded from the server)
+    this.businessHours = {};
 
-    // Lunch buffet hours (Mon-Fri only)
-    this.buffetHours = {
-      monday: { open: '11:30', close: '15:00' },
-      tuesday: { open: '11:30', close: '15:00' },
-      wednesday: { open: '11:30', close: '15:00' },
-      thursday: { open: '11:30', close: '15:00' },
-      friday: { open: '11:30', close: '15:00' }
-    };
+    // Lunch buffet hours
+    this.buffetHours = {};
 
-    // Special hours or closures
-    this.specialHours = {
-      // Format: 'YYYY-MM-DD': { open: 'HH:MM', close: 'HH:MM', isOpen: false }
-      // Example: '2024-12-25': { isOpen: false, reason: 'Christmas Day' }
-    };
+    // Special hours or closures keyed by 'YYYY-MM-DD'
+    this.specialHours = {};
 
     // Preparation time in minutes
     this.preparationTime = {
-      pickup: 20,    // 20 minutes for pickup
-      delivery: 45   // 45 minutes for delivery
+      pickup: 20,
+      delivery: 45
     };
+
+    // Stop offering slots this many minutes before closing
+    this.lastOrderMinutes = 30;
+
+    // Temporary pause on new orders: { reason, until } or null
+    this.pause = null;
+
+    this.timeZone = 'America/New_York';
+    this.loaded = false;
+    this.loadPromise = null;
   }
 
   /**
-   * Check if restaurant is currently open
+   * Load the schedule from the server
+   * Safe to call repeatedly; the request is only made once unless forced.
+   */
+  load(force = false) {
+    if (!this.loadPromise || force) {
+      this.loadPromise = this.fetchHours();
+    }
+    return this.loadPromise;
+  }
+
+  async fetchHours() {
+    try {
+      const response = await httpClient.get('/api/shop/store-hours');
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to load store hours');
+      }
+
+      const data = response.data;
+      const toDayMap = days => Object.fromEntries(
+        days.map(day => [DAY_NAMES[day.day], { open: day.open, close: day.close, isOpen: day.isOpen }])
+      );
+
+      this.timeZone = data.timeZone || this.timeZone;
+      this.businessHours = toDayMap(data.weeklyHours);
+      this.buffetHours = toDayMap(data.buffetHours.filter(day => day.isOpen));
+      this.specialHours = Object.fromEntries(
+        data.holidays.map(holiday => [holiday.date, {
+          isOpen: holiday.isOpen,
+          open: holiday.open,
+          close: holiday.close,
+          reason: holiday.reason
+        }])
+      );
+      this.preparationTime = { ...this.preparationTime, ...data.preparationMinutes };
+      this.lastOrderMinutes = data.lastOrderMinutes;
+      this.pause = data.status.isPaused
+        ? { reason: data.status.pauseReason, until: data.status.pausedUntil ? new Date(data.status.pausedUntil) : null }
+        : null;
+      this.loaded = true;
+    } catch (error) {
+      // Leave ordering open; checkout still validates the time on the server
+      console.error('Error loading store hours:', error);
+      this.loaded = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * Check if the restaurant is currently taking ASAP orders
    */
   isCurrentlyOpen() {
-    const now = new Date();
-    const dayName = this.getDayName(now);
-    const currentTime = this.formatTime(now);
-    const dateString = this.formatDate(now);
+    if (!this.loaded) {
+      return true;
+    }
 
-    // Check for special hours first
-    if (this.specialHours[dateString]) {
-      return this.specialHours[dateString].isOpen;
+    if (this.isPaused()) {
+      return false;
     }
 
-    // Check regular business hours
-    const hours = this.businessHours[dayName];
+    const now = this.getRestaurantNow();
+    const hours = this.getHoursForDate(now);
     if (!hours || !hours.isOpen) {
       return false;
     }
 
-    return currentTime >= hours.open && currentTime <= hours.close;
+    const currentTime = this.formatTime(now);
+    return currentTime >= hours.open && currentTime <= this.getLastOrderTime(hours);
+  }
+
+  /**
+   * Check if new orders are paused right now
+   */
+  isPaused() {
+    if (!this.pause) {
+      return false;
+    }
+    return !this.pause.until || this.pause.until > new Date();
+  }
+
+  /**
+   * Get the hours that apply on a date, honouring holidays
+   */
+  getHoursForDate(date) {
+    const dateString = this.formatDate(date);
+    if (this.specialHours[dateString]) {
+      return this.specialHours[dateString];
+    }
+    return this.businessHours[this.getDayName(date)];
   }
 
   /**
    * Get next opening time
    */
   getNextOpeningTime() {
-    const now = new Date();
+    const now = this.getRestaurantNow();
     let checkDate = new Date(now);
 
-    // Check next 7 days
-    for (let i = 0; i < 7; i++) {
-      const dayName = this.getDayName(checkDate);
-      const dateString = this.formatDate(checkDate);
-      
-      // Check special hours
-      if (this.specialHours[dateString]) {
-        if (this.specialHours[dateString].isOpen) {
+    // Check the next two weeks
+    for (let i = 0; i < 14; i++) {
+      const hours = this.getHoursForDate(checkDate);
+
+      if (hours && hours.isOpen) {
+        // If it's today and we're before opening time
+        if (i === 0 && this.formatTime(now) < hours.open) {
           return {
             date: new Date(checkDate),
-            time: this.specialHours[dateString].open,
-            isToday: i === 0
+            time: hours.open,
+            isToday: true
           };
         }
-      } else {
-        // Check regular hours
-        const hours = this.businessHours[dayName];
-        if (hours && hours.isOpen) {
-          // If it's today and we're before opening time
-          if (i === 0 && this.formatTime(now) < hours.open) {
-            return {
-              date: new Date(checkDate),
-              time: hours.open,
-              isToday: true
-            };
-          }
-          // If it's a future day
-          if (i > 0) {
-            return {
-              date: new Date(checkDate),
-              time: hours.open,
-              isToday: false
-            };
-          }
+        // If it's a future day
+        if (i > 0) {
+          return {
+            date: new Date(checkDate),
+            time: hours.open,
+            isToday: false
+          };
         }
       }
 
       checkDate.setDate(checkDate.getDate() + 1);
     }
 
-    return null; // No opening time found in next 7 days
+    return null; // No opening time found in the next two weeks
   }
 
   /**
    * Get available time slots for scheduling
+   * @param {Date} date - Local midnight of the day, e.g. new Date('2024-05-01T00:00:00')
    */
   getAvailableTimeSlots(date, orderType = 'pickup') {
-    const dayName = this.getDayName(date);
     const dateString = this.formatDate(date);
-    const now = new Date();
+    const now = this.getRestaurantNow();
     const isToday = this.formatDate(now) === dateString;
 
     // Check if restaurant is open on this date
-    let hours;
-    if (this.specialHours[dateString]) {
-      if (!this.specialHours[dateString].isOpen) {
-        return []; // Closed on this date
-      }
-      hours = this.specialHours[dateString];
-    } else {
-      hours = this.businessHours[dayName];
-      if (!hours || !hours.isOpen) {
-        return []; // Closed on this day
-      }
+    const hours = this.getHoursForDate(date);
+    if (!hours || !hours.isOpen) {
+      return []; // Closed on this date
     }
 
     // Generate time slots (every 15 minutes)
     const slots = [];
     const openTime = this.parseTime(hours.open);
-    const closeTime = this.parseTime(hours.close);
+    const lastOrderTime = this.parseTime(this.getLastOrderTime(hours));
     const prepTime = this.preparationTime[orderType];
 
     // Start from opening time or current time + prep time (whichever is later)
-    let startTime;
+    let startTime = new Date(date);
+    startTime.setHours(openTime.hours, openTime.minutes, 0, 0);
     if (isToday) {
       const currentPlusPrep = new Date(now.getTime() + prepTime * 60000);
-      const openDateTime = new Date(date);
-      openDateTime.setHours(openTime.hours, openTime.minutes, 0, 0);
-      startTime = currentPlusPrep > openDateTime ? currentPlusPrep : openDateTime;
-    } else {
-      startTime = new Date(date);
-      startTime.setHours(openTime.hours, openTime.minutes, 0, 0);
+      if (currentPlusPrep > startTime) {
+        startTime = currentPlusPrep;
+      }
     }
 
-    // End time is 30 minutes before closing to allow for preparation
+    // No slots while paused, or until the pause lifts
+    if (this.isPaused()) {
+      if (!this.pause.until) {
+        return [];
+      }
+      const resumesAt = this.toRestaurantTime(this.pause.until);
+      if (resumesAt > startTime) {
+        startTime = resumesAt;
+      }
+    }
+
+    // Last slot leaves time to prepare the order before closing
     const endTime = new Date(date);
-    endTime.setHours(closeTime.hours, closeTime.minutes - 30, 0, 0);
+    endTime.setHours(lastOrderTime.hours, lastOrderTime.minutes, 0, 0);
 
     // Generate 15-minute intervals
     const current = new Date(startTime);
+    current.setSeconds(0, 0);
     while (current <= endTime) {
       slots.push({
         time: this.formatTime(current),
@@ -170,11 +226,34 @@ class RestaurantHoursService {
     return slots;
   }
 
+  /**
+   * Get scheduled time slots that still have kitchen capacity
+   * Falls back to the local schedule if the server can't be reached.
+   * @param {string} sessionId - Guest session, so the server can size the cart
+   */
+  async fetchAvailableTimeSlots(date, orderType = 'pickup', sessionId) {
+    try {
+      const response = await httpClient.get('/api/shop/slots', {
+        date: this.formatDate(date),
+        orderType,
+        sessionId
+      });
+
+      if (response.success) {
+        return response.data.slots;
+      }
+    } catch (error) {
+      console.error('Error loading time slots:', error);
+    }
+
+    return this.getAvailableTimeSlots(date, orderType);
+  }
+
   /**
    * Validate if a scheduled time is available
    */
-  isTimeSlotAvailable(date, time, orderType = 'pickup') {
-    const availableSlots = this.getAvailableTimeSlots(date, orderType);
+  async isTimeSlotAvailable(date, time, orderType = 'pickup', sessionId) {
+    const availableSlots = await this.fetchAvailableTimeSlots(date, orderType, sessionId);
     return availableSlots.some(slot => slot.time === time);
   }
 
@@ -182,7 +261,7 @@ class RestaurantHoursService {
    * Get minimum order time (current time + preparation time)
    */
   getMinimumOrderTime(orderType = 'pickup') {
-    const now = new Date();
+    const now = this.getRestaurantNow();
     const prepTime = this.preparationTime[orderType];
     const minTime = new Date(now.getTime() + prepTime * 60000);
     return minTime;
@@ -192,6 +271,14 @@ class RestaurantHoursService {
    * Get restaurant status message
    */
   getStatusMessage() {
+    if (this.isPaused()) {
+      return {
+        isOpen: false,
+        message: this.pause.reason ? `Ordering Paused ⋅ ${this.pause.reason}` : 'Ordering Paused',
+        nextOpening: null
+      };
+    }
+
     if (this.isCurrentlyOpen()) {
       return {
         isOpen: true,
@@ -201,10 +288,10 @@ class RestaurantHoursService {
     } else {
       const nextOpening = this.getNextOpeningTime();
       if (nextOpening) {
-        const message = nextOpening.isToday 
+        const message = nextOpening.isToday
           ? `Closed ⋅ Opens ${this.formatTimeDisplay(this.parseTimeToDate(nextOpening.time))}`
           : `Closed ⋅ Opens ${this.formatDayDisplay(nextOpening.date)} ${this.formatTimeDisplay(this.parseTimeToDate(nextOpening.time))}`;
-        
+
         return {
           isOpen: false,
           message: message,
@@ -224,26 +311,65 @@ class RestaurantHoursService {
    * Get closing time for today
    */
   getClosingTime() {
-    const now = new Date();
-    const dayName = this.getDayName(now);
-    const dateString = this.formatDate(now);
-
-    if (this.specialHours[dateString]) {
-      return this.specialHours[dateString].close;
-    }
+    const hours = this.getHoursForDate(this.getRestaurantNow());
+    return hours && hours.isOpen ? hours.close : null;
+  }
 
-    const hours = this.businessHours[dayName];
-    return hours ? hours.close : null;
+  /**
+   * Latest time an order can be placed for on a day
+   */
+  getLastOrderTime(hours) {
+    const close = this.parseTime(hours.close);
+    const minutes = Math.max(close.hours * 60 + close.minutes - this.lastOrderMinutes, 0);
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
   }
 
   // Utility methods
+
+  /**
+   * Current wall-clock time at the restaurant, as a local Date
+   */
+  getRestaurantNow() {
+    return this.toRestaurantTime(new Date());
+  }
+
+  /**
+   * Convert an instant to a Date whose local fields show the restaurant's wall clock
+   */
+  toRestaurantTime(instant) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone: this.timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(instant).map(part => [part.type, part.value])
+    );
+
+    return new Date(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute),
+      Number(parts.second)
+    );
+  }
+
   getDayName(date) {
-    const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-    return days[date.getDay()];
+    return DAY_NAMES[date.getDay()];
   }
 
   formatDate(date) {
-    return date.toISOString().split('T')[0];
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
   }
 
   formatTime(date) {
@@ -251,10 +377,10 @@ class RestaurantHoursService {
   }
 
   formatTimeDisplay(date) {
-    return date.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
+    return date.toLocaleTimeString('en-US', {
+      hour: 'numeric',
       minute: '2-digit',
-      hour12: true 
+      hour12: true
     });
   }
 
@@ -273,36 +399,6 @@ class RestaurantHoursService {
     date.setHours(hours, minutes, 0, 0);
     return date;
   }
-
-  /**
-   * Add special hours (holidays, closures, etc.)
-   */
-  addSpecialHours(date, hours) {
-    this.specialHours[date] = hours;
-  }
-
-  /**
-   * Remove special hours
-   */
-  removeSpecialHours(date) {
-    delete this.specialHours[date];
-  }
-
-  /**
-   * Update business hours
-   */
-  updateBusinessHours(day, hours) {
-    if (this.businessHours[day]) {
-      this.businessHours[day] = { ...this.businessHours[day], ...hours };
-    }
-  }
-
-  /**
-   * Update preparation times
-   */
-  updatePreparationTime(orderType, minutes) {
-    this.preparationTime[orderType] = minutes;
-  }
 }
 
 // Create and export singleton instance
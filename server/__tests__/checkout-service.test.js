@@ -0,0 +1,109 @@
+jest.mock('../services/inventory-service');
+jest.mock('../services/kitchen-capacity-service');
+jest.mock('../services/coupon-service');
+jest.mock('../services/loyalty-service');
+jest.mock('../services/gift-card-service');
+
+const { reserveOrderStock, restoreOrderStock } = require('../services/inventory-service');
+const { reserveOrderSlot, restoreSlot } = require('../services/kitchen-capacity-service');
+const { redeemOrderCoupon, restoreOrderCoupon } = require('../services/coupon-service');
+const { redeemOrderPoints, restoreRedeemedPoints } = require('../services/loyalty-service');
+const { redeemOrderGiftCards, restoreRedeemedGiftCards } = require('../services/gift-card-service');
+const { placeOrder } = require('../services/checkout-service');
+
+// Records the order steps run and are undone in
+let calls;
+
+const track = (mock, name, result) => mock.mockImplementation(async () => {
+  calls.push(name);
+  if (result instanceof Error) {
+    throw result;
+  }
+});
+
+const buildOrder = () => ({
+  _id: 'order-1',
+  kitchenSlot: { start: new Date('2030-06-14T22:00:00Z'), prepMinutes: 20 },
+  save: jest.fn(async () => {
+    calls.push('save');
+  })
+});
+
+beforeEach(() => {
+  calls = [];
+  track(reserveOrderStock, 'reserve stock');
+  track(reserveOrderSlot, 'reserve slot');
+  track(redeemOrderCoupon, 'redeem coupon');
+  track(redeemOrderPoints, 'redeem points');
+  track(redeemOrderGiftCards, 'redeem gift cards');
+  track(restoreOrderStock, 'restore stock');
+  track(restoreSlot, 'restore slot');
+  track(restoreOrderCoupon, 'restore coupon');
+  track(restoreRedeemedPoints, 'restore points');
+  track(restoreRedeemedGiftCards, 'restore gift cards');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('placeOrder', () => {
+  test('takes hold of everything in order, then stores the order', async () => {
+    const order = buildOrder();
+
+    await expect(placeOrder(order, { prepMinutes: 20 })).resolves.toBe(order);
+
+    expect(calls).toEqual(['reserve stock', 'reserve slot', 'redeem coupon', 'redeem points', 'redeem gift cards', 'save']);
+    expect(reserveOrderSlot).toHaveBeenCalledWith(order, 20);
+  });
+
+  test('undoes the steps that ran, newest first, when a later step fails', async () => {
+    const order = buildOrder();
+    track(redeemOrderGiftCards, 'redeem gift cards', Object.assign(new Error('Gift card has expired'), { status: 400 }));
+
+    await expect(placeOrder(order, { prepMinutes: 20 })).rejects.toThrow('Gift card has expired');
+
+    expect(calls).toEqual([
+      'reserve stock', 'reserve slot', 'redeem coupon', 'redeem points', 'redeem gift cards',
+      'restore points', 'restore coupon', 'restore slot', 'restore stock'
+    ]);
+    expect(restoreSlot).toHaveBeenCalledWith(order.kitchenSlot);
+  });
+
+  test('does not undo a step that never ran', async () => {
+    track(reserveOrderStock, 'reserve stock', new Error('Only 0 of "Masala Dosa" available in stock'));
+
+    await expect(placeOrder(buildOrder(), { prepMinutes: 20 })).rejects.toThrow('available in stock');
+
+    expect(calls).toEqual(['reserve stock']);
+  });
+
+  test('undoes every step when the order cannot be stored', async () => {
+    const order = buildOrder();
+    order.save.mockRejectedValue(new Error('Order validation failed'));
+
+    await expect(placeOrder(order, { prepMinutes: 20 })).rejects.toThrow('Order validation failed');
+
+    expect(calls).toEqual([
+      'reserve stock', 'reserve slot', 'redeem coupon', 'redeem points', 'redeem gift cards',
+      'restore gift cards', 'restore points', 'restore coupon', 'restore slot', 'restore stock'
+    ]);
+  });
+
+  test('keeps undoing when one undo fails, and rethrows the original error', async () => {
+    track(redeemOrderPoints, 'redeem points', new Error('Not enough points'));
+    track(restoreOrderCoupon, 'restore coupon', new Error('Connection lost'));
+
+    await expect(placeOrder(buildOrder(), { prepMinutes: 20 })).rejects.toThrow('Not enough points');
+
+    expect(calls).toEqual([
+      'reserve stock', 'reserve slot', 'redeem coupon', 'redeem points',
+      'restore coupon', 'restore slot', 'restore stock'
+    ]);
+    expect(console.error).toHaveBeenCalledWith(
+      'Failed to give back coupon for unplaced order order-1:',
+      expect.objectContaining({ message: 'Connection lost' })
+    );
+  });
+});
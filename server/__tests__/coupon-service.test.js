@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const Category = require('../models/Category');
+const Order = require('../models/Order');
+const { evaluateCoupon, applyCouponToCart } = require('../services/coupon-service');
+const { placeOrder } = require('../services/checkout-service');
+const { cancelOrder, releaseCancelledOrder } = require('../services/order-cancellation-service');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, orderLine, buildOrder } = require('./setup/fixtures');
+
+// Coupons default to one use per customer; these start unlimited so each test sets its own limits
+const buildCoupon = (overrides = {}) => new Coupon({
+  code: 'SAVE10',
+  type: 'percentage',
+  value: 10,
+  isActive: true,
+  perUserLimit: null,
+  ...overrides
+});
+
+/**
+ * A cart with one $30 and one $10 line
+ */
+const buildCart = (overrides = {}) => ({
+  user: new mongoose.Types.ObjectId(),
+  items: [
+    { menu: new mongoose.Types.ObjectId(), quantity: 2, itemTotal: 30 },
+    { menu: new mongoose.Types.ObjectId(), quantity: 1, itemTotal: 10 }
+  ],
+  subtotal: 40,
+  ...overrides
+});
+
+describe('evaluateCoupon', () => {
+  test('takes a percentage off the cart, up to its cap', async () => {
+    await expect(evaluateCoupon(buildCoupon(), buildCart())).resolves.toMatchObject({ code: 'SAVE10', discount: 4 });
+    await expect(evaluateCoupon(buildCoupon({ maxDiscount: 2.5 }), buildCart())).resolves.toMatchObject({ discount: 2.5 });
+  });
+
+  test('never takes off more than the cart is worth', async () => {
+    const applied = await evaluateCoupon(buildCoupon({ code: 'FLAT50', type: 'fixed', value: 50 }), buildCart());
+
+    expect(applied.discount).toBe(40);
+  });
+
+  test('waives delivery instead of discounting free-delivery coupons', async () => {
+    const applied = await evaluateCoupon(buildCoupon({ code: 'FREEDEL', type: 'free-delivery', value: undefined }), buildCart());
+
+    expect(applied).toMatchObject({ discount: 0, freeDelivery: true });
+  });
+
+  test('says how much more a cart below the minimum needs', async () => {
+    await expect(evaluateCoupon(buildCoupon({ minOrder: 50 }), buildCart()))
+      .rejects.toThrow('Coupon SAVE10 needs a minimum order of $50.00. Add $10.00 more to use it.');
+  });
+
+  test.each([
+    ['inactive', { isActive: false }, 'Coupon SAVE10 is no longer active'],
+    ['not started', { startsAt: new Date(Date.now() + 86400000) }, 'Coupon SAVE10 is not valid yet'],
+    ['expired', { endsAt: new Date(Date.now() - 86400000) }, 'Coupon SAVE10 has expired'],
+    ['used up', { usageLimit: 5, usageCount: 5 }, 'Coupon SAVE10 has reached its usage limit']
+  ])('refuses a coupon that is %s', async (label, overrides, message) => {
+    await expect(evaluateCoupon(buildCoupon(overrides), buildCart())).rejects.toMatchObject({ status: 400, message });
+  });
+
+  test.each([
+    ['a per-customer limit', { perUserLimit: 1 }],
+    ['a first-order restriction', { firstOrderOnly: true }]
+  ])('refuses a coupon with %s for a cart without a customer', async (label, overrides) => {
+    await expect(evaluateCoupon(buildCoupon(overrides), buildCart({ user: undefined })))
+      .rejects.toMatchObject({ status: 400, message: 'Please sign in to use coupon SAVE10' });
+  });
+});
+
+describeWithDatabase('Coupons with stored orders', () => {
+  useTestDatabase();
+
+  const checkout = (order) => placeOrder(order, { prepMinutes: 10 });
+
+  const buildCouponOrder = (menuItem, coupon, overrides = {}) => buildOrder(menuItem, {
+    coupon: { coupon: coupon._id, code: coupon.code, type: coupon.type, discount: 1.3 },
+    discount: 1.3,
+    ...overrides
+  });
+
+  test('counts uses per customer', async () => {
+    const coupon = await buildCoupon({ perUserLimit: 1 }).save();
+    const menuItem = await createMenuItem();
+    const order = await checkout(buildCouponOrder(menuItem, coupon));
+
+    await expect(evaluateCoupon(coupon, buildCart({ user: order.user })))
+      .rejects.toThrow('You have already used coupon SAVE10');
+    await expect(evaluateCoupon(coupon, buildCart())).resolves.toMatchObject({ discount: 4 });
+  });
+
+  test('keeps first-order coupons for customers without an earlier order', async () => {
+    const coupon = await buildCoupon({ code: 'WELCOME15', value: 15, firstOrderOnly: true }).save();
+    const menuItem = await createMenuItem();
+    const order = await checkout(buildOrder(menuItem));
+
+    await expect(evaluateCoupon(coupon, buildCart({ user: order.user })))
+      .rejects.toThrow('Coupon WELCOME15 is only valid on your first order');
+  });
+
+  test('discounts only lines in the coupon\'s categories, including subcategories', async () => {
+    const drinks = new mongoose.Types.ObjectId();
+    const { insertedId: juices } = await Category.collection.insertOne({ name: 'Juices', parentCategory: drinks });
+    const dosa = await createMenuItem();
+    const lassi = await createMenuItem({ name: 'Mango Lassi', category: juices, discountedPrice: 5, mrp: 5 });
+    const coupon = buildCoupon({ categories: [drinks] });
+
+    const applied = await evaluateCoupon(coupon, buildCart({
+      items: [orderLine(dosa, 2), orderLine(lassi, 2)],
+      subtotal: 35.98
+    }));
+
+    expect(applied.discount).toBe(1);
+  });
+
+  test('stores the applied code on the cart', async () => {
+    await buildCoupon().save();
+    const cart = buildCart();
+
+    await applyCouponToCart(cart, ' save10 ');
+
+    expect(cart.appliedCoupon.code).toBe('SAVE10');
+  });
+
+  test('lets only one checkout take the last use', async () => {
+    const coupon = await buildCoupon({ usageLimit: 1 }).save();
+    const menuItem = await createMenuItem();
+
+    const results = await Promise.allSettled([
+      checkout(buildCouponOrder(menuItem, coupon)),
+      checkout(buildCouponOrder(menuItem, coupon))
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toBe('Coupon SAVE10 is no longer available');
+    expect((await Coupon.findById(coupon._id)).usageCount).toBe(1);
+  });
+
+  test('gives the use back, once, when the order is cancelled', async () => {
+    const coupon = await buildCoupon({ usageLimit: 1 }).save();
+    const menuItem = await createMenuItem();
+    const order = await checkout(buildCouponOrder(menuItem, coupon));
+
+    await cancelOrder(order, { note: 'Customer changed their mind' });
+    await releaseCancelledOrder(await Order.findById(order._id));
+
+    expect((await Coupon.findById(coupon._id)).usageCount).toBe(0);
+    expect((await Order.findById(order._id)).coupon.status).toBe('released');
+  });
+});
@@ -0,0 +1,172 @@
+jest.mock('../helpers/send-email');
+
+const mongoose = require('mongoose');
+const GiftCard = require('../models/GiftCard');
+const Order = require('../models/Order');
+const {
+  parseGiftCardCodes,
+  getGiftCardRefundable,
+  resolveGiftCards,
+  createGiftCardPurchase,
+  activateGiftCard
+} = require('../services/gift-card-service');
+const { createFakeProvider } = require('../services/payment-providers/fake-provider');
+const {
+  setPaymentProvider,
+  createPaymentForOrder,
+  confirmPaymentForOrder,
+  refundOrder
+} = require('../services/payment-service');
+const { placeOrder } = require('../services/checkout-service');
+const { cancelOrder, releaseCancelledOrder } = require('../services/order-cancellation-service');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, buildOrder } = require('./setup/fixtures');
+
+let cardCount = 0;
+
+const createCard = (balance, overrides = {}) => {
+  cardCount += 1;
+  return GiftCard.create({
+    code: `GC-TEST-CARD-${String(cardCount).padStart(4, '0')}`,
+    kind: 'store_credit',
+    initialBalance: balance,
+    balance,
+    status: 'active',
+    recipientEmail: 'guest@example.com',
+    ...overrides
+  });
+};
+
+const balanceOf = async (card) => (await GiftCard.findById(card._id)).balance;
+
+/**
+ * A $25.98 order paying `amount` with a card
+ */
+const buildGiftCardOrder = (menuItem, card, amount) => buildOrder(menuItem, {
+  quantity: 2,
+  giftCards: [{ giftCard: card._id, code: card.code, amount }],
+  giftCardAmount: amount
+});
+
+const checkout = (order) => placeOrder(order, { prepMinutes: 20 });
+
+beforeEach(() => {
+  setPaymentProvider(createFakeProvider({ webhookSecret: 'whsec_test' }));
+});
+
+describe('parseGiftCardCodes', () => {
+  test('reads codes from an array or a comma-separated string', () => {
+    expect(parseGiftCardCodes(' gc-aaaa-bbbb-cccc, GC-DDDD-EEEE-FFFF ')).toEqual(['GC-AAAA-BBBB-CCCC', 'GC-DDDD-EEEE-FFFF']);
+    expect(parseGiftCardCodes(['gc-aaaa-bbbb-cccc', ''])).toEqual(['GC-AAAA-BBBB-CCCC']);
+    expect(parseGiftCardCodes(undefined)).toEqual([]);
+  });
+});
+
+describe('getGiftCardRefundable', () => {
+  test('counts what is left of redeemed cards only', () => {
+    const order = new Order({
+      giftCards: [
+        { giftCard: new mongoose.Types.ObjectId(), code: 'GC-A', amount: 10, refundedAmount: 4, status: 'redeemed' },
+        { giftCard: new mongoose.Types.ObjectId(), code: 'GC-B', amount: 5, status: 'restored' }
+      ]
+    });
+
+    expect(getGiftCardRefundable(order)).toBe(6);
+  });
+});
+
+describeWithDatabase('Gift cards at checkout', () => {
+  useTestDatabase();
+
+  let menuItem;
+
+  beforeEach(async () => {
+    menuItem = await createMenuItem();
+  });
+
+  test('draws on cards in the order given, only for what is still owed', async () => {
+    const first = await createCard(20);
+    const second = await createCard(20);
+    const third = await createCard(20);
+
+    const resolved = await resolveGiftCards([first.code, second.code, third.code], 25.98);
+
+    expect(resolved.amount).toBe(25.98);
+    expect(resolved.giftCards.map(card => card.amount)).toEqual([20, 5.98]);
+  });
+
+  test('refuses an expired card', async () => {
+    const card = await createCard(20, { expiresAt: new Date('2020-01-01T00:00:00Z') });
+
+    await expect(resolveGiftCards([card.code], 25.98)).rejects.toThrow(`Gift card ${card.code} expired`);
+  });
+
+  test('takes a split payment off the card and leaves the rest to pay online', async () => {
+    const card = await createCard(10);
+
+    const order = await checkout(buildGiftCardOrder(menuItem, card, 10));
+
+    expect(await balanceOf(card)).toBe(0);
+    expect(order.giftCards[0].status).toBe('redeemed');
+    expect(order.paymentStatus).toBe('pending');
+    expect(order.amountDue).toBe(15.98);
+  });
+
+  test('marks an order the cards cover in full as paid', async () => {
+    const card = await createCard(50);
+
+    const order = await checkout(buildGiftCardOrder(menuItem, card, 25.98));
+
+    expect(order.paymentStatus).toBe('paid');
+    expect(order.paymentProvider).toBe('gift_card');
+    expect(await balanceOf(card)).toBe(24.02);
+  });
+
+  test('lets only one of two checkouts spend the same balance', async () => {
+    const card = await createCard(20);
+
+    const results = await Promise.allSettled([
+      checkout(buildGiftCardOrder(menuItem, card, 20)),
+      checkout(buildGiftCardOrder(menuItem, card, 20))
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.message).toMatch(/no longer covers \$20\.00/);
+    expect(await balanceOf(card)).toBe(0);
+    expect(await Order.countDocuments()).toBe(1);
+  });
+
+  test('puts the card money back, once, when an unpaid order is cancelled', async () => {
+    const card = await createCard(10);
+    const order = await checkout(buildGiftCardOrder(menuItem, card, 10));
+
+    await cancelOrder(order, { note: 'Customer changed their mind' });
+    await releaseCancelledOrder(await Order.findById(order._id));
+
+    expect(await balanceOf(card)).toBe(10);
+  });
+
+  test('refunds a split payment to the gift card before the card payment', async () => {
+    const card = await createCard(10);
+    const order = await checkout(buildGiftCardOrder(menuItem, card, 10));
+    await createPaymentForOrder(order);
+    await confirmPaymentForOrder(order);
+
+    const refund = await refundOrder(order, { type: 'partial', amount: 12, reason: 'Late', refundedBy: new mongoose.Types.ObjectId() });
+
+    expect(refund.giftCardAmount).toBe(10);
+    expect(refund.provider).toBe('fake');
+    expect(await balanceOf(card)).toBe(10);
+  });
+
+  test('loads a purchased card once, however often its payment is reported', async () => {
+    const card = await createGiftCardPurchase({ amount: 50, recipientEmail: 'friend@example.com', senderName: 'Sam' });
+    const payment = { provider: 'fake', paymentIntentId: 'pi_fake_1' };
+
+    await Promise.all([activateGiftCard(card, payment), activateGiftCard(card, payment)]);
+
+    const stored = await GiftCard.findById(card._id);
+    expect(stored.status).toBe('active');
+    expect(stored.balance).toBe(50);
+  });
+});
@@ -0,0 +1,180 @@
+const express = require('express');
+const request = require('supertest');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotentRequest } = require('../middleware/idempotency-middleware');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+
+const SESSION_ID = 'guest-session-1';
+
+/**
+ * A checkout-like endpoint that counts how often it really runs
+ * Bodies with `hold` wait until release() is called; `fail` answers 400.
+ * @param {Function} prepare - Optional middleware run before the idempotency check
+ */
+const createApp = (prepare = (req, res, next) => next()) => {
+  let release;
+  const gate = new Promise(resolve => {
+    release = resolve;
+  });
+
+  const app = express();
+  app.use(express.json());
+  app.calls = 0;
+  app.release = release;
+  app.post('/orders', prepare, idempotentRequest('create-order'), async (req, res) => {
+    app.calls += 1;
+    const call = app.calls;
+
+    if (req.body.hold) {
+      await gate;
+    }
+    if (req.body.fail) {
+      return res.status(400).json({ success: false, message: 'Out of stock' });
+    }
+    res.status(201).json({ success: true, call });
+  });
+
+  return app;
+};
+
+const postOrder = (app, key, body = { items: ['masala-dosa'] }) => {
+  const pending = request(app).post('/orders').set('x-guest-session-id', SESSION_ID);
+  return (key === undefined ? pending : pending.set('Idempotency-Key', key)).send(body);
+};
+
+const waitFor = async (check) => {
+  while (!check()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('idempotentRequest', () => {
+  test('refuses keys longer than 255 characters', async () => {
+    const app = createApp();
+
+    const response = await postOrder(app, 'k'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect(app.calls).toBe(0);
+  });
+});
+
+describeWithDatabase('idempotentRequest with stored keys', () => {
+  useTestDatabase();
+
+  test('runs every request without a key', async () => {
+    const app = createApp();
+
+    await postOrder(app);
+    await postOrder(app);
+
+    expect(app.calls).toBe(2);
+  });
+
+  test('replays the stored response for a retry with the same key', async () => {
+    const app = createApp();
+
+    const first = await postOrder(app, 'checkout-1');
+    const retry = await postOrder(app, 'checkout-1');
+
+    expect(app.calls).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('treats a key with surrounding spaces as the same key', async () => {
+    // HTTP strips spaces around header values, so add them after parsing
+    const app = createApp((req, res, next) => {
+      if (req.body.padKey) {
+        req.headers['idempotency-key'] = `  ${req.headers['idempotency-key']} `;
+      }
+      next();
+    });
+
+    await postOrder(app, 'checkout-1', { padKey: true });
+    const retry = await postOrder(app, 'checkout-1', { padKey: true });
+
+    expect(app.calls).toBe(1);
+    expect(await IdempotencyKey.exists({ key: 'checkout-1' })).toBeTruthy();
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('refuses a key reused for a different request', async () => {
+    const app = createApp();
+
+    await postOrder(app, 'checkout-1');
+    const response = await postOrder(app, 'checkout-1', { items: ['mango-lassi'] });
+
+    expect(response.status).toBe(422);
+    expect(app.calls).toBe(1);
+  });
+
+  test('frees the key after an error so a retry runs again', async () => {
+    const app = createApp();
+
+    const failed = await postOrder(app, 'checkout-1', { fail: true });
+    const retry = await postOrder(app, 'checkout-1', { fail: true });
+
+    expect(failed.status).toBe(400);
+    expect(retry.status).toBe(400);
+    expect(app.calls).toBe(2);
+    expect(await IdempotencyKey.countDocuments()).toBe(0);
+  });
+
+  test('runs only one of several simultaneous requests with the same key', async () => {
+    const app = createApp();
+    const body = { items: ['masala-dosa'], hold: true };
+    const responses = [];
+
+    // The request that gets the key holds it until every other one has been answered
+    const pending = Array.from({ length: 5 }, () => postOrder(app, 'checkout-1', body)
+      .then(response => responses.push(response)));
+    await waitFor(() => responses.length === 4);
+    app.release();
+    await Promise.all(pending);
+
+    expect(app.calls).toBe(1);
+    expect(responses.filter(response => response.status === 201)).toHaveLength(1);
+    responses.filter(response => response.status !== 201).forEach(response => {
+      expect(response.status).toBe(409);
+      expect(response.body.code).toBe('IDEMPOTENCY_KEY_IN_PROGRESS');
+      expect(response.headers['retry-after']).toBe('1');
+    });
+  });
+
+  test('asks a retry to wait while the first request still holds the key', async () => {
+    const app = createApp();
+    const body = { items: ['masala-dosa'], hold: true };
+
+    const first = postOrder(app, 'checkout-1', body).then(response => response);
+    await waitFor(() => app.calls === 1);
+
+    const retry = await postOrder(app, 'checkout-1', body);
+    expect(retry.status).toBe(409);
+
+    app.release();
+    expect((await first).status).toBe(201);
+    expect(app.calls).toBe(1);
+  });
+
+  test('lets a retry take over a key whose request stopped holding it', async () => {
+    const app = createApp();
+    const body = { items: ['masala-dosa'], hold: true };
+
+    // The first request stalls past its lease, as if its process had died
+    const first = postOrder(app, 'checkout-1', body).then(response => response);
+    await waitFor(() => app.calls === 1);
+    await IdempotencyKey.updateMany({}, { $set: { lockedUntil: new Date(Date.now() - 1000) } });
+
+    const retry = postOrder(app, 'checkout-1', body).then(response => response);
+    await waitFor(() => app.calls === 2);
+    app.release();
+
+    expect((await retry).status).toBe(201);
+    await first;
+
+    const stored = await IdempotencyKey.findOne({ key: 'checkout-1' });
+    expect(stored.status).toBe('completed');
+  });
+});
@@ -0,0 +1,80 @@
+const Menu = require('../models/Menu');
+const Order = require('../models/Order');
+const { releaseOrderStock } = require('../services/inventory-service');
+const { placeOrder } = require('../services/checkout-service');
+const { cancelOrder, releaseCancelledOrder } = require('../services/order-cancellation-service');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, orderLine, buildOrder } = require('./setup/fixtures');
+
+const stockOf = async (menuItem) => (await Menu.findById(menuItem._id)).quantity;
+
+const checkout = (order) => placeOrder(order, { prepMinutes: 10 });
+
+describeWithDatabase('Stock reservation at checkout', () => {
+  useTestDatabase();
+
+  test('never sells more than is in stock to parallel checkouts', async () => {
+    const dosa = await createMenuItem({ quantity: 5 });
+
+    const results = await Promise.allSettled(Array.from({ length: 12 }, () => checkout(buildOrder(dosa))));
+
+    const placed = results.filter(result => result.status === 'fulfilled');
+    const refused = results.filter(result => result.status === 'rejected');
+    expect(placed).toHaveLength(5);
+    refused.forEach(result => expect(result.reason.status).toBe(400));
+    expect(await stockOf(dosa)).toBe(0);
+    expect(await Order.countDocuments()).toBe(5);
+  });
+
+  test('reserves nothing when one line of the order is short', async () => {
+    const dosa = await createMenuItem({ quantity: 10 });
+    const lassi = await createMenuItem({ name: 'Mango Lassi', quantity: 2 });
+
+    await expect(checkout(buildOrder([orderLine(dosa, 1), orderLine(lassi, 3)])))
+      .rejects.toThrow('Only 2 of "Mango Lassi" available in stock');
+
+    expect(await stockOf(dosa)).toBe(10);
+    expect(await stockOf(lassi)).toBe(2);
+    expect(await Order.countDocuments()).toBe(0);
+  });
+
+  test('adds up lines for the same item before checking stock', async () => {
+    const dosa = await createMenuItem({ quantity: 3 });
+
+    await expect(checkout(buildOrder([orderLine(dosa, 2), orderLine(dosa, 2)]))).rejects.toThrow('available in stock');
+
+    expect(await stockOf(dosa)).toBe(3);
+  });
+
+  test('marks a placed order as holding its stock', async () => {
+    const dosa = await createMenuItem({ quantity: 10 });
+
+    const order = await checkout(buildOrder(dosa, { quantity: 4 }));
+
+    expect(order.stockStatus).toBe('reserved');
+    expect(await stockOf(dosa)).toBe(6);
+  });
+
+  test('gives stock back only once however many paths release it', async () => {
+    const dosa = await createMenuItem({ quantity: 10 });
+    const order = await checkout(buildOrder(dosa, { quantity: 4 }));
+    const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+
+    const released = await Promise.all([releaseOrderStock(first), releaseOrderStock(second)]);
+
+    expect(released.filter(Boolean)).toHaveLength(1);
+    expect(await stockOf(dosa)).toBe(10);
+  });
+
+  test('returns the stock of a cancelled order', async () => {
+    const dosa = await createMenuItem({ quantity: 10 });
+    const order = await checkout(buildOrder(dosa, { quantity: 4 }));
+
+    await cancelOrder(order, { note: 'Customer changed their mind' });
+    // Another cancel path releasing the same order gives nothing back twice
+    await releaseCancelledOrder(await Order.findById(order._id));
+
+    expect(await stockOf(dosa)).toBe(10);
+    expect((await Order.findById(order._id)).stockStatus).toBe('released');
+  });
+});
@@ -0,0 +1,169 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const {
+  getTierForSpend,
+  getRollingSpend,
+  resolveRedemption,
+  awardOrderPoints,
+  reverseOrderPoints
+} = require('../services/loyalty-service');
+const { placeOrder } = require('../services/checkout-service');
+const { cancelOrder, releaseCancelledOrder } = require('../services/order-cancellation-service');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, buildOrder } = require('./setup/fixtures');
+
+describe('getTierForSpend', () => {
+  test.each([
+    [0, 'Bronze', 'Silver', 250],
+    [249.99, 'Bronze', 'Silver', 0.01],
+    [250, 'Silver', 'Gold', 500],
+    [900, 'Gold', null, null]
+  ])('puts a spend of $%d in %s', (spend, tierName, nextTierName, amountAway) => {
+    const { tier, nextTier } = getTierForSpend(spend);
+
+    expect(tier.name).toBe(tierName);
+    expect(nextTier ? nextTier.name : null).toBe(nextTierName);
+    expect(nextTier ? nextTier.amountAway : null).toBe(amountAway);
+  });
+});
+
+describe('awardOrderPoints', () => {
+  test.each([
+    ['an order that is not delivered yet', { deliveryStatus: 'ready', paymentStatus: 'paid' }],
+    ['a delivered order that was never paid', { deliveryStatus: 'delivered', paymentStatus: 'pending' }],
+    ['a delivered order whose payment failed', { deliveryStatus: 'delivered', paymentStatus: 'failed' }]
+  ])('awards nothing for %s', async (label, fields) => {
+    const order = new Order({ user: new mongoose.Types.ObjectId(), subtotal: 40, totalPrice: 44, ...fields });
+
+    await expect(awardOrderPoints(order)).resolves.toBe(0);
+  });
+});
+
+describe('resolveRedemption', () => {
+  test('only redeems whole points', async () => {
+    await expect(resolveRedemption(new mongoose.Types.ObjectId(), 150.5, 20))
+      .rejects.toThrow('Loyalty points to redeem must be a whole number');
+  });
+});
+
+describeWithDatabase('Loyalty points on stored orders', () => {
+  useTestDatabase();
+
+  let customerCount = 0;
+
+  const createCustomer = (loyaltyPoints = 0) => {
+    customerCount += 1;
+    return User.create({
+      name: 'Priya Customer',
+      email: `customer${customerCount}@example.com`,
+      kindeId: `kp_customer_${customerCount}`,
+      role: 'customer',
+      loyaltyPoints
+    });
+  };
+
+  const pointsOf = async (user) => (await User.findById(user._id)).loyaltyPoints;
+
+  /**
+   * Store an order as if it had been through checkout and been handed over
+   */
+  const createDeliveredOrder = async (user, { subtotal, totalPrice = subtotal, ...fields }) => {
+    const menuItem = await createMenuItem();
+    const order = buildOrder(menuItem, { user: user._id, paymentStatus: 'paid', deliveryStatus: 'delivered', ...fields });
+    order.subtotal = subtotal;
+    order.totalPrice = totalPrice;
+    return order.save();
+  };
+
+  test('credits a paid, delivered order once', async () => {
+    const user = await createCustomer();
+    const order = await createDeliveredOrder(user, { subtotal: 40.75, totalPrice: 44.2 });
+
+    const awarded = await Promise.all([awardOrderPoints(order), awardOrderPoints(await Order.findById(order._id))]);
+
+    expect(awarded.sort((a, b) => a - b)).toEqual([0, 40]);
+    expect(await pointsOf(user)).toBe(40);
+  });
+
+  test('gives guests no points', async () => {
+    const guest = await User.create({ name: 'Guest', email: 'guest@example.com', role: 'guest', sessionId: 'guest-1' });
+    const order = await createDeliveredOrder(guest, { subtotal: 40 });
+
+    await expect(awardOrderPoints(order)).resolves.toBe(0);
+  });
+
+  test('counts only paid, delivered spend towards tiers, net of refunds', async () => {
+    const user = await createCustomer();
+    await createDeliveredOrder(user, { subtotal: 100, totalPrice: 110, refundAmount: 55 });
+    await createDeliveredOrder(user, { subtotal: 200, paymentStatus: 'pending' });
+    await createDeliveredOrder(user, { subtotal: 300, deliveryStatus: 'ready' });
+
+    await expect(getRollingSpend(user._id)).resolves.toBe(50);
+  });
+
+  test('multiplies points by the customer\'s tier', async () => {
+    const user = await createCustomer();
+    await createDeliveredOrder(user, { subtotal: 300 });
+    const order = await createDeliveredOrder(user, { subtotal: 40 });
+
+    await expect(awardOrderPoints(order)).resolves.toBe(50);
+  });
+
+  test('takes back earned points in proportion to a partial refund', async () => {
+    const user = await createCustomer();
+    const order = await createDeliveredOrder(user, { subtotal: 100 });
+    await awardOrderPoints(order);
+
+    order.refundAmount = 25;
+    await expect(reverseOrderPoints(order)).resolves.toBe(25);
+    await expect(reverseOrderPoints(order)).resolves.toBe(0);
+    expect(await pointsOf(user)).toBe(75);
+  });
+
+  describe('redeeming points at checkout', () => {
+    const buildRedeemingOrder = async (user, points) => {
+      const menuItem = await createMenuItem();
+      return buildOrder(menuItem, {
+        user: user._id,
+        loyalty: { pointsRedeemed: points, redemptionDiscount: points / 100 }
+      });
+    };
+
+    test('lets only one of two checkouts spend the same points', async () => {
+      const user = await createCustomer(150);
+
+      const results = await Promise.allSettled([
+        placeOrder(await buildRedeemingOrder(user, 100), { prepMinutes: 10 }),
+        placeOrder(await buildRedeemingOrder(user, 100), { prepMinutes: 10 })
+      ]);
+
+      expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+      expect(results.find(result => result.status === 'rejected').reason.message)
+        .toBe('You no longer have enough loyalty points for this order');
+      expect(await pointsOf(user)).toBe(50);
+    });
+
+    test('gives the points back when checkout fails after redeeming them', async () => {
+      const user = await createCustomer(150);
+      const order = await buildRedeemingOrder(user, 100);
+      order.giftCards = [{ giftCard: new mongoose.Types.ObjectId(), code: 'GC-MISSING', amount: 5 }];
+      order.giftCardAmount = 5;
+
+      await expect(placeOrder(order, { prepMinutes: 10 })).rejects.toThrow('Gift card GC-MISSING no longer covers');
+
+      expect(await pointsOf(user)).toBe(150);
+      expect(order.loyalty.redemptionStatus).toBeUndefined();
+    });
+
+    test('gives the points back, once, when the order is cancelled', async () => {
+      const user = await createCustomer(150);
+      const order = await placeOrder(await buildRedeemingOrder(user, 100), { prepMinutes: 10 });
+
+      await cancelOrder(order, { note: 'Customer changed their mind' });
+      await releaseCancelledOrder(await Order.findById(order._id));
+
+      expect(await pointsOf(user)).toBe(150);
+    });
+  });
+});
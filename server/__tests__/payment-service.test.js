@@ -0,0 +1,312 @@
+const express = require('express');
+const request = require('supertest');
+const Menu = require('../models/Menu');
+const Order = require('../models/Order');
+const { createFakeProvider, DECLINED_PAYMENT_METHOD } = require('../services/payment-providers/fake-provider');
+const {
+  setPaymentProvider,
+  createPaymentForOrder,
+  confirmPaymentForOrder,
+  verifyWebhookEvent,
+  applyWebhookEvent,
+  markOrderPaid,
+  markOrderFailed
+} = require('../services/payment-service');
+const { placeOrder } = require('../services/checkout-service');
+const { paymentWebhook } = require('../controllers/shop/payment-controller');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, buildOrder } = require('./setup/fixtures');
+
+const WEBHOOK_SECRET = 'whsec_test';
+
+/**
+ * Load payment-service with its own provider cache, as a fresh server would
+ */
+const loadPaymentService = (env) => {
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+
+  let service;
+  jest.isolateModules(() => {
+    service = require('../services/payment-service');
+  });
+
+  return {
+    service,
+    restore: () => {
+      process.env = saved;
+    }
+  };
+};
+
+/**
+ * Mount the webhook the way server.js does, keeping the raw body for signature checks
+ */
+const createWebhookApp = () => {
+  const app = express();
+  app.use(express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    }
+  }));
+  app.post('/webhook', paymentWebhook);
+  return app;
+};
+
+const webhookEvent = (type, intent) => JSON.stringify({ type, data: { object: intent } });
+
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({ webhookSecret: WEBHOOK_SECRET });
+  setPaymentProvider(provider);
+});
+
+describe('getPaymentProvider', () => {
+  const selectProvider = (env) => {
+    const { service, restore } = loadPaymentService(env);
+    try {
+      return service.getPaymentProvider();
+    } finally {
+      restore();
+    }
+  };
+
+  test('uses Stripe unless another provider is asked for', () => {
+    expect(selectProvider({ PAYMENT_PROVIDER: '', STRIPE_SECRET_KEY: 'sk_test_123' }).name).toBe('stripe');
+  });
+
+  test('fails without a Stripe key instead of falling back to the fake provider', () => {
+    expect(() => selectProvider({ PAYMENT_PROVIDER: '', STRIPE_SECRET_KEY: '' }))
+      .toThrow('STRIPE_SECRET_KEY is required');
+  });
+
+  test('uses the fake provider only when it is asked for by name', () => {
+    const fake = selectProvider({ PAYMENT_PROVIDER: 'fake', NODE_ENV: 'test', FAKE_PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET });
+    expect(fake.name).toBe('fake');
+  });
+
+  test('refuses the fake provider in production', () => {
+    expect(() => selectProvider({ PAYMENT_PROVIDER: 'fake', NODE_ENV: 'production', FAKE_PAYMENT_WEBHOOK_SECRET: WEBHOOK_SECRET }))
+      .toThrow('cannot be used in production');
+  });
+
+  test('refuses the fake provider without a webhook secret', () => {
+    expect(() => selectProvider({ PAYMENT_PROVIDER: 'fake', NODE_ENV: 'test', FAKE_PAYMENT_WEBHOOK_SECRET: '' }))
+      .toThrow('FAKE_PAYMENT_WEBHOOK_SECRET is required');
+  });
+
+  test('rejects an unknown provider', () => {
+    expect(() => selectProvider({ PAYMENT_PROVIDER: 'paypal' })).toThrow('Unknown payment provider: paypal');
+  });
+});
+
+describe('Fake payment provider', () => {
+  test('creates an intent waiting for a payment method', async () => {
+    const intent = await provider.createPaymentIntent({ amount: 2598, metadata: { orderId: 'order-1' } });
+
+    expect(intent).toMatchObject({ amount: 2598, currency: 'usd', status: 'requires_payment_method' });
+    expect(intent.clientSecret).toContain(intent.id);
+  });
+
+  test('approves the test card', async () => {
+    const intent = await provider.createPaymentIntent({ amount: 2598 });
+    const confirmed = await provider.confirmPaymentIntent(intent.id);
+
+    expect(confirmed.status).toBe('succeeded');
+  });
+
+  test('declines the declined test card', async () => {
+    const intent = await provider.createPaymentIntent({ amount: 2598 });
+    const confirmed = await provider.confirmPaymentIntent(intent.id, { paymentMethod: DECLINED_PAYMENT_METHOD });
+
+    expect(confirmed.status).toBe('requires_payment_method');
+    expect(confirmed.failureReason).toBe('Your card was declined.');
+  });
+});
+
+describe('verifyWebhookEvent', () => {
+  const payload = webhookEvent('payment_intent.succeeded', { id: 'pi_fake_1', amount: 2598 });
+
+  test('parses a correctly signed event', () => {
+    const event = verifyWebhookEvent(Buffer.from(payload), provider.signWebhookPayload(payload));
+
+    expect(event.type).toBe('payment_intent.succeeded');
+    expect(event.data.object.id).toBe('pi_fake_1');
+  });
+
+  test('rejects a tampered payload with status 400', () => {
+    const signature = provider.signWebhookPayload(payload);
+    const tampered = payload.replace('2598', '1');
+
+    expect(() => verifyWebhookEvent(Buffer.from(tampered), signature))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('rejects a signature from another secret', () => {
+    const otherProvider = createFakeProvider({ webhookSecret: 'whsec_other' });
+
+    expect(() => verifyWebhookEvent(Buffer.from(payload), otherProvider.signWebhookPayload(payload)))
+      .toThrow('Webhook signature verification failed');
+  });
+
+  test('rejects an old signature', () => {
+    const anHourAgo = Math.floor(Date.now() / 1000) - 3600;
+
+    expect(() => verifyWebhookEvent(Buffer.from(payload), provider.signWebhookPayload(payload, anHourAgo)))
+      .toThrow('outside tolerance');
+  });
+
+  test('answers an unsigned webhook with 400', async () => {
+    const response = await request(createWebhookApp())
+      .post('/webhook')
+      .set('Content-Type', 'application/json')
+      .send(payload);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Invalid webhook signature');
+  });
+});
+
+describeWithDatabase('Order payments', () => {
+  useTestDatabase();
+
+  let menuItem;
+
+  const placeTestOrder = async (overrides) => {
+    menuItem = await createMenuItem({ quantity: 10 });
+    return placeOrder(buildOrder(menuItem, { quantity: 2, ...overrides }), { prepMinutes: 20 });
+  };
+
+  const stockLeft = async () => (await Menu.findById(menuItem._id)).quantity;
+
+  test('creates an intent for the amount due and marks the order paid once confirmed', async () => {
+    const order = await placeTestOrder();
+
+    const intent = await createPaymentForOrder(order);
+    expect(intent.amount).toBe(2598);
+
+    const { intent: confirmed } = await confirmPaymentForOrder(order);
+    expect(confirmed.status).toBe('succeeded');
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+    expect(stored.paymentIntentId).toBe(intent.id);
+    expect(stored.paidAt).toBeInstanceOf(Date);
+  });
+
+  test('reuses the open intent when payment is started twice', async () => {
+    const order = await placeTestOrder();
+
+    const first = await createPaymentForOrder(order);
+    const second = await createPaymentForOrder(order);
+
+    expect(second.id).toBe(first.id);
+  });
+
+  test('marks a declined payment failed and gives back its stock and kitchen slot', async () => {
+    const order = await placeTestOrder();
+    expect(await stockLeft()).toBe(8);
+
+    await createPaymentForOrder(order);
+    await confirmPaymentForOrder(order, { paymentMethod: DECLINED_PAYMENT_METHOD });
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('failed');
+    expect(stored.paymentFailureReason).toBe('Your card was declined.');
+    expect(stored.stockStatus).toBe('released');
+    expect(stored.kitchenSlot.status).toBe('released');
+    expect(await stockLeft()).toBe(10);
+  });
+
+  test('takes the stock again when the customer retries after a decline', async () => {
+    const order = await placeTestOrder();
+    await createPaymentForOrder(order);
+    await confirmPaymentForOrder(order, { paymentMethod: DECLINED_PAYMENT_METHOD });
+
+    await createPaymentForOrder(order);
+    await confirmPaymentForOrder(order);
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+    expect(stored.stockStatus).toBe('reserved');
+    expect(stored.kitchenSlot.status).toBe('reserved');
+    expect(await stockLeft()).toBe(8);
+  });
+
+  test('marks the order paid from a signed succeeded webhook', async () => {
+    const order = await placeTestOrder();
+    const intent = await createPaymentForOrder(order);
+    const succeeded = { ...intent, status: 'succeeded' };
+    const payload = webhookEvent('payment_intent.succeeded', succeeded);
+
+    const response = await request(createWebhookApp())
+      .post('/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-payment-signature', provider.signWebhookPayload(payload))
+      .send(payload);
+
+    expect(response.status).toBe(200);
+    expect((await Order.findById(order._id)).paymentStatus).toBe('paid');
+  });
+
+  test('marks the order failed from a payment_failed webhook', async () => {
+    const order = await placeTestOrder();
+    const intent = await createPaymentForOrder(order);
+
+    await applyWebhookEvent({
+      type: 'payment_intent.payment_failed',
+      data: { object: { ...intent, last_payment_error: { message: 'Insufficient funds' } } }
+    });
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('failed');
+    expect(stored.paymentFailureReason).toBe('Insufficient funds');
+  });
+
+  test('acknowledges a charge for the wrong amount but leaves the order unpaid for staff', async () => {
+    const order = await placeTestOrder();
+    const intent = await createPaymentForOrder(order);
+    const payload = webhookEvent('payment_intent.succeeded', { ...intent, amount: 100, status: 'succeeded' });
+
+    const response = await request(createWebhookApp())
+      .post('/webhook')
+      .set('Content-Type', 'application/json')
+      .set('x-payment-signature', provider.signWebhookPayload(payload))
+      .send(payload);
+
+    expect(response.status).toBe(200);
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('pending');
+    expect(stored.paymentReview.reason).toBe(`Payment ${intent.id} charged $1.00 but $25.98 is due`);
+  });
+
+  test('reserves released stock again when a late payment arrives after a failure', async () => {
+    const order = await placeTestOrder();
+    const intent = await createPaymentForOrder(order);
+    await markOrderFailed(order, 'Your card was declined.');
+    expect(await stockLeft()).toBe(10);
+
+    await markOrderPaid(order, { ...intent, status: 'succeeded' });
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+    expect(stored.stockStatus).toBe('reserved');
+    expect(stored.paymentReview?.reason).toBeUndefined();
+    expect(await stockLeft()).toBe(8);
+  });
+
+  test('flags a late payment for staff when its stock has since sold out', async () => {
+    const order = await placeTestOrder();
+    const intent = await createPaymentForOrder(order);
+    await markOrderFailed(order, 'Your card was declined.');
+    await Menu.updateOne({ _id: menuItem._id }, { $set: { quantity: 0 } });
+
+    await markOrderPaid(order, { ...intent, status: 'succeeded' });
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+    expect(stored.paymentReview.reason).toMatch(/^Paid, but stock could not be reserved again/);
+  });
+});
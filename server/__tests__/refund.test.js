@@ -0,0 +1,193 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const Order = require('../models/Order');
+const { createFakeProvider } = require('../services/payment-providers/fake-provider');
+const {
+  setPaymentProvider,
+  createPaymentForOrder,
+  confirmPaymentForOrder,
+  calculateRefund,
+  refundOrder
+} = require('../services/payment-service');
+const { placeOrder } = require('../services/checkout-service');
+const { updateOrderStatus } = require('../controllers/admin/order-controller');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, buildOrder } = require('./setup/fixtures');
+
+const refundedBy = new mongoose.Types.ObjectId();
+
+/**
+ * An order with two lines, built in memory
+ */
+const buildTwoLineOrder = (overrides = {}) => new Order({
+  user: new mongoose.Types.ObjectId(),
+  items: [
+    { menu: new mongoose.Types.ObjectId(), menuName: 'Masala Dosa', menuImage: 'dosa.jpg', quantity: 3, price: 10, itemTotal: 30 },
+    { menu: new mongoose.Types.ObjectId(), menuName: 'Mango Lassi', menuImage: 'lassi.jpg', quantity: 2, price: 4.5, itemTotal: 9 }
+  ],
+  subtotal: 39,
+  totalPrice: 39,
+  orderType: 'pickup',
+  timing: 'asap',
+  paymentMethod: 'pay_online',
+  paymentStatus: 'paid',
+  ...overrides
+});
+
+let provider;
+
+beforeEach(() => {
+  provider = createFakeProvider({ webhookSecret: 'whsec_test' });
+  setPaymentProvider(provider);
+});
+
+describe('calculateRefund', () => {
+  test('refunds what is left of the total for a full refund', () => {
+    const order = buildTwoLineOrder({ refundAmount: 9 });
+
+    expect(calculateRefund(order, { type: 'full' })).toEqual({ amount: 30, items: [] });
+  });
+
+  test('refunds the unit price of each returned unit', () => {
+    const order = buildTwoLineOrder();
+    const [dosa] = order.items;
+
+    const refund = calculateRefund(order, { type: 'items', items: [{ itemId: dosa._id, quantity: 2 }] });
+
+    expect(refund.amount).toBe(20);
+    expect(refund.items).toEqual([expect.objectContaining({ menuName: 'Masala Dosa', quantity: 2, amount: 20 })]);
+  });
+
+  test('adds up a line listed more than once', () => {
+    const order = buildTwoLineOrder();
+    const [dosa] = order.items;
+
+    const refund = calculateRefund(order, {
+      type: 'items',
+      items: [{ itemId: dosa._id, quantity: 1 }, { itemId: dosa._id.toString(), quantity: 1 }]
+    });
+
+    expect(refund.items).toHaveLength(1);
+    expect(refund.items[0].quantity).toBe(2);
+    expect(refund.amount).toBe(20);
+  });
+
+  test('refuses more units than are left once repeated lines are added up', () => {
+    const order = buildTwoLineOrder();
+    const [, lassi] = order.items;
+    lassi.refundedQuantity = 1;
+
+    expect(() => calculateRefund(order, {
+      type: 'items',
+      items: [{ itemId: lassi._id, quantity: 1 }, { itemId: lassi._id, quantity: 1 }]
+    })).toThrow('Only 1 of Mango Lassi can be refunded');
+  });
+
+  test('rejects a line that is not on the order', () => {
+    const order = buildTwoLineOrder();
+
+    expect(() => calculateRefund(order, { type: 'items', items: [{ itemId: new mongoose.Types.ObjectId(), quantity: 1 }] }))
+      .toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('refundOrder', () => {
+  test('refuses to refund an unpaid order', async () => {
+    const order = buildTwoLineOrder({ paymentStatus: 'pending' });
+
+    await expect(refundOrder(order, { type: 'full', reason: 'Cold food', refundedBy }))
+      .rejects.toThrow('Only paid orders can be refunded');
+  });
+
+  test('refuses an online refund for an order with no online payment', async () => {
+    const order = buildTwoLineOrder();
+
+    await expect(refundOrder(order, { type: 'full', reason: 'Cold food', refundedBy }))
+      .rejects.toMatchObject({ status: 409, message: 'This order has no online payment to refund' });
+  });
+});
+
+describe('Admin order status update', () => {
+  test('refuses to change the payment status by hand', async () => {
+    const app = express();
+    app.use(express.json());
+    app.put('/orders/:id/status', (req, res, next) => {
+      req.order = buildTwoLineOrder();
+      next();
+    }, updateOrderStatus);
+
+    const response = await request(app).put('/orders/1/status').send({ paymentStatus: 'refunded' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/^Payment status cannot be changed here/);
+  });
+});
+
+describeWithDatabase('Refunding paid orders', () => {
+  useTestDatabase();
+
+  const placePaidOrder = async () => {
+    const menuItem = await createMenuItem();
+    const order = await placeOrder(buildOrder(menuItem, { quantity: 2 }), { prepMinutes: 20 });
+    await createPaymentForOrder(order);
+    await confirmPaymentForOrder(order);
+    return order;
+  };
+
+  test('refunds a full order through the provider it was paid with', async () => {
+    const order = await placePaidOrder();
+
+    const refund = await refundOrder(order, { type: 'full', reason: 'Cold food', refundedBy });
+
+    expect(refund).toMatchObject({ amount: 25.98, provider: 'fake', giftCardAmount: 0 });
+    expect(refund.providerRefundId).toMatch(/^re_fake_/);
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('refunded');
+    expect(stored.refundAmount).toBe(25.98);
+  });
+
+  test('keeps the order paid after a partial refund and refuses to go past the total', async () => {
+    const order = await placePaidOrder();
+
+    await refundOrder(order, { type: 'partial', amount: 20, reason: 'Missing side', refundedBy });
+    await expect(refundOrder(order, { type: 'partial', amount: 10, reason: 'Late', refundedBy }))
+      .rejects.toThrow('Refund cannot exceed the remaining refundable amount of $5.98');
+
+    const stored = await Order.findById(order._id);
+    expect(stored.paymentStatus).toBe('paid');
+    expect(stored.refundAmount).toBe(20);
+    expect(stored.refunds).toHaveLength(1);
+  });
+
+  test('lets only one of two simultaneous refunds through', async () => {
+    const order = await placePaidOrder();
+    const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+
+    const results = await Promise.allSettled([
+      refundOrder(first, { type: 'partial', amount: 20, reason: 'Missing side', refundedBy }),
+      refundOrder(second, { type: 'partial', amount: 20, reason: 'Missing side', refundedBy })
+    ]);
+
+    expect(results.filter(result => result.status === 'fulfilled')).toHaveLength(1);
+    expect(results.find(result => result.status === 'rejected').reason.status).toBe(409);
+    expect((await Order.findById(order._id)).refundAmount).toBe(20);
+  });
+
+  test('gives the claimed amount back when the provider refund fails', async () => {
+    const order = await placePaidOrder();
+    setPaymentProvider({
+      ...provider,
+      refundPayment: async () => {
+        throw new Error('Gateway timeout');
+      }
+    });
+
+    await expect(refundOrder(order, { type: 'full', reason: 'Cold food', refundedBy })).rejects.toThrow('Gateway timeout');
+
+    const stored = await Order.findById(order._id);
+    expect(stored.refundAmount).toBe(0);
+    expect(stored.paymentStatus).toBe('paid');
+  });
+});
@@ -0,0 +1,58 @@
+const Order = require('../models/Order');
+const Menu = require('../models/Menu');
+const { generateOrderNumber } = require('../services/sequence-service');
+const { placeOrder } = require('../services/checkout-service');
+const { describeWithDatabase, useTestDatabase } = require('./setup/database');
+const { createMenuItem, buildOrder } = require('./setup/fixtures');
+
+// Enough concurrent callers to race the first upsert of a day's counter
+const PARALLEL_CALLS = 300;
+
+const sequenceOf = (orderNumber) => Number(orderNumber.split('-')[2]);
+
+const expectGapless = (orderNumbers) => {
+  expect(new Set(orderNumbers).size).toBe(orderNumbers.length);
+
+  const sequences = orderNumbers.map(sequenceOf).sort((a, b) => a - b);
+  expect(sequences).toEqual(Array.from({ length: orderNumbers.length }, (_, index) => index + 1));
+};
+
+describeWithDatabase('generateOrderNumber', () => {
+  useTestDatabase();
+
+  test('hands out unique, gapless numbers to parallel callers', async () => {
+    const date = new Date('2024-12-15T18:00:00Z');
+    const orderNumbers = await Promise.all(
+      Array.from({ length: PARALLEL_CALLS }, () => generateOrderNumber(date))
+    );
+
+    expect(orderNumbers.every(orderNumber => /^PEP-20241215-\d{4}$/.test(orderNumber))).toBe(true);
+    expectGapless(orderNumbers);
+  }, 60000);
+
+  test('keeps a separate sequence per business day', async () => {
+    const [first, second] = await Promise.all([
+      generateOrderNumber(new Date('2024-12-15T18:00:00Z')),
+      generateOrderNumber(new Date('2024-12-16T18:00:00Z'))
+    ]);
+
+    expect(sequenceOf(first)).toBe(1);
+    expect(sequenceOf(second)).toBe(1);
+  });
+});
+
+describeWithDatabase('Order numbering at checkout', () => {
+  useTestDatabase();
+
+  test('numbers orders placed in parallel uniquely and without gaps', async () => {
+    const menuItem = await createMenuItem({ quantity: PARALLEL_CALLS });
+
+    const orders = await Promise.all(Array.from({ length: PARALLEL_CALLS }, () =>
+      placeOrder(buildOrder(menuItem), { prepMinutes: menuItem.preparationTime })
+    ));
+
+    expectGapless(orders.map(order => order.orderNumber));
+    expect(await Order.countDocuments()).toBe(PARALLEL_CALLS);
+    expect((await Menu.findById(menuItem._id)).quantity).toBe(0);
+  }, 60000);
+});
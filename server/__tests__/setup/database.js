@@ -0,0 +1,38 @@
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Set by global-setup.js, or by hand to use an existing test database
+const hasTestDatabase = Boolean(process.env.MONGODB_TEST_URI);
+
+// Database suites show up as skipped, rather than passing, when there is no database
+const describeWithDatabase = hasTestDatabase ? describe : describe.skip;
+
+/**
+ * Connect the current test file to its own database and empty it before each test
+ * Call inside a describeWithDatabase block.
+ */
+const useTestDatabase = () => {
+  beforeAll(async () => {
+    // Test files run in parallel, so each gets a database of its own
+    const dbName = `test-${path.basename(expect.getState().testPath, '.test.js')}`;
+    await mongoose.connect(process.env.MONGODB_TEST_URI, { dbName, serverSelectionTimeoutMS: 5000 });
+
+    // Unique indexes have to exist before tests race against them
+    await Promise.all(mongoose.modelNames().map(name => mongoose.model(name).init()));
+  }, 60000);
+
+  beforeEach(async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+  });
+
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+};
+
+module.exports = {
+  hasTestDatabase,
+  describeWithDatabase,
+  useTestDatabase
+};
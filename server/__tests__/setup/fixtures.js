@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Menu = require('../../models/Menu');
+const Order = require('../../models/Order');
+
+/**
+ * Store a menu item with the fields the schema requires
+ * @param {Object} overrides - Fields to set on top of the defaults
+ * @returns {Promise<Object>} - Menu document
+ */
+const createMenuItem = (overrides = {}) => Menu.create({
+  name: 'Masala Dosa',
+  description: 'Crisp rice crepe with spiced potato',
+  category: new mongoose.Types.ObjectId(),
+  images: [{ public_id: 'masala-dosa', url: 'https://example.com/masala-dosa.jpg' }],
+  mrp: 12.99,
+  discountedPrice: 12.99,
+  quantity: 10,
+  sizes: [{ name: 'Regular', price: 12.99, isDefault: true }],
+  isVegetarian: true,
+  preparationTime: 10,
+  ...overrides
+});
+
+/**
+ * Order line for a quantity of a menu item
+ * @param {Object} menuItem - Menu document
+ * @param {number} quantity - Units ordered
+ * @returns {Object} - Order item fields
+ */
+const orderLine = (menuItem, quantity = 1) => ({
+  menu: menuItem._id,
+  menuName: menuItem.name,
+  menuImage: menuItem.images[0].url,
+  quantity,
+  price: menuItem.discountedPrice,
+  itemTotal: Math.round(menuItem.discountedPrice * quantity * 100) / 100
+});
+
+/**
+ * Build an unsaved scheduled pickup order
+ * Scheduled orders book a fixed kitchen slot, so they don't depend on the store being open.
+ * @param {Object|Array} lines - A menu document for a one-line order, or orderLine() results
+ * @param {Object} overrides - { quantity } of a one-line order, and fields to set on top of the defaults
+ * @returns {Object} - Order document
+ */
+const buildOrder = (lines, { quantity = 1, ...overrides } = {}) => {
+  const items = Array.isArray(lines) ? lines : [orderLine(lines, quantity)];
+  const subtotal = Math.round(items.reduce((total, item) => total + item.itemTotal, 0) * 100) / 100;
+
+  return new Order({
+    user: new mongoose.Types.ObjectId(),
+    items,
+    subtotal,
+    totalPrice: subtotal,
+    orderType: 'pickup',
+    timing: 'scheduled',
+    scheduledDate: new Date('2030-06-14T00:00:00Z'),
+    scheduledTime: '18:00',
+    paymentMethod: 'pay_online',
+    ...overrides
+  });
+};
+
+module.exports = {
+  createMenuItem,
+  orderLine,
+  buildOrder
+};
@@ -0,0 +1,21 @@
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+/**
+ * Start an in-memory MongoDB for the database tests, unless MONGODB_TEST_URI points at one
+ * A single-node replica set, so multi-document transactions work. When it can't be
+ * started (the binary is downloaded on first use), database tests are skipped.
+ */
+module.exports = async () => {
+  if (process.env.MONGODB_TEST_URI) {
+    return;
+  }
+
+  try {
+    const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    globalThis.__MONGO_REPLSET__ = replSet;
+    process.env.MONGODB_TEST_URI = replSet.getUri();
+  } catch (error) {
+    console.warn(`\nCould not start an in-memory MongoDB, database tests will be skipped. ` +
+      `Set MONGODB_TEST_URI to run them: ${error.message}`);
+  }
+};
@@ -0,0 +1,8 @@
+/**
+ * Stop the in-memory MongoDB started by global-setup.js
+ */
+module.exports = async () => {
+  if (globalThis.__MONGO_REPLSET__) {
+    await globalThis.__MONGO_REPLSET__.stop();
+  }
+};
@@ -3,6 +3,7 @@ const Menu = require('../../models/Menu');
 const { uploadToCloudinary, deleteFromCloudinary } = require('../../helpers/cloudinary');
 const { validationResult } = require('express-validator');
 const { canPerformAction } = require('../../helpers/role-utils');
+const { toSnapshot, recordRevisionSafely } = require('../../services/revision-service');
 
 /**
  * Get all categories with filtering and pagination
@@ -206,7 +207,8 @@ const createCategory = async (req, res) => {
       type = 'menu',
       parentCategory,
       isVegetarian,
-      sortOrder
+      sortOrder,
+      availability
     } = req.body;
 
     // Validate category type
@@ -286,6 +288,10 @@ const createCategory = async (req, res) => {
       sortOrder: sortOrder || 0
     };
 
+    if (availability) {
+      categoryData.availability = typeof availability === 'string' ? JSON.parse(availability) : availability;
+    }
+
     if (type === 'menu') {
       categoryData.parentCategory = parentCategory;
       if (image) categoryData.image = image;
@@ -297,6 +303,8 @@ const createCategory = async (req, res) => {
 
     await category.save();
 
+    await recordRevisionSafely({ resourceType: 'Category', action: 'create', doc: category, user: req.user });
+
     res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -329,13 +337,15 @@ const updateCategory = async (req, res) => {
     }
 
     const category = req.category; // Loaded by middleware
+    const before = toSnapshot(category);
     const {
       name,
       description,
       isVegetarian,
       sortOrder,
       isActive,
-      imageToDelete
+      imageToDelete,
+      availability
     } = req.body;
 
     // Determine if this is a vegetarian category
@@ -410,10 +420,15 @@ const updateCategory = async (req, res) => {
     if (isVegetarian !== undefined) category.isVegetarian = isVegetarian;
     if (sortOrder !== undefined) category.sortOrder = sortOrder;
     if (isActive !== undefined) category.isActive = isActive;
+    if (availability !== undefined) {
+      category.availability = typeof availability === 'string' ? JSON.parse(availability) : availability;
+    }
     if (newImage) category.image = newImage;
 
     await category.save();
 
+    await recordRevisionSafely({ resourceType: 'Category', action: 'update', before, doc: category, user: req.user });
+
     res.status(200).json({
       success: true,
       message: 'Category updated successfully',
@@ -477,6 +492,8 @@ const deleteCategory = async (req, res) => {
     // Delete category
     await Category.findByIdAndDelete(category._id);
 
+    await recordRevisionSafely({ resourceType: 'Category', action: 'delete', before: toSnapshot(category), doc: category, user: req.user });
+
     res.status(200).json({
       success: true,
       message: 'Category deleted successfully'
@@ -519,9 +536,18 @@ const bulkUpdateStatus = async (req, res) => {
       ...req.roleFilter
     };
 
+    // Categories whose status will change, for the revision log
+    const changing = await Category.find({ ...query, isActive: { $ne: isActive } });
+
     // Update categories
     const result = await Category.updateMany(query, { isActive });
 
+    for (const category of changing) {
+      const before = toSnapshot(category);
+      category.isActive = isActive;
+      await recordRevisionSafely({ resourceType: 'Category', action: 'update', before, doc: category, user: req.user });
+    }
+
     res.status(200).json({
       success: true,
       message: `${result.modifiedCount} categories updated successfully`,
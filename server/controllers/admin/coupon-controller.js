@@ -0,0 +1,285 @@
+const Coupon = require('../../models/Coupon');
+const Order = require('../../models/Order');
+
+// Fields admins may set on a coupon
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'minOrder',
+  'maxDiscount',
+  'startsAt',
+  'endsAt',
+  'usageLimit',
+  'perUserLimit',
+  'firstOrderOnly',
+  'categories',
+  'menuItems',
+  'isActive'
+];
+
+/**
+ * Copy editable fields from the request body onto a coupon
+ * null clears optional limits and dates.
+ */
+const applyCouponFields = (coupon, body) => {
+  COUPON_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      coupon[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+
+  if (coupon.type === 'free-delivery') {
+    coupon.value = undefined;
+    coupon.maxDiscount = undefined;
+  }
+};
+
+/**
+ * Map a mongoose validation or duplicate-code error to a 400 response
+ */
+const sendValidationError = (res, error) => {
+  const message = error.code === 11000
+    ? 'A coupon with this code already exists'
+    : Object.values(error.errors).map(err => err.message).join(', ');
+
+  return res.status(400).json({
+    success: false,
+    message
+  });
+};
+
+const isValidationError = (error) => error.name === 'ValidationError' || error.code === 11000;
+
+// Populate a coupon the way the coupon list returns it
+const populateCoupon = (coupon) => coupon.populate([
+  { path: 'categories', select: 'name' },
+  { path: 'menuItems', select: 'name' },
+  { path: 'updatedBy', select: 'name' }
+]);
+
+/**
+ * Get all coupons
+ * GET /api/admin/coupons?status=active|scheduled|expired|inactive&search=
+ */
+const getAllCoupons = async (req, res) => {
+  try {
+    const { status, search } = req.query;
+    const now = new Date();
+    const filter = {};
+
+    if (status === 'active') {
+      filter.isActive = true;
+      filter.$and = [
+        { $or: [{ startsAt: null }, { startsAt: { $lte: now } }] },
+        { $or: [{ endsAt: null }, { endsAt: { $gte: now } }] }
+      ];
+    } else if (status === 'scheduled') {
+      filter.isActive = true;
+      filter.startsAt = { $gt: now };
+    } else if (status === 'expired') {
+      filter.endsAt = { $lt: now };
+    } else if (status === 'inactive') {
+      filter.isActive = false;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ code: pattern }, { description: pattern }];
+    }
+
+    const coupons = await Coupon.find(filter)
+      .populate('categories', 'name')
+      .populate('menuItems', 'name')
+      .populate('updatedBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupons retrieved successfully',
+      data: { coupons }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve coupons',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a coupon's redemptions, newest first
+ * GET /api/admin/coupons/:id/redemptions
+ */
+const getCouponRedemptions = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const query = { 'coupon.coupon': coupon._id };
+
+    const [orders, total, totals] = await Promise.all([
+      Order.find(query)
+        .select('orderNumber user coupon totalPrice deliveryStatus createdAt')
+        .populate('user', 'name email role')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Order.countDocuments(query),
+      Order.aggregate([
+        { $match: { ...query, 'coupon.status': 'redeemed' } },
+        { $group: { _id: null, redemptions: { $sum: 1 }, discountGiven: { $sum: '$coupon.discount' } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon redemptions retrieved successfully',
+      data: {
+        redemptions: orders,
+        summary: {
+          redemptions: totals[0] ? totals[0].redemptions : 0,
+          discountGiven: totals[0] ? Math.round(totals[0].discountGiven * 100) / 100 : 0
+        },
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalRedemptions: total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get coupon redemptions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve coupon redemptions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create coupon
+ * POST /api/admin/coupons
+ */
+const createCoupon = async (req, res) => {
+  try {
+    const coupon = new Coupon({ createdBy: req.user._id, updatedBy: req.user._id });
+    applyCouponFields(coupon, req.body);
+    await coupon.save();
+    await populateCoupon(coupon);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update coupon
+ * PUT /api/admin/coupons/:id
+ */
+const updateCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    applyCouponFields(coupon, req.body);
+    coupon.updatedBy = req.user._id;
+    await coupon.save();
+    await populateCoupon(coupon);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: { coupon }
+    });
+  } catch (error) {
+    if (isValidationError(error)) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete coupon
+ * Coupons used on an order are kept for the redemption history; deactivate them instead.
+ * DELETE /api/admin/coupons/:id
+ */
+const deleteCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    const used = await Order.exists({ 'coupon.coupon': coupon._id });
+    if (used) {
+      return res.status(409).json({
+        success: false,
+        message: 'This coupon has been used on orders; deactivate it instead'
+      });
+    }
+
+    await coupon.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete coupon',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllCoupons,
+  getCouponRedemptions,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+};
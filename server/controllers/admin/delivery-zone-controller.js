@@ -0,0 +1,205 @@
+const DeliveryZone = require('../../models/DeliveryZone');
+const { findZoneForPoint } = require('../../services/delivery-zone-service');
+const { RESTAURANT_LOCATION, distanceKm } = require('../../utils/geoUtils');
+
+// Fields admins may set on a zone
+const ZONE_FIELDS = [
+  'name',
+  'type',
+  'polygon',
+  'radius',
+  'deliveryFee',
+  'freeDeliveryOver',
+  'minimumOrder',
+  'estimatedMinutes',
+  'priority',
+  'isActive'
+];
+
+/**
+ * Copy editable fields from the request body onto a zone
+ */
+const applyZoneFields = (zone, body) => {
+  ZONE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      zone[field] = body[field];
+    }
+  });
+
+  // Keep only the shape that matches the zone type
+  if (zone.type === 'polygon') {
+    zone.radius = undefined;
+  } else if (zone.type === 'radius') {
+    zone.polygon = undefined;
+  }
+};
+
+/**
+ * Map a mongoose validation error to a 400 response
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+/**
+ * Get all delivery zones
+ * GET /api/admin/delivery-zones
+ */
+const getAllDeliveryZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find()
+      .populate('updatedBy', 'name')
+      .sort({ priority: -1, createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zones retrieved successfully',
+      data: {
+        zones,
+        restaurantLocation: RESTAURANT_LOCATION
+      }
+    });
+  } catch (error) {
+    console.error('Get delivery zones error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve delivery zones',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create delivery zone
+ * POST /api/admin/delivery-zones
+ */
+const createDeliveryZone = async (req, res) => {
+  try {
+    const zone = new DeliveryZone({ createdBy: req.user._id, updatedBy: req.user._id });
+    applyZoneFields(zone, req.body);
+    await zone.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery zone created successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create delivery zone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update delivery zone
+ * PUT /api/admin/delivery-zones/:id
+ */
+const updateDeliveryZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findById(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    applyZoneFields(zone, req.body);
+    zone.updatedBy = req.user._id;
+    await zone.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone updated successfully',
+      data: { zone }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update delivery zone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete delivery zone
+ * DELETE /api/admin/delivery-zones/:id
+ */
+const deleteDeliveryZone = async (req, res) => {
+  try {
+    const zone = await DeliveryZone.findByIdAndDelete(req.params.id);
+    if (!zone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Delivery zone not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Delivery zone deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete delivery zone',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check which zone covers a location
+ * GET /api/admin/delivery-zones/check?latitude=&longitude=
+ */
+const checkDeliveryZone = async (req, res) => {
+  try {
+    const point = {
+      latitude: Number(req.query.latitude),
+      longitude: Number(req.query.longitude)
+    };
+    const zone = await findZoneForPoint(point);
+
+    res.status(200).json({
+      success: true,
+      message: zone ? `Location is in ${zone.name}` : 'Location is outside all active delivery zones',
+      data: {
+        zone,
+        distanceKm: Math.round(distanceKm(RESTAURANT_LOCATION, point) * 100) / 100
+      }
+    });
+  } catch (error) {
+    console.error('Check delivery zone error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check delivery zone',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  checkDeliveryZone
+};
@@ -0,0 +1,306 @@
+const GiftCard = require('../../models/GiftCard');
+const {
+  issueStoreCredit,
+  adjustGiftCard,
+  setGiftCardStatus,
+  deliverGiftCard,
+  getGiftCardTransactions
+} = require('../../services/gift-card-service');
+
+// Populate a card the way the gift card list returns it
+const populateGiftCard = (giftCard) => giftCard.populate([
+  { path: 'purchaser', select: 'name email' },
+  { path: 'user', select: 'name email' },
+  { path: 'issuedBy', select: 'name' }
+]);
+
+const sendServiceError = (res, error) => res.status(error.status).json({
+  success: false,
+  message: error.message
+});
+
+/**
+ * Get gift cards and store credit, newest first
+ * GET /api/admin/gift-cards?kind=gift_card|store_credit&status=pending|active|disabled|expired&search=&page=&limit=
+ */
+const getAllGiftCards = async (req, res) => {
+  try {
+    const { kind, status, search } = req.query;
+    const now = new Date();
+    const filter = {};
+
+    if (kind) {
+      filter.kind = kind;
+    }
+
+    if (status === 'expired') {
+      filter.expiresAt = { $lte: now };
+    } else if (status === 'active') {
+      filter.status = 'active';
+      filter.$and = [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] }];
+    } else if (status) {
+      filter.status = status;
+    }
+
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ code: pattern }, { recipientEmail: pattern }, { recipientName: pattern }];
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    const [giftCards, total, totals] = await Promise.all([
+      GiftCard.find(filter)
+        .populate('purchaser', 'name email')
+        .populate('user', 'name email')
+        .populate('issuedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      GiftCard.countDocuments(filter),
+      // Money still owed to customers across every active card
+      GiftCard.aggregate([
+        { $match: { status: 'active', $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] } },
+        { $group: { _id: '$kind', outstanding: { $sum: '$balance' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift cards retrieved successfully',
+      data: {
+        giftCards,
+        outstanding: totals.reduce((summary, row) => ({
+          ...summary,
+          [row._id]: { balance: Math.round(row.outstanding * 100) / 100, count: row.count }
+        }), {}),
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalItems: total,
+          itemsPerPage: limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get gift cards error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve gift cards',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a gift card with its ledger
+ * GET /api/admin/gift-cards/:id?page=&limit=
+ */
+const getGiftCard = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id);
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    await populateGiftCard(giftCard);
+    const { transactions, pagination } = await getGiftCardTransactions(giftCard._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card retrieved successfully',
+      data: {
+        giftCard,
+        transactions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Issue store credit to a customer and email them the code
+ * POST /api/admin/gift-cards/store-credit
+ */
+const createStoreCredit = async (req, res) => {
+  try {
+    const { amount, user, recipientName, recipientEmail, message, reason, expiresAt } = req.body;
+
+    if (!user && !recipientEmail) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a customer or enter a recipient email'
+      });
+    }
+
+    const { giftCard, delivered } = await issueStoreCredit({
+      amount,
+      user,
+      recipientName,
+      recipientEmail,
+      message,
+      reason,
+      expiresAt,
+      issuedBy: req.user._id
+    });
+    await populateGiftCard(giftCard);
+
+    res.status(201).json({
+      success: true,
+      message: delivered
+        ? `Store credit of $${giftCard.initialBalance.toFixed(2)} sent to ${giftCard.recipientEmail}`
+        : `Store credit of $${giftCard.initialBalance.toFixed(2)} issued, but the email could not be sent`,
+      data: {
+        giftCard,
+        delivered
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Issue store credit error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue store credit',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add to or take from a card's balance; the ledger keeps who made the change and why
+ * POST /api/admin/gift-cards/:id/adjustments
+ */
+const adjustGiftCardBalance = async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+
+    const transaction = await adjustGiftCard(req.params.id, Number(amount), {
+      reason,
+      adjustedBy: req.user._id
+    });
+    await transaction.populate('createdBy', 'name role');
+
+    const giftCard = await GiftCard.findById(req.params.id);
+    await populateGiftCard(giftCard);
+
+    res.status(201).json({
+      success: true,
+      message: `${transaction.amount > 0 ? 'Added' : 'Removed'} $${Math.abs(transaction.amount).toFixed(2)}`,
+      data: {
+        giftCard,
+        transaction
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('Adjust gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust gift card balance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Disable a card so it can't be redeemed, or turn it back on
+ * PATCH /api/admin/gift-cards/:id/status
+ */
+const updateGiftCardStatus = async (req, res) => {
+  try {
+    const giftCard = await setGiftCardStatus(req.params.id, req.body.status);
+    await populateGiftCard(giftCard);
+
+    res.status(200).json({
+      success: true,
+      message: giftCard.status === 'active' ? 'Gift card enabled' : 'Gift card disabled',
+      data: { giftCard }
+    });
+  } catch (error) {
+    if (error.status) {
+      return sendServiceError(res, error);
+    }
+
+    console.error('Update gift card status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Email a card's code to its recipient again
+ * POST /api/admin/gift-cards/:id/resend
+ */
+const resendGiftCard = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findById(req.params.id);
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+    if (giftCard.status === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This gift card has not been paid for yet'
+      });
+    }
+
+    const delivered = await deliverGiftCard(giftCard);
+    if (!delivered) {
+      return res.status(502).json({
+        success: false,
+        message: `Could not send the email to ${giftCard.recipientEmail}`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Gift card sent to ${giftCard.recipientEmail}`,
+      data: { giftCard }
+    });
+  } catch (error) {
+    console.error('Resend gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resend gift card',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllGiftCards,
+  getGiftCard,
+  createStoreCredit,
+  adjustGiftCardBalance,
+  updateGiftCardStatus,
+  resendGiftCard
+};
@@ -0,0 +1,258 @@
+const Ingredient = require('../../models/Ingredient');
+const Menu = require('../../models/Menu');
+const { adjustIngredientStock, syncMenuAvailability } = require('../../services/ingredient-service');
+
+// Fields admins may set on an ingredient (stock changes go through adjustIngredient)
+const INGREDIENT_FIELDS = ['name', 'unit', 'lowStockThreshold', 'isActive'];
+
+/**
+ * Copy editable fields from the request body onto an ingredient
+ */
+const applyIngredientFields = (ingredient, body) => {
+  INGREDIENT_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      ingredient[field] = body[field];
+    }
+  });
+};
+
+/**
+ * Map a mongoose validation or duplicate-key error to a 400 response
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: error.code === 11000
+      ? 'An ingredient with this name already exists'
+      : Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+/**
+ * Get all ingredients with the number of menu items that use each
+ * GET /api/admin/ingredients
+ */
+const getAllIngredients = async (req, res) => {
+  try {
+    const { search = '', lowStock = '' } = req.query;
+
+    const query = {};
+    if (search) {
+      query.name = { $regex: search, $options: 'i' };
+    }
+    if (lowStock === 'true') {
+      query.$expr = { $lte: ['$onHand', '$lowStockThreshold'] };
+    }
+
+    const ingredients = await Ingredient.find(query)
+      .populate('updatedBy', 'name')
+      .sort({ name: 1 });
+
+    const usage = await Menu.aggregate([
+      { $unwind: '$recipe' },
+      { $group: { _id: '$recipe.ingredient', menuItemCount: { $sum: 1 } } }
+    ]);
+    const usageCounts = new Map(usage.map(entry => [entry._id.toString(), entry.menuItemCount]));
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingredients retrieved successfully',
+      data: {
+        ingredients: ingredients.map(ingredient => ({
+          ...ingredient.toJSON(),
+          menuItemCount: usageCounts.get(ingredient._id.toString()) || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get ingredients error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve ingredients',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create ingredient
+ * POST /api/admin/ingredients
+ */
+const createIngredient = async (req, res) => {
+  try {
+    const ingredient = new Ingredient({
+      onHand: req.body.onHand || 0,
+      lastRestockedAt: req.body.onHand > 0 ? new Date() : undefined,
+      updatedBy: req.user._id
+    });
+    applyIngredientFields(ingredient, req.body);
+    await ingredient.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Ingredient created successfully',
+      data: { ingredient }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create ingredient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update ingredient details
+ * PUT /api/admin/ingredients/:id
+ */
+const updateIngredient = async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    applyIngredientFields(ingredient, req.body);
+    ingredient.updatedBy = req.user._id;
+    await ingredient.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingredient updated successfully',
+      data: { ingredient }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ingredient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restock, write off or correct an ingredient's stock
+ * POST /api/admin/ingredients/:id/adjust
+ */
+const adjustIngredient = async (req, res) => {
+  try {
+    const ingredient = await Ingredient.findById(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    await adjustIngredientStock(ingredient, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: `${ingredient.name} stock updated`,
+      data: { ingredient }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Adjust ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update ingredient stock',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete ingredient, unless a recipe still uses it
+ * DELETE /api/admin/ingredients/:id
+ */
+const deleteIngredient = async (req, res) => {
+  try {
+    const usedBy = await Menu.countDocuments({
+      $or: [
+        { 'recipe.ingredient': req.params.id },
+        { 'modifierGroups.options.recipe.ingredient': req.params.id }
+      ]
+    });
+    if (usedBy > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `This ingredient is used in ${usedBy} menu item recipe${usedBy === 1 ? '' : 's'}. Remove it from those recipes first.`
+      });
+    }
+
+    const ingredient = await Ingredient.findByIdAndDelete(req.params.id);
+    if (!ingredient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingredient not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingredient deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete ingredient error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete ingredient',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Re-check every recipe item against current stock
+ * POST /api/admin/ingredients/sync
+ */
+const syncIngredientAvailability = async (req, res) => {
+  try {
+    await syncMenuAvailability();
+
+    const unavailable = await Menu.find({ autoUnavailable: true }).select('name missingIngredients');
+
+    res.status(200).json({
+      success: true,
+      message: `${unavailable.length} menu item${unavailable.length === 1 ? ' is' : 's are'} unavailable for lack of ingredients`,
+      data: { menuItems: unavailable }
+    });
+  } catch (error) {
+    console.error('Sync ingredient availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check menu availability',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllIngredients,
+  createIngredient,
+  updateIngredient,
+  adjustIngredient,
+  deleteIngredient,
+  syncIngredientAvailability
+};
@@ -0,0 +1,81 @@
+const { getLoyaltySummary, getLoyaltyTransactions, adjustPoints } = require('../../services/loyalty-service');
+
+/**
+ * Get a customer's loyalty balance, tier and ledger
+ * GET /api/admin/users/:id/loyalty?page=&limit=
+ */
+const getUserLoyalty = async (req, res) => {
+  try {
+    const user = req.targetUser; // Loaded by middleware
+    const { page, limit } = req.query;
+
+    const [summary, history] = await Promise.all([
+      getLoyaltySummary(user._id),
+      getLoyaltyTransactions(user._id, { page, limit })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty retrieved successfully',
+      data: {
+        loyalty: summary,
+        transactions: history.transactions,
+        pagination: history.pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get user loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve loyalty points',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add or remove points by hand; the ledger keeps who made the change and why
+ * POST /api/admin/users/:id/loyalty/adjustments
+ */
+const adjustUserLoyalty = async (req, res) => {
+  try {
+    const user = req.targetUser; // Loaded by middleware
+    const { points, reason } = req.body;
+
+    const transaction = await adjustPoints(user._id, Number(points), {
+      reason,
+      adjustedBy: req.user._id
+    });
+    await transaction.populate('createdBy', 'name role');
+
+    const summary = await getLoyaltySummary(user._id);
+
+    res.status(201).json({
+      success: true,
+      message: `${transaction.points > 0 ? 'Added' : 'Removed'} ${Math.abs(transaction.points)} points`,
+      data: {
+        loyalty: summary,
+        transaction
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Adjust user loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust loyalty points',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUserLoyalty,
+  adjustUserLoyalty
+};
@@ -4,6 +4,18 @@ const mongoose = require('mongoose');
 const { uploadToCloudinary, deleteFromCloudinary, uploadMultipleToCloudinary } = require('../../helpers/cloudinary');
 const { validationResult } = require('express-validator');
 const { canPerformAction } = require('../../helpers/role-utils');
+const { checkRecipeAvailability } = require('../../services/ingredient-service');
+const { toSnapshot, recordRevisionSafely } = require('../../services/revision-service');
+
+/**
+ * Map a mongoose validation error to a 400 response
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
 
 /**
  * Get all menu items with filtering and pagination
@@ -18,6 +30,7 @@ const getAllMenuItems = async (req, res) => {
       category = '',
       isVegetarian = '',
       isActive = '',
+      itemType = '',
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
@@ -48,6 +61,11 @@ const getAllMenuItems = async (req, res) => {
       query.isActive = isActive === 'true';
     }
 
+    // Single items or bundles
+    if (itemType) {
+      query.itemType = itemType === 'bundle' ? 'bundle' : { $ne: 'bundle' };
+    }
+
     // Sort options
     const sortOptions = {};
     sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
@@ -101,7 +119,9 @@ const getMenuItemById = async (req, res) => {
     const menuItem = await Menu.findById(id)
       .populate('category', 'name slug isVegetarian')
       .populate('spicyLevel', 'name level')
-      .populate('preparations', 'name');
+      .populate('preparations', 'name')
+      .populate('bundleSlots.eligibleItems', 'name')
+      .populate('bundleSlots.eligibleCategories', 'name');
 
     if (!menuItem) {
       return res.status(404).json({
@@ -164,7 +184,16 @@ const createMenuItem = async (req, res) => {
       preparationTime,
       specialInstructions,
       tags,
+      allergens,
+      allergensVerified,
+      dietaryFlags,
       addons,
+      modifierGroups,
+      recipe,
+      itemType,
+      bundleSlots,
+      bundlePricing,
+      availability,
       nutritionalInfo,
       images,
       isSignatureDish
@@ -274,6 +303,28 @@ const createMenuItem = async (req, res) => {
           return [];
         }
       })(),
+      allergens: (() => {
+        try {
+          if (typeof allergens === 'string') {
+            return JSON.parse(allergens);
+          }
+          return Array.isArray(allergens) ? allergens : [];
+        } catch (error) {
+          console.error('Error parsing allergens:', error);
+          return [];
+        }
+      })(),
+      dietaryFlags: (() => {
+        try {
+          if (typeof dietaryFlags === 'string') {
+            return JSON.parse(dietaryFlags);
+          }
+          return Array.isArray(dietaryFlags) ? dietaryFlags : [];
+        } catch (error) {
+          console.error('Error parsing dietary flags:', error);
+          return [];
+        }
+      })(),
       addons: (() => {
         try {
           if (typeof addons === 'string') {
@@ -285,6 +336,56 @@ const createMenuItem = async (req, res) => {
           return [];
         }
       })(),
+      modifierGroups: (() => {
+        try {
+          if (typeof modifierGroups === 'string') {
+            return JSON.parse(modifierGroups);
+          }
+          return Array.isArray(modifierGroups) ? modifierGroups : [];
+        } catch (error) {
+          console.error('Error parsing modifier groups:', error);
+          return [];
+        }
+      })(),
+      recipe: (() => {
+        try {
+          if (typeof recipe === 'string') {
+            return JSON.parse(recipe);
+          }
+          return Array.isArray(recipe) ? recipe : [];
+        } catch (error) {
+          console.error('Error parsing recipe:', error);
+          return [];
+        }
+      })(),
+      itemType: itemType === 'bundle' ? 'bundle' : 'single',
+      bundleSlots: (() => {
+        try {
+          if (typeof bundleSlots === 'string') {
+            return JSON.parse(bundleSlots);
+          }
+          return Array.isArray(bundleSlots) ? bundleSlots : [];
+        } catch (error) {
+          console.error('Error parsing bundle slots:', error);
+          return [];
+        }
+      })(),
+      bundlePricing: (() => {
+        try {
+          return typeof bundlePricing === 'string' ? JSON.parse(bundlePricing) : bundlePricing;
+        } catch (error) {
+          console.error('Error parsing bundle pricing:', error);
+          return undefined;
+        }
+      })(),
+      availability: (() => {
+        try {
+          return typeof availability === 'string' ? JSON.parse(availability) : availability;
+        } catch (error) {
+          console.error('Error parsing availability:', error);
+          return undefined;
+        }
+      })(),
       preparations: (() => {
         try {
           if (!preparation) return [];
@@ -310,11 +411,12 @@ const createMenuItem = async (req, res) => {
           return [];
         }
       })(),
-      nutritionalInfo: nutritionalInfo ? JSON.parse(nutritionalInfo) : undefined,
+      nutritionalInfo: typeof nutritionalInfo === 'string' ? JSON.parse(nutritionalInfo) : nutritionalInfo,
       images: imageData,
       isVegetarian: menuItemIsVegetarian,
       isActive: true,
       isSignatureDish: isSignatureDish === 'true' || isSignatureDish === true,
+      allergensVerified: allergensVerified === 'true' || allergensVerified === true,
       createdBy: req.user.id
     };
 
@@ -348,8 +450,13 @@ const createMenuItem = async (req, res) => {
     // Create menu item
     const menuItem = new Menu(menuItemData);
 
+    // Start out unavailable if the recipe can't be made from current stock
+    await checkRecipeAvailability(menuItem);
+
     await menuItem.save();
 
+    await recordRevisionSafely({ resourceType: 'Menu', action: 'create', doc: menuItem, user: req.user });
+
     // Populate category, spicy levels, and preparations for response
     await menuItem.populate([
       { path: 'category', select: 'name slug isVegetarian' },
@@ -365,6 +472,9 @@ const createMenuItem = async (req, res) => {
 
   } catch (error) {
     console.error('Error creating menu item:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create menu item',
@@ -390,6 +500,7 @@ const updateMenuItem = async (req, res) => {
     }
 
     const menuItem = req.menuItem; // Loaded by middleware
+    const before = toSnapshot(menuItem);
     const {
       name,
       description,
@@ -402,9 +513,18 @@ const updateMenuItem = async (req, res) => {
       preparation,
       preparationTime,
       addons,
+      modifierGroups,
+      recipe,
+      itemType,
+      bundleSlots,
+      bundlePricing,
+      availability,
       specialInstructions,
       isVegetarian,
       tags,
+      allergens,
+      allergensVerified,
+      dietaryFlags,
       nutritionalInfo,
       isActive,
       isSignatureDish
@@ -509,6 +629,45 @@ const updateMenuItem = async (req, res) => {
         menuItem.addons = [];
       }
     }
+    if (modifierGroups !== undefined) {
+      try {
+        menuItem.modifierGroups = typeof modifierGroups === 'string' ? JSON.parse(modifierGroups) : modifierGroups;
+      } catch (error) {
+        console.error('Error parsing modifier groups:', error);
+        menuItem.modifierGroups = [];
+      }
+    }
+    if (recipe !== undefined) {
+      try {
+        menuItem.recipe = typeof recipe === 'string' ? JSON.parse(recipe) : recipe;
+      } catch (error) {
+        console.error('Error parsing recipe:', error);
+        menuItem.recipe = [];
+      }
+    }
+    if (itemType !== undefined) menuItem.itemType = itemType === 'bundle' ? 'bundle' : 'single';
+    if (bundleSlots !== undefined) {
+      try {
+        menuItem.bundleSlots = typeof bundleSlots === 'string' ? JSON.parse(bundleSlots) : bundleSlots;
+      } catch (error) {
+        console.error('Error parsing bundle slots:', error);
+        menuItem.bundleSlots = [];
+      }
+    }
+    if (bundlePricing !== undefined) {
+      try {
+        menuItem.bundlePricing = typeof bundlePricing === 'string' ? JSON.parse(bundlePricing) : bundlePricing;
+      } catch (error) {
+        console.error('Error parsing bundle pricing:', error);
+      }
+    }
+    if (availability !== undefined) {
+      try {
+        menuItem.availability = typeof availability === 'string' ? JSON.parse(availability) : availability;
+      } catch (error) {
+        console.error('Error parsing availability:', error);
+      }
+    }
     if (specialInstructions !== undefined) menuItem.specialInstructions = specialInstructions;
     if (tags !== undefined) {
       try {
@@ -518,6 +677,23 @@ const updateMenuItem = async (req, res) => {
         menuItem.tags = [];
       }
     }
+    if (allergens !== undefined) {
+      try {
+        menuItem.allergens = typeof allergens === 'string' ? JSON.parse(allergens) : allergens;
+      } catch (error) {
+        console.error('Error parsing allergens:', error);
+        menuItem.allergens = [];
+      }
+    }
+    if (allergensVerified !== undefined) menuItem.allergensVerified = allergensVerified === 'true' || allergensVerified === true;
+    if (dietaryFlags !== undefined) {
+      try {
+        menuItem.dietaryFlags = typeof dietaryFlags === 'string' ? JSON.parse(dietaryFlags) : dietaryFlags;
+      } catch (error) {
+        console.error('Error parsing dietary flags:', error);
+        menuItem.dietaryFlags = [];
+      }
+    }
     if (preparation !== undefined) {
       try {
         // Handle case where preparation might be an array of values (from duplicate fields)
@@ -537,7 +713,13 @@ const updateMenuItem = async (req, res) => {
         menuItem.preparations = [];
       }
     }
-    if (nutritionalInfo !== undefined) menuItem.nutritionalInfo = nutritionalInfo;
+    if (nutritionalInfo !== undefined) {
+      try {
+        menuItem.nutritionalInfo = typeof nutritionalInfo === 'string' ? JSON.parse(nutritionalInfo) : nutritionalInfo;
+      } catch (error) {
+        console.error('Error parsing nutritional info:', error);
+      }
+    }
     if (isActive !== undefined) menuItem.isActive = isActive;
     if (isSignatureDish !== undefined) menuItem.isSignatureDish = isSignatureDish === 'true' || isSignatureDish === true;
 
@@ -617,8 +799,13 @@ const updateMenuItem = async (req, res) => {
 
     menuItem.images = updatedImages;
 
+    // A recipe change may make the item (un)available
+    await checkRecipeAvailability(menuItem);
+
     await menuItem.save();
 
+    await recordRevisionSafely({ resourceType: 'Menu', action: 'update', before, doc: menuItem, user: req.user });
+
     // Populate category, spicy levels, and preparations for response
     await menuItem.populate([
       { path: 'category', select: 'name slug isVegetarian' },
@@ -633,6 +820,9 @@ const updateMenuItem = async (req, res) => {
     });
   } catch (error) {
     console.error('Update menu item error:', error);
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to update menu item',
@@ -706,6 +896,8 @@ const deleteMenuItem = async (req, res) => {
 
     await Menu.findByIdAndDelete(menuItem._id);
 
+    await recordRevisionSafely({ resourceType: 'Menu', action: 'delete', before: toSnapshot(menuItem), doc: menuItem, user: req.user });
+
     res.status(200).json({
       success: true,
       message: 'Menu item deleted successfully'
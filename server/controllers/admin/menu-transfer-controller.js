@@ -0,0 +1,93 @@
+const path = require('path');
+const { readImportFile, importMenu, exportMenu } = require('../../services/menu-transfer-service');
+
+/**
+ * Download categories, spicy levels, preparations and menu items (with their sizes and add-ons)
+ * XLSX exports hold one sheet per entity; CSV exports hold the one named by `entity`.
+ * GET /api/admin/menu-transfer/export?format=xlsx|csv&entity=
+ */
+const exportMenuData = async (req, res) => {
+  try {
+    const { format = 'xlsx', entity } = req.query;
+    const file = await exportMenu(req.user.role, { format, entity });
+    const date = new Date().toISOString().split('T')[0];
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${entity}-${date}.csv"`);
+    } else {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="menu-${date}.xlsx"`);
+    }
+    res.send(file);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Export menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export menu',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate an uploaded CSV/XLSX file and, when `dryRun=false`, apply it
+ * The response is a per-row report; nothing is written while any row has errors.
+ * POST /api/admin/menu-transfer/import?dryRun=true|false&entity=
+ */
+const importMenuData = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose a .csv or .xlsx file to import'
+      });
+    }
+
+    const apply = req.query.dryRun === 'false';
+    const sheets = readImportFile(req.file.buffer, {
+      isCsv: path.extname(req.file.originalname).toLowerCase() === '.csv',
+      entity: req.query.entity
+    });
+    const report = await importMenu(sheets, req.user, { apply });
+
+    if (apply && !report.applied) {
+      return res.status(400).json({
+        success: false,
+        message: 'Import has errors; nothing was imported',
+        data: { report }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: apply ? 'Menu imported successfully' : 'Import checked; no changes made',
+      data: { report }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        data: error.report ? { report: error.report } : undefined
+      });
+    }
+    console.error('Import menu error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to import menu',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportMenuData,
+  importMenuData
+};
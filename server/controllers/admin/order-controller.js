@@ -1,23 +1,11 @@
 const Order = require('../../models/Order');
 const User = require('../../models/User');
 const { validationResult } = require('express-validator');
-
-// Helper function to emit Socket.IO events
-const emitOrderEvent = (eventType, data) => {
-  try {
-    if (global.io) {
-      // Emit to all admin rooms with correct room names
-      global.io.to('admin:all').emit(eventType, data);
-      global.io.to('admin:super-admin').emit(eventType, data);  // Fixed: was 'admin:superadmin'
-      global.io.to('admin:veg_admin').emit(eventType, data);
-      global.io.to('admin:non_veg_admin').emit(eventType, data);
-
-
-    }
-  } catch (error) {
-    console.error('❌ Error emitting Socket.IO event:', error);
-  }
-};
+const { refundOrder: processOrderRefund } = require('../../services/payment-service');
+const { awardOrderPoints, reverseOrderPoints, restoreOrderPoints } = require('../../services/loyalty-service');
+const { releaseCancelledOrder } = require('../../services/order-cancellation-service');
+const { sendRefundNotification } = require('../../helpers/send-email');
+const { emitAdminEvent } = require('../../helpers/admin-events');
 
 /**
  * Get all orders (both regular and guest) with filtering and pagination
@@ -84,6 +72,7 @@ const getAllOrders = async (req, res) => {
     const orders = await Order.find(query)
       .populate('user', 'name email phoneNumber role sessionId')
       .populate('items.menu', 'name images discountedPrice')
+      .populate('statusHistory.actor', 'name role')
       .sort(sortOptions)
       .limit(limit * 1)
       .skip((page - 1) * limit)
@@ -96,7 +85,8 @@ const getAllOrders = async (req, res) => {
     const ordersWithCustomerType = orders.map(order => ({
       ...order,
       customerType: order.user?.role === 'guest' ? 'guest' : 'registered',
-      isGuestOrder: order.user?.role === 'guest'
+      isGuestOrder: order.user?.role === 'guest',
+      allowedTransitions: Order.getAllowedTransitions(order.orderType, order.deliveryStatus)
     }));
 
     res.status(200).json({
@@ -129,12 +119,14 @@ const getAllOrders = async (req, res) => {
 const getOrderById = async (req, res) => {
   try {
     const order = req.order; // Loaded by middleware
+    await order.populate('statusHistory.actor', 'name role');
 
     // Add customer type information
     const orderWithCustomerType = {
       ...order.toObject(),
       customerType: order.user?.role === 'guest' ? 'guest' : 'registered',
-      isGuestOrder: order.user?.role === 'guest'
+      isGuestOrder: order.user?.role === 'guest',
+      allowedTransitions: Order.getAllowedTransitions(order.orderType, order.deliveryStatus)
     };
 
     res.status(200).json({
@@ -170,70 +162,62 @@ const updateOrderStatus = async (req, res) => {
 
     const order = req.order; // Loaded by middleware
     const { status, deliveryStatus, paymentStatus, notes } = req.body;
+    const nextStatus = deliveryStatus || status;
 
-    // Update order status
-    if (status !== undefined) {
-      order.status = status;
-    }
-    if (deliveryStatus !== undefined) {
-      order.deliveryStatus = deliveryStatus;
-    }
+    // Payment status follows the payment provider and the refund workflow, never a manual edit
     if (paymentStatus !== undefined) {
-      order.paymentStatus = paymentStatus;
+      return res.status(400).json({
+        success: false,
+        message: 'Payment status cannot be changed here. Use the refund workflow to refund an order.'
+      });
     }
 
-    // Add status update to history
-    const statusUpdate = {
-      status: status || order.status,
-      deliveryStatus: deliveryStatus || order.deliveryStatus,
-      paymentStatus: paymentStatus || order.paymentStatus,
-      updatedBy: req.user._id,
-      notes: notes || '',
-      timestamp: new Date()
-    };
-
-    if (!order.statusHistory) {
-      order.statusHistory = [];
-    }
-    order.statusHistory.push(statusUpdate);
-
-    // Update timestamps based on status
-    if (status === 'confirmed') {
-      order.confirmedAt = new Date();
-    } else if (status === 'preparing') {
-      order.preparingAt = new Date();
-    } else if (status === 'ready') {
-      order.readyAt = new Date();
-    } else if (status === 'completed') {
-      order.completedAt = new Date();
-    } else if (status === 'cancelled') {
-      order.cancelledAt = new Date();
+    // Delivery status changes must follow the order type's transition graph
+    if (nextStatus !== undefined && nextStatus !== order.deliveryStatus) {
+      try {
+        order.transitionStatus(nextStatus, { actor: req.user, note: notes });
+      } catch (transitionError) {
+        return res.status(transitionError.status || 400).json({
+          success: false,
+          message: transitionError.message,
+          data: {
+            currentStatus: order.deliveryStatus,
+            allowedTransitions: transitionError.allowedTransitions || []
+          }
+        });
+      }
     }
 
-    if (deliveryStatus === 'out_for_delivery') {
-      order.outForDeliveryAt = new Date();
-    } else if (deliveryStatus === 'delivered') {
-      order.deliveredAt = new Date();
+    await order.save();
+
+    // Cancelled orders give back everything they were holding
+    if (order.deliveryStatus === 'cancelled') {
+      await releaseCancelledOrder(order);
     }
 
-    await order.save();
+    // Delivered orders earn loyalty points for registered customers
+    if (order.deliveryStatus === 'delivered') {
+      await awardOrderPoints(order);
+    }
 
     // Populate for response
     await order.populate('user', 'name email phoneNumber');
     await order.populate('items.menu', 'name images discountedPrice');
+    await order.populate('statusHistory.actor', 'name role');
 
     // Add customer type information
     const orderWithCustomerType = {
       ...order.toObject(),
       customerType: order.user?.role === 'guest' ? 'guest' : 'registered',
-      isGuestOrder: order.user?.role === 'guest'
+      isGuestOrder: order.user?.role === 'guest',
+      allowedTransitions: Order.getAllowedTransitions(order.orderType, order.deliveryStatus)
     };
 
     // Emit Socket.IO event for real-time updates
-    emitOrderEvent('orderUpdated', orderWithCustomerType);
+    emitAdminEvent('orderUpdated', orderWithCustomerType);
 
     // Also emit specific status change event
-    emitOrderEvent('orderStatusChanged', {
+    emitAdminEvent('orderStatusChanged', {
       orderId: order._id.toString(),
       orderNumber: order.orderNumber,
       deliveryStatus: order.deliveryStatus,
@@ -257,6 +241,79 @@ const updateOrderStatus = async (req, res) => {
   }
 };
 
+/**
+ * Refund an order (full, partial amount or per line item)
+ * POST /api/admin/orders/:id/refund
+ */
+const refundOrder = async (req, res) => {
+  try {
+    const order = req.order; // Loaded by middleware
+    const { type, amount, items, reason } = req.body;
+
+    let refund;
+    try {
+      refund = await processOrderRefund(order, {
+        type,
+        amount,
+        items,
+        reason,
+        refundedBy: req.user._id
+      });
+    } catch (refundError) {
+      if (refundError.status) {
+        return res.status(refundError.status).json({
+          success: false,
+          message: refundError.message
+        });
+      }
+      throw refundError;
+    }
+
+    // Refunds take back the points the order earned; a full refund also returns the points it spent
+    await reverseOrderPoints(order);
+    if (order.paymentStatus === 'refunded') {
+      await restoreOrderPoints(order);
+    }
+
+    // Let the customer know, but don't fail the refund if the email does
+    try {
+      if (order.user?.email) {
+        await sendRefundNotification(order, refund);
+      }
+    } catch (emailError) {
+      console.error('Failed to send refund email:', emailError);
+    }
+
+    await order.populate('refunds.refundedBy', 'name email role');
+    await order.populate('statusHistory.actor', 'name role');
+
+    const orderWithCustomerType = {
+      ...order.toObject(),
+      customerType: order.user?.role === 'guest' ? 'guest' : 'registered',
+      isGuestOrder: order.user?.role === 'guest',
+      allowedTransitions: Order.getAllowedTransitions(order.orderType, order.deliveryStatus)
+    };
+
+    emitAdminEvent('orderUpdated', orderWithCustomerType);
+
+    res.status(200).json({
+      success: true,
+      message: `Refunded $${refund.amount.toFixed(2)} successfully`,
+      data: {
+        order: orderWithCustomerType,
+        refund
+      }
+    });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refund order',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Get order statistics
  * GET /api/admin/orders/stats
@@ -477,6 +534,7 @@ module.exports = {
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  refundOrder,
   getOrderStats,
   exportOrders
 };
@@ -0,0 +1,208 @@
+const Promotion = require('../../models/Promotion');
+const Order = require('../../models/Order');
+const { describePromotion } = require('../../services/promotion-service');
+
+// Fields admins may set on a promotion
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'categories',
+  'menuItems',
+  'buyQuantity',
+  'getQuantity',
+  'getDiscountPercent',
+  'percentOff',
+  'minSubtotal',
+  'reward',
+  'rewardValue',
+  'schedule',
+  'priority',
+  'isActive'
+];
+
+/**
+ * Copy editable fields from the request body onto a promotion
+ * null clears optional fields.
+ */
+const applyPromotionFields = (promotion, body) => {
+  PROMOTION_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      promotion[field] = body[field] === null ? undefined : body[field];
+    }
+  });
+};
+
+/**
+ * Map a mongoose validation error to a 400 response
+ */
+const sendValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+// Populate a promotion the way the promotion list returns it
+const populatePromotion = (promotion) => promotion.populate([
+  { path: 'categories', select: 'name' },
+  { path: 'menuItems', select: 'name' },
+  { path: 'updatedBy', select: 'name' }
+]);
+
+// Promotion as JSON, with the customer-facing summary
+const toResponse = (promotion) => ({
+  ...promotion.toObject(),
+  summary: describePromotion(promotion)
+});
+
+/**
+ * Get all promotions with how often each has been applied to orders
+ * GET /api/admin/promotions
+ */
+const getAllPromotions = async (req, res) => {
+  try {
+    const [promotions, usage] = await Promise.all([
+      Promotion.find()
+        .populate('categories', 'name')
+        .populate('menuItems', 'name')
+        .populate('updatedBy', 'name')
+        .sort({ isActive: -1, priority: -1, createdAt: -1 }),
+      Order.aggregate([
+        { $match: { 'promotions.0': { $exists: true }, deliveryStatus: { $ne: 'cancelled' } } },
+        { $unwind: '$promotions' },
+        { $group: { _id: '$promotions.promotion', orders: { $sum: 1 }, discountGiven: { $sum: '$promotions.discount' } } }
+      ])
+    ]);
+
+    const usageByPromotion = new Map(usage.map(entry => [String(entry._id), entry]));
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotions retrieved successfully',
+      data: {
+        promotions: promotions.map(promotion => {
+          const entry = usageByPromotion.get(String(promotion._id));
+          return {
+            ...toResponse(promotion),
+            usage: {
+              orders: entry ? entry.orders : 0,
+              discountGiven: entry ? Math.round(entry.discountGiven * 100) / 100 : 0
+            }
+          };
+        })
+      }
+    });
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve promotions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Create promotion
+ * POST /api/admin/promotions
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const promotion = new Promotion({ createdBy: req.user._id, updatedBy: req.user._id });
+    applyPromotionFields(promotion, req.body);
+    await promotion.save();
+    await populatePromotion(promotion);
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: { promotion: toResponse(promotion) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update promotion
+ * PUT /api/admin/promotions/:id
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    applyPromotionFields(promotion, req.body);
+    promotion.updatedBy = req.user._id;
+    await promotion.save();
+    await populatePromotion(promotion);
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: { promotion: toResponse(promotion) }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendValidationError(res, error);
+    }
+
+    console.error('Update promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete promotion
+ * Orders keep their own copy of the promotion lines they were given.
+ * DELETE /api/admin/promotions/:id
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndDelete(req.params.id);
+    if (!promotion) {
+      return res.status(404).json({
+        success: false,
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete promotion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+};
@@ -0,0 +1,131 @@
+const { getRevisions, restoreRevision } = require('../../services/revision-service');
+
+/**
+ * Page and limit from the query string
+ */
+const parsePaging = (query) => ({
+  page: Math.max(parseInt(query.page) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), 100)
+});
+
+/**
+ * Send a page of revisions
+ */
+const sendRevisions = async (res, resourceType, resourceId, query) => {
+  const { revisions, pagination } = await getRevisions(resourceType, resourceId, parsePaging(query));
+
+  res.status(200).json({
+    success: true,
+    message: 'Revisions retrieved successfully',
+    data: { revisions, pagination }
+  });
+};
+
+/**
+ * Map a failed restore to a response
+ */
+const sendRestoreError = (res, error) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(err => err.message).join(', ')
+    });
+  }
+  console.error('Restore revision error:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Failed to restore revision',
+    error: error.message
+  });
+};
+
+/**
+ * Get a menu item's revisions, newest first
+ * GET /api/admin/menu/:id/revisions
+ */
+const getMenuRevisions = async (req, res) => {
+  try {
+    await sendRevisions(res, 'Menu', req.menuItem._id, req.query); // Loaded by middleware
+  } catch (error) {
+    console.error('Get menu revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get revisions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a menu item to how it was after a revision
+ * POST /api/admin/menu/:id/revisions/:revisionId/restore
+ */
+const restoreMenuRevision = async (req, res) => {
+  try {
+    const { doc, revision } = await restoreRevision('Menu', req.menuItem, req.params.revisionId, req.user);
+    await doc.populate([
+      { path: 'category', select: 'name slug isVegetarian' },
+      { path: 'spicyLevel', select: 'name level' },
+      { path: 'preparations', select: 'name' },
+      { path: 'bundleSlots.eligibleItems', select: 'name' },
+      { path: 'bundleSlots.eligibleCategories', select: 'name' }
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: revision ? 'Menu item restored' : 'Menu item already matches that version',
+      data: { menuItem: doc, revision }
+    });
+  } catch (error) {
+    sendRestoreError(res, error);
+  }
+};
+
+/**
+ * Get a category's revisions, newest first
+ * GET /api/admin/categories/:id/revisions
+ */
+const getCategoryRevisions = async (req, res) => {
+  try {
+    await sendRevisions(res, 'Category', req.category._id, req.query); // Loaded by middleware
+  } catch (error) {
+    console.error('Get category revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get revisions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Restore a category to how it was after a revision
+ * POST /api/admin/categories/:id/revisions/:revisionId/restore
+ */
+const restoreCategoryRevision = async (req, res) => {
+  try {
+    const { doc, revision } = await restoreRevision('Category', req.category, req.params.revisionId, req.user);
+    await doc.populate('parentCategory', 'name isVegetarian');
+
+    res.status(200).json({
+      success: true,
+      message: revision ? 'Category restored' : 'Category already matches that version',
+      data: { category: doc, revision }
+    });
+  } catch (error) {
+    sendRestoreError(res, error);
+  }
+};
+
+module.exports = {
+  getMenuRevisions,
+  restoreMenuRevision,
+  getCategoryRevisions,
+  restoreCategoryRevision
+};
@@ -0,0 +1,273 @@
+const PricingSettings = require('../../models/PricingSettings');
+const StoreHours = require('../../models/StoreHours');
+const { getStoreStatus } = require('../../services/store-hours-service');
+
+/**
+ * Get pricing settings
+ * GET /api/admin/settings/pricing
+ */
+const getPricingSettings = async (req, res) => {
+  try {
+    const settings = await PricingSettings.getSettings();
+    await settings.populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing settings retrieved successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    console.error('Get pricing settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve pricing settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update pricing settings
+ * PUT /api/admin/settings/pricing
+ */
+const updatePricingSettings = async (req, res) => {
+  try {
+    const { taxRate, deliveryFeeTiers, minimumOrder } = req.body;
+    const settings = await PricingSettings.getSettings();
+
+    if (taxRate !== undefined) {
+      settings.taxRate = taxRate;
+    }
+
+    if (deliveryFeeTiers !== undefined) {
+      const thresholds = deliveryFeeTiers.map(tier => Number(tier.minSubtotal));
+      if (new Set(thresholds).size !== thresholds.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each delivery fee tier must have a different minimum subtotal'
+        });
+      }
+      settings.deliveryFeeTiers = deliveryFeeTiers.map(tier => ({
+        minSubtotal: tier.minSubtotal,
+        fee: tier.fee
+      }));
+    }
+
+    if (minimumOrder !== undefined) {
+      if (minimumOrder.delivery !== undefined) {
+        settings.minimumOrder.delivery = minimumOrder.delivery;
+      }
+      if (minimumOrder.pickup !== undefined) {
+        settings.minimumOrder.pickup = minimumOrder.pickup;
+      }
+    }
+
+    settings.updatedBy = req.user._id;
+    await settings.save();
+    await settings.populate('updatedBy', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Pricing settings updated successfully',
+      data: { settings }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
+
+    console.error('Update pricing settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update pricing settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Send store hours along with the current open/closed status
+ */
+const sendStoreHours = async (res, hours, message) => {
+  await hours.populate([
+    { path: 'updatedBy', select: 'name email' },
+    { path: 'pause.pausedBy', select: 'name email' }
+  ]);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      hours,
+      status: getStoreStatus(hours)
+    }
+  });
+};
+
+/**
+ * Map a mongoose validation error on store hours to a 400 response
+ */
+const sendHoursValidationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    message: Object.values(error.errors).map(err => err.message).join(', ')
+  });
+};
+
+/**
+ * Get store hours
+ * GET /api/admin/settings/hours
+ */
+const getStoreHours = async (req, res) => {
+  try {
+    const hours = await StoreHours.getHours();
+    await sendStoreHours(res, hours, 'Store hours retrieved successfully');
+  } catch (error) {
+    console.error('Get store hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve store hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update weekly hours, buffet hours, holidays, order lead times and kitchen capacity
+ * PUT /api/admin/settings/hours
+ */
+const updateStoreHours = async (req, res) => {
+  try {
+    const { weeklyHours, buffetHours, holidays, preparationMinutes, lastOrderMinutes, kitchenCapacity } = req.body;
+    const hours = await StoreHours.getHours();
+
+    const toDayHours = days => days.map(day => ({
+      day: day.day,
+      isOpen: day.isOpen,
+      open: day.open,
+      close: day.close
+    }));
+
+    if (weeklyHours !== undefined) {
+      hours.weeklyHours = toDayHours(weeklyHours);
+    }
+
+    if (buffetHours !== undefined) {
+      hours.buffetHours = toDayHours(buffetHours);
+    }
+
+    if (holidays !== undefined) {
+      hours.holidays = holidays.map(holiday => ({
+        date: holiday.date,
+        isOpen: !!holiday.isOpen,
+        open: holiday.isOpen ? holiday.open : undefined,
+        close: holiday.isOpen ? holiday.close : undefined,
+        reason: holiday.reason
+      }));
+    }
+
+    if (preparationMinutes !== undefined) {
+      if (preparationMinutes.pickup !== undefined) {
+        hours.preparationMinutes.pickup = preparationMinutes.pickup;
+      }
+      if (preparationMinutes.delivery !== undefined) {
+        hours.preparationMinutes.delivery = preparationMinutes.delivery;
+      }
+    }
+
+    if (lastOrderMinutes !== undefined) {
+      hours.lastOrderMinutes = lastOrderMinutes;
+    }
+
+    if (kitchenCapacity !== undefined) {
+      if (kitchenCapacity.maxOrdersPerSlot !== undefined) {
+        hours.kitchenCapacity.maxOrdersPerSlot = kitchenCapacity.maxOrdersPerSlot;
+      }
+      if (kitchenCapacity.maxPrepMinutesPerSlot !== undefined) {
+        hours.kitchenCapacity.maxPrepMinutesPerSlot = kitchenCapacity.maxPrepMinutesPerSlot;
+      }
+    }
+
+    hours.updatedBy = req.user._id;
+    await hours.save();
+    await sendStoreHours(res, hours, 'Store hours updated successfully');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendHoursValidationError(res, error);
+    }
+
+    console.error('Update store hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update store hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Pause new orders, optionally for a number of minutes
+ * POST /api/admin/settings/hours/pause
+ */
+const pauseOrdering = async (req, res) => {
+  try {
+    const { reason, minutes } = req.body;
+    const hours = await StoreHours.getHours();
+
+    hours.pause = {
+      isPaused: true,
+      reason,
+      until: minutes ? new Date(Date.now() + minutes * 60000) : undefined,
+      pausedBy: req.user._id,
+      pausedAt: new Date()
+    };
+    await hours.save();
+
+    await sendStoreHours(res, hours, 'Ordering paused');
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return sendHoursValidationError(res, error);
+    }
+
+    console.error('Pause ordering error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause ordering',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resume taking orders
+ * DELETE /api/admin/settings/hours/pause
+ */
+const resumeOrdering = async (req, res) => {
+  try {
+    const hours = await StoreHours.getHours();
+
+    hours.pause = { isPaused: false };
+    await hours.save();
+
+    await sendStoreHours(res, hours, 'Ordering resumed');
+  } catch (error) {
+    console.error('Resume ordering error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume ordering',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPricingSettings,
+  updatePricingSettings,
+  getStoreHours,
+  updateStoreHours,
+  pauseOrdering,
+  resumeOrdering
+};
@@ -86,6 +86,7 @@ const createAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       isDefault = false
     } = req.body;
 
@@ -111,6 +112,7 @@ const createAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       isDefault: shouldBeDefault
     });
 
@@ -157,6 +159,7 @@ const updateAddress = async (req, res) => {
       city,
       state,
       pincode,
+      coordinates,
       isDefault
     } = req.body;
 
@@ -189,6 +192,7 @@ const updateAddress = async (req, res) => {
     if (city !== undefined) address.city = city;
     if (state !== undefined) address.state = state;
     if (pincode !== undefined) address.pincode = pincode;
+    if (coordinates !== undefined) address.coordinates = coordinates;
     if (isDefault !== undefined) address.isDefault = isDefault;
 
     await address.save();
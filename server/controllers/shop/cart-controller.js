@@ -1,5 +1,9 @@
 const Cart = require('../../models/Cart');
 const Menu = require('../../models/Menu');
+const { resolveItemSize, resolveItemOptions } = require('../../services/item-options-service');
+const { checkBundleStock, resolveBundleSelections } = require('../../services/bundle-service');
+const { resolveCartCoupon, applyCouponToCart } = require('../../services/coupon-service');
+const { evaluatePromotions } = require('../../services/promotion-service');
 const { validationResult } = require('express-validator');
 
 /**
@@ -30,16 +34,13 @@ const getCart = async (req, res) => {
       return totals;
     }, { subtotal: 0, totalItems: 0 });
 
-    // Apply coupon discount if exists
-    let discount = 0;
-    if (cart.coupon && cart.coupon.isActive) {
-      if (cart.coupon.type === 'percentage') {
-        discount = (cartTotals.subtotal * cart.coupon.value) / 100;
-      } else {
-        discount = cart.coupon.value;
-      }
-      discount = Math.min(discount, cart.coupon.maxDiscount || discount);
-    }
+    // Price automatic promotions and the applied coupon against the items still in the cart
+    const [coupon, promotions] = await Promise.all([
+      resolveCartCoupon({ ...cart, items: activeItems, subtotal: cartTotals.subtotal }),
+      evaluatePromotions(activeItems)
+    ]);
+    const couponDiscount = coupon && !coupon.error ? coupon.discount : 0;
+    const discount = Math.min(promotions.discount + couponDiscount, cartTotals.subtotal);
 
     const total = Math.max(0, cartTotals.subtotal - discount);
 
@@ -54,7 +55,12 @@ const getCart = async (req, res) => {
             subtotal: cartTotals.subtotal,
             discount,
             total,
-            totalItems: cartTotals.totalItems
+            totalItems: cartTotals.totalItems,
+            couponError: coupon && coupon.error ? coupon.error : null,
+            promotions: promotions.lines,
+            promotionDiscount: promotions.discount,
+            nextPromotion: promotions.nextThreshold,
+            unlockedPromotions: promotions.unlocked
           }
         }
       }
@@ -85,7 +91,18 @@ const addToCart = async (req, res) => {
       });
     }
 
-    const { menuItemId, quantity = 1, size = 'Medium', addons = [], specialInstructions = '' } = req.body;
+    const {
+      menuItemId,
+      quantity = 1,
+      sizeId,
+      size,
+      addons = [],
+      spicyLevel,
+      preparations = [],
+      modifiers,
+      bundleSelections = [],
+      specialInstructions = ''
+    } = req.body;
 
     // Verify menu item exists and is active
     const menuItem = await Menu.findById(menuItemId);
@@ -96,52 +113,39 @@ const addToCart = async (req, res) => {
       });
     }
 
-    // Check stock availability
-    if (menuItem.quantity < quantity) {
+    // Check stock availability (bundles are checked against their components below)
+    if (menuItem.itemType !== 'bundle' && menuItem.quantity < quantity) {
       return res.status(400).json({
         success: false,
         message: `Only ${menuItem.quantity} items available in stock`
       });
     }
 
-    // Validate size - be flexible with size validation
-    let sizeInfo = null;
-    let actualSize = size;
-
-    if (menuItem.sizes && menuItem.sizes.length > 0) {
-      // Handle both string array and object array formats
-      if (typeof menuItem.sizes[0] === 'string') {
-        // String array format
-        if (menuItem.sizes.includes(size)) {
-          sizeInfo = { name: size, price: menuItem.discountedPrice };
-        } else {
-          // Use first available size
-          actualSize = menuItem.sizes[0];
-          sizeInfo = { name: actualSize, price: menuItem.discountedPrice };
-          console.log(`Size "${size}" not found for menu item ${menuItem.name}, using "${actualSize}" instead`);
-        }
-      } else {
-        // Object array format
-        sizeInfo = menuItem.sizes.find(s => s.name === size);
-        if (!sizeInfo) {
-          // Try to find default size or use first available
-          sizeInfo = menuItem.sizes.find(s => s.isDefault) || menuItem.sizes[0];
-          actualSize = sizeInfo.name;
-          console.log(`Size "${size}" not found for menu item ${menuItem.name}, using "${actualSize}" instead`);
-        }
+    // Size, spicy level and preparations must be ones this item offers
+    let itemSize;
+    let itemOptions;
+    let bundle = null;
+    try {
+      itemSize = resolveItemSize(menuItem, { sizeId, size });
+      itemOptions = await resolveItemOptions(menuItem, { spicyLevel, preparations, modifiers });
+
+      // Every bundle slot needs an eligible item with stock
+      if (menuItem.itemType === 'bundle') {
+        bundle = await resolveBundleSelections(menuItem, bundleSelections, quantity);
+        itemOptions.bundleItems = bundle.items;
       }
-    } else {
-      // If no sizes defined, create a default size with the menu item's discounted price
-      sizeInfo = {
-        name: size,
-        price: menuItem.discountedPrice || menuItem.mrp || 0,
-        isDefault: true
-      };
-      console.log(`No sizes defined for menu item ${menuItem.name}, using default price`);
+    } catch (optionsError) {
+      if (optionsError.status) {
+        return res.status(optionsError.status).json({
+          success: false,
+          message: optionsError.message
+        });
+      }
+      throw optionsError;
     }
 
-    // Ensure we have a valid price
-    const basePrice = sizeInfo.price || menuItem.discountedPrice || menuItem.mrp || 0;
+    // Price comes from the menu size or bundle, never from the client
+    const basePrice = bundle ? bundle.price : itemSize.price;
     if (basePrice <= 0) {
       return res.status(400).json({
         success: false,
@@ -166,6 +170,11 @@ const addToCart = async (req, res) => {
       };
     }).filter(addon => addon !== null) : [];
 
+    // Unit price: size price plus addons and modifiers
+    const addonsTotal = validAddons.reduce((total, addon) => total + (addon.price * addon.quantity), 0);
+    const modifiersTotal = itemOptions.modifiers.reduce((total, modifier) => total + modifier.price, 0);
+    const unitPrice = basePrice + addonsTotal + modifiersTotal;
+
     // Find or create cart
     let cart = await Cart.findOne({ user: req.user._id });
     if (!cart) {
@@ -190,16 +199,30 @@ const addToCart = async (req, res) => {
     // Check if item already exists in cart with same configuration
     const existingItemIndex = cart.items.findIndex(item =>
       item.menu.toString() === menuItemId &&
-      item.size === actualSize &&
+      String(item.sizeId || '') === String(itemSize.sizeId || '') &&
+      item.size === itemSize.name &&
       (item.specialInstructions || '') === (specialInstructions || '') &&
-      compareAddons(item.addons || [], validAddons)
+      compareAddons(item.addons || [], validAddons) &&
+      item.matchesOptions(itemOptions)
     );
 
     if (existingItemIndex > -1) {
       // Update existing item quantity
       const newQuantity = cart.items[existingItemIndex].quantity + quantity;
 
-      if (newQuantity > menuItem.quantity) {
+      if (bundle) {
+        try {
+          await checkBundleStock(bundle.items, newQuantity);
+        } catch (stockError) {
+          if (stockError.status) {
+            return res.status(stockError.status).json({
+              success: false,
+              message: stockError.message
+            });
+          }
+          throw stockError;
+        }
+      } else if (newQuantity > menuItem.quantity) {
         return res.status(400).json({
           success: false,
           message: `Cannot add more items. Maximum available: ${menuItem.quantity}`
@@ -207,25 +230,28 @@ const addToCart = async (req, res) => {
       }
 
       // Recalculate pricing for updated quantity using size price
-      const addonsTotal = validAddons.reduce((total, addon) => total + (addon.price * addon.quantity), 0);
       const priceAtTime = basePrice;
-      const itemTotal = (basePrice + addonsTotal) * newQuantity;
+      const itemTotal = unitPrice * newQuantity;
 
       cart.items[existingItemIndex].quantity = newQuantity;
       cart.items[existingItemIndex].priceAtTime = priceAtTime;
       cart.items[existingItemIndex].itemTotal = itemTotal;
     } else {
       // Calculate pricing using size price
-      const addonsTotal = validAddons.reduce((total, addon) => total + (addon.price * addon.quantity), 0);
       const priceAtTime = basePrice;
-      const itemTotal = (basePrice + addonsTotal) * quantity;
+      const itemTotal = unitPrice * quantity;
 
       // Add new item to cart
       cart.items.push({
         menu: menuItemId,
         quantity,
-        size: actualSize,
+        sizeId: itemSize.sizeId,
+        size: itemSize.name,
         addons: validAddons,
+        spicyLevel: itemOptions.spicyLevel,
+        preparations: itemOptions.preparations,
+        modifiers: itemOptions.modifiers,
+        bundleItems: bundle ? bundle.items : [],
         specialInstructions: specialInstructions || '',
         priceAtTime,
         itemTotal
@@ -254,22 +280,29 @@ const addToCart = async (req, res) => {
           // Re-apply the changes using same comparison logic as main flow
           const existingItemIndex = cart.items.findIndex(item =>
             item.menu.toString() === menuItemId &&
-            item.size === actualSize &&
+            String(item.sizeId || '') === String(itemSize.sizeId || '') &&
+            item.size === itemSize.name &&
             (item.specialInstructions || '') === (specialInstructions || '') &&
-            compareAddons(item.addons || [], validAddons)
+            compareAddons(item.addons || [], validAddons) &&
+            item.matchesOptions(itemOptions)
           );
 
           if (existingItemIndex > -1) {
             cart.items[existingItemIndex].quantity += quantity;
-            cart.items[existingItemIndex].itemTotal = (basePrice + addonsTotal) * cart.items[existingItemIndex].quantity;
+            cart.items[existingItemIndex].itemTotal = unitPrice * cart.items[existingItemIndex].quantity;
           } else {
             cart.items.push({
               menu: menuItemId,
               quantity,
-              size: actualSize,
+              sizeId: itemSize.sizeId,
+              size: itemSize.name,
               addons: validAddons,
+              spicyLevel: itemOptions.spicyLevel,
+              preparations: itemOptions.preparations,
+              modifiers: itemOptions.modifiers,
+              bundleItems: bundle ? bundle.items : [],
               priceAtTime: basePrice,
-              itemTotal: (basePrice + addonsTotal) * quantity
+              itemTotal: unitPrice * quantity
             });
           }
 
@@ -349,7 +382,20 @@ const updateCartItem = async (req, res) => {
       });
     }
 
-    if (quantity > menuItem.quantity) {
+    // Bundles are limited by the stock of their components
+    if (menuItem.itemType === 'bundle') {
+      try {
+        await checkBundleStock(cart.items[itemIndex].bundleItems, quantity);
+      } catch (stockError) {
+        if (stockError.status) {
+          return res.status(stockError.status).json({
+            success: false,
+            message: stockError.message
+          });
+        }
+        throw stockError;
+      }
+    } else if (quantity > menuItem.quantity) {
       return res.status(400).json({
         success: false,
         message: `Only ${menuItem.quantity} items available in stock`
@@ -437,7 +483,7 @@ const clearCart = async (req, res) => {
     }
 
     cart.items = [];
-    cart.coupon = null;
+    cart.appliedCoupon = undefined;
     await cart.save();
 
     res.status(200).json({
@@ -471,58 +517,21 @@ const applyCoupon = async (req, res) => {
     }
 
     const cart = await Cart.findOne({ user: req.user._id });
-    if (!cart || cart.items.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Cart is empty'
-      });
-    }
-
-    // For now, we'll simulate coupon validation
-    // In a real app, you'd have a Coupon model
-    const validCoupons = {
-      'SAVE10': { type: 'percentage', value: 10, minOrder: 100, maxDiscount: 50 },
-      'FLAT20': { type: 'fixed', value: 20, minOrder: 200, maxDiscount: 20 },
-      'WELCOME15': { type: 'percentage', value: 15, minOrder: 150, maxDiscount: 75 }
-    };
-
-    const coupon = validCoupons[couponCode.toUpperCase()];
-    if (!coupon) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid coupon code'
-      });
-    }
-
-    // Calculate cart subtotal
-    await cart.populate('items.menu', 'discountedPrice');
-    const subtotal = cart.items.reduce((total, item) =>
-      total + (item.quantity * item.menu.discountedPrice), 0
-    );
-
-    if (subtotal < coupon.minOrder) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum order amount of ₹${coupon.minOrder} required for this coupon`
-      });
-    }
-
-    cart.coupon = {
-      code: couponCode.toUpperCase(),
-      type: coupon.type,
-      value: coupon.value,
-      maxDiscount: coupon.maxDiscount,
-      isActive: true
-    };
-
+    const coupon = await applyCouponToCart(cart, couponCode);
     await cart.save();
 
     res.status(200).json({
       success: true,
-      message: 'Coupon applied successfully',
-      data: { cart }
+      message: `Coupon ${coupon.code} applied successfully`,
+      data: { cart, coupon }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
     console.error('Apply coupon error:', error);
     res.status(500).json({
       success: false,
@@ -546,7 +555,7 @@ const removeCoupon = async (req, res) => {
       });
     }
 
-    cart.coupon = null;
+    cart.appliedCoupon = undefined;
     await cart.save();
 
     // Populate and return updated cart
@@ -0,0 +1,142 @@
+const GiftCard = require('../../models/GiftCard');
+const { getGiftCardBalance, createGiftCardPurchase } = require('../../services/gift-card-service');
+const { createPaymentForGiftCard, confirmPaymentForGiftCard } = require('../../services/payment-service');
+
+// The code is only ever sent to the recipient, so purchase responses leave it out
+const purchaseSummary = (giftCard, intent) => ({
+  giftCardId: giftCard._id,
+  amount: giftCard.initialBalance,
+  recipientName: giftCard.recipientName,
+  recipientEmail: giftCard.recipientEmail,
+  status: giftCard.status,
+  deliveredAt: giftCard.deliveredAt,
+  provider: giftCard.paymentProvider,
+  paymentIntentId: intent.id,
+  clientSecret: intent.clientSecret,
+  intentStatus: intent.status,
+  currency: intent.currency
+});
+
+/**
+ * Check what is left on a gift card or store credit code
+ * GET /api/shop/gift-cards/balance?code=
+ */
+const checkGiftCardBalance = async (req, res) => {
+  try {
+    if (!req.query.code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gift card code is required'
+      });
+    }
+
+    const giftCard = await getGiftCardBalance(req.query.code);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card balance retrieved successfully',
+      data: { giftCard }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Check gift card balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check gift card balance',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Buy a gift card for someone and start paying for it
+ * The card is emailed to the recipient once the payment succeeds.
+ * POST /api/shop/gift-cards
+ */
+const purchaseGiftCard = async (req, res) => {
+  try {
+    const { amount, senderName, recipientName, recipientEmail, message } = req.body;
+
+    const giftCard = await createGiftCardPurchase({
+      amount,
+      senderName: senderName || req.user.name,
+      recipientName,
+      recipientEmail,
+      message,
+      purchaser: req.user._id
+    });
+    const intent = await createPaymentForGiftCard(giftCard);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift card created; complete the payment to send it',
+      data: purchaseSummary(giftCard, intent)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Purchase gift card error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start gift card purchase',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm the payment for a gift card the signed-in customer is buying
+ * POST /api/shop/gift-cards/:id/confirm
+ */
+const confirmGiftCardPurchase = async (req, res) => {
+  try {
+    const giftCard = await GiftCard.findOne({ _id: req.params.id, purchaser: req.user._id });
+
+    if (!giftCard) {
+      return res.status(404).json({
+        success: false,
+        message: 'Gift card not found'
+      });
+    }
+
+    const result = await confirmPaymentForGiftCard(giftCard, {
+      paymentMethod: req.body.paymentMethod
+    });
+    const paid = result.giftCard.status !== 'pending';
+    const failed = !paid && ['requires_payment_method', 'canceled'].includes(result.intent.status);
+
+    res.status(failed ? 402 : 200).json({
+      success: !failed,
+      message: paid
+        ? `Gift card sent to ${result.giftCard.recipientEmail}`
+        : failed
+          ? result.intent.failureReason || 'Payment failed'
+          : 'Payment is processing',
+      data: purchaseSummary(result.giftCard, result.intent)
+    });
+  } catch (error) {
+    console.error('Confirm gift card purchase error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to confirm payment',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  checkGiftCardBalance,
+  purchaseGiftCard,
+  confirmGiftCardPurchase
+};
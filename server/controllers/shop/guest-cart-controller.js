@@ -1,7 +1,11 @@
 const { validationResult } = require('express-validator');
 const Cart = require('../../models/Cart');
 const Menu = require('../../models/Menu');
+const { resolveItemSize, resolveItemOptions } = require('../../services/item-options-service');
+const { checkBundleStock, resolveBundleSelections } = require('../../services/bundle-service');
 const { getOrCreateGuestUser } = require('../../services/guest-service');
+const { resolveCartCoupon, applyCouponToCart } = require('../../services/coupon-service');
+const { evaluatePromotions } = require('../../services/promotion-service');
 
 /**
  * Get guest cart
@@ -31,11 +35,18 @@ const getGuestCart = async (req, res) => {
       return totals;
     }, { subtotal: 0, totalItems: 0 });
 
-    // Apply coupon discount if exists
-    let discount = 0;
-    if (cart.appliedCoupon && cart.appliedCoupon.discountAmount) {
-      discount = cart.appliedCoupon.discountAmount;
-    }
+    // Price automatic promotions and the applied coupon against the items still in the cart
+    const [coupon, promotions] = await Promise.all([
+      resolveCartCoupon({
+        user: cart.user,
+        appliedCoupon: cart.appliedCoupon,
+        items: activeItems,
+        subtotal: cartTotals.subtotal
+      }),
+      evaluatePromotions(activeItems)
+    ]);
+    const couponDiscount = coupon && !coupon.error ? coupon.discount : 0;
+    const discount = Math.min(promotions.discount + couponDiscount, cartTotals.subtotal);
 
     const total = Math.max(0, cartTotals.subtotal - discount);
 
@@ -50,7 +61,12 @@ const getGuestCart = async (req, res) => {
             subtotal: cartTotals.subtotal,
             discount,
             total,
-            totalItems: cartTotals.totalItems
+            totalItems: cartTotals.totalItems,
+            couponError: coupon && coupon.error ? coupon.error : null,
+            promotions: promotions.lines,
+            promotionDiscount: promotions.discount,
+            nextPromotion: promotions.nextThreshold,
+            unlockedPromotions: promotions.unlocked
           }
         }
       }
@@ -82,7 +98,18 @@ const addToGuestCart = async (req, res) => {
     }
 
     const { sessionId } = req.params;
-    const { menuItemId, quantity = 1, size = 'Medium', addons = [], specialInstructions = '' } = req.body;
+    const {
+      menuItemId,
+      quantity = 1,
+      sizeId,
+      size,
+      addons = [],
+      spicyLevel,
+      preparations = [],
+      modifiers,
+      bundleSelections = [],
+      specialInstructions = ''
+    } = req.body;
 
     // Verify menu item exists and is active
     const menuItem = await Menu.findById(menuItemId);
@@ -93,39 +120,39 @@ const addToGuestCart = async (req, res) => {
       });
     }
 
-    // Check stock availability
-    if (menuItem.quantity < quantity) {
+    // Check stock availability (bundles are checked against their components below)
+    if (menuItem.itemType !== 'bundle' && menuItem.quantity < quantity) {
       return res.status(400).json({
         success: false,
         message: `Only ${menuItem.quantity} items available in stock`
       });
     }
 
-    // Validate size - be flexible with size validation
-    let sizeInfo = null;
-    let actualSize = size;
-
-    if (menuItem.sizes && menuItem.sizes.length > 0) {
-      sizeInfo = menuItem.sizes.find(s => s.name === size);
-
-      // If requested size not found, try to find a default size or use first available
-      if (!sizeInfo) {
-        sizeInfo = menuItem.sizes.find(s => s.isDefault) || menuItem.sizes[0];
-        actualSize = sizeInfo.name;
-        console.log(`Size "${size}" not found for menu item ${menuItem.name}, using "${sizeInfo.name}" instead`);
+    // Size, spicy level and preparations must be ones this item offers
+    let itemSize;
+    let itemOptions;
+    let bundle = null;
+    try {
+      itemSize = resolveItemSize(menuItem, { sizeId, size });
+      itemOptions = await resolveItemOptions(menuItem, { spicyLevel, preparations, modifiers });
+
+      // Every bundle slot needs an eligible item with stock
+      if (menuItem.itemType === 'bundle') {
+        bundle = await resolveBundleSelections(menuItem, bundleSelections, quantity);
+        itemOptions.bundleItems = bundle.items;
       }
-    } else {
-      // If no sizes defined, create a default size with the menu item's discounted price
-      sizeInfo = {
-        name: size,
-        price: menuItem.discountedPrice || menuItem.mrp || 0,
-        isDefault: true
-      };
-      console.log(`No sizes defined for menu item ${menuItem.name}, using default price`);
+    } catch (optionsError) {
+      if (optionsError.status) {
+        return res.status(optionsError.status).json({
+          success: false,
+          message: optionsError.message
+        });
+      }
+      throw optionsError;
     }
 
-    // Ensure we have a valid price
-    const basePrice = sizeInfo.price || menuItem.discountedPrice || menuItem.mrp || 0;
+    // Price comes from the menu size or bundle, never from the client
+    const basePrice = bundle ? bundle.price : itemSize.price;
     if (basePrice <= 0) {
       return res.status(400).json({
         success: false,
@@ -152,7 +179,8 @@ const addToGuestCart = async (req, res) => {
       const menuAddon = menuItem.addons.find(ma => ma._id.toString() === addon.id);
       return total + (menuAddon ? menuAddon.price * addon.quantity : 0);
     }, 0);
-    const itemTotal = (priceAtTime + addonTotal) * quantity;
+    const modifierTotal = itemOptions.modifiers.reduce((total, modifier) => total + modifier.price, 0);
+    const itemTotal = (priceAtTime + addonTotal + modifierTotal) * quantity;
 
     // Helper function to compare addons
     const compareAddons = (addons1, addons2) => {
@@ -172,23 +200,40 @@ const addToGuestCart = async (req, res) => {
     // Check if item already exists in cart with same configuration
     const existingItemIndex = cart.items.findIndex(item =>
       item.menu.toString() === menuItemId &&
-      item.size === actualSize &&
+      String(item.sizeId || '') === String(itemSize.sizeId || '') &&
+      item.size === itemSize.name &&
       (item.specialInstructions || '') === (specialInstructions || '') &&
-      compareAddons(item.addons || [], validAddons)
+      compareAddons(item.addons || [], validAddons) &&
+      item.matchesOptions(itemOptions)
     );
 
     if (existingItemIndex > -1) {
+      if (bundle) {
+        try {
+          await checkBundleStock(bundle.items, cart.items[existingItemIndex].quantity + quantity);
+        } catch (stockError) {
+          if (stockError.status) {
+            return res.status(stockError.status).json({
+              success: false,
+              message: stockError.message
+            });
+          }
+          throw stockError;
+        }
+      }
+
       // Update existing item
       cart.items[existingItemIndex].quantity += quantity;
       cart.items[existingItemIndex].itemTotal =
-        (priceAtTime + addonTotal) * cart.items[existingItemIndex].quantity;
+        (priceAtTime + addonTotal + modifierTotal) * cart.items[existingItemIndex].quantity;
       cart.items[existingItemIndex].specialInstructions = specialInstructions;
     } else {
       // Add new item to cart
       cart.items.push({
         menu: menuItemId,
         quantity,
-        size: actualSize,
+        sizeId: itemSize.sizeId,
+        size: itemSize.name,
         addons: validAddons.map(addon => {
           const menuAddon = menuItem.addons.find(ma => ma._id.toString() === addon.id);
           return {
@@ -196,6 +241,10 @@ const addToGuestCart = async (req, res) => {
             price: menuAddon.price * addon.quantity
           };
         }),
+        spicyLevel: itemOptions.spicyLevel,
+        preparations: itemOptions.preparations,
+        modifiers: itemOptions.modifiers,
+        bundleItems: bundle ? bundle.items : [],
         specialInstructions,
         priceAtTime,
         itemTotal
@@ -269,7 +318,20 @@ const updateGuestCartItem = async (req, res) => {
       });
     }
 
-    if (quantity > menuItem.quantity) {
+    // Bundles are limited by the stock of their components
+    if (menuItem.itemType === 'bundle') {
+      try {
+        await checkBundleStock(cart.items[itemIndex].bundleItems, quantity);
+      } catch (stockError) {
+        if (stockError.status) {
+          return res.status(stockError.status).json({
+            success: false,
+            message: stockError.message
+          });
+        }
+        throw stockError;
+      }
+    } else if (quantity > menuItem.quantity) {
       return res.status(400).json({
         success: false,
         message: `Only ${menuItem.quantity} items available in stock`
@@ -283,7 +345,8 @@ const updateGuestCartItem = async (req, res) => {
       // Update quantity and recalculate total
       cart.items[itemIndex].quantity = quantity;
       const addonTotal = cart.items[itemIndex].addons.reduce((total, addon) => total + addon.price, 0);
-      cart.items[itemIndex].itemTotal = (cart.items[itemIndex].priceAtTime + addonTotal) * quantity;
+      cart.items[itemIndex].itemTotal =
+        (cart.items[itemIndex].priceAtTime + addonTotal + cart.items[itemIndex].getModifiersTotal()) * quantity;
     }
 
     await cart.save();
@@ -394,10 +457,89 @@ const clearGuestCart = async (req, res) => {
   }
 };
 
+/**
+ * Apply coupon to guest cart
+ * POST /api/shop/guest/cart/:sessionId/coupon
+ */
+const applyGuestCoupon = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { couponCode } = req.body;
+
+    if (!couponCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code is required'
+      });
+    }
+
+    const guestUser = await getOrCreateGuestUser(sessionId);
+    const cart = await Cart.findOne({ user: guestUser._id, isActive: true });
+    const coupon = await applyCouponToCart(cart, couponCode);
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: `Coupon ${coupon.code} applied successfully`,
+      data: { cart, coupon }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Apply guest coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to apply coupon',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove coupon from guest cart
+ * DELETE /api/shop/guest/cart/:sessionId/coupon
+ */
+const removeGuestCoupon = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    const guestUser = await getOrCreateGuestUser(sessionId);
+    const cart = await Cart.findOne({ user: guestUser._id, isActive: true });
+    if (!cart) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest cart not found'
+      });
+    }
+
+    cart.appliedCoupon = undefined;
+    await cart.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon removed successfully',
+      data: { cart }
+    });
+  } catch (error) {
+    console.error('Remove guest coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove coupon',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getGuestCart,
   addToGuestCart,
   updateGuestCartItem,
   removeFromGuestCart,
-  clearGuestCart
+  clearGuestCart,
+  applyGuestCoupon,
+  removeGuestCoupon
 };
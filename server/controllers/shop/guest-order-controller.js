@@ -2,25 +2,19 @@ const { validationResult } = require('express-validator');
 const Order = require('../../models/Order');
 const Cart = require('../../models/Cart');
 const Menu = require('../../models/Menu');
+const { quoteCart, getMinimumOrderMessage } = require('../../services/pricing-service');
+const { resolveDeliveryZone } = require('../../services/delivery-zone-service');
+const { checkOrderTiming } = require('../../services/store-hours-service');
+const { checkCartAvailability } = require('../../services/availability-service');
+const { getLineAllergens } = require('../../services/allergen-service');
+const { getPrepMinutes } = require('../../services/kitchen-capacity-service');
+const { placeOrder } = require('../../services/checkout-service');
+const { parseGiftCardCodes } = require('../../services/gift-card-service');
 const { getOrCreateGuestUser, getGuestUserBySession } = require('../../services/guest-service');
 const { sendEmail } = require('../../helpers/send-email');
-
-// Helper function to emit Socket.IO events
-const emitOrderEvent = (eventType, data) => {
-  try {
-    if (global.io) {
-      // Emit to all admin rooms with correct room names
-      global.io.to('admin:all').emit(eventType, data);
-      global.io.to('admin:super-admin').emit(eventType, data);  // Fixed: was 'admin:superadmin'
-      global.io.to('admin:veg_admin').emit(eventType, data);
-      global.io.to('admin:non_veg_admin').emit(eventType, data);
-
-
-    }
-  } catch (error) {
-    console.error('❌ Error emitting Socket.IO event:', error);
-  }
-};
+const { formatItemOptions } = require('../../utils/orderUtils');
+const { formatAllergenWarningHtml } = require('../../utils/dietaryUtils');
+const { emitAdminEvent } = require('../../helpers/admin-events');
 
 /**
  * Create guest order (checkout)
@@ -47,9 +41,23 @@ const createGuestOrder = async (req, res) => {
       scheduledDate,
       scheduledTime,
       paymentMethod = 'pay_online',
-      specialInstructions = ''
+      specialInstructions = '',
+      giftCardCodes
     } = req.body;
 
+    // Orders must fall within opening hours (restaurant-local time) and not during a pause
+    try {
+      await checkOrderTiming({ timing, scheduledDate, scheduledTime, orderType });
+    } catch (timingError) {
+      if (timingError.status) {
+        return res.status(timingError.status).json({
+          success: false,
+          message: timingError.message
+        });
+      }
+      throw timingError;
+    }
+
     // Get or create guest user with provided info
     const guestUser = await getOrCreateGuestUser(sessionId, customer);
 
@@ -62,7 +70,7 @@ const createGuestOrder = async (req, res) => {
       });
     }
 
-    // Validate all cart items are still available
+    // Validate all cart items are still available (stock is reserved atomically when the order is placed)
     for (const item of cart.items) {
       const menuItem = await Menu.findById(item.menu._id);
       if (!menuItem || !menuItem.isActive) {
@@ -71,32 +79,83 @@ const createGuestOrder = async (req, res) => {
           message: `Menu item "${item.menu.name}" is no longer available`
         });
       }
+    }
 
-      if (menuItem.quantity < item.quantity) {
-        return res.status(400).json({
+    // Day-part items must be on the menu at the time the order is for
+    try {
+      await checkCartAvailability(cart.items, { timing, scheduledDate, scheduledTime });
+    } catch (availabilityError) {
+      if (availabilityError.status) {
+        return res.status(availabilityError.status).json({
           success: false,
-          message: `Only ${menuItem.quantity} of "${item.menu.name}" available in stock`
+          message: availabilityError.message
         });
       }
+      throw availabilityError;
+    }
+
+    // Delivery addresses must fall inside a delivery zone when zones are configured
+    let deliveryZone = null;
+    if (orderType === 'delivery') {
+      try {
+        deliveryZone = await resolveDeliveryZone(deliveryAddress);
+      } catch (zoneError) {
+        if (zoneError.status) {
+          return res.status(zoneError.status).json({
+            success: false,
+            message: zoneError.message
+          });
+        }
+        throw zoneError;
+      }
+    }
+
+    // Price the order from the admin-managed pricing settings
+    const quote = await quoteCart(cart, orderType, {
+      zone: deliveryZone,
+      giftCardCodes: parseGiftCardCodes(giftCardCodes)
+    });
+    if (!quote.meetsMinimum) {
+      return res.status(400).json({
+        success: false,
+        message: getMinimumOrderMessage(quote),
+        data: { quote }
+      });
     }
 
-    // Calculate order totals
-    const subtotal = cart.subtotal;
-    const deliveryFee = subtotal >= 50 ? 0 : 5.99; // Free delivery over $50
-    const taxRate = 0.08; // 8% tax
-    const tax = subtotal * taxRate;
-    const discount = (cart.appliedCoupon && cart.appliedCoupon.discountAmount) ? cart.appliedCoupon.discountAmount : 0;
-    const totalPrice = subtotal + deliveryFee + tax - discount;
+    // A coupon that stopped applying (expired, used up, cart changed) must be removed first
+    if (quote.couponError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.couponError,
+        data: { quote }
+      });
+    }
+
+    if (quote.giftCardError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.giftCardError,
+        data: { quote }
+      });
+    }
 
-    // Prepare order items
-    const orderItems = cart.items.map(item => ({
+    // Prepare order items, snapshotting allergens for the kitchen
+    const lineAllergens = await getLineAllergens(cart.items);
+    const orderItems = cart.items.map((item, index) => ({
       menu: item.menu._id,
       menuName: item.menu.name,
       menuImage: item.menu.images && item.menu.images.length > 0 ? item.menu.images[0].url : '',
       quantity: item.quantity,
+      sizeId: item.sizeId,
       size: item.size,
       price: item.priceAtTime,
+      allergens: lineAllergens[index],
       addons: item.addons,
+      spicyLevel: item.spicyLevel,
+      preparations: item.preparations,
+      modifiers: item.modifiers,
+      bundleItems: item.bundleItems,
       specialInstructions: item.specialInstructions,
       itemTotal: item.itemTotal
     }));
@@ -110,28 +169,43 @@ const createGuestOrder = async (req, res) => {
       timing,
       scheduledDate: timing === 'scheduled' ? new Date(scheduledDate) : undefined,
       scheduledTime: timing === 'scheduled' ? scheduledTime : undefined,
-      subtotal,
-      deliveryFee: orderType === 'delivery' ? deliveryFee : 0,
-      tax,
-      discount,
-      totalPrice: orderType === 'delivery' ? totalPrice : (subtotal + tax - discount),
+      subtotal: quote.subtotal,
+      deliveryFee: quote.deliveryFee,
+      deliveryZone: deliveryZone ? { zone: deliveryZone._id, name: deliveryZone.name } : undefined,
+      tax: quote.tax,
+      discount: quote.discount,
+      coupon: quote.coupon ? {
+        coupon: quote.coupon.coupon,
+        code: quote.coupon.code,
+        type: quote.coupon.type,
+        discount: quote.coupon.discount
+      } : undefined,
+      promotions: quote.promotions,
+      totalPrice: quote.total,
+      giftCards: quote.giftCards.map(card => ({ giftCard: card.giftCard, code: card.code, amount: card.amount })),
+      giftCardAmount: quote.giftCardAmount,
       paymentMethod,
       specialInstructions,
-      estimatedDeliveryTime: new Date(Date.now() + (cart.estimatedDeliveryTime || 30) * 60000) // Convert minutes to milliseconds
+      estimatedDeliveryTime: new Date(Date.now() + (deliveryZone ? deliveryZone.estimatedMinutes : (cart.estimatedDeliveryTime || 30)) * 60000) // Convert minutes to milliseconds
     });
 
-    await guestOrder.save();
-
-    // Update menu item quantities
-    for (const item of cart.items) {
-      await Menu.findByIdAndUpdate(
-        item.menu._id,
-        { $inc: { quantity: -item.quantity } }
-      );
+    // Reserve stock and kitchen time, redeem the coupon, points and gift cards, then store
+    // the order; whatever was already taken is given back if a later step fails
+    try {
+      await placeOrder(guestOrder, { prepMinutes: getPrepMinutes(cart.items) });
+    } catch (checkoutError) {
+      if (checkoutError.status) {
+        return res.status(checkoutError.status).json({
+          success: false,
+          message: checkoutError.message
+        });
+      }
+      throw checkoutError;
     }
 
     // Clear the cart after successful order
     cart.items = [];
+    cart.appliedCoupon = undefined;
     await cart.save();
 
     // Populate order for response
@@ -148,7 +222,7 @@ const createGuestOrder = async (req, res) => {
     };
 
     // Emit Socket.IO event for new guest order
-    emitOrderEvent('orderCreated', orderWithCustomerType);
+    emitAdminEvent('orderCreated', orderWithCustomerType);
 
     // Send confirmation emails
     try {
@@ -374,14 +448,20 @@ const sendGuestOrderConfirmationEmails = async (order) => {
 
 
   // Format order items for email
-  const itemsHtml = order.items.map(item => `
-    <tr style="border-bottom: 1px solid #eee;">
-      <td style="padding: 10px; text-align: left;">${item.menu.name}</td>
-      <td style="padding: 10px; text-align: center;">${item.quantity}</td>
-      <td style="padding: 10px; text-align: center;">${item.size || 'Regular'}</td>
-      <td style="padding: 10px; text-align: right;">$${item.itemTotal.toFixed(2)}</td>
-    </tr>
-  `).join('');
+  const itemsHtml = order.items.map(item => {
+    const options = formatItemOptions(item);
+    return `
+      <tr style="border-bottom: 1px solid #eee;">
+        <td style="padding: 10px; text-align: left;">${item.menu.name}${options ? `<br><small style="color: #666;">${options}</small>` : ''}</td>
+        <td style="padding: 10px; text-align: center;">${item.quantity}</td>
+        <td style="padding: 10px; text-align: center;">${item.size || 'Regular'}</td>
+        <td style="padding: 10px; text-align: right;">$${item.itemTotal.toFixed(2)}</td>
+      </tr>
+    `;
+  }).join('');
+
+  // Allergen warning for the customer and the kitchen
+  const allergenWarningHtml = formatAllergenWarningHtml(order.items);
 
   // Customer confirmation email
   const customerSubject = `Order Confirmation - #${order.orderNumber}`;
@@ -439,6 +519,8 @@ const sendGuestOrderConfirmationEmails = async (order) => {
           </div>
         </div>
 
+        ${allergenWarningHtml}
+
         ${order.specialInstructions ? `
           <div style="background-color: #e7f3ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
             <strong>Special Instructions:</strong><br>
@@ -526,6 +608,8 @@ const sendGuestOrderConfirmationEmails = async (order) => {
           </div>
         </div>
 
+        ${allergenWarningHtml}
+
         ${order.specialInstructions ? `
           <div style="background-color: #e7f3ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
             <strong>Special Instructions:</strong><br>
@@ -0,0 +1,69 @@
+const { getLoyaltySummary, getLoyaltyTransactions } = require('../../services/loyalty-service');
+
+/**
+ * Get the signed-in customer's points balance, tier and recent ledger entries
+ * GET /api/user/loyalty
+ */
+const getLoyalty = async (req, res) => {
+  try {
+    const [summary, recent] = await Promise.all([
+      getLoyaltySummary(req.user._id),
+      getLoyaltyTransactions(req.user._id, { limit: 5 })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty retrieved successfully',
+      data: {
+        loyalty: summary,
+        recentTransactions: recent.transactions
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Get loyalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve loyalty points',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Page through the signed-in customer's points history
+ * GET /api/user/loyalty/transactions?page=&limit=
+ */
+const getLoyaltyHistory = async (req, res) => {
+  try {
+    const { page, limit } = req.query;
+    const { transactions, pagination } = await getLoyaltyTransactions(req.user._id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: 'Loyalty history retrieved successfully',
+      data: {
+        transactions,
+        pagination
+      }
+    });
+  } catch (error) {
+    console.error('Get loyalty history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve loyalty history',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getLoyalty,
+  getLoyaltyHistory
+};
@@ -1,6 +1,20 @@
 const Menu = require('../../models/Menu');
 const Category = require('../../models/Category');
 const mongoose = require('mongoose');
+const { getBundleChoices } = require('../../services/bundle-service');
+const {
+  getOrderMoment,
+  getMenuAvailabilityFilter,
+  getItemAvailability
+} = require('../../services/availability-service');
+const { ALLERGENS, DIETARY_FLAGS, parseDietaryList } = require('../../utils/dietaryUtils');
+const { calculateItemNutrition } = require('../../services/nutrition-service');
+const { findBundlesWithAllergens } = require('../../services/allergen-service');
+
+/**
+ * Split a comma-separated query value, e.g. "a,b" -> ['a', 'b']
+ */
+const parseQueryList = (value) => String(value || '').split(',').map(entry => entry.trim()).filter(Boolean);
 
 /**
  * Get all menu items for shop (public)
@@ -20,7 +34,13 @@ const getAllMenuItems = async (req, res) => {
       spicyLevel = '',
       sortBy = 'createdAt',
       sortOrder = 'desc',
-      tags = ''
+      tags = '',
+      itemType = '',
+      excludeAllergens = '',
+      dietary = '',
+      scheduledDate = '',
+      scheduledTime = '',
+      includeUnavailable = ''
     } = req.query;
 
     // Build query - only active menu items
@@ -50,6 +70,20 @@ const getAllMenuItems = async (req, res) => {
       query.isSignatureDish = isSignatureDish === 'true';
     }
 
+    // Single items or bundles
+    if (itemType) {
+      query.itemType = itemType === 'bundle' ? 'bundle' : { $ne: 'bundle' };
+    }
+
+    // Day-part schedules: only items on the menu now, or at the time a scheduled order is for
+    const isScheduledView = /^\d{4}-\d{2}-\d{2}$/.test(scheduledDate) && /^([01]\d|2[0-3]):[0-5]\d$/.test(scheduledTime);
+    const moment = getOrderMoment(isScheduledView
+      ? { timing: 'scheduled', scheduledDate, scheduledTime }
+      : {});
+    if (includeUnavailable !== 'true') {
+      query.$and = [await getMenuAvailabilityFilter(moment)];
+    }
+
     // Price range filter
     if (minPrice || maxPrice) {
       query.discountedPrice = {};
@@ -74,6 +108,27 @@ const getAllMenuItems = async (req, res) => {
       query.tags = { $in: tagArray };
     }
 
+    // Allergen filter - hide items containing any of these, e.g. excludeAllergens=peanuts,milk
+    // Single items only pass once staff have verified their allergens; bundles are
+    // judged by every item that can fill their slots
+    const allergensToAvoid = parseDietaryList(excludeAllergens, ALLERGENS);
+    if (allergensToAvoid.length > 0) {
+      query.allergens = { $nin: allergensToAvoid };
+      const bundlesWithAllergens = await findBundlesWithAllergens(allergensToAvoid);
+      query.$and = [...(query.$and || []), {
+        $or: [
+          { itemType: { $ne: 'bundle' }, allergensVerified: true },
+          { itemType: 'bundle', _id: { $nin: bundlesWithAllergens } }
+        ]
+      }];
+    }
+
+    // Dietary filter - items must carry every flag, e.g. dietary=vegan,gluten-free
+    const dietaryFlags = parseDietaryList(dietary, DIETARY_FLAGS);
+    if (dietaryFlags.length > 0) {
+      query.dietaryFlags = { $all: dietaryFlags };
+    }
+
     // Sort options
     const sortOptions = {};
     if (sortBy === 'price') {
@@ -88,7 +143,7 @@ const getAllMenuItems = async (req, res) => {
 
     // Execute query with pagination and safe population
     let menuItems = await Menu.find(query)
-      .populate('category', 'name slug')
+      .populate('category', 'name slug availability')
       .select('-__v')
       .sort(sortOptions)
       .limit(limit * 1)
@@ -156,6 +211,15 @@ const getAllMenuItems = async (req, res) => {
       } catch (error) {
         console.log('Population error for item:', item._id, error.message);
       }
+
+      // Bundles list what can be picked for each slot
+      if (item.itemType === 'bundle') {
+        item.bundleSlots = await getBundleChoices(item);
+      }
+
+      const { isAvailableNow, schedule } = getItemAvailability(item, moment);
+      item.isAvailableNow = isAvailableNow;
+      item.availabilitySchedule = schedule;
     }
 
     // Get total count for pagination
@@ -220,6 +284,9 @@ const getAllMenuItems = async (req, res) => {
 
 /**
  * Get single menu item by ID (public)
+ * Nutrition is computed for the configuration in the query string:
+ * ?sizeId=&modifiers=optionId,optionId&addons=Name,Name&components=menuId,menuId
+ * (default size and default modifier options when omitted; components are a bundle's chosen items)
  * GET /api/shop/menu/:id
  */
 const getMenuItemById = async (req, res) => {
@@ -227,7 +294,7 @@ const getMenuItemById = async (req, res) => {
     const { id } = req.params;
 
     let menuItem = await Menu.findOne({ _id: id, isActive: true })
-      .populate('category', 'name slug description')
+      .populate('category', 'name slug description availability')
       .lean();
 
     // Safely populate spicyLevel and preparations for single item
@@ -273,6 +340,29 @@ const getMenuItemById = async (req, res) => {
       } catch (error) {
         console.log('Population error for single item:', menuItem._id, error.message);
       }
+
+      // Bundles list what can be picked for each slot
+      if (menuItem.itemType === 'bundle') {
+        menuItem.bundleSlots = await getBundleChoices(menuItem);
+      }
+
+      const { isAvailableNow, schedule } = getItemAvailability(menuItem, getOrderMoment());
+      menuItem.isAvailableNow = isAvailableNow;
+      menuItem.availabilitySchedule = schedule;
+
+      // Nutrition for the selected size, modifier options, add-ons and bundle picks
+      const { sizeId, modifiers, addons, components } = req.query;
+      const componentMenus = menuItem.itemType === 'bundle' && components
+        ? await Menu.find({ _id: { $in: parseQueryList(components).filter(componentId => mongoose.Types.ObjectId.isValid(componentId)) } })
+          .select('name itemType sizes modifierGroups addons nutritionalInfo')
+          .lean()
+        : [];
+      menuItem.nutrition = calculateItemNutrition(menuItem, {
+        sizeId,
+        modifiers: modifiers !== undefined ? parseQueryList(modifiers) : undefined,
+        addons: parseQueryList(addons),
+        components: componentMenus.map(componentMenu => ({ menu: componentMenu }))
+      });
     }
 
     if (!menuItem) {
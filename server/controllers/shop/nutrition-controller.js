@@ -0,0 +1,81 @@
+const Cart = require('../../models/Cart');
+const Order = require('../../models/Order');
+const { getGuestUserBySession } = require('../../services/guest-service');
+const { getLinesNutrition } = require('../../services/nutrition-service');
+
+/**
+ * Get nutrition totals for the current cart
+ * Authenticated users get their own cart; guests pass their session ID.
+ * GET /api/shop/cart/nutrition?sessionId=
+ */
+const getCartNutrition = async (req, res) => {
+  try {
+    const { sessionId } = req.query;
+
+    let userId = req.user ? req.user._id : null;
+    if (!userId && sessionId) {
+      const guestUser = await getGuestUserBySession(sessionId);
+      userId = guestUser ? guestUser._id : null;
+    }
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in or provide a guest session ID to get nutrition information'
+      });
+    }
+
+    const cart = await Cart.findOne({ user: userId }).lean();
+    const nutrition = await getLinesNutrition(cart ? cart.items : []);
+
+    res.status(200).json({
+      success: true,
+      message: 'Nutrition calculated successfully',
+      data: { nutrition }
+    });
+  } catch (error) {
+    console.error('Get cart nutrition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate nutrition',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get nutrition totals for one of the user's orders
+ * GET /api/shop/orders/:orderId/nutrition
+ */
+const getOrderNutrition = async (req, res) => {
+  try {
+    const order = await Order.findOne({ _id: req.params.orderId, user: req.user._id }).lean();
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const nutrition = await getLinesNutrition(order.items);
+
+    res.status(200).json({
+      success: true,
+      message: 'Nutrition calculated successfully',
+      data: { orderNumber: order.orderNumber, nutrition }
+    });
+  } catch (error) {
+    console.error('Get order nutrition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate nutrition',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCartNutrition,
+  getOrderNutrition
+};
@@ -1,25 +1,19 @@
 const Order = require('../../models/Order');
 const Cart = require('../../models/Cart');
-const Menu = require('../../models/Menu');
-const { generateOrderNumber } = require('../../utils/orderUtils');
+const { quoteCart, getMinimumOrderMessage } = require('../../services/pricing-service');
+const { resolveDeliveryZone } = require('../../services/delivery-zone-service');
+const { checkOrderTiming } = require('../../services/store-hours-service');
+const { checkCartAvailability } = require('../../services/availability-service');
+const { getLineAllergens } = require('../../services/allergen-service');
+const { getPrepMinutes } = require('../../services/kitchen-capacity-service');
+const { placeOrder } = require('../../services/checkout-service');
+const { parseGiftCardCodes } = require('../../services/gift-card-service');
+const { addOrderToCart } = require('../../services/reorder-service');
+const { getGuestUserBySession } = require('../../services/guest-service');
 const { sendEmail } = require('../../helpers/send-email');
-
-// Helper function to emit Socket.IO events
-const emitOrderEvent = (eventType, data) => {
-  try {
-    if (global.io) {
-      // Emit to all admin rooms with correct room names
-      global.io.to('admin:all').emit(eventType, data);
-      global.io.to('admin:super-admin').emit(eventType, data);  // Fixed: was 'admin:superadmin'
-      global.io.to('admin:veg_admin').emit(eventType, data);
-      global.io.to('admin:non_veg_admin').emit(eventType, data);
-
-
-    }
-  } catch (error) {
-    console.error('❌ Error emitting Socket.IO event:', error);
-  }
-};
+const { formatItemOptions } = require('../../utils/orderUtils');
+const { formatAllergenWarningHtml } = require('../../utils/dietaryUtils');
+const { emitAdminEvent } = require('../../helpers/admin-events');
 
 /**
  * Create a new order (guest or authenticated user)
@@ -34,7 +28,9 @@ const createOrder = async (req, res) => {
       scheduledTime,
       deliveryAddress,
       paymentMethod,
-      specialInstructions
+      specialInstructions,
+      loyaltyPoints,
+      giftCardCodes
     } = req.body;
 
 
@@ -82,17 +78,20 @@ const createOrder = async (req, res) => {
       }
     }
 
-    // Validate scheduled time for scheduled orders
-    if (timing === 'scheduled') {
-      if (!scheduledDate || !scheduledTime) {
-        return res.status(400).json({
+    // Orders must fall within opening hours (restaurant-local time) and not during a pause
+    try {
+      await checkOrderTiming({ timing, scheduledDate, scheduledTime, orderType });
+    } catch (timingError) {
+      if (timingError.status) {
+        return res.status(timingError.status).json({
           success: false,
-          message: 'Scheduled date and time are required for scheduled orders'
+          message: timingError.message
         });
       }
+      throw timingError;
     }
 
-    // Validate cart items and check stock
+    // Validate cart items (stock is reserved atomically when the order is placed)
     for (const item of cart.items) {
       const menuItem = item.menu;
       if (!menuItem) {
@@ -101,40 +100,96 @@ const createOrder = async (req, res) => {
           message: `Menu item not found in cart`
         });
       }
+    }
 
-      // Check stock availability
-      if (menuItem.quantity < item.quantity) {
-        return res.status(400).json({
+    // Day-part items must be on the menu at the time the order is for
+    try {
+      await checkCartAvailability(cart.items, { timing, scheduledDate, scheduledTime });
+    } catch (availabilityError) {
+      if (availabilityError.status) {
+        return res.status(availabilityError.status).json({
           success: false,
-          message: `Only ${menuItem.quantity} of "${menuItem.name}" available in stock`
+          message: availabilityError.message
         });
       }
+      throw availabilityError;
     }
 
-    // Calculate order totals
-    const subtotal = cart.subtotal;
-    const deliveryFee = subtotal >= 50 ? 0 : 5.99; // Free delivery over $50
-    const taxRate = 0.08; // 8% tax
-    const tax = subtotal * taxRate;
-    const discount = (cart.appliedCoupon && cart.appliedCoupon.discountAmount) ? cart.appliedCoupon.discountAmount : 0;
-    const totalPrice = subtotal + deliveryFee + tax - discount;
+    // Delivery addresses must fall inside a delivery zone when zones are configured
+    let deliveryZone = null;
+    if (orderType === 'delivery') {
+      try {
+        deliveryZone = await resolveDeliveryZone(deliveryAddress);
+      } catch (zoneError) {
+        if (zoneError.status) {
+          return res.status(zoneError.status).json({
+            success: false,
+            message: zoneError.message
+          });
+        }
+        throw zoneError;
+      }
+    }
 
-    // Prepare order items
-    const orderItems = cart.items.map(item => ({
+    // Price the order from the admin-managed pricing settings
+    const quote = await quoteCart(cart, orderType, {
+      zone: deliveryZone,
+      loyaltyPoints: loyaltyPoints ? Number(loyaltyPoints) : null,
+      giftCardCodes: parseGiftCardCodes(giftCardCodes)
+    });
+    if (!quote.meetsMinimum) {
+      return res.status(400).json({
+        success: false,
+        message: getMinimumOrderMessage(quote),
+        data: { quote }
+      });
+    }
+
+    // A coupon that stopped applying (expired, used up, cart changed) must be removed first
+    if (quote.couponError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.couponError,
+        data: { quote }
+      });
+    }
+
+    if (quote.loyaltyError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.loyaltyError,
+        data: { quote }
+      });
+    }
+
+    if (quote.giftCardError) {
+      return res.status(400).json({
+        success: false,
+        message: quote.giftCardError,
+        data: { quote }
+      });
+    }
+
+    // Prepare order items, snapshotting allergens for the kitchen
+    const lineAllergens = await getLineAllergens(cart.items);
+    const orderItems = cart.items.map((item, index) => ({
       menu: item.menu._id,
       menuName: item.menu.name,
       menuImage: item.menu.images && item.menu.images.length > 0 ? item.menu.images[0].url : '',
       quantity: item.quantity,
+      sizeId: item.sizeId,
       size: item.size,
       price: item.priceAtTime,
+      allergens: lineAllergens[index],
       addons: item.addons,
+      spicyLevel: item.spicyLevel,
+      preparations: item.preparations,
+      modifiers: item.modifiers,
+      bundleItems: item.bundleItems,
       specialInstructions: item.specialInstructions,
       itemTotal: item.itemTotal
     }));
 
-    // Generate order number
-    const orderNumber = await generateOrderNumber();
-
     // Create order using the unified Order model
     const order = new Order({
       user: req.user.id,
@@ -144,28 +199,47 @@ const createOrder = async (req, res) => {
       timing,
       scheduledDate: timing === 'scheduled' ? new Date(scheduledDate) : undefined,
       scheduledTime: timing === 'scheduled' ? scheduledTime : undefined,
-      subtotal,
-      deliveryFee: orderType === 'delivery' ? deliveryFee : 0,
-      tax,
-      discount,
-      totalPrice: orderType === 'delivery' ? totalPrice : (subtotal + tax - discount),
+      subtotal: quote.subtotal,
+      deliveryFee: quote.deliveryFee,
+      deliveryZone: deliveryZone ? { zone: deliveryZone._id, name: deliveryZone.name } : undefined,
+      tax: quote.tax,
+      discount: quote.discount,
+      coupon: quote.coupon ? {
+        coupon: quote.coupon.coupon,
+        code: quote.coupon.code,
+        type: quote.coupon.type,
+        discount: quote.coupon.discount
+      } : undefined,
+      promotions: quote.promotions,
+      loyalty: quote.loyalty ? {
+        pointsRedeemed: quote.loyalty.points,
+        redemptionDiscount: quote.loyalty.discount
+      } : undefined,
+      totalPrice: quote.total,
+      giftCards: quote.giftCards.map(card => ({ giftCard: card.giftCard, code: card.code, amount: card.amount })),
+      giftCardAmount: quote.giftCardAmount,
       paymentMethod,
       specialInstructions,
-      estimatedDeliveryTime: new Date(Date.now() + (cart.estimatedDeliveryTime || 30) * 60000) // Convert minutes to milliseconds
+      estimatedDeliveryTime: new Date(Date.now() + (deliveryZone ? deliveryZone.estimatedMinutes : (cart.estimatedDeliveryTime || 30)) * 60000) // Convert minutes to milliseconds
     });
 
-    await order.save();
-
-    // Update menu item quantities
-    for (const item of cart.items) {
-      await Menu.findByIdAndUpdate(
-        item.menu._id,
-        { $inc: { quantity: -item.quantity } }
-      );
+    // Reserve stock and kitchen time, redeem the coupon, points and gift cards, then store
+    // the order; whatever was already taken is given back if a later step fails
+    try {
+      await placeOrder(order, { prepMinutes: getPrepMinutes(cart.items) });
+    } catch (checkoutError) {
+      if (checkoutError.status) {
+        return res.status(checkoutError.status).json({
+          success: false,
+          message: checkoutError.message
+        });
+      }
+      throw checkoutError;
     }
 
     // Clear the cart after successful order
     cart.items = [];
+    cart.appliedCoupon = undefined;
     await cart.save();
 
     // Populate order for response
@@ -188,7 +262,7 @@ const createOrder = async (req, res) => {
     };
 
     // Emit Socket.IO event for new order
-    emitOrderEvent('orderCreated', orderWithCustomerType);
+    emitAdminEvent('orderCreated', orderWithCustomerType);
 
     // Send confirmation emails
     try {
@@ -214,6 +288,66 @@ const createOrder = async (req, res) => {
   }
 };
 
+/**
+ * Copy a past order's items into the current cart (guest or authenticated user)
+ * Guests pass the `sessionId` the order was placed with. Items that can't be
+ * added as they were ordered are listed in `issues`.
+ * POST /api/shop/orders/:orderId/reorder
+ */
+const reorderOrder = async (req, res) => {
+  try {
+    let ownerId = req.user && req.user._id;
+
+    if (!ownerId) {
+      const sessionId = req.body?.sessionId;
+      const guestUser = sessionId ? await getGuestUserBySession(sessionId) : null;
+      ownerId = guestUser && guestUser._id;
+    }
+
+    const order = ownerId ? await Order.findOne({ _id: req.params.orderId, user: ownerId }) : null;
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const cart = await Cart.getOrCreateCart(ownerId);
+    const { added, issues } = await addOrderToCart(order, cart);
+
+    if (added.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'None of the items from this order can be added right now',
+        data: { added, issues }
+      });
+    }
+
+    await cart.save();
+    await cart.populate('items.menu', 'name images discountedPrice mrp');
+
+    const count = added.reduce((total, line) => total + line.quantity, 0);
+    res.status(200).json({
+      success: true,
+      message: issues.length > 0
+        ? `Added ${count} ${count === 1 ? 'item' : 'items'} to your cart; some items have changed`
+        : `Added ${count} ${count === 1 ? 'item' : 'items'} to your cart`,
+      data: {
+        cart,
+        added,
+        issues
+      }
+    });
+  } catch (error) {
+    console.error('Reorder error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add order items to cart',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Send order confirmation emails to customer and admin
  */
@@ -225,14 +359,17 @@ const sendOrderConfirmationEmails = async (order) => {
 
 
   // Format order items for email
-  const itemsHtml = order.items.map(item => `
-    <tr style="border-bottom: 1px solid #eee;">
-      <td style="padding: 10px; text-align: left;">${item.menu?.name || item.menuName || 'Menu Item'}</td>
-      <td style="padding: 10px; text-align: center;">${item.quantity}</td>
-      <td style="padding: 10px; text-align: center;">${item.size || 'Regular'}</td>
-      <td style="padding: 10px; text-align: right;">$${(item.price * item.quantity).toFixed(2)}</td>
-    </tr>
-  `).join('');
+  const itemsHtml = order.items.map(item => {
+    const options = formatItemOptions(item);
+    return `
+      <tr style="border-bottom: 1px solid #eee;">
+        <td style="padding: 10px; text-align: left;">${item.menu?.name || item.menuName || 'Menu Item'}${options ? `<br><small style="color: #666;">${options}</small>` : ''}</td>
+        <td style="padding: 10px; text-align: center;">${item.quantity}</td>
+        <td style="padding: 10px; text-align: center;">${item.size || 'Regular'}</td>
+        <td style="padding: 10px; text-align: right;">$${(item.price * item.quantity).toFixed(2)}</td>
+      </tr>
+    `;
+  }).join('');
 
   // Format delivery address if applicable
   const deliveryAddressHtml = order.orderType === 'delivery' && order.deliveryAddress ? `
@@ -250,6 +387,9 @@ const sendOrderConfirmationEmails = async (order) => {
     </div>
   ` : '';
 
+  // Allergen warning for the customer and the kitchen
+  const allergenWarningHtml = formatAllergenWarningHtml(order.items);
+
   // Customer confirmation email
   const customerSubject = `Order Confirmation - #${order.orderNumber}`;
   const customerHtml = `
@@ -302,6 +442,8 @@ const sendOrderConfirmationEmails = async (order) => {
           </div>
         </div>
 
+        ${allergenWarningHtml}
+
         ${order.specialInstructions ? `
           <div style="margin: 20px 0;">
             <strong>Special Instructions:</strong><br>
@@ -380,6 +522,8 @@ const sendOrderConfirmationEmails = async (order) => {
           </div>
         </div>
 
+        ${allergenWarningHtml}
+
         ${order.specialInstructions ? `
           <div style="background-color: #e7f3ff; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #007bff;">
             <strong>Special Instructions:</strong><br>
@@ -412,5 +556,6 @@ const sendOrderConfirmationEmails = async (order) => {
 };
 
 module.exports = {
-  createOrder
+  createOrder,
+  reorderOrder
 };
@@ -0,0 +1,210 @@
+const Order = require('../../models/Order');
+const {
+  getPaymentProvider,
+  createPaymentForOrder,
+  confirmPaymentForOrder,
+  verifyWebhookEvent,
+  applyWebhookEvent
+} = require('../../services/payment-service');
+const { emitAdminEvent } = require('../../helpers/admin-events');
+
+/**
+ * Load an order the requester is allowed to pay for
+ * Authenticated users must own the order; guests must present the session ID
+ * the order was placed with.
+ */
+const findPayableOrder = async (req, orderId) => {
+  if (!orderId || !orderId.toString().match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+
+  const order = await Order.findById(orderId).populate('user', 'role sessionId');
+  if (!order || !order.user) {
+    return null;
+  }
+
+  if (req.user) {
+    return order.user._id.toString() === req.user.id ? order : null;
+  }
+
+  const sessionId = req.headers['x-guest-session-id'] || req.body.sessionId;
+  if (order.user.role === 'guest' && sessionId && order.user.sessionId === sessionId) {
+    return order;
+  }
+
+  return null;
+};
+
+const paymentSummary = (order, intent) => ({
+  orderId: order._id,
+  orderNumber: order.orderNumber,
+  provider: order.paymentProvider,
+  paymentIntentId: intent.id,
+  clientSecret: intent.clientSecret,
+  amount: intent.amount,
+  currency: intent.currency,
+  intentStatus: intent.status,
+  paymentStatus: order.paymentStatus
+});
+
+/**
+ * Start an online payment for an order
+ * POST /api/shop/payment/checkout
+ */
+const createCheckout = async (req, res) => {
+  try {
+    const order = await findPayableOrder(req, req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const intent = await createPaymentForOrder(order);
+
+    res.json({
+      success: true,
+      message: 'Payment initiated',
+      data: paymentSummary(order, intent)
+    });
+  } catch (error) {
+    console.error('Create checkout error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to start payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm the payment for an order
+ * POST /api/shop/payment/confirm
+ */
+const confirmCheckout = async (req, res) => {
+  try {
+    const order = await findPayableOrder(req, req.body.orderId);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    const { intent } = await confirmPaymentForOrder(order, {
+      paymentMethod: req.body.paymentMethod
+    });
+
+    if (order.paymentStatus === 'paid') {
+      emitAdminEvent('orderUpdated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus
+      });
+    }
+
+    res.status(order.paymentStatus === 'failed' ? 402 : 200).json({
+      success: order.paymentStatus !== 'failed',
+      message: order.paymentStatus === 'paid'
+        ? 'Payment successful'
+        : order.paymentStatus === 'failed'
+          ? order.paymentFailureReason || 'Payment failed'
+          : 'Payment is processing',
+      data: paymentSummary(order, intent)
+    });
+  } catch (error) {
+    console.error('Confirm checkout error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Failed to confirm payment',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Receive signed payment events from the provider
+ * POST /api/shop/payment/webhook
+ */
+const paymentWebhook = async (req, res) => {
+  let event;
+
+  // Only signature failures get a 400; anything else is retried by the provider
+  try {
+    const signature = req.headers['stripe-signature'] || req.headers['x-payment-signature'];
+    event = verifyWebhookEvent(req.rawBody, signature);
+  } catch (error) {
+    console.error('Payment webhook verification error:', error.message);
+    if (error.status !== 400) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to verify webhook',
+        error: error.message
+      });
+    }
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  }
+
+  try {
+    const { order } = await applyWebhookEvent(event);
+
+    if (order) {
+      emitAdminEvent('orderUpdated', {
+        orderId: order._id,
+        orderNumber: order.orderNumber,
+        paymentStatus: order.paymentStatus
+      });
+    }
+
+    res.json({
+      success: true,
+      received: true,
+      type: event.type
+    });
+  } catch (error) {
+    console.error('Payment webhook processing error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process webhook',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get public payment configuration for the storefront
+ * GET /api/shop/payment/config
+ */
+const getPaymentConfig = async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+
+    res.json({
+      success: true,
+      data: {
+        provider: provider.name,
+        publishableKey: provider.name === 'stripe' ? process.env.STRIPE_PUBLISHABLE_KEY || null : null
+      }
+    });
+  } catch (error) {
+    console.error('Get payment config error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load payment configuration',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createCheckout,
+  confirmCheckout,
+  paymentWebhook,
+  getPaymentConfig
+};
@@ -0,0 +1,111 @@
+const Cart = require('../../models/Cart');
+const Address = require('../../models/Address');
+const { getGuestUserBySession } = require('../../services/guest-service');
+const { quoteCart, getMinimumOrderMessage } = require('../../services/pricing-service');
+const { resolveDeliveryZone } = require('../../services/delivery-zone-service');
+const { parseGiftCardCodes } = require('../../services/gift-card-service');
+
+/**
+ * Work out the delivery location for a quote from the query string
+ * Accepts latitude/longitude, or a saved address ID for signed-in users.
+ */
+const getQuoteLocation = async (req) => {
+  const { latitude, longitude, addressId } = req.query;
+
+  if (latitude !== undefined && longitude !== undefined) {
+    return { latitude: Number(latitude), longitude: Number(longitude) };
+  }
+
+  if (addressId && req.user && addressId.match(/^[0-9a-fA-F]{24}$/)) {
+    const address = await Address.findOne({ _id: addressId, user: req.user._id }).lean();
+    if (address && address.coordinates && address.coordinates.latitude != null) {
+      return address.coordinates;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get a priced quote for the current cart
+ * Authenticated users are quoted their own cart; guests pass their session ID.
+ * Delivery quotes are priced by zone when a location is given.
+ * Signed-in users can preview redeeming loyalty points; anyone can preview paying with gift cards.
+ * GET /api/shop/cart/quote?orderType=delivery|pickup&sessionId=&latitude=&longitude=&addressId=&loyaltyPoints=&giftCards=CODE1,CODE2
+ */
+const getCartQuote = async (req, res) => {
+  try {
+    const { orderType = 'delivery', sessionId, loyaltyPoints, giftCards } = req.query;
+
+    if (!['delivery', 'pickup'].includes(orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order type must be delivery or pickup'
+      });
+    }
+
+    let userId = req.user ? req.user._id : null;
+    if (!userId && sessionId) {
+      const guestUser = await getGuestUserBySession(sessionId);
+      userId = guestUser ? guestUser._id : null;
+    }
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sign in or provide a guest session ID to get a quote'
+      });
+    }
+
+    // Without a location the delivery fee is an estimate from the global tiers
+    let zone = null;
+    let deliverable = null;
+    let deliveryMessage = null;
+    if (orderType === 'delivery') {
+      const location = await getQuoteLocation(req);
+      if (location) {
+        try {
+          zone = await resolveDeliveryZone({ coordinates: location });
+          deliverable = true;
+        } catch (zoneError) {
+          if (!zoneError.status) {
+            throw zoneError;
+          }
+          deliverable = false;
+          deliveryMessage = zoneError.message;
+        }
+      }
+    }
+
+    const cart = await Cart.findOne({ user: userId });
+    const quote = await quoteCart(cart || { subtotal: 0 }, orderType, {
+      zone,
+      loyaltyPoints: req.user && loyaltyPoints ? Number(loyaltyPoints) : null,
+      giftCardCodes: parseGiftCardCodes(giftCards)
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Quote calculated successfully',
+      data: {
+        quote: {
+          ...quote,
+          minimumOrderMessage: quote.meetsMinimum ? null : getMinimumOrderMessage(quote),
+          deliverable,
+          deliveryMessage
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get cart quote error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to calculate quote',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCartQuote
+};
@@ -0,0 +1,110 @@
+const StoreHours = require('../../models/StoreHours');
+const Cart = require('../../models/Cart');
+const { MAX_SCHEDULE_DAYS, getStoreStatus } = require('../../services/store-hours-service');
+const { SLOT_MINUTES, getPrepMinutes, getAsapDelay, getOpenSlots } = require('../../services/kitchen-capacity-service');
+const { getGuestUserBySession } = require('../../services/guest-service');
+const { getRestaurantLocalTime } = require('../../utils/dateUtils');
+
+/**
+ * Get opening hours and whether the restaurant is taking orders now
+ * Only holidays from today onwards are returned.
+ * GET /api/shop/store-hours
+ */
+const getPublicStoreHours = async (req, res) => {
+  try {
+    const hours = await StoreHours.getHours();
+    const status = getStoreStatus(hours);
+    const today = getRestaurantLocalTime().date;
+
+    res.status(200).json({
+      success: true,
+      message: 'Store hours retrieved successfully',
+      data: {
+        timeZone: status.timeZone,
+        weeklyHours: hours.weeklyHours,
+        buffetHours: hours.buffetHours,
+        holidays: hours.holidays.filter(holiday => holiday.date >= today),
+        preparationMinutes: hours.preparationMinutes,
+        lastOrderMinutes: hours.lastOrderMinutes,
+        maxScheduleDays: MAX_SCHEDULE_DAYS,
+        status
+      }
+    });
+  } catch (error) {
+    console.error('Get store hours error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve store hours',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List scheduled times on a date that still have kitchen capacity
+ * The current cart (signed-in user or guest session) is used to size the order;
+ * the response also says how far ASAP orders are currently pushed back.
+ * GET /api/shop/slots?date=YYYY-MM-DD&orderType=pickup|delivery&sessionId=
+ */
+const getAvailableSlots = async (req, res) => {
+  try {
+    const { date, orderType = 'pickup', sessionId } = req.query;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    if (!['delivery', 'pickup'].includes(orderType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order type must be delivery or pickup'
+      });
+    }
+
+    let userId = req.user ? req.user._id : null;
+    if (!userId && sessionId) {
+      const guestUser = await getGuestUserBySession(sessionId);
+      userId = guestUser ? guestUser._id : null;
+    }
+
+    let prepMinutes = 0;
+    if (userId) {
+      const cart = await Cart.findOne({ user: userId }).populate('items.menu', 'preparationTime');
+      prepMinutes = cart ? getPrepMinutes(cart.items) : 0;
+    }
+
+    const hours = await StoreHours.getHours();
+    const status = getStoreStatus(hours);
+    const slots = await getOpenSlots(hours, date, orderType, prepMinutes);
+    const asap = status.acceptingOrders
+      ? await getAsapDelay(hours, orderType, prepMinutes)
+      : { available: false, delayMinutes: null };
+
+    res.status(200).json({
+      success: true,
+      message: 'Slots retrieved successfully',
+      data: {
+        date,
+        orderType,
+        slotMinutes: SLOT_MINUTES,
+        slots,
+        asap
+      }
+    });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retrieve slots',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPublicStoreHours,
+  getAvailableSlots
+};
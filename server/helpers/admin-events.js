@@ -0,0 +1,23 @@
+// Socket.IO rooms the admin dashboards join (see server.js)
+const ADMIN_ROOMS = ['admin:all', 'admin:super-admin', 'admin:veg_admin', 'admin:non_veg_admin'];
+
+/**
+ * Emit a Socket.IO event to every admin dashboard
+ * Does nothing when Socket.IO isn't running; emit errors are logged, never thrown.
+ * @param {string} eventType - Event name
+ * @param {Object} data - Event payload
+ */
+const emitAdminEvent = (eventType, data) => {
+  try {
+    if (global.io) {
+      ADMIN_ROOMS.forEach(room => global.io.to(room).emit(eventType, data));
+    }
+  } catch (error) {
+    console.error('❌ Error emitting Socket.IO event:', error);
+  }
+};
+
+module.exports = {
+  ADMIN_ROOMS,
+  emitAdminEvent
+};
@@ -30,6 +30,7 @@ const PERMISSIONS = {
   // Order permissions
   VIEW_ALL_ORDERS: 'view_all_orders',
   UPDATE_ORDER_STATUS: 'update_order_status',
+  REFUND_ORDERS: 'refund_orders',
   
   // User permissions
   VIEW_ALL_USERS: 'view_all_users',
@@ -69,6 +70,7 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.DELETE_NON_VEG_CATEGORIES,
     // Order permissions
     PERMISSIONS.UPDATE_ORDER_STATUS,
+    PERMISSIONS.REFUND_ORDERS,
     // Other permissions
     PERMISSIONS.UPDATE_USER_ROLES,
     PERMISSIONS.MODERATE_REVIEWS,
@@ -87,6 +89,7 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.DELETE_VEG_CATEGORIES,
     PERMISSIONS.VIEW_ALL_ORDERS,
     PERMISSIONS.UPDATE_ORDER_STATUS,
+    PERMISSIONS.REFUND_ORDERS,
     PERMISSIONS.MODERATE_REVIEWS,
     PERMISSIONS.VIEW_ANALYTICS
   ],
@@ -102,6 +105,7 @@ const ROLE_PERMISSIONS = {
     PERMISSIONS.DELETE_NON_VEG_CATEGORIES,
     PERMISSIONS.VIEW_ALL_ORDERS,
     PERMISSIONS.UPDATE_ORDER_STATUS,
+    PERMISSIONS.REFUND_ORDERS,
     PERMISSIONS.MODERATE_REVIEWS,
     PERMISSIONS.VIEW_ANALYTICS
   ],
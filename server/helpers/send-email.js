@@ -172,6 +172,179 @@ const sendPasswordResetEmail = async (email, resetToken, userName = 'User') => {
   });
 };
 
+/**
+ * Send refund confirmation email
+ * @param {Object} order - Order details (with populated user)
+ * @param {Object} refund - Refund entry that was just recorded
+ * @returns {Promise} - Email send result
+ */
+const sendRefundNotification = async (order, refund) => {
+  const customerName = order.user?.name || 'Customer';
+  const subject = `Refund Processed - Order #${order.orderNumber}`;
+  // Split-tender orders get the gift card part back on the card and the rest through the payment provider
+  const cardAmount = refund.giftCardAmount || 0;
+  const onlineAmount = Math.round((refund.amount - cardAmount) * 100) / 100;
+  const itemRows = (refund.items || []).map(item => `
+          <tr>
+            <td style="padding: 6px 0; color: #666;">${item.menuName} x ${item.quantity}</td>
+            <td style="padding: 6px 0; color: #666; text-align: right;">$${item.amount.toFixed(2)}</td>
+          </tr>`).join('');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #d4af37; margin: 0; font-size: 28px;">Peppino's Restaurant</h1>
+          <div style="width: 50px; height: 3px; background-color: #d4af37; margin: 10px auto;"></div>
+        </div>
+
+        <h2 style="color: #333; margin-bottom: 20px;">Your Refund Has Been Processed</h2>
+
+        <p style="color: #666; font-size: 16px; line-height: 1.6;">Dear ${customerName},</p>
+
+        <p style="color: #666; font-size: 16px; line-height: 1.6;">
+          We've issued a refund of <strong>$${refund.amount.toFixed(2)}</strong> for order <strong>#${order.orderNumber}</strong>.
+          ${cardAmount > 0 ? `<strong>$${cardAmount.toFixed(2)}</strong> is back on your gift card now.` : ''}
+          ${onlineAmount > 0 ? `It may take 5-10 business days for $${onlineAmount.toFixed(2)} to appear on your statement.` : ''}
+        </p>
+
+        <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px;">
+          <table style="width: 100%; border-collapse: collapse;">${itemRows}
+            <tr>
+              <td style="padding: 6px 0; color: #333;"><strong>Refund amount</strong></td>
+              <td style="padding: 6px 0; color: #333; text-align: right;"><strong>$${refund.amount.toFixed(2)}</strong></td>
+            </tr>
+            <tr>
+              <td style="padding: 6px 0; color: #666;">Total refunded on this order</td>
+              <td style="padding: 6px 0; color: #666; text-align: right;">$${order.refundAmount.toFixed(2)} of $${order.totalPrice.toFixed(2)}</td>
+            </tr>
+          </table>
+          <p style="color: #666; font-size: 14px; margin: 15px 0 0;"><strong>Reason:</strong> ${refund.reason}</p>
+        </div>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #999; font-size: 12px;">
+            Best regards,<br>
+            The Peppino's Restaurant Team<br>
+            434 Moody St, Waltham, MA 02453<br>
+            (781) 547-6099
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    Your Refund Has Been Processed - Peppino's Restaurant
+
+    Dear ${customerName},
+
+    We've issued a refund of $${refund.amount.toFixed(2)} for order #${order.orderNumber}.
+    Total refunded on this order: $${order.refundAmount.toFixed(2)} of $${order.totalPrice.toFixed(2)}
+    Reason: ${refund.reason}
+
+    ${cardAmount > 0 ? `$${cardAmount.toFixed(2)} is back on your gift card now.` : ''}
+    ${onlineAmount > 0 ? `It may take 5-10 business days for $${onlineAmount.toFixed(2)} to appear on your statement.` : ''}
+
+    Best regards,
+    The Peppino's Restaurant Team
+  `;
+
+  return await sendEmail({
+    to: order.user.email,
+    subject,
+    html,
+    text
+  });
+};
+
+/**
+ * Send a gift card or store credit code to its recipient
+ * @param {Object} giftCard - GiftCard document (purchaser populated for bought cards)
+ * @returns {Promise} - Email send result
+ */
+const sendGiftCardEmail = async (giftCard) => {
+  const greeting = giftCard.recipientName ? `Dear ${giftCard.recipientName},` : 'Hello,';
+  const isStoreCredit = giftCard.kind === 'store_credit';
+  const senderName = giftCard.senderName || giftCard.purchaser?.name || 'Someone';
+  const amount = `$${giftCard.balance.toFixed(2)}`;
+  const expires = giftCard.expiresAt
+    ? `Valid until ${new Date(giftCard.expiresAt).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}.`
+    : 'It does not expire.';
+
+  const subject = isStoreCredit
+    ? `You have ${amount} in store credit at Peppino's`
+    : `${senderName} sent you a ${amount} Peppino's gift card`;
+  const intro = isStoreCredit
+    ? `We've added <strong>${amount}</strong> in store credit for you.`
+    : `${senderName} sent you a <strong>${amount}</strong> Peppino's gift card.`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #d4af37; margin: 0; font-size: 28px;">Peppino's Restaurant</h1>
+          <div style="width: 50px; height: 3px; background-color: #d4af37; margin: 10px auto;"></div>
+        </div>
+
+        <h2 style="color: #333; margin-bottom: 20px;">${isStoreCredit ? 'Your Store Credit' : 'You\'ve Received a Gift Card'}</h2>
+
+        <p style="color: #666; font-size: 16px; line-height: 1.6;">${greeting}</p>
+
+        <p style="color: #666; font-size: 16px; line-height: 1.6;">${intro}</p>
+        ${giftCard.message ? `
+        <p style="color: #666; font-size: 16px; line-height: 1.6; font-style: italic; border-left: 3px solid #d4af37; padding-left: 15px;">
+          "${giftCard.message}"
+        </p>` : ''}
+
+        <div style="background-color: #f5f5f5; padding: 20px; margin: 20px 0; border-radius: 5px; text-align: center;">
+          <p style="color: #666; font-size: 14px; margin: 0 0 10px;">Your code</p>
+          <p style="color: #333; font-size: 24px; font-weight: bold; letter-spacing: 2px; margin: 0;">${giftCard.code}</p>
+          <p style="color: #666; font-size: 14px; margin: 10px 0 0;">Balance: <strong>${amount}</strong>. ${expires}</p>
+        </div>
+
+        <p style="color: #666; font-size: 16px; line-height: 1.6;">
+          Enter this code at checkout on our website. Anything it doesn't cover can be paid online,
+          and whatever you don't spend stays on the code for next time.
+        </p>
+
+        <div style="text-align: center; margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee;">
+          <p style="color: #999; font-size: 12px;">
+            Best regards,<br>
+            The Peppino's Restaurant Team<br>
+            434 Moody St, Waltham, MA 02453<br>
+            (781) 547-6099
+          </p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  const text = `
+    ${isStoreCredit ? 'Your Store Credit' : 'You\'ve Received a Gift Card'} - Peppino's Restaurant
+
+    ${greeting}
+
+    ${intro.replace(/<\/?strong>/g, '')}
+    ${giftCard.message ? `"${giftCard.message}"\n` : ''}
+    Your code: ${giftCard.code}
+    Balance: ${amount}. ${expires}
+
+    Enter this code at checkout on our website. Anything it doesn't cover can be paid online,
+    and whatever you don't spend stays on the code for next time.
+
+    Best regards,
+    The Peppino's Restaurant Team
+  `;
+
+  return await sendEmail({
+    to: giftCard.recipientEmail,
+    subject,
+    html,
+    text
+  });
+};
+
 /**
  * Send newsletter email
  * @param {string} email - Recipient email
@@ -203,5 +376,7 @@ module.exports = {
   sendEmail,
   sendOrderConfirmation,
   sendPasswordResetEmail,
+  sendRefundNotification,
+  sendGiftCardEmail,
   sendNewsletter
 };
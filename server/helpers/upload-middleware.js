@@ -65,6 +65,26 @@ const uploadAvatar = multer({
   fileFilter: fileFilter,
 }).single('avatar');
 
+// Spreadsheet file filter for menu imports
+const spreadsheetFilter = (req, file, cb) => {
+  const extname = path.extname(file.originalname).toLowerCase();
+
+  if (extname === '.csv' || extname === '.xlsx') {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only .csv and .xlsx files are allowed'));
+  }
+};
+
+// Menu import spreadsheet upload (single)
+const uploadSpreadsheet = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: spreadsheetFilter,
+}).single('file');
+
 // Error handling middleware for multer
 const handleMulterError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -88,7 +108,7 @@ const handleMulterError = (err, req, res, next) => {
     }
   }
   
-  if (err.message.includes('Only image files are allowed')) {
+  if (err.message.includes('Only image files are allowed') || err.message.includes('Only .csv and .xlsx files are allowed')) {
     return res.status(400).json({
       success: false,
       message: err.message
@@ -104,5 +124,6 @@ module.exports = {
   uploadMenuItemImages,
   uploadCategoryImage,
   uploadAvatar,
+  uploadSpreadsheet,
   handleMulterError
 };
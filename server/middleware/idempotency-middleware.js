@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_WINDOW_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// How long a request holds its key; a key still 'processing' after this (e.g. the
+// process crashed mid-request) can be taken over by a retry
+const IDEMPOTENCY_LOCK_SECONDS = parseInt(process.env.IDEMPOTENCY_KEY_LOCK_SECONDS, 10) || 60;
+
+// Marks the 409 for a key that is still being processed; only then should clients retry with the same key
+const IN_PROGRESS_CODE = 'IDEMPOTENCY_KEY_IN_PROGRESS';
+
+/**
+ * Answer a retry that arrived while the original request is still running
+ */
+const respondInProgress = (res) => {
+  res.set('Retry-After', '1');
+  return res.status(409).json({
+    success: false,
+    code: IN_PROGRESS_CODE,
+    message: 'A request with this Idempotency-Key is being processed. Please retry shortly.'
+  });
+};
+
+/**
+ * Hash the parts of a request that must match for a key to be replayed
+ */
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ method: req.method, path: req.originalUrl, body: req.body || {} }))
+    .digest('hex');
+};
+
+/**
+ * Lease a key for a request that is about to run
+ */
+const getLockedUntil = () => new Date(Date.now() + IDEMPOTENCY_LOCK_SECONDS * 1000);
+
+/**
+ * Middleware to make a POST endpoint idempotent
+ * Requests carrying an `Idempotency-Key` header are executed once; retries with the
+ * same key (from the same user or guest session) replay the stored response.
+ * Only successful responses are stored. Errors free the key, since a rejected
+ * request (out of stock, invalid coupon, ...) may succeed when tried again.
+ * Requests without the header are processed normally. Keys are trimmed, as stored.
+ * A request holds its key for IDEMPOTENCY_LOCK_SECONDS; after that a retry takes it over.
+ * @param {string} endpoint - Name used to namespace keys
+ */
+const idempotentRequest = (endpoint) => async (req, res, next) => {
+  const key = (req.get('Idempotency-Key') || '').trim();
+
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key cannot exceed 255 characters'
+    });
+  }
+
+  const scope = req.user ? `user:${req.user.id}` :
+    `guest:${req.guestSessionId || req.headers['x-guest-session-id'] || req.body.sessionId || 'anonymous'}`;
+  const requestHash = hashRequest(req);
+
+  try {
+    let record;
+    try {
+      record = await IdempotencyKey.create({
+        key,
+        scope,
+        endpoint,
+        requestHash,
+        lockedUntil: getLockedUntil(),
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_WINDOW_HOURS * 60 * 60 * 1000)
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+
+      // The key has been seen before
+      const existing = await IdempotencyKey.findOne({ key, scope, endpoint });
+
+      if (!existing) {
+        return respondInProgress(res);
+      }
+
+      if (existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (existing.status === 'completed') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      if (existing.lockedUntil && existing.lockedUntil > new Date()) {
+        return respondInProgress(res);
+      }
+
+      // The request holding the key never finished; take the key over, unless another retry just did
+      record = await IdempotencyKey.findOneAndUpdate(
+        { _id: existing._id, status: 'processing', lockedUntil: existing.lockedUntil || null },
+        { $set: { lockedUntil: getLockedUntil() } },
+        { new: true }
+      );
+
+      if (!record) {
+        return respondInProgress(res);
+      }
+    }
+
+    // Capture the response so it can be replayed
+    let stored = false;
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      stored = true;
+
+      const persist = res.statusCode >= 400
+        // Errors are not final; free the key so the client can retry
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          {
+            status: 'completed',
+            responseStatus: res.statusCode,
+            responseBody: JSON.parse(JSON.stringify(body))
+          }
+        );
+
+      // Store the result before answering so an immediate retry sees it
+      persist
+        .catch(error => console.error('Idempotency key save error:', error))
+        .finally(() => originalJson(body));
+
+      return res;
+    };
+
+    // If the handler ends without a JSON body, release the key
+    res.on('finish', () => {
+      if (!stored) {
+        IdempotencyKey.deleteOne({ _id: record._id })
+          .catch(error => console.error('Idempotency key cleanup error:', error));
+      }
+    });
+
+    next();
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process idempotent request',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  idempotentRequest
+};
@@ -222,6 +222,7 @@ const createPermissionMiddleware = {
   
   viewOrders: requirePermission(PERMISSIONS.VIEW_ALL_ORDERS),
   updateOrderStatus: requirePermission(PERMISSIONS.UPDATE_ORDER_STATUS),
+  refundOrders: requirePermission(PERMISSIONS.REFUND_ORDERS),
   
   viewUsers: requirePermission(PERMISSIONS.VIEW_ALL_USERS),
   updateUserRoles: requirePermission(PERMISSIONS.UPDATE_USER_ROLES),
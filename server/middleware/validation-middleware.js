@@ -256,15 +256,18 @@ const validateMenuItem = [
         throw new Error('Sizes must be an array');
       }
 
+      const sizeNames = new Set();
       for (const size of sizes) {
         if (typeof size !== 'object' || !size.name || typeof size.price !== 'number') {
           throw new Error('Each size must have name and price properties');
         }
 
-        const validSizeNames = ['Small', 'Medium', 'Large', 'Reg', 'Regular'];
-        if (!validSizeNames.includes(size.name)) {
-          throw new Error(`Invalid size name: ${size.name}`);
+        // Any name is allowed, but cart lines fall back to matching sizes by name
+        const sizeName = size.name.trim().toLowerCase();
+        if (sizeNames.has(sizeName)) {
+          throw new Error(`Duplicate size name: ${size.name}`);
         }
+        sizeNames.add(sizeName);
 
         if (size.price < 0) {
           throw new Error('Size price cannot be negative');
@@ -431,9 +434,15 @@ const validateAddToCart = [
     .isInt({ min: 1, max: 10 })
     .withMessage('Quantity must be between 1 and 10'),
 
+  body('sizeId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid size ID'),
+
   body('size')
     .optional()
-    .isIn(['Small', 'Medium', 'Large', 'Regular'])
+    .isString()
+    .isLength({ max: 50 })
     .withMessage('Invalid size option'),
 
   body('addons')
@@ -449,7 +458,43 @@ const validateAddToCart = [
   body('addons.*.quantity')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Addon quantity must be at least 1')
+    .withMessage('Addon quantity must be at least 1'),
+
+  body('spicyLevel')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Invalid spicy level ID'),
+
+  body('preparations')
+    .optional()
+    .isArray()
+    .withMessage('Preparations must be an array'),
+
+  body('preparations.*')
+    .isMongoId()
+    .withMessage('Invalid preparation ID'),
+
+  body('modifiers')
+    .optional()
+    .isArray()
+    .withMessage('Modifiers must be an array'),
+
+  body('modifiers.*')
+    .isMongoId()
+    .withMessage('Invalid modifier option ID'),
+
+  body('bundleSelections')
+    .optional()
+    .isArray()
+    .withMessage('Bundle selections must be an array'),
+
+  body('bundleSelections.*.slot')
+    .isMongoId()
+    .withMessage('Invalid bundle slot ID'),
+
+  body('bundleSelections.*.menuItemId')
+    .isMongoId()
+    .withMessage('Invalid bundle item ID')
 ];
 
 /**
@@ -511,6 +556,16 @@ const validateAddress = [
     .matches(/^[1-9][0-9]{5}$/)
     .withMessage('Invalid pincode format'),
 
+  body('coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
   body('isDefault')
     .optional()
     .isBoolean()
@@ -528,10 +583,15 @@ const validateGuestAddToCart = [
     .optional()
     .isInt({ min: 1, max: 10 })
     .withMessage('Quantity must be between 1 and 10'),
+  body('sizeId')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Valid size ID is required'),
   body('size')
     .optional()
-    .isIn(['Small', 'Medium', 'Large', 'Regular'])
-    .withMessage('Size must be Small, Medium, Large, or Regular'),
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Size name cannot exceed 50 characters'),
   body('addons')
     .optional()
     .isArray()
@@ -544,6 +604,34 @@ const validateGuestAddToCart = [
     .optional()
     .isInt({ min: 1 })
     .withMessage('Addon quantity must be at least 1'),
+  body('spicyLevel')
+    .optional({ checkFalsy: true })
+    .isMongoId()
+    .withMessage('Valid spicy level ID is required'),
+  body('preparations')
+    .optional()
+    .isArray()
+    .withMessage('Preparations must be an array'),
+  body('preparations.*')
+    .isMongoId()
+    .withMessage('Valid preparation ID is required'),
+  body('modifiers')
+    .optional()
+    .isArray()
+    .withMessage('Modifiers must be an array'),
+  body('modifiers.*')
+    .isMongoId()
+    .withMessage('Valid modifier option ID is required'),
+  body('bundleSelections')
+    .optional()
+    .isArray()
+    .withMessage('Bundle selections must be an array'),
+  body('bundleSelections.*.slot')
+    .isMongoId()
+    .withMessage('Valid bundle slot ID is required'),
+  body('bundleSelections.*.menuItemId')
+    .isMongoId()
+    .withMessage('Valid bundle item ID is required'),
   body('specialInstructions')
     .optional()
     .isLength({ max: 200 })
@@ -610,13 +698,87 @@ const validateGuestCheckout = [
     .trim()
     .notEmpty()
     .withMessage('Country cannot be empty if provided'),
+  body('deliveryAddress.coordinates.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('deliveryAddress.coordinates.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
   body('paymentMethod')
     .isIn(['pay_online'])
     .withMessage('Payment method must be pay_online'),
   body('specialInstructions')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Special instructions cannot exceed 500 characters')
+    .withMessage('Special instructions cannot exceed 500 characters'),
+  body('giftCardCodes')
+    .optional()
+    .isArray({ max: 5 })
+    .withMessage('Use at most 5 gift cards on one order')
+];
+
+/**
+ * Validation rules for buying a gift card
+ */
+const validateGiftCardPurchase = [
+  body('amount')
+    .isFloat({ min: 10, max: 500 })
+    .withMessage('Gift cards can be bought for $10 to $500')
+    .toFloat(),
+  body('recipientEmail')
+    .trim()
+    .isEmail()
+    .withMessage('A valid recipient email is required')
+    .normalizeEmail(),
+  body('recipientName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Recipient name cannot exceed 100 characters'),
+  body('senderName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Sender name cannot exceed 100 characters'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters')
+];
+
+/**
+ * Validation rules for admin order refunds
+ */
+const validateOrderRefund = [
+  body('type')
+    .isIn(['full', 'partial', 'items'])
+    .withMessage('Refund type must be full, partial or items'),
+  body('amount')
+    .if(body('type').equals('partial'))
+    .isFloat({ gt: 0 })
+    .withMessage('A positive refund amount is required for partial refunds'),
+  body('items')
+    .if(body('type').equals('items'))
+    .isArray({ min: 1 })
+    .withMessage('At least one item is required for item refunds'),
+  body('items.*.itemId')
+    .if(body('type').equals('items'))
+    .isMongoId()
+    .withMessage('Invalid order item ID'),
+  body('items.*.quantity')
+    .if(body('type').equals('items'))
+    .isInt({ min: 1 })
+    .withMessage('Refund quantity must be at least 1')
+    .toInt(),
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Refund reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Refund reason cannot exceed 500 characters')
 ];
 
 /**
@@ -680,5 +842,7 @@ module.exports = {
   validateGuestAddToCart,
   validateGuestUpdateCartItem,
   validateGuestCheckout,
+  validateGiftCardPurchase,
+  validateOrderRefund,
   handleValidationErrors
 };
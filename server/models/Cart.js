@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const promotionLineSchema = require('./schemas/promotionLineSchema');
+const { applyCartPromotions } = require('../services/promotion-service');
 
 // Cart item sub-schema
 const cartItemSchema = new mongoose.Schema({
@@ -13,10 +15,14 @@ const cartItemSchema = new mongoose.Schema({
     min: [1, 'Quantity must be at least 1'],
     max: [10, 'Quantity cannot exceed 10']
   },
+  // Menu.sizes subdocument the line was priced from; `size` snapshots its name
+  sizeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   size: {
     type: String,
-    enum: ['Small', 'Medium', 'Large', 'Regular'],
-    default: 'Medium'
+    trim: true,
+    maxlength: [50, 'Size name cannot exceed 50 characters']
   },
   addons: [{
     name: {
@@ -30,6 +36,82 @@ const cartItemSchema = new mongoose.Schema({
       min: [0, 'Addon price cannot be negative']
     }
   }],
+  spicyLevel: {
+    level: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SpicyLevel'
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  preparations: [{
+    preparation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Preparation'
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  modifiers: [{
+    group: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    groupName: {
+      type: String,
+      trim: true
+    },
+    option: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, 'Modifier price cannot be negative']
+    }
+  }],
+  // Components chosen for a bundle line; stock is taken from these, not the bundle
+  bundleItems: [{
+    slot: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    slotName: {
+      type: String,
+      trim: true
+    },
+    menu: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Menu',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    sizeId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    size: {
+      type: String,
+      trim: true
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bundle item price cannot be negative']
+    }
+  }],
   specialInstructions: {
     type: String,
     trim: true,
@@ -50,6 +132,27 @@ const cartItemSchema = new mongoose.Schema({
   _id: true
 });
 
+/**
+ * Key for a line's spicy level, preparations, modifiers and bundle picks, independent of their order
+ */
+const getOptionsKey = ({ spicyLevel, preparations, modifiers, bundleItems } = {}) => {
+  const level = spicyLevel && spicyLevel.level ? spicyLevel.level.toString() : '';
+  const preparationIds = (preparations || []).map(entry => entry.preparation.toString()).sort();
+  const modifierIds = (modifiers || []).map(entry => entry.option.toString()).sort();
+  const bundlePicks = (bundleItems || []).map(entry => `${entry.slot}:${entry.menu?._id || entry.menu}`).sort();
+  return `${level}|${preparationIds.join(',')}|${modifierIds.join(',')}|${bundlePicks.join(',')}`;
+};
+
+// Check whether a line has the same spicy level, preparations, modifiers and bundle picks
+cartItemSchema.methods.matchesOptions = function(options) {
+  return getOptionsKey(this) === getOptionsKey(options);
+};
+
+// Extra charge per unit for the line's modifiers
+cartItemSchema.methods.getModifiersTotal = function() {
+  return (this.modifiers || []).reduce((total, modifier) => total + (modifier.price || 0), 0);
+};
+
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -74,17 +177,23 @@ const cartSchema = new mongoose.Schema({
     type: Number, // in minutes
     default: 30
   },
+  // The discount is worked out from the coupon each time the cart is priced
   appliedCoupon: {
-    code: String,
-    discount: {
-      type: Number,
-      min: 0,
-      max: 100
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
     },
-    discountAmount: {
-      type: Number,
-      min: 0
-    }
+    code: String
+  },
+  // Automatic promotions as of the last save; quotes re-check them at checkout time
+  promotions: {
+    type: [promotionLineSchema],
+    default: []
+  },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Promotion discount cannot be negative']
   },
   isActive: {
     type: Boolean,
@@ -99,8 +208,8 @@ cartSchema.index({ user: 1 }, { unique: true });
 cartSchema.index({ 'items.menu': 1 });
 cartSchema.index({ updatedAt: -1 });
 
-// Pre-save middleware to calculate totals
-cartSchema.pre('save', function(next) {
+// Pre-save middleware to calculate totals and automatic promotions
+cartSchema.pre('save', async function() {
   if (this.items && this.items.length > 0) {
     this.subtotal = this.items.reduce((total, item) => total + item.itemTotal, 0);
     this.totalItems = this.items.reduce((total, item) => total + item.quantity, 0);
@@ -114,32 +223,42 @@ cartSchema.pre('save', function(next) {
     this.totalItems = 0;
     this.estimatedDeliveryTime = 30;
   }
-  next();
+
+  await applyCartPromotions(this);
 });
 
 // Method to add item to cart
-cartSchema.methods.addItem = function(menuId, quantity, size, addons, specialInstructions, price) {
+// options: { sizeId, spicyLevel, preparations, modifiers } from item-options-service, plus bundleItems
+cartSchema.methods.addItem = function(menuId, quantity, size, addons, specialInstructions, price, options = {}) {
   const existingItemIndex = this.items.findIndex(item =>
     item.menu.toString() === menuId.toString() &&
+    String(item.sizeId || '') === String(options.sizeId || '') &&
     item.size === size &&
-    JSON.stringify(item.addons) === JSON.stringify(addons)
+    JSON.stringify(item.addons) === JSON.stringify(addons) &&
+    item.matchesOptions(options)
   );
 
   const addonTotal = addons.reduce((total, addon) => total + addon.price, 0);
-  const itemTotal = (price + addonTotal) * quantity;
+  const modifierTotal = (options.modifiers || []).reduce((total, modifier) => total + modifier.price, 0);
+  const itemTotal = (price + addonTotal + modifierTotal) * quantity;
 
   if (existingItemIndex > -1) {
     // Update existing item
     this.items[existingItemIndex].quantity += quantity;
     this.items[existingItemIndex].itemTotal =
-      (price + addonTotal) * this.items[existingItemIndex].quantity;
+      (price + addonTotal + modifierTotal) * this.items[existingItemIndex].quantity;
   } else {
     // Add new item
     this.items.push({
       menu: menuId,
       quantity,
+      sizeId: options.sizeId,
       size,
       addons,
+      spicyLevel: options.spicyLevel,
+      preparations: options.preparations || [],
+      modifiers: options.modifiers || [],
+      bundleItems: options.bundleItems || [],
       specialInstructions,
       priceAtTime: price,
       itemTotal
@@ -161,7 +280,7 @@ cartSchema.methods.updateItemQuantity = function(itemId, quantity) {
   } else {
     item.quantity = quantity;
     const addonTotal = item.addons.reduce((total, addon) => total + addon.price, 0);
-    item.itemTotal = (item.priceAtTime + addonTotal) * quantity;
+    item.itemTotal = (item.priceAtTime + addonTotal + item.getModifiersTotal()) * quantity;
   }
 
   return this.save();
@@ -180,26 +299,6 @@ cartSchema.methods.clearCart = function() {
   return this.save();
 };
 
-// Method to apply coupon
-cartSchema.methods.applyCoupon = function(couponCode, discountPercentage) {
-  const discountAmount = (this.subtotal * discountPercentage) / 100;
-  this.appliedCoupon = {
-    code: couponCode,
-    discount: discountPercentage,
-    discountAmount
-  };
-  return this.save();
-};
-
-// Virtual for final total (after discount)
-cartSchema.virtual('finalTotal').get(function() {
-  let total = this.subtotal;
-  if (this.appliedCoupon && this.appliedCoupon.discountAmount) {
-    total -= this.appliedCoupon.discountAmount;
-  }
-  return Math.max(total, 0);
-});
-
 // Static method to get or create cart for user
 cartSchema.statics.getOrCreateCart = async function(userId) {
   let cart = await this.findOne({ user: userId }).populate('items.menu');
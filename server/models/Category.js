@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const availabilitySchema = require('./schemas/availabilitySchema');
 
 // Image sub-schema for category
 const categoryImageSchema = new mongoose.Schema({
@@ -56,6 +57,11 @@ const categorySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Applies to every item in the category as well as the item's own schedule
+  availability: {
+    type: availabilitySchema,
+    default: () => ({})
+  },
   sortOrder: {
     type: Number,
     default: 0
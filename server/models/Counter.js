@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Named sequence counters (e.g. one per day for order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter key is required']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Counter cannot be negative']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+// Static method to atomically increment a counter and return the new value
+counterSchema.statics.increment = async function(key) {
+  const update = { $inc: { seq: 1 } };
+  const options = { new: true, upsert: true };
+
+  try {
+    const counter = await this.findOneAndUpdate({ _id: key }, update, options);
+    return counter.seq;
+  } catch (error) {
+    // Two first-time upserts can race on the same key; the loser retries as a plain update
+    if (error.code === 11000) {
+      const counter = await this.findOneAndUpdate({ _id: key }, update, options);
+      return counter.seq;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
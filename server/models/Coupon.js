@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, numbers, dashes or underscores']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free-delivery'],
+    required: [true, 'Coupon type is required']
+  },
+  // Percent off for percentage coupons, amount off for fixed ones; unused for free delivery
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    required: [
+      function() { return this.type !== 'free-delivery'; },
+      'Value is required for percentage and fixed coupons'
+    ],
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percentage' || value <= 100;
+      },
+      message: 'Percentage coupons cannot exceed 100%'
+    }
+  },
+  // Cart subtotal needed before the coupon applies
+  minOrder: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  // Cap on the amount taken off by percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative']
+  },
+  startsAt: Date,
+  endsAt: {
+    type: Date,
+    validate: {
+      validator: function(value) {
+        return !value || !this.startsAt || value > this.startsAt;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  // Total redemptions allowed across all customers; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1']
+  },
+  // Redemptions allowed per customer; unset means unlimited
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: [1, 'Per-customer limit must be at least 1']
+  },
+  firstOrderOnly: {
+    type: Boolean,
+    default: false
+  },
+  // When either list is set, only matching items count towards the discount
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Menu'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Orders currently holding a redemption; kept in step by coupon-service
+  usageCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+couponSchema.index({ isActive: 1, endsAt: 1 });
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// Polygon vertex sub-schema
+const zonePointSchema = new mongoose.Schema({
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: [-90, 'Latitude must be between -90 and 90'],
+    max: [90, 'Latitude must be between -90 and 90']
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: [-180, 'Longitude must be between -180 and 180'],
+    max: [180, 'Longitude must be between -180 and 180']
+  }
+}, { _id: false });
+
+const deliveryZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [50, 'Zone name cannot exceed 50 characters']
+  },
+  type: {
+    type: String,
+    enum: ['polygon', 'radius'],
+    required: [true, 'Zone type is required']
+  },
+  // Polygon zones: vertices in order, the last one connects back to the first
+  polygon: {
+    type: [zonePointSchema],
+    default: undefined,
+    validate: {
+      validator: function(points) {
+        return this.type !== 'polygon' || (Array.isArray(points) && points.length >= 3);
+      },
+      message: 'Polygon zones need at least 3 points'
+    }
+  },
+  // Radius zones: a ring between minKm and maxKm from the restaurant
+  radius: {
+    minKm: {
+      type: Number,
+      default: 0,
+      min: [0, 'Inner radius cannot be negative']
+    },
+    maxKm: {
+      type: Number,
+      min: [0, 'Outer radius cannot be negative'],
+      required: [
+        function() { return this.type === 'radius'; },
+        'Outer radius is required for radius zones'
+      ],
+      validate: {
+        validator: function(value) {
+          return this.type !== 'radius' || value > ((this.radius && this.radius.minKm) || 0);
+        },
+        message: 'Outer radius must be greater than the inner radius'
+      }
+    }
+  },
+  deliveryFee: {
+    type: Number,
+    required: [true, 'Delivery fee is required'],
+    min: [0, 'Delivery fee cannot be negative']
+  },
+  // Optional subtotal from which delivery in this zone is free
+  freeDeliveryOver: {
+    type: Number,
+    min: [0, 'Free delivery threshold cannot be negative']
+  },
+  minimumOrder: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum order cannot be negative']
+  },
+  estimatedMinutes: {
+    type: Number,
+    required: [true, 'Estimated delivery time is required'],
+    min: [1, 'Estimated delivery time must be at least 1 minute'],
+    max: [240, 'Estimated delivery time cannot exceed 240 minutes']
+  },
+  // Where zones overlap, the highest priority wins
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deliveryZoneSchema.index({ isActive: 1, priority: -1 });
+
+// Static methods
+deliveryZoneSchema.statics.findActiveZones = function() {
+  return this.find({ isActive: true }).sort({ priority: -1, deliveryFee: 1 });
+};
+
+module.exports = mongoose.model('DeliveryZone', deliveryZoneSchema);
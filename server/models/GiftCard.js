@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// A prepaid balance redeemable at checkout: bought as a gift card, or issued by staff as store credit
+const giftCardSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Gift card code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  kind: {
+    type: String,
+    enum: ['gift_card', 'store_credit'],
+    required: [true, 'Gift card kind is required']
+  },
+  initialBalance: {
+    type: Number,
+    required: [true, 'Initial balance is required'],
+    min: [0.01, 'Initial balance must be greater than zero']
+  },
+  // What is left to spend; only ever changed together with a GiftCardTransaction
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Balance cannot be negative']
+  },
+  // Purchased cards stay pending until their payment succeeds
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'disabled'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Customer who bought the card
+  purchaser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Customer account store credit was issued to
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  senderName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sender name cannot exceed 100 characters']
+  },
+  recipientName: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Recipient name cannot exceed 100 characters']
+  },
+  recipientEmail: {
+    type: String,
+    required: [true, 'Recipient email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Shown to the recipient in the delivery email
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Staff-only note on why store credit was issued
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Payment for a purchased card (set by the payment service)
+  paymentProvider: {
+    type: String,
+    trim: true
+  },
+  paymentIntentId: {
+    type: String,
+    trim: true
+  },
+  paidAt: {
+    type: Date
+  },
+  // When the code was last emailed to the recipient
+  deliveredAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+giftCardSchema.index({ recipientEmail: 1 });
+giftCardSchema.index({ purchaser: 1, createdAt: -1 });
+giftCardSchema.index({ kind: 1, status: 1, createdAt: -1 });
+
+// Virtual for whether the card is past its expiry date
+giftCardSchema.virtual('isExpired').get(function() {
+  return !!this.expiresAt && this.expiresAt <= new Date();
+});
+
+// Ensure virtuals are included in JSON output
+giftCardSchema.set('toJSON', { virtuals: true });
+giftCardSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('GiftCard', giftCardSchema);
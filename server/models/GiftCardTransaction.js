@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One entry in a gift card's ledger; the card's balance is the running total
+const giftCardTransactionSchema = new mongoose.Schema({
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: [true, 'Gift card is required']
+  },
+  type: {
+    type: String,
+    enum: ['issue', 'redeem', 'restore', 'refund', 'adjust'],
+    required: [true, 'Transaction type is required']
+  },
+  // Positive when money is added to the card, negative when it is spent
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    validate: {
+      validator: (value) => value !== 0,
+      message: 'Amount cannot be zero'
+    }
+  },
+  // Balance right after this entry
+  balance: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // Admin who issued or adjusted the card
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+giftCardTransactionSchema.index({ giftCard: 1, createdAt: -1 });
+giftCardTransactionSchema.index({ order: 1 }, { sparse: true });
+
+module.exports = mongoose.model('GiftCardTransaction', giftCardTransactionSchema);
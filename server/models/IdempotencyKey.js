@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Stored result of a request made with an Idempotency-Key header
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true,
+    maxlength: [255, 'Idempotency key cannot exceed 255 characters']
+  },
+  // Who sent the request (user ID or guest session ID), so keys never leak across customers
+  scope: {
+    type: String,
+    required: [true, 'Idempotency scope is required']
+  },
+  endpoint: {
+    type: String,
+    required: [true, 'Endpoint is required']
+  },
+  requestHash: {
+    type: String,
+    required: [true, 'Request hash is required']
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // While 'processing', the time until which the running request holds the key
+  lockedUntil: {
+    type: Date
+  },
+  responseStatus: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+idempotencyKeySchema.index({ key: 1, scope: 1, endpoint: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
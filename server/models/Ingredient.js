@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ingredientSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ingredient name is required'],
+    trim: true,
+    maxlength: [50, 'Ingredient name cannot exceed 50 characters']
+  },
+  unit: {
+    type: String,
+    enum: {
+      values: ['g', 'kg', 'ml', 'l', 'pcs'],
+      message: 'Unit must be one of g, kg, ml, l or pcs'
+    },
+    required: [true, 'Unit is required']
+  },
+  // Amount in stock, in `unit`
+  onHand: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock on hand cannot be negative']
+  },
+  // Admins are alerted once onHand drops to this level
+  lowStockThreshold: {
+    type: Number,
+    default: 0,
+    min: [0, 'Low stock threshold cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastRestockedAt: {
+    type: Date
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+ingredientSchema.index({ name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+ingredientSchema.virtual('isLowStock').get(function() {
+  return this.onHand <= this.lowStockThreshold;
+});
+
+module.exports = mongoose.model('Ingredient', ingredientSchema);
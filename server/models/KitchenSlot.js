@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Orders booked into one 15-minute kitchen slot
+const kitchenSlotSchema = new mongoose.Schema({
+  // Slot start (UTC instant, aligned to 15 minutes)
+  start: {
+    type: Date,
+    required: [true, 'Slot start is required']
+  },
+  orders: {
+    type: Number,
+    default: 0,
+    min: [0, 'Order count cannot be negative']
+  },
+  // Sum of quantity x Menu.preparationTime for the booked orders
+  prepMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, 'Preparation minutes cannot be negative']
+  }
+}, {
+  versionKey: false
+});
+
+// One document per slot; old slots are removed a week after they pass
+kitchenSlotSchema.index({ start: 1 }, { unique: true, expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('KitchenSlot', kitchenSlotSchema);
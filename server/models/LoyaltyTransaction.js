@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// One entry in a customer's loyalty ledger; the user's loyaltyPoints is the running total
+const loyaltyTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  type: {
+    type: String,
+    enum: ['earn', 'reverse', 'redeem', 'restore', 'adjust'],
+    required: [true, 'Transaction type is required']
+  },
+  // Positive when points are added, negative when they are taken away
+  points: {
+    type: Number,
+    required: [true, 'Points are required'],
+    validate: {
+      validator: (value) => Number.isInteger(value) && value !== 0,
+      message: 'Points must be a whole number other than zero'
+    }
+  },
+  // Balance right after this entry
+  balance: {
+    type: Number,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  // Admin who made a manual adjustment
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loyaltyTransactionSchema.index({ user: 1, createdAt: -1 });
+loyaltyTransactionSchema.index({ order: 1 }, { sparse: true });
+
+module.exports = mongoose.model('LoyaltyTransaction', loyaltyTransactionSchema);
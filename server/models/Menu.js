@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const availabilitySchema = require('./schemas/availabilitySchema');
+const nutritionSchema = require('./schemas/nutritionSchema');
+const { ALLERGENS, DIETARY_FLAGS, ANIMAL_ALLERGENS } = require('../utils/dietaryUtils');
 
 // Add-on sub-schema
 const addonSchema = new mongoose.Schema({
@@ -11,9 +14,141 @@ const addonSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Add-on price is required'],
     min: [0, 'Add-on price cannot be negative']
+  },
+  // Added on top of the item's nutrition when chosen
+  nutritionalInfo: nutritionSchema
+}, { _id: true });
+
+// Recipe line: how much of an ingredient one serving uses, in the ingredient's unit
+const recipeLineSchema = new mongoose.Schema({
+  ingredient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient',
+    required: [true, 'Recipe ingredient is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Recipe quantity is required'],
+    min: [0, 'Recipe quantity cannot be negative']
+  }
+}, { _id: false });
+
+// Modifier option sub-schema
+const modifierOptionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Modifier option name is required'],
+    trim: true,
+    maxlength: [50, 'Modifier option name cannot exceed 50 characters']
+  },
+  price: {
+    type: Number,
+    default: 0,
+    min: [0, 'Modifier option price cannot be negative']
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Extra ingredients used when this option is chosen
+  recipe: {
+    type: [recipeLineSchema],
+    default: []
+  },
+  // Set while an ingredient of this option (on top of the item's own recipe) is too short for one serving
+  outOfStock: {
+    type: Boolean,
+    default: false
+  },
+  // Added on top of the item's nutrition when chosen
+  nutritionalInfo: nutritionSchema
+}, { _id: true });
+
+// Modifier group sub-schema, e.g. "Choose a chutney" (pick 1-2)
+const modifierGroupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Modifier group name is required'],
+    trim: true,
+    maxlength: [50, 'Modifier group name cannot exceed 50 characters']
+  },
+  isRequired: {
+    type: Boolean,
+    default: false
+  },
+  minSelections: {
+    type: Number,
+    default: 0,
+    min: [0, 'Minimum selections cannot be negative']
+  },
+  maxSelections: {
+    type: Number,
+    default: 1,
+    min: [1, 'Maximum selections must be at least 1']
+  },
+  options: {
+    type: [modifierOptionSchema],
+    validate: {
+      validator: function(options) {
+        return options && options.length > 0;
+      },
+      message: 'Modifier group must have at least one option'
+    }
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { _id: true });
+
+// Required groups always need a selection
+modifierGroupSchema.pre('validate', function(next) {
+  if (this.isRequired && this.minSelections < 1) {
+    this.minSelections = 1;
+  }
+  next();
+});
+
+modifierGroupSchema.path('maxSelections').validate(function(value) {
+  return value >= this.minSelections;
+}, 'Maximum selections cannot be less than minimum selections');
+
+modifierGroupSchema.path('options').validate(function(options) {
+  const defaults = (options || []).filter(option => option.isDefault).length;
+  return defaults <= this.maxSelections;
+}, 'Modifier group has more default options than it allows');
+
+modifierGroupSchema.path('options').validate(function(options) {
+  return (options || []).length >= this.minSelections;
+}, 'Modifier group has fewer options than its minimum selections');
+
+// Bundle slot sub-schema, e.g. "Any dosa" in a dosa combo
+const bundleSlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Bundle slot name is required'],
+    trim: true,
+    maxlength: [50, 'Bundle slot name cannot exceed 50 characters']
+  },
+  // A slot is filled by any of these items or any item in these categories
+  eligibleItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Menu'
+  }],
+  eligibleCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  sortOrder: {
+    type: Number,
+    default: 0
   }
 }, { _id: true });
 
+bundleSlotSchema.path('eligibleItems').validate(function(items) {
+  return (items && items.length > 0) || (this.eligibleCategories && this.eligibleCategories.length > 0);
+}, 'Bundle slot needs at least one eligible item or category');
+
 // Image sub-schema
 const imageSchema = new mongoose.Schema({
   public_id: {
@@ -43,10 +178,21 @@ const sizeSchema = new mongoose.Schema({
   isDefault: {
     type: Boolean,
     default: false
+  },
+  // Scales the item's base nutrition, e.g. 1.5 for a large
+  nutritionMultiplier: {
+    type: Number,
+    default: 1,
+    min: [0, 'Nutrition multiplier cannot be negative']
   }
 }, { _id: true });
 
 const menuSchema = new mongoose.Schema({
+  itemType: {
+    type: String,
+    enum: ['single', 'bundle'],
+    default: 'single'
+  },
   name: {
     type: String,
     required: [true, 'Menu item name is required'],
@@ -98,10 +244,10 @@ const menuSchema = new mongoose.Schema({
   },
   sizes: {
     type: [sizeSchema],
-    required: [true, 'At least one size is required'],
     validate: {
       validator: function(sizes) {
-        return sizes && sizes.length > 0;
+        // Bundles are priced from their slots instead
+        return this.itemType === 'bundle' || (sizes && sizes.length > 0);
       },
       message: 'At least one size is required'
     }
@@ -111,6 +257,31 @@ const menuSchema = new mongoose.Schema({
     required: [true, 'Vegetarian status is required'],
     default: true
   },
+  allergens: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(ALLERGENS),
+        message: '{VALUE} is not a recognised allergen'
+      }
+    }],
+    default: []
+  },
+  // Staff have checked the allergen list is complete; only verified items pass allergen filters
+  allergensVerified: {
+    type: Boolean,
+    default: false
+  },
+  dietaryFlags: {
+    type: [{
+      type: String,
+      enum: {
+        values: Object.keys(DIETARY_FLAGS),
+        message: '{VALUE} is not a recognised dietary flag'
+      }
+    }],
+    default: []
+  },
   spicyLevel: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SpicyLevel'
@@ -134,10 +305,34 @@ const menuSchema = new mongoose.Schema({
     type: [addonSchema],
     default: []
   },
+  modifierGroups: {
+    type: [modifierGroupSchema],
+    default: []
+  },
+  bundleSlots: {
+    type: [bundleSlotSchema],
+    default: []
+  },
+  // Fixed: the bundle sells at discountedPrice. Discount: a percentage off its chosen components.
+  bundlePricing: {
+    mode: {
+      type: String,
+      enum: ['fixed', 'discount'],
+      default: 'fixed'
+    },
+    discountPercentage: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bundle discount cannot be negative'],
+      max: [100, 'Bundle discount cannot exceed 100%']
+    }
+  },
   tags: {
     type: [String],
     default: []
   },
+  // Per serving of the default size, before modifiers and add-ons
+  nutritionalInfo: nutritionSchema,
   specialInstructions: {
     type: String,
     maxlength: [500, 'Special instructions cannot exceed 500 characters']
@@ -150,6 +345,26 @@ const menuSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Ingredients used by one serving; orders deduct them from the ingredient inventory
+  recipe: {
+    type: [recipeLineSchema],
+    default: []
+  },
+  // Recipe ingredients currently too short to make one serving
+  missingIngredients: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ingredient'
+  }],
+  // Set when the item was made unavailable because of missingIngredients, so restocking brings it back
+  autoUnavailable: {
+    type: Boolean,
+    default: false
+  },
+  // Day-part schedule, e.g. breakfast only or the weekday lunch buffet
+  availability: {
+    type: availabilitySchema,
+    default: () => ({})
+  },
   averageRating: {
     type: Number,
     min: [0, 'Rating cannot be negative'],
@@ -188,6 +403,8 @@ const menuSchema = new mongoose.Schema({
 menuSchema.index({ name: 'text', description: 'text' });
 menuSchema.index({ category: 1 });
 menuSchema.index({ isVegetarian: 1 });
+menuSchema.index({ allergens: 1 });
+menuSchema.index({ dietaryFlags: 1 });
 menuSchema.index({ isActive: 1 });
 menuSchema.index({ isAvailable: 1 });
 menuSchema.index({ featured: 1 });
@@ -195,6 +412,8 @@ menuSchema.index({ averageRating: -1 });
 menuSchema.index({ totalSales: -1 });
 menuSchema.index({ createdAt: -1 });
 menuSchema.index({ sortOrder: 1 });
+menuSchema.index({ itemType: 1 });
+menuSchema.index({ 'recipe.ingredient': 1 });
 
 // Virtual for discount percentage
 menuSchema.virtual('discountPercentage').get(function() {
@@ -212,6 +431,22 @@ menuSchema.virtual('availabilityStatus').get(function() {
   return 'available';
 });
 
+menuSchema.path('bundleSlots').validate(function(slots) {
+  return this.itemType !== 'bundle' || (slots && slots.length > 0);
+}, 'A bundle needs at least one slot');
+
+menuSchema.path('dietaryFlags').validate(function(flags) {
+  return !(flags.includes('vegan') || flags.includes('jain')) || this.isVegetarian;
+}, 'Only vegetarian items can be marked vegan or Jain');
+
+menuSchema.path('dietaryFlags').validate(function(flags) {
+  return !flags.includes('vegan') || !(this.allergens || []).some(allergen => ANIMAL_ALLERGENS.includes(allergen));
+}, 'A vegan item cannot contain milk, eggs, fish or shellfish');
+
+menuSchema.path('dietaryFlags').validate(function(flags) {
+  return !flags.includes('gluten-free') || !(this.allergens || []).includes('wheat');
+}, 'A gluten-free item cannot contain wheat');
+
 // Pre-save middleware
 menuSchema.pre('save', function(next) {
   // Ensure discounted price is not greater than MRP
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { generateOrderNumber } = require('../services/sequence-service');
+const promotionLineSchema = require('./schemas/promotionLineSchema');
 
 // Order item sub-schema
 const orderItemSchema = new mongoose.Schema({
@@ -20,16 +22,25 @@ const orderItemSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [1, 'Quantity must be at least 1']
   },
+  // Menu.sizes subdocument the line was priced from; `size` snapshots its name
+  sizeId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
   size: {
     type: String,
-    enum: ['Small', 'Medium', 'Large', 'Regular'],
-    default: 'Medium'
+    trim: true,
+    maxlength: [50, 'Size name cannot exceed 50 characters']
   },
   price: {
     type: Number,
     required: [true, 'Price is required'],
     min: [0, 'Price cannot be negative']
   },
+  // Allergens in the item (and its bundle components) when ordered, for kitchen tickets
+  allergens: {
+    type: [String],
+    default: undefined
+  },
   addons: [{
     name: {
       type: String,
@@ -41,6 +52,82 @@ const orderItemSchema = new mongoose.Schema({
       min: 0
     }
   }],
+  spicyLevel: {
+    level: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SpicyLevel'
+    },
+    name: {
+      type: String,
+      trim: true
+    }
+  },
+  preparations: [{
+    preparation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Preparation'
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }],
+  modifiers: [{
+    group: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    groupName: {
+      type: String,
+      trim: true
+    },
+    option: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, 'Modifier price cannot be negative']
+    }
+  }],
+  // Components chosen for a bundle line; stock is taken from these, not the bundle
+  bundleItems: [{
+    slot: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    slotName: {
+      type: String,
+      trim: true
+    },
+    menu: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Menu',
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    sizeId: {
+      type: mongoose.Schema.Types.ObjectId
+    },
+    size: {
+      type: String,
+      trim: true
+    },
+    price: {
+      type: Number,
+      default: 0,
+      min: [0, 'Bundle item price cannot be negative']
+    }
+  }],
   specialInstructions: {
     type: String,
     trim: true,
@@ -50,9 +137,148 @@ const orderItemSchema = new mongoose.Schema({
     type: Number,
     required: [true, 'Item total is required'],
     min: [0, 'Item total cannot be negative']
+  },
+  refundedQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Refunded quantity cannot be negative']
+  }
+}, { _id: true });
+
+// Gift card or store credit used to pay part of an order
+const giftCardTenderSchema = new mongoose.Schema({
+  giftCard: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GiftCard',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Gift card amount must be greater than zero']
+  },
+  // Put back on the card by refunds so far
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['redeemed', 'restored']
   }
 }, { _id: true });
 
+// Refund record sub-schema
+const refundSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['full', 'partial', 'items'],
+    required: [true, 'Refund type is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Refund amount is required'],
+    min: [0.01, 'Refund amount must be greater than zero']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Refund reason is required'],
+    trim: true,
+    maxlength: [500, 'Refund reason cannot exceed 500 characters']
+  },
+  items: [{
+    orderItem: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    menuName: String,
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Refunding user is required']
+  },
+  provider: {
+    type: String,
+    trim: true
+  },
+  providerRefundId: {
+    type: String,
+    trim: true
+  },
+  // Part of `amount` returned to the gift cards the order was paid with
+  giftCardAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: true });
+
+// Status history sub-schema
+const statusHistorySchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: [true, 'Status is required']
+  },
+  fromStatus: {
+    type: String
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Status note cannot exceed 500 characters']
+  },
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Allowed delivery status transitions per order type
+// Pickup orders go straight from ready to delivered (collected by the customer)
+const STATUS_TRANSITIONS = {
+  delivery: {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['preparing', 'cancelled'],
+    'preparing': ['ready', 'cancelled'],
+    'ready': ['out-for-delivery', 'cancelled'],
+    'out-for-delivery': ['delivered'],
+    'delivered': [],
+    'cancelled': []
+  },
+  pickup: {
+    'pending': ['confirmed', 'cancelled'],
+    'confirmed': ['preparing', 'cancelled'],
+    'preparing': ['ready', 'cancelled'],
+    'ready': ['delivered', 'cancelled'],
+    'delivered': [],
+    'cancelled': []
+  }
+};
+
 // Address sub-schema for order
 const orderAddressSchema = new mongoose.Schema({
   street: {
@@ -85,6 +311,18 @@ const orderAddressSchema = new mongoose.Schema({
     type: String,
     required: [true, 'Phone number is required'],
     trim: true
+  },
+  coordinates: {
+    latitude: {
+      type: Number,
+      min: [-90, 'Latitude must be between -90 and 90'],
+      max: [90, 'Latitude must be between -90 and 90']
+    },
+    longitude: {
+      type: Number,
+      min: [-180, 'Longitude must be between -180 and 180'],
+      max: [180, 'Longitude must be between -180 and 180']
+    }
   }
 }, { _id: false });
 
@@ -146,6 +384,14 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Delivery fee cannot be negative']
   },
+  // Delivery zone the address fell in when the order was priced
+  deliveryZone: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeliveryZone'
+    },
+    name: String
+  },
   tax: {
     type: Number,
     default: 0,
@@ -156,11 +402,76 @@ const orderSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'Discount cannot be negative']
   },
+  // Coupon redeemed on this order; released when the order is cancelled
+  coupon: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free-delivery']
+    },
+    // Amount saved, including a waived delivery fee
+    discount: {
+      type: Number,
+      min: 0
+    },
+    status: {
+      type: String,
+      enum: ['redeemed', 'released']
+    }
+  },
+  // Automatic promotions applied at checkout; their total is part of `discount`
+  promotions: {
+    type: [promotionLineSchema],
+    default: []
+  },
+  // Loyalty points spent on this order (their value is part of `discount`) and earned once delivered
+  loyalty: {
+    pointsRedeemed: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    redemptionDiscount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    redemptionStatus: {
+      type: String,
+      enum: ['redeemed', 'restored']
+    },
+    pointsEarned: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    earnedAt: Date,
+    // Earned points taken back again after refunds
+    pointsReversed: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
   totalPrice: {
     type: Number,
     required: [true, 'Total price is required'],
     min: [0, 'Total price cannot be negative']
   },
+  // Split tender: the part of totalPrice paid with gift cards; the rest is charged online
+  giftCards: {
+    type: [giftCardTenderSchema],
+    default: []
+  },
+  giftCardAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Gift card amount cannot be negative']
+  },
   // Order type: pickup or delivery
   orderType: {
     type: String,
@@ -201,8 +512,29 @@ const orderSchema = new mongoose.Schema({
     required: [true, 'Payment method is required'],
     default: 'pay_online'
   },
-  stripePaymentIntentId: {
-    type: String
+  // Online payment details (set by the payment service)
+  paymentProvider: {
+    type: String,
+    trim: true
+  },
+  paymentIntentId: {
+    type: String,
+    trim: true
+  },
+  paidAt: {
+    type: Date
+  },
+  paymentFailureReason: {
+    type: String,
+    trim: true
+  },
+  // Set when a payment needs staff to look at it before the order goes ahead
+  paymentReview: {
+    reason: {
+      type: String,
+      trim: true
+    },
+    flaggedAt: Date
   },
   estimatedDeliveryTime: {
     type: Date
@@ -227,8 +559,41 @@ const orderSchema = new mongoose.Schema({
   refundAmount: {
     type: Number,
     default: 0,
-    min: [0, 'Refund amount cannot be negative']
-  }
+    min: [0, 'Refund amount cannot be negative'],
+    validate: {
+      validator: function(value) {
+        return value <= this.totalPrice + 0.001;
+      },
+      message: 'Refund amount cannot exceed the order total'
+    }
+  },
+  // Whether this order currently holds menu stock
+  stockStatus: {
+    type: String,
+    enum: ['none', 'reserved', 'released'],
+    default: 'none'
+  },
+  // Ingredients deducted for this order, so exactly these amounts go back if it is released
+  ingredientUsage: [{
+    _id: false,
+    ingredient: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Ingredient'
+    },
+    quantity: Number
+  }],
+  // Kitchen capacity booked for this order
+  kitchenSlot: {
+    start: Date,
+    prepMinutes: Number,
+    status: {
+      type: String,
+      enum: ['none', 'reserved', 'released'],
+      default: 'none'
+    }
+  },
+  refunds: [refundSchema],
+  statusHistory: [statusHistorySchema]
 }, {
   timestamps: true
 });
@@ -245,19 +610,29 @@ orderSchema.pre('validate', function(next) {
 
 // Indexes (orderNumber already has unique index from schema definition)
 orderSchema.index({ paymentStatus: 1 });
+orderSchema.index({ paymentIntentId: 1 }, { sparse: true });
 orderSchema.index({ deliveryStatus: 1 });
 orderSchema.index({ createdAt: -1 });
 orderSchema.index({ 'user': 1, 'createdAt': -1 });
+orderSchema.index({ 'coupon.coupon': 1, 'user': 1 }, { sparse: true });
+
+// Record the initial status when an order is first saved
+orderSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      status: this.deliveryStatus,
+      actor: this.user?._id || this.user,
+      note: 'Order placed'
+    });
+  }
+  next();
+});
 
-// Pre-save middleware to generate order number
+// Pre-save middleware to assign an atomic, per-day order number
 orderSchema.pre('save', async function(next) {
   if (this.isNew && !this.orderNumber) {
     try {
-      const count = await this.constructor.countDocuments();
-      // Check if user is a guest by populating the user field
-      await this.populate('user', 'role');
-      const prefix = this.user?.role === 'guest' ? 'GUEST' : 'ORD';
-      this.orderNumber = `${prefix}-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+      this.orderNumber = await generateOrderNumber();
     } catch (error) {
       console.error('Error in order pre-save hook:', error);
       return next(error);
@@ -296,6 +671,52 @@ orderSchema.virtual('statusDisplay').get(function() {
   return statusMap[this.deliveryStatus] || this.deliveryStatus;
 });
 
+// Virtual for the amount that can still be refunded
+orderSchema.virtual('refundableAmount').get(function() {
+  return Math.max(0, Math.round(((this.totalPrice || 0) - (this.refundAmount || 0)) * 100) / 100);
+});
+
+// Virtual for the part of the total charged through the payment provider
+orderSchema.virtual('amountDue').get(function() {
+  return Math.max(0, Math.round(((this.totalPrice || 0) - (this.giftCardAmount || 0)) * 100) / 100);
+});
+
+// Static method to get the statuses an order can move to next
+orderSchema.statics.getAllowedTransitions = function(orderType, fromStatus) {
+  const graph = STATUS_TRANSITIONS[orderType] || STATUS_TRANSITIONS.delivery;
+  return graph[fromStatus] || [];
+};
+
+// Method to move the order to a new delivery status, recording who did it
+orderSchema.methods.transitionStatus = function(nextStatus, { actor, note } = {}) {
+  const fromStatus = this.deliveryStatus;
+  const allowed = this.constructor.getAllowedTransitions(this.orderType, fromStatus);
+
+  if (!allowed.includes(nextStatus)) {
+    const error = new Error(
+      `Cannot change ${this.orderType} order from '${fromStatus}' to '${nextStatus}'`
+    );
+    error.status = 409;
+    error.allowedTransitions = allowed;
+    throw error;
+  }
+
+  this.deliveryStatus = nextStatus;
+  this.statusHistory.push({
+    status: nextStatus,
+    fromStatus,
+    actor: actor?._id || actor,
+    note,
+    timestamp: new Date()
+  });
+
+  if (nextStatus === 'delivered') {
+    this.actualDeliveryTime = new Date();
+  }
+
+  return this;
+};
+
 // Method to calculate total preparation time
 orderSchema.methods.calculatePreparationTime = function() {
   return this.items.reduce((total, item) => {
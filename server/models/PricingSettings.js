@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Delivery fee tier sub-schema: orders with a subtotal of at least minSubtotal pay fee
+const deliveryFeeTierSchema = new mongoose.Schema({
+  minSubtotal: {
+    type: Number,
+    required: [true, 'Tier minimum subtotal is required'],
+    min: [0, 'Tier minimum subtotal cannot be negative']
+  },
+  fee: {
+    type: Number,
+    required: [true, 'Tier fee is required'],
+    min: [0, 'Tier fee cannot be negative']
+  }
+}, { _id: false });
+
+const pricingSettingsSchema = new mongoose.Schema({
+  // Singleton key; there is only ever one pricing document
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    immutable: true
+  },
+  taxRate: {
+    type: Number,
+    default: 0.08,
+    min: [0, 'Tax rate cannot be negative'],
+    max: [1, 'Tax rate cannot exceed 100%']
+  },
+  deliveryFeeTiers: {
+    type: [deliveryFeeTierSchema],
+    default: () => [
+      { minSubtotal: 0, fee: 5.99 },
+      { minSubtotal: 50, fee: 0 }
+    ],
+    validate: {
+      validator: function(tiers) {
+        return tiers.length > 0 && tiers.some(tier => tier.minSubtotal === 0);
+      },
+      message: 'Delivery fee tiers must include a tier starting at $0'
+    }
+  },
+  minimumOrder: {
+    delivery: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order cannot be negative']
+    },
+    pickup: {
+      type: Number,
+      default: 0,
+      min: [0, 'Minimum order cannot be negative']
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep tiers ordered by threshold so lookups can scan from the top
+pricingSettingsSchema.pre('save', function(next) {
+  if (this.isModified('deliveryFeeTiers')) {
+    this.deliveryFeeTiers.sort((a, b) => a.minSubtotal - b.minSubtotal);
+  }
+  next();
+});
+
+// Static methods
+pricingSettingsSchema.statics.getSettings = async function() {
+  const settings = await this.findOne({ key: 'default' });
+  if (settings) {
+    return settings;
+  }
+
+  try {
+    return await this.create({ key: 'default' });
+  } catch (error) {
+    // Another request created the document first
+    if (error.code === 11000) {
+      return this.findOne({ key: 'default' });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PricingSettings', pricingSettingsSchema);
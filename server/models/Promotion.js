@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const availabilitySchema = require('./schemas/availabilitySchema');
+
+// Promotions apply automatically, without a code. See services/promotion-service.js.
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [60, 'Promotion name cannot exceed 60 characters']
+  },
+  // Shown to customers in the cart
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['bogo', 'happy-hour', 'spend-threshold'],
+    required: [true, 'Promotion type is required']
+  },
+  // Lines the promotion discounts; empty lists mean every line
+  categories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  menuItems: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Menu'
+  }],
+  // bogo: for every `buyQuantity` units bought, the next `getQuantity` get `getDiscountPercent` off
+  buyQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Buy quantity must be at least 1']
+  },
+  getQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Get quantity must be at least 1']
+  },
+  getDiscountPercent: {
+    type: Number,
+    default: 100,
+    min: [1, 'Discount must be at least 1%'],
+    max: [100, 'Discount cannot exceed 100%']
+  },
+  // happy-hour: percent off every matching line while the schedule is running
+  percentOff: {
+    type: Number,
+    min: [1, 'Discount must be at least 1%'],
+    max: [100, 'Discount cannot exceed 100%'],
+    required: [
+      function() { return this.type === 'happy-hour'; },
+      'Percent off is required for happy hour promotions'
+    ]
+  },
+  // spend-threshold: once the subtotal reaches `minSubtotal`, give the reward
+  minSubtotal: {
+    type: Number,
+    min: [0, 'Minimum subtotal cannot be negative'],
+    required: [
+      function() { return this.type === 'spend-threshold'; },
+      'Minimum subtotal is required for spend threshold promotions'
+    ]
+  },
+  reward: {
+    type: String,
+    enum: ['percentage', 'fixed', 'free-item'],
+    required: [
+      function() { return this.type === 'spend-threshold'; },
+      'Reward is required for spend threshold promotions'
+    ]
+  },
+  // Percent or amount off for percentage and fixed rewards
+  rewardValue: {
+    type: Number,
+    min: [0, 'Reward value cannot be negative'],
+    required: [
+      function() { return this.type === 'spend-threshold' && this.reward !== 'free-item'; },
+      'Reward value is required for percentage and fixed rewards'
+    ]
+  },
+  // When the promotion runs, in restaurant-local time; unscheduled means always
+  schedule: {
+    type: availabilitySchema,
+    default: () => ({})
+  },
+  // Higher priority promotions claim cart lines first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promotionSchema.index({ isActive: 1, priority: -1 });
+
+module.exports = mongoose.model('Promotion', promotionSchema);
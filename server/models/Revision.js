@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One field that changed, with plain JSON values (ids as strings)
+const fieldChangeSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+// Append-only change log for menu items and categories
+const revisionSchema = new mongoose.Schema({
+  resourceType: {
+    type: String,
+    enum: ['Menu', 'Category'],
+    required: true
+  },
+  resource: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'resourceType',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'delete', 'restore'],
+    required: true
+  },
+  changes: {
+    type: [fieldChangeSchema],
+    default: []
+  },
+  // The document's tracked fields after this change (before it, for deletes)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set on restores: the revision whose snapshot was restored
+  restoredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Revision'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+revisionSchema.index({ resourceType: 1, resource: 1, createdAt: -1 });
+
+// Revisions are never edited or removed once written
+const rejectWrite = function(next) {
+  next(new Error('Revisions are append-only'));
+};
+revisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], rejectWrite);
+revisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return rejectWrite(next);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Revision', revisionSchema);
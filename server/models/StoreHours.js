@@ -0,0 +1,219 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Opening hours for one day of the week (0 = Sunday), in restaurant-local time
+const dayHoursSchema = new mongoose.Schema({
+  day: {
+    type: Number,
+    required: [true, 'Day of week is required'],
+    min: [0, 'Day of week must be between 0 and 6'],
+    max: [6, 'Day of week must be between 0 and 6']
+  },
+  isOpen: {
+    type: Boolean,
+    default: true
+  },
+  open: {
+    type: String,
+    default: '11:30',
+    match: [TIME_PATTERN, 'Opening time must be in HH:MM format']
+  },
+  close: {
+    type: String,
+    default: '22:00',
+    match: [TIME_PATTERN, 'Closing time must be in HH:MM format'],
+    validate: {
+      validator: function(close) {
+        return !this.isOpen || close > this.open;
+      },
+      message: 'Closing time must be after opening time'
+    }
+  }
+}, { _id: false });
+
+// A date that overrides the weekly schedule: a full closure or special hours
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String, // Format: "YYYY-MM-DD" in restaurant-local time
+    required: [true, 'Holiday date is required'],
+    match: [DATE_PATTERN, 'Holiday date must be in YYYY-MM-DD format']
+  },
+  isOpen: {
+    type: Boolean,
+    default: false
+  },
+  open: {
+    type: String,
+    match: [TIME_PATTERN, 'Opening time must be in HH:MM format'],
+    required: function() {
+      return this.isOpen;
+    }
+  },
+  close: {
+    type: String,
+    match: [TIME_PATTERN, 'Closing time must be in HH:MM format'],
+    required: function() {
+      return this.isOpen;
+    },
+    validate: {
+      validator: function(close) {
+        return !this.isOpen || close > this.open;
+      },
+      message: 'Closing time must be after opening time'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Reason cannot exceed 100 characters']
+  }
+}, { _id: false });
+
+const defaultWeeklyHours = () => [0, 1, 2, 3, 4, 5, 6].map(day => ({
+  day,
+  isOpen: true,
+  open: '11:30',
+  close: day === 5 || day === 6 ? '22:30' : '22:00'
+}));
+
+const defaultBuffetHours = () => [0, 1, 2, 3, 4, 5, 6].map(day => ({
+  day,
+  isOpen: day >= 1 && day <= 5,
+  open: '11:30',
+  close: '15:00'
+}));
+
+// Every day of the week must appear exactly once
+const validateWeek = function(days) {
+  const seen = new Set(days.map(entry => entry.day));
+  return days.length === 7 && seen.size === 7;
+};
+
+const storeHoursSchema = new mongoose.Schema({
+  // Singleton key; there is only ever one store hours document
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+    immutable: true
+  },
+  weeklyHours: {
+    type: [dayHoursSchema],
+    default: defaultWeeklyHours,
+    validate: {
+      validator: validateWeek,
+      message: 'Weekly hours must list each day of the week once'
+    }
+  },
+  buffetHours: {
+    type: [dayHoursSchema],
+    default: defaultBuffetHours,
+    validate: {
+      validator: validateWeek,
+      message: 'Buffet hours must list each day of the week once'
+    }
+  },
+  holidays: {
+    type: [holidaySchema],
+    default: [],
+    validate: {
+      validator: function(holidays) {
+        return new Set(holidays.map(holiday => holiday.date)).size === holidays.length;
+      },
+      message: 'Each holiday date can only be listed once'
+    }
+  },
+  // Temporary stop on new orders, e.g. when the kitchen is overwhelmed
+  pause: {
+    isPaused: {
+      type: Boolean,
+      default: false
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Pause reason cannot exceed 200 characters']
+    },
+    until: Date, // Orders resume automatically after this time; unset means until resumed
+    pausedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    pausedAt: Date
+  },
+  // Lead time added to "now" before the earliest scheduled slot
+  preparationMinutes: {
+    pickup: {
+      type: Number,
+      default: 20,
+      min: [0, 'Preparation time cannot be negative']
+    },
+    delivery: {
+      type: Number,
+      default: 45,
+      min: [0, 'Preparation time cannot be negative']
+    }
+  },
+  // Stop taking orders this many minutes before closing
+  lastOrderMinutes: {
+    type: Number,
+    default: 30,
+    min: [0, 'Last order cutoff cannot be negative']
+  },
+  // Kitchen throughput per 15-minute slot; 0 means no limit
+  kitchenCapacity: {
+    maxOrdersPerSlot: {
+      type: Number,
+      default: 0,
+      min: [0, 'Maximum orders per slot cannot be negative']
+    },
+    // Sum of quantity x Menu.preparationTime across orders in the slot
+    maxPrepMinutesPerSlot: {
+      type: Number,
+      default: 0,
+      min: [0, 'Maximum preparation minutes per slot cannot be negative']
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Keep days and holidays in calendar order
+storeHoursSchema.pre('save', function(next) {
+  if (this.isModified('weeklyHours')) {
+    this.weeklyHours.sort((a, b) => a.day - b.day);
+  }
+  if (this.isModified('buffetHours')) {
+    this.buffetHours.sort((a, b) => a.day - b.day);
+  }
+  if (this.isModified('holidays')) {
+    this.holidays.sort((a, b) => a.date.localeCompare(b.date));
+  }
+  next();
+});
+
+// Static methods
+storeHoursSchema.statics.getHours = async function() {
+  const hours = await this.findOne({ key: 'default' });
+  if (hours) {
+    return hours;
+  }
+
+  try {
+    return await this.create({ key: 'default' });
+  } catch (error) {
+    // Another request created the document first
+    if (error.code === 11000) {
+      return this.findOne({ key: 'default' });
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('StoreHours', storeHoursSchema);
@@ -106,6 +106,12 @@ const userSchema = new mongoose.Schema({
   },
   lastPasswordChange: {
     type: Date
+  },
+  // Running total of the loyalty ledger (LoyaltyTransaction); can dip below zero when
+  // points that were already spent are reversed
+  loyaltyPoints: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A time window on some days of the week (0 = Sunday), in restaurant-local time
+const availabilityWindowSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Window label cannot exceed 50 characters']
+  },
+  days: {
+    type: [{
+      type: Number,
+      min: [0, 'Day of week must be between 0 and 6'],
+      max: [6, 'Day of week must be between 0 and 6']
+    }],
+    default: [] // Empty means every day
+  },
+  start: {
+    type: String,
+    required: [true, 'Window start time is required'],
+    match: [TIME_PATTERN, 'Start time must be in HH:MM format']
+  },
+  end: {
+    type: String,
+    required: [true, 'Window end time is required'],
+    match: [TIME_PATTERN, 'End time must be in HH:MM format'],
+    validate: {
+      validator: function(end) {
+        return end > this.start;
+      },
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
+// When a menu item or category can be ordered, on top of its isActive/isAvailable flags.
+// Unscheduled means always; otherwise it must fall inside the date range and, if any
+// windows are set, inside one of them.
+const availabilitySchema = new mongoose.Schema({
+  isScheduled: {
+    type: Boolean,
+    default: false
+  },
+  windows: {
+    type: [availabilityWindowSchema],
+    default: []
+  },
+  startDate: {
+    type: String, // Format: "YYYY-MM-DD" in restaurant-local time
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String, // Format: "YYYY-MM-DD" in restaurant-local time
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format'],
+    validate: {
+      validator: function(endDate) {
+        return !endDate || !this.startDate || endDate >= this.startDate;
+      },
+      message: 'End date cannot be before start date'
+    }
+  }
+}, { _id: false });
+
+module.exports = availabilitySchema;
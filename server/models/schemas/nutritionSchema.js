@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// Nutrition facts for one serving; every value is optional
+const nutritionSchema = new mongoose.Schema({
+  calories: {
+    type: Number,
+    min: [0, 'Calories cannot be negative']
+  },
+  protein: {
+    type: Number,
+    min: [0, 'Protein cannot be negative']
+  }, // grams
+  carbs: {
+    type: Number,
+    min: [0, 'Carbohydrates cannot be negative']
+  }, // grams
+  fat: {
+    type: Number,
+    min: [0, 'Fat cannot be negative']
+  }, // grams
+  sodium: {
+    type: Number,
+    min: [0, 'Sodium cannot be negative']
+  } // milligrams
+}, { _id: false });
+
+module.exports = nutritionSchema;
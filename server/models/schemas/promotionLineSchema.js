@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One automatic promotion applied to a cart or order, as the customer saw it
+const promotionLineSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['bogo', 'happy-hour', 'spend-threshold'],
+    required: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: [0, 'Promotion discount cannot be negative']
+  }
+}, { _id: false });
+
+module.exports = promotionLineSchema;
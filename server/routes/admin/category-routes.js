@@ -13,6 +13,7 @@ const {
   bulkUpdateStatus,
   getCategoryStats
 } = require('../../controllers/admin/category-controller');
+const { getCategoryRevisions, restoreCategoryRevision } = require('../../controllers/admin/revision-controller');
 
 // Import middleware
 const { authenticateToken, requireAdmin } = require('../../middleware/auth-middleware');
@@ -91,4 +92,21 @@ router.delete('/categories/:id',
   deleteCategory
 );
 
+// GET /api/admin/categories/:id/revisions - Get category change history
+router.get('/categories/:id/revisions',
+  validateObjectId('id'),
+  loadCategory,
+  checkVegNonVegAccess,
+  getCategoryRevisions
+);
+
+// POST /api/admin/categories/:id/revisions/:revisionId/restore - Restore a previous version
+router.post('/categories/:id/revisions/:revisionId/restore',
+  validateObjectId('id'),
+  validateObjectId('revisionId'),
+  loadCategory,
+  requireResourcePermission('update', 'category'),
+  restoreCategoryRevision
+);
+
 module.exports = router;
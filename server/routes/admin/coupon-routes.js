@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+// Import controllers
+const {
+  getAllCoupons,
+  getCouponRedemptions,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} = require('../../controllers/admin/coupon-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const couponValidation = [
+  body('code')
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,30}$/)
+    .withMessage('Code must be 3-30 letters, numbers, dashes or underscores'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('type')
+    .isIn(['percentage', 'fixed', 'free-delivery'])
+    .withMessage('Coupon type must be percentage, fixed or free-delivery'),
+  body('value')
+    .if(body('type').isIn(['percentage', 'fixed']))
+    .isFloat({ gt: 0 })
+    .withMessage('Value must be greater than 0'),
+  body('value')
+    .if(body('type').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('Percentage coupons cannot exceed 100%'),
+  body('minOrder')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order must be a non-negative number'),
+  body('maxDiscount')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Maximum discount must be a non-negative number'),
+  body(['startsAt', 'endsAt'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  body(['usageLimit', 'perUserLimit'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be whole numbers of at least 1'),
+  body('firstOrderOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('firstOrderOnly must be a boolean'),
+  body(['categories', 'menuItems'])
+    .optional()
+    .isArray()
+    .withMessage('Categories and menu items must be lists'),
+  body(['categories.*', 'menuItems.*'])
+    .isMongoId()
+    .withMessage('Categories and menu items must be valid IDs'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const listValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'scheduled', 'expired', 'inactive'])
+    .withMessage('Status must be active, scheduled, expired or inactive')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    Get all coupons, optionally filtered by status or code
+ * @access  Admin
+ */
+router.get('/', listValidation, handleValidationErrors, getAllCoupons);
+
+/**
+ * @route   GET /api/admin/coupons/:id/redemptions
+ * @desc    Get the orders a coupon was used on
+ * @access  Admin
+ */
+router.get('/:id/redemptions', validateObjectId('id'), getCouponRedemptions);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create coupon
+ * @access  Super Admin
+ */
+router.post('/', requireSuperAdmin, couponValidation, handleValidationErrors, createCoupon);
+
+/**
+ * @route   PUT /api/admin/coupons/:id
+ * @desc    Update coupon
+ * @access  Super Admin
+ */
+router.put('/:id',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  couponValidation,
+  handleValidationErrors,
+  updateCoupon
+);
+
+/**
+ * @route   DELETE /api/admin/coupons/:id
+ * @desc    Delete a coupon that has never been used
+ * @access  Super Admin
+ */
+router.delete('/:id', requireSuperAdmin, validateObjectId('id'), deleteCoupon);
+
+module.exports = router;
@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+// Import controllers
+const {
+  getAllDeliveryZones,
+  createDeliveryZone,
+  updateDeliveryZone,
+  deleteDeliveryZone,
+  checkDeliveryZone
+} = require('../../controllers/admin/delivery-zone-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const deliveryZoneValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('type')
+    .isIn(['polygon', 'radius'])
+    .withMessage('Zone type must be polygon or radius'),
+  body('polygon')
+    .if(body('type').equals('polygon'))
+    .isArray({ min: 3 })
+    .withMessage('Polygon zones need at least 3 points'),
+  body('polygon.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  body('polygon.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  body('radius.minKm')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Inner radius must be a non-negative number'),
+  body('radius.maxKm')
+    .if(body('type').equals('radius'))
+    .isFloat({ gt: 0 })
+    .withMessage('Outer radius must be greater than 0'),
+  body('deliveryFee')
+    .isFloat({ min: 0 })
+    .withMessage('Delivery fee must be a non-negative number'),
+  body('freeDeliveryOver')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Free delivery threshold must be a non-negative number'),
+  body('minimumOrder')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum order must be a non-negative number'),
+  body('estimatedMinutes')
+    .isInt({ min: 1, max: 240 })
+    .withMessage('Estimated delivery time must be between 1 and 240 minutes'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be an integer'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const checkLocationValidation = [
+  query('latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  query('longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/delivery-zones
+ * @desc    Get all delivery zones and the restaurant location
+ * @access  Admin
+ */
+router.get('/', getAllDeliveryZones);
+
+/**
+ * @route   GET /api/admin/delivery-zones/check
+ * @desc    Find the zone that covers a location
+ * @access  Admin
+ */
+router.get('/check', checkLocationValidation, handleValidationErrors, checkDeliveryZone);
+
+/**
+ * @route   POST /api/admin/delivery-zones
+ * @desc    Create delivery zone
+ * @access  Super Admin
+ */
+router.post('/', requireSuperAdmin, deliveryZoneValidation, handleValidationErrors, createDeliveryZone);
+
+/**
+ * @route   PUT /api/admin/delivery-zones/:id
+ * @desc    Update delivery zone
+ * @access  Super Admin
+ */
+router.put('/:id',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  deliveryZoneValidation,
+  handleValidationErrors,
+  updateDeliveryZone
+);
+
+/**
+ * @route   DELETE /api/admin/delivery-zones/:id
+ * @desc    Delete delivery zone
+ * @access  Super Admin
+ */
+router.delete('/:id', requireSuperAdmin, validateObjectId('id'), deleteDeliveryZone);
+
+module.exports = router;
@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+
+// Import controllers
+const {
+  getAllGiftCards,
+  getGiftCard,
+  createStoreCredit,
+  adjustGiftCardBalance,
+  updateGiftCardStatus,
+  resendGiftCard
+} = require('../../controllers/admin/gift-card-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const listValidation = [
+  query('kind')
+    .optional()
+    .isIn(['gift_card', 'store_credit'])
+    .withMessage('Kind must be gift_card or store_credit'),
+  query('status')
+    .optional()
+    .isIn(['pending', 'active', 'disabled', 'expired'])
+    .withMessage('Status must be pending, active, disabled or expired')
+];
+
+const storeCreditValidation = [
+  body('amount')
+    .isFloat({ gt: 0, max: 1000 })
+    .withMessage('Amount must be greater than 0 and at most $1000')
+    .toFloat(),
+  body('user')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid customer ID'),
+  body('recipientEmail')
+    .optional()
+    .trim()
+    .isEmail()
+    .withMessage('Recipient email must be valid')
+    .normalizeEmail(),
+  body('recipientName')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Recipient name cannot exceed 100 characters'),
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be between 3 and 200 characters'),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date')
+];
+
+const adjustmentValidation = [
+  body('amount')
+    .isFloat()
+    .withMessage('Amount must be a number')
+    .custom(value => Number(value) !== 0)
+    .withMessage('Amount cannot be zero'),
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage('Reason must be between 3 and 200 characters')
+];
+
+const statusValidation = [
+  body('status')
+    .isIn(['active', 'disabled'])
+    .withMessage('Status must be active or disabled')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/gift-cards
+ * @desc    Get gift cards and store credit, with the balance still outstanding
+ * @access  Admin
+ */
+router.get('/', listValidation, handleValidationErrors, getAllGiftCards);
+
+/**
+ * @route   POST /api/admin/gift-cards/store-credit
+ * @desc    Issue store credit to a customer and email them the code
+ * @access  Super Admin
+ */
+router.post('/store-credit',
+  requireSuperAdmin,
+  storeCreditValidation,
+  handleValidationErrors,
+  createStoreCredit
+);
+
+/**
+ * @route   GET /api/admin/gift-cards/:id
+ * @desc    Get a gift card and its ledger
+ * @access  Admin
+ */
+router.get('/:id', validateObjectId('id'), getGiftCard);
+
+/**
+ * @route   POST /api/admin/gift-cards/:id/adjustments
+ * @desc    Add to or take from a card's balance
+ * @access  Super Admin
+ */
+router.post('/:id/adjustments',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  adjustmentValidation,
+  handleValidationErrors,
+  adjustGiftCardBalance
+);
+
+/**
+ * @route   PATCH /api/admin/gift-cards/:id/status
+ * @desc    Disable or re-enable a card
+ * @access  Super Admin
+ */
+router.patch('/:id/status',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  statusValidation,
+  handleValidationErrors,
+  updateGiftCardStatus
+);
+
+/**
+ * @route   POST /api/admin/gift-cards/:id/resend
+ * @desc    Email a card's code to its recipient again
+ * @access  Admin
+ */
+router.post('/:id/resend', validateObjectId('id'), resendGiftCard);
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+// Import controllers
+const {
+  getAllIngredients,
+  createIngredient,
+  updateIngredient,
+  adjustIngredient,
+  deleteIngredient,
+  syncIngredientAvailability
+} = require('../../controllers/admin/ingredient-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const ingredientValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('unit')
+    .isIn(['g', 'kg', 'ml', 'l', 'pcs'])
+    .withMessage('Unit must be one of g, kg, ml, l or pcs'),
+  body('onHand')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stock on hand must be a non-negative number'),
+  body('lowStockThreshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Low stock threshold must be a non-negative number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+const adjustValidation = [
+  body('adjustment')
+    .if(body('onHand').not().exists())
+    .isFloat()
+    .withMessage('Adjustment must be a number'),
+  body('onHand')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Stock on hand must be a non-negative number')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/ingredients
+ * @desc    Get all ingredients
+ * @access  Admin
+ */
+router.get('/', getAllIngredients);
+
+/**
+ * @route   POST /api/admin/ingredients/sync
+ * @desc    Re-check menu item availability against ingredient stock
+ * @access  Admin
+ */
+router.post('/sync', syncIngredientAvailability);
+
+/**
+ * @route   POST /api/admin/ingredients
+ * @desc    Create ingredient
+ * @access  Super Admin
+ */
+router.post('/', requireSuperAdmin, ingredientValidation, handleValidationErrors, createIngredient);
+
+/**
+ * @route   PUT /api/admin/ingredients/:id
+ * @desc    Update ingredient
+ * @access  Super Admin
+ */
+router.put('/:id',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  ingredientValidation,
+  handleValidationErrors,
+  updateIngredient
+);
+
+/**
+ * @route   POST /api/admin/ingredients/:id/adjust
+ * @desc    Restock or correct an ingredient's stock
+ * @access  Admin
+ */
+router.post('/:id/adjust',
+  validateObjectId('id'),
+  adjustValidation,
+  handleValidationErrors,
+  adjustIngredient
+);
+
+/**
+ * @route   DELETE /api/admin/ingredients/:id
+ * @desc    Delete ingredient
+ * @access  Super Admin
+ */
+router.delete('/:id', requireSuperAdmin, validateObjectId('id'), deleteIngredient);
+
+module.exports = router;
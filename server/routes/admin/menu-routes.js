@@ -9,6 +9,7 @@ const {
   updateMenuItem,
   deleteMenuItem
 } = require('../../controllers/admin/menu-controller');
+const { getMenuRevisions, restoreMenuRevision } = require('../../controllers/admin/revision-controller');
 
 // Import middleware
 const { authenticateToken, requireAdmin } = require('../../middleware/auth-middleware');
@@ -85,4 +86,22 @@ router.delete('/:id',
   deleteMenuItem
 );
 
+// GET /api/admin/menu/:id/revisions - Get menu item change history
+router.get('/:id/revisions',
+  validateObjectId(),
+  loadMenuItem,
+  checkVegNonVegAccess,
+  getMenuRevisions
+);
+
+// POST /api/admin/menu/:id/revisions/:revisionId/restore - Restore a previous version
+router.post('/:id/revisions/:revisionId/restore',
+  validateObjectId(),
+  validateObjectId('revisionId'),
+  loadMenuItem,
+  requireResourcePermission('update', 'menu'),
+  checkVegNonVegAccess,
+  restoreMenuRevision
+);
+
 module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+
+// Import controllers
+const { exportMenuData, importMenuData } = require('../../controllers/admin/menu-transfer-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin } = require('../../middleware/auth-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+const { uploadSpreadsheet, handleMulterError } = require('../../helpers/upload-middleware');
+
+const ENTITIES = ['categories', 'spicy-levels', 'preparations', 'menu-items'];
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const exportValidation = [
+  query('format')
+    .optional()
+    .isIn(['xlsx', 'csv'])
+    .withMessage('Format must be xlsx or csv'),
+  query('entity')
+    .optional()
+    .isIn(ENTITIES)
+    .withMessage(`Entity must be one of ${ENTITIES.join(', ')}`)
+];
+
+const importValidation = [
+  query('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be true or false'),
+  query('entity')
+    .optional()
+    .isIn(ENTITIES)
+    .withMessage(`Entity must be one of ${ENTITIES.join(', ')}`)
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/menu-transfer/export
+ * @desc    Download the menu as XLSX (all sheets) or CSV (one entity)
+ * @access  Admin (limited to the admin's veg/non-veg scope)
+ */
+router.get('/export', exportValidation, handleValidationErrors, exportMenuData);
+
+/**
+ * @route   POST /api/admin/menu-transfer/import
+ * @desc    Check an import file (dry run, the default) or apply it with dryRun=false
+ * @access  Admin (limited to the admin's veg/non-veg scope)
+ */
+router.post('/import',
+  uploadSpreadsheet,
+  handleMulterError,
+  importValidation,
+  handleValidationErrors,
+  importMenuData
+);
+
+module.exports = router;
@@ -6,6 +6,7 @@ const {
   getAllOrders,
   getOrderById,
   updateOrderStatus,
+  refundOrder,
   getOrderStats,
   exportOrders
 } = require('../../controllers/admin/order-controller');
@@ -14,6 +15,7 @@ const {
 const { authenticateToken, requireAdmin } = require('../../middleware/auth-middleware');
 const { loadOrder, validateObjectId } = require('../../middleware/resource-middleware');
 const { createPermissionMiddleware } = require('../../middleware/rbac-middleware');
+const { validateOrderRefund, handleValidationErrors } = require('../../middleware/validation-middleware');
 
 // Apply authentication and admin check to all routes
 router.use(authenticateToken);
@@ -44,4 +46,14 @@ router.put('/orders/:id/status',
   updateOrderStatus
 );
 
+// POST /api/admin/orders/:id/refund - Refund an order in full, partially or per item
+router.post('/orders/:id/refund',
+  validateObjectId('id'),
+  loadOrder,
+  createPermissionMiddleware.refundOrders,
+  validateOrderRefund,
+  handleValidationErrors,
+  refundOrder
+);
+
 module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+// Import controllers
+const {
+  getAllPromotions,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} = require('../../controllers/admin/promotion-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const promotionValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Name is required and cannot exceed 60 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Description cannot exceed 200 characters'),
+  body('type')
+    .isIn(['bogo', 'happy-hour', 'spend-threshold'])
+    .withMessage('Promotion type must be bogo, happy-hour or spend-threshold'),
+  body(['buyQuantity', 'getQuantity'])
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Buy and get quantities must be whole numbers of at least 1'),
+  body(['getDiscountPercent', 'percentOff'])
+    .optional({ nullable: true })
+    .isFloat({ min: 1, max: 100 })
+    .withMessage('Percentages must be between 1 and 100'),
+  body('minSubtotal')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum subtotal must be a non-negative number'),
+  body('reward')
+    .optional({ nullable: true })
+    .isIn(['percentage', 'fixed', 'free-item'])
+    .withMessage('Reward must be percentage, fixed or free-item'),
+  body('rewardValue')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Reward value must be a non-negative number'),
+  body(['categories', 'menuItems'])
+    .optional()
+    .isArray()
+    .withMessage('Categories and menu items must be lists'),
+  body(['categories.*', 'menuItems.*'])
+    .isMongoId()
+    .withMessage('Categories and menu items must be valid IDs'),
+  body('schedule')
+    .optional()
+    .isObject()
+    .withMessage('Schedule must be an object'),
+  body('priority')
+    .optional()
+    .isInt()
+    .withMessage('Priority must be a whole number'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/promotions
+ * @desc    Get all automatic promotions with their order usage
+ * @access  Admin
+ */
+router.get('/', getAllPromotions);
+
+/**
+ * @route   POST /api/admin/promotions
+ * @desc    Create promotion
+ * @access  Super Admin
+ */
+router.post('/', requireSuperAdmin, promotionValidation, handleValidationErrors, createPromotion);
+
+/**
+ * @route   PUT /api/admin/promotions/:id
+ * @desc    Update promotion
+ * @access  Super Admin
+ */
+router.put('/:id',
+  requireSuperAdmin,
+  validateObjectId('id'),
+  promotionValidation,
+  handleValidationErrors,
+  updatePromotion
+);
+
+/**
+ * @route   DELETE /api/admin/promotions/:id
+ * @desc    Delete promotion
+ * @access  Super Admin
+ */
+router.delete('/:id', requireSuperAdmin, validateObjectId('id'), deletePromotion);
+
+module.exports = router;
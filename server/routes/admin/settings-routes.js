@@ -0,0 +1,167 @@
+const express = require('express');
+const router = express.Router();
+const { body } = require('express-validator');
+
+// Import controllers
+const {
+  getPricingSettings,
+  updatePricingSettings,
+  getStoreHours,
+  updateStoreHours,
+  pauseOrdering,
+  resumeOrdering
+} = require('../../controllers/admin/settings-controller');
+
+// Import middleware
+const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../../middleware/auth-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
+
+// Apply authentication and admin check to all routes
+router.use(authenticateToken);
+router.use(requireAdmin);
+
+// Validation rules
+const pricingValidation = [
+  body('taxRate')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Tax rate must be between 0 and 1'),
+  body('deliveryFeeTiers')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('At least one delivery fee tier is required'),
+  body('deliveryFeeTiers.*.minSubtotal')
+    .isFloat({ min: 0 })
+    .withMessage('Tier minimum subtotal must be a non-negative number'),
+  body('deliveryFeeTiers.*.fee')
+    .isFloat({ min: 0 })
+    .withMessage('Tier fee must be a non-negative number'),
+  body('minimumOrder.delivery')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum delivery order must be a non-negative number'),
+  body('minimumOrder.pickup')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Minimum pickup order must be a non-negative number')
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const dayHoursValidation = (field) => [
+  body(field)
+    .optional()
+    .isArray({ min: 7, max: 7 })
+    .withMessage('Hours must list each day of the week'),
+  body(`${field}.*.day`)
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Day of week must be between 0 and 6'),
+  body(`${field}.*.isOpen`)
+    .isBoolean()
+    .withMessage('isOpen must be a boolean'),
+  body(`${field}.*.open`)
+    .matches(TIME_PATTERN)
+    .withMessage('Opening time must be in HH:MM format'),
+  body(`${field}.*.close`)
+    .matches(TIME_PATTERN)
+    .withMessage('Closing time must be in HH:MM format')
+];
+
+const storeHoursValidation = [
+  ...dayHoursValidation('weeklyHours'),
+  ...dayHoursValidation('buffetHours'),
+  body('holidays')
+    .optional()
+    .isArray()
+    .withMessage('Holidays must be an array'),
+  body('holidays.*.date')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Holiday date must be in YYYY-MM-DD format'),
+  body('holidays.*.isOpen')
+    .optional()
+    .isBoolean()
+    .withMessage('isOpen must be a boolean'),
+  body('holidays.*.reason')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reason cannot exceed 100 characters'),
+  body('preparationMinutes.pickup')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Pickup preparation time must be between 0 and 240 minutes'),
+  body('preparationMinutes.delivery')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Delivery preparation time must be between 0 and 240 minutes'),
+  body('lastOrderMinutes')
+    .optional()
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Last order cutoff must be between 0 and 240 minutes'),
+  body('kitchenCapacity.maxOrdersPerSlot')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum orders per slot must be a non-negative integer'),
+  body('kitchenCapacity.maxPrepMinutesPerSlot')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Maximum preparation minutes per slot must be a non-negative integer')
+];
+
+const pauseValidation = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Pause reason cannot exceed 200 characters'),
+  body('minutes')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 1440 })
+    .withMessage('Pause length must be between 1 and 1440 minutes')
+];
+
+// Routes
+
+/**
+ * @route   GET /api/admin/settings/pricing
+ * @desc    Get tax rate, delivery fee tiers and minimum order amounts
+ * @access  Admin
+ */
+router.get('/pricing', getPricingSettings);
+
+/**
+ * @route   PUT /api/admin/settings/pricing
+ * @desc    Update tax rate, delivery fee tiers and minimum order amounts
+ * @access  Super Admin
+ */
+router.put('/pricing', requireSuperAdmin, pricingValidation, handleValidationErrors, updatePricingSettings);
+
+/**
+ * @route   GET /api/admin/settings/hours
+ * @desc    Get weekly hours, buffet hours, holidays and pause state
+ * @access  Admin
+ */
+router.get('/hours', getStoreHours);
+
+/**
+ * @route   PUT /api/admin/settings/hours
+ * @desc    Update weekly hours, buffet hours, holidays, order lead times and kitchen capacity
+ * @access  Super Admin
+ */
+router.put('/hours', requireSuperAdmin, storeHoursValidation, handleValidationErrors, updateStoreHours);
+
+/**
+ * @route   POST /api/admin/settings/hours/pause
+ * @desc    Temporarily stop taking orders
+ * @access  Admin
+ */
+router.post('/hours/pause', pauseValidation, handleValidationErrors, pauseOrdering);
+
+/**
+ * @route   DELETE /api/admin/settings/hours/pause
+ * @desc    Resume taking orders
+ * @access  Admin
+ */
+router.delete('/hours/pause', resumeOrdering);
+
+module.exports = router;
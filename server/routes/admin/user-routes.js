@@ -1,5 +1,6 @@
 const express = require('express');
 const router = express.Router();
+const { body } = require('express-validator');
 
 // Import controllers
 const {
@@ -11,11 +12,13 @@ const {
   getUserStats,
   deleteUser
 } = require('../../controllers/admin/user-controller');
+const { getUserLoyalty, adjustUserLoyalty } = require('../../controllers/admin/loyalty-controller');
 
 // Import middleware
 const { authenticateToken, requireAdmin } = require('../../middleware/auth-middleware');
 const { validateObjectId, loadUser } = require('../../middleware/resource-middleware');
 const { createPermissionMiddleware } = require('../../middleware/rbac-middleware');
+const { handleValidationErrors } = require('../../middleware/validation-middleware');
 
 // Apply authentication and admin check to all routes
 router.use(authenticateToken);
@@ -59,6 +62,33 @@ router.put('/users/:id/role',
   updateUserRole
 );
 
+// GET /api/admin/users/:id/loyalty - Get loyalty balance, tier and ledger
+router.get('/users/:id/loyalty',
+  validateObjectId('id'),
+  loadUser,
+  createPermissionMiddleware.viewUsers,
+  getUserLoyalty
+);
+
+// POST /api/admin/users/:id/loyalty/adjustments - Add or remove loyalty points
+router.post('/users/:id/loyalty/adjustments',
+  validateObjectId('id'),
+  loadUser,
+  createPermissionMiddleware.updateUserRoles,
+  [
+    body('points')
+      .isInt()
+      .not().equals('0')
+      .withMessage('Points must be a whole number other than zero'),
+    body('reason')
+      .trim()
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Reason must be 3-200 characters')
+  ],
+  handleValidationErrors,
+  adjustUserLoyalty
+);
+
 // DELETE /api/admin/users/:id - Delete user
 router.delete('/users/:id',
   validateObjectId('id'),
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  checkGiftCardBalance,
+  purchaseGiftCard,
+  confirmGiftCardPurchase
+} = require('../../controllers/shop/gift-card-controller');
+
+// Import middleware
+const { authenticateToken } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { validateGiftCardPurchase, handleValidationErrors } = require('../../middleware/validation-middleware');
+
+/**
+ * @route   GET /api/shop/gift-cards/balance
+ * @desc    Check the balance left on a gift card or store credit code
+ * @access  Public
+ */
+router.get('/gift-cards/balance', checkGiftCardBalance);
+
+/**
+ * @route   POST /api/shop/gift-cards
+ * @desc    Buy a gift card for a recipient and create its payment intent
+ * @access  Private
+ */
+router.post('/gift-cards',
+  authenticateToken,
+  validateGiftCardPurchase,
+  handleValidationErrors,
+  purchaseGiftCard
+);
+
+/**
+ * @route   POST /api/shop/gift-cards/:id/confirm
+ * @desc    Confirm a gift card payment; the card is emailed once it succeeds
+ * @access  Private (purchaser)
+ */
+router.post('/gift-cards/:id/confirm',
+  authenticateToken,
+  validateObjectId('id'),
+  confirmGiftCardPurchase
+);
+
+module.exports = router;
@@ -7,7 +7,9 @@ const {
   addToGuestCart,
   updateGuestCartItem,
   removeFromGuestCart,
-  clearGuestCart
+  clearGuestCart,
+  applyGuestCoupon,
+  removeGuestCoupon
 } = require('../../controllers/shop/guest-cart-controller');
 
 const {
@@ -32,6 +34,7 @@ const {
   trackGuestActivity,
   generateSessionId
 } = require('../../middleware/session-middleware');
+const { idempotentRequest } = require('../../middleware/idempotency-middleware');
 
 // Apply session middleware to all guest routes
 router.use(getGuestSessionId);
@@ -81,16 +84,31 @@ router.delete('/cart/:sessionId/items/:itemId', removeFromGuestCart);
  */
 router.delete('/cart/:sessionId', clearGuestCart);
 
+/**
+ * @route   POST /api/shop/guest/cart/:sessionId/coupon
+ * @desc    Apply coupon to guest cart
+ * @access  Public
+ */
+router.post('/cart/:sessionId/coupon', applyGuestCoupon);
+
+/**
+ * @route   DELETE /api/shop/guest/cart/:sessionId/coupon
+ * @desc    Remove coupon from guest cart
+ * @access  Public
+ */
+router.delete('/cart/:sessionId/coupon', removeGuestCoupon);
+
 // Guest Order Routes
 /**
  * @route   POST /api/shop/guest/checkout
- * @desc    Create guest order (checkout)
+ * @desc    Create guest order (checkout); retries with the same Idempotency-Key replay the first response
  * @access  Public
  */
 router.post('/checkout',
   ensureGuestSession,
   validateGuestCheckout,
   handleValidationErrors,
+  idempotentRequest('guest-checkout'),
   createGuestOrder
 );
 
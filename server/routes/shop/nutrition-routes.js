@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getCartNutrition, getOrderNutrition } = require('../../controllers/shop/nutrition-controller');
+
+// Import middleware
+const { authenticateToken, optionalAuth } = require('../../middleware/auth-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+
+/**
+ * @route   GET /api/shop/cart/nutrition
+ * @desc    Get calories, protein, carbs, fat and sodium for the current cart
+ * @access  Public (authenticated user or guest session)
+ */
+router.get('/cart/nutrition', optionalAuth, getCartNutrition);
+
+/**
+ * @route   GET /api/shop/orders/:orderId/nutrition
+ * @desc    Get nutrition totals for one of the user's orders
+ * @access  Private
+ */
+router.get('/orders/:orderId/nutrition', authenticateToken, validateObjectId('orderId'), getOrderNutrition);
+
+module.exports = router;
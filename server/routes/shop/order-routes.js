@@ -1,10 +1,13 @@
 const express = require('express');
 const router = express.Router();
-const { createOrder } = require('../../controllers/shop/order-controller');
+const { createOrder, reorderOrder } = require('../../controllers/shop/order-controller');
 const { authenticateToken, optionalAuth } = require('../../middleware/auth-middleware');
+const { idempotentRequest } = require('../../middleware/idempotency-middleware');
+const { validateObjectId } = require('../../middleware/resource-middleware');
+const { cancelOrder } = require('../../services/order-cancellation-service');
 
-// POST /api/shop/orders - Create new order (guest or authenticated)
-router.post('/orders', optionalAuth, createOrder);
+// POST /api/shop/orders - Create new order (guest or authenticated, honours Idempotency-Key)
+router.post('/orders', optionalAuth, idempotentRequest('shop-checkout'), createOrder);
 
 // GET /api/shop/orders/user - Get current user orders (authenticated only)
 router.get('/orders/user', authenticateToken, async (req, res) => {
@@ -69,6 +72,9 @@ router.get('/orders/:orderId/track', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/shop/orders/:orderId/reorder - Copy a past order's items into the cart (guests pass sessionId)
+router.post('/orders/:orderId/reorder', optionalAuth, validateObjectId('orderId'), reorderOrder);
+
 // PUT /api/shop/orders/:orderId/cancel - Cancel order (authenticated only)
 router.put('/orders/:orderId/cancel', authenticateToken, async (req, res) => {
   try {
@@ -96,8 +102,11 @@ router.put('/orders/:orderId/cancel', authenticateToken, async (req, res) => {
       });
     }
 
-    order.deliveryStatus = 'cancelled';
-    await order.save();
+    await cancelOrder(order, {
+      actor: req.user,
+      note: req.body?.reason || 'Cancelled by customer',
+      reason: req.body?.reason
+    });
 
     res.json({
       success: true,
@@ -174,13 +183,4 @@ router.get('/orders/track/:orderNumber', async (req, res) => {
 });
 
 
-
-// POST /api/shop/payment/checkout - Stripe checkout (placeholder for now)
-router.post('/payment/checkout', (req, res) => {
-  res.status(501).json({
-    success: false,
-    message: 'Stripe checkout endpoint not implemented yet'
-  });
-});
-
 module.exports = router;
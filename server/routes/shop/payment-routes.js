@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const {
+  createCheckout,
+  confirmCheckout,
+  paymentWebhook,
+  getPaymentConfig
+} = require('../../controllers/shop/payment-controller');
+
+// Import middleware
+const { optionalAuth } = require('../../middleware/auth-middleware');
+
+/**
+ * @route   GET /api/shop/payment/config
+ * @desc    Get the active payment provider and publishable key
+ * @access  Public
+ */
+router.get('/payment/config', getPaymentConfig);
+
+/**
+ * @route   POST /api/shop/payment/checkout
+ * @desc    Create a payment intent for an order
+ * @access  Public (order owner or guest session)
+ */
+router.post('/payment/checkout', optionalAuth, createCheckout);
+
+/**
+ * @route   POST /api/shop/payment/confirm
+ * @desc    Confirm the payment intent for an order
+ * @access  Public (order owner or guest session)
+ */
+router.post('/payment/confirm', optionalAuth, confirmCheckout);
+
+/**
+ * @route   POST /api/shop/payment/webhook
+ * @desc    Signed payment provider webhook
+ * @access  Public (signature verified)
+ */
+router.post('/payment/webhook', paymentWebhook);
+
+module.exports = router;
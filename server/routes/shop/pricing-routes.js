@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getCartQuote } = require('../../controllers/shop/pricing-controller');
+
+// Import middleware
+const { optionalAuth } = require('../../middleware/auth-middleware');
+
+/**
+ * @route   GET /api/shop/cart/quote
+ * @desc    Get subtotal, delivery fee, tax and total for the current cart
+ * @access  Public (authenticated user or guest session)
+ */
+router.get('/cart/quote', optionalAuth, getCartQuote);
+
+module.exports = router;
@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+
+// Import controllers
+const { getPublicStoreHours, getAvailableSlots } = require('../../controllers/shop/store-hours-controller');
+
+// Import middleware
+const { optionalAuth } = require('../../middleware/auth-middleware');
+
+/**
+ * @route   GET /api/shop/store-hours
+ * @desc    Get opening hours, holidays and current open/paused status
+ * @access  Public
+ */
+router.get('/store-hours', getPublicStoreHours);
+
+/**
+ * @route   GET /api/shop/slots
+ * @desc    Get scheduled times with kitchen capacity left, and the current ASAP delay
+ * @access  Public (authenticated user or guest session)
+ */
+router.get('/slots', optionalAuth, getAvailableSlots);
+
+module.exports = router;
@@ -10,6 +10,7 @@ const {
   getUserStats,
   deleteAccount
 } = require('../../controllers/shop/user-controller');
+const { getLoyalty, getLoyaltyHistory } = require('../../controllers/shop/loyalty-controller');
 
 // Import middleware
 const { authenticateToken } = require('../../middleware/auth-middleware');
@@ -51,6 +52,12 @@ router.post('/upload-avatar',
 // GET /api/user/stats - Get user statistics
 router.get('/stats', getUserStats);
 
+// GET /api/user/loyalty - Get loyalty points balance, tier and recent activity
+router.get('/loyalty', getLoyalty);
+
+// GET /api/user/loyalty/transactions - Get loyalty points history
+router.get('/loyalty/transactions', getLoyaltyHistory);
+
 // DELETE /api/user/delete-account - Delete user account
 router.delete('/delete-account', deleteAccount);
 
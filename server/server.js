@@ -6,6 +6,10 @@ const { createServer } = require('http');
 const { Server } = require('socket.io');
 const { corsOptions, helmetConfig, mongoSanitize } = require('./middleware/security-middleware');
 require('dotenv').config();
+const { getPaymentProvider } = require('./services/payment-service');
+
+// Fail fast on a missing or unsafe payment configuration rather than on the first checkout
+getPaymentProvider();
 
 const app = express();
 const server = createServer(app);
@@ -23,7 +27,13 @@ app.use(cors(corsOptions));
 app.options('*', cors(corsOptions));
 
 // Body parsing middleware
-app.use(express.json({ limit: '1mb' }));
+// Keep the raw body around so payment webhooks can verify their signatures
+app.use(express.json({
+  limit: '1mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 app.use(cookieParser());
 
@@ -219,11 +229,23 @@ app.use('/api/admin/dashboard', require('./routes/admin/dashboard-routes'));
 app.use('/api/admin/reports', require('./routes/admin/reports-routes'));
 app.use('/api/admin/preparations', require('./routes/admin/preparation-routes'));
 app.use('/api/admin/spicy-levels', require('./routes/admin/spicy-level-routes'));
+app.use('/api/admin/settings', require('./routes/admin/settings-routes'));
+app.use('/api/admin/delivery-zones', require('./routes/admin/delivery-zone-routes'));
+app.use('/api/admin/ingredients', require('./routes/admin/ingredient-routes'));
+app.use('/api/admin/menu-transfer', require('./routes/admin/menu-transfer-routes'));
+app.use('/api/admin/coupons', require('./routes/admin/coupon-routes'));
+app.use('/api/admin/promotions', require('./routes/admin/promotion-routes'));
+app.use('/api/admin/gift-cards', require('./routes/admin/gift-card-routes'));
 // Guest routes must come before other shop routes to avoid authentication conflicts
 app.use('/api/shop/guest', require('./routes/shop/guest-routes'));
+app.use('/api/shop', require('./routes/shop/payment-routes')); // Before routers that require auth for all /api/shop paths
+app.use('/api/shop', require('./routes/shop/gift-card-routes'));
+app.use('/api/shop', require('./routes/shop/pricing-routes'));
+app.use('/api/shop', require('./routes/shop/nutrition-routes'));
+app.use('/api/shop', require('./routes/shop/store-hours-routes'));
 app.use('/api/shop', require('./routes/shop/menu-routes'));
+app.use('/api/shop', require('./routes/shop/order-routes')); // Authenticates per route; guests reorder and track orders
 app.use('/api/shop', require('./routes/shop/cart-routes'));
-app.use('/api/shop', require('./routes/shop/order-routes'));
 app.use('/api/shop', require('./routes/shop/address-routes'));
 app.use('/api/shop', require('./routes/shop/review-routes'));
 app.use('/api/user', require('./routes/shop/user-routes'));
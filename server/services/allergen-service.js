@@ -0,0 +1,67 @@
+const Menu = require('../models/Menu');
+const { ALLERGENS } = require('../utils/dietaryUtils');
+const { isEligible } = require('./bundle-service');
+
+/**
+ * Work out the allergens in each cart line, including the items chosen for a bundle's slots
+ * @param {Array} items - Cart lines with `menu` populated
+ * @returns {Promise<Array<Array<string>>>} - Allergen keys per line, in the same order
+ */
+const getLineAllergens = async (items = []) => {
+  const componentIds = items.flatMap(item => (item.bundleItems || []).map(component => component.menu));
+  const components = componentIds.length > 0
+    ? await Menu.find({ _id: { $in: componentIds } }).select('allergens').lean()
+    : [];
+  const componentAllergens = new Map(components.map(menu => [menu._id.toString(), menu.allergens || []]));
+
+  return items.map(item => {
+    const allergens = new Set(item.menu?.allergens || []);
+    (item.bundleItems || []).forEach(component => {
+      (componentAllergens.get(component.menu.toString()) || []).forEach(key => allergens.add(key));
+    });
+    // Keep the canonical order so tickets list allergens consistently
+    return Object.keys(ALLERGENS).filter(key => allergens.has(key));
+  });
+};
+
+/**
+ * Find the bundles that may contain any of some allergens
+ * A bundle's allergens come from the items chosen for its slots, so it is only
+ * safe when every item that can fill a slot has verified allergen data free of them.
+ * @param {Array<string>} allergensToAvoid - Allergen keys
+ * @returns {Promise<Array>} - Ids of the bundles to hide
+ */
+const findBundlesWithAllergens = async (allergensToAvoid) => {
+  const bundles = await Menu.find({ itemType: 'bundle', isActive: true }).select('bundleSlots').lean();
+  if (bundles.length === 0) {
+    return [];
+  }
+
+  const slots = bundles.flatMap(bundle => bundle.bundleSlots || []);
+  const components = await Menu.find({
+    $or: [
+      { _id: { $in: slots.flatMap(slot => slot.eligibleItems || []) } },
+      { category: { $in: slots.flatMap(slot => slot.eligibleCategories || []) } }
+    ],
+    itemType: { $ne: 'bundle' },
+    isActive: true
+  })
+    .select('category allergens allergensVerified')
+    .lean();
+
+  const unsafeComponents = components.filter(component =>
+    !component.allergensVerified ||
+    (component.allergens || []).some(allergen => allergensToAvoid.includes(allergen))
+  );
+
+  return bundles
+    .filter(bundle => (bundle.bundleSlots || []).some(slot =>
+      unsafeComponents.some(component => isEligible(slot, component))
+    ))
+    .map(bundle => bundle._id);
+};
+
+module.exports = {
+  getLineAllergens,
+  findBundlesWithAllergens
+};
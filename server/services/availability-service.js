@@ -0,0 +1,214 @@
+const Menu = require('../models/Menu');
+const Category = require('../models/Category');
+const { getRestaurantLocalTime } = require('../utils/dateUtils');
+const { formatTimeDisplay } = require('./store-hours-service');
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Build a 400 error for an item that can't be ordered for the requested time
+ */
+const createAvailabilityError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Get the restaurant-local moment an order is for
+ * ASAP orders are for now; scheduled orders for their scheduled date and time.
+ * @param {Object} orderTiming - { timing, scheduledDate, scheduledTime }
+ * @param {Date} now - Instant the order is placed
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM', weekday }
+ */
+const getOrderMoment = ({ timing = 'asap', scheduledDate, scheduledTime } = {}, now = new Date()) => {
+  if (timing === 'scheduled' && scheduledDate && scheduledTime) {
+    const date = String(scheduledDate).slice(0, 10);
+    return {
+      date,
+      time: scheduledTime,
+      weekday: new Date(`${date}T12:00:00Z`).getUTCDay()
+    };
+  }
+
+  const local = getRestaurantLocalTime(now);
+  return { date: local.date, time: local.time, weekday: local.weekday };
+};
+
+/**
+ * Whether an availability schedule allows ordering at a moment
+ * Keep in step with buildAvailabilityQuery.
+ * @param {Object} availability - Menu or Category availability
+ * @param {Object} moment - { date, time, weekday } from getOrderMoment
+ * @returns {boolean}
+ */
+const isAvailableAt = (availability, moment) => {
+  if (!availability || !availability.isScheduled) {
+    return true;
+  }
+
+  if (availability.startDate && moment.date < availability.startDate) return false;
+  if (availability.endDate && moment.date > availability.endDate) return false;
+
+  const windows = availability.windows || [];
+  if (windows.length === 0) {
+    return true;
+  }
+
+  return windows.some(window =>
+    (!window.days || window.days.length === 0 || window.days.includes(moment.weekday)) &&
+    window.start <= moment.time &&
+    moment.time < window.end
+  );
+};
+
+/**
+ * MongoDB filter matching documents whose schedule allows ordering at a moment
+ * @param {Object} moment - { date, time, weekday } from getOrderMoment
+ * @returns {Object} - Filter on the `availability` path
+ */
+const buildAvailabilityQuery = (moment) => ({
+  $or: [
+    { 'availability.isScheduled': { $ne: true } },
+    {
+      $and: [
+        { $or: [{ 'availability.startDate': null }, { 'availability.startDate': { $lte: moment.date } }] },
+        { $or: [{ 'availability.endDate': null }, { 'availability.endDate': { $gte: moment.date } }] },
+        {
+          $or: [
+            { 'availability.windows': { $size: 0 } },
+            {
+              'availability.windows': {
+                $elemMatch: {
+                  $or: [{ days: { $size: 0 } }, { days: moment.weekday }],
+                  start: { $lte: moment.time },
+                  end: { $gt: moment.time }
+                }
+              }
+            }
+          ]
+        }
+      ]
+    }
+  ]
+});
+
+/**
+ * Filter for menu items that can be ordered at a moment, honouring their category's schedule
+ * @param {Object} moment - { date, time, weekday } from getOrderMoment
+ * @returns {Promise<Object>} - Filter to combine with a Menu query
+ */
+const getMenuAvailabilityFilter = async (moment) => {
+  const scheduledCategories = await Category.find({ 'availability.isScheduled': true })
+    .select('availability')
+    .lean();
+  const closedCategoryIds = scheduledCategories
+    .filter(category => !isAvailableAt(category.availability, moment))
+    .map(category => category._id);
+
+  return {
+    $and: [
+      buildAvailabilityQuery(moment),
+      { category: { $nin: closedCategoryIds } }
+    ]
+  };
+};
+
+/**
+ * Format a day list, e.g. [1, 2, 3, 4, 5] -> "Mon–Fri", [0, 6] -> "Sun, Sat"
+ */
+const formatDays = (days) => {
+  const sorted = [...new Set(days)].sort((a, b) => a - b);
+  const isRun = sorted.every((day, index) => index === 0 || day === sorted[index - 1] + 1);
+
+  if (sorted.length === 0 || sorted.length === 7) return 'Daily';
+  if (isRun && sorted.length >= 3) return `${DAY_LABELS[sorted[0]]}–${DAY_LABELS[sorted[sorted.length - 1]]}`;
+  return sorted.map(day => DAY_LABELS[day]).join(', ');
+};
+
+/**
+ * Describe a schedule for customers, e.g. "Mon–Fri 11:30 AM–2:30 PM"
+ * @param {Object} availability - Menu or Category availability
+ * @returns {string|null} - null when the schedule doesn't limit ordering
+ */
+const describeAvailability = (availability) => {
+  if (!availability || !availability.isScheduled) {
+    return null;
+  }
+
+  const parts = (availability.windows || []).map(window =>
+    `${formatDays(window.days || [])} ${formatTimeDisplay(window.start)}–${formatTimeDisplay(window.end)}`
+  );
+
+  if (availability.startDate && availability.endDate) {
+    parts.push(`${availability.startDate} to ${availability.endDate}`);
+  } else if (availability.startDate) {
+    parts.push(`from ${availability.startDate}`);
+  } else if (availability.endDate) {
+    parts.push(`until ${availability.endDate}`);
+  }
+
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+/**
+ * Availability of a menu item at a moment, for display
+ * @param {Object} menuItem - Menu item with its category populated (availability selected)
+ * @param {Object} moment - { date, time, weekday } from getOrderMoment
+ * @returns {Object} - { isAvailableNow, schedule }
+ */
+const getItemAvailability = (menuItem, moment) => {
+  const category = menuItem.category && menuItem.category.availability ? menuItem.category : null;
+  const schedules = [menuItem.availability, category && category.availability];
+
+  return {
+    isAvailableNow: schedules.every(schedule => isAvailableAt(schedule, moment)),
+    schedule: schedules.map(describeAvailability).filter(Boolean).join('; ') || null
+  };
+};
+
+/**
+ * Check every item in a cart can be ordered for the order's time
+ * Bundle components are checked as well as the bundle itself.
+ * @param {Array} items - Cart lines with `menu` populated
+ * @param {Object} orderTiming - { timing, scheduledDate, scheduledTime }
+ */
+const checkCartAvailability = async (items, orderTiming) => {
+  const moment = getOrderMoment(orderTiming);
+  const componentIds = items.flatMap(item => (item.bundleItems || []).map(component => component.menu));
+  const components = componentIds.length > 0
+    ? await Menu.find({ _id: { $in: componentIds } }).select('name category availability').lean()
+    : [];
+  const menuItems = [
+    ...items.map(item => item.menu).filter(Boolean).map(menu => (menu.toObject ? menu.toObject() : menu)),
+    ...components
+  ];
+
+  const categoryIds = menuItems.map(menuItem => menuItem.category?._id || menuItem.category);
+  const categories = await Category.find({ _id: { $in: categoryIds }, 'availability.isScheduled': true })
+    .select('availability')
+    .lean();
+
+  for (const menuItem of menuItems) {
+    const categoryId = (menuItem.category?._id || menuItem.category || '').toString();
+    const category = categories.find(entry => entry._id.toString() === categoryId);
+    const { isAvailableNow, schedule } = getItemAvailability({ ...menuItem, category }, moment);
+
+    if (!isAvailableNow) {
+      const when = orderTiming && orderTiming.timing === 'scheduled' ? 'at the scheduled time' : 'right now';
+      throw createAvailabilityError(schedule
+        ? `${menuItem.name} isn't available ${when} (served ${schedule}). Please remove it or choose another time.`
+        : `${menuItem.name} isn't available ${when}. Please remove it or choose another time.`);
+    }
+  }
+};
+
+module.exports = {
+  getOrderMoment,
+  isAvailableAt,
+  buildAvailabilityQuery,
+  getMenuAvailabilityFilter,
+  describeAvailability,
+  getItemAvailability,
+  checkCartAvailability
+};
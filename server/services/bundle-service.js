@@ -0,0 +1,161 @@
+const Menu = require('../models/Menu');
+const { resolveItemSize } = require('./item-options-service');
+
+/**
+ * Build a 400 error for a bundle choice that can't be honoured
+ */
+const createBundleError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const roundPrice = (value) => Math.round(value * 100) / 100;
+
+const getSortedSlots = (bundle) => [...(bundle.bundleSlots || [])].sort((a, b) => a.sortOrder - b.sortOrder);
+
+/**
+ * Whether a menu item may fill a bundle slot
+ */
+const isEligible = (slot, menuItem) => {
+  const itemIds = (slot.eligibleItems || []).map(ref => (ref._id || ref).toString());
+  const categoryIds = (slot.eligibleCategories || []).map(ref => (ref._id || ref).toString());
+  const categoryId = (menuItem.category?._id || menuItem.category).toString();
+
+  return itemIds.includes(menuItem._id.toString()) || categoryIds.includes(categoryId);
+};
+
+/**
+ * List the items a customer can pick for each of a bundle's slots
+ * Only active, in-stock single items are offered.
+ * @param {Object} bundle - Menu document or lean object with itemType 'bundle'
+ * @returns {Promise<Array>} - Slots with a `choices` array of { _id, name, price, image, isVegetarian }
+ */
+const getBundleChoices = async (bundle) => {
+  const slots = getSortedSlots(bundle);
+  const itemIds = slots.flatMap(slot => (slot.eligibleItems || []).map(ref => ref._id || ref));
+  const categoryIds = slots.flatMap(slot => (slot.eligibleCategories || []).map(ref => ref._id || ref));
+
+  const candidates = await Menu.find({
+    $or: [{ _id: { $in: itemIds } }, { category: { $in: categoryIds } }],
+    itemType: { $ne: 'bundle' },
+    isActive: true,
+    isAvailable: true,
+    quantity: { $gt: 0 }
+  })
+    .select('name category sizes discountedPrice mrp images isVegetarian sortOrder')
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  return slots.map(slot => ({
+    _id: slot._id,
+    name: slot.name,
+    sortOrder: slot.sortOrder,
+    choices: candidates
+      .filter(candidate => isEligible(slot, candidate))
+      .map(candidate => ({
+        _id: candidate._id,
+        name: candidate.name,
+        price: resolveItemSize(candidate, {}).price,
+        image: candidate.images && candidate.images.length > 0 ? candidate.images[0].url : null,
+        isVegetarian: candidate.isVegetarian
+      }))
+  }));
+};
+
+/**
+ * Check there is enough stock of every component for a number of bundles
+ * @param {Array} items - Bundle line components with `menu`
+ * @param {number} quantity - Number of bundles
+ */
+const checkBundleStock = async (items, quantity) => {
+  // The same item can fill several slots, so count what each one needs
+  const needed = new Map();
+  items.forEach(item => {
+    const menuId = (item.menu?._id || item.menu).toString();
+    needed.set(menuId, (needed.get(menuId) || 0) + quantity);
+  });
+
+  const components = await Menu.find({ _id: { $in: [...needed.keys()] } }).select('name quantity');
+  for (const [menuId, count] of needed) {
+    const component = components.find(entry => entry._id.toString() === menuId);
+    if (!component || component.quantity < count) {
+      throw createBundleError(component
+        ? `Only ${Math.max(0, component.quantity)} of "${component.name}" available in stock`
+        : 'A bundle item is no longer available');
+    }
+  }
+};
+
+/**
+ * Check a customer's picks against a bundle's slots and price the bundle
+ * Every slot must be filled by exactly one eligible item, and each component
+ * needs enough stock for the requested number of bundles.
+ * @param {Object} bundle - Menu document with itemType 'bundle'
+ * @param {Array} selections - [{ slot, menuItemId }]
+ * @param {number} quantity - Number of bundles
+ * @returns {Promise<Object>} - { items: [{ slot, slotName, menu, name, sizeId, size, price }], price }
+ */
+const resolveBundleSelections = async (bundle, selections = [], quantity = 1) => {
+  const slots = getSortedSlots(bundle);
+  const slotIds = slots.map(slot => slot._id.toString());
+
+  if (selections.some(selection => !slotIds.includes(String(selection.slot)))) {
+    throw createBundleError(`Selected choice is not part of ${bundle.name}`);
+  }
+
+  const picks = slots.map(slot => {
+    const matches = selections.filter(selection => String(selection.slot) === slot._id.toString());
+    if (matches.length === 0) {
+      throw createBundleError(`Please choose an item for "${slot.name}"`);
+    }
+    if (matches.length > 1) {
+      throw createBundleError(`Please choose only one item for "${slot.name}"`);
+    }
+    return { slot, menuItemId: String(matches[0].menuItemId) };
+  });
+
+  const components = await Menu.find({
+    _id: { $in: [...new Set(picks.map(pick => pick.menuItemId))] },
+    itemType: { $ne: 'bundle' },
+    isActive: true
+  });
+
+  const items = picks.map(({ slot, menuItemId }) => {
+    const component = components.find(entry => entry._id.toString() === menuItemId);
+    if (!component || !component.isAvailable) {
+      throw createBundleError(`Selected item for "${slot.name}" is not available`);
+    }
+    if (!isEligible(slot, component)) {
+      throw createBundleError(`${component.name} can't be chosen for "${slot.name}"`);
+    }
+
+    const size = resolveItemSize(component, {});
+    return {
+      slot: slot._id,
+      slotName: slot.name,
+      menu: component._id,
+      name: component.name,
+      sizeId: size.sizeId,
+      size: size.name,
+      price: size.price
+    };
+  });
+
+  await checkBundleStock(items, quantity);
+
+  const componentsTotal = items.reduce((total, item) => total + item.price, 0);
+  const pricing = bundle.bundlePricing || {};
+  const price = pricing.mode === 'discount'
+    ? roundPrice(componentsTotal * (1 - (pricing.discountPercentage || 0) / 100))
+    : bundle.discountedPrice;
+
+  return { items, price };
+};
+
+module.exports = {
+  isEligible,
+  getBundleChoices,
+  checkBundleStock,
+  resolveBundleSelections
+};
@@ -0,0 +1,85 @@
+const { reserveOrderStock, restoreOrderStock } = require('./inventory-service');
+const { reserveOrderSlot, restoreSlot } = require('./kitchen-capacity-service');
+const { redeemOrderCoupon, restoreOrderCoupon } = require('./coupon-service');
+const { redeemOrderPoints, restoreRedeemedPoints } = require('./loyalty-service');
+const { redeemOrderGiftCards, restoreRedeemedGiftCards } = require('./gift-card-service');
+
+// What placing an order takes hold of, in order. Steps with nothing to do for
+// an order (no coupon, no points, no gift cards) return without changes.
+const CHECKOUT_STEPS = [
+  // Stock is reserved atomically; nothing is decremented if any line is short
+  {
+    name: 'stock',
+    run: (order) => reserveOrderStock(order),
+    undo: (order) => restoreOrderStock(order)
+  },
+  // ASAP orders move to the next kitchen slot with room
+  {
+    name: 'kitchen slot',
+    run: (order, { prepMinutes }) => reserveOrderSlot(order, prepMinutes),
+    undo: (order) => restoreSlot(order.kitchenSlot)
+  },
+  // Counts the coupon against its usage limit
+  {
+    name: 'coupon',
+    run: (order) => redeemOrderCoupon(order),
+    undo: (order) => restoreOrderCoupon(order)
+  },
+  {
+    name: 'loyalty points',
+    run: (order) => redeemOrderPoints(order),
+    undo: (order) => restoreRedeemedPoints(order)
+  },
+  // The gift card part of a split payment
+  {
+    name: 'gift cards',
+    run: (order) => redeemOrderGiftCards(order),
+    undo: (order) => restoreRedeemedGiftCards(order)
+  }
+];
+
+/**
+ * Undo checkout steps, each on its own so one failure doesn't skip the rest
+ */
+const undoSteps = async (order, steps) => {
+  for (const step of steps) {
+    try {
+      await step.undo(order);
+    } catch (error) {
+      console.error(`Failed to give back ${step.name} for unplaced order ${order._id}:`, error);
+    }
+  }
+};
+
+/**
+ * Take hold of everything a new order needs, then store it
+ * If a step or the save fails, the steps that already ran are undone newest
+ * first and the error is rethrown; errors with a `status` are meant for the customer.
+ * @param {Object} order - New, unsaved Order document
+ * @param {Object} options - { prepMinutes } kitchen time the order needs
+ * @returns {Promise<Object>} - The saved order
+ */
+const placeOrder = async (order, { prepMinutes }) => {
+  const completed = [];
+  let placed = false;
+
+  try {
+    for (const step of CHECKOUT_STEPS) {
+      await step.run(order, { prepMinutes });
+      completed.unshift(step);
+    }
+
+    await order.save();
+    placed = true;
+  } finally {
+    if (!placed) {
+      await undoSteps(order, completed);
+    }
+  }
+
+  return order;
+};
+
+module.exports = {
+  placeOrder
+};
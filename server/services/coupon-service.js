@@ -0,0 +1,255 @@
+const Coupon = require('../models/Coupon');
+const Order = require('../models/Order');
+const Menu = require('../models/Menu');
+const Category = require('../models/Category');
+
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+const couponError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Find a coupon by the code a customer typed
+ * @param {string} code - Coupon code, any case
+ * @returns {Promise<Object|null>} - Coupon document
+ */
+const findCouponByCode = async (code) => {
+  const normalized = String(code || '').trim().toUpperCase();
+  return normalized ? Coupon.findOne({ code: normalized }) : null;
+};
+
+/**
+ * Cart lines inside a coupon's or promotion's category/item scope
+ * An empty scope matches every line. Category scoping includes subcategories.
+ * @param {Object} scope - { categories, menuItems } ID lists
+ * @param {Array} items - Cart lines with `menu` (ID or populated doc)
+ * @returns {Promise<Array>} - Matching lines, in cart order
+ */
+const filterScopedItems = async (scope, items = []) => {
+  const categoryIds = (scope.categories || []).map(ref => String(ref._id || ref));
+  const menuIds = (scope.menuItems || []).map(ref => String(ref._id || ref));
+
+  if (categoryIds.length === 0 && menuIds.length === 0) {
+    return items;
+  }
+
+  if (categoryIds.length > 0) {
+    const subcategories = await Category.find({ parentCategory: { $in: categoryIds } }).select('_id').lean();
+    subcategories.forEach(category => categoryIds.push(String(category._id)));
+  }
+
+  const lineMenuIds = items.map(item => String(item.menu?._id || item.menu));
+  const menus = await Menu.find({ _id: { $in: lineMenuIds } }).select('category').lean();
+  const categoryByMenu = new Map(menus.map(menu => [String(menu._id), String(menu.category)]));
+
+  return items.filter((item, index) =>
+    menuIds.includes(lineMenuIds[index]) || categoryIds.includes(categoryByMenu.get(lineMenuIds[index]))
+  );
+};
+
+/**
+ * Subtotal of the cart lines a coupon applies to
+ * @param {Object} coupon - Coupon document
+ * @param {Array} items - Cart lines with `menu` and `itemTotal`
+ * @returns {Promise<number>}
+ */
+const getEligibleSubtotal = async (coupon, items = []) => {
+  const eligible = await filterScopedItems(coupon, items);
+  return roundCurrency(eligible.reduce((total, item) => total + (item.itemTotal || 0), 0));
+};
+
+/**
+ * Check a coupon can be used on a cart and work out what it takes off
+ * @param {Object} coupon - Coupon document
+ * @param {Object} cart - Cart (document or plain) with `user`, `items` and `subtotal`
+ * @returns {Promise<Object>} - { coupon, code, type, discount, freeDelivery }; discount is 0 for free delivery
+ * @throws {Error} - With status 400 and a customer-facing message when the coupon can't be used
+ */
+const evaluateCoupon = async (coupon, cart) => {
+  const now = new Date();
+  const userId = cart.user?._id || cart.user;
+
+  if (!coupon.isActive) {
+    throw couponError(`Coupon ${coupon.code} is no longer active`);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw couponError(`Coupon ${coupon.code} is not valid yet`);
+  }
+  if (coupon.endsAt && coupon.endsAt < now) {
+    throw couponError(`Coupon ${coupon.code} has expired`);
+  }
+  if (coupon.usageLimit != null && coupon.usageCount >= coupon.usageLimit) {
+    throw couponError(`Coupon ${coupon.code} has reached its usage limit`);
+  }
+
+  // Per-customer limits are counted by account, so guests can't be checked against them
+  if (!userId && (coupon.perUserLimit != null || coupon.firstOrderOnly)) {
+    throw couponError(`Please sign in to use coupon ${coupon.code}`);
+  }
+
+  if (coupon.perUserLimit != null) {
+    const used = await Order.countDocuments({ user: userId, 'coupon.coupon': coupon._id, 'coupon.status': 'redeemed' });
+    if (used >= coupon.perUserLimit) {
+      throw couponError(`You have already used coupon ${coupon.code}`);
+    }
+  }
+
+  if (coupon.firstOrderOnly) {
+    const hasOrdered = await Order.exists({ user: userId, deliveryStatus: { $ne: 'cancelled' } });
+    if (hasOrdered) {
+      throw couponError(`Coupon ${coupon.code} is only valid on your first order`);
+    }
+  }
+
+  const subtotal = roundCurrency(cart.subtotal);
+  if (subtotal < (coupon.minOrder || 0)) {
+    throw couponError(`Coupon ${coupon.code} needs a minimum order of $${coupon.minOrder.toFixed(2)}. ` +
+      `Add $${(coupon.minOrder - subtotal).toFixed(2)} more to use it.`);
+  }
+
+  const eligibleSubtotal = await getEligibleSubtotal(coupon, cart.items);
+  if (eligibleSubtotal <= 0) {
+    throw couponError(`None of the items in your cart qualify for coupon ${coupon.code}`);
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount != null) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+  } else if (coupon.type === 'fixed') {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  }
+
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    type: coupon.type,
+    discount: roundCurrency(discount),
+    freeDelivery: coupon.type === 'free-delivery'
+  };
+};
+
+/**
+ * Work out the coupon applied to a cart, if any
+ * A coupon that no longer applies (expired, used up, cart changed) is reported
+ * with an error instead of a discount, so the customer can see why.
+ * @param {Object} cart - Cart (document or plain)
+ * @returns {Promise<Object|null>} - evaluateCoupon() result, { code, error }, or null without a coupon
+ */
+const resolveCartCoupon = async (cart) => {
+  if (!cart || !cart.appliedCoupon || !cart.appliedCoupon.coupon) {
+    return null;
+  }
+
+  const coupon = await Coupon.findById(cart.appliedCoupon.coupon);
+  if (!coupon) {
+    return { code: cart.appliedCoupon.code, error: `Coupon ${cart.appliedCoupon.code} no longer exists` };
+  }
+
+  try {
+    return await evaluateCoupon(coupon, cart);
+  } catch (error) {
+    if (error.status) {
+      return { code: coupon.code, error: error.message };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a coupon code to a cart (saved by the caller)
+ * @param {Object} cart - Cart document
+ * @param {string} code - Coupon code the customer entered
+ * @returns {Promise<Object>} - evaluateCoupon() result
+ */
+const applyCouponToCart = async (cart, code) => {
+  if (!cart || cart.items.length === 0) {
+    throw couponError('Cart is empty');
+  }
+
+  const coupon = await findCouponByCode(code);
+  if (!coupon) {
+    throw couponError('Invalid coupon code');
+  }
+
+  const applied = await evaluateCoupon(coupon, cart);
+  cart.appliedCoupon = { coupon: coupon._id, code: coupon.code };
+  return applied;
+};
+
+/**
+ * Count an order's coupon against the coupon's usage limit
+ * The count is claimed atomically so two orders can't take the last redemption.
+ * @param {Object} order - Order document with `coupon` set (saved by the caller)
+ */
+const redeemOrderCoupon = async (order) => {
+  if (!order.coupon || !order.coupon.coupon) {
+    return;
+  }
+
+  const claimed = await Coupon.findOneAndUpdate(
+    {
+      _id: order.coupon.coupon,
+      isActive: true,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usageCount: 1 } }
+  );
+
+  if (!claimed) {
+    throw couponError(`Coupon ${order.coupon.code} is no longer available`);
+  }
+
+  order.coupon.status = 'redeemed';
+};
+
+/**
+ * Undo redeemOrderCoupon for an order that was never stored
+ * @param {Object} order - Order document
+ */
+const restoreOrderCoupon = async (order) => {
+  if (order.coupon && order.coupon.status === 'redeemed') {
+    await Coupon.updateOne({ _id: order.coupon.coupon }, { $inc: { usageCount: -1 } });
+    order.coupon.status = undefined;
+  }
+};
+
+/**
+ * Give a cancelled order's coupon redemption back, at most once
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} - Whether a redemption was released
+ */
+const releaseOrderCoupon = async (order) => {
+  // Claim the release atomically so concurrent cancel paths can't both release
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'coupon.status': 'redeemed' },
+    { $set: { 'coupon.status': 'released' } }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  order.coupon.status = 'released';
+  await Coupon.updateOne({ _id: claimed.coupon.coupon }, { $inc: { usageCount: -1 } });
+  return true;
+};
+
+module.exports = {
+  filterScopedItems,
+  findCouponByCode,
+  evaluateCoupon,
+  resolveCartCoupon,
+  applyCouponToCart,
+  redeemOrderCoupon,
+  restoreOrderCoupon,
+  releaseOrderCoupon
+};
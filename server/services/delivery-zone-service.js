@@ -0,0 +1,80 @@
+const DeliveryZone = require('../models/DeliveryZone');
+const {
+  RESTAURANT_LOCATION,
+  isValidPoint,
+  distanceKm,
+  isPointInPolygon
+} = require('../utils/geoUtils');
+
+/**
+ * Check whether a zone covers a point
+ * @param {Object} zone - DeliveryZone document or plain object
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} origin - Centre for radius zones (defaults to the restaurant)
+ * @returns {boolean}
+ */
+const zoneContainsPoint = (zone, point, origin = RESTAURANT_LOCATION) => {
+  if (zone.type === 'polygon') {
+    return isPointInPolygon(point, zone.polygon || []);
+  }
+
+  if (zone.type === 'radius' && zone.radius) {
+    const distance = distanceKm(origin, point);
+    return distance >= (zone.radius.minKm || 0) && distance <= zone.radius.maxKm;
+  }
+
+  return false;
+};
+
+/**
+ * Find the delivery zone that applies to a point
+ * Zones are checked from the highest priority down; the first match wins.
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} zones - Active zones (loaded when omitted)
+ * @returns {Promise<Object|null>} - Matching zone
+ */
+const findZoneForPoint = async (point, zones) => {
+  const activeZones = zones || await DeliveryZone.findActiveZones();
+  return activeZones.find(zone => zoneContainsPoint(zone, point)) || null;
+};
+
+/**
+ * Resolve the delivery zone for a delivery address
+ * Returns null when no zones are configured, so delivery falls back to the
+ * global fee tiers. Otherwise the address must carry coordinates that fall
+ * inside an active zone; an address that can't be placed on the map is refused.
+ * @param {Object} deliveryAddress - Address with optional coordinates
+ * @returns {Promise<Object|null>} - Matching zone
+ */
+const resolveDeliveryZone = async (deliveryAddress) => {
+  const zones = await DeliveryZone.findActiveZones();
+  if (zones.length === 0) {
+    return null;
+  }
+
+  const coordinates = deliveryAddress && deliveryAddress.coordinates;
+  if (!isValidPoint(coordinates)) {
+    const error = new Error('Please pin this address with "Use My Current Location" so we can check that we deliver there');
+    error.status = 400;
+    throw error;
+  }
+
+  const point = {
+    latitude: Number(coordinates.latitude),
+    longitude: Number(coordinates.longitude)
+  };
+  const zone = await findZoneForPoint(point, zones);
+  if (!zone) {
+    const error = new Error('Sorry, this address is outside our delivery area');
+    error.status = 400;
+    throw error;
+  }
+
+  return zone;
+};
+
+module.exports = {
+  zoneContainsPoint,
+  findZoneForPoint,
+  resolveDeliveryZone
+};
@@ -0,0 +1,579 @@
+const crypto = require('crypto');
+const GiftCard = require('../models/GiftCard');
+const GiftCardTransaction = require('../models/GiftCardTransaction');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { sendGiftCardEmail } = require('../helpers/send-email');
+
+// Purchase limits for a single card
+const GIFT_CARD_MIN_AMOUNT = 10;
+const GIFT_CARD_MAX_AMOUNT = 500;
+// Massachusetts requires purchased gift cards to stay valid for at least seven years
+const GIFT_CARD_VALIDITY_YEARS = 7;
+// Most cards that can be combined on one order
+const MAX_CARDS_PER_ORDER = 5;
+
+// No 0/O or 1/I so codes survive being read aloud or typed from an email
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+const giftCardError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+/**
+ * Read gift card codes sent as an array or a comma-separated string
+ * @param {Array|string} value - Request value
+ * @returns {Array<string>}
+ */
+const parseGiftCardCodes = (value) => {
+  return [].concat(value || [])
+    .flatMap(code => String(code).split(','))
+    .map(normalizeCode)
+    .filter(Boolean);
+};
+
+/**
+ * Generate a random code such as GC-7K2M-Q9XD-4HRT
+ * @returns {string}
+ */
+const generateCode = () => {
+  const groups = [];
+  for (let group = 0; group < 3; group++) {
+    let chars = '';
+    for (let i = 0; i < 4; i++) {
+      chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+    }
+    groups.push(chars);
+  }
+  return `GC-${groups.join('-')}`;
+};
+
+/**
+ * Create a card with a fresh code, retrying on the rare code collision
+ * @param {Object} fields - GiftCard fields other than code
+ * @returns {Promise<Object>} - GiftCard document
+ */
+const createWithUniqueCode = async (fields) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      return await GiftCard.create({ ...fields, code: generateCode() });
+    } catch (error) {
+      if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.code) {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Could not generate a unique gift card code');
+};
+
+/**
+ * Change a card's balance and write the ledger entry
+ * The balance is rounded to cents in the same update so repeated changes don't drift.
+ * @param {string} giftCardId - GiftCard ID
+ * @param {number} amount - Signed dollar amount
+ * @param {Object} entry - { type, order, reason, createdBy }
+ * @param {Object} condition - Extra filter the card must match, e.g. a minimum balance
+ * @returns {Promise<Object|null>} - GiftCardTransaction, or null when the card didn't match
+ */
+const recordTransaction = async (giftCardId, amount, entry, condition = {}) => {
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: giftCardId, ...condition },
+    [{ $set: { balance: { $round: [{ $add: ['$balance', amount] }, 2] } } }],
+    { new: true }
+  ).select('balance');
+
+  if (!giftCard) {
+    return null;
+  }
+
+  return GiftCardTransaction.create({
+    ...entry,
+    giftCard: giftCardId,
+    amount,
+    balance: giftCard.balance
+  });
+};
+
+/**
+ * Email a card's code to its recipient
+ * Delivery problems are logged rather than thrown; staff can resend from the admin.
+ * @param {Object} giftCard - GiftCard document
+ * @returns {Promise<boolean>} - Whether the email was sent
+ */
+const deliverGiftCard = async (giftCard) => {
+  try {
+    await giftCard.populate('purchaser', 'name');
+    await sendGiftCardEmail(giftCard);
+    giftCard.deliveredAt = new Date();
+    await giftCard.save();
+    return true;
+  } catch (error) {
+    console.error(`Failed to deliver gift card ${giftCard._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * Find a card by code and check it can be spent right now
+ * @param {string} code - Gift card code
+ * @returns {Promise<Object>} - GiftCard document
+ * @throws {Error} - With a status and customer-facing message when it can't be used
+ */
+const getUsableGiftCard = async (code) => {
+  const giftCard = await GiftCard.findOne({ code: normalizeCode(code) });
+
+  if (!giftCard || giftCard.status === 'pending') {
+    throw giftCardError(`Gift card ${normalizeCode(code)} was not found`, 404);
+  }
+  if (giftCard.status === 'disabled') {
+    throw giftCardError(`Gift card ${giftCard.code} is no longer active`);
+  }
+  if (giftCard.isExpired) {
+    throw giftCardError(`Gift card ${giftCard.code} expired on ${giftCard.expiresAt.toLocaleDateString('en-US')}`);
+  }
+  if (giftCard.balance <= 0) {
+    throw giftCardError(`Gift card ${giftCard.code} has no balance left`);
+  }
+
+  return giftCard;
+};
+
+/**
+ * Public balance lookup for a code
+ * @param {string} code - Gift card code
+ * @returns {Promise<Object>} - { code, kind, balance, expiresAt, status }
+ */
+const getGiftCardBalance = async (code) => {
+  const giftCard = await GiftCard.findOne({ code: normalizeCode(code) });
+  if (!giftCard || giftCard.status === 'pending') {
+    throw giftCardError('Gift card not found', 404);
+  }
+
+  return {
+    code: giftCard.code,
+    kind: giftCard.kind,
+    balance: giftCard.balance,
+    expiresAt: giftCard.expiresAt,
+    status: giftCard.isExpired ? 'expired' : giftCard.status
+  };
+};
+
+/**
+ * Work out how much each card pays towards an order, in the order they were entered
+ * Cards are only drawn on for what is still owed, so a later card may not be needed at all.
+ * @param {Array<string>} codes - Gift card codes
+ * @param {number} maxAmount - Order total the cards can cover
+ * @returns {Promise<Object>} - { giftCards: [{ giftCard, code, amount, remainingBalance }], amount }
+ * @throws {Error} - With a status and customer-facing message when a card can't be used
+ */
+const resolveGiftCards = async (codes, maxAmount) => {
+  const uniqueCodes = [...new Set((codes || []).map(normalizeCode).filter(Boolean))];
+  if (uniqueCodes.length > MAX_CARDS_PER_ORDER) {
+    throw giftCardError(`Use at most ${MAX_CARDS_PER_ORDER} gift cards on one order`);
+  }
+
+  const giftCards = [];
+  let remaining = roundCurrency(maxAmount);
+
+  for (const code of uniqueCodes) {
+    const giftCard = await getUsableGiftCard(code);
+    const amount = roundCurrency(Math.min(giftCard.balance, remaining));
+    if (amount <= 0) {
+      continue;
+    }
+
+    giftCards.push({
+      giftCard: giftCard._id,
+      code: giftCard.code,
+      amount,
+      remainingBalance: roundCurrency(giftCard.balance - amount)
+    });
+    remaining = roundCurrency(remaining - amount);
+  }
+
+  return {
+    giftCards,
+    amount: roundCurrency(giftCards.reduce((sum, card) => sum + card.amount, 0))
+  };
+};
+
+/**
+ * Undo redeemOrderGiftCards for an order that was never stored
+ * @param {Object} order - Order document
+ */
+const restoreRedeemedGiftCards = async (order) => {
+  for (const tender of order.giftCards || []) {
+    if (tender.status !== 'redeemed') {
+      continue;
+    }
+
+    await GiftCard.updateOne(
+      { _id: tender.giftCard },
+      [{ $set: { balance: { $round: [{ $add: ['$balance', tender.amount] }, 2] } } }]
+    );
+    await GiftCardTransaction.deleteOne({ giftCard: tender.giftCard, order: order._id, type: 'redeem' });
+    tender.status = undefined;
+  }
+};
+
+/**
+ * Take what an order pays with gift cards off the cards
+ * Each balance is checked and reduced atomically so the same money can't be spent twice.
+ * An order the cards cover in full has nothing left to charge online and is marked paid.
+ * @param {Object} order - Order document with `giftCards` set (saved by the caller)
+ */
+const redeemOrderGiftCards = async (order) => {
+  if (!order.giftCards || order.giftCards.length === 0) {
+    return;
+  }
+
+  for (const tender of order.giftCards) {
+    const now = new Date();
+    const transaction = await recordTransaction(tender.giftCard, -tender.amount, {
+      type: 'redeem',
+      order: order._id
+    }, {
+      status: 'active',
+      balance: { $gte: tender.amount },
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (!transaction) {
+      await restoreRedeemedGiftCards(order);
+      throw giftCardError(`Gift card ${tender.code} no longer covers $${tender.amount.toFixed(2)}. Please check its balance and try again.`);
+    }
+
+    tender.status = 'redeemed';
+  }
+
+  if (order.amountDue === 0) {
+    order.paymentStatus = 'paid';
+    order.paymentProvider = 'gift_card';
+    order.paidAt = new Date();
+  }
+};
+
+/**
+ * Put the gift card money back for a cancelled order that was never charged, at most once per card
+ * Paid orders get their money back through refunds instead.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} - Amount put back
+ */
+const releaseOrderGiftCards = async (order) => {
+  if (['paid', 'refunded'].includes(order.paymentStatus)) {
+    return 0;
+  }
+
+  let released = 0;
+  for (const tender of order.giftCards || []) {
+    // Claim each card's release atomically so concurrent paths can't both credit it
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, giftCards: { $elemMatch: { _id: tender._id, status: 'redeemed' } } },
+      { $set: { 'giftCards.$.status': 'restored' } }
+    );
+
+    if (!claimed) {
+      continue;
+    }
+
+    tender.status = 'restored';
+    await recordTransaction(tender.giftCard, tender.amount, {
+      type: 'restore',
+      order: order._id,
+      reason: 'Order cancelled'
+    });
+    released = roundCurrency(released + tender.amount);
+  }
+
+  return released;
+};
+
+/**
+ * What refunds can still put back on an order's gift cards
+ * @param {Object} order - Order document
+ * @returns {number}
+ */
+const getGiftCardRefundable = (order) => {
+  return roundCurrency((order.giftCards || [])
+    .filter(tender => tender.status === 'redeemed')
+    .reduce((sum, tender) => sum + tender.amount - (tender.refundedAmount || 0), 0));
+};
+
+/**
+ * Put part of a refund back on the cards an order was paid with, most recently applied card first
+ * @param {Object} order - Order document
+ * @param {number} amount - Amount to put back
+ * @returns {Promise<number>} - Amount actually put back
+ */
+const refundOrderGiftCards = async (order, amount) => {
+  let remaining = roundCurrency(amount);
+  let refunded = 0;
+
+  for (const tender of [...(order.giftCards || [])].reverse()) {
+    if (remaining <= 0) {
+      break;
+    }
+    if (tender.status !== 'redeemed') {
+      continue;
+    }
+
+    const alreadyRefunded = tender.refundedAmount || 0;
+    const share = roundCurrency(Math.min(remaining, tender.amount - alreadyRefunded));
+    if (share <= 0) {
+      continue;
+    }
+
+    // Only move from the refunded amount we read, so two refunds can't credit the same money
+    const claimed = await Order.findOneAndUpdate(
+      { _id: order._id, giftCards: { $elemMatch: { _id: tender._id, refundedAmount: alreadyRefunded } } },
+      { $set: { 'giftCards.$.refundedAmount': roundCurrency(alreadyRefunded + share) } }
+    );
+
+    if (!claimed) {
+      continue;
+    }
+
+    tender.refundedAmount = roundCurrency(alreadyRefunded + share);
+    await recordTransaction(tender.giftCard, share, {
+      type: 'refund',
+      order: order._id,
+      reason: `Refund on order ${order.orderNumber}`
+    });
+    remaining = roundCurrency(remaining - share);
+    refunded = roundCurrency(refunded + share);
+  }
+
+  return refunded;
+};
+
+/**
+ * Start a gift card purchase; the card stays pending until its payment succeeds
+ * @param {Object} details - { amount, senderName, recipientName, recipientEmail, message, purchaser }
+ * @returns {Promise<Object>} - GiftCard document
+ */
+const createGiftCardPurchase = async ({ amount, senderName, recipientName, recipientEmail, message, purchaser }) => {
+  const value = roundCurrency(amount);
+  if (!(value >= GIFT_CARD_MIN_AMOUNT && value <= GIFT_CARD_MAX_AMOUNT)) {
+    throw giftCardError(`Gift cards can be bought for $${GIFT_CARD_MIN_AMOUNT} to $${GIFT_CARD_MAX_AMOUNT}`);
+  }
+
+  return createWithUniqueCode({
+    kind: 'gift_card',
+    initialBalance: value,
+    balance: 0,
+    status: 'pending',
+    purchaser,
+    senderName,
+    recipientName,
+    recipientEmail,
+    message
+  });
+};
+
+/**
+ * Load the balance onto a purchased card once it is paid and email it to the recipient, at most once
+ * @param {Object} giftCard - GiftCard document
+ * @param {Object} payment - { provider, paymentIntentId }
+ * @returns {Promise<Object>} - The GiftCard document
+ */
+const activateGiftCard = async (giftCard, { provider, paymentIntentId }) => {
+  const paidAt = new Date();
+  const expiresAt = new Date(paidAt);
+  expiresAt.setFullYear(expiresAt.getFullYear() + GIFT_CARD_VALIDITY_YEARS);
+
+  // Claim the activation atomically so the confirm call and the webhook can't both load the balance
+  const activated = await GiftCard.findOneAndUpdate(
+    { _id: giftCard._id, status: 'pending' },
+    {
+      $set: {
+        status: 'active',
+        balance: giftCard.initialBalance,
+        paymentProvider: provider,
+        paymentIntentId,
+        paidAt,
+        expiresAt
+      }
+    },
+    { new: true }
+  );
+
+  if (!activated) {
+    return giftCard;
+  }
+
+  await GiftCardTransaction.create({
+    giftCard: activated._id,
+    type: 'issue',
+    amount: activated.initialBalance,
+    balance: activated.balance,
+    reason: 'Purchased'
+  });
+  await deliverGiftCard(activated);
+
+  return activated;
+};
+
+/**
+ * Issue store credit, e.g. to make up for a problem with an order, and email the code
+ * @param {Object} details - { amount, user, recipientName, recipientEmail, message, reason, expiresAt, issuedBy }
+ * @returns {Promise<Object>} - { giftCard, delivered }
+ */
+const issueStoreCredit = async ({ amount, user, recipientName, recipientEmail, message, reason, expiresAt, issuedBy }) => {
+  const value = roundCurrency(amount);
+  if (!(value > 0)) {
+    throw giftCardError('Store credit amount must be greater than zero');
+  }
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw giftCardError('Expiry date must be in the future');
+  }
+
+  let customer = null;
+  if (user) {
+    customer = await User.findById(user).select('name email role');
+    if (!customer || customer.role === 'guest') {
+      throw giftCardError('Customer not found', 404);
+    }
+  }
+
+  const giftCard = await createWithUniqueCode({
+    kind: 'store_credit',
+    initialBalance: value,
+    balance: value,
+    status: 'active',
+    user: customer ? customer._id : undefined,
+    recipientName: recipientName || (customer ? customer.name : undefined),
+    recipientEmail: recipientEmail || (customer ? customer.email : undefined),
+    message,
+    reason,
+    expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    issuedBy
+  });
+
+  await GiftCardTransaction.create({
+    giftCard: giftCard._id,
+    type: 'issue',
+    amount: value,
+    balance: giftCard.balance,
+    reason,
+    createdBy: issuedBy
+  });
+  const delivered = await deliverGiftCard(giftCard);
+
+  return { giftCard, delivered };
+};
+
+/**
+ * Manually add to or take from a card's balance, keeping who did it and why in the ledger
+ * @param {string} giftCardId - GiftCard ID
+ * @param {number} amount - Signed dollar amount
+ * @param {Object} details - { reason, adjustedBy }
+ * @returns {Promise<Object>} - GiftCardTransaction document
+ */
+const adjustGiftCard = async (giftCardId, amount, { reason, adjustedBy }) => {
+  const value = roundCurrency(amount);
+  const giftCard = await GiftCard.findById(giftCardId).select('status balance');
+  if (!giftCard) {
+    throw giftCardError('Gift card not found', 404);
+  }
+  if (giftCard.status === 'pending') {
+    throw giftCardError('This gift card has not been paid for yet');
+  }
+  if (value === 0) {
+    throw giftCardError('Adjustment amount cannot be zero');
+  }
+
+  const transaction = await recordTransaction(giftCardId, value, {
+    type: 'adjust',
+    reason,
+    createdBy: adjustedBy
+  }, value < 0 ? { balance: { $gte: -value } } : {});
+
+  if (!transaction) {
+    throw giftCardError(`Only $${giftCard.balance.toFixed(2)} is left on this card`);
+  }
+
+  return transaction;
+};
+
+/**
+ * Turn a card on or off; disabled cards can't be redeemed
+ * @param {string} giftCardId - GiftCard ID
+ * @param {string} status - 'active' or 'disabled'
+ * @returns {Promise<Object>} - GiftCard document
+ */
+const setGiftCardStatus = async (giftCardId, status) => {
+  const giftCard = await GiftCard.findOneAndUpdate(
+    { _id: giftCardId, status: { $ne: 'pending' } },
+    { $set: { status } },
+    { new: true }
+  );
+
+  if (!giftCard) {
+    const exists = await GiftCard.exists({ _id: giftCardId });
+    throw exists
+      ? giftCardError('This gift card has not been paid for yet')
+      : giftCardError('Gift card not found', 404);
+  }
+
+  return giftCard;
+};
+
+/**
+ * Page through a card's ledger, newest first
+ * @param {string} giftCardId - GiftCard ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { transactions, pagination }
+ */
+const getGiftCardTransactions = async (giftCardId, { page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [transactions, total] = await Promise.all([
+    GiftCardTransaction.find({ giftCard: giftCardId })
+      .populate('order', 'orderNumber')
+      .populate('createdBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    GiftCardTransaction.countDocuments({ giftCard: giftCardId })
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize
+    }
+  };
+};
+
+module.exports = {
+  GIFT_CARD_MIN_AMOUNT,
+  GIFT_CARD_MAX_AMOUNT,
+  MAX_CARDS_PER_ORDER,
+  normalizeCode,
+  parseGiftCardCodes,
+  getGiftCardBalance,
+  resolveGiftCards,
+  redeemOrderGiftCards,
+  restoreRedeemedGiftCards,
+  releaseOrderGiftCards,
+  getGiftCardRefundable,
+  refundOrderGiftCards,
+  createGiftCardPurchase,
+  activateGiftCard,
+  deliverGiftCard,
+  issueStoreCredit,
+  adjustGiftCard,
+  setGiftCardStatus,
+  getGiftCardTransactions
+};
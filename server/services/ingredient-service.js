@@ -0,0 +1,284 @@
+const Ingredient = require('../models/Ingredient');
+const Menu = require('../models/Menu');
+const { emitAdminEvent } = require('../helpers/admin-events');
+
+/**
+ * Work out how much of each ingredient a set of order/cart lines uses
+ * Counts each menu item's recipe, the recipes of its chosen modifier options
+ * and, for bundles, the recipes of the items chosen for each slot.
+ * @param {Array} items - Lines with `menu`, `quantity`, optional `modifiers` and `bundleItems`
+ * @returns {Promise<Array>} - [{ ingredient, quantity }]
+ */
+const getIngredientUsage = async (items = []) => {
+  const menuIds = items.flatMap(item => [
+    item.menu?._id || item.menu,
+    ...(item.bundleItems || []).map(component => component.menu?._id || component.menu)
+  ]);
+  const menus = await Menu.find({ _id: { $in: menuIds } }).select('recipe modifierGroups').lean();
+  const findMenu = (menu) => menus.find(entry => entry._id.toString() === (menu?._id || menu).toString());
+
+  const usage = new Map();
+  const addRecipe = (recipe = [], servings) => {
+    recipe.forEach(line => {
+      const ingredientId = line.ingredient.toString();
+      usage.set(ingredientId, (usage.get(ingredientId) || 0) + line.quantity * servings);
+    });
+  };
+
+  items.forEach(item => {
+    const menu = findMenu(item.menu);
+    if (!menu) return;
+
+    addRecipe(menu.recipe, item.quantity);
+
+    const optionIds = (item.modifiers || []).map(modifier => modifier.option.toString());
+    menu.modifierGroups.forEach(group => group.options
+      .filter(option => optionIds.includes(option._id.toString()))
+      .forEach(option => addRecipe(option.recipe, item.quantity)));
+
+    (item.bundleItems || []).forEach(component => {
+      const componentMenu = findMenu(component.menu);
+      if (componentMenu) addRecipe(componentMenu.recipe, item.quantity);
+    });
+  });
+
+  return Array.from(usage, ([ingredient, quantity]) => ({ ingredient, quantity }))
+    .filter(line => line.quantity > 0);
+};
+
+/**
+ * Alert admins about ingredients that just dropped to their low-stock threshold
+ * @param {Array} ingredients - Ingredient documents after the change
+ * @param {Map} previousOnHand - Ingredient id -> onHand before the change
+ */
+const alertLowStock = (ingredients, previousOnHand) => {
+  ingredients.forEach(ingredient => {
+    const before = previousOnHand.get(ingredient._id.toString());
+    if (ingredient.onHand <= ingredient.lowStockThreshold && !(before <= ingredient.lowStockThreshold)) {
+      emitAdminEvent(ingredient.onHand <= 0 ? 'ingredientOutOfStock' : 'ingredientLowStock', {
+        ingredientId: ingredient._id,
+        name: ingredient.name,
+        unit: ingredient.unit,
+        onHand: ingredient.onHand,
+        lowStockThreshold: ingredient.lowStockThreshold,
+        timestamp: new Date()
+      });
+    }
+  });
+};
+
+/**
+ * Ingredients too short for one serving of a set of recipe lines
+ * Lines for the same ingredient are added together first.
+ * @param {Array} lines - Recipe lines
+ * @param {Map} onHand - Ingredient id -> onHand
+ * @returns {Array} - Ingredient ids
+ */
+const findShortIngredients = (lines, onHand) => {
+  const needed = new Map();
+  lines.filter(line => line.quantity > 0).forEach(line => {
+    const ingredientId = line.ingredient.toString();
+    needed.set(ingredientId, (needed.get(ingredientId) || 0) + line.quantity);
+  });
+
+  return Array.from(needed)
+    .filter(([ingredientId, quantity]) => !((onHand.get(ingredientId) || 0) >= quantity))
+    .map(([ingredientId]) => ingredientId);
+};
+
+/**
+ * Update a menu document's availability from its recipes (the caller saves it)
+ * A modifier option is marked out of stock while its recipe, on top of the item's,
+ * is too short for one serving. The item is 86'd while its own recipe is short, or
+ * while a group has fewer options in stock than it needs, and comes back once
+ * restocked. Items an admin switched off by hand are left alone.
+ * @param {Object} menu - Menu document
+ * @param {Map} onHand - Ingredient id -> onHand
+ */
+const applyIngredientAvailability = (menu, onHand) => {
+  const missing = new Set(findShortIngredients(menu.recipe, onHand));
+
+  (menu.modifierGroups || []).forEach(group => {
+    const minimum = group.isRequired ? Math.max(group.minSelections, 1) : group.minSelections;
+    const shortByOption = group.options.map(option => {
+      const short = findShortIngredients([...menu.recipe, ...(option.recipe || [])], onHand);
+      option.outOfStock = short.length > 0;
+      return short;
+    });
+
+    if (group.options.filter(option => !option.outOfStock).length < minimum) {
+      shortByOption.flat().forEach(ingredientId => missing.add(ingredientId));
+    }
+  });
+
+  menu.missingIngredients = Array.from(missing);
+  if (missing.size > 0 && menu.isAvailable) {
+    menu.isAvailable = false;
+    menu.autoUnavailable = true;
+    emitAdminEvent('menuItemAutoUnavailable', { menuId: menu._id, name: menu.name, timestamp: new Date() });
+  } else if (missing.size === 0 && menu.autoUnavailable) {
+    menu.isAvailable = true;
+    menu.autoUnavailable = false;
+  }
+};
+
+/**
+ * Load the stock on hand for a set of recipes
+ * @returns {Promise<Map>} - Ingredient id -> onHand
+ */
+const getOnHand = async (menus) => {
+  const ingredients = await Ingredient.find({
+    _id: {
+      $in: menus.flatMap(menu => [
+        ...menu.recipe.map(line => line.ingredient),
+        ...(menu.modifierGroups || []).flatMap(group => group.options
+          .flatMap(option => (option.recipe || []).map(line => line.ingredient)))
+      ])
+    }
+  }).select('onHand');
+  return new Map(ingredients.map(ingredient => [ingredient._id.toString(), ingredient.onHand]));
+};
+
+/**
+ * Check a menu item's recipe against stock before it is saved by an admin
+ * @param {Object} menu - Menu document
+ */
+const checkRecipeAvailability = async (menu) => {
+  applyIngredientAvailability(menu, await getOnHand([menu]));
+};
+
+/**
+ * Re-check the availability of every menu item whose recipes use some ingredients
+ * @param {Array} ingredientIds - Ingredients whose stock changed (all when omitted)
+ */
+const syncMenuAvailability = async (ingredientIds) => {
+  const filter = ingredientIds
+    ? {
+      $or: [
+        { 'recipe.ingredient': { $in: ingredientIds } },
+        { 'modifierGroups.options.recipe.ingredient': { $in: ingredientIds } }
+      ]
+    }
+    : {
+      $or: [
+        { 'recipe.0': { $exists: true } },
+        { 'modifierGroups.options.recipe.0': { $exists: true } }
+      ]
+    };
+  const menus = await Menu.find(filter).select('name recipe modifierGroups isAvailable autoUnavailable missingIngredients');
+  if (menus.length === 0) return;
+
+  const onHand = await getOnHand(menus);
+  for (const menu of menus) {
+    applyIngredientAvailability(menu, onHand);
+    if (menu.isModified()) {
+      await menu.save({ validateBeforeSave: false });
+    }
+  }
+};
+
+/**
+ * Put ingredients back, e.g. when an order is cancelled
+ * @param {Array} usage - [{ ingredient, quantity }]
+ */
+const restoreIngredients = async (usage = []) => {
+  if (usage.length === 0) return;
+
+  await Ingredient.bulkWrite(usage.map(line => ({
+    updateOne: {
+      filter: { _id: line.ingredient },
+      update: { $inc: { onHand: line.quantity } }
+    }
+  })));
+
+  await syncMenuAvailability(usage.map(line => line.ingredient));
+};
+
+/**
+ * Atomically deduct ingredients for an order
+ * If any ingredient is short, everything deducted so far is put back.
+ * @param {Array} usage - [{ ingredient, quantity }] from getIngredientUsage
+ * @returns {Promise<Array>} - The deducted usage, to store on the order
+ */
+const reserveIngredients = async (usage = []) => {
+  const reserved = [];
+  const updated = [];
+
+  try {
+    for (const line of usage) {
+      const ingredient = await Ingredient.findOneAndUpdate(
+        { _id: line.ingredient, onHand: { $gte: line.quantity } },
+        { $inc: { onHand: -line.quantity } },
+        { new: true }
+      );
+
+      if (!ingredient) {
+        const current = await Ingredient.findById(line.ingredient).select('name');
+        const error = new Error(current
+          ? `Sorry, we've run out of ${current.name} for some items in your order`
+          : 'Sorry, some items in your order are no longer available');
+        error.status = 400;
+        throw error;
+      }
+
+      reserved.push(line);
+      updated.push(ingredient);
+    }
+  } catch (error) {
+    if (reserved.length > 0) {
+      await Ingredient.bulkWrite(reserved.map(line => ({
+        updateOne: { filter: { _id: line.ingredient }, update: { $inc: { onHand: line.quantity } } }
+      })));
+    }
+    throw error;
+  }
+
+  if (updated.length > 0) {
+    alertLowStock(updated, new Map(usage.map(line => [
+      line.ingredient.toString(),
+      updated.find(ingredient => ingredient._id.toString() === line.ingredient.toString()).onHand + line.quantity
+    ])));
+    await syncMenuAvailability(usage.map(line => line.ingredient));
+  }
+
+  return reserved;
+};
+
+/**
+ * Change an ingredient's stock by hand (restock, waste, stocktake correction)
+ * @param {Object} ingredient - Ingredient document
+ * @param {Object} change - { adjustment } to add/remove or { onHand } to set
+ * @param {Object} user - Admin making the change
+ * @returns {Promise<Object>} - Saved ingredient
+ */
+const adjustIngredientStock = async (ingredient, { adjustment, onHand }, user) => {
+  const before = ingredient.onHand;
+  const target = onHand !== undefined ? Number(onHand) : before + Number(adjustment || 0);
+
+  if (target < 0) {
+    const error = new Error(`Only ${before} ${ingredient.unit} of ${ingredient.name} in stock`);
+    error.status = 400;
+    throw error;
+  }
+
+  ingredient.onHand = target;
+  ingredient.updatedBy = user?._id;
+  if (target > before) {
+    ingredient.lastRestockedAt = new Date();
+  }
+  await ingredient.save();
+
+  alertLowStock([ingredient], new Map([[ingredient._id.toString(), before]]));
+  await syncMenuAvailability([ingredient._id]);
+
+  return ingredient;
+};
+
+module.exports = {
+  getIngredientUsage,
+  reserveIngredients,
+  restoreIngredients,
+  adjustIngredientStock,
+  checkRecipeAvailability,
+  syncMenuAvailability
+};
@@ -0,0 +1,143 @@
+const Menu = require('../models/Menu');
+const { getIngredientUsage, reserveIngredients, restoreIngredients } = require('./ingredient-service');
+
+/**
+ * Combine order/cart lines that point at the same menu item
+ * Bundle lines count against the items chosen for their slots, not the bundle itself.
+ * @param {Array} items - Lines with `menu` (ID or populated doc), `quantity` and optional `bundleItems`
+ * @returns {Array} - [{ menu, name, quantity }]
+ */
+const groupStockLines = (items = []) => {
+  const lines = new Map();
+
+  const addLine = (menu, name, quantity) => {
+    const menuId = (menu?._id || menu).toString();
+    const existing = lines.get(menuId);
+
+    if (existing) {
+      existing.quantity += quantity;
+    } else {
+      lines.set(menuId, { menu: menuId, name, quantity });
+    }
+  };
+
+  items.forEach(item => {
+    if (item.bundleItems && item.bundleItems.length > 0) {
+      item.bundleItems.forEach(component => addLine(component.menu, component.name, item.quantity));
+    } else {
+      addLine(item.menu, item.menuName || item.menu?.name || 'Menu item', item.quantity);
+    }
+  });
+
+  return Array.from(lines.values());
+};
+
+/**
+ * Put stock back for the given lines
+ * @param {Array} items - Lines with `menu` and `quantity`
+ */
+const restoreStock = async (items) => {
+  const lines = groupStockLines(items);
+  if (lines.length === 0) return;
+
+  await Menu.bulkWrite(lines.map(line => ({
+    updateOne: {
+      filter: { _id: line.menu },
+      update: { $inc: { quantity: line.quantity } }
+    }
+  })));
+};
+
+/**
+ * Atomically reserve stock for every line
+ * Each menu item is decremented only if enough stock is left; if any line
+ * cannot be reserved, everything reserved so far is put back.
+ * @param {Array} items - Lines with `menu` and `quantity`
+ * @returns {Promise<Array>} - Reserved lines
+ */
+const reserveStock = async (items) => {
+  const lines = groupStockLines(items);
+  const reserved = [];
+
+  try {
+    for (const line of lines) {
+      const updated = await Menu.findOneAndUpdate(
+        { _id: line.menu, quantity: { $gte: line.quantity } },
+        { $inc: { quantity: -line.quantity } },
+        { new: true }
+      );
+
+      if (!updated) {
+        const current = await Menu.findById(line.menu).select('name quantity');
+        const error = new Error(current
+          ? `Only ${Math.max(0, current.quantity)} of "${current.name}" available in stock`
+          : `Menu item "${line.name}" is no longer available`);
+        error.status = 400;
+        throw error;
+      }
+
+      reserved.push(line);
+    }
+  } catch (error) {
+    await restoreStock(reserved);
+    throw error;
+  }
+
+  return reserved;
+};
+
+/**
+ * Reserve stock and recipe ingredients for an order's items and flag the order as holding stock
+ * @param {Object} order - Order document (saved by the caller)
+ */
+const reserveOrderStock = async (order) => {
+  await reserveStock(order.items);
+
+  try {
+    order.ingredientUsage = await reserveIngredients(await getIngredientUsage(order.items));
+  } catch (error) {
+    await restoreStock(order.items);
+    throw error;
+  }
+
+  order.stockStatus = 'reserved';
+};
+
+/**
+ * Undo reserveOrderStock for an order that was never stored
+ * @param {Object} order - Order document
+ */
+const restoreOrderStock = async (order) => {
+  await restoreStock(order.items);
+  await restoreIngredients(order.ingredientUsage);
+};
+
+/**
+ * Return an order's reserved stock, at most once per reservation
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} - Whether stock was restored
+ */
+const releaseOrderStock = async (order) => {
+  // Claim the release atomically so concurrent cancel/payment-failure paths can't both restore
+  const claimed = await order.constructor.findOneAndUpdate(
+    { _id: order._id, stockStatus: 'reserved' },
+    { $set: { stockStatus: 'released' } }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  order.stockStatus = 'released';
+  await restoreStock(claimed.items);
+  await restoreIngredients(claimed.ingredientUsage);
+  return true;
+};
+
+module.exports = {
+  reserveStock,
+  restoreStock,
+  reserveOrderStock,
+  restoreOrderStock,
+  releaseOrderStock
+};
@@ -0,0 +1,157 @@
+const SpicyLevel = require('../models/SpicyLevel');
+const Preparation = require('../models/Preparation');
+
+/**
+ * Build a 400 error for an option the menu item doesn't offer
+ */
+const createOptionsError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Ids a menu item allows for an option (populated or not)
+ */
+const getAllowedIds = (refs = []) => refs.map(ref => (ref._id || ref).toString());
+
+/**
+ * Pick the menu size a cart line is for, by size id or (for older clients) by name
+ * Falls back to the default size when neither is given. The price always comes
+ * from the menu, never from the client.
+ * @param {Object} menuItem - Menu document
+ * @param {Object} choice - { sizeId, size }
+ * @returns {Object} - { sizeId, name, price }
+ */
+const resolveItemSize = (menuItem, { sizeId, size }) => {
+  const sizes = menuItem.sizes || [];
+
+  // Items saved before sizes were required are sold at their menu price
+  if (sizes.length === 0) {
+    return {
+      sizeId: undefined,
+      name: size || 'Regular',
+      price: menuItem.discountedPrice || menuItem.mrp || 0
+    };
+  }
+
+  let selected;
+  if (sizeId) {
+    selected = sizes.find(entry => entry._id.toString() === String(sizeId));
+  } else if (size) {
+    selected = sizes.find(entry => entry.name === size);
+  } else {
+    selected = sizes.find(entry => entry.isDefault) || sizes[0];
+  }
+
+  if (!selected) {
+    throw createOptionsError(`Selected size is not available for ${menuItem.name}`);
+  }
+
+  return { sizeId: selected._id, name: selected.name, price: selected.price };
+};
+
+/**
+ * Check modifier choices against a menu item's modifier groups
+ * Omitting the choices entirely selects each group's default options that are in stock.
+ * @param {Object} menuItem - Menu document
+ * @param {Array|undefined} modifiers - Chosen modifier option ids
+ * @returns {Array} - [{ group, groupName, option, name, price }] snapshots for a cart line
+ */
+const resolveModifiers = (menuItem, modifiers) => {
+  const groups = menuItem.modifierGroups || [];
+  const chosenIds = modifiers === undefined
+    ? groups.flatMap(group => group.options
+      .filter(option => option.isDefault && !option.outOfStock)
+      .map(option => option._id.toString()))
+    : [...new Set(modifiers.map(String))];
+
+  // Every chosen option has to belong to one of the item's groups
+  const known = new Set(groups.flatMap(group => group.options.map(option => option._id.toString())));
+  if (chosenIds.some(id => !known.has(id))) {
+    throw createOptionsError(`Selected option is not available for ${menuItem.name}`);
+  }
+
+  const selections = [];
+  [...groups].sort((a, b) => a.sortOrder - b.sortOrder).forEach(group => {
+    const chosen = group.options.filter(option => chosenIds.includes(option._id.toString()));
+    const soldOut = chosen.find(option => option.outOfStock);
+    if (soldOut) {
+      throw createOptionsError(`Sorry, "${soldOut.name}" is sold out for ${menuItem.name}`);
+    }
+
+    const minimum = group.isRequired ? Math.max(group.minSelections, 1) : group.minSelections;
+
+    if (chosen.length < minimum) {
+      throw createOptionsError(minimum === 1
+        ? `Please choose an option for "${group.name}"`
+        : `Please choose at least ${minimum} options for "${group.name}"`);
+    }
+    if (chosen.length > group.maxSelections) {
+      throw createOptionsError(group.maxSelections === 1
+        ? `Please choose only one option for "${group.name}"`
+        : `Please choose up to ${group.maxSelections} options for "${group.name}"`);
+    }
+
+    chosen.forEach(option => selections.push({
+      group: group._id,
+      groupName: group.name,
+      option: option._id,
+      name: option.name,
+      price: option.price || 0
+    }));
+  });
+
+  return selections;
+};
+
+/**
+ * Check spicy level, preparation and modifier choices against a menu item's options
+ * @param {Object} menuItem - Menu document
+ * @param {Object} choices - { spicyLevel, preparations, modifiers } as ids
+ * @returns {Promise<Object>} - { spicyLevel, preparations, modifiers } snapshots for a cart line
+ */
+const resolveItemOptions = async (menuItem, { spicyLevel, preparations = [], modifiers }) => {
+  const options = {
+    spicyLevel: undefined,
+    preparations: [],
+    modifiers: resolveModifiers(menuItem, modifiers)
+  };
+
+  if (spicyLevel) {
+    if (!getAllowedIds(menuItem.spicyLevel).includes(String(spicyLevel))) {
+      throw createOptionsError(`Spicy level is not available for ${menuItem.name}`);
+    }
+
+    const level = await SpicyLevel.findOne({ _id: spicyLevel, isActive: true }).select('name');
+    if (!level) {
+      throw createOptionsError(`Spicy level is not available for ${menuItem.name}`);
+    }
+    options.spicyLevel = { level: level._id, name: level.name };
+  }
+
+  const preparationIds = [...new Set(preparations.map(String))];
+  if (preparationIds.length > 0) {
+    const allowed = getAllowedIds(menuItem.preparations);
+    if (preparationIds.some(id => !allowed.includes(id))) {
+      throw createOptionsError(`Preparation is not available for ${menuItem.name}`);
+    }
+
+    const found = await Preparation.find({ _id: { $in: preparationIds }, isActive: true }).select('name');
+    if (found.length !== preparationIds.length) {
+      throw createOptionsError(`Preparation is not available for ${menuItem.name}`);
+    }
+
+    // Keep the order the menu lists them in
+    options.preparations = found
+      .sort((a, b) => allowed.indexOf(a._id.toString()) - allowed.indexOf(b._id.toString()))
+      .map(preparation => ({ preparation: preparation._id, name: preparation.name }));
+  }
+
+  return options;
+};
+
+module.exports = {
+  resolveItemSize,
+  resolveItemOptions
+};
@@ -0,0 +1,273 @@
+const KitchenSlot = require('../models/KitchenSlot');
+const StoreHours = require('../models/StoreHours');
+const { getHoursForDate, getScheduledTimes, formatTimeDisplay } = require('./store-hours-service');
+const { getRestaurantLocalTime, restaurantTimeToDate } = require('../utils/dateUtils');
+
+const SLOT_MINUTES = 15;
+const SLOT_MS = SLOT_MINUTES * 60 * 1000;
+
+// Used for menu items without a preparation time
+const DEFAULT_PREPARATION_TIME = 15;
+
+/**
+ * Build a 400 error for a slot the kitchen cannot take
+ */
+const createCapacityError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Round an instant down to the start of its 15-minute slot
+ */
+const getSlotStart = (date) => new Date(Math.floor(date.getTime() / SLOT_MS) * SLOT_MS);
+
+/**
+ * Kitchen load of a set of lines: quantity x Menu.preparationTime
+ * @param {Array} items - Cart lines with a populated `menu`
+ * @returns {number} - Preparation minutes
+ */
+const getPrepMinutes = (items = []) => {
+  return items.reduce((total, item) => {
+    const preparationTime = (item.menu && item.menu.preparationTime) || DEFAULT_PREPARATION_TIME;
+    return total + item.quantity * preparationTime;
+  }, 0);
+};
+
+/**
+ * Check whether a slot can take another order without booking it
+ * An empty slot always accepts one order, so a single large order is never refused outright.
+ * @param {Object|null} slot - KitchenSlot usage ({ orders, prepMinutes })
+ * @param {number} prepMinutes - Load of the order to add
+ * @param {Object} capacity - StoreHours.kitchenCapacity
+ */
+const slotHasRoom = (slot, prepMinutes, capacity) => {
+  if (!slot || slot.orders === 0) {
+    return true;
+  }
+  if (capacity.maxOrdersPerSlot > 0 && slot.orders >= capacity.maxOrdersPerSlot) {
+    return false;
+  }
+  if (capacity.maxPrepMinutesPerSlot > 0 && slot.prepMinutes + prepMinutes > capacity.maxPrepMinutesPerSlot) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Load booked usage for slots in a range
+ * @returns {Promise<Map>} - Slot start (ms) -> { orders, prepMinutes }
+ */
+const getSlotUsage = async (from, to) => {
+  const slots = await KitchenSlot.find({ start: { $gte: from, $lte: to } }).lean();
+  return new Map(slots.map(slot => [slot.start.getTime(), slot]));
+};
+
+/**
+ * Atomically book an order into a slot if it still has room
+ * @returns {Promise<Object|null>} - Updated slot, or null when full
+ */
+const reserveSlot = async (start, prepMinutes, capacity) => {
+  try {
+    await KitchenSlot.updateOne(
+      { start },
+      { $setOnInsert: { orders: 0, prepMinutes: 0 } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another checkout created the slot first
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const limits = {};
+  if (capacity.maxOrdersPerSlot > 0) {
+    limits.orders = { $lt: capacity.maxOrdersPerSlot };
+  }
+  if (capacity.maxPrepMinutesPerSlot > 0) {
+    limits.prepMinutes = { $lte: capacity.maxPrepMinutesPerSlot - prepMinutes };
+  }
+
+  return KitchenSlot.findOneAndUpdate(
+    { start, $or: [{ orders: 0 }, limits] },
+    { $inc: { orders: 1, prepMinutes } },
+    { new: true }
+  );
+};
+
+/**
+ * Give a booked slot back
+ * @param {Object} kitchenSlot - Order.kitchenSlot ({ start, prepMinutes })
+ */
+const restoreSlot = async (kitchenSlot) => {
+  if (!kitchenSlot || !kitchenSlot.start) return;
+
+  await KitchenSlot.updateOne(
+    { start: kitchenSlot.start },
+    { $inc: { orders: -1, prepMinutes: -(kitchenSlot.prepMinutes || 0) } }
+  );
+};
+
+/**
+ * Find the first slot at or after `first` that can take an order, up to `last`
+ * @returns {Promise<Date|null>} - Slot start
+ */
+const findFirstOpenSlot = async (first, last, prepMinutes, capacity) => {
+  const usage = await getSlotUsage(first, last);
+
+  for (let time = first.getTime(); time <= last.getTime(); time += SLOT_MS) {
+    if (slotHasRoom(usage.get(time), prepMinutes, capacity)) {
+      return new Date(time);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Window an ASAP order can be booked into: from when it would be ready
+ * until closing time today
+ */
+const getAsapWindow = (hours, orderType, now = new Date()) => {
+  const leadMinutes = hours.preparationMinutes[orderType] || 0;
+  const first = getSlotStart(new Date(now.getTime() + leadMinutes * 60000));
+
+  const local = getRestaurantLocalTime(now);
+  const today = getHoursForDate(hours, local.date);
+  const closing = today.isOpen ? restaurantTimeToDate(local.date, today.close) : first;
+  const last = closing > first ? getSlotStart(closing) : first;
+
+  return { first, last };
+};
+
+/**
+ * How much later than usual an ASAP order would be ready right now
+ * @returns {Promise<Object>} - { available, delayMinutes }
+ */
+const getAsapDelay = async (hours, orderType, prepMinutes = 0, now = new Date()) => {
+  const { first, last } = getAsapWindow(hours, orderType, now);
+  const slot = await findFirstOpenSlot(first, last, prepMinutes, hours.kitchenCapacity);
+
+  return {
+    available: !!slot,
+    delayMinutes: slot ? Math.round((slot - first) / 60000) : null
+  };
+};
+
+/**
+ * List scheduled times on a date whose kitchen slot still has room
+ * @param {string} date - "YYYY-MM-DD" in restaurant-local time
+ * @returns {Promise<Array>} - [{ time, display }]
+ */
+const getOpenSlots = async (hours, date, orderType, prepMinutes = 0, now = new Date()) => {
+  const times = getScheduledTimes(hours, date, orderType, now);
+  if (times.length === 0) {
+    return [];
+  }
+
+  const starts = times.map(time => getSlotStart(restaurantTimeToDate(date, time)));
+  const usage = await getSlotUsage(starts[0], starts[starts.length - 1]);
+
+  return times
+    .filter((time, index) => slotHasRoom(usage.get(starts[index].getTime()), prepMinutes, hours.kitchenCapacity))
+    .map(time => ({ time, display: formatTimeDisplay(time) }));
+};
+
+/**
+ * Book kitchen capacity for a new order and record it on the order
+ * Scheduled orders take their requested slot or are refused. ASAP orders take
+ * the first slot with room, and their estimated time moves out by the delay.
+ * @param {Object} order - Unsaved Order document
+ * @param {number} prepMinutes - Order load from getPrepMinutes
+ * @returns {Promise<Object>} - { delayMinutes }
+ */
+const reserveOrderSlot = async (order, prepMinutes) => {
+  const hours = await StoreHours.getHours();
+  const capacity = hours.kitchenCapacity;
+  let start;
+  let delayMinutes = 0;
+
+  if (order.timing === 'scheduled') {
+    const date = order.scheduledDate.toISOString().slice(0, 10);
+    start = getSlotStart(restaurantTimeToDate(date, order.scheduledTime));
+
+    if (!await reserveSlot(start, prepMinutes, capacity)) {
+      throw createCapacityError('That time slot is fully booked. Please choose another time.');
+    }
+  } else {
+    const { first, last } = getAsapWindow(hours, order.orderType);
+
+    // Try slots in order; another checkout may fill one between the read and the booking
+    let candidate = first;
+    while (candidate) {
+      candidate = await findFirstOpenSlot(candidate, last, prepMinutes, capacity);
+      if (!candidate) break;
+
+      if (await reserveSlot(candidate, prepMinutes, capacity)) {
+        start = candidate;
+        break;
+      }
+      candidate = new Date(candidate.getTime() + SLOT_MS);
+    }
+
+    if (!start) {
+      throw createCapacityError('The kitchen is fully booked for the rest of today. Please schedule your order for another day.');
+    }
+
+    delayMinutes = Math.round((start - first) / 60000);
+    if (delayMinutes > 0 && order.estimatedDeliveryTime) {
+      order.estimatedDeliveryTime = new Date(order.estimatedDeliveryTime.getTime() + delayMinutes * 60000);
+    }
+  }
+
+  order.kitchenSlot = { start, prepMinutes, status: 'reserved' };
+  return { delayMinutes };
+};
+
+/**
+ * Book an order's existing slot again after it was released (e.g. payment retry)
+ * @param {Object} order - Order document (saved by the caller)
+ */
+const reclaimOrderSlot = async (order) => {
+  const hours = await StoreHours.getHours();
+  const { start, prepMinutes } = order.kitchenSlot;
+
+  if (!await reserveSlot(start, prepMinutes, hours.kitchenCapacity)) {
+    throw createCapacityError('The time slot for this order is now fully booked. Please place a new order.');
+  }
+  order.kitchenSlot.status = 'reserved';
+};
+
+/**
+ * Return an order's kitchen slot, at most once per booking
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} - Whether the slot was released
+ */
+const releaseOrderSlot = async (order) => {
+  // Claim the release atomically so concurrent cancel/payment-failure paths can't both release
+  const claimed = await order.constructor.findOneAndUpdate(
+    { _id: order._id, 'kitchenSlot.status': 'reserved' },
+    { $set: { 'kitchenSlot.status': 'released' } }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  order.kitchenSlot.status = 'released';
+  await restoreSlot(claimed.kitchenSlot);
+  return true;
+};
+
+module.exports = {
+  SLOT_MINUTES,
+  getPrepMinutes,
+  getAsapDelay,
+  getOpenSlots,
+  reserveOrderSlot,
+  reclaimOrderSlot,
+  restoreSlot,
+  releaseOrderSlot
+};
@@ -0,0 +1,411 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Order = require('../models/Order');
+const LoyaltyTransaction = require('../models/LoyaltyTransaction');
+
+// Points earned per dollar of subtotal before the tier multiplier
+const POINTS_PER_DOLLAR = 1;
+// What one point is worth at checkout
+const POINT_VALUE = 0.01;
+// Smallest number of points that can be redeemed at once
+const MIN_REDEMPTION = 100;
+// Tiers are decided by spend over this many days
+const TIER_WINDOW_DAYS = 365;
+
+// Ordered by spend; a customer is in the highest tier their rolling spend reaches
+const LOYALTY_TIERS = [
+  { name: 'Bronze', minSpend: 0, multiplier: 1 },
+  { name: 'Silver', minSpend: 250, multiplier: 1.25 },
+  { name: 'Gold', minSpend: 750, multiplier: 1.5 }
+];
+
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+const loyaltyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Add points to (or take them from) a customer's balance and write the ledger entry
+ * @param {string} userId - Customer ID
+ * @param {number} points - Signed whole number of points
+ * @param {Object} entry - { type, order, reason, createdBy }
+ * @returns {Promise<Object>} - LoyaltyTransaction document
+ */
+const recordTransaction = async (userId, points, entry) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { loyaltyPoints: points } },
+    { new: true }
+  ).select('loyaltyPoints');
+
+  if (!user) {
+    throw loyaltyError('User not found', 404);
+  }
+
+  return LoyaltyTransaction.create({
+    ...entry,
+    user: userId,
+    points,
+    balance: user.loyaltyPoints
+  });
+};
+
+/**
+ * Spend on paid, delivered orders over the last TIER_WINDOW_DAYS, net of refunds
+ * Refunds are taken off the order total, which includes tax and fees, so each order's
+ * subtotal counts in the share of its total that wasn't refunded.
+ * @param {string} userId - Customer ID
+ * @param {Date} now - Reference time
+ * @returns {Promise<number>}
+ */
+const getRollingSpend = async (userId, now = new Date()) => {
+  const since = new Date(now.getTime() - TIER_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [result] = await Order.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        deliveryStatus: 'delivered',
+        paymentStatus: 'paid',
+        createdAt: { $gte: since }
+      }
+    },
+    {
+      $project: {
+        keptShare: {
+          $cond: [
+            { $gt: ['$totalPrice', 0] },
+            {
+              $max: [0, {
+                $divide: [{ $subtract: ['$totalPrice', { $ifNull: ['$refundAmount', 0] }] }, '$totalPrice']
+              }]
+            },
+            1
+          ]
+        },
+        subtotal: 1
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        spend: { $sum: { $multiply: ['$subtotal', '$keptShare'] } }
+      }
+    }
+  ]);
+
+  return roundCurrency(result ? result.spend : 0);
+};
+
+/**
+ * Work out the tier a rolling spend puts a customer in, and the one after it
+ * @param {number} spend - Rolling 12-month spend
+ * @returns {Object} - { tier, nextTier } where nextTier includes amountAway, or is null at the top
+ */
+const getTierForSpend = (spend) => {
+  const index = LOYALTY_TIERS.reduce((found, tier, position) => (spend >= tier.minSpend ? position : found), 0);
+  const next = LOYALTY_TIERS[index + 1];
+
+  return {
+    tier: LOYALTY_TIERS[index],
+    nextTier: next ? { ...next, amountAway: roundCurrency(next.minSpend - spend) } : null
+  };
+};
+
+/**
+ * A customer's balance, tier and the program rules, as shown on their profile
+ * @param {string} userId - Customer ID
+ * @returns {Promise<Object>}
+ */
+const getLoyaltySummary = async (userId) => {
+  const user = await User.findById(userId).select('loyaltyPoints role');
+  if (!user) {
+    throw loyaltyError('User not found', 404);
+  }
+
+  const rollingSpend = await getRollingSpend(user._id);
+  const { tier, nextTier } = getTierForSpend(rollingSpend);
+
+  return {
+    balance: user.loyaltyPoints || 0,
+    balanceValue: roundCurrency(Math.max(0, user.loyaltyPoints || 0) * POINT_VALUE),
+    tier,
+    nextTier,
+    rollingSpend,
+    tierWindowDays: TIER_WINDOW_DAYS,
+    pointsPerDollar: POINTS_PER_DOLLAR,
+    pointValue: POINT_VALUE,
+    minRedemption: MIN_REDEMPTION,
+    tiers: LOYALTY_TIERS
+  };
+};
+
+/**
+ * Page through a customer's ledger, newest first
+ * @param {string} userId - Customer ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { transactions, pagination }
+ */
+const getLoyaltyTransactions = async (userId, { page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit, 10) || 20));
+
+  const [transactions, total] = await Promise.all([
+    LoyaltyTransaction.find({ user: userId })
+      .populate('order', 'orderNumber')
+      .populate('createdBy', 'name role')
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .lean(),
+    LoyaltyTransaction.countDocuments({ user: userId })
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      totalItems: total,
+      itemsPerPage: pageSize
+    }
+  };
+};
+
+/**
+ * Work out what redeeming points takes off an order
+ * Only as many points as the order can use are taken, so customers can ask for their whole balance.
+ * @param {string} userId - Customer ID
+ * @param {number} requestedPoints - Points the customer wants to use
+ * @param {number} maxDiscount - What is left of the subtotal after other discounts
+ * @returns {Promise<Object|null>} - { points, discount }, or null when nothing is left to discount
+ * @throws {Error} - With status 400 and a customer-facing message when the points can't be used
+ */
+const resolveRedemption = async (userId, requestedPoints, maxDiscount) => {
+  const requested = Number(requestedPoints);
+  if (!Number.isInteger(requested) || requested <= 0) {
+    throw loyaltyError('Loyalty points to redeem must be a whole number');
+  }
+
+  const user = userId ? await User.findById(userId).select('loyaltyPoints role') : null;
+  if (!user || user.role === 'guest') {
+    throw loyaltyError('Sign in to use loyalty points');
+  }
+  if (requested < MIN_REDEMPTION) {
+    throw loyaltyError(`Redeem at least ${MIN_REDEMPTION} loyalty points at a time`);
+  }
+  if (requested > (user.loyaltyPoints || 0)) {
+    throw loyaltyError(`You only have ${Math.max(0, user.loyaltyPoints || 0)} loyalty points`);
+  }
+
+  const usable = Math.min(requested, Math.floor(roundCurrency(maxDiscount) / POINT_VALUE + 1e-9));
+  if (usable <= 0) {
+    return null;
+  }
+
+  return {
+    points: usable,
+    discount: roundCurrency(usable * POINT_VALUE)
+  };
+};
+
+/**
+ * Take the points an order redeems off the customer's balance
+ * The balance is checked and reduced atomically so the same points can't be spent twice.
+ * @param {Object} order - Order document with `loyalty.pointsRedeemed` set (saved by the caller)
+ */
+const redeemOrderPoints = async (order) => {
+  const points = order.loyalty && order.loyalty.pointsRedeemed;
+  if (!points) {
+    return;
+  }
+
+  const userId = order.user?._id || order.user;
+  const user = await User.findOneAndUpdate(
+    { _id: userId, loyaltyPoints: { $gte: points } },
+    { $inc: { loyaltyPoints: -points } },
+    { new: true }
+  ).select('loyaltyPoints');
+
+  if (!user) {
+    throw loyaltyError('You no longer have enough loyalty points for this order');
+  }
+
+  await LoyaltyTransaction.create({
+    user: userId,
+    type: 'redeem',
+    points: -points,
+    balance: user.loyaltyPoints,
+    order: order._id
+  });
+
+  order.loyalty.redemptionStatus = 'redeemed';
+};
+
+/**
+ * Undo redeemOrderPoints for an order that was never stored
+ * @param {Object} order - Order document
+ */
+const restoreRedeemedPoints = async (order) => {
+  if (!order.loyalty || order.loyalty.redemptionStatus !== 'redeemed') {
+    return;
+  }
+
+  await User.updateOne({ _id: order.user?._id || order.user }, { $inc: { loyaltyPoints: order.loyalty.pointsRedeemed } });
+  await LoyaltyTransaction.deleteOne({ order: order._id, type: 'redeem' });
+  order.loyalty.redemptionStatus = undefined;
+};
+
+/**
+ * Give the points a cancelled or fully refunded order redeemed back, at most once
+ * @param {Object} order - Order document
+ * @returns {Promise<boolean>} - Whether points were given back
+ */
+const restoreOrderPoints = async (order) => {
+  // Claim the restore atomically so concurrent paths can't both give the points back
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'loyalty.redemptionStatus': 'redeemed' },
+    { $set: { 'loyalty.redemptionStatus': 'restored' } }
+  );
+
+  if (!claimed) {
+    return false;
+  }
+
+  order.loyalty.redemptionStatus = 'restored';
+  await recordTransaction(claimed.user, claimed.loyalty.pointsRedeemed, {
+    type: 'restore',
+    order: order._id,
+    reason: order.deliveryStatus === 'cancelled' ? 'Order cancelled' : 'Order refunded'
+  });
+  return true;
+};
+
+/**
+ * Take back earned points in proportion to what has been refunded on an order
+ * A fully refunded order loses everything it earned.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} - Points taken back by this call
+ */
+const reverseOrderPoints = async (order) => {
+  const earned = order.loyalty?.pointsEarned || 0;
+  const reversed = order.loyalty?.pointsReversed || 0;
+  if (!earned || !order.refundAmount) {
+    return 0;
+  }
+
+  const share = order.totalPrice > 0 ? Math.min(1, order.refundAmount / order.totalPrice) : 1;
+  const target = order.paymentStatus === 'refunded' ? earned : Math.min(earned, Math.round(earned * share));
+  const points = target - reversed;
+  if (points <= 0) {
+    return 0;
+  }
+
+  // Only move from the reversal we read, so two refunds can't take the same points
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, 'loyalty.pointsReversed': reversed },
+    { $set: { 'loyalty.pointsReversed': target } }
+  );
+
+  if (!claimed) {
+    return 0;
+  }
+
+  order.loyalty.pointsReversed = target;
+  await recordTransaction(claimed.user, -points, {
+    type: 'reverse',
+    order: order._id,
+    reason: order.paymentStatus === 'refunded' ? 'Order refunded' : 'Order partially refunded'
+  });
+  return points;
+};
+
+/**
+ * Credit the points a paid, delivered order earns, at most once
+ * Points are the subtotal times POINTS_PER_DOLLAR times the customer's tier multiplier.
+ * Guest orders and orders that haven't been paid don't earn points.
+ * @param {Object} order - Order document
+ * @returns {Promise<number>} - Points credited
+ */
+const awardOrderPoints = async (order) => {
+  if (order.deliveryStatus !== 'delivered' || order.paymentStatus !== 'paid' || order.loyalty?.earnedAt) {
+    return 0;
+  }
+
+  const userId = order.user?._id || order.user;
+  const user = await User.findById(userId).select('role');
+  if (!user || user.role === 'guest') {
+    return 0;
+  }
+
+  const { tier } = getTierForSpend(await getRollingSpend(userId));
+  const points = Math.floor(roundCurrency(order.subtotal) * POINTS_PER_DOLLAR * tier.multiplier);
+  if (points <= 0) {
+    return 0;
+  }
+
+  const earnedAt = new Date();
+  const claimed = await Order.findOneAndUpdate(
+    { _id: order._id, deliveryStatus: 'delivered', paymentStatus: 'paid', 'loyalty.earnedAt': null },
+    { $set: { 'loyalty.pointsEarned': points, 'loyalty.earnedAt': earnedAt } }
+  );
+
+  if (!claimed) {
+    return 0;
+  }
+
+  order.loyalty.pointsEarned = points;
+  order.loyalty.earnedAt = earnedAt;
+  await recordTransaction(userId, points, {
+    type: 'earn',
+    order: order._id,
+    reason: `${tier.name} tier, ${tier.multiplier}x`
+  });
+
+  // Refunds made before delivery still reduce what the order earns
+  await reverseOrderPoints(order);
+
+  return points;
+};
+
+/**
+ * Manually add or remove points, keeping who did it and why in the ledger
+ * @param {string} userId - Customer ID
+ * @param {number} points - Signed whole number of points
+ * @param {Object} details - { reason, adjustedBy }
+ * @returns {Promise<Object>} - LoyaltyTransaction document
+ */
+const adjustPoints = async (userId, points, { reason, adjustedBy }) => {
+  const user = await User.findById(userId).select('role');
+  if (!user) {
+    throw loyaltyError('User not found', 404);
+  }
+  if (user.role === 'guest') {
+    throw loyaltyError('Guest accounts do not collect loyalty points');
+  }
+
+  return recordTransaction(userId, points, {
+    type: 'adjust',
+    reason,
+    createdBy: adjustedBy
+  });
+};
+
+module.exports = {
+  LOYALTY_TIERS,
+  POINT_VALUE,
+  MIN_REDEMPTION,
+  getRollingSpend,
+  getTierForSpend,
+  getLoyaltySummary,
+  getLoyaltyTransactions,
+  resolveRedemption,
+  redeemOrderPoints,
+  restoreRedeemedPoints,
+  restoreOrderPoints,
+  reverseOrderPoints,
+  awardOrderPoints,
+  adjustPoints
+};
@@ -0,0 +1,696 @@
+const XLSX = require('xlsx');
+const mongoose = require('mongoose');
+const Menu = require('../models/Menu');
+const Category = require('../models/Category');
+const SpicyLevel = require('../models/SpicyLevel');
+const Preparation = require('../models/Preparation');
+const { uploadToCloudinary } = require('../helpers/cloudinary');
+const { getRoleBasedFilter, canPerformAction } = require('../helpers/role-utils');
+const { ALLERGENS, DIETARY_FLAGS } = require('../utils/dietaryUtils');
+const { toSnapshot, recordRevision } = require('./revision-service');
+
+// Separates values inside one cell, e.g. "Small:120|Medium:150"
+const LIST_SEPARATOR = '|';
+
+/**
+ * Sheets in an import/export workbook, in the order they are applied
+ * so that rows can refer to categories created earlier in the same file
+ */
+const SHEETS = [
+  {
+    key: 'categories',
+    name: 'Categories',
+    columns: ['slug', 'name', 'type', 'parentCategory', 'isVegetarian', 'description', 'imageUrl', 'sortOrder', 'isActive']
+  },
+  {
+    key: 'spicy-levels',
+    name: 'Spicy Levels',
+    columns: ['name', 'parentCategory', 'level', 'description', 'sortOrder', 'isActive']
+  },
+  {
+    key: 'preparations',
+    name: 'Preparations',
+    columns: ['name', 'parentCategory', 'description', 'sortOrder', 'isActive']
+  },
+  {
+    key: 'menu-items',
+    name: 'Menu Items',
+    columns: [
+      'name', 'category', 'description', 'mrp', 'discountedPrice', 'quantity', 'preparationTime',
+      'sizes', 'defaultSize', 'addons', 'spicyLevels', 'preparations', 'allergens', 'allergensVerified',
+      'dietaryFlags', 'tags', 'imageUrls', 'isActive', 'isAvailable', 'isSignatureDish', 'featured', 'sortOrder'
+    ]
+  }
+];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Same rule as the Category model's slug hook
+const slugify = (value) => String(value || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const nameKey = (parentKey, name) => `${parentKey}:${String(name).trim().toLowerCase()}`;
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const splitList = (value) => String(value ?? '')
+  .split(LIST_SEPARATOR)
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const text = String(value).trim().toLowerCase();
+  if (['true', 'yes', 'y', '1'].includes(text)) return true;
+  if (['false', 'no', 'n', '0'].includes(text)) return false;
+  return null;
+};
+
+const isImageUrl = (value) => /^https?:\/\/\S+$/i.test(String(value).trim());
+
+/**
+ * Parse "Name:price" pairs, e.g. "Small:120|Large:180"
+ * @returns {Array|null} - [{ name, price }], or null if any pair is malformed
+ */
+const parsePricedList = (value) => {
+  const pairs = splitList(value).map(entry => {
+    const separator = entry.lastIndexOf(':');
+    const name = separator > 0 ? entry.slice(0, separator).trim() : '';
+    const price = separator > 0 ? Number(entry.slice(separator + 1)) : NaN;
+    return name && Number.isFinite(price) && price >= 0 ? { name, price } : null;
+  });
+  return pairs.includes(null) ? null : pairs;
+};
+
+const formatPricedList = (entries = []) => entries.map(entry => `${entry.name}:${entry.price}`).join(LIST_SEPARATOR);
+
+const listValidationErrors = (doc) => {
+  const validation = doc.validateSync();
+  return validation ? Object.values(validation.errors).map(error => error.message) : [];
+};
+
+/**
+ * Load every record an import can refer to, keyed the way import rows refer to them
+ * @returns {Promise<Object>} - { categories, spicyLevels, preparations, menuItems } maps
+ */
+const loadContext = async () => {
+  const [categories, spicyLevels, preparations, menuItems] = await Promise.all([
+    Category.find().select('name slug type parentCategory isVegetarian').lean(),
+    SpicyLevel.find().select('name parentCategory').lean(),
+    Preparation.find().select('name parentCategory').lean(),
+    Menu.find().select('name category itemType isVegetarian').lean()
+  ]);
+
+  const slugById = new Map(categories.map(category => [category._id.toString(), category.slug]));
+  const parentById = new Map(categories.filter(category => category.type === 'parent').map(category => [category._id.toString(), category]));
+
+  const context = {
+    categories: new Map(),
+    spicyLevels: new Map(),
+    preparations: new Map(),
+    menuItems: new Map()
+  };
+
+  categories.forEach(category => {
+    const parent = category.parentCategory ? parentById.get(category.parentCategory.toString()) : null;
+    context.categories.set(category.slug, {
+      _id: category._id,
+      name: category.name,
+      type: category.type,
+      parentSlug: parent ? parent.slug : null,
+      isVegetarian: parent ? parent.isVegetarian : category.isVegetarian !== false
+    });
+  });
+  spicyLevels.forEach(level => {
+    context.spicyLevels.set(nameKey(slugById.get(level.parentCategory.toString()), level.name), { _id: level._id });
+  });
+  preparations.forEach(preparation => {
+    context.preparations.set(nameKey(slugById.get(preparation.parentCategory.toString()), preparation.name), { _id: preparation._id });
+  });
+  menuItems.forEach(item => {
+    context.menuItems.set(nameKey(slugById.get(item.category.toString()), item.name), {
+      _id: item._id,
+      itemType: item.itemType,
+      isVegetarian: item.isVegetarian
+    });
+  });
+
+  return context;
+};
+
+/**
+ * Error for a row outside the admin's veg/non-veg scope, or null when allowed
+ */
+const scopeError = (role, action, isVegetarian) => {
+  if (canPerformAction(role, action, isVegetarian)) {
+    return null;
+  }
+  return `Your role cannot ${action} ${isVegetarian ? 'vegetarian' : 'non-vegetarian'} records`;
+};
+
+/**
+ * Copy the optional columns shared by every sheet onto a document
+ */
+const setCommonFields = (doc, row, errors) => {
+  if (!isBlank(row.description)) doc.description = String(row.description).trim();
+  if (!isBlank(row.sortOrder)) {
+    const sortOrder = Number(row.sortOrder);
+    if (Number.isFinite(sortOrder)) {
+      doc.sortOrder = sortOrder;
+    } else {
+      errors.push('sortOrder must be a number');
+    }
+  }
+  if (!isBlank(row.isActive)) {
+    const isActive = toBoolean(row.isActive);
+    if (isActive === null) {
+      errors.push('isActive must be true or false');
+    } else {
+      doc.isActive = isActive;
+    }
+  }
+};
+
+const planCategory = async (row, context, user, seen) => {
+  const { role } = user;
+  const errors = [];
+  const name = String(row.name ?? '').trim();
+  const slug = slugify(isBlank(row.slug) ? name : row.slug);
+  const type = isBlank(row.type) ? 'menu' : String(row.type).trim().toLowerCase();
+
+  if (!name) errors.push('name is required');
+  if (!['parent', 'menu'].includes(type)) errors.push('type must be "parent" or "menu"');
+  if (seen.has(slug)) errors.push(`Category "${slug}" appears more than once`);
+  seen.add(slug);
+
+  const existing = context.categories.get(slug);
+  if (existing && existing.type !== type) {
+    errors.push(`"${slug}" is an existing ${existing.type} category`);
+  }
+
+  let parent = null;
+  let isVegetarian = existing ? existing.isVegetarian : true;
+  if (type === 'menu') {
+    parent = context.categories.get(slugify(row.parentCategory));
+    if (!parent || parent.type !== 'parent') {
+      errors.push(`Parent category "${row.parentCategory || ''}" not found`);
+    } else {
+      isVegetarian = parent.isVegetarian;
+    }
+  } else if (!isBlank(row.isVegetarian)) {
+    isVegetarian = toBoolean(row.isVegetarian);
+    if (isVegetarian === null) errors.push('isVegetarian must be true or false');
+  } else if (!existing) {
+    errors.push('isVegetarian is required for parent categories');
+  }
+
+  const action = existing ? 'update' : 'create';
+  [scopeError(role, action, isVegetarian), existing && scopeError(role, action, existing.isVegetarian)]
+    .filter(Boolean)
+    .forEach(message => errors.includes(message) || errors.push(message));
+
+  const doc = existing ? await Category.findById(existing._id) : new Category({ type });
+  const before = toSnapshot(existing ? doc : null);
+  if (name) doc.name = name;
+  if (parent) doc.parentCategory = parent._id;
+  if (type === 'parent' && typeof isVegetarian === 'boolean') doc.isVegetarian = isVegetarian;
+  setCommonFields(doc, row, errors);
+
+  // Images are uploaded when the import is applied; existing categories keep theirs
+  let imageUrl = null;
+  if (!isBlank(row.imageUrl) && !(existing && doc.image)) {
+    if (isImageUrl(row.imageUrl)) {
+      imageUrl = String(row.imageUrl).trim();
+      doc.image = { public_id: 'pending-upload', url: imageUrl };
+    } else {
+      errors.push('imageUrl must be an http(s) URL');
+    }
+  }
+
+  errors.push(...listValidationErrors(doc).filter(message => !errors.includes(message)));
+
+  // Register the category so later rows in the file can refer to it
+  const entry = { _id: doc._id, name, type, parentSlug: parent ? slugify(row.parentCategory) : null, isVegetarian };
+  context.categories.set(slug, entry);
+  if (name && slugify(name) !== slug) context.categories.set(slugify(name), entry);
+
+  return {
+    name,
+    action,
+    errors,
+    prepare: async () => {
+      if (imageUrl) doc.image = await uploadToCloudinary(imageUrl, 'categories');
+    },
+    apply: async (session) => {
+      await doc.save({ session });
+      await recordRevision({ resourceType: 'Category', action, before, doc, user, session });
+    }
+  };
+};
+
+/**
+ * Plan a spicy level or preparation row; both are named per parent category
+ */
+const planCategoryOption = async (row, context, user, seen, { Model, contextKey }) => {
+  const { role } = user;
+  const errors = [];
+  const name = String(row.name ?? '').trim();
+  const parentSlug = slugify(row.parentCategory);
+  const parent = context.categories.get(parentSlug);
+  const key = nameKey(parentSlug, name);
+
+  if (!name) errors.push('name is required');
+  if (!parent || parent.type !== 'parent') errors.push(`Parent category "${row.parentCategory || ''}" not found`);
+  if (seen.has(key)) errors.push(`"${name}" appears more than once for this parent category`);
+  seen.add(key);
+
+  const existing = context[contextKey].get(key);
+  const action = existing ? 'update' : 'create';
+  const outOfScope = parent && scopeError(role, action, parent.isVegetarian);
+  if (outOfScope) errors.push(outOfScope);
+
+  const doc = existing ? await Model.findById(existing._id) : new Model({ createdBy: user._id });
+  if (name) doc.name = name;
+  if (parent) doc.parentCategory = parent._id;
+  if (Model === SpicyLevel && !isBlank(row.level)) {
+    doc.level = Number(row.level);
+  }
+  setCommonFields(doc, row, errors);
+  errors.push(...listValidationErrors(doc).filter(message => !errors.includes(message)));
+
+  context[contextKey].set(key, { _id: doc._id });
+
+  return {
+    name,
+    action,
+    errors,
+    apply: (session) => doc.save({ session })
+  };
+};
+
+/**
+ * Resolve "|"-separated spicy level or preparation names for an item's parent category
+ */
+const resolveOptionNames = (value, parentSlug, options, label, errors) => {
+  return splitList(value).map(optionName => {
+    const option = options.get(nameKey(parentSlug, optionName));
+    if (!option) errors.push(`${label} "${optionName}" not found for this category`);
+    return option ? option._id : null;
+  }).filter(Boolean);
+};
+
+const planMenuItem = async (row, context, user, seen) => {
+  const { role } = user;
+  const errors = [];
+  const name = String(row.name ?? '').trim();
+  const categorySlug = slugify(row.category);
+  const category = context.categories.get(categorySlug);
+  const key = nameKey(categorySlug, name);
+
+  if (!name) errors.push('name is required');
+  if (!category) errors.push(`Category "${row.category || ''}" not found`);
+  if (seen.has(key)) errors.push(`"${name}" appears more than once in this category`);
+  seen.add(key);
+
+  const existing = context.menuItems.get(key);
+  if (existing && existing.itemType === 'bundle') {
+    errors.push('Bundles can only be edited from the menu item form');
+  }
+
+  const isVegetarian = category ? category.isVegetarian : true;
+  const action = existing ? 'update' : 'create';
+  [category && scopeError(role, action, isVegetarian), existing && scopeError(role, action, existing.isVegetarian)]
+    .filter(Boolean)
+    .forEach(message => errors.includes(message) || errors.push(message));
+
+  const doc = existing ? await Menu.findById(existing._id) : new Menu({ itemType: 'single' });
+  const before = toSnapshot(existing ? doc : null);
+  if (name) doc.name = name;
+  if (category) {
+    doc.category = category._id;
+    doc.isVegetarian = isVegetarian;
+  }
+  setCommonFields(doc, row, errors);
+
+  ['mrp', 'discountedPrice', 'quantity', 'preparationTime'].forEach(field => {
+    if (isBlank(row[field])) return;
+    const value = Number(row[field]);
+    if (Number.isFinite(value)) {
+      doc[field] = value;
+    } else {
+      errors.push(`${field} must be a number`);
+    }
+  });
+
+  ['isAvailable', 'isSignatureDish', 'featured', 'allergensVerified'].forEach(field => {
+    if (isBlank(row[field])) return;
+    const value = toBoolean(row[field]);
+    if (value === null) {
+      errors.push(`${field} must be true or false`);
+    } else {
+      doc[field] = value;
+    }
+  });
+
+  if (!isBlank(row.sizes)) {
+    const sizes = parsePricedList(row.sizes);
+    if (!sizes) {
+      errors.push('sizes must look like "Small:120|Medium:150"');
+    } else {
+      const defaultSize = isBlank(row.defaultSize) ? sizes[0]?.name : String(row.defaultSize).trim();
+      if (!sizes.some(size => size.name === defaultSize)) errors.push(`defaultSize "${defaultSize}" is not one of the sizes`);
+      // Keep each size's nutrition multiplier when updating
+      doc.sizes = sizes.map(size => ({
+        ...size,
+        isDefault: size.name === defaultSize,
+        nutritionMultiplier: doc.sizes?.find(current => current.name === size.name)?.nutritionMultiplier ?? 1
+      }));
+    }
+  }
+
+  if (!isBlank(row.addons)) {
+    const addons = parsePricedList(row.addons);
+    if (!addons) {
+      errors.push('addons must look like "Extra cheese:30|Butter:20"');
+    } else {
+      doc.addons = addons.map(addon => ({
+        ...addon,
+        nutritionalInfo: doc.addons?.find(current => current.name === addon.name)?.nutritionalInfo
+      }));
+    }
+  }
+
+  if (category) {
+    const parentSlug = category.type === 'parent' ? categorySlug : category.parentSlug;
+    if (!isBlank(row.spicyLevels)) doc.spicyLevel = resolveOptionNames(row.spicyLevels, parentSlug, context.spicyLevels, 'Spicy level', errors);
+    if (!isBlank(row.preparations)) doc.preparations = resolveOptionNames(row.preparations, parentSlug, context.preparations, 'Preparation', errors);
+  }
+
+  [['allergens', ALLERGENS], ['dietaryFlags', DIETARY_FLAGS]].forEach(([field, allowed]) => {
+    if (isBlank(row[field])) return;
+    const values = String(row[field]).split(/[|,]/).map(entry => entry.trim().toLowerCase()).filter(Boolean);
+    const unknown = values.filter(value => !allowed[value]);
+    if (unknown.length > 0) errors.push(`Unknown ${field}: ${unknown.join(', ')}`);
+    doc[field] = [...new Set(values.filter(value => allowed[value]))];
+  });
+
+  if (!isBlank(row.tags)) doc.tags = splitList(row.tags);
+
+  // Images are uploaded when the import is applied; existing items keep theirs
+  let imageUrls = [];
+  if (!isBlank(row.imageUrls) && !(existing && doc.images.length > 0)) {
+    imageUrls = splitList(row.imageUrls);
+    if (imageUrls.some(url => !isImageUrl(url))) {
+      errors.push('imageUrls must be http(s) URLs');
+      imageUrls = [];
+    } else {
+      doc.images = imageUrls.map(url => ({ public_id: 'pending-upload', url }));
+    }
+  }
+
+  errors.push(...listValidationErrors(doc).filter(message => !errors.includes(message)));
+
+  return {
+    name,
+    action,
+    errors,
+    prepare: async () => {
+      if (imageUrls.length > 0) {
+        const uploads = [];
+        for (const url of imageUrls) {
+          uploads.push(await uploadToCloudinary(url, 'menu-items'));
+        }
+        doc.images = uploads;
+      }
+    },
+    apply: async (session) => {
+      await doc.save({ session });
+      await recordRevision({ resourceType: 'Menu', action, before, doc, user, session });
+    }
+  };
+};
+
+/**
+ * Read an uploaded CSV or XLSX file into rows per sheet
+ * A CSV holds a single sheet, so `entity` says which one.
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} entity - Sheet key for CSV files, e.g. "menu-items"
+ * @returns {Object} - { [sheetKey]: [{ row, values }] }
+ */
+const readImportFile = (buffer, { isCsv, entity } = {}) => {
+  let workbook;
+  try {
+    workbook = XLSX.read(buffer, { type: 'buffer' });
+  } catch (error) {
+    throw importError('Could not read the file. Upload a .csv or .xlsx file.');
+  }
+
+  const sheetFor = (sheetName) => {
+    if (isCsv) {
+      return SHEETS.find(sheet => sheet.key === entity);
+    }
+    const normalized = sheetName.trim().toLowerCase();
+    return SHEETS.find(sheet => sheet.name.toLowerCase() === normalized || sheet.key === normalized);
+  };
+
+  if (isCsv && !SHEETS.some(sheet => sheet.key === entity)) {
+    throw importError(`CSV imports need an entity: ${SHEETS.map(sheet => sheet.key).join(', ')}`);
+  }
+
+  const sheets = {};
+  workbook.SheetNames.forEach(sheetName => {
+    const sheet = sheetFor(sheetName);
+    if (!sheet) return;
+
+    // Match headers loosely so "Parent Category" works as well as "parentCategory"
+    const columnFor = (header) => sheet.columns.find(column =>
+      column.toLowerCase() === String(header).replace(/[\s_-]/g, '').toLowerCase()
+    );
+
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '' });
+    sheets[sheet.key] = rows.map((values, index) => ({
+      // Spreadsheet row number, after the header row
+      row: index + 2,
+      values: Object.entries(values).reduce((mapped, [header, value]) => {
+        const column = columnFor(header);
+        if (column && isBlank(mapped[column])) mapped[column] = value;
+        return mapped;
+      }, {})
+    })).filter(({ values }) => Object.values(values).some(value => !isBlank(value)));
+  });
+
+  if (Object.keys(sheets).length === 0) {
+    throw importError(`No importable sheets found. Expected sheets named ${SHEETS.map(sheet => `"${sheet.name}"`).join(', ')}`);
+  }
+
+  return sheets;
+};
+
+/**
+ * Check an import and optionally apply it
+ * Rows are matched to existing records by category slug, or by name within their
+ * (parent) category, and updated; unmatched rows are created. Blank cells leave
+ * existing values unchanged. Nothing is written unless every row is valid, and
+ * the rows are written in one transaction, so a row that fails to save leaves
+ * the menu as it was. Images are uploaded before anything is written.
+ * @param {Object} sheets - From readImportFile
+ * @param {Object} user - Importing admin
+ * @param {Object} options - { apply }
+ * @returns {Promise<Object>} - { applied, summary, rows }
+ */
+const importMenu = async (sheets, user, { apply = false } = {}) => {
+  const context = await loadContext();
+  const planned = [];
+
+  for (const sheet of SHEETS) {
+    const rows = sheets[sheet.key] || [];
+    const seen = new Set();
+
+    // Parent categories first so menu categories in the same file can use them
+    const ordered = sheet.key === 'categories'
+      ? [...rows].sort((a, b) => (String(a.values.type).trim().toLowerCase() === 'parent' ? 0 : 1) -
+          (String(b.values.type).trim().toLowerCase() === 'parent' ? 0 : 1))
+      : rows;
+
+    for (const { row, values } of ordered) {
+      let plan;
+      if (sheet.key === 'categories') {
+        plan = await planCategory(values, context, user, seen);
+      } else if (sheet.key === 'spicy-levels') {
+        plan = await planCategoryOption(values, context, user, seen, { Model: SpicyLevel, contextKey: 'spicyLevels' });
+      } else if (sheet.key === 'preparations') {
+        plan = await planCategoryOption(values, context, user, seen, { Model: Preparation, contextKey: 'preparations' });
+      } else {
+        plan = await planMenuItem(values, context, user, seen);
+      }
+      planned.push({ sheet: sheet.name, row, ...plan });
+    }
+  }
+
+  const summary = {
+    create: planned.filter(plan => plan.errors.length === 0 && plan.action === 'create').length,
+    update: planned.filter(plan => plan.errors.length === 0 && plan.action === 'update').length,
+    errors: planned.filter(plan => plan.errors.length > 0).length
+  };
+
+  const report = {
+    applied: false,
+    summary,
+    rows: planned.map(({ sheet, row, name, action, errors }) => ({ sheet, row, name, action, errors }))
+  };
+
+  if (!apply || summary.errors > 0) {
+    return report;
+  }
+
+  // Uploads can't be rolled back, so they all happen before the first write
+  let current = null;
+  const rowFailed = (error) => {
+    const failed = importError(`${current.sheet} row ${current.row} (${current.name}) could not be saved: ${error.message}. Nothing was imported.`);
+    failed.report = report;
+    return failed;
+  };
+
+  for (const plan of planned) {
+    current = plan;
+    try {
+      if (plan.prepare) await plan.prepare();
+    } catch (error) {
+      throw rowFailed(error);
+    }
+  }
+
+  // Mongoose resets the documents if the transaction is retried
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      for (const plan of planned) {
+        current = plan;
+        await plan.apply(session);
+      }
+    });
+  } catch (error) {
+    throw rowFailed(error);
+  }
+
+  return { ...report, applied: true };
+};
+
+/**
+ * Rows for each sheet, limited to the admin's veg/non-veg scope
+ * @param {string} role - Admin role
+ * @returns {Promise<Object>} - { [sheetKey]: rows }
+ */
+const getExportRows = async (role) => {
+  const roleFilter = getRoleBasedFilter(role);
+  const parents = await Category.find({ type: 'parent', ...roleFilter }).sort({ sortOrder: 1, name: 1 }).lean();
+  const parentIds = parents.map(parent => parent._id);
+
+  const [menuCategories, spicyLevels, preparations] = await Promise.all([
+    Category.find({ type: 'menu', parentCategory: { $in: parentIds } }).sort({ sortOrder: 1, name: 1 }).lean(),
+    SpicyLevel.find({ parentCategory: { $in: parentIds } }).sort({ level: 1, sortOrder: 1 }).lean(),
+    Preparation.find({ parentCategory: { $in: parentIds } }).sort({ sortOrder: 1, name: 1 }).lean()
+  ]);
+
+  const categories = [...parents, ...menuCategories];
+  const slugById = new Map(categories.map(category => [category._id.toString(), category.slug]));
+
+  const menuItems = await Menu.find({
+    itemType: { $ne: 'bundle' },
+    category: { $in: categories.map(category => category._id) },
+    ...roleFilter
+  })
+    .populate('spicyLevel', 'name')
+    .populate('preparations', 'name')
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  const joinNames = (entries = []) => entries.filter(Boolean).map(entry => entry.name).join(LIST_SEPARATOR);
+
+  return {
+    categories: categories.map(category => ({
+      slug: category.slug,
+      name: category.name,
+      type: category.type,
+      parentCategory: category.parentCategory ? slugById.get(category.parentCategory.toString()) : '',
+      isVegetarian: category.type === 'parent' ? category.isVegetarian : '',
+      description: category.description,
+      imageUrl: category.image?.url || '',
+      sortOrder: category.sortOrder,
+      isActive: category.isActive
+    })),
+    'spicy-levels': spicyLevels.map(level => ({
+      name: level.name,
+      parentCategory: slugById.get(level.parentCategory.toString()),
+      level: level.level,
+      description: level.description || '',
+      sortOrder: level.sortOrder,
+      isActive: level.isActive
+    })),
+    preparations: preparations.map(preparation => ({
+      name: preparation.name,
+      parentCategory: slugById.get(preparation.parentCategory.toString()),
+      description: preparation.description || '',
+      sortOrder: preparation.sortOrder,
+      isActive: preparation.isActive
+    })),
+    'menu-items': menuItems.map(item => ({
+      name: item.name,
+      category: slugById.get(item.category.toString()),
+      description: item.description,
+      mrp: item.mrp,
+      discountedPrice: item.discountedPrice,
+      quantity: item.quantity,
+      preparationTime: item.preparationTime,
+      sizes: formatPricedList(item.sizes),
+      defaultSize: (item.sizes || []).find(size => size.isDefault)?.name || '',
+      addons: formatPricedList(item.addons),
+      spicyLevels: joinNames(item.spicyLevel),
+      preparations: joinNames(item.preparations),
+      allergens: (item.allergens || []).join(LIST_SEPARATOR),
+      allergensVerified: Boolean(item.allergensVerified),
+      dietaryFlags: (item.dietaryFlags || []).join(LIST_SEPARATOR),
+      tags: (item.tags || []).join(LIST_SEPARATOR),
+      imageUrls: (item.images || []).map(image => image.url).join(LIST_SEPARATOR),
+      isActive: item.isActive,
+      isAvailable: item.isAvailable,
+      isSignatureDish: item.isSignatureDish,
+      featured: item.featured,
+      sortOrder: item.sortOrder
+    }))
+  };
+};
+
+/**
+ * Build an export file: every sheet as an XLSX workbook, or one sheet as CSV
+ * @param {string} role - Admin role
+ * @param {Object} options - { format: 'xlsx' | 'csv', entity } (entity is required for CSV)
+ * @returns {Promise<Buffer>}
+ */
+const exportMenu = async (role, { format = 'xlsx', entity } = {}) => {
+  if (format === 'csv' && !SHEETS.some(sheet => sheet.key === entity)) {
+    throw importError(`CSV exports need an entity: ${SHEETS.map(sheet => sheet.key).join(', ')}`);
+  }
+
+  const rows = await getExportRows(role);
+  const workbook = XLSX.utils.book_new();
+  SHEETS
+    .filter(sheet => !entity || sheet.key === entity)
+    .forEach(sheet => {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows[sheet.key], { header: sheet.columns }), sheet.name);
+    });
+
+  return XLSX.write(workbook, { type: 'buffer', bookType: format === 'csv' ? 'csv' : 'xlsx' });
+};
+
+module.exports = {
+  SHEETS,
+  readImportFile,
+  importMenu,
+  exportMenu
+};
@@ -0,0 +1,175 @@
+const Menu = require('../models/Menu');
+
+const NUTRIENTS = ['calories', 'protein', 'carbs', 'fat', 'sodium'];
+
+/**
+ * Whether a nutrition block has any values filled in
+ */
+const hasNutrition = (info) => !!info && NUTRIENTS.some(key => typeof info[key] === 'number');
+
+/**
+ * Round for display: calories and sodium to whole numbers, grams to one decimal
+ */
+const roundNutrition = (totals) => {
+  return NUTRIENTS.reduce((rounded, key) => {
+    rounded[key] = key === 'calories' || key === 'sodium'
+      ? Math.round(totals[key])
+      : Math.round(totals[key] * 10) / 10;
+    return rounded;
+  }, {});
+};
+
+const emptyTotals = () => NUTRIENTS.reduce((totals, key) => ({ ...totals, [key]: 0 }), {});
+
+/**
+ * Pick the size a line or selection refers to, falling back to the default size
+ * @returns {Object|null} - Size subdocument
+ */
+const findSize = (menuItem, { sizeId, size } = {}) => {
+  const sizes = menuItem.sizes || [];
+  return (sizeId && sizes.find(entry => entry._id.toString() === String(sizeId))) ||
+    (size && sizes.find(entry => entry.name === size)) ||
+    sizes.find(entry => entry.isDefault) ||
+    sizes[0] ||
+    null;
+};
+
+/**
+ * Nutrition for one serving of a configured menu item
+ * The item's nutrition is scaled by the size's multiplier, then chosen modifier
+ * options, add-ons and (for bundles) the chosen items' nutrition are added.
+ * @param {Object} menuItem - Menu document or lean object
+ * @param {Object} selection - { sizeId, size, modifiers, addons, components }
+ *   modifiers: chosen option ids (each group's defaults when omitted)
+ *   addons: chosen add-on names
+ *   components: [{ menu, sizeId }] with `menu` loaded, for bundles
+ * @returns {Object|null} - { size, perServing, isComplete }, or null when nothing chosen has nutrition data
+ */
+const calculateItemNutrition = (menuItem, { sizeId, size, modifiers, addons = [], components = [] } = {}) => {
+  const totals = emptyTotals();
+  let hasData = false;
+  let isComplete = true;
+
+  const add = (info, factor = 1) => {
+    if (!hasNutrition(info)) {
+      isComplete = false;
+      return;
+    }
+    hasData = true;
+    NUTRIENTS.forEach(key => {
+      totals[key] += (info[key] || 0) * factor;
+    });
+  };
+
+  const selectedSize = findSize(menuItem, { sizeId, size });
+
+  if (menuItem.itemType === 'bundle') {
+    components.forEach(component => {
+      const componentNutrition = component.menu
+        ? calculateItemNutrition(component.menu, { sizeId: component.sizeId, modifiers: [] })
+        : null;
+      if (!componentNutrition) {
+        isComplete = false;
+        return;
+      }
+      hasData = true;
+      isComplete = isComplete && componentNutrition.isComplete;
+      NUTRIENTS.forEach(key => {
+        totals[key] += componentNutrition.perServing[key];
+      });
+    });
+    if (components.length === 0) {
+      isComplete = false;
+    }
+  } else {
+    add(menuItem.nutritionalInfo, selectedSize?.nutritionMultiplier ?? 1);
+  }
+
+  const optionIds = modifiers ? modifiers.map(option => option.toString()) : null;
+  (menuItem.modifierGroups || []).forEach(group => {
+    group.options
+      .filter(option => (optionIds ? optionIds.includes(option._id.toString()) : option.isDefault))
+      .forEach(option => add(option.nutritionalInfo));
+  });
+
+  (menuItem.addons || [])
+    .filter(addon => addons.includes(addon.name))
+    .forEach(addon => add(addon.nutritionalInfo));
+
+  if (!hasData) {
+    return null;
+  }
+
+  return {
+    size: selectedSize ? { _id: selectedSize._id, name: selectedSize.name } : null,
+    perServing: roundNutrition(totals),
+    isComplete
+  };
+};
+
+/**
+ * Nutrition summary for cart or order lines
+ * Uses the menu's current nutrition data, so a past order reflects today's recipes.
+ * @param {Array} items - Cart or order lines (menu, quantity, sizeId, size, modifiers, addons, bundleItems)
+ * @returns {Promise<Object>} - { items, totals, isComplete }
+ */
+const getLinesNutrition = async (items = []) => {
+  const menuIds = items.flatMap(item => [
+    item.menu?._id || item.menu,
+    ...(item.bundleItems || []).map(component => component.menu?._id || component.menu)
+  ]);
+  const menus = await Menu.find({ _id: { $in: menuIds } })
+    .select('name itemType sizes modifierGroups addons nutritionalInfo')
+    .lean();
+  const findMenu = (menu) => menus.find(entry => entry._id.toString() === (menu?._id || menu).toString());
+
+  const totals = emptyTotals();
+  let isComplete = true;
+
+  const lines = items.map(item => {
+    const menu = findMenu(item.menu);
+    const nutrition = menu ? calculateItemNutrition(menu, {
+      sizeId: item.sizeId,
+      size: item.size,
+      modifiers: (item.modifiers || []).map(modifier => modifier.option),
+      addons: (item.addons || []).map(addon => addon.name),
+      components: (item.bundleItems || []).map(component => ({
+        menu: findMenu(component.menu),
+        sizeId: component.sizeId
+      }))
+    }) : null;
+
+    if (!nutrition || !nutrition.isComplete) {
+      isComplete = false;
+    }
+    if (nutrition) {
+      NUTRIENTS.forEach(key => {
+        totals[key] += nutrition.perServing[key] * item.quantity;
+      });
+    }
+
+    return {
+      _id: item._id,
+      menuName: item.menuName || menu?.name || 'Menu item',
+      quantity: item.quantity,
+      size: item.size,
+      perServing: nutrition ? nutrition.perServing : null,
+      total: nutrition
+        ? roundNutrition(NUTRIENTS.reduce((line, key) => ({ ...line, [key]: nutrition.perServing[key] * item.quantity }), {}))
+        : null,
+      isComplete: !!nutrition && nutrition.isComplete
+    };
+  });
+
+  return {
+    items: lines,
+    totals: roundNutrition(totals),
+    isComplete: isComplete && lines.length > 0
+  };
+};
+
+module.exports = {
+  NUTRIENTS,
+  calculateItemNutrition,
+  getLinesNutrition
+};
@@ -0,0 +1,61 @@
+const { releaseOrderStock } = require('./inventory-service');
+const { releaseOrderSlot } = require('./kitchen-capacity-service');
+const { releaseOrderCoupon } = require('./coupon-service');
+const { restoreOrderPoints } = require('./loyalty-service');
+const { releaseOrderGiftCards } = require('./gift-card-service');
+
+// What a cancelled order gives back, in order. Each release runs at most once
+// per order, so cancelling paths can all call them safely.
+const RELEASE_STEPS = [
+  { name: 'stock', release: releaseOrderStock },
+  { name: 'kitchen slot', release: releaseOrderSlot },
+  // Cancelled orders don't count against a coupon's usage limits
+  { name: 'coupon', release: releaseOrderCoupon },
+  { name: 'loyalty points', release: restoreOrderPoints },
+  // Gift card money comes back here only if nothing was charged, otherwise through a refund
+  { name: 'gift cards', release: releaseOrderGiftCards }
+];
+
+/**
+ * Give back everything a cancelled order was holding
+ * Every step runs even when an earlier one fails, so one failure can't leave
+ * the rest tied up; failures are logged and reported to the caller.
+ * @param {Object} order - Cancelled order document
+ * @returns {Promise<Array>} - Names of the steps that failed
+ */
+const releaseCancelledOrder = async (order) => {
+  const failed = [];
+
+  for (const step of RELEASE_STEPS) {
+    try {
+      await step.release(order);
+    } catch (error) {
+      console.error(`Failed to release ${step.name} for cancelled order ${order.orderNumber}:`, error);
+      failed.push(step.name);
+    }
+  }
+
+  return failed;
+};
+
+/**
+ * Cancel an order and give back what it was holding
+ * @param {Object} order - Order document
+ * @param {Object} options - { actor, note } for the status history; { reason } shown to staff
+ * @returns {Promise<Object>} - The cancelled order
+ */
+const cancelOrder = async (order, { actor = null, note, reason } = {}) => {
+  order.transitionStatus('cancelled', { actor, note });
+  if (reason) {
+    order.cancelReason = reason;
+  }
+  await order.save();
+  await releaseCancelledOrder(order);
+
+  return order;
+};
+
+module.exports = {
+  cancelOrder,
+  releaseCancelledOrder
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+
+/**
+ * Local fake payment provider
+ * Keeps payment intents in memory so checkout can be exercised in development
+ * and tests without talking to a real gateway.
+ *
+ * Test payment methods:
+ *   - pm_card_visa      -> payment succeeds
+ *   - pm_card_declined  -> payment fails
+ */
+const SUCCESS_PAYMENT_METHOD = 'pm_card_visa';
+const DECLINED_PAYMENT_METHOD = 'pm_card_declined';
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const createFakeProvider = (options = {}) => {
+  const { webhookSecret } = options;
+
+  if (!webhookSecret) {
+    throw new Error('FAKE_PAYMENT_WEBHOOK_SECRET is required to use the fake payment provider');
+  }
+
+  const intents = new Map();
+
+  const toPublicIntent = (intent) => ({
+    id: intent.id,
+    clientSecret: intent.clientSecret,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    metadata: { ...intent.metadata },
+    failureReason: intent.failureReason || null
+  });
+
+  const getIntent = (intentId) => {
+    const intent = intents.get(intentId);
+    if (!intent) {
+      const error = new Error(`Payment intent ${intentId} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return intent;
+  };
+
+  const sign = (payload, timestamp) => {
+    return crypto
+      .createHmac('sha256', webhookSecret)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+  };
+
+  return {
+    name: 'fake',
+
+    async createPaymentIntent({ amount, currency = 'usd', metadata = {} }) {
+      const id = `pi_fake_${crypto.randomBytes(12).toString('hex')}`;
+      const intent = {
+        id,
+        clientSecret: `${id}_secret_${crypto.randomBytes(8).toString('hex')}`,
+        amount,
+        currency,
+        metadata,
+        status: 'requires_payment_method'
+      };
+      intents.set(id, intent);
+      return toPublicIntent(intent);
+    },
+
+    async retrievePaymentIntent(intentId) {
+      return toPublicIntent(getIntent(intentId));
+    },
+
+    async confirmPaymentIntent(intentId, { paymentMethod = SUCCESS_PAYMENT_METHOD } = {}) {
+      const intent = getIntent(intentId);
+
+      if (intent.status === 'succeeded') {
+        return toPublicIntent(intent);
+      }
+
+      if (paymentMethod === DECLINED_PAYMENT_METHOD) {
+        intent.status = 'requires_payment_method';
+        intent.failureReason = 'Your card was declined.';
+      } else {
+        intent.status = 'succeeded';
+        intent.failureReason = null;
+      }
+
+      return toPublicIntent(intent);
+    },
+
+    async refundPayment(intentId, { amount, reason } = {}) {
+      const intent = getIntent(intentId);
+
+      if (intent.status !== 'succeeded') {
+        const error = new Error('Only succeeded payments can be refunded');
+        error.status = 400;
+        throw error;
+      }
+
+      const refundAmount = amount || intent.amount - (intent.amountRefunded || 0);
+      if ((intent.amountRefunded || 0) + refundAmount > intent.amount) {
+        const error = new Error('Refund exceeds the captured amount');
+        error.status = 400;
+        throw error;
+      }
+
+      intent.amountRefunded = (intent.amountRefunded || 0) + refundAmount;
+
+      return {
+        id: `re_fake_${crypto.randomBytes(12).toString('hex')}`,
+        paymentIntentId: intent.id,
+        amount: refundAmount,
+        currency: intent.currency,
+        reason: reason || null,
+        status: 'succeeded'
+      };
+    },
+
+    /**
+     * Build a signature header for a payload, mirroring Stripe's `t=...,v1=...` format
+     */
+    signWebhookPayload(payload, timestamp = Math.floor(Date.now() / 1000)) {
+      return `t=${timestamp},v1=${sign(payload, timestamp)}`;
+    },
+
+    constructWebhookEvent(rawBody, signatureHeader) {
+      if (!rawBody || !signatureHeader) {
+        throw new Error('Missing webhook payload or signature');
+      }
+
+      const payload = rawBody.toString('utf8');
+      const parts = Object.fromEntries(
+        signatureHeader.split(',').map(part => part.split('=').map(value => value.trim()))
+      );
+      const timestamp = parseInt(parts.t, 10);
+
+      if (!timestamp || !parts.v1) {
+        throw new Error('Malformed webhook signature');
+      }
+
+      if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+        throw new Error('Webhook signature timestamp outside tolerance');
+      }
+
+      const expected = Buffer.from(sign(payload, timestamp), 'hex');
+      const received = Buffer.from(parts.v1, 'hex');
+      if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new Error('Webhook signature verification failed');
+      }
+
+      return JSON.parse(payload);
+    }
+  };
+};
+
+module.exports = {
+  createFakeProvider,
+  SUCCESS_PAYMENT_METHOD,
+  DECLINED_PAYMENT_METHOD
+};
@@ -0,0 +1,97 @@
+/**
+ * Stripe payment provider
+ * Thin adapter that maps Stripe payment intents onto the provider interface
+ * used by the payment service.
+ */
+const createStripeProvider = (options = {}) => {
+  const secretKey = options.secretKey || process.env.STRIPE_SECRET_KEY;
+  const webhookSecret = options.webhookSecret || process.env.STRIPE_WEBHOOK_SECRET;
+
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is required to use the Stripe payment provider');
+  }
+
+  const stripe = require('stripe')(secretKey);
+
+  const toPublicIntent = (intent) => ({
+    id: intent.id,
+    clientSecret: intent.client_secret,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    metadata: intent.metadata || {},
+    failureReason: intent.last_payment_error?.message || null
+  });
+
+  return {
+    name: 'stripe',
+
+    async createPaymentIntent({ amount, currency = 'usd', metadata = {}, idempotencyKey }) {
+      const intent = await stripe.paymentIntents.create(
+        {
+          amount,
+          currency,
+          metadata,
+          automatic_payment_methods: { enabled: true }
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
+      return toPublicIntent(intent);
+    },
+
+    async retrievePaymentIntent(intentId) {
+      const intent = await stripe.paymentIntents.retrieve(intentId);
+      return toPublicIntent(intent);
+    },
+
+    async confirmPaymentIntent(intentId, { paymentMethod } = {}) {
+      try {
+        const intent = await stripe.paymentIntents.confirm(
+          intentId,
+          paymentMethod ? { payment_method: paymentMethod } : {}
+        );
+        return toPublicIntent(intent);
+      } catch (error) {
+        // Card errors still carry the updated intent
+        if (error.type === 'StripeCardError' && error.payment_intent) {
+          return toPublicIntent(error.payment_intent);
+        }
+        throw error;
+      }
+    },
+
+    async refundPayment(intentId, { amount, reason, metadata = {}, idempotencyKey } = {}) {
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: intentId,
+          amount,
+          reason: 'requested_by_customer',
+          metadata: { ...metadata, note: reason || '' }
+        },
+        idempotencyKey ? { idempotencyKey } : undefined
+      );
+
+      return {
+        id: refund.id,
+        paymentIntentId: intentId,
+        amount: refund.amount,
+        currency: refund.currency,
+        reason: reason || null,
+        status: refund.status
+      };
+    },
+
+    constructWebhookEvent(rawBody, signatureHeader) {
+      if (!webhookSecret) {
+        const error = new Error('STRIPE_WEBHOOK_SECRET is not configured');
+        error.status = 500;
+        throw error;
+      }
+      return stripe.webhooks.constructEvent(rawBody, signatureHeader, webhookSecret);
+    }
+  };
+};
+
+module.exports = {
+  createStripeProvider
+};
@@ -0,0 +1,590 @@
+const Order = require('../models/Order');
+const GiftCard = require('../models/GiftCard');
+const { reserveOrderStock, releaseOrderStock } = require('./inventory-service');
+const { reclaimOrderSlot, releaseOrderSlot } = require('./kitchen-capacity-service');
+const { activateGiftCard, getGiftCardRefundable, refundOrderGiftCards } = require('./gift-card-service');
+const { awardOrderPoints } = require('./loyalty-service');
+const { createFakeProvider } = require('./payment-providers/fake-provider');
+const { createStripeProvider } = require('./payment-providers/stripe-provider');
+const { emitAdminEvent } = require('../helpers/admin-events');
+
+let provider = null;
+
+/**
+ * Resolve the configured payment provider
+ * PAYMENT_PROVIDER selects 'stripe' (the default) or 'fake'. The fake provider
+ * approves any card, so it has to be asked for by name and never runs in production.
+ * Throws when the provider can't be set up, so a misconfigured server fails at startup.
+ */
+const getPaymentProvider = () => {
+  if (provider) {
+    return provider;
+  }
+
+  const providerName = process.env.PAYMENT_PROVIDER || 'stripe';
+
+  switch (providerName) {
+    case 'stripe':
+      provider = createStripeProvider();
+      break;
+    case 'fake':
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The fake payment provider cannot be used in production');
+      }
+      provider = createFakeProvider({ webhookSecret: process.env.FAKE_PAYMENT_WEBHOOK_SECRET });
+      break;
+    default:
+      throw new Error(`Unknown payment provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Replace the active provider (used to plug in a provider explicitly)
+ */
+const setPaymentProvider = (customProvider) => {
+  provider = customProvider;
+};
+
+/**
+ * Convert a dollar amount to the smallest currency unit
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount || 0) * 100);
+
+/**
+ * Hold an order's payment for staff to look at and alert the admin dashboards
+ */
+const flagPaymentForReview = async (order, reason) => {
+  order.paymentReview = { reason, flaggedAt: new Date() };
+  await order.save();
+
+  console.warn(`Payment for order ${order.orderNumber} needs review: ${reason}`);
+  emitAdminEvent('orderPaymentReview', {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    reason,
+    timestamp: new Date()
+  });
+
+  return order;
+};
+
+/**
+ * Take back the stock and kitchen slot a failed payment released
+ * @param {Object} order - Order document (saved by the caller)
+ * @returns {Promise<Array>} - Why anything couldn't be taken back, empty when all is held again
+ */
+const reclaimReleasedHolds = async (order) => {
+  const problems = [];
+
+  if (order.deliveryStatus === 'cancelled') {
+    return ['the order was already cancelled'];
+  }
+
+  if (order.stockStatus === 'released') {
+    try {
+      await reserveOrderStock(order);
+    } catch (error) {
+      problems.push(`stock could not be reserved again (${error.message})`);
+    }
+  }
+
+  if (order.kitchenSlot && order.kitchenSlot.status === 'released') {
+    try {
+      await reclaimOrderSlot(order);
+    } catch (error) {
+      problems.push(`the kitchen slot could not be booked again (${error.message})`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Mark an order as paid. Safe to call more than once for the same intent.
+ * Only the part of the total not covered by gift cards is charged online.
+ * A charge for the wrong amount leaves the order unpaid and flagged for staff.
+ * An earlier failed attempt may have released the order's stock and kitchen slot;
+ * they are reserved again, and a paid order that can't get them back is flagged.
+ */
+const markOrderPaid = async (order, intent) => {
+  if (order.paymentStatus === 'paid') {
+    return order;
+  }
+
+  if (intent.amount !== toMinorUnits(order.amountDue)) {
+    order.paymentIntentId = intent.id;
+    return flagPaymentForReview(
+      order,
+      `Payment ${intent.id} charged $${(intent.amount / 100).toFixed(2)} but $${order.amountDue.toFixed(2)} is due`
+    );
+  }
+
+  const problems = await reclaimReleasedHolds(order);
+
+  // The money has been taken either way, so the order is paid even when staff need to step in
+  order.paymentStatus = 'paid';
+  order.paymentIntentId = intent.id;
+  order.paidAt = new Date();
+  order.paymentFailureReason = undefined;
+
+  if (problems.length > 0) {
+    return flagPaymentForReview(order, `Paid, but ${problems.join(' and ')}`);
+  }
+
+  await order.save();
+
+  // An order handed over before its payment went through earns its points now
+  if (order.deliveryStatus === 'delivered') {
+    await awardOrderPoints(order);
+  }
+
+  return order;
+};
+
+/**
+ * Mark an order's payment as failed, unless it has already been paid
+ */
+const markOrderFailed = async (order, reason) => {
+  if (order.paymentStatus === 'paid') {
+    return order;
+  }
+
+  order.paymentStatus = 'failed';
+  order.paymentFailureReason = reason || 'Payment failed';
+  await order.save();
+
+  // Failed payments don't hold stock or kitchen time; both are reserved again if the customer retries
+  await releaseOrderStock(order);
+  await releaseOrderSlot(order);
+
+  return order;
+};
+
+/**
+ * Create (or reuse) a payment intent for an order
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} - Provider payment intent
+ */
+const createPaymentForOrder = async (order) => {
+  const activeProvider = getPaymentProvider();
+
+  if (order.paymentStatus === 'paid') {
+    const error = new Error('Order has already been paid');
+    error.status = 409;
+    throw error;
+  }
+
+  if (order.deliveryStatus === 'cancelled') {
+    const error = new Error('Cannot pay for a cancelled order');
+    error.status = 400;
+    throw error;
+  }
+
+  // A previous payment failure released the stock and kitchen slot; take them again before retrying
+  if (order.stockStatus === 'released') {
+    await reserveOrderStock(order);
+    await order.save();
+  }
+  if (order.kitchenSlot && order.kitchenSlot.status === 'released') {
+    await reclaimOrderSlot(order);
+    await order.save();
+  }
+
+  // Reuse the existing intent while it is still payable
+  if (order.paymentIntentId && order.paymentProvider === activeProvider.name) {
+    try {
+      const existing = await activeProvider.retrievePaymentIntent(order.paymentIntentId);
+      if (existing.status !== 'succeeded' && existing.amount === toMinorUnits(order.amountDue)) {
+        return existing;
+      }
+    } catch (error) {
+      // Fall through and create a fresh intent
+    }
+  }
+
+  const intent = await activeProvider.createPaymentIntent({
+    amount: toMinorUnits(order.amountDue),
+    currency: 'usd',
+    metadata: {
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber
+    },
+    idempotencyKey: `order-${order._id}-${toMinorUnits(order.amountDue)}`
+  });
+
+  order.paymentProvider = activeProvider.name;
+  order.paymentIntentId = intent.id;
+  if (order.paymentStatus === 'failed') {
+    order.paymentStatus = 'pending';
+  }
+  await order.save();
+
+  return intent;
+};
+
+/**
+ * Confirm an order's payment intent and update the order accordingly
+ * @param {Object} order - Order document
+ * @param {Object} options - { paymentMethod }
+ * @returns {Promise<Object>} - { order, intent }
+ */
+const confirmPaymentForOrder = async (order, options = {}) => {
+  const activeProvider = getPaymentProvider();
+
+  if (!order.paymentIntentId) {
+    const error = new Error('No payment has been started for this order');
+    error.status = 400;
+    throw error;
+  }
+
+  const intent = await activeProvider.confirmPaymentIntent(order.paymentIntentId, options);
+
+  if (intent.status === 'succeeded') {
+    await markOrderPaid(order, intent);
+  } else if (intent.status === 'requires_payment_method' || intent.status === 'canceled') {
+    await markOrderFailed(order, intent.failureReason);
+  }
+
+  return { order, intent };
+};
+
+/**
+ * Load the balance onto a purchased gift card once its payment has gone through
+ */
+const markGiftCardPaid = async (giftCard, intent) => {
+  if (giftCard.status !== 'pending') {
+    return giftCard;
+  }
+
+  if (intent.amount !== toMinorUnits(giftCard.initialBalance)) {
+    throw new Error(`Payment amount mismatch for gift card ${giftCard._id}`);
+  }
+
+  return activateGiftCard(giftCard, {
+    provider: giftCard.paymentProvider || getPaymentProvider().name,
+    paymentIntentId: intent.id
+  });
+};
+
+/**
+ * Create (or reuse) a payment intent for a gift card purchase
+ * @param {Object} giftCard - Pending GiftCard document
+ * @returns {Promise<Object>} - Provider payment intent
+ */
+const createPaymentForGiftCard = async (giftCard) => {
+  const activeProvider = getPaymentProvider();
+
+  if (giftCard.status !== 'pending') {
+    const error = new Error('Gift card has already been paid for');
+    error.status = 409;
+    throw error;
+  }
+
+  if (giftCard.paymentIntentId && giftCard.paymentProvider === activeProvider.name) {
+    try {
+      const existing = await activeProvider.retrievePaymentIntent(giftCard.paymentIntentId);
+      if (existing.status !== 'succeeded') {
+        return existing;
+      }
+    } catch (error) {
+      // Fall through and create a fresh intent
+    }
+  }
+
+  const intent = await activeProvider.createPaymentIntent({
+    amount: toMinorUnits(giftCard.initialBalance),
+    currency: 'usd',
+    metadata: {
+      giftCardId: giftCard._id.toString()
+    },
+    idempotencyKey: `gift-card-${giftCard._id}`
+  });
+
+  giftCard.paymentProvider = activeProvider.name;
+  giftCard.paymentIntentId = intent.id;
+  await giftCard.save();
+
+  return intent;
+};
+
+/**
+ * Confirm a gift card purchase's payment intent and activate the card when it succeeds
+ * @param {Object} giftCard - GiftCard document
+ * @param {Object} options - { paymentMethod }
+ * @returns {Promise<Object>} - { giftCard, intent }
+ */
+const confirmPaymentForGiftCard = async (giftCard, options = {}) => {
+  const activeProvider = getPaymentProvider();
+
+  if (!giftCard.paymentIntentId) {
+    const error = new Error('No payment has been started for this gift card');
+    error.status = 400;
+    throw error;
+  }
+
+  const intent = await activeProvider.confirmPaymentIntent(giftCard.paymentIntentId, options);
+
+  if (intent.status === 'succeeded') {
+    giftCard = await markGiftCardPaid(giftCard, intent);
+  }
+
+  return { giftCard, intent };
+};
+
+/**
+ * Verify a provider webhook's signature and parse its event
+ * Payloads that fail verification are rejected with status 400.
+ * @param {Buffer} rawBody - Raw request body
+ * @param {string} signature - Signature header
+ * @returns {Object} - Provider event
+ */
+const verifyWebhookEvent = (rawBody, signature) => {
+  const activeProvider = getPaymentProvider();
+
+  try {
+    return activeProvider.constructWebhookEvent(rawBody, signature);
+  } catch (error) {
+    if (!error.status) {
+      error.status = 400;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Apply a verified provider webhook event
+ * @param {Object} event - Event from verifyWebhookEvent
+ * @returns {Promise<Object>} - { event, order }
+ */
+const applyWebhookEvent = async (event) => {
+  const intent = event.data && event.data.object;
+
+  if (!intent || !intent.id) {
+    return { event, order: null };
+  }
+
+  // Gift card purchases are paid outside of any order
+  if (intent.metadata && intent.metadata.giftCardId) {
+    const giftCard = await GiftCard.findById(intent.metadata.giftCardId);
+    if (giftCard && event.type === 'payment_intent.succeeded') {
+      await markGiftCardPaid(giftCard, intent);
+    }
+    return { event, order: null, giftCard };
+  }
+
+  const order = intent.metadata && intent.metadata.orderId
+    ? await Order.findById(intent.metadata.orderId)
+    : await Order.findOne({ paymentIntentId: intent.id });
+
+  if (!order) {
+    return { event, order: null };
+  }
+
+  switch (event.type) {
+    case 'payment_intent.succeeded':
+      await markOrderPaid(order, intent);
+      break;
+    case 'payment_intent.payment_failed':
+      await markOrderFailed(
+        order,
+        intent.last_payment_error?.message || intent.failureReason
+      );
+      break;
+    default:
+      break;
+  }
+
+  return { event, order };
+};
+
+/**
+ * Round a currency amount to cents
+ */
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * Work out how much a refund request is worth
+ * @param {Object} order - Order document
+ * @param {Object} request - { type, amount, items: [{ itemId, quantity }] }
+ * @returns {Object} - { amount, items }
+ */
+const calculateRefund = (order, { type, amount, items = [] }) => {
+  const remaining = roundCurrency(order.totalPrice - (order.refundAmount || 0));
+
+  if (type === 'full') {
+    return { amount: remaining, items: [] };
+  }
+
+  if (type === 'partial') {
+    return { amount: roundCurrency(amount), items: [] };
+  }
+
+  // The same line listed twice counts as one request for the combined quantity
+  const requested = new Map();
+  items.forEach(({ itemId, quantity }) => {
+    const key = String(itemId);
+    requested.set(key, (requested.get(key) || 0) + Number(quantity));
+  });
+
+  // Per line item: refund the unit price of each returned unit
+  const refundItems = Array.from(requested, ([itemId, quantity]) => {
+    const orderItem = order.items.id(itemId);
+    if (!orderItem) {
+      const error = new Error(`Order item ${itemId} not found`);
+      error.status = 400;
+      throw error;
+    }
+
+    const available = orderItem.quantity - (orderItem.refundedQuantity || 0);
+    if (quantity > available) {
+      const error = new Error(`Only ${available} of ${orderItem.menuName} can be refunded`);
+      error.status = 400;
+      throw error;
+    }
+
+    return {
+      orderItem: orderItem._id,
+      menuName: orderItem.menuName,
+      quantity,
+      amount: roundCurrency((orderItem.itemTotal / orderItem.quantity) * quantity)
+    };
+  });
+
+  return {
+    amount: roundCurrency(refundItems.reduce((sum, item) => sum + item.amount, 0)),
+    items: refundItems
+  };
+};
+
+/**
+ * Refund all or part of a paid order
+ * On split-tender orders the gift cards are refunded first, so store credit can't
+ * be turned into cash; whatever is left goes back through the payment provider.
+ * @param {Object} order - Order document
+ * @param {Object} request - { type, amount, items, reason, refundedBy }
+ * @returns {Promise<Object>} - The recorded refund entry
+ */
+const refundOrder = async (order, { type, amount, items, reason, refundedBy }) => {
+  if (order.paymentStatus !== 'paid') {
+    const error = new Error('Only paid orders can be refunded');
+    error.status = 400;
+    throw error;
+  }
+
+  const refund = calculateRefund(order, { type, amount, items });
+  const remaining = roundCurrency(order.totalPrice - (order.refundAmount || 0));
+
+  if (refund.amount <= 0) {
+    const error = new Error('Refund amount must be greater than zero');
+    error.status = 400;
+    throw error;
+  }
+
+  if (refund.amount > remaining) {
+    const error = new Error(`Refund cannot exceed the remaining refundable amount of $${remaining.toFixed(2)}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const giftCardAmount = roundCurrency(Math.min(refund.amount, getGiftCardRefundable(order)));
+  const providerAmount = roundCurrency(refund.amount - giftCardAmount);
+
+  // Money can only go back the way it came; an order without an online payment has nothing to refund it through
+  if (providerAmount > 0 && !order.paymentIntentId) {
+    const error = new Error('This order has no online payment to refund');
+    error.status = 409;
+    throw error;
+  }
+
+  const activeProvider = providerAmount > 0 ? getPaymentProvider() : null;
+  if (activeProvider && order.paymentProvider && order.paymentProvider !== activeProvider.name) {
+    const error = new Error(`Order was paid with ${order.paymentProvider}, which is not the active payment provider`);
+    error.status = 409;
+    throw error;
+  }
+
+  // Claim the refund before any money moves: only one refund can move the refunded
+  // amount from the value read above, so concurrent refunds can't both pass the check
+  const previousRefundAmount = order.refundAmount || 0;
+  const refundAmount = roundCurrency(previousRefundAmount + refund.amount);
+  const claimed = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      paymentStatus: 'paid',
+      refundAmount: previousRefundAmount > 0 ? previousRefundAmount : { $in: [0, null] }
+    },
+    { $set: { refundAmount } }
+  );
+
+  if (!claimed) {
+    const error = new Error('This order was refunded by someone else at the same time. Please reload it and try again');
+    error.status = 409;
+    throw error;
+  }
+
+  let providerRefund = null;
+  if (activeProvider) {
+    try {
+      providerRefund = await activeProvider.refundPayment(order.paymentIntentId, {
+        amount: toMinorUnits(providerAmount),
+        reason,
+        metadata: { orderId: order._id.toString(), orderNumber: order.orderNumber },
+        idempotencyKey: `refund-${order._id}-${order.refunds.length}-${toMinorUnits(providerAmount)}`
+      });
+    } catch (error) {
+      // Nothing was refunded, so give the claimed amount back
+      await Order.updateOne({ _id: order._id }, { $inc: { refundAmount: -refund.amount } });
+      throw error;
+    }
+  }
+
+  if (giftCardAmount > 0) {
+    await refundOrderGiftCards(order, giftCardAmount);
+  }
+
+  refund.items.forEach(refundItem => {
+    const orderItem = order.items.id(refundItem.orderItem);
+    orderItem.refundedQuantity = (orderItem.refundedQuantity || 0) + refundItem.quantity;
+  });
+
+  order.refunds.push({
+    type,
+    amount: refund.amount,
+    reason,
+    items: refund.items,
+    refundedBy,
+    provider: providerRefund ? order.paymentProvider : 'gift_card',
+    providerRefundId: providerRefund ? providerRefund.id : undefined,
+    giftCardAmount
+  });
+  // Already stored by the claim; saving it again could overwrite a later refund's claim
+  order.refundAmount = refundAmount;
+  order.unmarkModified('refundAmount');
+
+  if (order.refundAmount >= roundCurrency(order.totalPrice)) {
+    order.paymentStatus = 'refunded';
+  }
+
+  await order.save();
+
+  return order.refunds[order.refunds.length - 1];
+};
+
+module.exports = {
+  getPaymentProvider,
+  setPaymentProvider,
+  toMinorUnits,
+  createPaymentForOrder,
+  confirmPaymentForOrder,
+  createPaymentForGiftCard,
+  confirmPaymentForGiftCard,
+  verifyWebhookEvent,
+  applyWebhookEvent,
+  markOrderPaid,
+  markOrderFailed,
+  markGiftCardPaid,
+  calculateRefund,
+  refundOrder
+};
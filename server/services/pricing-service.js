@@ -0,0 +1,211 @@
+const PricingSettings = require('../models/PricingSettings');
+const { resolveCartCoupon } = require('./coupon-service');
+const { evaluatePromotions } = require('./promotion-service');
+const { resolveRedemption } = require('./loyalty-service');
+const { resolveGiftCards } = require('./gift-card-service');
+
+/**
+ * Round a currency amount to cents
+ */
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+/**
+ * Load the current pricing settings
+ * @returns {Promise<Object>} - PricingSettings document
+ */
+const getPricingSettings = async () => {
+  return PricingSettings.getSettings();
+};
+
+/**
+ * Find the delivery fee tier that applies to a subtotal
+ * @param {number} subtotal - Cart subtotal
+ * @param {Array} tiers - Delivery fee tiers
+ * @returns {Object|null} - Matching tier
+ */
+const findDeliveryTier = (subtotal, tiers = []) => {
+  return [...tiers]
+    .sort((a, b) => b.minSubtotal - a.minSubtotal)
+    .find(tier => subtotal >= tier.minSubtotal) || null;
+};
+
+/**
+ * Price an order from its subtotal
+ * Tax is charged on the subtotal; delivery fees only apply to delivery orders.
+ * A delivery zone, when given, replaces the global fee tiers with its own fee
+ * and raises the minimum order to the zone's minimum if that is higher.
+ * A free-delivery coupon waives the delivery fee; the waived amount is
+ * reported as deliveryFeeWaived.
+ * @param {Object} params - { subtotal, orderType, discount, freeDelivery, zone }
+ * @param {Object} settings - Pricing settings (loaded when omitted)
+ * @returns {Promise<Object>} - Priced quote
+ */
+const calculateQuote = async ({ subtotal = 0, orderType = 'delivery', discount = 0, freeDelivery = false, zone = null }, settings) => {
+  const pricing = settings || await getPricingSettings();
+  const tiers = pricing.deliveryFeeTiers || [];
+
+  const roundedSubtotal = roundCurrency(subtotal);
+  const roundedDiscount = roundCurrency(Math.min(discount, roundedSubtotal));
+
+  let deliveryFee = 0;
+  let amountToFreeDelivery = null;
+  if (orderType === 'delivery' && zone) {
+    const isFree = zone.freeDeliveryOver != null && roundedSubtotal >= zone.freeDeliveryOver;
+    deliveryFee = isFree ? 0 : roundCurrency(zone.deliveryFee);
+    if (deliveryFee > 0 && zone.freeDeliveryOver != null) {
+      amountToFreeDelivery = roundCurrency(zone.freeDeliveryOver - roundedSubtotal);
+    }
+  } else if (orderType === 'delivery') {
+    const tier = findDeliveryTier(roundedSubtotal, tiers);
+    deliveryFee = roundCurrency(tier ? tier.fee : 0);
+
+    // Distance to the cheapest free tier, when there is one still ahead
+    const freeTier = [...tiers]
+      .sort((a, b) => a.minSubtotal - b.minSubtotal)
+      .find(candidate => candidate.fee === 0);
+    if (deliveryFee > 0 && freeTier && freeTier.minSubtotal > roundedSubtotal) {
+      amountToFreeDelivery = roundCurrency(freeTier.minSubtotal - roundedSubtotal);
+    }
+  }
+
+  const deliveryFeeWaived = freeDelivery ? deliveryFee : 0;
+  if (freeDelivery) {
+    deliveryFee = 0;
+    amountToFreeDelivery = null;
+  }
+
+  const tax = roundCurrency(roundedSubtotal * pricing.taxRate);
+  const total = roundCurrency(Math.max(0, roundedSubtotal + deliveryFee + tax - roundedDiscount));
+
+  let minimumOrder = roundCurrency(pricing.minimumOrder?.[orderType] || 0);
+  if (orderType === 'delivery' && zone) {
+    minimumOrder = Math.max(minimumOrder, roundCurrency(zone.minimumOrder || 0));
+  }
+  const meetsMinimum = roundedSubtotal >= minimumOrder;
+
+  return {
+    orderType,
+    subtotal: roundedSubtotal,
+    deliveryFee,
+    deliveryFeeWaived,
+    tax,
+    taxRate: pricing.taxRate,
+    discount: roundedDiscount,
+    total,
+    minimumOrder,
+    meetsMinimum,
+    amountToMinimum: meetsMinimum ? 0 : roundCurrency(minimumOrder - roundedSubtotal),
+    amountToFreeDelivery,
+    deliveryZone: orderType === 'delivery' && zone ? {
+      _id: zone._id,
+      name: zone.name,
+      estimatedMinutes: zone.estimatedMinutes
+    } : null
+  };
+};
+
+/**
+ * Price a cart document, including automatic promotions, any applied coupon and redeemed loyalty points
+ * Promotions are re-checked at quote time, since happy hours start and end.
+ * The coupon is worked out on the full subtotal and stacks with promotions;
+ * together they never take off more than the subtotal. Loyalty points cover
+ * what is left, so only the points the order can use are redeemed.
+ * A coupon that no longer applies is left out of the totals and explained in couponError;
+ * points that can't be used are explained in loyaltyError.
+ * Gift cards are a way to pay rather than a discount: they come off the total, and
+ * `amountDue` is what is left to charge online. A card that can't be used is explained in giftCardError.
+ * @param {Object} cart - Cart document
+ * @param {string} orderType - 'delivery' or 'pickup'
+ * @param {Object} options - { zone } delivery zone for the address, if any; { loyaltyPoints } to redeem;
+ *   { giftCardCodes } to pay with
+ * @returns {Promise<Object>} - Priced quote with `coupon` ({ coupon, code, type, discount }), `couponError`,
+ *   `promotions` (discount lines), `promotionDiscount`, `nextPromotion`, `unlockedPromotions`,
+ *   `loyalty` ({ points, discount }), `loyaltyError`, `giftCards` ({ giftCard, code, amount, remainingBalance }),
+ *   `giftCardAmount`, `amountDue` and `giftCardError`
+ */
+const quoteCart = async (cart, orderType, { zone = null, loyaltyPoints = null, giftCardCodes = [] } = {}) => {
+  const [applied, promotions] = await Promise.all([
+    resolveCartCoupon(cart),
+    evaluatePromotions(cart.items || [])
+  ]);
+  const coupon = applied && !applied.error ? applied : null;
+  const discount = promotions.discount + (coupon ? coupon.discount : 0);
+
+  let loyalty = null;
+  let loyaltyError = null;
+  if (loyaltyPoints) {
+    try {
+      loyalty = await resolveRedemption(
+        cart.user?._id || cart.user,
+        loyaltyPoints,
+        Math.max(0, roundCurrency(cart.subtotal) - discount)
+      );
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      loyaltyError = error.message;
+    }
+  }
+
+  const quote = await calculateQuote({
+    subtotal: cart.subtotal,
+    orderType,
+    discount: discount + (loyalty ? loyalty.discount : 0),
+    freeDelivery: coupon ? coupon.freeDelivery : false,
+    zone
+  });
+
+  let giftCards = { giftCards: [], amount: 0 };
+  let giftCardError = null;
+  if (giftCardCodes && giftCardCodes.length > 0) {
+    try {
+      giftCards = await resolveGiftCards(giftCardCodes, quote.total);
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      giftCardError = error.message;
+    }
+  }
+
+  return {
+    ...quote,
+    coupon: coupon ? {
+      coupon: coupon.coupon,
+      code: coupon.code,
+      type: coupon.type,
+      discount: coupon.freeDelivery ? quote.deliveryFeeWaived : coupon.discount
+    } : null,
+    couponError: applied && applied.error ? applied.error : null,
+    promotions: promotions.lines,
+    promotionDiscount: promotions.discount,
+    nextPromotion: promotions.nextThreshold,
+    unlockedPromotions: promotions.unlocked,
+    loyalty,
+    loyaltyError,
+    giftCards: giftCards.giftCards,
+    giftCardAmount: giftCards.amount,
+    amountDue: roundCurrency(quote.total - giftCards.amount),
+    giftCardError
+  };
+};
+
+/**
+ * Describe how far a quote is from its minimum order
+ * @param {Object} quote - Quote from calculateQuote
+ * @returns {string} - Customer-facing message
+ */
+const getMinimumOrderMessage = (quote) => {
+  return `Minimum ${quote.orderType} order is $${quote.minimumOrder.toFixed(2)}. ` +
+    `Add $${quote.amountToMinimum.toFixed(2)} more to continue.`;
+};
+
+module.exports = {
+  roundCurrency,
+  getPricingSettings,
+  findDeliveryTier,
+  calculateQuote,
+  quoteCart,
+  getMinimumOrderMessage
+};
@@ -0,0 +1,165 @@
+const Promotion = require('../models/Promotion');
+const { filterScopedItems } = require('./coupon-service');
+const { getOrderMoment, isAvailableAt, describeAvailability } = require('./availability-service');
+
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+const formatAmount = (amount) => `$${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Describe what a promotion gives, for customers
+ * e.g. "Buy 1, get 1 50% off", "15% off Mon–Fri 3:00 PM–5:00 PM", "Free item when you spend $40.00"
+ * @param {Object} promotion - Promotion document
+ * @returns {string}
+ */
+const describePromotion = (promotion) => {
+  if (promotion.description) {
+    return promotion.description;
+  }
+
+  if (promotion.type === 'bogo') {
+    const offer = promotion.getDiscountPercent >= 100 ? 'free' : `${promotion.getDiscountPercent}% off`;
+    return `Buy ${promotion.buyQuantity}, get ${promotion.getQuantity} ${offer}`;
+  }
+
+  if (promotion.type === 'happy-hour') {
+    const schedule = describeAvailability(promotion.schedule);
+    return schedule ? `${promotion.percentOff}% off ${schedule}` : `${promotion.percentOff}% off`;
+  }
+
+  const spend = `when you spend ${formatAmount(promotion.minSubtotal)}`;
+  if (promotion.reward === 'free-item') return `Free item ${spend}`;
+  if (promotion.reward === 'percentage') return `${promotion.rewardValue}% off ${spend}`;
+  return `${formatAmount(promotion.rewardValue)} off ${spend}`;
+};
+
+/**
+ * Promotions that are switched on and inside their schedule
+ * @param {Date} now - Instant to check
+ * @returns {Promise<Array>} - Promotions, highest priority first
+ */
+const getActivePromotions = async (now = new Date()) => {
+  const moment = getOrderMoment({}, now);
+  const promotions = await Promotion.find({ isActive: true })
+    .sort({ priority: -1, createdAt: 1 })
+    .lean();
+
+  return promotions.filter(promotion => isAvailableAt(promotion.schedule, moment));
+};
+
+/**
+ * Work out the automatic promotions a cart gets
+ * Promotions are applied highest priority first. Item discounts (BOGO, happy hour,
+ * percentage and free-item rewards) claim the units they discount, so a unit is
+ * only ever discounted once; fixed-amount rewards come off what is left.
+ * @param {Array} items - Cart lines with `menu`, `quantity` and `itemTotal`
+ * @param {Object} options - { now, promotions } (active promotions are loaded when omitted)
+ * @returns {Promise<Object>} - { lines, discount, nextThreshold, unlocked }
+ *   lines: [{ promotion, name, type, description, discount }]
+ *   nextThreshold: closest spend threshold not reached yet, with `amountAway`
+ *   unlocked: free-item rewards reached without a matching item in the cart
+ */
+const evaluatePromotions = async (items = [], { now = new Date(), promotions } = {}) => {
+  const result = { lines: [], discount: 0, nextThreshold: null, unlocked: [] };
+  const lines = items.filter(item => item.quantity > 0);
+  if (lines.length === 0) {
+    return result;
+  }
+
+  const active = promotions || await getActivePromotions(now);
+  const subtotal = roundCurrency(lines.reduce((total, item) => total + (item.itemTotal || 0), 0));
+
+  // Units of each line already discounted by an earlier promotion
+  const claimed = new Map();
+  const getFreeUnits = (scoped) => scoped.flatMap(line => {
+    const free = Math.max(line.quantity - (claimed.get(line) || 0), 0);
+    return Array.from({ length: free }, () => ({ line, price: (line.itemTotal || 0) / line.quantity }));
+  });
+  const claim = (units) => units.forEach(unit => claimed.set(unit.line, (claimed.get(unit.line) || 0) + 1));
+  const sumPrices = (units) => units.reduce((total, unit) => total + unit.price, 0);
+
+  for (const promotion of active) {
+    if (promotion.type === 'spend-threshold' && subtotal < promotion.minSubtotal) {
+      if (!result.nextThreshold || promotion.minSubtotal < result.nextThreshold.minSubtotal) {
+        result.nextThreshold = {
+          promotion: promotion._id,
+          name: promotion.name,
+          description: describePromotion(promotion),
+          minSubtotal: promotion.minSubtotal,
+          amountAway: roundCurrency(promotion.minSubtotal - subtotal)
+        };
+      }
+      continue;
+    }
+
+    const units = getFreeUnits(await filterScopedItems(promotion, lines));
+    let discount = 0;
+
+    if (promotion.type === 'bogo') {
+      // Most expensive units pay full price; the cheapest in each group get the discount
+      const groupSize = promotion.buyQuantity + promotion.getQuantity;
+      const sorted = units.sort((a, b) => b.price - a.price);
+      for (let start = 0; start + groupSize <= sorted.length; start += groupSize) {
+        const group = sorted.slice(start, start + groupSize);
+        claim(group);
+        discount += sumPrices(group.slice(promotion.buyQuantity)) * promotion.getDiscountPercent / 100;
+      }
+    } else if (promotion.type === 'happy-hour') {
+      claim(units);
+      discount = sumPrices(units) * promotion.percentOff / 100;
+    } else if (promotion.reward === 'free-item') {
+      const cheapest = units.sort((a, b) => a.price - b.price)[0];
+      if (!cheapest) {
+        result.unlocked.push({
+          promotion: promotion._id,
+          name: promotion.name,
+          description: describePromotion(promotion)
+        });
+        continue;
+      }
+      claim([cheapest]);
+      discount = cheapest.price;
+    } else if (promotion.reward === 'percentage') {
+      claim(units);
+      discount = sumPrices(units) * promotion.rewardValue / 100;
+    } else {
+      discount = Math.min(promotion.rewardValue, sumPrices(units));
+    }
+
+    discount = roundCurrency(discount);
+    if (discount > 0) {
+      result.lines.push({
+        promotion: promotion._id,
+        name: promotion.name,
+        type: promotion.type,
+        description: describePromotion(promotion),
+        discount
+      });
+    }
+  }
+
+  result.discount = roundCurrency(Math.min(
+    result.lines.reduce((total, line) => total + line.discount, 0),
+    subtotal
+  ));
+  return result;
+};
+
+/**
+ * Store a cart's current promotions on it (saved by the caller)
+ * @param {Object} cart - Cart document
+ * @returns {Promise<Object>} - evaluatePromotions() result
+ */
+const applyCartPromotions = async (cart) => {
+  const result = await evaluatePromotions(cart.items);
+  cart.promotions = result.lines;
+  cart.promotionDiscount = result.discount;
+  return result;
+};
+
+module.exports = {
+  describePromotion,
+  getActivePromotions,
+  evaluatePromotions,
+  applyCartPromotions
+};
@@ -0,0 +1,206 @@
+const Menu = require('../models/Menu');
+const { resolveItemSize, resolveItemOptions } = require('./item-options-service');
+const { checkBundleStock, resolveBundleSelections } = require('./bundle-service');
+
+// Cart lines are capped at this quantity by the Cart model
+const MAX_LINE_QUANTITY = 10;
+
+const roundCurrency = (amount) => Math.round(Number(amount || 0) * 100) / 100;
+
+const getId = (ref) => String(ref && ref._id ? ref._id : ref);
+
+/**
+ * Unit price of a line: size (or bundle) price plus addons and modifiers
+ */
+const getUnitPrice = (basePrice, addons = [], modifiers = []) => roundCurrency(
+  basePrice +
+  addons.reduce((total, addon) => total + (addon.price || 0), 0) +
+  modifiers.reduce((total, modifier) => total + (modifier.price || 0), 0)
+);
+
+const sameAddons = (first = [], second = []) => {
+  const names = (addons) => addons.map(addon => addon.name).sort().join('|');
+  return names(first) === names(second);
+};
+
+/**
+ * Pick the size a past line was ordered in
+ * Sizes are matched by id, then by name in case the size was recreated.
+ */
+const resolveReorderSize = (menuItem, line) => {
+  try {
+    return resolveItemSize(menuItem, { sizeId: line.sizeId, size: line.size });
+  } catch (sizeError) {
+    if (!line.sizeId || !line.size) {
+      throw sizeError;
+    }
+    return resolveItemSize(menuItem, { size: line.size });
+  }
+};
+
+/**
+ * Copy a past order's lines into a cart, re-checked against today's menu
+ * Lines whose item is gone, switched off, out of stock or no longer offers the
+ * chosen options are left out. The rest are priced from the menu as it is now
+ * and merged into matching cart lines. Everything that differs from the
+ * original order is reported so the customer can see what changed.
+ * @param {Object} order - Order document
+ * @param {Object} cart - Cart document (saved by the caller)
+ * @returns {Promise<Object>} - { added: [{ menuName, quantity, price }], issues: [{ menuName, type, message }] }
+ */
+const addOrderToCart = async (order, cart) => {
+  const menuItems = await Menu.find({ _id: { $in: order.items.map(line => getId(line.menu)) } });
+  const added = [];
+  const issues = [];
+
+  const report = (line, type, message, extra = {}) => {
+    issues.push({ menuName: line.menuName, type, message, ...extra });
+  };
+
+  for (const line of order.items) {
+    const menuItem = menuItems.find(entry => entry._id.toString() === getId(line.menu));
+
+    if (!menuItem || !menuItem.isActive) {
+      report(line, 'inactive', `${line.menuName} is no longer on the menu`);
+      continue;
+    }
+    if (!menuItem.isAvailable) {
+      report(line, 'unavailable', `${menuItem.name} is currently unavailable`);
+      continue;
+    }
+    if (menuItem.itemType !== 'bundle' && menuItem.quantity <= 0) {
+      report(line, 'out_of_stock', `${menuItem.name} is out of stock`);
+      continue;
+    }
+
+    // The same size, options and bundle picks must still be offered
+    let itemSize;
+    let itemOptions;
+    let bundle = null;
+    try {
+      itemSize = resolveReorderSize(menuItem, line);
+      itemOptions = await resolveItemOptions(menuItem, {
+        spicyLevel: line.spicyLevel && line.spicyLevel.level,
+        preparations: (line.preparations || []).map(entry => entry.preparation),
+        modifiers: (line.modifiers || []).map(entry => entry.option)
+      });
+
+      if (menuItem.itemType === 'bundle') {
+        bundle = await resolveBundleSelections(
+          menuItem,
+          (line.bundleItems || []).map(component => ({ slot: component.slot, menuItemId: getId(component.menu) })),
+          1
+        );
+        itemOptions.bundleItems = bundle.items;
+      }
+    } catch (optionsError) {
+      if (!optionsError.status) {
+        throw optionsError;
+      }
+      report(line, 'options_changed', optionsError.message);
+      continue;
+    }
+
+    // Addons are kept by name; ones the item no longer offers are dropped
+    const addons = [];
+    let addonsDropped = false;
+    (line.addons || []).forEach(addon => {
+      const current = (menuItem.addons || []).find(entry => entry.name === addon.name);
+      if (current) {
+        addons.push({ name: current.name, price: current.price });
+      } else {
+        addonsDropped = true;
+        report(line, 'addon_removed', `${addon.name} is no longer offered with ${menuItem.name}`);
+      }
+    });
+
+    const basePrice = bundle ? bundle.price : itemSize.price;
+    if (!(basePrice > 0)) {
+      report(line, 'unavailable', `${menuItem.name} can't be ordered right now`);
+      continue;
+    }
+    const specialInstructions = line.specialInstructions || '';
+
+    const existing = cart.items.find(item =>
+      getId(item.menu) === menuItem._id.toString() &&
+      String(item.sizeId || '') === String(itemSize.sizeId || '') &&
+      item.size === itemSize.name &&
+      (item.specialInstructions || '') === specialInstructions &&
+      sameAddons(item.addons, addons) &&
+      item.matchesOptions(itemOptions)
+    );
+    const inLine = existing ? existing.quantity : 0;
+
+    // Stock is shared by every line for the item, whatever its options
+    let quantity = Math.min(line.quantity, MAX_LINE_QUANTITY - inLine);
+    if (bundle) {
+      try {
+        await checkBundleStock(bundle.items, inLine + quantity);
+      } catch (stockError) {
+        if (!stockError.status) {
+          throw stockError;
+        }
+        report(line, 'out_of_stock', stockError.message);
+        continue;
+      }
+    } else {
+      const inCart = cart.items
+        .filter(item => getId(item.menu) === menuItem._id.toString())
+        .reduce((total, item) => total + item.quantity, 0);
+      quantity = Math.min(quantity, menuItem.quantity - inCart);
+    }
+
+    if (quantity <= 0) {
+      report(line, 'out_of_stock', inLine >= MAX_LINE_QUANTITY
+        ? `Your cart already has the most ${menuItem.name} allowed`
+        : `No more ${menuItem.name} available in stock`);
+      continue;
+    }
+    if (quantity < line.quantity) {
+      report(line, 'quantity_reduced', `Only ${quantity} of ${line.quantity} ${menuItem.name} could be added`, {
+        requested: line.quantity,
+        quantity
+      });
+    }
+
+    // A line that lost an add-on isn't the same order any more, so its price
+    // isn't compared; the customer already hears about the dropped add-on
+    const unitPrice = getUnitPrice(basePrice, addons, itemOptions.modifiers);
+    const previousPrice = getUnitPrice(line.price, line.addons, line.modifiers);
+    if (!addonsDropped && unitPrice !== previousPrice) {
+      report(line, 'price_changed', `${menuItem.name} is now $${unitPrice.toFixed(2)} (was $${previousPrice.toFixed(2)})`, {
+        previousPrice,
+        price: unitPrice
+      });
+    }
+
+    if (existing) {
+      existing.quantity = inLine + quantity;
+      existing.priceAtTime = basePrice;
+      existing.itemTotal = unitPrice * existing.quantity;
+    } else {
+      cart.items.push({
+        menu: menuItem._id,
+        quantity,
+        sizeId: itemSize.sizeId,
+        size: itemSize.name,
+        addons,
+        spicyLevel: itemOptions.spicyLevel,
+        preparations: itemOptions.preparations,
+        modifiers: itemOptions.modifiers,
+        bundleItems: bundle ? bundle.items : [],
+        specialInstructions,
+        priceAtTime: basePrice,
+        itemTotal: unitPrice * quantity
+      });
+    }
+
+    added.push({ menuName: menuItem.name, quantity, price: unitPrice });
+  }
+
+  return { added, issues };
+};
+
+module.exports = {
+  addOrderToCart
+};
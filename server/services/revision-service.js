@@ -0,0 +1,182 @@
+const Revision = require('../models/Revision');
+const Menu = require('../models/Menu');
+const Category = require('../models/Category');
+const { checkRecipeAvailability } = require('./ingredient-service');
+
+// Fields that change without an admin edit (ratings, sales, stock) aren't tracked.
+// `quantity` is live stock that every order moves, so restoring it could bring back sold stock.
+const UNTRACKED_FIELDS = [
+  '_id', '__v', 'id', 'createdAt', 'updatedAt', 'slug', 'menuItemCount',
+  'averageRating', 'totalReviews', 'totalSales', 'missingIngredients', 'autoUnavailable',
+  'quantity'
+];
+
+// Images may have been deleted from Cloudinary, so restores keep the current ones
+const UNRESTORABLE_FIELDS = ['images', 'image'];
+
+const MODELS = { Menu, Category };
+
+const revisionError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Tracked fields of a document as plain JSON (ids as strings, dates as ISO strings)
+ * @param {Object|null} doc - Mongoose document, populated or not
+ * @returns {Object}
+ */
+const toSnapshot = (doc) => {
+  if (!doc) {
+    return {};
+  }
+  const plain = JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, virtuals: false })));
+  UNTRACKED_FIELDS.forEach(field => delete plain[field]);
+  return plain;
+};
+
+/**
+ * Field-level differences between two snapshots
+ * @returns {Array} - [{ field, before, after }]
+ */
+const diffSnapshots = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return fields
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+};
+
+/**
+ * Append a revision for a menu item or category
+ * Call with the snapshot taken before the change and the saved document. Updates that
+ * change no tracked field aren't recorded.
+ * @param {Object} options
+ * @param {string} options.resourceType - 'Menu' or 'Category'
+ * @param {string} options.action - 'create', 'update', 'delete' or 'restore'
+ * @param {Object} options.before - toSnapshot() of the document before the change ({} for creates)
+ * @param {Object} options.doc - The document after the change (before it, for deletes)
+ * @param {Object} options.user - Admin making the change
+ * @param {string} options.restoredFrom - Revision id, for restores
+ * @param {Object} options.session - Mongo session, to record the revision inside a transaction
+ * @returns {Promise<Object|null>} - The revision, or null when nothing changed
+ */
+const recordRevision = async ({ resourceType, action, before = {}, doc, user, restoredFrom, session }) => {
+  const after = toSnapshot(doc);
+  const changes = action === 'delete' ? [] : diffSnapshots(before, after);
+
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+
+  const [revision] = await Revision.create([{
+    resourceType,
+    resource: doc._id,
+    action,
+    changes,
+    snapshot: action === 'delete' ? before : after,
+    changedBy: user ? user._id : undefined,
+    restoredFrom
+  }], { session });
+
+  return revision;
+};
+
+/**
+ * Record a revision without failing the request that made the change
+ */
+const recordRevisionSafely = async (options) => {
+  try {
+    return await recordRevision(options);
+  } catch (error) {
+    console.error(`Failed to record ${options.resourceType} revision:`, error);
+    return null;
+  }
+};
+
+/**
+ * Revisions of one menu item or category, newest first
+ * @returns {Promise<Object>} - { revisions, pagination }
+ */
+const getRevisions = async (resourceType, resourceId, { page = 1, limit = 20 } = {}) => {
+  const query = { resourceType, resource: resourceId };
+  const [revisions, total] = await Promise.all([
+    Revision.find(query)
+      .populate('changedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Revision.countDocuments(query)
+  ]);
+
+  return {
+    revisions,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalRevisions: total
+    }
+  };
+};
+
+/**
+ * Put a menu item or category back to how it was after a revision
+ * The restore is itself recorded, so it can be undone the same way.
+ * @param {string} resourceType - 'Menu' or 'Category'
+ * @param {Object} doc - Current document
+ * @param {string} revisionId - Revision to restore
+ * @param {Object} user - Admin restoring
+ * @returns {Promise<Object>} - { doc, revision }
+ */
+const restoreRevision = async (resourceType, doc, revisionId, user) => {
+  const revision = await Revision.findOne({ _id: revisionId, resourceType, resource: doc._id }).lean();
+  if (!revision) {
+    throw revisionError('Revision not found', 404);
+  }
+  if (revision.action === 'delete') {
+    throw revisionError('Deleted versions cannot be restored');
+  }
+
+  const before = toSnapshot(doc);
+  const current = await MODELS[resourceType].findById(doc._id);
+
+  // Revisions recorded before a field stopped being tracked may still hold it
+  Object.entries(revision.snapshot)
+    .filter(([field]) => !UNRESTORABLE_FIELDS.includes(field) && !UNTRACKED_FIELDS.includes(field))
+    .forEach(([field, value]) => current.set(field, value));
+
+  // Fields added to the document since the revision was taken are cleared
+  Object.keys(before)
+    .filter(field => !(field in revision.snapshot) && !UNRESTORABLE_FIELDS.includes(field))
+    .forEach(field => current.set(field, undefined));
+
+  if (resourceType === 'Menu') {
+    // The restored recipe may not be makeable from current stock
+    await checkRecipeAvailability(current);
+  }
+
+  await current.save();
+
+  const restored = await recordRevision({
+    resourceType,
+    action: 'restore',
+    before,
+    doc: current,
+    user,
+    restoredFrom: revision._id
+  });
+  if (restored) {
+    await restored.populate('changedBy', 'name email');
+  }
+
+  return { doc: current, revision: restored };
+};
+
+module.exports = {
+  toSnapshot,
+  recordRevision,
+  recordRevisionSafely,
+  getRevisions,
+  restoreRevision
+};
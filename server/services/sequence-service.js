@@ -0,0 +1,30 @@
+const Counter = require('../models/Counter');
+const { getRestaurantDateKey } = require('../utils/dateUtils');
+
+/**
+ * Get the next value of a named sequence
+ * @param {string} key - Sequence name
+ * @returns {Promise<number>} - Next value (starting at 1)
+ */
+const getNextSequence = async (key) => {
+  return Counter.increment(key);
+};
+
+/**
+ * Generate a unique order number
+ * Format: PEP-YYYYMMDD-NNNN (e.g., PEP-20241215-0001), where the date is the
+ * restaurant's local business day and the sequence restarts every day.
+ * @param {Date} date - Order date (defaults to now)
+ * @returns {Promise<string>} - Order number
+ */
+const generateOrderNumber = async (date = new Date()) => {
+  const dateKey = getRestaurantDateKey(date);
+  const sequence = await getNextSequence(`order-${dateKey}`);
+
+  return `PEP-${dateKey}-${sequence.toString().padStart(4, '0')}`;
+};
+
+module.exports = {
+  getNextSequence,
+  generateOrderNumber
+};
@@ -0,0 +1,278 @@
+const StoreHours = require('../models/StoreHours');
+const { RESTAURANT_TIMEZONE, getRestaurantLocalTime } = require('../utils/dateUtils');
+
+// How far ahead customers may schedule orders
+const MAX_SCHEDULE_DAYS = 30;
+
+/**
+ * Build a 400 error for an order placed outside opening hours
+ */
+const createTimingError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ */
+const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Format "HH:MM" for customers, e.g. "9:30 PM"
+ */
+const formatTimeDisplay = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+/**
+ * Shift a "YYYY-MM-DD" date by a number of days
+ */
+const addDays = (date, days) => {
+  const shifted = new Date(`${date}T12:00:00Z`);
+  shifted.setUTCDate(shifted.getUTCDate() + days);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Day of week (0 = Sunday) for a "YYYY-MM-DD" date
+ */
+const getWeekday = (date) => new Date(`${date}T12:00:00Z`).getUTCDay();
+
+/**
+ * Get the opening hours that apply on a date
+ * Holidays override the weekly schedule.
+ * @param {Object} hours - StoreHours document
+ * @param {string} date - "YYYY-MM-DD" in restaurant-local time
+ * @returns {Object} - { isOpen, open, close, reason, isHoliday }
+ */
+const getHoursForDate = (hours, date) => {
+  const holiday = hours.holidays.find(entry => entry.date === date);
+  if (holiday) {
+    return {
+      isOpen: holiday.isOpen,
+      open: holiday.open,
+      close: holiday.close,
+      reason: holiday.reason,
+      isHoliday: true
+    };
+  }
+
+  const weekday = getWeekday(date);
+  const day = hours.weeklyHours.find(entry => entry.day === weekday);
+  if (!day || !day.isOpen) {
+    return { isOpen: false, isHoliday: false };
+  }
+
+  return { isOpen: true, open: day.open, close: day.close, isHoliday: false };
+};
+
+/**
+ * Get the pause in effect at an instant, if any
+ * A pause with an `until` time lifts itself once that time has passed.
+ */
+const getActivePause = (hours, now = new Date()) => {
+  const pause = hours.pause;
+  if (!pause || !pause.isPaused) {
+    return null;
+  }
+  if (pause.until && new Date(pause.until) <= now) {
+    return null;
+  }
+  return pause;
+};
+
+/**
+ * Find the next time the restaurant opens after an instant
+ * @returns {Object|null} - { date, time } in restaurant-local time
+ */
+const getNextOpening = (hours, now = new Date()) => {
+  const local = getRestaurantLocalTime(now);
+
+  for (let offset = 0; offset <= MAX_SCHEDULE_DAYS; offset++) {
+    const date = addDays(local.date, offset);
+    const day = getHoursForDate(hours, date);
+    if (!day.isOpen) continue;
+    if (offset === 0 && local.minutes >= timeToMinutes(day.open)) continue;
+
+    return { date, time: day.open };
+  }
+
+  return null;
+};
+
+/**
+ * Describe whether the restaurant is open and taking orders right now
+ * @param {Object} hours - StoreHours document
+ * @param {Date} now - Instant to check
+ * @returns {Object} - { isOpen, acceptingOrders, isPaused, message, closesAt, nextOpening, ... }
+ */
+const getStoreStatus = (hours, now = new Date()) => {
+  const local = getRestaurantLocalTime(now);
+  const today = getHoursForDate(hours, local.date);
+  const pause = getActivePause(hours, now);
+
+  const isOpen = today.isOpen &&
+    local.minutes >= timeToMinutes(today.open) &&
+    local.minutes < timeToMinutes(today.close);
+  const beforeLastOrder = isOpen &&
+    local.minutes <= timeToMinutes(today.close) - hours.lastOrderMinutes;
+  const nextOpening = isOpen ? null : getNextOpening(hours, now);
+
+  let message;
+  if (pause) {
+    message = pause.reason ? `Ordering paused ⋅ ${pause.reason}` : 'Ordering paused';
+  } else if (isOpen) {
+    message = `Open Now ⋅ Closes ${formatTimeDisplay(today.close)}`;
+  } else if (nextOpening) {
+    const dayLabel = nextOpening.date === local.date
+      ? ''
+      : `${new Date(`${nextOpening.date}T12:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' })} `;
+    message = `Closed ⋅ Opens ${dayLabel}${formatTimeDisplay(nextOpening.time)}`;
+  } else {
+    message = 'Temporarily Closed';
+  }
+
+  return {
+    isOpen,
+    acceptingOrders: beforeLastOrder && !pause,
+    isPaused: !!pause,
+    pauseReason: pause ? pause.reason : undefined,
+    pausedUntil: pause ? pause.until : undefined,
+    message,
+    closesAt: isOpen ? today.close : null,
+    holidayReason: today.isHoliday ? today.reason : undefined,
+    nextOpening,
+    localDate: local.date,
+    localTime: local.time,
+    timeZone: RESTAURANT_TIMEZONE
+  };
+};
+
+/**
+ * Check that an order can be placed for the requested time
+ * Throws a 400 error describing the problem when it cannot.
+ * @param {Object} hours - StoreHours document
+ * @param {Object} orderTiming - { timing, scheduledDate, scheduledTime, orderType }
+ * @param {Date} now - Instant the order is placed
+ */
+const validateOrderTiming = (hours, { timing = 'asap', scheduledDate, scheduledTime, orderType = 'pickup' }, now = new Date()) => {
+  const pause = getActivePause(hours, now);
+
+  if (timing === 'asap') {
+    if (pause) {
+      throw createTimingError(pause.reason
+        ? `We are not taking orders right now: ${pause.reason}`
+        : 'We are not taking orders right now. Please try again later.');
+    }
+
+    if (!getStoreStatus(hours, now).acceptingOrders) {
+      throw createTimingError('Restaurant is currently closed. Please schedule your order for later.');
+    }
+    return;
+  }
+
+  if (timing !== 'scheduled') {
+    throw createTimingError('Invalid timing option.');
+  }
+
+  if (!scheduledDate || !scheduledTime) {
+    throw createTimingError('Scheduled date and time are required for scheduled orders');
+  }
+
+  const date = String(scheduledDate).slice(0, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !/^([01]\d|2[0-3]):[0-5]\d$/.test(scheduledTime)) {
+    throw createTimingError('Scheduled date and time are invalid');
+  }
+
+  const day = getHoursForDate(hours, date);
+  if (!day.isOpen) {
+    throw createTimingError(day.reason
+      ? `We are closed on ${date} (${day.reason}). Please choose another day.`
+      : `We are closed on ${date}. Please choose another day.`);
+  }
+
+  const minutes = timeToMinutes(scheduledTime);
+  if (minutes < timeToMinutes(day.open) ||
+      minutes > timeToMinutes(day.close) - hours.lastOrderMinutes) {
+    throw createTimingError('Selected time is outside business hours.');
+  }
+
+  // Compare wall-clock times in the restaurant's timezone
+  const preparationTime = hours.preparationMinutes[orderType] || 0;
+  const earliest = getRestaurantLocalTime(new Date(now.getTime() + preparationTime * 60000));
+  if (date < earliest.date || (date === earliest.date && minutes < earliest.minutes)) {
+    throw createTimingError(`Scheduled time must be at least ${preparationTime} minutes from now.`);
+  }
+
+  if (date > addDays(getRestaurantLocalTime(now).date, MAX_SCHEDULE_DAYS)) {
+    throw createTimingError(`Orders can be scheduled up to ${MAX_SCHEDULE_DAYS} days ahead.`);
+  }
+
+  if (pause) {
+    const resumesAt = pause.until ? getRestaurantLocalTime(new Date(pause.until)) : null;
+    if (!resumesAt || date < resumesAt.date || (date === resumesAt.date && minutes < resumesAt.minutes)) {
+      throw createTimingError(pause.reason
+        ? `We are not taking orders for that time: ${pause.reason}`
+        : 'We are not taking orders for that time. Please choose a later time.');
+    }
+  }
+};
+
+/**
+ * List the times on a date that an order can be scheduled for
+ * Times are on the 15-minute grid and pass validateOrderTiming.
+ * @param {Object} hours - StoreHours document
+ * @param {string} date - "YYYY-MM-DD" in restaurant-local time
+ * @param {string} orderType - pickup or delivery
+ * @param {Date} now - Instant the order would be placed
+ * @returns {Array<string>} - "HH:MM" times
+ */
+const getScheduledTimes = (hours, date, orderType = 'pickup', now = new Date()) => {
+  const day = getHoursForDate(hours, date);
+  if (!day.isOpen) {
+    return [];
+  }
+
+  const times = [];
+  const first = Math.ceil(timeToMinutes(day.open) / 15) * 15;
+  const last = timeToMinutes(day.close) - hours.lastOrderMinutes;
+
+  for (let minutes = first; minutes <= last; minutes += 15) {
+    const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    try {
+      validateOrderTiming(hours, { timing: 'scheduled', scheduledDate: date, scheduledTime: time, orderType }, now);
+      times.push(time);
+    } catch (error) {
+      // Not orderable (lead time, pause, ...)
+    }
+  }
+
+  return times;
+};
+
+/**
+ * Load the store hours and check that an order can be placed
+ * @param {Object} orderTiming - { timing, scheduledDate, scheduledTime, orderType }
+ */
+const checkOrderTiming = async (orderTiming) => {
+  const hours = await StoreHours.getHours();
+  validateOrderTiming(hours, orderTiming);
+};
+
+module.exports = {
+  MAX_SCHEDULE_DAYS,
+  timeToMinutes,
+  formatTimeDisplay,
+  getHoursForDate,
+  getActivePause,
+  getStoreStatus,
+  validateOrderTiming,
+  getScheduledTimes,
+  checkOrderTiming
+};
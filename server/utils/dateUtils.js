@@ -0,0 +1,93 @@
+/**
+ * Restaurant timezone helpers
+ * All business-day logic (order numbers, opening hours, slots) uses the
+ * restaurant's local time rather than the server's.
+ */
+const RESTAURANT_TIMEZONE = process.env.RESTAURANT_TIMEZONE || 'America/New_York';
+
+/**
+ * Get calendar parts for a date in the restaurant's timezone
+ * @param {Date} date - Date to convert (defaults to now)
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} - { year, month, day, hour, minute, weekday }
+ */
+const getZonedDateParts = (date = new Date(), timeZone = RESTAURANT_TIMEZONE) => {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'short',
+    hourCycle: 'h23'
+  });
+
+  const parts = Object.fromEntries(
+    formatter.formatToParts(date).map(part => [part.type, part.value])
+  );
+  const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: weekdays.indexOf(parts.weekday)
+  };
+};
+
+/**
+ * Format a date as YYYYMMDD in the restaurant's timezone
+ */
+const getRestaurantDateKey = (date = new Date(), timeZone = RESTAURANT_TIMEZONE) => {
+  const { year, month, day } = getZonedDateParts(date, timeZone);
+  return `${year}${String(month).padStart(2, '0')}${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Get the restaurant's wall-clock date and time for an instant
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM', minutes, weekday }
+ */
+const getRestaurantLocalTime = (date = new Date(), timeZone = RESTAURANT_TIMEZONE) => {
+  const { year, month, day, hour, minute, weekday } = getZonedDateParts(date, timeZone);
+  const pad = value => String(value).padStart(2, '0');
+
+  return {
+    date: `${year}-${pad(month)}-${pad(day)}`,
+    time: `${pad(hour)}:${pad(minute)}`,
+    minutes: hour * 60 + minute,
+    weekday
+  };
+};
+
+/**
+ * Convert a restaurant wall-clock date and time to an instant
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string} time - "HH:MM"
+ * @returns {Date}
+ */
+const restaurantTimeToDate = (date, time, timeZone = RESTAURANT_TIMEZONE) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time.split(':').map(Number);
+  const target = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Correct the guess by the zone's offset; repeat once in case it crosses a DST change
+  let instant = target;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedDateParts(new Date(instant), timeZone);
+    const shown = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    instant += target - shown;
+  }
+
+  return new Date(instant);
+};
+
+module.exports = {
+  RESTAURANT_TIMEZONE,
+  getZonedDateParts,
+  getRestaurantDateKey,
+  getRestaurantLocalTime,
+  restaurantTimeToDate
+};
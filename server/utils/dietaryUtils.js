@@ -0,0 +1,100 @@
+/**
+ * Major food allergens a menu item can be marked as containing
+ */
+const ALLERGENS = {
+  milk: 'Milk',
+  eggs: 'Eggs',
+  fish: 'Fish',
+  shellfish: 'Shellfish',
+  'tree-nuts': 'Tree nuts',
+  peanuts: 'Peanuts',
+  wheat: 'Wheat',
+  soy: 'Soy',
+  sesame: 'Sesame'
+};
+
+// Allergens that can't appear in a vegan dish
+const ANIMAL_ALLERGENS = ['milk', 'eggs', 'fish', 'shellfish'];
+
+/**
+ * Diets a menu item can be marked as suitable for
+ */
+const DIETARY_FLAGS = {
+  vegan: 'Vegan',
+  'gluten-free': 'Gluten-free',
+  jain: 'Jain',
+  halal: 'Halal'
+};
+
+/**
+ * Parse a comma-separated query value into known keys, e.g. "peanuts,milk"
+ * @param {string|Array} value - Query string value
+ * @param {Object} allowed - ALLERGENS or DIETARY_FLAGS
+ * @returns {Array<string>}
+ */
+const parseDietaryList = (value, allowed) => {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return [...new Set(list.map(entry => entry.trim().toLowerCase()))].filter(key => allowed[key]);
+};
+
+/**
+ * Display names for allergen keys, e.g. ['milk', 'tree-nuts'] -> "Milk, Tree nuts"
+ * @param {Array<string>} allergens
+ * @returns {string}
+ */
+const formatAllergens = (allergens = []) => {
+  return allergens.map(key => ALLERGENS[key] || key).join(', ');
+};
+
+/**
+ * Allergen warnings for an order: each line that contains allergens and every allergen in the order
+ * @param {Array} items - Order lines with `allergens` snapshots
+ * @returns {Object} - { lines: [{ name, quantity, allergens }], allergens }
+ */
+const getAllergenSummary = (items = []) => {
+  const lines = items
+    .filter(item => item.allergens && item.allergens.length > 0)
+    .map(item => ({
+      name: item.menuName || item.menu?.name || 'Menu item',
+      quantity: item.quantity,
+      allergens: formatAllergens(item.allergens)
+    }));
+
+  const allergens = Object.keys(ALLERGENS)
+    .filter(key => items.some(item => (item.allergens || []).includes(key)));
+
+  return { lines, allergens: allergens.map(key => ALLERGENS[key]) };
+};
+
+/**
+ * Allergen warning block for order emails, or '' when nothing in the order has allergens
+ * @param {Array} items - Order lines with `allergens` snapshots
+ * @returns {string} - HTML
+ */
+const formatAllergenWarningHtml = (items = []) => {
+  const summary = getAllergenSummary(items);
+  if (summary.lines.length === 0) {
+    return '';
+  }
+
+  const linesHtml = summary.lines
+    .map(line => `<li>${line.quantity}x ${line.name}: ${line.allergens}</li>`)
+    .join('');
+
+  return `
+    <div style="background-color: #fdecea; padding: 15px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #dc3545;">
+      <strong>Allergen Warning:</strong> this order contains ${summary.allergens.join(', ')}.
+      <ul style="margin: 10px 0 0 0; padding-left: 20px;">${linesHtml}</ul>
+    </div>
+  `;
+};
+
+module.exports = {
+  ALLERGENS,
+  DIETARY_FLAGS,
+  ANIMAL_ALLERGENS,
+  parseDietaryList,
+  formatAllergens,
+  getAllergenSummary,
+  formatAllergenWarningHtml
+};
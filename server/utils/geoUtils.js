@@ -0,0 +1,84 @@
+/**
+ * Offline geometry helpers for delivery zones
+ * Points are { latitude, longitude } in decimal degrees.
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Restaurant location used as the centre of radius zones
+ * Defaults to the store at 434 Moody St, Waltham.
+ */
+const RESTAURANT_LOCATION = {
+  latitude: parseFloat(process.env.RESTAURANT_LATITUDE) || 42.3709,
+  longitude: parseFloat(process.env.RESTAURANT_LONGITUDE) || -71.2367
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Check that a value is a usable { latitude, longitude } point
+ */
+const isValidPoint = (point) => {
+  if (!point) {
+    return false;
+  }
+  const latitude = Number(point.latitude);
+  const longitude = Number(point.longitude);
+  return point.latitude !== null && point.latitude !== '' &&
+    point.longitude !== null && point.longitude !== '' &&
+    Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    latitude >= -90 && latitude <= 90 && longitude >= -180 && longitude <= 180;
+};
+
+/**
+ * Great-circle distance between two points (haversine formula)
+ * @returns {number} - Distance in kilometres
+ */
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Ray-casting point-in-polygon test
+ * Treats coordinates as planar, which is accurate enough at city scale.
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} polygon - Vertices in order
+ * @returns {boolean}
+ */
+const isPointInPolygon = (point, polygon = []) => {
+  if (polygon.length < 3) {
+    return false;
+  }
+
+  const x = point.longitude;
+  const y = point.latitude;
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].longitude;
+    const yi = polygon[i].latitude;
+    const xj = polygon[j].longitude;
+    const yj = polygon[j].latitude;
+
+    const crosses = (yi > y) !== (yj > y) &&
+      x < ((xj - xi) * (y - yi)) / (yj - yi) + xi;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+};
+
+module.exports = {
+  RESTAURANT_LOCATION,
+  isValidPoint,
+  distanceKm,
+  isPointInPolygon
+};
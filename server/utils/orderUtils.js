@@ -1,35 +1,4 @@
-const Order = require('../models/Order');
-
-/**
- * Generate a unique order number
- * Format: PEP-YYYYMMDD-XXXX (e.g., PEP-20241215-0001)
- */
-const generateOrderNumber = async () => {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
-  
-  // Find the highest order number for today
-  const todayStart = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  const todayEnd = new Date(todayStart.getTime() + 24 * 60 * 60 * 1000);
-  
-  const lastOrder = await Order.findOne({
-    createdAt: {
-      $gte: todayStart,
-      $lt: todayEnd
-    }
-  }).sort({ orderNumber: -1 });
-
-  let sequence = 1;
-  if (lastOrder && lastOrder.orderNumber) {
-    const lastSequence = parseInt(lastOrder.orderNumber.split('-')[2]);
-    if (!isNaN(lastSequence)) {
-      sequence = lastSequence + 1;
-    }
-  }
-
-  const sequenceStr = sequence.toString().padStart(4, '0');
-  return `PEP-${dateStr}-${sequenceStr}`;
-};
+const { generateOrderNumber } = require('../services/sequence-service');
 
 /**
  * Calculate estimated delivery/pickup time
@@ -49,92 +18,19 @@ const calculateEstimatedTime = (orderType, timing, scheduledDate, scheduledTime)
 };
 
 /**
- * Validate order timing against business hours
+ * Describe a line's bundle picks, spicy level, preparations and modifiers, e.g. "Extra Hot, Grilled, Coconut Chutney"
+ * @param {Object} item - Cart or order line
+ * @returns {string}
  */
-const validateOrderTiming = (timing, scheduledDate, scheduledTime, orderType) => {
-  // Business hours (simplified - should match frontend)
-  const businessHours = {
-    0: { open: '11:30', close: '22:00' }, // Sunday
-    1: { open: '11:30', close: '22:00' }, // Monday
-    2: { open: '11:30', close: '22:00' }, // Tuesday
-    3: { open: '11:30', close: '22:00' }, // Wednesday
-    4: { open: '11:30', close: '22:00' }, // Thursday
-    5: { open: '11:30', close: '22:30' }, // Friday
-    6: { open: '11:30', close: '22:30' }  // Saturday
-  };
-
-  if (timing === 'asap') {
-    const now = new Date();
-    const dayOfWeek = now.getDay();
-    const currentTime = now.toTimeString().slice(0, 5);
-    const hours = businessHours[dayOfWeek];
-    
-    if (!hours || currentTime < hours.open || currentTime > hours.close) {
-      return {
-        valid: false,
-        message: 'Restaurant is currently closed. Please schedule your order for later.'
-      };
-    }
-    
-    return { valid: true };
+const formatItemOptions = (item) => {
+  const parts = [];
+  (item.bundleItems || []).forEach(component => parts.push(component.name));
+  if (item.spicyLevel && item.spicyLevel.name) {
+    parts.push(item.spicyLevel.name);
   }
-
-  if (timing === 'scheduled') {
-    if (!scheduledDate || !scheduledTime) {
-      return {
-        valid: false,
-        message: 'Scheduled date and time are required.'
-      };
-    }
-
-    const orderDate = new Date(scheduledDate);
-    const dayOfWeek = orderDate.getDay();
-    const hours = businessHours[dayOfWeek];
-    
-    if (!hours || scheduledTime < hours.open || scheduledTime > hours.close) {
-      return {
-        valid: false,
-        message: 'Selected time is outside business hours.'
-      };
-    }
-
-    // Check if scheduled time is in the future
-    const now = new Date();
-    const scheduledDateTime = new Date(scheduledDate + 'T' + scheduledTime);
-    const preparationTime = orderType === 'delivery' ? 45 : 20; // minutes
-    const minTime = new Date(now.getTime() + preparationTime * 60 * 1000);
-
-    if (scheduledDateTime < minTime) {
-      return {
-        valid: false,
-        message: `Scheduled time must be at least ${preparationTime} minutes from now.`
-      };
-    }
-
-    return { valid: true };
-  }
-
-  return {
-    valid: false,
-    message: 'Invalid timing option.'
-  };
-};
-
-/**
- * Calculate delivery fee based on distance/zone
- */
-const calculateDeliveryFee = (deliveryAddress) => {
-  // Simplified delivery fee calculation
-  // In a real app, this would integrate with a mapping service
-  
-  const baseDeliveryFee = 3.99;
-  const freeDeliveryThreshold = 25.00;
-  
-  return {
-    fee: baseDeliveryFee,
-    freeDeliveryThreshold,
-    description: 'Standard delivery fee'
-  };
+  (item.preparations || []).forEach(preparation => parts.push(preparation.name));
+  (item.modifiers || []).forEach(modifier => parts.push(modifier.name));
+  return parts.join(', ');
 };
 
 /**
@@ -148,6 +44,11 @@ const formatOrderForNotification = (order) => {
     if (item.size && item.size !== 'Medium') {
       itemText += ` (${item.size})`;
     }
+
+    const options = formatItemOptions(item);
+    if (options) {
+      itemText += ` [${options}]`;
+    }
     
     if (item.addons && item.addons.length > 0) {
       itemText += ` + ${item.addons.map(addon => addon.name).join(', ')}`;
@@ -185,7 +86,7 @@ const getOrderStatusDisplay = (status) => {
     'confirmed': 'Order Confirmed',
     'preparing': 'Preparing Your Order',
     'ready': 'Ready for Pickup',
-    'out_for_delivery': 'Out for Delivery',
+    'out-for-delivery': 'Out for Delivery',
     'delivered': 'Delivered',
     'completed': 'Completed',
     'cancelled': 'Cancelled'
@@ -197,8 +98,7 @@ const getOrderStatusDisplay = (status) => {
 module.exports = {
   generateOrderNumber,
   calculateEstimatedTime,
-  validateOrderTiming,
-  calculateDeliveryFee,
+  formatItemOptions,
   formatOrderForNotification,
   getOrderStatusDisplay
 };